@@ -22,6 +22,7 @@ const MediaDetailPage = lazy(() => import('./pages/MediaDetailPage'));
 const ListsPage = lazy(() => import('./pages/ListsPage'));
 const ListDetailPage = lazy(() => import('./pages/ListDetailPage'));
 const WatchlistPage = lazy(() => import('./pages/WatchlistPage'));
+const CalendarPage = lazy(() => import('./pages/CalendarPage'));
 const NotificationsPage = lazy(() => import('./pages/NotificationsPage'));
 const SettingsPage = lazy(() => import('./pages/SettingsPage'));
 const MessagesPage = lazy(() => import('./pages/MessagesPage'));
@@ -39,6 +40,7 @@ const MyBugReportsPage = lazy(() => import('./pages/MyBugReportsPage'));
 const BugReportsAdminPage = lazy(() => import('./pages/BugReportsAdminPage'));
 const DatabaseManagementPage = lazy(() => import('./pages/DatabaseManagementPage'));
 const ReportsPage = lazy(() => import('./pages/ReportsPage'));
+const ContentFilterPage = lazy(() => import('./pages/ContentFilterPage'));
 const AdvertisingAdminPage = lazy(() => import('./pages/AdvertisingAdminPage'));
 const PersonPage = lazy(() => import('./pages/PersonPage'));
 
@@ -194,6 +196,9 @@ function App() {
                 } 
               />
 
+              {/* Публичный список по ссылке - доступен без входа */}
+              <Route path="/lists/public/:slug" element={<ListDetailPage />} />
+
               {/* Страница конкретного списка */}
               <Route 
                 path="/lists/:id" 
@@ -214,6 +219,16 @@ function App() {
                 } 
               />
 
+              {/* Следующие серии и календарь выхода */}
+              <Route 
+                path="/calendar" 
+                element={
+                  <ProtectedRoute>
+                    <CalendarPage />
+                  </ProtectedRoute>
+                } 
+              />
+
               {/* Страница уведомлений */}
               <Route 
                 path="/notifications" 
@@ -324,6 +339,16 @@ function App() {
                 }
               />
 
+              {/* Фильтр контента (только для админа) */}
+              <Route
+                path="/admin/content-filter"
+                element={
+                  <ProtectedRoute>
+                    <ContentFilterPage />
+                  </ProtectedRoute>
+                }
+              />
+
               {/* Страница рекламы (только для админа) */}
               <Route
                 path="/admin/advertising"
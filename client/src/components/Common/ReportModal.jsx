@@ -4,13 +4,43 @@ import useAlert from '../../hooks/useAlert.jsx';
 import api from '../../services/api';
 import styles from './ReportModal.module.css';
 
-const ReportModal = ({ reportedUserId, reportedUserName, onClose }) => {
+export const REPORT_CATEGORY_LABELS = {
+  spam: 'Спам или реклама',
+  abuse: 'Оскорбления или травля',
+  hate: 'Разжигание ненависти',
+  nsfw: 'Непристойный контент',
+  spoilers: 'Спойлеры без предупреждения',
+  misinformation: 'Обман или дезинформация',
+  other: 'Другое'
+};
+
+const TARGET_TITLES = {
+  user: 'Жалоба на пользователя',
+  wall_post: 'Жалоба на запись',
+  review: 'Жалоба на рецензию',
+  post_comment: 'Жалоба на комментарий',
+  image_comment: 'Жалоба на комментарий',
+  message: 'Жалоба на сообщение',
+  list: 'Жалоба на список'
+};
+
+/**
+ * Жалоба на пользователя или на его контент
+ * targetType/targetId — на что жалоба; без них жалоба на профиль reportedUserId.
+ * snapshotText — текст сообщения секретного чата: сервер видит только шифротекст
+ */
+const ReportModal = ({ reportedUserId, reportedUserName, targetType = 'user', targetId, snapshotText, onClose }) => {
   const { alertDialog, showAlert } = useAlert();
+  const [category, setCategory] = useState(null);
   const [reason, setReason] = useState('');
   const [loading, setLoading] = useState(false);
 
+  // Для «Другое» нужно пояснение, для остальных категорий оно необязательно
+  const reasonRequired = category === 'other';
+  const canSubmit = category && (!reasonRequired || reason.trim().length >= 10);
+
   const handleSubmit = async () => {
-    if (reason.trim().length < 10) {
+    if (reasonRequired && reason.trim().length < 10) {
       await showAlert({
         title: 'Ошибка',
         message: 'Причина жалобы должна содержать минимум 10 символов',
@@ -22,8 +52,11 @@ const ReportModal = ({ reportedUserId, reportedUserName, onClose }) => {
     try {
       setLoading(true);
       await api.post('/reports', {
-        reportedUserId,
-        reason: reason.trim()
+        targetType,
+        targetId: targetId || reportedUserId,
+        category,
+        reason: reason.trim(),
+        snapshotText
       });
 
       await showAlert({
@@ -53,7 +86,7 @@ const ReportModal = ({ reportedUserId, reportedUserName, onClose }) => {
       <div className={styles.backdrop} onClick={handleBackdropClick}>
         <div className={styles.modal}>
           <div className={styles.header}>
-            <h3 className={styles.title}>Жалоба на пользователя</h3>
+            <h3 className={styles.title}>{TARGET_TITLES[targetType]}</h3>
             <button className={styles.closeBtn} onClick={onClose}>
               <Icon name="close" size={18} />
             </button>
@@ -61,16 +94,29 @@ const ReportModal = ({ reportedUserId, reportedUserName, onClose }) => {
 
           <div className={styles.content}>
             <p className={styles.targetUser}>
-              На кого жалуетесь: <strong>{reportedUserName}</strong>
+              {targetType === 'user' ? 'На кого жалуетесь' : 'Автор'}: <strong>{reportedUserName}</strong>
             </p>
+            <div className={styles.categories}>
+              {Object.entries(REPORT_CATEGORY_LABELS).map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`${styles.categoryBtn} ${category === value ? styles.categoryActive : ''}`}
+                  onClick={() => setCategory(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
             <textarea
               className={styles.textarea}
               value={reason}
               onChange={(e) => setReason(e.target.value)}
-              placeholder="Опишите причину жалобы (минимум 10 символов)..."
+              placeholder={reasonRequired
+                ? 'Опишите причину жалобы (минимум 10 символов)...'
+                : 'Подробности (необязательно)...'}
               rows={5}
               maxLength={1000}
-              autoFocus
             />
             <span className={styles.charCount}>{reason.length}/1000</span>
           </div>
@@ -82,7 +128,7 @@ const ReportModal = ({ reportedUserId, reportedUserName, onClose }) => {
             <button
               className={styles.submitBtn}
               onClick={handleSubmit}
-              disabled={loading || reason.trim().length < 10}
+              disabled={loading || !canSubmit}
             >
               {loading ? 'Отправка...' : 'Отправить жалобу'}
             </button>
@@ -0,0 +1,35 @@
+import React from 'react';
+import { VARIANT_FORMATS, buildSrcSet, resolveUploadUrl } from '../../utils/imageSources';
+import styles from './ResponsiveImage.module.css';
+
+/**
+ * Изображение с уменьшенными копиями AVIF/WebP
+ * Браузер сам выбирает формат и ширину по sizes; пока копий нет, показывается оригинал
+ *
+ * @param {string} src - URL оригинала (/uploads/... или внешний)
+ * @param {Array} variants - Копии [{width, format, url}] из ответа API
+ * @param {string} sizes - Ширина изображения на странице для выбора копии
+ * Остальные props передаются в <img>
+ */
+const ResponsiveImage = ({ src, variants, sizes, alt = '', ...imgProps }) => {
+  const sources = VARIANT_FORMATS
+    .map(format => ({ format, srcSet: buildSrcSet(variants, format) }))
+    .filter(source => source.srcSet);
+
+  const img = <img src={resolveUploadUrl(src)} alt={alt} {...imgProps} />;
+
+  if (sources.length === 0) {
+    return img;
+  }
+
+  return (
+    <picture className={styles.picture}>
+      {sources.map(source => (
+        <source key={source.format} type={`image/${source.format}`} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      {img}
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
@@ -5,6 +5,7 @@ import { createPost } from '../../store/slices/wallSlice';
 import { sendMessage } from '../../store/slices/messagesSlice';
 import Icon from './Icon';
 import api from '../../services/api';
+import { getMediaLink, getTelegramShareUrl } from '../../utils/shareLinks';
 import styles from './ShareModal.module.css';
 
 const ShareModal = ({ media, onClose }) => {
@@ -16,8 +17,13 @@ const ShareModal = ({ media, onClose }) => {
   const [isCtrlDown, setIsCtrlDown] = useState(false);
   const [sending, setSending] = useState(false);
   const [friends, setFriends] = useState([]);
+  const [copied, setCopied] = useState(false);
   const searchRef = useRef(null);
 
+  // Та же ссылка, что в карточках бота и его inline-режима
+  const mediaLink = getMediaLink(media.mediaType, media.id);
+  const mediaTitle = media.title || media.name;
+
   useEffect(() => {
     const loadFriends = async () => {
       try {
@@ -114,6 +120,15 @@ const ShareModal = ({ media, onClose }) => {
     }
   };
 
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(mediaLink);
+      setCopied(true);
+    } catch {
+      window.prompt('Скопируйте ссылку', mediaLink);
+    }
+  };
+
   return (
     <div className={styles.backdrop} onClick={onClose}>
       <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
@@ -139,6 +154,13 @@ const ShareModal = ({ media, onClose }) => {
               </svg>
               <span>Отправить в личку</span>
             </button>
+            <button className={styles.modeButton} onClick={() => setMode('link')}>
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+              </svg>
+              <span>Ссылка и Telegram</span>
+            </button>
           </div>
         ) : mode === 'wall' ? (
           <div className={styles.wallSection}>
@@ -150,6 +172,33 @@ const ShareModal = ({ media, onClose }) => {
               </button>
             </div>
           </div>
+        ) : mode === 'link' ? (
+          <div className={styles.wallSection}>
+            <input
+              type="text"
+              className={styles.searchInput}
+              value={mediaLink}
+              readOnly
+              onFocus={(e) => e.target.select()}
+            />
+            <p className={styles.wallText}>
+              В любом чате Telegram фильм можно найти и отправить через inline-режим бота.
+            </p>
+            <div className={styles.wallActions}>
+              <button className={styles.cancelBtn} onClick={() => { setMode(null); setCopied(false); }}>Назад</button>
+              <button className={styles.cancelBtn} onClick={handleCopyLink}>
+                {copied ? 'Скопировано' : 'Копировать'}
+              </button>
+              <a
+                className={styles.sendBtn}
+                href={getTelegramShareUrl(mediaLink, `🎬 ${mediaTitle}`)}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                В Telegram
+              </a>
+            </div>
+          </div>
         ) : (
           <div className={styles.messageSection}>
             <div className={styles.searchWrapper}>
@@ -338,6 +338,11 @@ const Sidebar = ({ narrow = false, isOpen = true, onClose }) => {
               <Icon name="watchlist" size="medium" /> {!narrow && 'Хочу посмотреть'}
             </a>
           </li>
+          <li className={styles.navItem}>
+            <a href="/calendar" className={styles.navLink} title="Что смотреть" onClick={handleLinkClick}>
+              <Icon name="clock" size="medium" /> {!narrow && 'Что смотреть'}
+            </a>
+          </li>
         </ul>
       </nav>
     </aside>
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { useAppDispatch } from '../../hooks/useAppDispatch';
+import { bulkListAction } from '../../store/slices/listsSlice';
+import useAlert from '../../hooks/useAlert';
+import styles from './BulkActionsBar.module.css';
+
+const WATCHLIST_TARGET = 'watchlist';
+
+// Причины пропуска элементов из ответа POST /lists/bulk
+const SKIP_REASONS = {
+  ITEM_NOT_FOUND: 'элемент уже удалён',
+  MEDIA_TYPE_MISMATCH: 'не подходит по типу списка',
+  ALREADY_IN_LIST: 'уже есть в этом списке',
+  ALREADY_IN_OTHER_LIST: 'уже есть в другом списке владельца',
+  ALREADY_IN_WATCHLIST: 'уже есть в «Хочу посмотреть»',
+  DATABASE_ERROR: 'ошибка сервера'
+};
+
+/**
+ * Панель массовых действий над выбранными элементами
+ * Переносит, копирует и удаляет элементы списка или «Хочу посмотреть» одним запросом
+ * @param {Array} selectedItems - Выбранные элементы (id, mediaType)
+ * @param {Object} source - { type: 'list', listId } | { type: 'watchlist' }
+ * @param {Array} lists - Списки, куда можно перенести элементы
+ * @param {Function} onDone - Вызывается с отчётом после выполнения операции, здесь списки перечитываются
+ * @param {Function} onCancel - Выход из режима выбора
+ */
+const BulkActionsBar = ({ selectedItems, source, lists, onDone, onCancel }) => {
+  const dispatch = useAppDispatch();
+  const { alertDialog, showAlert, showConfirm } = useAlert();
+  const [targetId, setTargetId] = useState('');
+  const [running, setRunning] = useState(false);
+
+  // Переносить можно только в списки того же типа, что и все выбранные элементы
+  const mediaTypes = new Set(selectedItems.map(item => item.mediaType));
+  const targetLists = lists.filter(list =>
+    list.id !== source.listId && mediaTypes.size <= 1 && mediaTypes.has(list.mediaType)
+  );
+  const canTargetWatchlist = source.type === 'list';
+
+  const runAction = async (action) => {
+    if (selectedItems.length === 0) return;
+
+    if (action === 'delete') {
+      const confirmed = await showConfirm({
+        title: 'Удалить выбранное',
+        message: `Выбранные элементы (${selectedItems.length}) будут удалены. Это действие нельзя отменить.`,
+        confirmText: 'Удалить',
+        cancelText: 'Отмена'
+      });
+      if (!confirmed) return;
+    }
+
+    const target = action === 'delete'
+      ? undefined
+      : targetId === WATCHLIST_TARGET ? { type: 'watchlist' } : { type: 'list', listId: targetId };
+
+    try {
+      setRunning(true);
+      const report = await dispatch(bulkListAction({
+        action,
+        source,
+        target,
+        itemIds: selectedItems.map(item => item.id)
+      })).unwrap();
+
+      if (report.skipped.length > 0) {
+        const reasons = [...new Set(report.skipped.map(skip => SKIP_REASONS[skip.code] || skip.code))];
+        await showAlert({
+          title: 'Готово частично',
+          message: `Обработано: ${report.processed.length}, пропущено: ${report.skipped.length} (${reasons.join(', ')})`,
+          type: 'warning'
+        });
+      }
+
+      setTargetId('');
+      onDone(report);
+    } catch (error) {
+      console.error('Ошибка массовой операции:', error);
+      await showAlert({
+        title: 'Ошибка',
+        message: error.error || 'Не удалось выполнить операцию. Попробуйте позже.',
+        type: 'error'
+      });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className={styles.bar}>
+      <span className={styles.count}>Выбрано: {selectedItems.length}</span>
+
+      <select
+        className={styles.select}
+        value={targetId}
+        onChange={(e) => setTargetId(e.target.value)}
+        disabled={running}
+      >
+        <option value="">Куда перенести…</option>
+        {targetLists.map(list => (
+          <option key={list.id} value={list.id}>{list.name}</option>
+        ))}
+        {canTargetWatchlist && (
+          <option value={WATCHLIST_TARGET}>Хочу посмотреть</option>
+        )}
+      </select>
+
+      <button
+        className={styles.button}
+        onClick={() => runAction('move')}
+        disabled={running || !targetId || selectedItems.length === 0}
+      >
+        Переместить
+      </button>
+      <button
+        className={styles.button}
+        onClick={() => runAction('copy')}
+        disabled={running || !targetId || selectedItems.length === 0}
+      >
+        Копировать
+      </button>
+      <button
+        className={styles.deleteButton}
+        onClick={() => runAction('delete')}
+        disabled={running || selectedItems.length === 0}
+      >
+        Удалить
+      </button>
+      <button className={styles.cancelButton} onClick={onCancel} disabled={running}>
+        Отмена
+      </button>
+
+      {alertDialog}
+    </div>
+  );
+};
+
+export default BulkActionsBar;
@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { useAppSelector } from '../../hooks/useAppSelector';
+import api from '../../services/api';
+import UserAvatar from '../User/UserAvatar';
+import useAlert from '../../hooks/useAlert';
+import { getListLink } from '../../utils/shareLinks';
+import styles from './ListSharingPanel.module.css';
+
+const VISIBILITY_OPTIONS = [
+  { value: 'private', label: 'Только я и соавторы' },
+  { value: 'friends', label: 'Друзья' },
+  { value: 'public', label: 'Все, у кого есть ссылка' }
+];
+
+const ROLE_LABELS = {
+  editor: 'Редактор',
+  viewer: 'Читатель'
+};
+
+/**
+ * Панель совместного доступа к списку
+ * Владелец меняет видимость, копирует ссылку и управляет соавторами;
+ * соавтор может покинуть список
+ * @param {Object} list - Список из GET /lists/:id
+ * @param {Function} onChange - Вызывается с полями списка, которые изменились
+ */
+const ListSharingPanel = ({ list, onChange }) => {
+  const { user } = useAppSelector((state) => state.auth);
+  const { alertDialog, showAlert } = useAlert();
+  const [friends, setFriends] = useState([]);
+  const [selectedFriendId, setSelectedFriendId] = useState('');
+  const [selectedRole, setSelectedRole] = useState('editor');
+  const [saving, setSaving] = useState(false);
+
+  const isOwner = list.access.isOwner;
+  const shareUrl = getListLink(list);
+
+  useEffect(() => {
+    if (!isOwner || !user) return;
+
+    api.get(`/users/${user.id}/friends`)
+      .then(response => setFriends(response.data))
+      .catch(err => console.error('Ошибка загрузки друзей:', err));
+  }, [isOwner, user]);
+
+  const handleVisibilityChange = async (visibility) => {
+    try {
+      setSaving(true);
+      await api.put(`/lists/${list.id}`, { visibility });
+      onChange({ visibility });
+    } catch (err) {
+      showAlert({
+        title: 'Ошибка',
+        message: err.response?.data?.error || 'Не удалось изменить видимость списка',
+        type: 'error'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      showAlert({ title: 'Ссылка скопирована', message: shareUrl, type: 'success' });
+    } catch (err) {
+      console.error('Ошибка копирования ссылки:', err);
+      window.prompt('Скопируйте ссылку на список', shareUrl);
+    }
+  };
+
+  const handleAddCollaborator = async () => {
+    if (!selectedFriendId) return;
+
+    try {
+      setSaving(true);
+      const response = await api.post(`/lists/${list.id}/collaborators`, {
+        userId: selectedFriendId,
+        role: selectedRole
+      });
+      onChange({ collaborators: response.data.collaborators });
+      setSelectedFriendId('');
+    } catch (err) {
+      showAlert({
+        title: 'Ошибка',
+        message: err.response?.data?.error || 'Не удалось добавить соавтора',
+        type: 'error'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveCollaborator = async (collaboratorId) => {
+    try {
+      setSaving(true);
+      await api.delete(`/lists/${list.id}/collaborators/${collaboratorId}`);
+      const changes = {
+        collaborators: list.collaborators.filter(c => c.userId !== collaboratorId)
+      };
+      // Соавтор покинул список — права на редактирование пропадают сразу
+      if (collaboratorId === user?.id) {
+        changes.access = { ...list.access, role: null, canEdit: false };
+      }
+      onChange(changes);
+    } catch (err) {
+      showAlert({
+        title: 'Ошибка',
+        message: err.response?.data?.error || 'Не удалось удалить соавтора',
+        type: 'error'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Друзья, которых ещё нет среди соавторов
+  const availableFriends = friends.filter(
+    friend => !list.collaborators.some(c => c.userId === friend.id)
+  );
+
+  return (
+    <div className={styles.panel}>
+      {isOwner && (
+        <div className={styles.row}>
+          <label className={styles.label} htmlFor="list-visibility">Кто видит список</label>
+          <select
+            id="list-visibility"
+            className={styles.select}
+            value={list.visibility}
+            disabled={saving}
+            onChange={(e) => handleVisibilityChange(e.target.value)}
+          >
+            {VISIBILITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {list.visibility === 'public' && (
+            <button className={styles.button} onClick={handleCopyLink}>
+              Скопировать ссылку
+            </button>
+          )}
+        </div>
+      )}
+
+      {(isOwner || list.collaborators.length > 0) && (
+        <div className={styles.collaborators}>
+          <div className={styles.label}>Соавторы</div>
+          {list.collaborators.length === 0 && (
+            <p className={styles.hint}>Пригласите друзей, чтобы вести список вместе</p>
+          )}
+          <ul className={styles.collaboratorList}>
+            {list.collaborators.map(collaborator => (
+              <li key={collaborator.userId} className={styles.collaborator}>
+                <UserAvatar
+                  user={{ displayName: collaborator.displayName, avatarUrl: collaborator.avatarUrl }}
+                  size="small"
+                />
+                <span className={styles.collaboratorName}>{collaborator.displayName}</span>
+                <span className={styles.role}>{ROLE_LABELS[collaborator.role]}</span>
+                {(isOwner || collaborator.userId === user?.id) && (
+                  <button
+                    className={styles.removeButton}
+                    disabled={saving}
+                    onClick={() => handleRemoveCollaborator(collaborator.userId)}
+                  >
+                    {isOwner ? 'Убрать' : 'Покинуть список'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {isOwner && availableFriends.length > 0 && (
+            <div className={styles.row}>
+              <select
+                className={styles.select}
+                value={selectedFriendId}
+                onChange={(e) => setSelectedFriendId(e.target.value)}
+              >
+                <option value="">Выберите друга</option>
+                {availableFriends.map(friend => (
+                  <option key={friend.id} value={friend.id}>{friend.displayName}</option>
+                ))}
+              </select>
+              <select
+                className={styles.select}
+                value={selectedRole}
+                onChange={(e) => setSelectedRole(e.target.value)}
+              >
+                {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                  <option key={role} value={role}>{label}</option>
+                ))}
+              </select>
+              <button
+                className={styles.button}
+                disabled={!selectedFriendId || saving}
+                onClick={handleAddCollaborator}
+              >
+                Пригласить
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {alertDialog}
+    </div>
+  );
+};
+
+export default ListSharingPanel;
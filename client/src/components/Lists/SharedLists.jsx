@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
+import UserAvatar from '../User/UserAvatar';
+import styles from './SharedLists.module.css';
+
+const ROLE_LABELS = {
+  editor: 'Редактор',
+  viewer: 'Читатель'
+};
+
+/**
+ * Чужие списки пользователя: где он соавтор и на которые подписан
+ * @param {string} mediaType - Показываются только списки этого типа
+ */
+const SharedLists = ({ mediaType }) => {
+  const navigate = useNavigate();
+  const [shared, setShared] = useState({ collaborating: [], following: [] });
+
+  useEffect(() => {
+    api.get('/lists/shared')
+      .then(response => setShared(response.data))
+      .catch(err => console.error('Ошибка загрузки общих списков:', err));
+  }, []);
+
+  const sections = [
+    { key: 'collaborating', title: 'Общие со мной' },
+    { key: 'following', title: 'Подписки' }
+  ]
+    .map(section => ({
+      ...section,
+      lists: shared[section.key].filter(list => list.mediaType === mediaType)
+    }))
+    .filter(section => section.lists.length > 0);
+
+  if (sections.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={styles.sharedLists}>
+      {sections.map(section => (
+        <section key={section.key} className={styles.section}>
+          <h3 className={styles.sectionTitle}>{section.title}</h3>
+          <ul className={styles.list}>
+            {section.lists.map(list => (
+              <li
+                key={list.id}
+                className={styles.item}
+                onClick={() => navigate(`/lists/${list.id}`)}
+              >
+                <UserAvatar user={list.owner} size="small" />
+                <div className={styles.info}>
+                  <span className={styles.name}>{list.name}</span>
+                  <span className={styles.meta}>
+                    {list.owner.displayName} • {list.itemsCount} элементов
+                    {list.role && ` • ${ROLE_LABELS[list.role]}`}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default SharedLists;
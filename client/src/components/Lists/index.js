@@ -1 +1,4 @@
 export { default as CustomListManager } from './CustomListManager';
+export { default as ListSharingPanel } from './ListSharingPanel';
+export { default as SharedLists } from './SharedLists';
+export { default as BulkActionsBar } from './BulkActionsBar';
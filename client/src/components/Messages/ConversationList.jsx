@@ -1,12 +1,13 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useAppSelector } from '../../hooks/useAppSelector';
 import { useAppDispatch } from '../../hooks/useAppDispatch';
-import { fetchConversations, setCurrentConversation, clearMessages } from '../../store/slices/messagesSlice';
+import { fetchConversations, setCurrentConversation, clearMessages, fetchPresence, updatePresence, setTyping } from '../../store/slices/messagesSlice';
 import { addMessageHandler, removeMessageHandler } from '../../services/websocket';
 import Icon from '../Common/Icon';
 import useAlert from '../../hooks/useAlert';
 import api from '../../services/api';
 import { resolveDisplayNameWithTooltip } from '../../utils/nicknameResolver';
+import { formatTyping, TYPING_TIMEOUT } from '../../utils/presence';
 import { hasIdentityKey, fetchPublicKey, isEncryptedMessage, removeSessionKey } from '../../services/e2ee';
 import CreateGroupChatModal from './CreateGroupChatModal';
 import styles from './ConversationList.module.css';
@@ -17,7 +18,7 @@ import styles from './ConversationList.module.css';
  */
 const ConversationList = ({ onSelectConversation }) => {
   const dispatch = useAppDispatch();
-  const { conversations, loading, currentConversation } = useAppSelector((state) => state.messages);
+  const { conversations, loading, currentConversation, presence, typing } = useAppSelector((state) => state.messages);
   const { user } = useAppSelector((state) => state.auth);
   const { alertDialog, showAlert } = useAlert();
   const [showNewMessageModal, setShowNewMessageModal] = useState(false);
@@ -26,22 +27,59 @@ const ConversationList = ({ onSelectConversation }) => {
   const [loadingFriends, setLoadingFriends] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [deletePopup, setDeletePopup] = useState(null);
+  const typingTimersRef = useRef({});
 
   // Загружаем диалоги при монтировании компонента
   useEffect(() => {
     dispatch(fetchConversations());
   }, [dispatch]);
 
-  // Глобальный WebSocket-обработчик для обновления списка диалогов
+  // Загружаем статусы собеседников личных диалогов, дальше они обновляются по WebSocket
+  const directUserIds = conversations
+    .filter(conv => !conv.isGroup && conv.otherUser?.id)
+    .map(conv => conv.otherUser.id);
+  const directUserIdsKey = [...new Set(directUserIds)].sort().join(',');
+
   useEffect(() => {
+    if (directUserIdsKey) {
+      dispatch(fetchPresence(directUserIdsKey.split(',')));
+    }
+  }, [dispatch, directUserIdsKey]);
+
+  // Глобальный WebSocket-обработчик для обновления списка диалогов, присутствия и набора текста
+  useEffect(() => {
+    const timers = typingTimersRef.current;
+
     const handleWebSocketEvent = (data) => {
       if (data.type === 'group_deleted') {
         dispatch(fetchConversations());
+      } else if (data.type === 'presence') {
+        dispatch(updatePresence({ userId: data.userId, status: data.status, lastSeenAt: data.lastSeenAt }));
+      } else if (data.type === 'typing') {
+        const key = `${data.conversationId}:${data.userId}`;
+        clearTimeout(timers[key]);
+        dispatch(setTyping(data));
+
+        // Сервер не присылает typing_stop, если собеседник закрыл вкладку — гасим индикатор сами
+        if (data.isTyping) {
+          timers[key] = setTimeout(() => {
+            dispatch(setTyping({ ...data, isTyping: false }));
+            delete timers[key];
+          }, TYPING_TIMEOUT);
+        }
+      } else if (data.type === 'new_message' && data.message) {
+        // Пришедшее сообщение означает, что отправитель закончил печатать
+        const key = `${data.message.conversationId}:${data.message.senderId}`;
+        clearTimeout(timers[key]);
+        dispatch(setTyping({ conversationId: data.message.conversationId, userId: data.message.senderId, isTyping: false }));
       }
     };
 
     addMessageHandler(handleWebSocketEvent);
-    return () => removeMessageHandler(handleWebSocketEvent);
+    return () => {
+      removeMessageHandler(handleWebSocketEvent);
+      Object.values(timers).forEach(clearTimeout);
+    };
   }, [dispatch]);
 
   // Загружаем список друзей при открытии модального окна
@@ -369,6 +407,8 @@ const ConversationList = ({ onSelectConversation }) => {
           const isSecret = conversation.isSecret;
           const displayName = isGroup ? conversation.groupName : conversation.otherUser?.displayName;
           const avatarUrl = isGroup ? conversation.groupAvatar : conversation.otherUser?.avatarUrl;
+          const typingText = formatTyping(typing[conversation.id], isGroup);
+          const presenceStatus = !isGroup ? presence[conversation.otherUser?.id]?.status : null;
 
           return (
             <li
@@ -398,6 +438,12 @@ const ConversationList = ({ onSelectConversation }) => {
                 >
                   {isGroup ? '👥' : (displayName?.charAt(0).toUpperCase() || '?')}
                 </div>
+                {(presenceStatus === 'online' || presenceStatus === 'away') && (
+                  <span
+                    className={`${styles.presenceDot} ${styles[presenceStatus]}`}
+                    title={presenceStatus === 'online' ? 'В сети' : 'Отошёл'}
+                  />
+                )}
               </div>
 
               <div className={styles.content}>
@@ -411,12 +457,16 @@ const ConversationList = ({ onSelectConversation }) => {
                   <span className={styles.time}>{formatDate(conversation.lastMessageAt)}</span>
                 </div>
                 <div className={styles.bottomRow}>
-                  <p className={styles.lastMessage} title={conversation.lastMessage}>
-                    {conversation.isSecret && isEncryptedMessage(conversation.lastMessage)
-                      ? '🔒 Зашифрованное сообщение'
-                      : truncateText(conversation.lastMessage)
-                    }
-                  </p>
+                  {typingText ? (
+                    <p className={`${styles.lastMessage} ${styles.typing}`}>{typingText}</p>
+                  ) : (
+                    <p className={styles.lastMessage} title={conversation.lastMessage}>
+                      {conversation.isSecret && isEncryptedMessage(conversation.lastMessage)
+                        ? '🔒 Зашифрованное сообщение'
+                        : truncateText(conversation.lastMessage)
+                      }
+                    </p>
+                  )}
                   {conversation.unreadCount > 0 && (
                     <div className={styles.unreadBadge}>
                       {conversation.unreadCount}
@@ -3,7 +3,7 @@ import styles from './MessageContextMenu.module.css';
 
 const DEFAULT_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '😡', '🔥', '🎉'];
 
-const MessageContextMenu = ({ position, onClose, onReply, onForward, onPin, onDelete, onReaction, onOpenFullPicker, isPinned, isOwnMessage, canDelete }) => {
+const MessageContextMenu = ({ position, onClose, onReply, onForward, onPin, onDelete, onReport, onReaction, onOpenFullPicker, isPinned, isOwnMessage, canDelete }) => {
   const menuRef = useRef(null);
   const [emojis, setEmojis] = useState(DEFAULT_EMOJIS);
 
@@ -104,6 +104,12 @@ const MessageContextMenu = ({ position, onClose, onReply, onForward, onPin, onDe
         <span className={styles.menuIcon}>📌</span>
         <span>{isPinned ? 'Открепить' : 'Закрепить'}</span>
       </button>
+      {!isOwnMessage && onReport && (
+        <button className={styles.menuItem} onClick={onReport}>
+          <span className={styles.menuIcon}>⚠️</span>
+          <span>Пожаловаться</span>
+        </button>
+      )}
       {(isOwnMessage || canDelete) && (
         <>
           <div className={styles.divider} />
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import api from '../../services/api';
+import { resolveDisplayName } from '../../utils/nicknameResolver';
+import { ATTACHMENT_TYPE_OPTIONS, searchLocalMessages } from '../../utils/messageSearch';
+import { highlightMatches } from '../../utils/searchText';
+import styles from './MessageSearchPanel.module.css';
+
+const PAGE_SIZE = 20;
+// Задержка перед запросом к серверу, пока пользователь печатает
+const SEARCH_DEBOUNCE_MS = 300;
+
+const formatResultDate = (createdAt) => new Date(createdAt).toLocaleString('ru-RU', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Подпись для сообщения без текста
+const describeMessage = (message) => {
+  if (message.location) return '📍 Геопозиция';
+  if (message.suggestedMedia) return `🎬 ${message.suggestedMedia.title || 'Фильм'}`;
+  if (message.attachments?.length) {
+    return `📎 ${message.attachments.map(att => att.originalName).filter(Boolean).join(', ') || 'Вложение'}`;
+  }
+  return '';
+};
+
+/**
+ * Поиск по истории сообщений
+ * Обычные чаты ищутся на сервере (в текущем диалоге или во всех),
+ * секретные — только среди расшифрованных на устройстве сообщений
+ */
+const MessageSearchPanel = ({ conversation, messages, currentUserId, onJumpToMessage, onOpenConversation, onClose }) => {
+  const isSecret = Boolean(conversation?.isSecret);
+  const isGroup = Boolean(conversation?.isGroup);
+
+  const [query, setQuery] = useState('');
+  const [scope, setScope] = useState('conversation');
+  const [senderId, setSenderId] = useState('');
+  const [attachmentType, setAttachmentType] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+
+  // Отправители для фильтра: собеседник или участники группы, встреченные в загруженной истории
+  const senderOptions = useMemo(() => {
+    if (!isGroup) {
+      return conversation?.otherUser
+        ? [
+          { id: currentUserId, name: 'Я' },
+          { id: conversation.otherUser.id, name: resolveDisplayName(conversation.otherUser.id, conversation.otherUser.displayName) }
+        ]
+        : [];
+    }
+    const senders = new Map();
+    for (const message of messages) {
+      if (message.senderId && !senders.has(message.senderId)) {
+        const name = message.senderId === currentUserId
+          ? 'Я'
+          : resolveDisplayName(message.senderId, message.sender?.displayName);
+        senders.set(message.senderId, { id: message.senderId, name });
+      }
+    }
+    return [...senders.values()];
+  }, [isGroup, conversation, messages, currentUserId]);
+
+  const hasFilters = Boolean(query.trim() || senderId || attachmentType || from || to);
+  // Загруженная история нужна только для локального поиска: в обычных чатах новые сообщения не перезапускают запрос
+  const localMessages = isSecret ? messages : null;
+  const searchAllChats = !isSecret && scope === 'all';
+
+  const buildParams = (offset) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+    if (query.trim()) params.set('q', query.trim());
+    if (!searchAllChats) params.set('conversationId', conversation.id);
+    if (senderId) params.set('senderId', senderId);
+    if (attachmentType) params.set('attachmentType', attachmentType);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return params;
+  };
+
+  const runServerSearch = async (offset) => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.get(`/messages/search?${buildParams(offset)}`);
+      // Ответ на устаревший запрос не должен перетирать новые результаты
+      if (requestId !== requestIdRef.current) return;
+      const { messages: found, pagination } = response.data;
+      setResults(prev => (offset === 0 ? found : [...prev, ...found]));
+      setTotal(pagination.total);
+      setHasMore(pagination.hasMore);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      setError(err.response?.data?.error || 'Не удалось выполнить поиск');
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!hasFilters) {
+      requestIdRef.current++;
+      setResults([]);
+      setTotal(0);
+      setHasMore(false);
+      setLoading(false);
+      return undefined;
+    }
+
+    // Секретный чат: поиск только на устройстве, без запросов к серверу
+    if (isSecret) {
+      const found = searchLocalMessages(localMessages, { query, senderId, from, to, attachmentType });
+      setResults(found);
+      setTotal(found.length);
+      setHasMore(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => runServerSearch(0), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, scope, senderId, attachmentType, from, to, isSecret, localMessages, conversation?.id]);
+
+  const handleResultClick = (message) => {
+    if (message.conversationId && message.conversationId !== conversation.id) {
+      onOpenConversation(message.conversationId);
+      onClose();
+      return;
+    }
+    if (onJumpToMessage(message.id)) {
+      onClose();
+    } else {
+      setError('Сообщение ещё не загружено — прокрутите историю чата выше');
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <div className={styles.modal} onClick={e => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h3>Поиск по сообщениям</h3>
+          <button className={styles.closeBtn} onClick={onClose}>×</button>
+        </div>
+
+        <div className={styles.filters}>
+          <input
+            type="text"
+            className={styles.searchInput}
+            placeholder="Текст, ссылка или имя файла"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            autoFocus
+          />
+
+          {isSecret ? (
+            <p className={styles.secretNote}>
+              🔒 Поиск идёт по сообщениям, загруженным на этом устройстве. Запрос не покидает устройство
+            </p>
+          ) : (
+            <div className={styles.scopeTabs}>
+              <button
+                className={`${styles.scopeTab} ${scope === 'conversation' ? styles.scopeTabActive : ''}`}
+                onClick={() => setScope('conversation')}
+              >
+                В этом чате
+              </button>
+              <button
+                className={`${styles.scopeTab} ${scope === 'all' ? styles.scopeTabActive : ''}`}
+                onClick={() => { setScope('all'); setSenderId(''); }}
+              >
+                Во всех чатах
+              </button>
+            </div>
+          )}
+
+          <div className={styles.filterRow}>
+            {!searchAllChats && senderOptions.length > 0 && (
+              <select className={styles.select} value={senderId} onChange={e => setSenderId(e.target.value)}>
+                <option value="">Все отправители</option>
+                {senderOptions.map(sender => (
+                  <option key={sender.id} value={sender.id}>{sender.name}</option>
+                ))}
+              </select>
+            )}
+            <select className={styles.select} value={attachmentType} onChange={e => setAttachmentType(e.target.value)}>
+              {ATTACHMENT_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={styles.filterRow}>
+            <label className={styles.dateLabel}>
+              с
+              <input type="date" className={styles.dateInput} value={from} onChange={e => setFrom(e.target.value)} />
+            </label>
+            <label className={styles.dateLabel}>
+              по
+              <input type="date" className={styles.dateInput} value={to} onChange={e => setTo(e.target.value)} />
+            </label>
+          </div>
+        </div>
+
+        <div className={styles.results}>
+          {error && <div className={styles.error}>{error}</div>}
+          {!hasFilters ? (
+            <div className={styles.empty}>Введите запрос или выберите фильтр</div>
+          ) : results.length === 0 && !loading ? (
+            <div className={styles.empty}>Ничего не найдено</div>
+          ) : (
+            <>
+              {total > 0 && <div className={styles.total}>Найдено: {total}</div>}
+              {results.map(message => {
+                const senderName = message.senderId === currentUserId
+                  ? 'Вы'
+                  : resolveDisplayName(message.senderId, message.sender?.displayName);
+                return (
+                  <button
+                    key={message.id}
+                    className={styles.resultItem}
+                    onClick={() => handleResultClick(message)}
+                  >
+                    <div className={styles.resultMeta}>
+                      <span className={styles.resultSender}>
+                        {senderName}
+                        {searchAllChats && message.conversationName && (
+                          <span className={styles.resultConversation}> · {message.conversationName}</span>
+                        )}
+                      </span>
+                      <span className={styles.resultDate}>{formatResultDate(message.createdAt)}</span>
+                    </div>
+                    <div className={styles.resultText}>
+                      {message.content
+                        ? highlightMatches(message.content, query).map((part, index) => (
+                          part.match
+                            ? <mark key={index} className={styles.highlight}>{part.text}</mark>
+                            : <React.Fragment key={index}>{part.text}</React.Fragment>
+                        ))
+                        : describeMessage(message)}
+                    </div>
+                  </button>
+                );
+              })}
+              {loading && <div className={styles.empty}>Поиск...</div>}
+              {hasMore && !loading && (
+                <button className={styles.moreBtn} onClick={() => runServerSearch(results.length)}>
+                  Показать ещё
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageSearchPanel;
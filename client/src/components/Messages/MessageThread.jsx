@@ -3,7 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { useAppSelector } from '../../hooks/useAppSelector';
 import { useAppDispatch } from '../../hooks/useAppDispatch';
 import { fetchMessages, fetchConversations, sendMessage, deleteMessage, pinMessage, fetchPinnedMessage, addMessageReaction, removeMessageReaction } from '../../store/slices/messagesSlice';
-import { addMessageHandler, removeMessageHandler } from '../../services/websocket';
+import { addMessageHandler, removeMessageHandler, sendTyping } from '../../services/websocket';
 import { hasSessionKey, getOrCreateSessionKey, fetchPublicKey, getSessionKey, encryptMessage, decryptMessage, isEncryptedMessage, needsRotation, rotateSessionKey, getRotationCounter, extractRotationCounter, getSessionKeyByRotation, hasGroupKey, getGroupKey, getGroupKeyByVersion, storeGroupKey, decryptGroupKey, encryptGroupMessage, decryptGroupMessage, isEncryptedGroupMessage, extractGroupKeyVersion } from '../../services/e2ee';
 import useConfirm from '../../hooks/useConfirm';
 import useAlert from '../../hooks/useAlert';
@@ -11,6 +11,7 @@ import useToast from '../../hooks/useToast';
 import Icon from '../Common/Icon';
 import ReportModal from '../Common/ReportModal';
 import { resolveDisplayNameWithTooltip } from '../../utils/nicknameResolver';
+import { formatTyping, formatPresence } from '../../utils/presence';
 import AttachmentDropdown from './AttachmentDropdown';
 import SuggestMediaModal from './SuggestMediaModal';
 import LocationModal from './LocationModal';
@@ -22,6 +23,7 @@ import GroupSettingsModal from './GroupSettingsModal';
 import AnnouncementModal from './AnnouncementModal';
 import MessageContextMenu from './MessageContextMenu';
 import ForwardMessageModal from './ForwardMessageModal';
+import MessageSearchPanel from './MessageSearchPanel';
 import QuickReactionsBar from './QuickReactionsBar';
 import MentionAutocomplete from '../Common/MentionAutocomplete';
 import ReactionPicker from '../Wall/ReactionPicker';
@@ -39,6 +41,9 @@ const parseLocation = (loc) => {
   return null;
 };
 
+// Как часто повторять typing_start, пока пользователь продолжает печатать
+const TYPING_THROTTLE = 3000;
+
 // Парсинг упоминаний в тексте сообщения
 const MENTION_REGEX = /@\[([^\]]+)\]\(([^)]+)\)/g;
 const renderMessageContent = (text) => {
@@ -82,7 +87,7 @@ const parseSuggestedMedia = (sm) => {
 const MessageThread = ({ conversation, onClose }) => {
   const dispatch = useAppDispatch();
   const navigate = useNavigate();
-  const { messages, group, loading, loadingMore, hasMoreMessages, sendingMessage, pinnedMessage } = useAppSelector((state) => state.messages);
+  const { messages, group, loading, loadingMore, hasMoreMessages, sendingMessage, pinnedMessage, presence, typing } = useAppSelector((state) => state.messages);
   const { user } = useAppSelector((state) => state.auth);
 
   const [conversationOverrides, setConversationOverrides] = useState({});
@@ -101,6 +106,7 @@ const MessageThread = ({ conversation, onClose }) => {
   const { toastContainer, showToast } = useToast();
   const [showMenu, setShowMenu] = useState(false);
   const [showReportModal, setShowReportModal] = useState(false);
+  const [reportMessage, setReportMessage] = useState(null);
   const [showAttachDropdown, setShowAttachDropdown] = useState(false);
   const [attachType, setAttachType] = useState('file');
   const [showLocationModal, setShowLocationModal] = useState(false);
@@ -133,8 +139,10 @@ const MessageThread = ({ conversation, onClose }) => {
   const [contextMenu, setContextMenu] = useState(null);
   const [replyTo, setReplyTo] = useState(null);
   const [forwardMessage, setForwardMessage] = useState(null);
+  const [showSearchPanel, setShowSearchPanel] = useState(false);
   const [showFullPicker, setShowFullPicker] = useState(false);
   const textareaRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
 
   const {
     isRecording,
@@ -220,6 +228,41 @@ const MessageThread = ({ conversation, onClose }) => {
     loadMessages();
   }, [conversation?.id, conversation?.isSecret, conversation?.otherUser?.id, dispatch]);
 
+  // При смене диалога и уходе со страницы сообщаем, что больше не печатаем
+  useEffect(() => {
+    const conversationId = conversation?.id;
+    return () => {
+      if (conversationId && lastTypingSentRef.current) {
+        sendTyping(conversationId, false);
+      }
+      lastTypingSentRef.current = 0;
+    };
+  }, [conversation?.id]);
+
+  // Индикатор набора: typing_start не чаще раза в TYPING_THROTTLE, typing_stop при очистке поля
+  const notifyTyping = (text) => {
+    if (!conversation?.id) return;
+
+    if (!text.trim()) {
+      if (lastTypingSentRef.current) {
+        sendTyping(conversation.id, false);
+        lastTypingSentRef.current = 0;
+      }
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastTypingSentRef.current >= TYPING_THROTTLE) {
+      sendTyping(conversation.id, true);
+      lastTypingSentRef.current = now;
+    }
+  };
+
+  const handleMessageTextChange = (text) => {
+    setMessageText(text);
+    notifyTyping(text);
+  };
+
   // Загружаем закреплённое сообщение при смене диалога
   useEffect(() => {
     if (conversation?.id) {
@@ -588,6 +631,7 @@ const MessageThread = ({ conversation, onClose }) => {
 
     setMessageText('');
     setSelectedFiles([]);
+    notifyTyping('');
 
     // Шифрование для секретных чатов и секретных групп
     if (conversation.isSecret && content) {
@@ -876,14 +920,15 @@ const MessageThread = ({ conversation, onClose }) => {
     setContextMenu(null);
   };
 
-  // Скролл к сообщению (для reply цитаты)
+  // Скролл к сообщению (для reply цитаты и результатов поиска)
+  // Возвращает false, если сообщение ещё не загружено в ленту
   const scrollToMessage = (messageId) => {
     const el = document.getElementById(`msg-${messageId}`);
-    if (el) {
-      el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      el.classList.add(styles.highlightMessage);
-      setTimeout(() => el.classList.remove(styles.highlightMessage), 2000);
-    }
+    if (!el) return false;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.add(styles.highlightMessage);
+    setTimeout(() => el.classList.remove(styles.highlightMessage), 2000);
+    return true;
   };
 
   // Реакция на сообщение
@@ -1078,6 +1123,10 @@ const MessageThread = ({ conversation, onClose }) => {
     );
   }
 
+  // Под именем: кто печатает, иначе статус собеседника в личном диалоге
+  const typingText = conversation.id ? formatTyping(typing[conversation.id], isGroup) : null;
+  const headerStatus = typingText || (!isGroup ? formatPresence(presence[conversation.otherUser?.id]) : null);
+
   return (
     <>
       {confirmDialog}
@@ -1136,20 +1185,27 @@ const MessageThread = ({ conversation, onClose }) => {
             </div>
           </a>
         )}
-        {isGroup ? (
-          <h2
-            className={`${styles.headerName} ${styles.headerNameClickable}`}
-            title="Групповой чат"
-            onClick={() => setShowMembersModal(true)}
-          >
-            👥 {getDisplayName()}
-          </h2>
-        ) : (
-          <h2 className={styles.headerName}>
-            {conversation.isSecret && <Icon name="secret-chat" size="small" className={styles.secretHeaderIcon} />}
-            {resolveDisplayNameWithTooltip(conversation.otherUser.id, conversation.otherUser.displayName).text}
-          </h2>
-        )}
+        <div className={styles.headerInfo}>
+          {isGroup ? (
+            <h2
+              className={`${styles.headerName} ${styles.headerNameClickable}`}
+              title="Групповой чат"
+              onClick={() => setShowMembersModal(true)}
+            >
+              👥 {getDisplayName()}
+            </h2>
+          ) : (
+            <h2 className={styles.headerName}>
+              {conversation.isSecret && <Icon name="secret-chat" size="small" className={styles.secretHeaderIcon} />}
+              {resolveDisplayNameWithTooltip(conversation.otherUser.id, conversation.otherUser.displayName).text}
+            </h2>
+          )}
+          {headerStatus && (
+            <span className={`${styles.headerStatus} ${typingText ? styles.headerStatusTyping : ''}`}>
+              {headerStatus}
+            </span>
+          )}
+        </div>
         {conversation.isSecret && (
           <span className={styles.secretChatBadge}>Секретный чат · E2EE</span>
         )}
@@ -1166,6 +1222,17 @@ const MessageThread = ({ conversation, onClose }) => {
           </button>
           {showMenu && (
             <div className={styles.headerDropdown}>
+              {effectiveConversation.id && (
+                <button
+                  className={styles.dropdownItem}
+                  onClick={() => {
+                    setShowMenu(false);
+                    setShowSearchPanel(true);
+                  }}
+                >
+                  <Icon name="search" size="small" /> Поиск по сообщениям
+                </button>
+              )}
               {!isGroup && (
                 <button
                   className={styles.dropdownItem}
@@ -1778,7 +1845,7 @@ const MessageThread = ({ conversation, onClose }) => {
                     ref={textareaRef}
                     className={styles.input}
                     value={messageText}
-                    onChange={(e) => setMessageText(e.target.value)}
+                    onChange={(e) => handleMessageTextChange(e.target.value)}
                     onKeyDown={handleKeyDown}
                     placeholder={conversation?.isSecret && !hasEncryptionKey ? "Нет ключа шифрования..." : (isGroup ? "Напишите сообщение..." : "Напишите сообщение...")}
                     rows={1}
@@ -1788,7 +1855,7 @@ const MessageThread = ({ conversation, onClose }) => {
                     <MentionAutocomplete
                       textareaRef={textareaRef}
                       onMentionSelect={() => {}}
-                      onTextChange={(text) => setMessageText(text)}
+                      onTextChange={handleMessageTextChange}
                       position="top"
                     />
                   )}
@@ -1810,7 +1877,7 @@ const MessageThread = ({ conversation, onClose }) => {
                       <button
                         type="button"
                         className={styles.clearInputButton}
-                        onClick={() => setMessageText('')}
+                        onClick={() => handleMessageTextChange('')}
                         title="Очистить"
                       >
                         ✕
@@ -1928,6 +1995,7 @@ const MessageThread = ({ conversation, onClose }) => {
           onForward={() => handleForward(contextMenu.message)}
           onPin={() => handlePin(contextMenu.message.id)}
           onDelete={handleDeleteFromMenu}
+          onReport={() => { setReportMessage(contextMenu.message); setContextMenu(null); }}
           onReaction={(emoji) => handleReaction(contextMenu.message.id, emoji)}
           onOpenFullPicker={() => { setShowFullPicker(contextMenu.message.id); }}
           isPinned={contextMenu.message.isPinned}
@@ -1941,6 +2009,17 @@ const MessageThread = ({ conversation, onClose }) => {
           onClose={() => setForwardMessage(null)}
         />
       )}
+
+      {showSearchPanel && (
+        <MessageSearchPanel
+          conversation={effectiveConversation}
+          messages={messages}
+          currentUserId={user.id}
+          onJumpToMessage={scrollToMessage}
+          onOpenConversation={(conversationId) => navigate(`/messages?conversation=${conversationId}`)}
+          onClose={() => setShowSearchPanel(false)}
+        />
+      )}
       {showFullPicker && (
         <div className={styles.fullPickerContainer} onClick={e => e.stopPropagation()}>
           <ReactionPicker
@@ -1956,6 +2035,16 @@ const MessageThread = ({ conversation, onClose }) => {
           onClose={() => setShowReportModal(false)}
         />
       )}
+      {reportMessage && (
+        <ReportModal
+          targetType="message"
+          targetId={reportMessage.id}
+          reportedUserId={reportMessage.senderId}
+          reportedUserName={reportMessage.sender?.displayName || conversation.otherUser?.displayName}
+          snapshotText={isSecret ? reportMessage.content : undefined}
+          onClose={() => setReportMessage(null)}
+        />
+      )}
       {showSuggestModal && (
         <SuggestMediaModal
           mediaType={suggestMediaType}
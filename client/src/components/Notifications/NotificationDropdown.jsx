@@ -100,6 +100,20 @@ const NotificationDropdown = ({ isOpen, onClose, buttonRef }) => {
       return;
     }
 
+    // Для уведомлений о достижении — переходим в свой профиль к блоку достижений
+    if (notification.type === 'achievement_unlocked') {
+      window.location.href = `/user/${notification.userId}`;
+      onClose();
+      return;
+    }
+
+    // Для уведомлений о новых сериях и релизах — переходим в «Что смотреть»
+    if (notification.type === 'new_episode' || notification.type === 'release') {
+      window.location.href = '/calendar';
+      onClose();
+      return;
+    }
+
     // Для уведомлений об упоминании — переходим на стену автора
     if (notification.type === 'mention' && notification.relatedUserId) {
       window.location.href = `/user/${notification.relatedUserId}`;
@@ -107,6 +121,13 @@ const NotificationDropdown = ({ isOpen, onClose, buttonRef }) => {
       return;
     }
 
+    // Для уведомлений о списках — переходим на страницу списка
+    if ((notification.type === 'list_item_added' || notification.type === 'list_collaborator_added') && notification.relatedPostId) {
+      window.location.href = `/lists/${notification.relatedPostId}`;
+      onClose();
+      return;
+    }
+
     // Для уведомлений об упоминании в групповом чате — переходим в конкретный чат
     if (notification.type === 'group_mention' || notification.type === 'group_announcement') {
       if (notification.relatedPostId) {
@@ -228,6 +249,15 @@ const NotificationDropdown = ({ isOpen, onClose, buttonRef }) => {
         return 'announcement';
       case 'group_mention':
         return 'messages';
+      case 'achievement_unlocked':
+        return 'star';
+      case 'new_episode':
+        return 'tv';
+      case 'release':
+        return 'movies';
+      case 'list_item_added':
+      case 'list_collaborator_added':
+        return 'lists';
       default:
         return 'bell';
     }
@@ -58,12 +58,30 @@ const NotificationList = () => {
       return;
     }
 
+    // Для уведомлений о достижении — переходим в свой профиль к блоку достижений
+    if (notification.type === 'achievement_unlocked') {
+      window.location.href = `/user/${notification.userId}`;
+      return;
+    }
+
+    // Для уведомлений о новых сериях и релизах — переходим в «Что смотреть»
+    if (notification.type === 'new_episode' || notification.type === 'release') {
+      window.location.href = '/calendar';
+      return;
+    }
+
     // Для уведомлений об упоминании — переходим на стену автора
     if (notification.type === 'mention' && notification.relatedUserId) {
       window.location.href = `/user/${notification.relatedUserId}`;
       return;
     }
 
+    // Для уведомлений о списках — переходим на страницу списка
+    if ((notification.type === 'list_item_added' || notification.type === 'list_collaborator_added') && notification.relatedPostId) {
+      window.location.href = `/lists/${notification.relatedPostId}`;
+      return;
+    }
+
     // Для уведомлений об упоминании в групповом чате — переходим в конкретный чат
     if (notification.type === 'group_mention' || notification.type === 'group_announcement') {
       if (notification.relatedPostId) {
@@ -191,6 +209,15 @@ const NotificationList = () => {
         return <Icon name="announcement" size="small" />;
       case 'group_mention':
         return <Icon name="messages" size="small" />;
+      case 'achievement_unlocked':
+        return <Icon name="star" size="small" />;
+      case 'new_episode':
+        return <Icon name="tv" size="small" />;
+      case 'release':
+        return <Icon name="movies" size="small" />;
+      case 'list_item_added':
+      case 'list_collaborator_added':
+        return <Icon name="lists" size="small" />;
       default:
         return <Icon name="bell" size="small" />;
     }
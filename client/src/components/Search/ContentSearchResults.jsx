@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
+import UserAvatar from '../User/UserAvatar';
+import WallPostModal from '../Wall/WallPostModal';
+import HighlightedText from './HighlightedText';
+import { resolveDisplayName } from '../../utils/nicknameResolver';
+import styles from './ContentSearchResults.module.css';
+
+const PAGE_SIZE = 20;
+
+// Подпись типа результата
+const TYPE_LABELS = {
+  posts: 'Запись',
+  reviews: 'Рецензия',
+  lists: 'Список',
+  comments: 'Комментарий'
+};
+
+const formatDate = (createdAt) => new Date(createdAt).toLocaleDateString('ru-RU', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * Результаты поиска по контенту сайта одного типа (/api/search?type=...)
+ * Записи, рецензии и комментарии открываются в модальном окне поста, списки — на своей странице
+ */
+const ContentSearchResults = ({ query, type }) => {
+  const navigate = useNavigate();
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [openPostId, setOpenPostId] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const loadPage = async (offset) => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ q: query, type, limit: PAGE_SIZE, offset });
+      const response = await api.get(`/search?${params}`);
+      // Ответ на устаревший запрос не должен перетирать новые результаты
+      if (requestId !== requestIdRef.current) return;
+      const group = response.data.groups[type];
+      setItems(prev => (offset === 0 ? group.items : [...prev, ...group.items]));
+      setTotal(group.total);
+      setHasMore(group.hasMore);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      setError(err.response?.data?.error || 'Не удалось выполнить поиск');
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setItems([]);
+    setTotal(0);
+    setHasMore(false);
+    if (query.trim()) {
+      loadPage(0);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, type]);
+
+  const handleItemClick = (item) => {
+    if (type === 'lists') {
+      navigate(`/lists/${item.id}`);
+    } else {
+      setOpenPostId(type === 'comments' ? item.postId : item.id);
+    }
+  };
+
+  if (error) {
+    return <div className={styles.message}>{error}</div>;
+  }
+
+  if (!loading && items.length === 0) {
+    return <div className={styles.message}>Ничего не найдено</div>;
+  }
+
+  return (
+    <div className={styles.container}>
+      {total > 0 && <div className={styles.total}>Найдено: {total}</div>}
+
+      {items.map(item => (
+        <div key={item.id} className={styles.item} onClick={() => handleItemClick(item)}>
+          <div className={styles.meta}>
+            <UserAvatar user={item.author} size="small" />
+            <span className={styles.author}>{resolveDisplayName(item.author.id, item.author.displayName)}</span>
+            <span className={styles.type}>{TYPE_LABELS[type]}</span>
+            <span className={styles.date}>{formatDate(item.createdAt)}</span>
+          </div>
+
+          {type === 'lists' ? (
+            <div className={styles.title}>
+              <HighlightedText text={item.name} query={query} />
+              <span className={styles.count}> · {item.itemsCount || 0}</span>
+            </div>
+          ) : (
+            <>
+              {item.title && (
+                <div className={styles.title}>
+                  <HighlightedText text={item.title} query={query} />
+                  {item.rating > 0 && <span className={styles.count}> · ★ {item.rating}</span>}
+                </div>
+              )}
+              <div className={styles.snippet}>
+                <HighlightedText text={item.snippet} query={query} />
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+
+      {loading && <div className={styles.message}>Поиск...</div>}
+      {hasMore && !loading && (
+        <button className={styles.moreButton} onClick={() => loadPage(items.length)}>
+          Показать ещё
+        </button>
+      )}
+
+      {openPostId && (
+        <WallPostModal
+          postId={openPostId}
+          isOpen={Boolean(openPostId)}
+          onClose={() => setOpenPostId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ContentSearchResults;
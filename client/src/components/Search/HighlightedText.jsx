@@ -0,0 +1,18 @@
+import React from 'react';
+import { highlightMatches } from '../../utils/searchText';
+import styles from './HighlightedText.module.css';
+
+/**
+ * Текст с подсвеченными совпадениями поискового запроса
+ */
+const HighlightedText = ({ text, query }) => (
+  <>
+    {highlightMatches(text, query).map((part, index) => (
+      part.match
+        ? <mark key={index} className={styles.highlight}>{part.text}</mark>
+        : <React.Fragment key={index}>{part.text}</React.Fragment>
+    ))}
+  </>
+);
+
+export default HighlightedText;
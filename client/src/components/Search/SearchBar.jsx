@@ -1,28 +1,44 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAppDispatch } from '../../hooks/useAppDispatch';
-import { useAppSelector } from '../../hooks/useAppSelector';
-import { searchMedia, setSearchQuery, clearError } from '../../store/slices/mediaSlice';
+import { setSearchQuery } from '../../store/slices/mediaSlice';
 import { ErrorMessageInline } from '../ErrorMessage';
 import Icon from '../Common/Icon';
 import UserAvatar from '../User/UserAvatar';
+import WallPostModal from '../Wall/WallPostModal';
+import HighlightedText from './HighlightedText';
+import api from '../../services/api';
 import styles from './SearchBar.module.css';
 
+// Группы preview в порядке отображения
+const PREVIEW_GROUPS = [
+  { key: 'media', title: 'Фильмы и сериалы' },
+  { key: 'users', title: 'Люди' },
+  { key: 'posts', title: 'Записи' },
+  { key: 'reviews', title: 'Рецензии' },
+  { key: 'lists', title: 'Списки' },
+  { key: 'comments', title: 'Комментарии' }
+];
+
 /**
  * Компонент поисковой строки с preview
- * Отображает быстрый предпросмотр результатов при вводе
+ * Отображает быстрый предпросмотр результатов при вводе, сгруппированный по типам (/api/search)
  */
 const SearchBar = () => {
   const dispatch = useAppDispatch();
   const navigate = useNavigate();
-  const { searchResults, loading, error } = useAppSelector((state) => state.media);
-  
+
   const [query, setQuery] = useState('');
   const [showPreview, setShowPreview] = useState(false);
   const [debouncedQuery, setDebouncedQuery] = useState('');
-  
+  const [groups, setGroups] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [openPostId, setOpenPostId] = useState(null);
+
   const searchRef = useRef(null);
   const debounceTimerRef = useRef(null);
+  const requestIdRef = useRef(0);
 
   // Debounce для поиска - задержка 300ms
   useEffect(() => {
@@ -43,13 +59,32 @@ const SearchBar = () => {
 
   // Выполняем поиск когда debouncedQuery изменяется
   useEffect(() => {
-    if (debouncedQuery.trim().length > 0) {
-      dispatch(searchMedia({ query: debouncedQuery, filters: {} }));
-      setShowPreview(true);
-    } else {
+    const trimmed = debouncedQuery.trim();
+    if (!trimmed) {
+      requestIdRef.current++;
       setShowPreview(false);
+      setGroups(null);
+      return;
     }
-  }, [debouncedQuery, dispatch]);
+
+    const requestId = ++requestIdRef.current;
+    setShowPreview(true);
+    setLoading(true);
+    api.get(`/search?${new URLSearchParams({ q: trimmed })}`)
+      .then((response) => {
+        // Ответ на устаревший запрос не должен перетирать новые результаты
+        if (requestId === requestIdRef.current) setGroups(response.data.groups);
+      })
+      .catch((err) => {
+        if (requestId === requestIdRef.current) {
+          setGroups(null);
+          setError(err.response?.data?.error || 'Не удалось выполнить поиск');
+        }
+      })
+      .finally(() => {
+        if (requestId === requestIdRef.current) setLoading(false);
+      });
+  }, [debouncedQuery]);
 
   // Закрываем preview при клике вне компонента
   useEffect(() => {
@@ -73,7 +108,7 @@ const SearchBar = () => {
     
     // Очищаем ошибку при новом вводе
     if (error) {
-      dispatch(clearError());
+      setError(null);
     }
   };
 
@@ -86,19 +121,81 @@ const SearchBar = () => {
   };
 
   // Обработка клика на результат в preview
-  const handleResultClick = (result) => {
+  const handleResultClick = (group, item) => {
     setShowPreview(false);
-    
-    if (result.type === 'user') {
-      navigate(`/user/${result.data.id}`);
+
+    if (group === 'media') {
+      navigate(`/media/${item.mediaType}/${item.tmdbId}`);
+    } else if (group === 'users') {
+      navigate(`/user/${item.id}`);
+    } else if (group === 'lists') {
+      navigate(`/lists/${item.id}`);
     } else {
-      navigate(`/media/${result.data.mediaType}/${result.data.tmdbId}`);
+      // Записи, рецензии и комментарии открываются в модальном окне поста
+      setOpenPostId(group === 'comments' ? item.postId : item.id);
     }
   };
 
-  // Получаем первые 5 результатов для preview
-  // Проверяем, что searchResults это массив
-  const previewResults = Array.isArray(searchResults) ? searchResults.slice(0, 5) : [];
+  // Непустые группы для preview
+  const previewGroups = groups
+    ? PREVIEW_GROUPS.filter(group => groups[group.key]?.items.length > 0)
+    : [];
+  const hasMoreResults = previewGroups.some(group => groups[group.key].hasMore);
+
+  // Содержимое строки результата в зависимости от группы
+  const renderPreviewItem = (group, item) => {
+    if (group === 'media') {
+      return (
+        <div className={styles.mediaResult}>
+          <img
+            src={
+              item.posterPath
+                ? `https://image.tmdb.org/t/p/w92${item.posterPath}`
+                : '/default-poster.png'
+            }
+            alt={item.title}
+            className={styles.mediaPoster}
+          />
+          <div className={styles.mediaInfo}>
+            <span className={styles.mediaTitle}>
+              <HighlightedText text={item.title} query={query} />
+            </span>
+            <span className={styles.mediaType}>
+              {item.mediaType === 'movie' ? 'Фильм' : 'Сериал'}
+            </span>
+          </div>
+        </div>
+      );
+    }
+
+    if (group === 'users') {
+      return (
+        <div className={styles.userResult}>
+          <UserAvatar user={item} size="small" />
+          <div className={styles.userInfo}>
+            <span className={styles.userName}>
+              <HighlightedText text={item.nickname || item.displayName} query={query} />
+            </span>
+            <span className={styles.userType}>Пользователь</span>
+          </div>
+        </div>
+      );
+    }
+
+    const text = group === 'lists' ? item.name : item.snippet;
+    return (
+      <div className={styles.userResult}>
+        <UserAvatar user={item.author} size="small" />
+        <div className={styles.userInfo}>
+          {item.title && <span className={styles.userName}>{item.title}</span>}
+          <span className={styles.contentSnippet}>
+            <HighlightedText text={text} query={query} />
+          </span>
+          <span className={styles.userType}>{item.author.displayName}</span>
+        </div>
+      </div>
+    );
+  };
 
   // Обработка клика на кнопку поиска - переход на полную страницу
   const handleSearchButtonClick = () => {
@@ -138,58 +235,37 @@ const SearchBar = () => {
           {/* Отображение ошибки */}
           {error && (
             <div className={styles.previewError}>
-              <ErrorMessageInline 
-                error={error} 
-                onClose={() => dispatch(clearError())} 
+              <ErrorMessageInline
+                error={error}
+                onClose={() => setError(null)}
               />
             </div>
           )}
-          
+
           {loading ? (
             <div className={styles.previewLoading}>
               <span>Поиск...</span>
             </div>
-          ) : previewResults.length > 0 ? (
+          ) : previewGroups.length > 0 ? (
             <>
-              <ul className={styles.previewList}>
-                {previewResults.map((result, index) => (
-                  <li
-                    key={`${result.type}-${result.data.id || result.data.tmdbId}-${index}`}
-                    className={styles.previewItem}
-                    onClick={() => handleResultClick(result)}
-                  >
-                    {result.type === 'user' ? (
-                      <div className={styles.userResult}>
-                        <UserAvatar user={result.data} size="small" />
-                        <div className={styles.userInfo}>
-                          <span className={styles.userName}>{result.data.displayName}</span>
-                          <span className={styles.userType}>Пользователь</span>
-                        </div>
-                      </div>
-                    ) : (
-                      <div className={styles.mediaResult}>
-                        <img
-                          src={
-                            result.data.posterPath
-                              ? `https://image.tmdb.org/t/p/w92${result.data.posterPath}`
-                              : '/default-poster.png'
-                          }
-                          alt={result.data.title}
-                          className={styles.mediaPoster}
-                        />
-                        <div className={styles.mediaInfo}>
-                          <span className={styles.mediaTitle}>{result.data.title}</span>
-                          <span className={styles.mediaType}>
-                            {result.data.mediaType === 'movie' ? 'Фильм' : 'Сериал'}
-                          </span>
-                        </div>
-                      </div>
-                    )}
-                  </li>
-                ))}
-              </ul>
-              
-              {searchResults.length > 5 && (
+              {previewGroups.map(group => (
+                <div key={group.key}>
+                  <div className={styles.previewGroupTitle}>{group.title}</div>
+                  <ul className={styles.previewList}>
+                    {groups[group.key].items.map(item => (
+                      <li
+                        key={`${group.key}-${item.id || item.tmdbId}-${item.mediaType || ''}`}
+                        className={styles.previewItem}
+                        onClick={() => handleResultClick(group.key, item)}
+                      >
+                        {renderPreviewItem(group.key, item)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+
+              {hasMoreResults && (
                 <div
                   className={styles.previewFooter}
                   onClick={() => {
@@ -197,17 +273,25 @@ const SearchBar = () => {
                     navigate(`/search?q=${encodeURIComponent(query)}`);
                   }}
                 >
-                  Показать все результаты ({searchResults.length})
+                  Показать все результаты
                 </div>
               )}
             </>
-          ) : (
+          ) : !error && (
             <div className={styles.previewEmpty}>
               <span>Ничего не найдено</span>
             </div>
           )}
         </div>
       )}
+
+      {openPostId && (
+        <WallPostModal
+          postId={openPostId}
+          isOpen={Boolean(openPostId)}
+          onClose={() => setOpenPostId(null)}
+        />
+      )}
     </div>
   );
 };
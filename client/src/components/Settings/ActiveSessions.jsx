@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import useAlert from '../../hooks/useAlert.jsx';
+import useConfirm from '../../hooks/useConfirm.jsx';
+import api from '../../services/api';
+import styles from './ActiveSessions.module.css';
+
+/**
+ * Адрес для отображения: локальные подключения подписываются отдельно
+ */
+const formatIpAddress = (ipAddress) => {
+  if (!ipAddress) return 'IP неизвестен';
+  return (ipAddress === '127.0.0.1' || ipAddress === '::1') ? 'Локальное подключение' : ipAddress;
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('ru-RU', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Список активных сессий с завершением сессии на другом устройстве
+ * Отображается в секции "Аккаунт и безопасность"
+ */
+function ActiveSessions() {
+  const { alertDialog, showAlert } = useAlert();
+  const { confirmDialog, showConfirm } = useConfirm();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const result = await api.get('/auth/sessions');
+      setSessions(result.data.sessions);
+    } catch (error) {
+      console.error('Ошибка загрузки сессий:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Завершение сессии на другом устройстве
+  const handleRevokeSession = async (session) => {
+    const confirmed = await showConfirm({
+      title: 'Завершить сессию?',
+      message: `На устройстве «${session.deviceName}» потребуется войти заново.`,
+      confirmText: 'Завершить',
+      cancelText: 'Отмена',
+      confirmButtonStyle: 'danger'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (error) {
+      console.error('Ошибка завершения сессии:', error);
+      await showAlert({
+        title: 'Ошибка',
+        message: 'Не удалось завершить сессию',
+        type: 'error'
+      });
+    }
+  };
+
+  return (
+    <>
+      {alertDialog}
+      {confirmDialog}
+
+      <div className={styles.container}>
+        <h4 className={styles.sectionTitle}>Активные сессии</h4>
+        <p className={styles.description}>
+          Устройства, на которых выполнен вход в аккаунт. О входе с нового устройства придёт уведомление.
+        </p>
+
+        {loading ? (
+          <div className={styles.loading}>Загрузка...</div>
+        ) : sessions.length === 0 ? (
+          <div className={styles.empty}>Нет активных сессий</div>
+        ) : (
+          <div className={styles.sessionsList}>
+            {sessions.map(session => (
+              <div
+                key={session.id}
+                className={`${styles.sessionItem} ${session.isCurrent ? styles.current : ''}`}
+              >
+                <div className={styles.sessionInfo}>
+                  <span className={styles.sessionName}>
+                    {session.deviceName}
+                    {session.isCurrent && <span className={styles.currentBadge}>Это устройство</span>}
+                  </span>
+                  <span className={styles.sessionMeta}>
+                    {formatIpAddress(session.ipAddress)} · активность {formatDateTime(session.lastActivityAt)}
+                    {session.sessionsCount > 1 && ` · входов: ${session.sessionsCount}`}
+                  </span>
+                  <span className={styles.sessionMeta}>
+                    Вход {formatDateTime(session.createdAt)}
+                  </span>
+                </div>
+                {!session.isCurrent && (
+                  <button
+                    onClick={() => handleRevokeSession(session)}
+                    className={styles.revokeButton}
+                  >
+                    Завершить
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default ActiveSessions;
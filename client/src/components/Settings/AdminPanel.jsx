@@ -110,6 +110,12 @@ const AdminPanel = () => {
               <span className={styles.badge}>{newReportsCount}</span>
             )}
           </button>
+          <button
+            onClick={() => navigate('/admin/content-filter')}
+            className={styles.btnNavigation}
+          >
+            <Icon name="report" size="small" /> Фильтр контента
+          </button>
         </div>
       </div>
 
@@ -0,0 +1,380 @@
+import { useState } from 'react';
+import useAlert from '../../hooks/useAlert.jsx';
+import useConfirm from '../../hooks/useConfirm.jsx';
+import Icon from '../Common/Icon';
+import api from '../../services/api';
+import styles from './ImportHistory.module.css';
+
+const SOURCES = [
+  { value: 'letterboxd', label: 'Letterboxd', accept: '.csv', hint: 'ratings.csv, watched.csv, watchlist.csv, diary.csv или CSV списков из архива экспорта' },
+  { value: 'imdb', label: 'IMDb', accept: '.csv', hint: 'ratings.csv или WATCHLIST.csv со страницы экспорта IMDb' },
+  { value: 'trakt', label: 'Trakt', accept: '.json', hint: 'ratings-*.json, watchlist-*.json, watched-*.json из резервной копии Trakt' },
+  { value: 'watchrebel', label: 'watchRebel (JSON экспорт)', accept: '.json', hint: 'Файл из «Экспорт → JSON» на странице списков, например из другого аккаунта watchRebel' }
+];
+
+const RESTORE_MODES = [
+  { value: 'merge', label: 'Объединить с текущими данными' },
+  { value: 'replace', label: 'Заменить текущие данные' }
+];
+
+const RESTORE_CONFLICTS = [
+  { value: 'keep', label: 'При конфликте оставить моё' },
+  { value: 'overwrite', label: 'При конфликте взять из файла' }
+];
+
+const TARGET_LABELS = {
+  rating: 'Оценка',
+  watchlist: 'Хочу посмотреть',
+  list: 'Список'
+};
+
+const STATUS_LABELS = {
+  matched: 'Найдено',
+  ambiguous: 'Несколько вариантов',
+  unmatched: 'Не найдено'
+};
+
+// Сопоставление с TMDb для больших экспортов занимает минуты — отключаем стандартный таймаут
+const IMPORT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Импорт истории просмотров из Letterboxd, IMDb и Trakt
+ * Сначала показывает dry-run отчёт сопоставления, запись происходит только после подтверждения.
+ * Собственный JSON экспорт watchRebel восстанавливается сразу, без сопоставления.
+ */
+function ImportHistory() {
+  const { alertDialog, showAlert } = useAlert();
+  const { confirmDialog, showConfirm } = useConfirm();
+
+  const [source, setSource] = useState('letterboxd');
+  const [files, setFiles] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [selection, setSelection] = useState({}); // rowId -> кандидат или null (пропустить)
+  const [overwriteRatings, setOverwriteRatings] = useState(false);
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [restoreConflicts, setRestoreConflicts] = useState('keep');
+  const [loading, setLoading] = useState(false);
+  const [committing, setCommitting] = useState(false);
+
+  const sourceInfo = SOURCES.find(s => s.value === source);
+  const isRestore = source === 'watchrebel';
+
+  const resetPreview = () => {
+    setPreview(null);
+    setSelection({});
+  };
+
+  const handlePreview = async () => {
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    formData.append('source', source);
+    files.forEach(file => formData.append('files', file));
+
+    try {
+      setLoading(true);
+      resetPreview();
+      const response = await api.post('/import/preview', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: IMPORT_TIMEOUT
+      });
+
+      // Найденные строки отмечаем сразу, неоднозначные пользователь выбирает сам
+      const initialSelection = {};
+      response.data.rows.forEach(row => {
+        if (row.status === 'matched') initialSelection[row.rowId] = row.match;
+      });
+
+      setPreview(response.data);
+      setSelection(initialSelection);
+    } catch (error) {
+      console.error('Ошибка предпросмотра импорта:', error);
+      await showAlert({
+        title: 'Ошибка',
+        message: error.message || 'Не удалось обработать файл',
+        type: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (files.length !== 1) return;
+
+    if (restoreMode === 'replace') {
+      const confirmed = await showConfirm({
+        title: 'Заменить данные?',
+        message: 'Все ваши списки, «Хочу посмотреть» и оценки будут удалены и заменены содержимым файла.',
+        confirmText: 'Заменить',
+        confirmButtonStyle: 'danger'
+      });
+      if (!confirmed) return;
+    }
+
+    const formData = new FormData();
+    formData.append('mode', restoreMode);
+    formData.append('conflicts', restoreConflicts);
+    formData.append('files', files[0]);
+
+    try {
+      setCommitting(true);
+      const response = await api.post('/import/watchrebel', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: IMPORT_TIMEOUT
+      });
+
+      const report = response.data;
+      await showAlert({
+        title: 'Восстановление завершено',
+        message: [
+          `В списки: ${report.listItems}${report.listsCreated ? ` (новых списков: ${report.listsCreated})` : ''}`,
+          report.moved ? `Перенесено из других списков: ${report.moved}` : null,
+          report.notesUpdated ? `Обновлено заметок: ${report.notesUpdated}` : null,
+          `В «Хочу посмотреть»: ${report.watchlist}`,
+          `Оценок: ${report.ratings}${report.ratingsUpdated ? ` (обновлено ${report.ratingsUpdated})` : ''}`,
+          `Пропущено (уже есть): ${report.skipped}`,
+          report.conflicts.some(c => c.resolution === 'kept')
+            ? `Конфликтов (оставлено как было): ${report.conflicts.filter(c => c.resolution === 'kept').length}`
+            : null,
+          report.legacyItems ? `Без идентификатора TMDb (старый экспорт): ${report.legacyItems}` : null,
+          report.errors.length ? `Ошибок: ${report.errors.length}` : null
+        ].filter(Boolean).join('\n'),
+        type: 'success'
+      });
+
+      setFiles([]);
+    } catch (error) {
+      console.error('Ошибка восстановления из экспорта:', error);
+      await showAlert({
+        title: 'Ошибка',
+        message: error.message || 'Не удалось восстановить данные',
+        type: 'error'
+      });
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const handleToggleRow = (row) => {
+    setSelection(prev => ({
+      ...prev,
+      [row.rowId]: prev[row.rowId] ? null : row.match
+    }));
+  };
+
+  const handleChooseCandidate = (row, tmdbId) => {
+    const candidate = row.candidates.find(c => String(c.tmdbId) === tmdbId) || null;
+    setSelection(prev => ({ ...prev, [row.rowId]: candidate }));
+  };
+
+  const selectedItems = preview
+    ? preview.rows
+        .filter(row => selection[row.rowId])
+        .map(row => ({
+          tmdbId: selection[row.rowId].tmdbId,
+          mediaType: selection[row.rowId].mediaType,
+          target: row.target,
+          rating: row.rating,
+          listName: row.listName
+        }))
+    : [];
+
+  const handleCommit = async () => {
+    if (selectedItems.length === 0) return;
+
+    try {
+      setCommitting(true);
+      const response = await api.post('/import/commit', {
+        items: selectedItems,
+        overwriteRatings
+      }, { timeout: IMPORT_TIMEOUT });
+
+      const report = response.data;
+      await showAlert({
+        title: 'Импорт завершён',
+        message: [
+          `Оценок: ${report.ratings}${report.ratingsUpdated ? ` (обновлено ${report.ratingsUpdated})` : ''}`,
+          `В «Хочу посмотреть»: ${report.watchlist}`,
+          `В списки: ${report.listItems}${report.listsCreated ? ` (новых списков: ${report.listsCreated})` : ''}`,
+          `Пропущено (уже есть): ${report.skipped}`,
+          report.errors.length ? `Ошибок: ${report.errors.length}` : null
+        ].filter(Boolean).join('\n'),
+        type: 'success'
+      });
+
+      resetPreview();
+      setFiles([]);
+    } catch (error) {
+      console.error('Ошибка импорта:', error);
+      await showAlert({
+        title: 'Ошибка',
+        message: error.message || 'Не удалось выполнить импорт',
+        type: 'error'
+      });
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      {alertDialog}
+      {confirmDialog}
+
+      <div className={styles.controls}>
+        <select
+          className={styles.sourceSelect}
+          value={source}
+          onChange={(e) => {
+            setSource(e.target.value);
+            setFiles([]);
+            resetPreview();
+          }}
+          disabled={loading || committing}
+        >
+          {SOURCES.map(s => (
+            <option key={s.value} value={s.value}>{s.label}</option>
+          ))}
+        </select>
+
+        <label className={styles.fileLabel}>
+          <Icon name="paperclip" size="small" />
+          {files.length > 0 ? `Файлов: ${files.length}` : 'Выбрать файлы'}
+          <input
+            type="file"
+            accept={sourceInfo.accept}
+            multiple={!isRestore}
+            className={styles.fileInput}
+            onChange={(e) => {
+              setFiles(Array.from(e.target.files || []));
+              resetPreview();
+            }}
+            disabled={loading || committing}
+          />
+        </label>
+
+        {isRestore ? (
+          <button
+            className={styles.primaryButton}
+            onClick={handleRestore}
+            disabled={files.length !== 1 || committing}
+          >
+            {committing ? 'Восстанавливаем...' : 'Восстановить'}
+          </button>
+        ) : (
+          <button
+            className={styles.primaryButton}
+            onClick={handlePreview}
+            disabled={files.length === 0 || loading || committing}
+          >
+            {loading ? 'Проверяем...' : 'Проверить'}
+          </button>
+        )}
+      </div>
+
+      {isRestore && (
+        <div className={`${styles.controls} ${styles.restoreOptions}`}>
+          <select
+            className={styles.sourceSelect}
+            value={restoreMode}
+            onChange={(e) => setRestoreMode(e.target.value)}
+            disabled={committing}
+          >
+            {RESTORE_MODES.map(m => (
+              <option key={m.value} value={m.value}>{m.label}</option>
+            ))}
+          </select>
+
+          <select
+            className={styles.sourceSelect}
+            value={restoreConflicts}
+            onChange={(e) => setRestoreConflicts(e.target.value)}
+            disabled={committing}
+          >
+            {RESTORE_CONFLICTS.map(c => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <p className={styles.hint}>{sourceInfo.hint}</p>
+
+      {preview && (
+        <div className={styles.preview}>
+          <div className={styles.summary}>
+            <span className={styles.summaryMatched}>Найдено: {preview.summary.matched}</span>
+            <span className={styles.summaryAmbiguous}>Несколько вариантов: {preview.summary.ambiguous}</span>
+            <span className={styles.summaryUnmatched}>Не найдено: {preview.summary.unmatched}</span>
+          </div>
+
+          <ul className={styles.rows}>
+            {preview.rows.map(row => (
+              <li key={row.rowId} className={`${styles.row} ${styles[row.status]}`}>
+                <div className={styles.rowMain}>
+                  {row.status === 'matched' && (
+                    <input
+                      type="checkbox"
+                      checked={Boolean(selection[row.rowId])}
+                      onChange={() => handleToggleRow(row)}
+                    />
+                  )}
+                  <span className={styles.rowTitle}>
+                    {row.title}{row.year ? ` (${row.year})` : ''}
+                  </span>
+                  <span className={styles.rowTarget}>
+                    {TARGET_LABELS[row.target]}
+                    {row.target === 'rating' && `: ${row.rating}/10`}
+                    {row.target === 'list' && `: ${row.listName}`}
+                  </span>
+                  <span className={styles.rowStatus}>{STATUS_LABELS[row.status]}</span>
+                </div>
+
+                {row.status === 'matched' && row.match && row.match.title !== row.title && (
+                  <div className={styles.rowMatch}>
+                    → {row.match.title}{row.match.year ? ` (${row.match.year})` : ''}
+                  </div>
+                )}
+
+                {row.status === 'ambiguous' && (
+                  <select
+                    className={styles.candidateSelect}
+                    value={selection[row.rowId]?.tmdbId || ''}
+                    onChange={(e) => handleChooseCandidate(row, e.target.value)}
+                  >
+                    <option value="">Пропустить</option>
+                    {row.candidates.map(c => (
+                      <option key={`${c.mediaType}-${c.tmdbId}`} value={c.tmdbId}>
+                        {c.title}{c.year ? ` (${c.year})` : ''} — {c.mediaType === 'tv' ? 'сериал' : 'фильм'}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <label className={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={overwriteRatings}
+              onChange={(e) => setOverwriteRatings(e.target.checked)}
+            />
+            Перезаписать мои существующие оценки
+          </label>
+
+          <button
+            className={styles.primaryButton}
+            onClick={handleCommit}
+            disabled={selectedItems.length === 0 || committing}
+          >
+            {committing ? 'Импортируем...' : `Импортировать (${selectedItems.length})`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportHistory;
@@ -15,6 +15,8 @@ function NotificationSettings({ userId }) {
     newMessage: true,
     newFriendRequest: true,
     adminAnnouncement: true,
+    newEpisode: true,
+    release: true,
     emailFriendAddedToList: true,
     emailFriendRatedMedia: true,
     emailFriendPostedReview: true,
@@ -94,6 +96,13 @@ function NotificationSettings({ userId }) {
         { key: 'newFriendRequest', label: 'Новый запрос в друзья', description: 'Уведомления когда кто-то добавляет вас в друзья' }
       ]
     },
+    {
+      title: 'Новинки',
+      notifications: [
+        { key: 'newEpisode', label: 'Новые серии', description: 'Уведомления на сайте и в Telegram о новых сериях сериалов, которые вы смотрите' },
+        { key: 'release', label: 'Выход фильмов', description: 'Уведомления на сайте и в Telegram, когда фильм из «Хочу посмотреть» выходит в кино или в цифре' }
+      ]
+    },
     {
       title: 'Системные',
       notifications: [
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api';
+import styles from './AchievementsBlock.module.css';
+
+// Сколько последних достижений показывать в свёрнутом блоке
+const RECENT_LIMIT = 5;
+
+/**
+ * Блок достижений в профиле пользователя
+ * Показывает последние полученные достижения, по кнопке — все.
+ * Владелец профиля видит и неполученные достижения с прогрессом.
+ */
+const AchievementsBlock = ({ userId, isOwnProfile }) => {
+  const [achievements, setAchievements] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAchievements = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get(`/users/${userId}/achievements`);
+        if (!cancelled) setAchievements(response.data);
+      } catch (err) {
+        console.error('Ошибка загрузки достижений:', err);
+        if (!cancelled) setAchievements(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setExpanded(false);
+    loadAchievements();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (loading || !achievements) {
+    return null;
+  }
+
+  const { unlocked, locked, total } = achievements;
+
+  // В чужом профиле без достижений блок не показываем
+  if (!isOwnProfile && unlocked.length === 0) {
+    return null;
+  }
+
+  const visibleUnlocked = expanded ? unlocked : unlocked.slice(0, RECENT_LIMIT);
+  const canExpand = unlocked.length > RECENT_LIMIT || (isOwnProfile && locked.length > 0);
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('ru-RU', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+
+  return (
+    <div className={styles.achievementsSection}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Достижения</h2>
+        <span className={styles.counter}>{unlocked.length} из {total}</span>
+      </div>
+
+      {unlocked.length === 0 ? (
+        <p className={styles.empty}>
+          Пока нет достижений. Пишите рецензии, оценивайте фильмы и добавляйте друзей!
+        </p>
+      ) : (
+        <ul className={styles.list}>
+          {visibleUnlocked.map(achievement => (
+            <li key={achievement.id} className={styles.item} title={achievement.description}>
+              <span className={styles.icon}>{achievement.icon}</span>
+              <div className={styles.info}>
+                <span className={styles.name}>{achievement.name}</span>
+                <span className={styles.description}>{achievement.description}</span>
+                <span className={styles.date}>{formatDate(achievement.unlockedAt)}</span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {expanded && isOwnProfile && locked.length > 0 && (
+        <>
+          <h3 className={styles.subtitle}>Ещё не получены</h3>
+          <ul className={styles.list}>
+            {locked.map(achievement => (
+              <li key={achievement.id} className={`${styles.item} ${styles.locked}`}>
+                <span className={styles.icon}>{achievement.icon}</span>
+                <div className={styles.info}>
+                  <span className={styles.name}>{achievement.name}</span>
+                  <span className={styles.description}>{achievement.description}</span>
+                  <div className={styles.progress}>
+                    <div
+                      className={styles.progressBar}
+                      style={{ width: `${(achievement.progress / achievement.requirementValue) * 100}%` }}
+                    />
+                  </div>
+                  <span className={styles.date}>
+                    {achievement.progress} / {achievement.requirementValue}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {canExpand && (
+        <button className={styles.toggleButton} onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Свернуть' : 'Показать все'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AchievementsBlock;
@@ -1,12 +1,22 @@
 import React from 'react';
 import styles from './UserAvatar.module.css';
 import BanIndicator from './BanIndicator';
+import ResponsiveImage from '../Common/ResponsiveImage';
 
 /**
  * Компонент аватара пользователя
  * Отображает изображение или placeholder с первой буквой имени
  * Может отображать индикатор блокировки поверх аватара
  */
+// Ширина аватара в пикселях для каждого размера — по ней браузер выбирает копию
+const AVATAR_SIZES = {
+  tiny: '40px',
+  small: '40px',
+  medium: '80px',
+  large: '120px',
+  xlarge: '160px'
+};
+
 const UserAvatar = ({ user, size = 'medium', className = '', showBanIndicator = false }) => {
   const sizeClass = styles[`avatar-${size}`];
 
@@ -28,8 +38,10 @@ const UserAvatar = ({ user, size = 'medium', className = '', showBanIndicator =
   return (
     <div className={`${styles.avatarContainer} ${sizeClass} ${className}`}>
       {avatarUrl ? (
-        <img
+        <ResponsiveImage
           src={avatarUrl}
+          variants={user.avatarVariants}
+          sizes={AVATAR_SIZES[size] || AVATAR_SIZES.medium}
           alt={user.displayName || 'Пользователь'}
           className={styles.avatarImage}
         />
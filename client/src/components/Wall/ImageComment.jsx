@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useSelector } from 'react-redux';
+import ReportModal from '../Common/ReportModal';
 import styles from './ImageComment.module.css';
 
 /**
@@ -23,6 +24,7 @@ const ImageComment = ({ comment, onReply, onEdit, onDelete, onRestore, isDeleted
   const editTextareaRef = useRef(null);
 
   const isOwnComment = currentUser && currentUser.id === comment.author.id;
+  const [showReportModal, setShowReportModal] = useState(false);
   const isServerDeleted = comment.content === '[Комментарий удален]';
 
   // Перемещаем курсор в конец при открытии редактирования
@@ -199,6 +201,11 @@ const ImageComment = ({ comment, onReply, onEdit, onDelete, onRestore, isDeleted
                       </button>
                     </>
                   )}
+                  {currentUser && !isOwnComment && (
+                    <button onClick={() => setShowReportModal(true)} className={styles.actionButton}>
+                      Пожаловаться
+                    </button>
+                  )}
                 </>
               )}
             </div>
@@ -250,6 +257,16 @@ const ImageComment = ({ comment, onReply, onEdit, onDelete, onRestore, isDeleted
           ))}
         </div>
       )}
+
+      {showReportModal && (
+        <ReportModal
+          targetType="image_comment"
+          targetId={comment.id}
+          reportedUserId={comment.author.id}
+          reportedUserName={comment.author.displayName}
+          onClose={() => setShowReportModal(false)}
+        />
+      )}
     </div>
   );
 };
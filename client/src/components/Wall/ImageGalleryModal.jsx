@@ -2,13 +2,14 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useSelector } from 'react-redux';
 import axios from 'axios';
 import ImageComment from './ImageComment';
+import ResponsiveImage from '../Common/ResponsiveImage';
 import styles from './ImageGalleryModal.module.css';
 
 /**
  * Модальная галерея для просмотра изображений
  * Fullscreen с навигацией и панелью комментариев справа
  * 
- * @param {Array} images - Массив изображений [{id, url, order}]
+ * @param {Array} images - Массив изображений [{id, url, order, width, height, variants}]
  * @param {number} startIndex - Индекс изображения для начального отображения
  * @param {boolean} isOpen - Открыта ли галерея
  * @param {Function} onClose - Callback для закрытия галереи
@@ -230,16 +231,25 @@ const ImageGalleryModal = ({ images, startIndex = 0, isOpen, onClose, hideCommen
     if (!isOpen || !images || images.length === 0) return;
 
     const currentImage = images[currentIndex];
-    const img = new Image();
-    
-    img.onload = () => {
+
+    // Разрешение оригинала сервер отдаёт вместе с копиями; для старых ответов загружаем сам файл
+    if (currentImage.width && currentImage.height) {
       setImageMetadata({
-        width: img.naturalWidth,
-        height: img.naturalHeight
+        width: currentImage.width,
+        height: currentImage.height
       });
-    };
-    
-    img.src = `${import.meta.env.VITE_API_URL || ''}${currentImage.url}`;
+    } else {
+      const img = new Image();
+
+      img.onload = () => {
+        setImageMetadata({
+          width: img.naturalWidth,
+          height: img.naturalHeight
+        });
+      };
+
+      img.src = `${import.meta.env.VITE_API_URL || ''}${currentImage.url}`;
+    }
 
     // Получаем размер файла
     fetch(`${import.meta.env.VITE_API_URL || ''}${currentImage.url}`)
@@ -371,8 +381,11 @@ const ImageGalleryModal = ({ images, startIndex = 0, isOpen, onClose, hideCommen
 
             {/* Изображение */}
             <div className={styles.imageContainer}>
-              <img
-                src={`${import.meta.env.VITE_API_URL || ''}${currentImage.url}`}
+              <ResponsiveImage
+                key={currentImage.id}
+                src={currentImage.url}
+                variants={currentImage.variants}
+                sizes="100vw"
                 alt={`Изображение ${currentIndex + 1}`}
                 className={styles.image}
               />
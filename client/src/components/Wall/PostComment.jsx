@@ -5,6 +5,7 @@ import ReactionPicker from './ReactionPicker';
 import ReactionTooltip from './ReactionTooltip';
 import ImageModal from './ImageModal';
 import LinkifiedText from './LinkifiedText';
+import ReportModal from '../Common/ReportModal';
 import api from '../../services/api';
 import { resolveDisplayNameWithTooltip } from '../../utils/nicknameResolver';
 import styles from './PostComment.module.css';
@@ -67,6 +68,7 @@ const PostComment = ({ comment, postId, depth = 0, parentAuthorName = null, isDe
   const hideTooltipTimeoutRef = useRef(null);
 
   const isOwn = currentUser && comment.userId === currentUser.id;
+  const [showReportModal, setShowReportModal] = useState(false);
   const isServerDeleted = comment.content === '[Комментарий удален]';
 
   // Обновляем состояние лайков при изменении пропса comment
@@ -672,6 +674,12 @@ const PostComment = ({ comment, postId, depth = 0, parentAuthorName = null, isDe
                         </button>
                       </>
                     )}
+
+                    {currentUser && !isOwn && (
+                      <button className={styles.actionButton} onClick={() => setShowReportModal(true)}>
+                        Пожаловаться
+                      </button>
+                    )}
                   </>
                 )}
               </div>
@@ -916,6 +924,16 @@ const PostComment = ({ comment, postId, depth = 0, parentAuthorName = null, isDe
           </div>
         </div>
       )}
+
+      {showReportModal && (
+        <ReportModal
+          targetType="post_comment"
+          targetId={comment.id}
+          reportedUserId={comment.author.id}
+          reportedUserName={comment.author.displayName}
+          onClose={() => setShowReportModal(false)}
+        />
+      )}
     </div>
   );
 };
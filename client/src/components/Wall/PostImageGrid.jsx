@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
+import ResponsiveImage from '../Common/ResponsiveImage';
 import styles from './PostImageGrid.module.css';
 
 /**
  * Компонент для отображения изображений в посте
  * Адаптивная сетка в зависимости от количества изображений
  * 
- * @param {Array} images - Массив изображений [{id, url, order}]
+ * @param {Array} images - Массив изображений [{id, url, order, width, height, variants}]
  * @param {Function} onImageClick - Callback при клике на изображение
  */
 const PostImageGrid = ({ images, onImageClick }) => {
@@ -36,6 +37,11 @@ const PostImageGrid = ({ images, onImageClick }) => {
     }));
   };
 
+  // Одно изображение занимает всю ширину поста, в сетке — примерно половину
+  const sizes = imageCount === 1
+    ? '(max-width: 640px) 100vw, 600px'
+    : '(max-width: 640px) 50vw, 300px';
+
   // Для 5+ изображений показываем только первые 5, остальные скрываем с индикатором
   const displayImages = imageCount > 5 ? images.slice(0, 5) : images;
   const hiddenCount = imageCount > 5 ? imageCount - 5 : 0;
@@ -43,7 +49,11 @@ const PostImageGrid = ({ images, onImageClick }) => {
   return (
     <div className={`${styles.imageGrid} ${getGridClass()}`}>
       {displayImages.map((image, index) => {
-        const orientation = imageOrientations[image.id] || 'landscape';
+        // Размеры оригинала приходят с сервера вместе с копиями, иначе узнаём их после загрузки
+        const knownOrientation = image.width && image.height
+          ? (image.height > image.width ? 'portrait' : 'landscape')
+          : null;
+        const orientation = knownOrientation || imageOrientations[image.id] || 'landscape';
         const orientationClass = imageCount === 1 
           ? styles.single 
           : (orientation === 'portrait' ? styles.portrait : styles.landscape);
@@ -54,8 +64,10 @@ const PostImageGrid = ({ images, onImageClick }) => {
             className={`${styles.imageWrapper} ${orientationClass}`}
             onClick={() => onImageClick(index)}
           >
-            <img
-              src={`${import.meta.env.VITE_API_URL || ''}${image.url}`}
+            <ResponsiveImage
+              src={image.url}
+              variants={image.variants}
+              sizes={sizes}
               alt={`Изображение ${index + 1}`}
               className={styles.image}
               onLoad={(e) => handleImageLoad(image.id, e)}
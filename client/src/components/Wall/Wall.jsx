@@ -376,6 +376,14 @@ const Wall = ({ userId, isOwnProfile = false, wallPrivacy = 'all', isFriend = fa
       
       // Перезагружаем стену после создания поста
       await dispatch(fetchWall({ userId, limit: 20, offset: 0 }));
+
+      if (result.moderationStatus === 'held') {
+        await showAlert({
+          title: 'Запись на проверке',
+          message: 'Запись увидят другие пользователи после проверки модератором',
+          type: 'info'
+        });
+      }
     } catch (err) {
       console.error('Ошибка создания поста:', err);
       await showAlert({
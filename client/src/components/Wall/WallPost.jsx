@@ -11,6 +11,7 @@ import ImageGalleryModal from './ImageGalleryModal';
 import PostComments from './PostComments';
 import LinkifiedText from './LinkifiedText';
 import MentionAutocomplete from '../Common/MentionAutocomplete';
+import ReportModal from '../Common/ReportModal';
 import useConfirm from '../../hooks/useConfirm.jsx';
 import useAlert from '../../hooks/useAlert.jsx';
 import Icon from '../Common/Icon';
@@ -52,6 +53,7 @@ const WallPost = ({ post, isOwnProfile, onReactionChange, onPostDeleted, onPostU
   const editTextareaRef = useRef(null);
   const [isSaving, setIsSaving] = useState(false);
   const [showAddToListModal, setShowAddToListModal] = useState(false);
+  const [showReportModal, setShowReportModal] = useState(false);
   const [listStatus, setListStatus] = useState({ userListName: post.userListName, inWatchlist: post.inWatchlist });
   const [showGallery, setShowGallery] = useState(false);
   const [galleryStartIndex, setGalleryStartIndex] = useState(0);
@@ -1030,6 +1032,17 @@ const WallPost = ({ post, isOwnProfile, onReactionChange, onPostDeleted, onPostU
               </button>
             </div>
           )}
+
+          {/* Пожаловаться может любой, кроме автора */}
+          {!isSpecialPost && currentUser && post.author?.id !== currentUser.id && (
+            <button
+              className={styles.reportButton}
+              onClick={() => setShowReportModal(true)}
+              title="Пожаловаться"
+            >
+              <Icon name="report" size="small" />
+            </button>
+          )}
         </div>
 
         {/* Реакции */}
@@ -1114,6 +1127,16 @@ const WallPost = ({ post, isOwnProfile, onReactionChange, onPostDeleted, onPostU
         )}
       </div>
 
+      {showReportModal && (
+        <ReportModal
+          targetType={post.postType === 'review' ? 'review' : 'wall_post'}
+          targetId={post.id}
+          reportedUserId={post.author?.id}
+          reportedUserName={post.author?.displayName}
+          onClose={() => setShowReportModal(false)}
+        />
+      )}
+
       {/* Модалка добавления в список */}
       {showAddToListModal && (
         <AddToListModal
@@ -0,0 +1,364 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import UserPageLayout from '../components/Layout/UserPageLayout';
+import Icon from '../components/Common/Icon';
+import useAlert from '../hooks/useAlert';
+import useConfirm from '../hooks/useConfirm';
+import api from '../services/api';
+import styles from './CalendarPage.module.css';
+
+const PERIOD_OPTIONS = [7, 30, 90];
+
+/**
+ * Код серии вида S01E02
+ */
+const formatEpisodeCode = (seasonNumber, episodeNumber) =>
+  `S${String(seasonNumber).padStart(2, '0')}E${String(episodeNumber).padStart(2, '0')}`;
+
+/**
+ * Дата выхода (YYYY-MM-DD) в виде «18 октября, суббота»
+ */
+const formatAirDate = (dateString, withWeekday = false) => {
+  const date = new Date(`${dateString}T00:00:00`);
+  return date.toLocaleDateString('ru-RU', {
+    day: 'numeric',
+    month: 'long',
+    ...(withWeekday && { weekday: 'long' })
+  });
+};
+
+/**
+ * Страница «Что смотреть»: следующие серии начатых сериалов, персональные рекомендации
+ * и календарь выхода серий и фильмов из watchlist и списков сериалов
+ */
+const CalendarPage = () => {
+  const navigate = useNavigate();
+  const { alertDialog, showAlert } = useAlert();
+  const { confirmDialog, showConfirm } = useConfirm();
+
+  const [upNext, setUpNext] = useState([]);
+  const [upNextLoading, setUpNextLoading] = useState(true);
+  const [forYou, setForYou] = useState([]);
+  const [forYouLoading, setForYouLoading] = useState(true);
+  const [days, setDays] = useState(30);
+  const [events, setEvents] = useState([]);
+  const [calendarLoading, setCalendarLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [feedLoading, setFeedLoading] = useState(false);
+
+  useEffect(() => {
+    const loadUpNext = async () => {
+      try {
+        setUpNextLoading(true);
+        const response = await api.get('/progress/up-next');
+        setUpNext(response.data);
+      } catch (err) {
+        console.error('Ошибка загрузки следующих серий:', err);
+        setError('Не удалось загрузить данные. Попробуйте позже.');
+      } finally {
+        setUpNextLoading(false);
+      }
+    };
+
+    const loadForYou = async () => {
+      try {
+        setForYouLoading(true);
+        const response = await api.get('/media/for-you');
+        setForYou(response.data.results);
+      } catch (err) {
+        console.error('Ошибка загрузки рекомендаций:', err);
+      } finally {
+        setForYouLoading(false);
+      }
+    };
+
+    const loadFeed = async () => {
+      try {
+        const response = await api.get('/progress/calendar/feed');
+        setFeedUrl(response.data.url);
+      } catch (err) {
+        console.error('Ошибка загрузки ленты календаря:', err);
+      }
+    };
+
+    loadUpNext();
+    loadForYou();
+    loadFeed();
+  }, []);
+
+  useEffect(() => {
+    const loadCalendar = async () => {
+      try {
+        setCalendarLoading(true);
+        const response = await api.get('/progress/calendar', { params: { days } });
+        setEvents(response.data.events);
+      } catch (err) {
+        console.error('Ошибка загрузки календаря:', err);
+        setError('Не удалось загрузить данные. Попробуйте позже.');
+      } finally {
+        setCalendarLoading(false);
+      }
+    };
+
+    loadCalendar();
+  }, [days]);
+
+  /**
+   * Создать (или пересоздать) ссылку на iCalendar-ленту
+   */
+  const handleCreateFeed = async () => {
+    if (feedUrl) {
+      const confirmed = await showConfirm({
+        title: 'Новая ссылка',
+        message: 'Старая ссылка перестанет работать, календари с ней нужно будет подписать заново. Продолжить?',
+        confirmText: 'Создать',
+        cancelText: 'Отмена'
+      });
+      if (!confirmed) return;
+    }
+
+    try {
+      setFeedLoading(true);
+      const response = await api.post('/progress/calendar/feed');
+      setFeedUrl(response.data.url);
+    } catch (err) {
+      console.error('Ошибка создания ленты календаря:', err);
+      await showAlert({
+        title: 'Ошибка',
+        message: 'Не удалось создать ссылку. Попробуйте позже.',
+        type: 'error'
+      });
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const handleDeleteFeed = async () => {
+    const confirmed = await showConfirm({
+      title: 'Отключить подписку',
+      message: 'Календари, подписанные по этой ссылке, перестанут обновляться.',
+      confirmText: 'Отключить',
+      cancelText: 'Отмена',
+      confirmButtonStyle: 'danger'
+    });
+    if (!confirmed) return;
+
+    try {
+      setFeedLoading(true);
+      await api.delete('/progress/calendar/feed');
+      setFeedUrl(null);
+    } catch (err) {
+      console.error('Ошибка отключения ленты календаря:', err);
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      await showAlert({
+        title: 'Скопировано',
+        message: 'Добавьте ссылку в Google Календарь, Apple Календарь или Outlook как подписку.',
+        type: 'success'
+      });
+    } catch (err) {
+      console.error('Ошибка копирования ссылки:', err);
+    }
+  };
+
+  // События по датам
+  const eventsByDate = events.reduce((groups, event) => {
+    (groups[event.date] = groups[event.date] || []).push(event);
+    return groups;
+  }, {});
+
+  const renderPoster = (posterPath, title) => (
+    posterPath ? (
+      <img
+        className={styles.poster}
+        src={`https://image.tmdb.org/t/p/w92${posterPath}`}
+        alt={title}
+        loading="lazy"
+      />
+    ) : (
+      <div className={styles.posterPlaceholder}>🎬</div>
+    )
+  );
+
+  return (
+    <UserPageLayout>
+      <div className={styles.calendarPage}>
+        <div className={styles.pageHeader}>
+          <h1 className={styles.pageTitle}>Что смотреть</h1>
+        </div>
+
+        {error && (
+          <div className={styles.errorMessage}>
+            <p>{error}</p>
+          </div>
+        )}
+
+        {/* Следующие серии */}
+        <section className={styles.section}>
+          <h2 className={styles.sectionTitle}>Продолжить просмотр</h2>
+
+          {upNextLoading ? (
+            <p className={styles.hint}>Загрузка...</p>
+          ) : upNext.length === 0 ? (
+            <p className={styles.hint}>
+              Отмечайте просмотренные серии на странице сериала — здесь появятся следующие.
+            </p>
+          ) : (
+            <ul className={styles.upNextList}>
+              {upNext.map(item => (
+                <li
+                  key={item.tmdbId}
+                  className={styles.upNextItem}
+                  onClick={() => navigate(`/media/tv/${item.tmdbId}`)}
+                >
+                  {renderPoster(item.posterPath, item.title)}
+                  <div className={styles.itemInfo}>
+                    <span className={styles.itemTitle}>{item.title}</span>
+                    <span className={styles.episodeCode}>
+                      {formatEpisodeCode(item.nextEpisode.seasonNumber, item.nextEpisode.episodeNumber)}
+                      {item.nextEpisode.name && ` · ${item.nextEpisode.name}`}
+                    </span>
+                    {item.nextEpisode.aired ? (
+                      <span className={styles.badgeAvailable}>Уже вышла</span>
+                    ) : (
+                      <span className={styles.badgeUpcoming}>
+                        {item.nextEpisode.airDate
+                          ? `Выйдет ${formatAirDate(item.nextEpisode.airDate)}`
+                          : 'Дата выхода неизвестна'}
+                      </span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {/* Персональные рекомендации */}
+        <section className={styles.section}>
+          <h2 className={styles.sectionTitle}>Для вас</h2>
+
+          {forYouLoading ? (
+            <p className={styles.hint}>Загрузка...</p>
+          ) : forYou.length === 0 ? (
+            <p className={styles.hint}>
+              Оценивайте фильмы и сериалы, пишите отзывы и собирайте списки — здесь появятся подборки по вашему вкусу.
+            </p>
+          ) : (
+            <ul className={styles.upNextList}>
+              {forYou.map(item => (
+                <li
+                  key={`${item.mediaType}-${item.tmdbId}`}
+                  className={styles.upNextItem}
+                  onClick={() => navigate(`/media/${item.mediaType}/${item.tmdbId}`)}
+                >
+                  {renderPoster(item.posterPath, item.title)}
+                  <div className={styles.itemInfo}>
+                    <span className={styles.itemTitle}>{item.title}</span>
+                    <span className={styles.episodeCode}>
+                      {item.mediaType === 'tv' ? 'Сериал' : 'Фильм'}
+                      {item.releaseDate && ` · ${item.releaseDate.slice(0, 4)}`}
+                      {item.voteAverage && ` · ★ ${item.voteAverage.toFixed(1)}`}
+                    </span>
+                    <span className={styles.reason}>{item.reason}</span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {/* Календарь выхода */}
+        <section className={styles.section}>
+          <div className={styles.sectionHeader}>
+            <h2 className={styles.sectionTitle}>Календарь выхода</h2>
+            <div className={styles.periodButtons}>
+              {PERIOD_OPTIONS.map(option => (
+                <button
+                  key={option}
+                  className={`${styles.periodButton} ${days === option ? styles.periodButtonActive : ''}`}
+                  onClick={() => setDays(option)}
+                >
+                  {option} дн.
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {calendarLoading ? (
+            <p className={styles.hint}>Загрузка...</p>
+          ) : events.length === 0 ? (
+            <p className={styles.hint}>
+              В ближайшие {days} дн. ничего не выходит. В календарь попадают сериалы из «Хочу посмотреть»
+              и списков сериалов, а также фильмы из «Хочу посмотреть».
+            </p>
+          ) : (
+            Object.entries(eventsByDate).map(([date, dayEvents]) => (
+              <div key={date} className={styles.day}>
+                <h3 className={styles.dayTitle}>{formatAirDate(date, true)}</h3>
+                <ul className={styles.eventList}>
+                  {dayEvents.map(event => (
+                    <li
+                      key={`${event.mediaType}-${event.tmdbId}-${event.seasonNumber}-${event.episodeNumber}`}
+                      className={styles.eventItem}
+                      onClick={() => navigate(`/media/${event.mediaType}/${event.tmdbId}`)}
+                    >
+                      <Icon name={event.mediaType === 'tv' ? 'tv' : 'movies'} size="small" />
+                      <span className={styles.itemTitle}>{event.title}</span>
+                      <span className={styles.episodeCode}>
+                        {event.mediaType === 'tv'
+                          ? `${formatEpisodeCode(event.seasonNumber, event.episodeNumber)}${event.episodeName ? ` · ${event.episodeName}` : ''}`
+                          : 'Премьера фильма'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          )}
+        </section>
+
+        {/* Подписка в календарном приложении */}
+        <section className={styles.section}>
+          <h2 className={styles.sectionTitle}>Подписка на календарь</h2>
+          <p className={styles.hint}>
+            Ссылка в формате iCalendar: календарь будет сам обновляться при выходе новых серий.
+          </p>
+
+          {feedUrl ? (
+            <div className={styles.feed}>
+              <input className={styles.feedInput} value={feedUrl} readOnly onFocus={e => e.target.select()} />
+              <div className={styles.feedActions}>
+                <button className={styles.primaryButton} onClick={handleCopyFeed}>
+                  Скопировать
+                </button>
+                <button className={styles.secondaryButton} onClick={handleCreateFeed} disabled={feedLoading}>
+                  <Icon name="refresh" size="small" /> Новая ссылка
+                </button>
+                <button className={styles.dangerButton} onClick={handleDeleteFeed} disabled={feedLoading}>
+                  Отключить
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button className={styles.primaryButton} onClick={handleCreateFeed} disabled={feedLoading}>
+              {feedLoading ? 'Создание...' : 'Получить ссылку'}
+            </button>
+          )}
+        </section>
+      </div>
+
+      {alertDialog}
+      {confirmDialog}
+    </UserPageLayout>
+  );
+};
+
+export default CalendarPage;
@@ -0,0 +1,453 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAppSelector } from '../hooks/useAppSelector';
+import { TELEGRAM_ADMIN_ID } from '../constants';
+import useAlert from '../hooks/useAlert.jsx';
+import useConfirm from '../hooks/useConfirm.jsx';
+import api from '../services/api';
+import styles from './ContentFilterPage.module.css';
+
+const TABS = {
+  queue: 'Очередь',
+  rules: 'Правила',
+  settings: 'Эвристики'
+};
+
+const EVENT_STATUS_LABELS = {
+  pending: 'На проверке',
+  shadowed: 'Скрыто от всех',
+  blocked: 'Заблокировано',
+  approved: 'Одобрено',
+  rejected: 'Отклонено'
+};
+
+const TARGET_LABELS = {
+  wall_post: 'Запись',
+  review: 'Рецензия',
+  post_comment: 'Комментарий',
+  image_comment: 'Комментарий к фото',
+  message: 'Сообщение'
+};
+
+const RULE_KIND_LABELS = {
+  word: 'Слово или фраза',
+  regex: 'Регулярное выражение',
+  domain: 'Домен'
+};
+
+const ACTION_LABELS = {
+  block: 'Блокировать',
+  hold: 'На проверку',
+  shadow: 'Скрыть от всех'
+};
+
+const REASON_LABELS = {
+  word: 'Слово',
+  regex: 'Выражение',
+  domain: 'Домен',
+  flood: 'Частота',
+  repeat: 'Повтор',
+  links: 'Ссылки',
+  mentions: 'Упоминания'
+};
+
+// Поля эвристик: путь в объекте настроек и подпись
+const HEURISTIC_FIELDS = [
+  {
+    title: 'Повторы',
+    fields: [
+      ['repeat.limit', 'Одинаковых текстов подряд'],
+      ['repeat.windowMinutes', 'За минут'],
+      ['repeat.minLength', 'Не короче символов']
+    ],
+    action: 'repeat.action'
+  },
+  { title: 'Упоминания', fields: [['mentions.max', 'Не больше в одном тексте']], action: 'mentions.action' },
+  { title: 'Ссылки', fields: [['links.max', 'Не больше в одном тексте']], action: 'links.action' },
+  {
+    title: 'Частота публикаций',
+    fields: [
+      ['flood.post.limit', 'Записей'],
+      ['flood.post.windowMinutes', 'за минут'],
+      ['flood.comment.limit', 'Комментариев'],
+      ['flood.comment.windowMinutes', 'за минут'],
+      ['flood.message.limit', 'Сообщений'],
+      ['flood.message.windowMinutes', 'за минут']
+    ],
+    action: 'flood.action'
+  }
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const [key, ...rest] = path.split('.');
+  return { ...object, [key]: rest.length ? setPath(object[key], rest.join('.'), value) : value };
+};
+
+const ContentFilterPage = () => {
+  const navigate = useNavigate();
+  const { user } = useAppSelector((state) => state.auth);
+  const { alertDialog, showAlert } = useAlert();
+  const { confirmDialog, showConfirm } = useConfirm();
+
+  const [tab, setTab] = useState('queue');
+  const [eventStatus, setEventStatus] = useState('pending');
+  const [events, setEvents] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const [newRule, setNewRule] = useState({ kind: 'word', pattern: '', action: 'block', note: '' });
+
+  const isAdmin = user?.isAdmin || user?.id === TELEGRAM_ADMIN_ID;
+
+  useEffect(() => {
+    if (!isAdmin) {
+      navigate('/');
+      return;
+    }
+    loadTab();
+  }, [isAdmin, navigate, tab, eventStatus]);
+
+  const showError = (error, fallback) => showAlert({
+    title: 'Ошибка',
+    message: error.response?.data?.error || fallback,
+    type: 'error'
+  });
+
+  const loadTab = async () => {
+    try {
+      setLoading(true);
+      if (tab === 'queue') {
+        const res = await api.get('/admin/content-filter/events', { params: { status: eventStatus } });
+        setEvents(res.data.events);
+      } else if (tab === 'rules') {
+        const res = await api.get('/admin/content-filter/rules');
+        setRules(res.data.rules);
+      } else {
+        const res = await api.get('/admin/content-filter/config');
+        setConfig(res.data.config);
+      }
+    } catch (error) {
+      await showError(error, 'Не удалось загрузить данные фильтра');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (event, decision) => {
+    if (decision === 'reject') {
+      const confirmed = await showConfirm({
+        title: 'Отклонить',
+        message: 'Контент будет скрыт от всех, включая автора.',
+        confirmText: 'Отклонить',
+        cancelText: 'Отмена',
+        confirmButtonStyle: 'danger'
+      });
+      if (!confirmed) return;
+    }
+
+    try {
+      setBusyId(event.id);
+      await api.post(`/admin/content-filter/events/${event.id}/review`, { decision });
+      setEvents(prev => prev.filter(e => e.id !== event.id));
+    } catch (error) {
+      await showError(error, 'Не удалось сохранить решение');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreateRule = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await api.post('/admin/content-filter/rules', {
+        ...newRule,
+        pattern: newRule.pattern.trim(),
+        note: newRule.note.trim() || null
+      });
+      setRules(prev => [res.data.rule, ...prev]);
+      setNewRule(prev => ({ ...prev, pattern: '', note: '' }));
+    } catch (error) {
+      await showError(error, 'Не удалось добавить правило');
+    }
+  };
+
+  const handleUpdateRule = async (rule, changes) => {
+    try {
+      setBusyId(rule.id);
+      const res = await api.put(`/admin/content-filter/rules/${rule.id}`, changes);
+      setRules(prev => prev.map(r => (r.id === rule.id ? res.data.rule : r)));
+    } catch (error) {
+      await showError(error, 'Не удалось изменить правило');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    const confirmed = await showConfirm({
+      title: 'Удалить правило',
+      message: `Удалить правило «${rule.pattern}»?`,
+      confirmText: 'Удалить',
+      cancelText: 'Отмена',
+      confirmButtonStyle: 'danger'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/admin/content-filter/rules/${rule.id}`);
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+    } catch (error) {
+      await showError(error, 'Не удалось удалить правило');
+    }
+  };
+
+  const handleSaveConfig = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await api.put('/admin/content-filter/config', config);
+      setConfig(res.data.config);
+      await showAlert({ title: 'Готово', message: 'Настройки фильтра сохранены', type: 'success' });
+    } catch (error) {
+      const field = error.response?.data?.field;
+      await showAlert({
+        title: 'Ошибка',
+        message: field ? `Некорректное значение: ${field}` : (error.response?.data?.error || 'Не удалось сохранить настройки'),
+        type: 'error'
+      });
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('ru-RU', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const renderActionSelect = (value, onChange, disabled = false) => (
+    <select className={styles.select} value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+      {Object.entries(ACTION_LABELS).map(([action, label]) => (
+        <option key={action} value={action}>{label}</option>
+      ))}
+    </select>
+  );
+
+  const renderQueue = () => (
+    <>
+      <div className={styles.filters}>
+        {Object.entries(EVENT_STATUS_LABELS).map(([status, label]) => (
+          <button
+            key={status}
+            className={`${styles.filterBtn} ${eventStatus === status ? styles.active : ''}`}
+            onClick={() => setEventStatus(status)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {events.length === 0 ? (
+        <div className={styles.empty}>Срабатываний нет</div>
+      ) : (
+        <div className={styles.list}>
+          {events.map((event) => {
+            const canReview = event.status === 'pending' || event.status === 'shadowed';
+            return (
+              <div key={event.id} className={styles.card}>
+                <div className={styles.cardHeader}>
+                  <span className={styles.userName}>{event.user.displayName || 'Неизвестный'}</span>
+                  <span className={styles.tag}>{TARGET_LABELS[event.targetType] || event.targetType}</span>
+                </div>
+
+                <div className={styles.reasons}>
+                  {event.reasons.map((reason, index) => (
+                    <span key={index} className={styles.reasonTag}>
+                      {REASON_LABELS[reason.source] || reason.source}: {reason.detail}
+                    </span>
+                  ))}
+                </div>
+
+                {event.content
+                  ? <p className={styles.content}>{event.content}</p>
+                  : <p className={styles.contentEmpty}>Текст недоступен</p>}
+
+                {event.reviewedBy?.displayName && (
+                  <p className={styles.meta}>
+                    {EVENT_STATUS_LABELS[event.status]} — {event.reviewedBy.displayName}
+                  </p>
+                )}
+
+                <div className={styles.cardFooter}>
+                  <span className={styles.meta}>{formatDate(event.createdAt)}</span>
+                  {canReview && (
+                    <div className={styles.actions}>
+                      <button
+                        className={styles.approveBtn}
+                        onClick={() => handleReview(event, 'approve')}
+                        disabled={busyId === event.id}
+                      >
+                        Опубликовать
+                      </button>
+                      <button
+                        className={styles.rejectBtn}
+                        onClick={() => handleReview(event, 'reject')}
+                        disabled={busyId === event.id}
+                      >
+                        Отклонить
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+
+  const renderRules = () => (
+    <>
+      <form className={styles.ruleForm} onSubmit={handleCreateRule}>
+        <select
+          className={styles.select}
+          value={newRule.kind}
+          onChange={(e) => setNewRule(prev => ({ ...prev, kind: e.target.value }))}
+        >
+          {Object.entries(RULE_KIND_LABELS).map(([kind, label]) => (
+            <option key={kind} value={kind}>{label}</option>
+          ))}
+        </select>
+        <input
+          className={styles.input}
+          value={newRule.pattern}
+          onChange={(e) => setNewRule(prev => ({ ...prev, pattern: e.target.value }))}
+          placeholder={newRule.kind === 'domain' ? 'example.com' : newRule.kind === 'regex' ? 'casino\\s*\\d+' : 'слово или фраза'}
+          maxLength={200}
+        />
+        {renderActionSelect(newRule.action, (action) => setNewRule(prev => ({ ...prev, action })))}
+        <input
+          className={styles.input}
+          value={newRule.note}
+          onChange={(e) => setNewRule(prev => ({ ...prev, note: e.target.value }))}
+          placeholder="Заметка"
+          maxLength={200}
+        />
+        <button type="submit" className={styles.approveBtn} disabled={!newRule.pattern.trim()}>
+          Добавить
+        </button>
+      </form>
+
+      {rules.length === 0 ? (
+        <div className={styles.empty}>Правил нет</div>
+      ) : (
+        <div className={styles.list}>
+          {rules.map((rule) => (
+            <div key={rule.id} className={`${styles.card} ${rule.isActive ? '' : styles.inactive}`}>
+              <div className={styles.cardHeader}>
+                <code className={styles.pattern}>{rule.pattern}</code>
+                <span className={styles.tag}>{RULE_KIND_LABELS[rule.kind]}</span>
+              </div>
+              {rule.note && <p className={styles.meta}>{rule.note}</p>}
+              <div className={styles.cardFooter}>
+                {renderActionSelect(rule.action, (action) => handleUpdateRule(rule, { action }), busyId === rule.id)}
+                <div className={styles.actions}>
+                  <button
+                    className={styles.neutralBtn}
+                    onClick={() => handleUpdateRule(rule, { isActive: !rule.isActive })}
+                    disabled={busyId === rule.id}
+                  >
+                    {rule.isActive ? 'Выключить' : 'Включить'}
+                  </button>
+                  <button className={styles.rejectBtn} onClick={() => handleDeleteRule(rule)}>
+                    Удалить
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  const renderSettings = () => config && (
+    <form className={styles.settings} onSubmit={handleSaveConfig}>
+      <label className={styles.toggle}>
+        <input
+          type="checkbox"
+          checked={config.enabled}
+          onChange={(e) => setConfig(prev => ({ ...prev, enabled: e.target.checked }))}
+        />
+        Фильтр включён
+      </label>
+
+      {HEURISTIC_FIELDS.map(({ title, fields, action }) => (
+        <fieldset key={title} className={styles.fieldset}>
+          <legend className={styles.legend}>{title}</legend>
+          <div className={styles.fields}>
+            {fields.map(([path, label]) => (
+              <label key={path} className={styles.field}>
+                <span>{label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  className={styles.numberInput}
+                  value={getPath(config, path)}
+                  onChange={(e) => setConfig(prev => setPath(prev, path, Number(e.target.value)))}
+                />
+              </label>
+            ))}
+            <label className={styles.field}>
+              <span>Действие</span>
+              {renderActionSelect(getPath(config, action), (value) => setConfig(prev => setPath(prev, action, value)))}
+            </label>
+          </div>
+        </fieldset>
+      ))}
+
+      <button type="submit" className={styles.approveBtn}>Сохранить</button>
+    </form>
+  );
+
+  if (!isAdmin) return null;
+
+  return (
+    <div className={styles.page}>
+      {alertDialog}
+      {confirmDialog}
+
+      <div className={styles.header}>
+        <button className={styles.backButton} onClick={() => navigate('/settings')}>
+          ← Назад
+        </button>
+        <h1 className={styles.title}>Фильтр контента</h1>
+      </div>
+
+      <div className={styles.tabs}>
+        {Object.entries(TABS).map(([key, label]) => (
+          <button
+            key={key}
+            className={`${styles.tab} ${tab === key ? styles.activeTab : ''}`}
+            onClick={() => setTab(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className={styles.empty}>Загрузка...</div>
+      ) : tab === 'queue' ? renderQueue() : tab === 'rules' ? renderRules() : renderSettings()}
+    </div>
+  );
+};
+
+export default ContentFilterPage;
@@ -8,6 +8,17 @@ import useConfirm from '../hooks/useConfirm.jsx';
 import api from '../services/api';
 import styles from './DatabaseManagementPage.module.css';
 
+const DATABASE_LABELS = {
+  main: 'Основная база',
+  media: 'Кэш фильмов'
+};
+
+const TRIGGER_LABELS = {
+  manual: 'вручную',
+  scheduled: 'по расписанию',
+  legacy: 'старый формат'
+};
+
 const DatabaseManagementPage = () => {
   const navigate = useNavigate();
   const { user } = useAppSelector((state) => state.auth);
@@ -15,6 +26,7 @@ const DatabaseManagementPage = () => {
   const { confirmDialog, showConfirm } = useConfirm();
 
   const [backups, setBackups] = useState([]);
+  const [backupSettings, setBackupSettings] = useState(null);
   const [stats, setStats] = useState(null);
   const [selectedBackup, setSelectedBackup] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -39,6 +51,7 @@ const DatabaseManagementPage = () => {
         api.get('/admin/database/stats')
       ]);
       setBackups(backupsRes.data.backups);
+      setBackupSettings(backupsRes.data.settings);
       setStats(statsRes.data);
     } catch (error) {
       await showAlert({
@@ -57,7 +70,7 @@ const DatabaseManagementPage = () => {
       const res = await api.post('/admin/database/backup');
       await showAlert({
         title: 'Успех',
-        message: `Резервная копия создана: ${res.data.backup.filename}`,
+        message: `Резервные копии созданы: ${res.data.backups.map(b => b.filename).join(', ')}`,
         type: 'success'
       });
       await loadData();
@@ -67,15 +80,18 @@ const DatabaseManagementPage = () => {
         message: error.response?.data?.error || 'Не удалось создать резервную копию',
         type: 'error'
       });
+      // Неудачная попытка тоже попадает в историю
+      await loadData();
     } finally {
       setCreating(false);
     }
   };
 
-  const handleRestore = async (filename) => {
+  const handleRestore = async (backup) => {
+    const { filename } = backup;
     const confirmed = await showConfirm({
       title: 'Восстановить базу данных',
-      message: `Вы уверены, что хотите восстановить базу данных из "${filename}"? Текущая база данных будет заменена. Это действие нельзя отменить.`,
+      message: `Вы уверены, что хотите восстановить «${DATABASE_LABELS[backup.database]}» из "${filename}"? Текущая база данных будет заменена. Это действие нельзя отменить.`,
       confirmText: 'Восстановить',
       cancelText: 'Отмена',
       confirmButtonStyle: 'danger'
@@ -138,6 +154,20 @@ const DatabaseManagementPage = () => {
     return `${(bytes / (1024 * 1024)).toFixed(1)} МБ`;
   };
 
+  // Состояние копии: удалена по правилам хранения, не создалась или прошла проверку целостности
+  const getBackupStatus = (backup) => {
+    if (backup.status === 'failed') {
+      return { text: backup.error || 'Ошибка', className: styles.statusFailed };
+    }
+    if (backup.prunedAt) {
+      return { text: 'Удалена по правилам хранения', className: styles.statusPruned };
+    }
+    if (backup.integrity === 'ok') {
+      return { text: 'Целостность: ok', className: styles.statusOk };
+    }
+    return { text: 'Не проверялась', className: styles.statusPruned };
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString('ru-RU', {
       day: '2-digit',
@@ -207,52 +237,71 @@ const DatabaseManagementPage = () => {
             >
               {creating ? 'Создание...' : '+ Создать резервную копию'}
             </button>
+            {backupSettings && (
+              <p className={styles.scheduleInfo}>
+                {backupSettings.intervalHours > 0
+                  ? `Автоматически каждые ${backupSettings.intervalHours} ч. `
+                  : 'Автоматическое копирование выключено. '}
+                Хранятся копии за последние {backupSettings.keepDaily} дн.,
+                {' '}{backupSettings.keepWeekly} нед. и {backupSettings.keepMonthly} мес.
+                Копируются основная база и кэш фильмов.
+              </p>
+            )}
           </div>
 
           {/* Список бэкапов */}
           <div className={styles.section}>
-            <h2 className={styles.sectionTitle}>Резервные копии ({backups.length})</h2>
+            <h2 className={styles.sectionTitle}>История резервных копий ({backups.length})</h2>
             {backups.length === 0 ? (
               <p className={styles.emptyText}>Резервных копий пока нет</p>
             ) : (
               <div className={styles.backupsList}>
-                {backups.map((backup) => (
-                  <div
-                    key={backup.filename}
-                    className={`${styles.backupItem} ${selectedBackup?.filename === backup.filename ? styles.selected : ''}`}
-                    onClick={() => setSelectedBackup(backup)}
-                  >
-                    <div className={styles.backupInfo}>
-                      <span className={styles.backupName}>{backup.filename}</span>
-                      <span className={styles.backupMeta}>
-                        {formatDate(backup.createdAt)} · {formatSize(backup.size)}
-                      </span>
-                    </div>
-                    <div className={styles.backupActions}>
-                      <button
-                        className={styles.restoreButton}
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleRestore(backup.filename);
-                        }}
-                        disabled={restoring}
-                        title="Восстановить"
-                      >
-                        Восстановить
-                      </button>
-                      <button
-                        className={styles.deleteButton}
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleDelete(backup.filename);
-                        }}
-                        title="Удалить"
-                      >
-                        <Icon name="delete" size="small" />
-                      </button>
+                {backups.map((backup) => {
+                  const status = getBackupStatus(backup);
+                  const available = backup.status === 'ok' && !backup.prunedAt;
+                  return (
+                    <div
+                      key={backup.id}
+                      className={`${styles.backupItem} ${available ? '' : styles.unavailable} ${selectedBackup?.id === backup.id ? styles.selected : ''}`}
+                      onClick={() => setSelectedBackup(backup)}
+                    >
+                      <div className={styles.backupInfo}>
+                        <span className={styles.backupName}>{backup.filename}</span>
+                        <span className={styles.backupMeta}>
+                          {DATABASE_LABELS[backup.database]} · {formatDate(backup.createdAt)}
+                          {' '}· {TRIGGER_LABELS[backup.trigger] || backup.trigger}
+                          {backup.size > 0 && ` · ${formatSize(backup.size)}`}
+                        </span>
+                        <span className={`${styles.backupStatus} ${status.className}`}>{status.text}</span>
+                      </div>
+                      {available && (
+                        <div className={styles.backupActions}>
+                          <button
+                            className={styles.restoreButton}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleRestore(backup);
+                            }}
+                            disabled={restoring}
+                            title="Восстановить"
+                          >
+                            Восстановить
+                          </button>
+                          <button
+                            className={styles.deleteButton}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDelete(backup.filename);
+                            }}
+                            title="Удалить"
+                          >
+                            <Icon name="delete" size="small" />
+                          </button>
+                        </div>
+                      )}
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             )}
           </div>
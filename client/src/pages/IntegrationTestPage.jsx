@@ -81,9 +81,9 @@ const IntegrationTestPage = () => {
   const testSearchUsers = async () => {
     try {
       const response = await api.get('/users/search', {
-        params: { query: 'test' }
+        params: { q: 'test' }
       });
-      addResult('GET /api/users/search', 'success', `Найдено ${response.data.length || 0} пользователей`, response.data);
+      addResult('GET /api/users/search', 'success', `Найдено ${response.data.total || 0} пользователей`, response.data);
     } catch (error) {
       addResult('GET /api/users/search', 'error', error.message);
     }
@@ -1,39 +1,166 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { useAppSelector } from '../hooks/useAppSelector';
 import api from '../services/api';
 import MediaCard from '../components/Media/MediaCard';
 import Icon from '../components/Common/Icon';
+import PublicHeader from '../components/Layout/PublicHeader';
+import ListSharingPanel from '../components/Lists/ListSharingPanel';
+import ReportModal from '../components/Common/ReportModal';
 import styles from './ListDetailPage.module.css';
 
+const VISIBILITY_LABELS = {
+  private: 'Приватный',
+  friends: 'Для друзей',
+  public: 'Публичный'
+};
+
+// Сколько результатов поиска показывать в форме добавления
+const ADD_SEARCH_LIMIT = 5;
+
 /**
  * Страница просмотра конкретного списка (любого пользователя)
+ * По маршруту /lists/public/:slug открывается публичный список, в том числе без входа — только для чтения
  */
 const ListDetailPage = () => {
-  const { id } = useParams();
+  const { id, slug } = useParams();
   const navigate = useNavigate();
+  const { isAuthenticated } = useAppSelector((state) => state.auth);
   const [list, setList] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [followLoading, setFollowLoading] = useState(false);
+  const [showReportModal, setShowReportModal] = useState(false);
+
+  // Форма добавления для владельца и редакторов
+  const [addQuery, setAddQuery] = useState('');
+  const [addResults, setAddResults] = useState([]);
+  const [addError, setAddError] = useState(null);
+
+  // Перетаскивание элементов для ручного порядка
+  const [draggedItemId, setDraggedItemId] = useState(null);
+  const [orderError, setOrderError] = useState(null);
+
+  const fetchList = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(slug ? `/lists/public/${slug}` : `/lists/${id}`);
+      setList(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Ошибка загрузки списка:', err);
+      setError(err.response?.data?.error || 'Не удалось загрузить список');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, slug]);
 
   useEffect(() => {
-    const fetchList = async () => {
-      try {
-        setLoading(true);
-        const response = await api.get(`/lists/${id}`);
-        setList(response.data);
-      } catch (err) {
-        console.error('Ошибка загрузки списка:', err);
-        setError(err.response?.data?.error || 'Не удалось загрузить список');
-      } finally {
-        setLoading(false);
+    fetchList();
+  }, [fetchList]);
+
+  const handleListChange = (changes) => {
+    setList(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleToggleFollow = async () => {
+    try {
+      setFollowLoading(true);
+      const response = list.isFollowing
+        ? await api.delete(`/lists/${list.id}/follow`)
+        : await api.post(`/lists/${list.id}/follow`);
+      handleListChange(response.data);
+    } catch (err) {
+      console.error('Ошибка подписки на список:', err);
+    } finally {
+      setFollowLoading(false);
+    }
+  };
+
+  const handleSearchToAdd = async (e) => {
+    e.preventDefault();
+    if (!addQuery.trim()) return;
+
+    try {
+      setAddError(null);
+      const response = await api.get('/media/search', { params: { query: addQuery.trim() } });
+      const results = list.mediaType === 'movie' ? response.data.movies : response.data.tv;
+      setAddResults((results || []).slice(0, ADD_SEARCH_LIMIT));
+    } catch (err) {
+      setAddError(err.response?.data?.error || 'Не удалось выполнить поиск');
+    }
+  };
+
+  const handleAddItem = async (media) => {
+    try {
+      setAddError(null);
+      await api.post(`/lists/${list.id}/items`, { tmdbId: media.id, mediaType: list.mediaType });
+      setAddQuery('');
+      setAddResults([]);
+      await fetchList();
+    } catch (err) {
+      setAddError(err.response?.data?.error || 'Не удалось добавить в список');
+    }
+  };
+
+  const handleRemoveItem = async (item) => {
+    try {
+      await api.delete(`/lists/${list.id}/items/${item.id}`);
+      handleListChange({ items: list.items.filter(i => i.id !== item.id) });
+    } catch (err) {
+      console.error('Ошибка удаления из списка:', err);
+    }
+  };
+
+  // Сохранить новый порядок: сразу показываем его, при ошибке возвращаем прежний
+  const saveOrder = async (items) => {
+    const previousItems = list.items;
+    handleListChange({ items });
+    try {
+      setOrderError(null);
+      await api.put(`/lists/${list.id}/items/order`, { itemIds: items.map(item => item.id) });
+    } catch (err) {
+      handleListChange({ items: previousItems });
+      setOrderError(err.response?.data?.error || 'Не удалось сохранить порядок');
+      if (err.response?.data?.code === 'ORDER_MISMATCH') {
+        fetchList();
       }
-    };
+    }
+  };
 
-    fetchList();
-  }, [id]);
+  // Переставить элемент на место другого
+  const moveItem = (itemId, targetIndex) => {
+    const fromIndex = list.items.findIndex(item => item.id === itemId);
+    if (fromIndex === -1 || targetIndex < 0 || targetIndex >= list.items.length || fromIndex === targetIndex) {
+      return;
+    }
+    const items = [...list.items];
+    const [moved] = items.splice(fromIndex, 1);
+    items.splice(targetIndex, 0, moved);
+    saveOrder(items);
+  };
 
-  if (loading) {
+  const handleDrop = (e, targetIndex) => {
+    e.preventDefault();
+    if (draggedItemId) {
+      moveItem(draggedItemId, targetIndex);
+    }
+    setDraggedItemId(null);
+  };
+
+  // Гость по публичной ссылке видит страницу с публичной шапкой
+  const wrap = (content) => {
+    if (isAuthenticated) return content;
     return (
+      <>
+        <PublicHeader />
+        {content}
+      </>
+    );
+  };
+
+  if (loading && !list) {
+    return wrap(
       <div className={styles.container}>
         <div className={styles.loading}>Загрузка...</div>
       </div>
@@ -41,11 +168,11 @@ const ListDetailPage = () => {
   }
 
   if (error) {
-    return (
+    return wrap(
       <div className={styles.container}>
         <div className={styles.error}>
           <p>{error}</p>
-          <button onClick={() => navigate(-1)}>Назад</button>
+          {isAuthenticated && <button onClick={() => navigate(-1)}>Назад</button>}
         </div>
       </div>
     );
@@ -55,24 +182,36 @@ const ListDetailPage = () => {
     return null;
   }
 
-  return (
+  const canEdit = isAuthenticated && list.access.canEdit;
+  const canFollow = isAuthenticated && !list.access.isOwner && !list.access.role;
+  const showSharing = isAuthenticated && (list.access.isOwner || list.access.role);
+
+  // Имя того, кто добавил элемент, если это не владелец
+  const getAddedByName = (item) => {
+    if (!item.addedBy || item.addedBy === list.owner.id) return null;
+    return list.collaborators.find(c => c.userId === item.addedBy)?.displayName || null;
+  };
+
+  return wrap(
     <div className={styles.container}>
       <div className={styles.header}>
-        <button className={styles.backButton} onClick={() => navigate(-1)}>
-          ← Назад
-        </button>
-        
+        {isAuthenticated && (
+          <button className={styles.backButton} onClick={() => navigate(-1)}>
+            ← Назад
+          </button>
+        )}
+
         <div className={styles.listInfo}>
           <h1 className={styles.listName}>{list.name}</h1>
           <div className={styles.listMeta}>
-            <span 
+            <span
               className={styles.ownerLink}
               onClick={() => navigate(`/user/${list.owner.id}`)}
             >
               {list.owner.avatarUrl && (
-                <img 
-                  src={list.owner.avatarUrl.startsWith('http') 
-                    ? list.owner.avatarUrl 
+                <img
+                  src={list.owner.avatarUrl.startsWith('http')
+                    ? list.owner.avatarUrl
                     : `${import.meta.env.VITE_API_URL || ''}${list.owner.avatarUrl}`
                   }
                   alt={list.owner.displayName}
@@ -88,28 +227,146 @@ const ListDetailPage = () => {
             </span>
             <span className={styles.separator}>•</span>
             <span className={styles.count}>{list.items.length} элементов</span>
+            <span className={styles.separator}>•</span>
+            <span>{VISIBILITY_LABELS[list.visibility]}</span>
+            {list.followersCount > 0 && (
+              <>
+                <span className={styles.separator}>•</span>
+                <span>Подписчиков: {list.followersCount}</span>
+              </>
+            )}
           </div>
         </div>
+
+        {canFollow && (
+          <button
+            className={list.isFollowing ? styles.unfollowButton : styles.followButton}
+            onClick={handleToggleFollow}
+            disabled={followLoading}
+          >
+            {list.isFollowing ? 'Вы подписаны' : 'Подписаться'}
+          </button>
+        )}
+        {isAuthenticated && !list.access.isOwner && (
+          <button
+            className={styles.reportButton}
+            onClick={() => setShowReportModal(true)}
+            title="Пожаловаться на список"
+          >
+            <Icon name="report" size="small" />
+          </button>
+        )}
       </div>
 
+      {showReportModal && (
+        <ReportModal
+          targetType="list"
+          targetId={list.id}
+          reportedUserId={list.owner.id}
+          reportedUserName={list.owner.displayName}
+          onClose={() => setShowReportModal(false)}
+        />
+      )}
+
+      {showSharing && (
+        <ListSharingPanel list={list} onChange={handleListChange} />
+      )}
+
+      {canEdit && (
+        <div className={styles.addForm}>
+          <form className={styles.addSearch} onSubmit={handleSearchToAdd}>
+            <input
+              type="text"
+              className={styles.addInput}
+              placeholder={list.mediaType === 'movie' ? 'Найти фильм для списка' : 'Найти сериал для списка'}
+              value={addQuery}
+              onChange={(e) => setAddQuery(e.target.value)}
+            />
+            <button type="submit" className={styles.addButton}>Найти</button>
+          </form>
+          {addError && <p className={styles.addError}>{addError}</p>}
+          {addResults.length > 0 && (
+            <ul className={styles.addResults}>
+              {addResults.map(media => (
+                <li key={media.id} className={styles.addResult}>
+                  <span>
+                    {media.title || media.name}
+                    {(media.release_date || media.first_air_date) &&
+                      ` (${(media.release_date || media.first_air_date).slice(0, 4)})`}
+                  </span>
+                  <button className={styles.addButton} onClick={() => handleAddItem(media)}>
+                    Добавить
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {canEdit && list.items.length > 1 && (
+        <p className={styles.orderHint}>Перетаскивайте карточки, чтобы изменить места в списке</p>
+      )}
+      {orderError && <p className={styles.addError}>{orderError}</p>}
+
       {list.items.length === 0 ? (
         <div className={styles.empty}>
           <p>В этом списке пока нет элементов</p>
         </div>
       ) : (
         <div className={styles.grid}>
-          {list.items.map((item) => (
-            <MediaCard
+          {list.items.map((item, index) => (
+            <div
               key={item.id}
-              media={{
-                tmdbId: item.tmdbId,
-                mediaType: item.mediaType,
-                title: item.title,
-                posterPath: item.posterPath,
-                releaseDate: item.releaseDate,
-                voteAverage: item.voteAverage
-              }}
-            />
+              className={`${styles.mediaCardWrapper} ${draggedItemId === item.id ? styles.dragging : ''}`}
+              draggable={canEdit}
+              onDragStart={canEdit ? () => setDraggedItemId(item.id) : undefined}
+              onDragEnd={canEdit ? () => setDraggedItemId(null) : undefined}
+              onDragOver={canEdit ? (e) => e.preventDefault() : undefined}
+              onDrop={canEdit ? (e) => handleDrop(e, index) : undefined}
+            >
+              <span className={styles.rank}>{index + 1}</span>
+              <MediaCard
+                media={{
+                  tmdbId: item.tmdbId,
+                  mediaType: item.mediaType,
+                  title: item.title,
+                  posterPath: item.posterPath,
+                  releaseDate: item.releaseDate,
+                  voteAverage: item.voteAverage
+                }}
+              />
+              {getAddedByName(item) && (
+                <div className={styles.addedBy}>Добавил(а) {getAddedByName(item)}</div>
+              )}
+              {canEdit && (
+                <div className={styles.itemControls}>
+                  <button
+                    className={styles.itemControlButton}
+                    onClick={() => moveItem(item.id, index - 1)}
+                    disabled={index === 0}
+                    title="Выше"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className={styles.itemControlButton}
+                    onClick={() => moveItem(item.id, index + 1)}
+                    disabled={index === list.items.length - 1}
+                    title="Ниже"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    className={styles.itemControlButton}
+                    onClick={() => handleRemoveItem(item)}
+                    title="Удалить из списка"
+                  >
+                    <Icon name="delete" size="small" />
+                  </button>
+                </div>
+              )}
+            </div>
           ))}
         </div>
       )}
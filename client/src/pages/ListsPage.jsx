@@ -2,9 +2,11 @@ import React, { useEffect, useState } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { useAppDispatch } from '../hooks/useAppDispatch';
 import { useAppSelector } from '../hooks/useAppSelector';
-import { fetchLists, removeFromList, moveToList, updateListItemNote } from '../store/slices/listsSlice';
+import { fetchLists, fetchWatchlist, removeFromList, moveToList, updateListItemNote } from '../store/slices/listsSlice';
 import UserPageLayout from '../components/Layout/UserPageLayout';
 import CustomListManager from '../components/Lists/CustomListManager';
+import SharedLists from '../components/Lists/SharedLists';
+import BulkActionsBar from '../components/Lists/BulkActionsBar';
 import MediaCard from '../components/Media/MediaCard';
 import ConfirmDialog from '../components/Common/ConfirmDialog';
 import Icon from '../components/Common/Icon';
@@ -44,26 +46,53 @@ const ListsPage = () => {
   const [targetListId, setTargetListId] = useState('');
   const [noteModalItem, setNoteModalItem] = useState(null);
 
+  // Режим выбора для массовых действий
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedItemIds, setSelectedItemIds] = useState([]);
+
   useEffect(() => {
     if (isAuthenticated) {
       dispatch(fetchLists());
     }
   }, [isAuthenticated, dispatch]);
 
+  // Выход из режима выбора
+  const resetSelection = () => {
+    setSelectionMode(false);
+    setSelectedItemIds([]);
+  };
+
   // Переключение типа медиа
   const handleMediaTypeChange = (type) => {
     setSearchParams({ type });
     setSelectedListId(null); // Сбрасываем выбранный список при смене типа
+    resetSelection();
   };
 
   // Выбор списка для просмотра
   const handleListSelect = (list) => {
     setSelectedListId(list.id);
+    resetSelection();
   };
 
   // Возврат к списку всех списков
   const handleBackToLists = () => {
     setSelectedListId(null);
+    resetSelection();
+  };
+
+  // Отметить элемент для массового действия
+  const toggleItemSelection = (itemId) => {
+    setSelectedItemIds(prev =>
+      prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]
+    );
+  };
+
+  // После массового действия перечитываем списки и «Хочу посмотреть»
+  const handleBulkDone = () => {
+    resetSelection();
+    dispatch(fetchLists());
+    dispatch(fetchWatchlist());
   };
 
   // Открытие диалога перемещения
@@ -318,12 +347,15 @@ const ListsPage = () => {
         {!loading && !error && (
           <>
             {!selectedList ? (
-              // Показываем менеджер списков
-              <CustomListManager
-                lists={customLists}
-                mediaType={mediaType}
-                onListSelect={handleListSelect}
-              />
+              // Показываем менеджер списков и чужие списки, в которых участвует пользователь
+              <>
+                <CustomListManager
+                  lists={customLists}
+                  mediaType={mediaType}
+                  onListSelect={handleListSelect}
+                />
+                <SharedLists mediaType={mediaType} />
+              </>
             ) : (
               // Показываем содержимое выбранного списка
               <div className={styles.listContent}>
@@ -341,12 +373,39 @@ const ListsPage = () => {
                      selectedList.items?.length > 1 && selectedList.items?.length < 5 ? 'элемента' : 
                      'элементов'}
                   </p>
+                  {selectedList.items?.length > 0 && !selectionMode && (
+                    <button
+                      className={styles.selectModeButton}
+                      onClick={() => setSelectionMode(true)}
+                    >
+                      Выбрать несколько
+                    </button>
+                  )}
                 </div>
 
+                {selectionMode && (
+                  <BulkActionsBar
+                    selectedItems={selectedList.items.filter(item => selectedItemIds.includes(item.id))}
+                    source={{ type: 'list', listId: selectedList.id }}
+                    lists={customLists}
+                    onDone={handleBulkDone}
+                    onCancel={resetSelection}
+                  />
+                )}
+
                 {selectedList.items && selectedList.items.length > 0 ? (
                   <div className={styles.mediaGrid}>
                     {selectedList.items.map((item) => (
                       <div key={item.tmdbId} className={styles.mediaCardWrapper}>
+                        {selectionMode && (
+                          <label className={styles.selectItem}>
+                            <input
+                              type="checkbox"
+                              checked={selectedItemIds.includes(item.id)}
+                              onChange={() => toggleItemSelection(item.id)}
+                            />
+                          </label>
+                        )}
                         <MediaCard
                           media={item}
                           showProgress={item.mediaType === 'tv'}
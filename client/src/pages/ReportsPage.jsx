@@ -2,9 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAppSelector } from '../hooks/useAppSelector';
 import { TELEGRAM_ADMIN_ID } from '../constants';
-import Icon from '../components/Common/Icon';
 import useAlert from '../hooks/useAlert.jsx';
 import useConfirm from '../hooks/useConfirm.jsx';
+import { REPORT_CATEGORY_LABELS } from '../components/Common/ReportModal';
 import api from '../services/api';
 import styles from './ReportsPage.module.css';
 
@@ -20,6 +20,45 @@ const STATUS_COLORS = {
   dismissed: 'muted'
 };
 
+const TARGET_LABELS = {
+  user: 'Профиль',
+  wall_post: 'Запись',
+  review: 'Рецензия',
+  post_comment: 'Комментарий',
+  image_comment: 'Комментарий к фото',
+  message: 'Сообщение',
+  list: 'Список'
+};
+
+const RESOLUTION_LABELS = {
+  dismiss: 'Жалоба отклонена',
+  mark_reviewed: 'Просмотрено без действий',
+  delete_content: 'Контент удалён',
+  hide_content: 'Контент скрыт',
+  post_ban: 'Запрет на посты'
+};
+
+// Подтверждение действий, после которых контент пропадает у всех
+const CONTENT_ACTIONS = {
+  hide_content: {
+    title: 'Скрыть контент',
+    message: 'Контент перестанет показываться другим пользователям. Автор получит уведомление.',
+    confirmText: 'Скрыть'
+  },
+  delete_content: {
+    title: 'Удалить контент',
+    message: 'Контент будет удалён без возможности восстановления. Автор получит уведомление.',
+    confirmText: 'Удалить'
+  }
+};
+
+const POST_BAN_DURATIONS = [
+  { minutes: 60, label: '1 час' },
+  { minutes: 24 * 60, label: '1 день' },
+  { minutes: 7 * 24 * 60, label: '7 дней' },
+  { minutes: 30 * 24 * 60, label: '30 дней' }
+];
+
 const ReportsPage = () => {
   const navigate = useNavigate();
   const { user } = useAppSelector((state) => state.auth);
@@ -28,7 +67,14 @@ const ReportsPage = () => {
 
   const [reports, setReports] = useState([]);
   const [filter, setFilter] = useState('all');
+  const [targetFilter, setTargetFilter] = useState('all');
   const [loading, setLoading] = useState(true);
+  const [resolvingId, setResolvingId] = useState(null);
+
+  // Форма запрета на посты открывается внутри карточки жалобы
+  const [banReportId, setBanReportId] = useState(null);
+  const [banReason, setBanReason] = useState('');
+  const [banDuration, setBanDuration] = useState(POST_BAN_DURATIONS[1].minutes);
 
   const isAdmin = user?.isAdmin || user?.id === TELEGRAM_ADMIN_ID;
 
@@ -56,34 +102,74 @@ const ReportsPage = () => {
     }
   };
 
-  const handleStatusChange = async (reportId, status) => {
-    const label = status === 'reviewed' ? 'просмотрено' : 'отклонено';
-    const confirmed = await showConfirm({
-      title: `Отметить как "${label}"`,
-      message: `Вы уверены, что хотите отметить эту жалобу как "${label}"?`,
-      confirmText: status === 'reviewed' ? 'Просмотрено' : 'Отклонено',
-      cancelText: 'Отмена',
-      confirmButtonStyle: status === 'reviewed' ? 'success' : 'danger'
-    });
-    if (!confirmed) return;
-
+  const resolve = async (report, body, successMessage) => {
     try {
-      await api.put(`/admin/reports/${reportId}`, { status });
+      setResolvingId(report.id);
+      const res = await api.post(`/admin/reports/${report.id}/resolve`, body);
+      const closedOthers = res.data.resolvedReportIds.length - 1;
       await showAlert({
         title: 'Готово',
-        message: `Жалоба отмечена как "${label}"`,
+        message: closedOthers > 0
+          ? `${successMessage}. Закрыто и других жалоб на этот контент: ${closedOthers}`
+          : successMessage,
         type: 'success'
       });
+      setBanReportId(null);
       await loadReports();
     } catch (error) {
       await showAlert({
         title: 'Ошибка',
-        message: 'Не удалось обновить статус',
+        message: error.response?.data?.error || 'Не удалось обработать жалобу',
         type: 'error'
       });
+    } finally {
+      setResolvingId(null);
     }
   };
 
+  const handleStatusChange = async (report, status) => {
+    const label = status === 'reviewed' ? 'просмотрено' : 'отклонено';
+    const confirmed = await showConfirm({
+      title: `Отметить как "${label}"`,
+      message: `Вы уверены, что хотите отметить эту жалобу как "${label}"?`,
+      confirmText: status === 'reviewed' ? 'Просмотрено' : 'Отклонено',
+      cancelText: 'Отмена',
+      confirmButtonStyle: status === 'reviewed' ? 'success' : 'danger'
+    });
+    if (!confirmed) return;
+
+    await resolve(
+      report,
+      { action: status === 'reviewed' ? 'mark_reviewed' : 'dismiss' },
+      `Жалоба отмечена как "${label}"`
+    );
+  };
+
+  const handleContentAction = async (report, action) => {
+    const confirmed = await showConfirm({
+      ...CONTENT_ACTIONS[action],
+      cancelText: 'Отмена',
+      confirmButtonStyle: 'danger'
+    });
+    if (!confirmed) return;
+
+    await resolve(report, { action }, RESOLUTION_LABELS[action]);
+  };
+
+  const openBanForm = (report) => {
+    setBanReportId(report.id);
+    setBanReason(report.reason || '');
+    setBanDuration(POST_BAN_DURATIONS[1].minutes);
+  };
+
+  const handlePostBan = async (report) => {
+    await resolve(
+      report,
+      { action: 'post_ban', reason: banReason.trim(), durationMinutes: banDuration },
+      `${report.reportedUser.displayName || 'Пользователь'} не сможет публиковать записи`
+    );
+  };
+
   const handleDelete = async (reportId) => {
     const confirmed = await showConfirm({
       title: 'Удалить жалобу',
@@ -111,9 +197,25 @@ const ReportsPage = () => {
     }
   };
 
-  const filteredReports = filter === 'all'
-    ? reports
-    : reports.filter(r => r.status === filter);
+  // Где посмотреть контент: сообщения и комментарии открываются только через копию в жалобе
+  const getContentLink = (report) => {
+    switch (report.targetType) {
+      case 'user':
+        return `/user/${report.targetId}`;
+      case 'wall_post':
+      case 'review':
+        return report.snapshot?.wallOwnerId ? `/user/${report.snapshot.wallOwnerId}` : null;
+      case 'list':
+        return `/lists/${report.targetId}`;
+      default:
+        return null;
+    }
+  };
+
+  const filteredReports = reports.filter(r =>
+    (filter === 'all' || r.status === filter) &&
+    (targetFilter === 'all' || r.targetType === targetFilter)
+  );
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString('ru-RU', {
@@ -125,6 +227,8 @@ const ReportsPage = () => {
     });
   };
 
+  const imageSrc = (url) => (url.startsWith('http') ? url : `${import.meta.env.VITE_API_URL || ''}${url}`);
+
   if (!isAdmin) return null;
 
   return (
@@ -158,6 +262,17 @@ const ReportsPage = () => {
             </button>
           );
         })}
+
+        <select
+          className={styles.targetSelect}
+          value={targetFilter}
+          onChange={(e) => setTargetFilter(e.target.value)}
+        >
+          <option value="all">Любой контент</option>
+          {Object.entries(TARGET_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
       </div>
 
       {loading ? (
@@ -166,58 +281,157 @@ const ReportsPage = () => {
         <div className={styles.empty}>Жалоб нет</div>
       ) : (
         <div className={styles.reportsList}>
-          {filteredReports.map((report) => (
-            <div key={report.id} className={styles.reportCard}>
-              <div className={styles.reportHeader}>
-                <div className={styles.users}>
-                  <span className={styles.userLabel}>От:</span>
-                  <span className={styles.userName}>{report.reporter_name || 'Неизвестный'}</span>
-                  <span className={styles.userLabel}>На:</span>
-                  <span className={styles.userName}>{report.reported_name || 'Неизвестный'}</span>
+          {filteredReports.map((report) => {
+            const isPending = report.status === 'pending';
+            const isContent = report.targetType !== 'user';
+            const contentLink = getContentLink(report);
+            const busy = resolvingId === report.id;
+
+            return (
+              <div key={report.id} className={styles.reportCard}>
+                <div className={styles.reportHeader}>
+                  <div className={styles.users}>
+                    <span className={styles.userLabel}>От:</span>
+                    <span className={styles.userName}>{report.reporter.displayName || 'Неизвестный'}</span>
+                    <span className={styles.userLabel}>На:</span>
+                    <span className={styles.userName}>{report.reportedUser.displayName || 'Неизвестный'}</span>
+                  </div>
+                  <span className={`${styles.status} ${styles[STATUS_COLORS[report.status]]}`}>
+                    {STATUS_LABELS[report.status]}
+                  </span>
                 </div>
-                <span className={`${styles.status} ${styles[STATUS_COLORS[report.status]]}`}>
-                  {STATUS_LABELS[report.status]}
-                </span>
-              </div>
 
-              <p className={styles.reason}>{report.reason}</p>
+                <div className={styles.tags}>
+                  <span className={styles.targetTag}>{TARGET_LABELS[report.targetType]}</span>
+                  <span className={styles.categoryTag}>{REPORT_CATEGORY_LABELS[report.category] || report.category}</span>
+                </div>
 
-              <div className={styles.reportFooter}>
-                <span className={styles.date}>{formatDate(report.created_at)}</span>
+                {report.reason && <p className={styles.reason}>{report.reason}</p>}
 
-                <div className={styles.actions}>
-                  <button
-                    className={styles.profileBtn}
-                    onClick={() => navigate(`/user/${report.reported_user_id}`)}
-                  >
-                    Профиль
-                  </button>
-                  {report.status === 'pending' && (
-                    <>
-                      <button
-                        className={styles.dismissBtn}
-                        onClick={() => handleStatusChange(report.id, 'dismissed')}
-                      >
-                        Отклонено
-                      </button>
+                {report.snapshot && (
+                  <div className={styles.snapshot}>
+                    <span className={styles.snapshotLabel}>
+                      {report.snapshot.providedByReporter
+                        ? 'Текст из секретного чата (со слов пожаловавшегося):'
+                        : 'Контент на момент жалобы:'}
+                    </span>
+                    {report.snapshot.text
+                      ? <p className={styles.snapshotText}>{report.snapshot.text}</p>
+                      : <p className={styles.snapshotEmpty}>Текст недоступен</p>}
+                    {report.snapshot.images?.length > 0 && (
+                      <div className={styles.snapshotImages}>
+                        {report.snapshot.images.map((url) => (
+                          <img key={url} src={imageSrc(url)} alt="" className={styles.snapshotImage} />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {!isPending && report.resolution && (
+                  <p className={styles.resolution}>
+                    {RESOLUTION_LABELS[report.resolution]}
+                    {report.reviewedBy?.displayName && ` — ${report.reviewedBy.displayName}`}
+                  </p>
+                )}
+
+                {banReportId === report.id && (
+                  <div className={styles.banForm}>
+                    <select
+                      className={styles.banSelect}
+                      value={banDuration}
+                      onChange={(e) => setBanDuration(Number(e.target.value))}
+                    >
+                      {POST_BAN_DURATIONS.map(({ minutes, label }) => (
+                        <option key={minutes} value={minutes}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      className={styles.banReason}
+                      value={banReason}
+                      onChange={(e) => setBanReason(e.target.value)}
+                      placeholder="Причина для пользователя"
+                      maxLength={500}
+                    />
+                    <button
+                      className={styles.dismissBtn}
+                      onClick={() => handlePostBan(report)}
+                      disabled={busy || !banReason.trim()}
+                    >
+                      Запретить
+                    </button>
+                    <button className={styles.profileBtn} onClick={() => setBanReportId(null)}>
+                      Отмена
+                    </button>
+                  </div>
+                )}
+
+                <div className={styles.reportFooter}>
+                  <span className={styles.date}>{formatDate(report.createdAt)}</span>
+
+                  <div className={styles.actions}>
+                    {contentLink && (
                       <button
-                        className={styles.resolveBtn}
-                        onClick={() => handleStatusChange(report.id, 'reviewed')}
+                        className={styles.profileBtn}
+                        onClick={() => navigate(contentLink)}
                       >
-                        Просмотрено
+                        {isContent ? 'Открыть' : 'Профиль'}
                       </button>
-                    </>
-                  )}
-                  <button
-                    className={styles.deleteBtn}
-                    onClick={() => handleDelete(report.id)}
-                  >
-                    Удалить
-                  </button>
+                    )}
+                    {isPending && (
+                      <>
+                        <button
+                          className={styles.dismissBtn}
+                          onClick={() => handleStatusChange(report, 'dismissed')}
+                          disabled={busy}
+                        >
+                          Отклонено
+                        </button>
+                        <button
+                          className={styles.resolveBtn}
+                          onClick={() => handleStatusChange(report, 'reviewed')}
+                          disabled={busy}
+                        >
+                          Просмотрено
+                        </button>
+                        {isContent && (
+                          <>
+                            <button
+                              className={styles.dismissBtn}
+                              onClick={() => handleContentAction(report, 'hide_content')}
+                              disabled={busy}
+                            >
+                              Скрыть
+                            </button>
+                            <button
+                              className={styles.dismissBtn}
+                              onClick={() => handleContentAction(report, 'delete_content')}
+                              disabled={busy}
+                            >
+                              Удалить контент
+                            </button>
+                          </>
+                        )}
+                        <button
+                          className={styles.dismissBtn}
+                          onClick={() => openBanForm(report)}
+                          disabled={busy}
+                        >
+                          Запрет на посты
+                        </button>
+                      </>
+                    )}
+                    <button
+                      className={styles.deleteBtn}
+                      onClick={() => handleDelete(report.id)}
+                    >
+                      Удалить
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
     </div>
@@ -9,10 +9,20 @@ import UserPageLayout from '../components/Layout/UserPageLayout';
 import UserAvatar from '../components/User/UserAvatar';
 import Icon from '../components/Common/Icon';
 import MediaActionMenu from '../components/Common/MediaActionMenu';
+import ContentSearchResults from '../components/Search/ContentSearchResults';
 import { resolveDisplayNameWithTooltip } from '../utils/nicknameResolver';
 import api from '../services/api';
 import styles from './SearchPage.module.css';
 
+// Вкладки поиска по контенту сайта (/api/search), остальные ищут фильмы, сериалы и пользователей
+const CONTENT_TABS = [
+  { key: 'posts', label: 'Записи' },
+  { key: 'reviews', label: 'Рецензии' },
+  { key: 'lists', label: 'Списки' },
+  { key: 'comments', label: 'Комментарии' }
+];
+const CONTENT_TAB_KEYS = CONTENT_TABS.map(tab => tab.key);
+
 /**
  * Страница поиска с фильтрами
  * Отображает полные результаты поиска с возможностью фильтрации
@@ -35,6 +45,9 @@ const SearchPage = () => {
   const tabParam = searchParams.get('tab') || '';
   const [searchInput, setSearchInput] = useState(query);
   const [activeFilter, setActiveFilter] = useState('all');
+  // Количество найденных записей, рецензий, списков и комментариев
+  const [contentCounts, setContentCounts] = useState({});
+  const isContentFilter = CONTENT_TAB_KEYS.includes(activeFilter);
 
   // Очистка поиска при размонтировании компонента
   useEffect(() => {
@@ -88,15 +101,36 @@ const SearchPage = () => {
       setActiveFilter('movies');
     } else if (tabParam === 'tv') {
       setActiveFilter('tv');
+    } else if (CONTENT_TAB_KEYS.includes(tabParam)) {
+      setActiveFilter(tabParam);
     }
   }, [tabParam]);
 
   // Выполняем поиск при загрузке страницы или изменении query или фильтра
   useEffect(() => {
-    if (query.trim()) {
+    if (query.trim() && !isContentFilter) {
       dispatch(searchMedia({ query, filters: { searchType: activeFilter } }));
     }
-  }, [query, activeFilter, dispatch]);
+  }, [query, activeFilter, isContentFilter, dispatch]);
+
+  // Счётчики для вкладок контента: по одному результату каждой группы достаточно для total
+  useEffect(() => {
+    setContentCounts({});
+    if (!query.trim()) return undefined;
+
+    let cancelled = false;
+    Promise.all(CONTENT_TAB_KEYS.map(type => (
+      api.get(`/search?${new URLSearchParams({ q: query, type, limit: 1 })}`)
+        .then(response => [type, response.data.groups[type].total])
+        .catch(() => [type, 0])
+    ))).then(entries => {
+      if (!cancelled) setContentCounts(Object.fromEntries(entries));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
 
   // Обработка отправки формы поиска
   const handleSearchSubmit = (e) => {
@@ -223,7 +257,7 @@ const SearchPage = () => {
                 type="text"
                 value={searchInput}
                 onChange={(e) => setSearchInput(e.target.value)}
-                placeholder="Поиск фильмов, сериалов и пользователей..."
+                placeholder="Поиск фильмов, сериалов, людей, записей и списков..."
                 className={styles.searchInput}
                 autoFocus
               />
@@ -245,7 +279,7 @@ const SearchPage = () => {
 
           {query && (
             <p className={styles.subtitle}>
-              Результаты для: <span className={styles.query}>"{query}"</span> — найдено: {filteredResults.length}
+              Результаты для: <span className={styles.query}>"{query}"</span> — найдено: {isContentFilter ? (contentCounts[activeFilter] ?? 0) : filteredResults.length}
             </p>
           )}
         </div>
@@ -276,11 +310,22 @@ const SearchPage = () => {
           >
             Сериалы ({counts.tv})
           </button>
+          {CONTENT_TABS.map(tab => (
+            <button
+              key={tab.key}
+              className={`${styles.filterButton} ${activeFilter === tab.key ? styles.active : ''}`}
+              onClick={() => setActiveFilter(tab.key)}
+            >
+              {tab.label} ({contentCounts[tab.key] ?? 0})
+            </button>
+          ))}
         </div>
 
         {/* Результаты */}
         <div className={styles.results}>
-          {loading ? (
+          {isContentFilter && query.trim() ? (
+            <ContentSearchResults query={query} type={activeFilter} />
+          ) : loading ? (
             <div className={styles.loading}>
               <div className={styles.spinner}></div>
               <p>Поиск...</p>
@@ -294,7 +339,7 @@ const SearchPage = () => {
             <div className={styles.empty}>
               <span className={styles.emptyIcon}>🔍</span>
               <p>Начните вводить запрос для поиска</p>
-              <p className={styles.emptyHint}>Фильмы, сериалы, пользователи</p>
+              <p className={styles.emptyHint}>Фильмы, сериалы, пользователи, записи, рецензии, списки и комментарии</p>
             </div>
           ) : filteredResults.length > 0 ? (
             <div className={styles.resultsList}>
@@ -13,7 +13,9 @@ import GoogleConnectionBlock from '../components/Settings/GoogleConnectionBlock'
 import DiscordConnectionBlock from '../components/Settings/DiscordConnectionBlock';
 import EmailConnectionBlock from '../components/Settings/EmailConnectionBlock';
 import TwoFactorSettings from '../components/Settings/TwoFactorSettings';
+import ActiveSessions from '../components/Settings/ActiveSessions';
 import NotificationSettings from '../components/Settings/NotificationSettings';
+import ImportHistory from '../components/Settings/ImportHistory';
 import Icon from '../components/Common/Icon';
 import useConfirm from '../hooks/useConfirm.jsx';
 import useAlert from '../hooks/useAlert.jsx';
@@ -35,6 +37,7 @@ const SettingsPage = () => {
   const [openSection, setOpenSection] = useState(null);
   const [showE2EEModal, setShowE2EEModal] = useState(false);
   const [hasE2EEKey, setHasE2EEKey] = useState(hasIdentityKey());
+  const [sessionsVersion, setSessionsVersion] = useState(0); // Перезагрузка списка сессий после «Завершить все сессии»
 
   const isAdmin = user?.isAdmin || user?.id === TELEGRAM_ADMIN_ID;
 
@@ -63,6 +66,7 @@ const SettingsPage = () => {
     if (confirmed) {
       try {
         await api.delete('/auth/logout-all');
+        setSessionsVersion(v => v + 1);
         await showAlert({
           title: 'Готово',
           message: 'Все остальные сессии завершены',
@@ -335,6 +339,26 @@ const SettingsPage = () => {
                     <option value="none">Никто</option>
                   </select>
                 </div>
+                <div className={styles.accordionSection}>
+                  <h4 className={styles.accordionSectionTitle}>Статус «в сети»</h4>
+                  <p className={styles.cardDescription}>Выберите, кто видит, что вы в сети и когда были в последний раз</p>
+                  <select
+                    className={styles.privacySelect}
+                    value={user.presencePrivacy || 'all'}
+                    onChange={async (e) => {
+                      try {
+                        await dispatch(updateProfile({ userId: user.id, presencePrivacy: e.target.value })).unwrap();
+                      } catch (error) {
+                        console.error('Ошибка обновления приватности:', error);
+                        await showAlert({ title: 'Ошибка', message: 'Не удалось обновить настройки приватности', type: 'error' });
+                      }
+                    }}
+                  >
+                    <option value="all">Все собеседники</option>
+                    <option value="friends">Только друзья</option>
+                    <option value="none">Никто</option>
+                  </select>
+                </div>
                 <div className={styles.accordionSection}>
                   <h4 className={styles.accordionSectionTitle}>Уведомления в Telegram</h4>
                   <NotificationSettings userId={user.id} />
@@ -414,6 +438,9 @@ const SettingsPage = () => {
                     <DiscordConnectionBlock />
                   </div>
                 </div>
+                <div className={styles.accordionSection}>
+                  <ActiveSessions key={sessionsVersion} />
+                </div>
                 <div className={styles.accordionSection}>
                   <div className={styles.logoutGroup}>
                     <button onClick={handleLogout} className={styles.logoutButton}>
@@ -437,7 +464,29 @@ const SettingsPage = () => {
             )}
           </div>
 
-          {/* Группа 5: Поддержка */}
+          {/* Группа 5: Импорт данных */}
+          <div className={`${styles.settingsCard} ${styles.settingsCardAccordion}`}>
+            <button className={styles.accordionHeader} onClick={() => toggleSection('import')}>
+              <div className={styles.accordionHeaderLeft}>
+                <Icon name="database" size="medium" />
+                <span className={styles.accordionTitle}>Импорт данных</span>
+              </div>
+              <Icon name="chevron-down" size="small" className={`${styles.accordionChevron} ${openSection === 'import' ? styles.open : ''}`} />
+            </button>
+            {openSection === 'import' && (
+              <div className={styles.accordionContent}>
+                <div className={styles.accordionSection}>
+                  <h4 className={styles.accordionSectionTitle}>Импорт из Letterboxd, IMDb и Trakt</h4>
+                  <p className={styles.cardDescription}>
+                    Загрузите файлы экспорта — мы найдём фильмы и сериалы в TMDb и покажем отчёт перед импортом
+                  </p>
+                  <ImportHistory />
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Группа 6: Поддержка */}
           <div className={`${styles.settingsCard} ${styles.settingsCardAccordion}`}>
             <button className={styles.accordionHeader} onClick={() => toggleSection('support')}>
               <div className={styles.accordionHeaderLeft}>
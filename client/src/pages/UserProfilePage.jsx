@@ -7,6 +7,7 @@ import UserPageLayout from '../components/Layout/UserPageLayout';
 import UserAvatar from '../components/User/UserAvatar';
 import Icon from '../components/Common/Icon';
 import ReportModal from '../components/Common/ReportModal';
+import AchievementsBlock from '../components/User/AchievementsBlock';
 import { resolveDisplayNameWithTooltip } from '../utils/nicknameResolver';
 import { AdminModerationPanel } from '../components/Settings';
 import { Wall } from '../components/Wall';
@@ -554,6 +555,9 @@ const UserProfilePage = () => {
           </div>
         )}
 
+        {/* Достижения пользователя */}
+        <AchievementsBlock userId={userId} isOwnProfile={isOwnProfile} />
+
         {/* Wall - стена пользователя */}
         <div className={styles.wallSection}>
           <h2 className={styles.sectionTitle}>Стена</h2>
@@ -53,12 +53,19 @@ const UsersManagementPage = () => {
 
       let response;
       if (query.trim()) {
-        // Поиск пользователей
+        // Поиск пользователей с серверной пагинацией
         response = await api.get('/users/search', {
-          params: { q: query }
+          params: { q: query, limit: USERS_PER_PAGE, offset: (pageNum - 1) * USERS_PER_PAGE }
         });
-        // При поиске возвращаются все результаты, пагинация не нужна
-        setHasMore(false);
+        const foundUsers = response.data.users;
+
+        if (append) {
+          setUsers(prev => [...prev, ...foundUsers]);
+        } else {
+          setUsers(foundUsers);
+        }
+
+        setHasMore(response.data.hasMore);
       } else {
         // Получение всех пользователей через админ API
         response = await api.get('/admin/users');
@@ -75,13 +82,6 @@ const UsersManagementPage = () => {
         }
         
         setHasMore(endIndex < allUsers.length);
-        return;
-      }
-
-      if (append) {
-        setUsers(prev => [...prev, ...response.data]);
-      } else {
-        setUsers(response.data);
       }
 
     } catch (err) {
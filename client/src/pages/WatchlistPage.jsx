@@ -6,6 +6,7 @@ import { fetchWatchlist, fetchLists, addToList, removeFromWatchlist } from '../s
 import UserPageLayout from '../components/Layout/UserPageLayout';
 import MediaCard from '../components/Media/MediaCard';
 import ConfirmDialog from '../components/Common/ConfirmDialog';
+import BulkActionsBar from '../components/Lists/BulkActionsBar';
 import Icon from '../components/Common/Icon';
 import useAlert from '../hooks/useAlert';
 import styles from './WatchlistPage.module.css';
@@ -34,6 +35,10 @@ const WatchlistPage = () => {
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [itemToDelete, setItemToDelete] = useState(null);
 
+  // Режим выбора для массовых действий
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedItemIds, setSelectedItemIds] = useState([]);
+
   // Состояние для dropdown экспорта
   const [showExportDropdown, setShowExportDropdown] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
@@ -122,6 +127,27 @@ const WatchlistPage = () => {
   // Изменение фильтра
   const handleFilterChange = (type) => {
     setSearchParams(type === 'all' ? {} : { type });
+    resetSelection();
+  };
+
+  // Выход из режима выбора
+  const resetSelection = () => {
+    setSelectionMode(false);
+    setSelectedItemIds([]);
+  };
+
+  // Отметить элемент для массового действия
+  const toggleItemSelection = (itemId) => {
+    setSelectedItemIds(prev =>
+      prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]
+    );
+  };
+
+  // После массового действия перечитываем «Хочу посмотреть» и списки
+  const handleBulkDone = () => {
+    resetSelection();
+    dispatch(fetchWatchlist());
+    dispatch(fetchLists());
   };
 
   // Открытие модального окна для перемещения
@@ -285,9 +311,27 @@ const WatchlistPage = () => {
                filteredWatchlist.length > 1 && filteredWatchlist.length < 5 ? 'элемента' : 
                'элементов'}
             </p>
+            {filteredWatchlist.length > 0 && !selectionMode && (
+              <button
+                className={styles.selectModeButton}
+                onClick={() => setSelectionMode(true)}
+              >
+                Выбрать несколько
+              </button>
+            )}
           </div>
         )}
 
+        {selectionMode && !loading && (
+          <BulkActionsBar
+            selectedItems={filteredWatchlist.filter(item => selectedItemIds.includes(item.id))}
+            source={{ type: 'watchlist' }}
+            lists={customLists}
+            onDone={handleBulkDone}
+            onCancel={resetSelection}
+          />
+        )}
+
         {/* Состояния загрузки и ошибок */}
         {loading && (
           <div className={styles.loadingContainer}>
@@ -316,6 +360,15 @@ const WatchlistPage = () => {
               <div className={styles.mediaGrid}>
                 {filteredWatchlist.map((item) => (
                   <div key={item.tmdbId} className={styles.mediaCardWrapper}>
+                    {selectionMode && (
+                      <label className={styles.selectItem}>
+                        <input
+                          type="checkbox"
+                          checked={selectedItemIds.includes(item.id)}
+                          onChange={() => toggleItemSelection(item.id)}
+                        />
+                      </label>
+                    )}
                     <MediaCard
                       media={item}
                       showProgress={item.mediaType === 'tv'}
@@ -6,6 +6,21 @@ let ws = null;
 let reconnectTimeout = null;
 let messageHandlers = [];
 let isConnecting = false;
+let visibilityListenerAdded = false;
+
+/**
+ * Текущий статус присутствия вкладки: away, когда вкладка скрыта
+ */
+function currentPresenceStatus() {
+  return document.visibilityState === 'hidden' ? 'away' : 'online';
+}
+
+/**
+ * Сообщаем серверу о переходе вкладки в фон и обратно
+ */
+function handleVisibilityChange() {
+  sendWebSocketEvent({ type: 'presence', status: currentPresenceStatus() });
+}
 
 /**
  * Подключение к WebSocket серверу
@@ -45,6 +60,12 @@ export function connectWebSocket(token) {
     ws.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
+
+        // После аутентификации сервер считает соединение активным — уточняем, если вкладка в фоне
+        if (data.type === 'auth' && data.success && currentPresenceStatus() === 'away') {
+          handleVisibilityChange();
+        }
+
         messageHandlers.forEach(handler => handler(data));
       } catch (error) {
         console.error('WebSocket ошибка обработки:', error);
@@ -73,6 +94,11 @@ export function connectWebSocket(token) {
     console.error('WebSocket ошибка создания:', error);
     isConnecting = false;
   }
+
+  if (!visibilityListenerAdded) {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    visibilityListenerAdded = true;
+  }
 }
 
 /**
@@ -89,9 +115,37 @@ export function disconnectWebSocket() {
     ws = null;
   }
 
+  if (visibilityListenerAdded) {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    visibilityListenerAdded = false;
+  }
+
   messageHandlers = [];
 }
 
+/**
+ * Отправить событие на сервер (если соединение открыто)
+ * @returns {boolean} - Отправлено ли событие
+ */
+export function sendWebSocketEvent(data) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    return false;
+  }
+
+  ws.send(JSON.stringify(data));
+  return true;
+}
+
+/**
+ * Сообщить собеседникам, что пользователь печатает (или перестал)
+ */
+export function sendTyping(conversationId, isTyping) {
+  return sendWebSocketEvent({
+    type: isTyping ? 'typing_start' : 'typing_stop',
+    conversationId
+  });
+}
+
 /**
  * Добавить обработчик сообщений
  */
@@ -160,6 +160,21 @@ export const moveToList = createAsyncThunk(
   }
 );
 
+// Массовая операция: перенести, скопировать или удалить несколько элементов
+// Затрагивает несколько списков сразу, поэтому после неё списки перечитываются (fetchLists, fetchWatchlist)
+// source/target: { type: 'list', listId } | { type: 'watchlist' }
+export const bulkListAction = createAsyncThunk(
+  'lists/bulkListAction',
+  async ({ action, source, target, itemIds }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/lists/bulk', { action, source, target, itemIds });
+      return response.data;
+    } catch (error) {
+      return handleError(error, rejectWithValue);
+    }
+  }
+);
+
 // Получить прогресс просмотра сериала
 export const fetchEpisodeProgress = createAsyncThunk(
   'lists/fetchEpisodeProgress',
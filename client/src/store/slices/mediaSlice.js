@@ -57,7 +57,7 @@ export const searchMedia = createAsyncThunk(
           }
         } else if (result.type === 'users') {
           if (result.data) {
-            users = result.data || [];
+            users = result.data.users || [];
             console.log('[mediaSlice] Пользователей найдено:', users.length);
           } else {
             console.error('[mediaSlice] Ошибка поиска пользователей:', result.error);
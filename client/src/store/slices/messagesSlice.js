@@ -25,6 +25,19 @@ export const fetchConversations = createAsyncThunk(
   }
 );
 
+// Получить статусы присутствия собеседников
+export const fetchPresence = createAsyncThunk(
+  'messages/fetchPresence',
+  async (userIds, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/messages/presence?userIds=${encodeURIComponent(userIds.join(','))}`);
+      return response.data;
+    } catch (error) {
+      return handleError(error, rejectWithValue);
+    }
+  }
+);
+
 // Получить сообщения из конкретного диалога
 export const fetchMessages = createAsyncThunk(
   'messages/fetchMessages',
@@ -204,6 +217,8 @@ const messagesSlice = createSlice({
     loading: false,
     loadingMore: false,
     sendingMessage: false,
+    presence: {}, // userId -> { status: 'online' | 'away' | 'offline', lastSeenAt }
+    typing: {}, // conversationId -> { userId: displayName }
     error: null
   },
   reducers: {
@@ -256,6 +271,27 @@ const messagesSlice = createSlice({
         msg.reactions.push(reaction);
       }
     },
+    updatePresence: (state, action) => {
+      const { userId, status, lastSeenAt } = action.payload;
+      state.presence[userId] = {
+        status,
+        lastSeenAt: lastSeenAt || state.presence[userId]?.lastSeenAt || null
+      };
+      // Ушедший из сети больше не печатает
+      if (status === 'offline') {
+        Object.values(state.typing).forEach(users => {
+          delete users[userId];
+        });
+      }
+    },
+    setTyping: (state, action) => {
+      const { conversationId, userId, displayName, isTyping } = action.payload;
+      if (isTyping) {
+        state.typing[conversationId] = { ...state.typing[conversationId], [userId]: displayName };
+      } else if (state.typing[conversationId]) {
+        delete state.typing[conversationId][userId];
+      }
+    },
     removeMessageReactionFromState: (state, action) => {
       const { messageId, userId } = action.payload;
       const msg = state.messages.find(m => m.id === messageId);
@@ -409,9 +445,13 @@ const messagesSlice = createSlice({
       })
       .addCase(removeMessageReaction.rejected, (state, action) => {
         state.error = action.payload;
+      })
+      // Fetch Presence
+      .addCase(fetchPresence.fulfilled, (state, action) => {
+        state.presence = { ...state.presence, ...action.payload };
       });
   }
 });
 
-export const { clearError, setCurrentConversation, clearMessages, addNewMessage, removeMessage, setPinnedMessage, clearPinnedMessage, patchMessageReplyTo, updateMessageReaction, removeMessageReactionFromState } = messagesSlice.actions;
+export const { clearError, setCurrentConversation, clearMessages, addNewMessage, removeMessage, setPinnedMessage, clearPinnedMessage, patchMessageReplyTo, updateMessageReaction, removeMessageReactionFromState, updatePresence, setTyping } = messagesSlice.actions;
 export default messagesSlice.reducer;
@@ -0,0 +1,23 @@
+// Форматы копий в порядке предпочтения: браузер берёт первый поддерживаемый <source>
+export const VARIANT_FORMATS = ['avif', 'webp'];
+
+/**
+ * Полный URL файла с сервера; внешние URL (например, аватар из Telegram) возвращаются как есть
+ * @param {string} url - URL вида /uploads/... или внешний
+ * @returns {string|null}
+ */
+export const resolveUploadUrl = (url) => {
+  if (!url) return null;
+  return url.startsWith('/uploads/') ? `${import.meta.env.VITE_API_URL || ''}${url}` : url;
+};
+
+/**
+ * Строка srcset из копий изображения одного формата
+ * @param {Array} variants - [{width, format, url}] из ответа API
+ * @param {string} format - 'avif' | 'webp'
+ * @returns {string} - Пустая строка, если копий этого формата нет
+ */
+export const buildSrcSet = (variants, format) => (variants || [])
+  .filter(variant => variant.format === format)
+  .map(variant => `${resolveUploadUrl(variant.url)} ${variant.width}w`)
+  .join(', ');
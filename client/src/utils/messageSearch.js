@@ -0,0 +1,75 @@
+/**
+ * Поиск по сообщениям
+ * Нормализация запроса — общая (searchText) и совпадает с серверной. Для секретных чатов поиск идёт
+ * только по уже расшифрованным на устройстве сообщениям и не отправляет запрос на сервер
+ */
+
+import { tokenizeSearchText } from './searchText';
+
+/**
+ * Типы вложений для фильтра поиска
+ */
+export const ATTACHMENT_TYPE_OPTIONS = [
+  { value: '', label: 'Все сообщения' },
+  { value: 'image', label: 'Фото' },
+  { value: 'video', label: 'Видео' },
+  { value: 'audio', label: 'Аудио' },
+  { value: 'file', label: 'Файлы' },
+  { value: 'location', label: 'Геопозиции' },
+  { value: 'media', label: 'Фильмы и сериалы' }
+];
+
+/**
+ * Совпадает ли mimetype вложения с типом фильтра
+ */
+const matchesMimetype = (mimetype, attachmentType) => {
+  const kind = (mimetype || '').split('/')[0];
+  if (attachmentType === 'file') return !['image', 'video', 'audio'].includes(kind);
+  return kind === attachmentType;
+};
+
+/**
+ * Подходит ли сообщение под фильтр по типу вложения
+ */
+const matchesAttachmentType = (message, attachmentType) => {
+  if (!attachmentType) return true;
+  if (attachmentType === 'location') return Boolean(message.location);
+  if (attachmentType === 'media') return Boolean(message.suggestedMedia);
+  return (message.attachments || []).some(att => matchesMimetype(att.mimetype, attachmentType));
+};
+
+/**
+ * Найти сообщения среди загруженных на устройстве (секретные чаты)
+ * @param {Array} messages - Расшифрованные сообщения из state.messages.messages
+ * @param {Object} filters
+ * @param {string} [filters.query] - Текст запроса
+ * @param {string} [filters.senderId] - Только от этого отправителя
+ * @param {string} [filters.from] - Дата 'YYYY-MM-DD', не раньше
+ * @param {string} [filters.to] - Дата 'YYYY-MM-DD', включительно
+ * @param {string} [filters.attachmentType] - Значение из ATTACHMENT_TYPE_OPTIONS
+ * @returns {Array} - Подходящие сообщения, новые сверху
+ */
+export const searchLocalMessages = (messages, { query = '', senderId = '', from = '', to = '', attachmentType = '' } = {}) => {
+  const queryTokens = tokenizeSearchText(query);
+  const fromTime = from ? new Date(from).getTime() : null;
+  // Дата без времени включает весь день
+  const toTime = to ? new Date(to).getTime() + 24 * 60 * 60 * 1000 : null;
+
+  return messages
+    .filter((message) => {
+      if (message.undecryptable) return false;
+      if (senderId && message.senderId !== senderId) return false;
+
+      const createdAt = new Date(message.createdAt).getTime();
+      if (fromTime !== null && createdAt < fromTime) return false;
+      if (toTime !== null && createdAt >= toTime) return false;
+
+      if (!matchesAttachmentType(message, attachmentType)) return false;
+
+      if (queryTokens.length === 0) return true;
+      const fileNames = (message.attachments || []).map(att => att.originalName).filter(Boolean);
+      const words = tokenizeSearchText([message.content, ...fileNames].join(' '));
+      return queryTokens.every(token => words.some(word => word.startsWith(token)));
+    })
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
@@ -0,0 +1,45 @@
+import { resolveDisplayName } from './nicknameResolver';
+
+// Через сколько скрывать индикатор набора, если typing_stop не пришёл (закрыли вкладку, пропала сеть)
+export const TYPING_TIMEOUT = 6000;
+
+/**
+ * Текст индикатора набора для диалога
+ * @param {Object} typingUsers - { userId: displayName } из state.messages.typing
+ * @param {boolean} isGroup - В группе показываем, кто именно печатает
+ * @returns {string|null}
+ */
+export const formatTyping = (typingUsers, isGroup) => {
+  const entries = Object.entries(typingUsers || {});
+  if (entries.length === 0) return null;
+  if (!isGroup) return 'печатает...';
+
+  const names = entries.map(([userId, displayName]) => resolveDisplayName(userId, displayName));
+  if (names.length === 1) return `${names[0]} печатает...`;
+  if (names.length === 2) return `${names[0]} и ${names[1]} печатают...`;
+  return `${names[0]} и ещё ${names.length - 1} печатают...`;
+};
+
+/**
+ * Текст статуса присутствия собеседника
+ * @param {Object} presence - { status, lastSeenAt } из state.messages.presence
+ * @returns {string|null} - null, если статус скрыт настройками приватности
+ */
+export const formatPresence = (presence) => {
+  if (!presence) return null;
+  if (presence.status === 'online') return 'в сети';
+  if (presence.status === 'away') return 'отошёл';
+  if (!presence.lastSeenAt) return 'не в сети';
+
+  const lastSeen = new Date(presence.lastSeenAt);
+  const diffMins = Math.floor((Date.now() - lastSeen) / 60000);
+
+  if (diffMins < 1) return 'был(а) только что';
+  if (diffMins < 60) return `был(а) ${diffMins} мин назад`;
+
+  const today = new Date();
+  const time = lastSeen.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+  if (lastSeen.toDateString() === today.toDateString()) return `был(а) сегодня в ${time}`;
+
+  return `был(а) ${lastSeen.toLocaleDateString('ru-RU', { day: 'numeric', month: 'short' })} в ${time}`;
+};
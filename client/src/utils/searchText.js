@@ -0,0 +1,60 @@
+/**
+ * Нормализация текста и подсветка совпадений для поиска
+ * Совпадает с серверной нормализацией (userSearchService): регистр, «ё» → «е», без ударений,
+ * запрос — набор префиксов слов
+ */
+
+/**
+ * Нормализовать текст для сравнения
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeSearchText = (text) => (text || '')
+  .normalize('NFKC')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/ё/g, 'е')
+  .trim();
+
+/**
+ * Слова текста (буквы и цифры любых алфавитов)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenizeSearchText = (text) => normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Разбить текст на части для подсветки совпадений с запросом
+ * @param {string} text - Исходный текст
+ * @param {string} query - Текст запроса
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export const highlightMatches = (text, query) => {
+  const source = text || '';
+  const queryTokens = tokenizeSearchText(query);
+  if (queryTokens.length === 0 || !source) return [{ text: source, match: false }];
+
+  const parts = [];
+  let lastIndex = 0;
+  // Слова исходного текста: сравниваем нормализованное слово, подсвечиваем префикс оригинала
+  for (const wordMatch of source.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+    const word = wordMatch[0];
+    const normalizedWord = normalizeSearchText(word);
+    const token = queryTokens.find(t => normalizedWord.startsWith(t));
+    if (!token) continue;
+
+    // Длина совпавшего префикса в исходном слове (буквы с ударениями занимают больше символов)
+    let prefixLength = 0;
+    while (prefixLength < word.length && normalizeSearchText(word.slice(0, prefixLength)).length < token.length) {
+      prefixLength++;
+    }
+
+    const start = wordMatch.index;
+    if (start > lastIndex) parts.push({ text: source.slice(lastIndex, start), match: false });
+    parts.push({ text: source.slice(start, start + prefixLength), match: true });
+    lastIndex = start + prefixLength;
+  }
+  if (lastIndex < source.length) parts.push({ text: source.slice(lastIndex), match: false });
+
+  return parts;
+};
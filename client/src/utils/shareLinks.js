@@ -0,0 +1,28 @@
+// Адрес сайта для ссылок, которые уходят наружу; совпадает с PUBLIC_URL, от которого строит ссылки Telegram-бот
+const getPublicUrl = () => import.meta.env.VITE_PUBLIC_URL || window.location.origin;
+
+/**
+ * Ссылка на страницу фильма или сериала (MediaDetailPage)
+ * @param {string} mediaType - 'movie' | 'tv'
+ * @param {number} tmdbId
+ * @returns {string}
+ */
+export const getMediaLink = (mediaType, tmdbId) => `${getPublicUrl()}/media/${mediaType}/${tmdbId}`;
+
+/**
+ * Ссылка на список (ListDetailPage): публичный открывается по slug без входа, остальные — по id
+ * @param {Object} list - { id, slug, visibility }
+ * @returns {string}
+ */
+export const getListLink = (list) => (list.visibility === 'public' && list.slug
+  ? `${getPublicUrl()}/lists/public/${list.slug}`
+  : `${getPublicUrl()}/lists/${list.id}`);
+
+/**
+ * Ссылка «Поделиться в Telegram»: открывает выбор чата с готовым сообщением
+ * @param {string} link - Ссылка из getMediaLink / getListLink
+ * @param {string} text - Текст сообщения
+ * @returns {string}
+ */
+export const getTelegramShareUrl = (link, text) =>
+  `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(text)}`;
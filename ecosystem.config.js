@@ -17,6 +17,8 @@ module.exports = {
         NODE_ENV: 'production',
         PORT: 1313
       },
+      // Для instances > 1 задайте REALTIME_BROKER=redis и REDIS_URL,
+      // иначе WebSocket события не дойдут до соединений в других процессах
       instances: 1,
       exec_mode: 'cluster',
       max_memory_restart: '500M',
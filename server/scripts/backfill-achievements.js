@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для выдачи достижений существующим пользователям
+ * Пересчитывает прогресс по всем категориям, уведомления не отправляются
+ * Использование: node scripts/backfill-achievements.js
+ */
+
+import { runMigrations } from '../src/database/migrations.js';
+import { closeDatabase } from '../src/database/db.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Загрузка переменных окружения
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+console.log('🏆 Backfill достижений...');
+console.log(`📁 База данных: ${process.env.DB_PATH || './server/rebel.db'}`);
+console.log('');
+
+async function backfill() {
+  let exitCode = 0;
+
+  try {
+    await runMigrations();
+
+    const { backfillAchievements } = await import('../src/utils/achievementChecker.js');
+    const report = await backfillAchievements();
+
+    console.log('');
+    console.log(`✅ Готово: пользователей ${report.users}, выдано достижений ${report.unlocked}`);
+  } catch (error) {
+    console.error('');
+    console.error('❌ Ошибка backfill достижений:', error.message);
+    exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+
+  process.exit(exitCode);
+}
+
+backfill();
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для создания уменьшенных копий (AVIF/WebP) уже загруженных изображений
+ * Оригиналы в uploads/ поворачиваются по EXIF и очищаются от метаданных без смены URL,
+ * копии удалённых изображений убираются
+ * Использование: node scripts/backfill-image-variants.js [--force]
+ *   --force — пересоздать копии, даже если они уже есть; уже обработанные оригиналы не перекодируются
+ */
+
+import { runMigrations } from '../src/database/migrations.js';
+import { closeDatabase } from '../src/database/db.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Загрузка переменных окружения
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const force = process.argv.includes('--force');
+
+console.log('🖼️  Backfill копий изображений...');
+console.log(`📁 База данных: ${process.env.DB_PATH || './server/rebel.db'}`);
+if (force) console.log('♻️  Режим --force: существующие копии будут пересозданы');
+console.log('');
+
+async function backfill() {
+  let exitCode = 0;
+
+  try {
+    await runMigrations();
+
+    const { backfillImageVariants } = await import('../src/services/imageVariantService.js');
+    const report = await backfillImageVariants({
+      force,
+      onProgress: (url, status, error) => {
+        if (status === 'processed') console.log(`  ✓ ${url}`);
+        if (status === 'failed') console.warn(`  ⚠️  ${url}: ${error.message}`);
+      }
+    });
+
+    console.log('');
+    console.log(`✅ Готово: обработано ${report.processed}, пропущено ${report.skipped}, ошибок ${report.failed}, удалено лишних копий ${report.pruned}`);
+  } catch (error) {
+    console.error('');
+    console.error('❌ Ошибка backfill копий изображений:', error.message);
+    exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+
+  process.exit(exitCode);
+}
+
+backfill();
@@ -1,11 +1,27 @@
-import { executeQuery } from '../db.js';
+#!/usr/bin/env node
 
 /**
- * Миграция для исправления content в постах типа media_added
- * Получает названия фильмов/сериалов из TMDb и обновляет content
+ * Скрипт для исправления content в постах типа media_added
+ * Получает названия фильмов/сериалов из TMDb и обновляет content.
+ * Это исправление данных, а не схемы: оно ходит в TMDb, поэтому не входит в версионные миграции.
+ * Посты, у которых название уже есть, пропускаются — скрипт можно запускать повторно
+ * Использование: node scripts/fix-media-added-posts.js
  */
-export async function up() {
-  console.log('🔄 Начало миграции: исправление content в постах media_added');
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Загрузка переменных окружения (нужен ключ TMDb)
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const { executeQuery, closeDatabase } = await import('../src/database/db.js');
+
+async function fixMediaAddedPosts() {
+  console.log('🔄 Исправление content в постах media_added');
 
   try {
     // Получаем все посты типа media_added
@@ -29,7 +45,7 @@ export async function up() {
     }
 
     // Импортируем TMDb сервис
-    const tmdbService = (await import('../../services/tmdbService.js')).default;
+    const tmdbService = (await import('../src/services/tmdbService.js')).default;
 
     let updated = 0;
     let skipped = 0;
@@ -101,7 +117,7 @@ export async function up() {
     console.log(`  ✅ Обновлено: ${updated}`);
     console.log(`  ⏭️  Пропущено: ${skipped}`);
     console.log(`  ❌ Ошибок: ${errors}`);
-    console.log('✅ Миграция завершена');
+    console.log('✅ Исправление завершено');
 
   } catch (error) {
     console.error('❌ Критическая ошибка миграции:', error);
@@ -109,7 +125,12 @@ export async function up() {
   }
 }
 
-export async function down() {
-  console.log('⚠️  Откат этой миграции не поддерживается');
-  console.log('   Старые значения content не сохранялись');
+let exitCode = 0;
+try {
+  await fixMediaAddedPosts();
+} catch {
+  exitCode = 1;
 }
+
+await closeDatabase();
+process.exit(exitCode);
@@ -2,11 +2,14 @@
 
 /**
  * Скрипт для выполнения миграций базы данных
- * Использование: node scripts/migrate.js
+ * Использование:
+ *   node scripts/migrate.js [up] [--to=<версия>] [--dry-run]   — применить ожидающие миграции
+ *   node scripts/migrate.js down [--steps=<n>|--to=<версия>] [--dry-run] — откатить последние миграции
+ *   node scripts/migrate.js status                              — какие миграции применены, какие ожидают
+ * --dry-run выполняет миграции и откатывает транзакцию: видно, пройдут ли они, но база не меняется
  */
 
-import { runMigrations } from '../src/database/migrations.js';
-import { closeDatabase } from '../src/database/db.js';
+import { parseArgs } from 'util';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -17,31 +20,115 @@ const __dirname = path.dirname(__filename);
 // Загрузка переменных окружения
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-console.log('🔄 Запуск миграций базы данных...');
-console.log(`📁 База данных: ${process.env.DB_PATH || './server/rebel.db'}`);
-console.log(`🌍 Окружение: ${process.env.NODE_ENV || 'development'}`);
-console.log('');
+const { migrateUp, migrateDown, getMigrationStatus } = await import('../src/database/migrationRunner.js');
+const { closeDatabase } = await import('../src/database/db.js');
+
+const USAGE = 'Использование: node scripts/migrate.js [status|up|down] [--dry-run] [--to=<версия>] [--steps=<n>]';
+
+function printStatus(status) {
+  for (const item of status.migrations) {
+    const mark = item.status === 'applied' ? (item.changed ? '⚠️ ' : '✅') : '⏳';
+    const details = item.status === 'applied'
+      ? `${item.appliedAt}${item.changed ? ', файл изменён после применения' : ''}`
+      : 'ожидает';
+    console.log(`${mark} ${item.version}_${item.name} — ${details}`);
+  }
+  for (const item of status.unknown) {
+    console.log(`❓ ${item.version}_${item.name} — применена ${item.appliedAt}, файла миграции нет`);
+  }
+
+  console.log('');
+  console.log(`📌 Текущая версия: ${status.current || 'нет'}`);
+  console.log(`⏳ Ожидают: ${status.pending}`);
+  if (status.changed > 0) {
+    console.log(`⚠️  Изменены после применения: ${status.changed}`);
+  }
+}
+
+function printSteps(steps, verb) {
+  if (steps.length === 0) {
+    console.log(`Нет миграций, которые нужно ${verb}`);
+  }
+  for (const step of steps) {
+    console.log(`✅ ${step.version}_${step.name} (${step.durationMs} мс)`);
+  }
+}
+
+function printFailure(result) {
+  console.error('');
+  if (result.code === 'MIGRATION_FAILED') {
+    console.error(`❌ Ошибка миграции ${result.version}:`, result.error);
+    console.error('   Изменения этой миграции отменены');
+  } else if (result.code === 'MIGRATION_NOT_FOUND') {
+    console.error(`❌ Миграция ${result.version} не найдена`);
+  } else {
+    console.error('❌ Ошибка выполнения миграций:', result.code);
+  }
+}
 
 async function migrate() {
-  try {
-    const result = await runMigrations();
-    
-    if (result.success) {
-      console.log('');
-      console.log('✅ Миграции успешно выполнены!');
-      process.exit(0);
-    } else {
-      console.error('');
-      console.error('❌ Ошибка выполнения миграций:', result.error);
-      process.exit(1);
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      to: { type: 'string' },
+      steps: { type: 'string' }
     }
-  } catch (error) {
-    console.error('');
-    console.error('❌ Критическая ошибка:', error.message);
-    process.exit(1);
-  } finally {
-    await closeDatabase();
+  });
+  const command = positionals[0] || 'up';
+  const dryRun = values['dry-run'];
+
+  console.log(`🌍 Окружение: ${process.env.NODE_ENV || 'development'}`);
+  if (dryRun) {
+    console.log('🧪 Пробный запуск: изменения будут отменены');
+  }
+  console.log('');
+
+  if (command === 'status') {
+    printStatus(await getMigrationStatus());
+    return 0;
+  }
+
+  if (command === 'up') {
+    console.log('🔄 Применение миграций...');
+    const result = await migrateUp({ dryRun, to: values.to || null });
+    printSteps(result.applied || [], 'применить');
+    if (!result.success) {
+      printFailure(result);
+      return 1;
+    }
+    return 0;
+  }
+
+  if (command === 'down') {
+    const steps = values.steps === undefined ? 1 : Number(values.steps);
+    if (!Number.isInteger(steps) || steps < 1) {
+      console.error('❌ --steps должно быть целым числом больше нуля');
+      return 1;
+    }
+
+    console.log('⏪ Откат миграций...');
+    const result = await migrateDown({ dryRun, steps, to: values.to || null });
+    printSteps(result.reverted || [], 'откатить');
+    if (!result.success) {
+      printFailure(result);
+      return 1;
+    }
+    return 0;
   }
+
+  console.error(USAGE);
+  return 1;
+}
+
+let exitCode = 0;
+try {
+  exitCode = await migrate();
+} catch (error) {
+  console.error('');
+  console.error('❌ Критическая ошибка:', error.message);
+  exitCode = 1;
 }
 
-migrate();
+await closeDatabase();
+process.exit(exitCode);
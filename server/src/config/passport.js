@@ -2,6 +2,7 @@ import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { Strategy as DiscordStrategy } from 'passport-discord';
 import { executeQuery } from '../database/db.js';
+import { indexUser } from '../services/userSearchService.js';
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 
@@ -117,6 +118,8 @@ export function configurePassport() {
                 return done(new Error('Ошибка создания пользователя'));
               }
 
+              await indexUser(userId);
+
               // Получаем созданного пользователя
               const newUserResult = await executeQuery(
                 'SELECT * FROM users WHERE id = ?',
@@ -141,6 +144,7 @@ export function configurePassport() {
                  WHERE id = ?`,
                 [displayName, avatarUrl || user.avatar_url, user.id]
               );
+              await indexUser(user.id);
             }
 
             return done(null, user);
@@ -262,6 +266,8 @@ export function configurePassport() {
                 return done(new Error('Ошибка создания пользователя'));
               }
 
+              await indexUser(userId);
+
               // Получаем созданного пользователя
               const newUserResult = await executeQuery(
                 'SELECT * FROM users WHERE id = ?',
@@ -286,6 +292,7 @@ export function configurePassport() {
                  WHERE id = ?`,
                 [displayName, avatarUrl || user.avatar_url, user.id]
               );
+              await indexUser(user.id);
             }
 
             return done(null, user);
@@ -1,5 +1,5 @@
 import fc from 'fast-check';
-import { executeQuery, getDatabase, closeDatabase } from '../db.js';
+import { executeQuery, withTransaction, getDatabase, closeDatabase } from '../db.js';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 import path from 'path';
@@ -208,4 +208,34 @@ describe('Database Persistence Tests', () => {
     
     expect(selectResult.data).toHaveLength(0);
   });
+
+  /**
+   * withTransaction: откат при ошибке и запросы извне после COMMIT
+   */
+  test('withTransaction rolls back on error and keeps outside queries out', async () => {
+    const keptId = uuidv4();
+    const rolledBackId = uuidv4();
+
+    await expect(withTransaction(async () => {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [rolledBackId, 'Rolled back']);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    const rolledBack = await executeQuery('SELECT id FROM users WHERE id = ?', [rolledBackId]);
+    expect(rolledBack.data).toHaveLength(0);
+
+    // Запрос, пришедший во время транзакции, не попадает в неё и не откатывается вместе с ней
+    const transaction = withTransaction(async () => {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [rolledBackId, 'Rolled back']);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('boom');
+    });
+    const outside = executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [keptId, 'Kept']);
+
+    await expect(transaction).rejects.toThrow('boom');
+    expect((await outside).success).toBe(true);
+
+    const rows = await executeQuery('SELECT id FROM users WHERE id IN (?, ?)', [keptId, rolledBackId]);
+    expect(rows.data.map(row => row.id)).toEqual([keptId]);
+  });
 });
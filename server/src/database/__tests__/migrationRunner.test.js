@@ -0,0 +1,218 @@
+/**
+ * Тесты версионных миграций
+ * Feature: schema-migrations
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import {
+  createMigrationContext,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown
+} from '../migrationRunner.js';
+import { up as upUserSearchIndex } from '../migrations/017_user_search_index.js';
+
+const MIGRATIONS = {
+  '001_create_notes.js': `
+    export const description = 'Заметки';
+    export async function up(ctx) {
+      await ctx.exec('CREATE TABLE IF NOT EXISTS notes (id INTEGER PRIMARY KEY, text TEXT)');
+    }
+    export async function down(ctx) {
+      await ctx.exec('DROP TABLE IF EXISTS notes');
+    }
+  `,
+  '002_add_note_author.js': `
+    export async function up(ctx) {
+      await ctx.addColumn('notes', 'author', 'TEXT');
+      await ctx.exec('CREATE INDEX IF NOT EXISTS idx_notes_author ON notes(author)');
+    }
+    export async function down(ctx) {
+      await ctx.dropColumn('notes', 'author');
+    }
+  `,
+  '003_add_tags.js': `
+    export async function up(ctx) {
+      await ctx.exec('CREATE TABLE IF NOT EXISTS tags (id INTEGER PRIMARY KEY)');
+    }
+    export async function down(ctx) {
+      await ctx.exec('DROP TABLE IF EXISTS tags');
+    }
+  `
+};
+
+const FAILING_MIGRATION = `
+  export async function up(ctx) {
+    await ctx.exec('CREATE TABLE half_done (id INTEGER)');
+    await ctx.exec('INSERT INTO missing_table VALUES (1)');
+  }
+  export async function down() {}
+`;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+function closeConnection(db) {
+  return new Promise(resolve => db.close(() => resolve()));
+}
+
+describe('Migration runner', () => {
+  let tmpRoot;
+  let dirCounter = 0;
+  let db;
+  let ctx;
+
+  // Каждый тест получает свой каталог: модули миграций кэшируются по пути
+  async function createMigrationsDir(files = MIGRATIONS) {
+    const dir = path.join(tmpRoot, `migrations-${++dirCounter}`);
+    await fs.mkdir(dir);
+    for (const [filename, source] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, filename), source);
+    }
+    return dir;
+  }
+
+  beforeAll(async () => {
+    tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'rebel-migrations-'));
+    // Файлы миграций — ES-модули, как и в server/
+    await fs.writeFile(path.join(tmpRoot, 'package.json'), JSON.stringify({ type: 'module' }));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    db = await openDatabase();
+    ctx = createMigrationContext(db);
+  });
+
+  afterEach(async () => {
+    await closeConnection(db);
+  });
+
+  it('should apply pending migrations in order and record them', async () => {
+    const dir = await createMigrationsDir();
+
+    const result = await migrateUp({ dir, db });
+
+    expect(result.success).toBe(true);
+    expect(result.applied.map(item => item.version)).toEqual(['001', '002', '003']);
+    expect(await ctx.columnExists('notes', 'author')).toBe(true);
+
+    const status = await getMigrationStatus({ dir, db });
+    expect(status.current).toBe('003');
+    expect(status.pending).toBe(0);
+    expect(status.migrations[0]).toMatchObject({ name: 'create_notes', description: 'Заметки', status: 'applied' });
+
+    const second = await migrateUp({ dir, db });
+    expect(second.applied).toEqual([]);
+  });
+
+  it('should stop at the requested version', async () => {
+    const dir = await createMigrationsDir();
+
+    const result = await migrateUp({ dir, db, to: '002' });
+
+    expect(result.applied.map(item => item.version)).toEqual(['001', '002']);
+    expect(await ctx.tableExists('tags')).toBe(false);
+    expect((await getMigrationStatus({ dir, db })).pending).toBe(1);
+
+    expect(await migrateUp({ dir, db, to: '999' })).toMatchObject({ success: false, code: 'MIGRATION_NOT_FOUND' });
+  });
+
+  it('should leave the database untouched on a dry run', async () => {
+    const dir = await createMigrationsDir();
+
+    const result = await migrateUp({ dir, db, dryRun: true });
+
+    expect(result).toMatchObject({ success: true, dryRun: true });
+    expect(result.applied).toHaveLength(3);
+    expect(await ctx.tableExists('notes')).toBe(false);
+    expect(await ctx.tableExists('schema_migrations')).toBe(false);
+    expect((await getMigrationStatus({ dir, db })).pending).toBe(3);
+  });
+
+  it('should roll back a failed migration and keep the ones before it', async () => {
+    const dir = await createMigrationsDir({ ...MIGRATIONS, '002_add_note_author.js': FAILING_MIGRATION });
+
+    const result = await migrateUp({ dir, db });
+
+    expect(result).toMatchObject({ success: false, code: 'MIGRATION_FAILED', version: '002' });
+    expect(result.applied.map(item => item.version)).toEqual(['001']);
+    expect(await ctx.tableExists('notes')).toBe(true);
+    expect(await ctx.tableExists('half_done')).toBe(false);
+    expect(await ctx.tableExists('tags')).toBe(false);
+
+    const status = await getMigrationStatus({ dir, db });
+    expect(status.current).toBe('001');
+    expect(status.pending).toBe(2);
+  });
+
+  it('should revert the latest migrations', async () => {
+    const dir = await createMigrationsDir();
+    await migrateUp({ dir, db });
+
+    const one = await migrateDown({ dir, db });
+    expect(one.reverted.map(item => item.version)).toEqual(['003']);
+    expect(await ctx.tableExists('tags')).toBe(false);
+
+    const dry = await migrateDown({ dir, db, to: '000', dryRun: true });
+    expect(dry.reverted.map(item => item.version)).toEqual(['002', '001']);
+    expect(await ctx.columnExists('notes', 'author')).toBe(true);
+
+    const rest = await migrateDown({ dir, db, to: '000' });
+    expect(rest.reverted.map(item => item.version)).toEqual(['002', '001']);
+    expect(await ctx.tableExists('notes')).toBe(false);
+    expect((await getMigrationStatus({ dir, db })).current).toBeNull();
+  });
+
+  it('should report migrations edited after they were applied', async () => {
+    const dir = await createMigrationsDir();
+    await migrateUp({ dir, db });
+
+    await fs.appendFile(path.join(dir, '003_add_tags.js'), '\n// поправлено\n');
+    await fs.unlink(path.join(dir, '001_create_notes.js'));
+    const status = await getMigrationStatus({ dir, db });
+
+    expect(status.changed).toBe(1);
+    expect(status.migrations.find(item => item.version === '003').changed).toBe(true);
+    expect(status.unknown).toEqual([expect.objectContaining({ version: '001', name: 'create_notes' })]);
+    expect(await migrateDown({ dir, db, to: '000' })).toMatchObject({ success: false, code: 'MIGRATION_NOT_FOUND', version: '001' });
+  });
+
+  it('should bring a drifted schema up to date', async () => {
+    const dir = await createMigrationsDir();
+    // Колонку уже добавили вручную старым скриптом
+    await ctx.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT, author TEXT)');
+
+    const result = await migrateUp({ dir, db });
+
+    expect(result.success).toBe(true);
+    expect(await ctx.get("SELECT name FROM sqlite_master WHERE name = 'idx_notes_author'")).toBeDefined();
+  });
+  it('should rebuild search indexes on the database of the migration', async () => {
+    await ctx.exec(`
+      CREATE TABLE users (id TEXT PRIMARY KEY, display_name TEXT, telegram_username TEXT);
+      INSERT INTO users (id, display_name, telegram_username) VALUES ('u1', 'Ёжик', 'hedgehog'), ('u2', 'Kotик', NULL);
+    `);
+
+    await upUserSearchIndex(ctx);
+
+    const rows = await ctx.all('SELECT user_id, display_name FROM user_search_fts ORDER BY rowid');
+    expect(rows).toEqual([
+      { user_id: 'u1', display_name: 'ежик' },
+      { user_id: 'u2', display_name: 'kotик' }
+    ]);
+
+    // Ошибка перестройки прерывает миграцию, а не теряется
+    await ctx.exec('DROP TABLE users; CREATE TABLE users (id TEXT PRIMARY KEY)');
+    await expect(upUserSearchIndex(ctx)).rejects.toThrow('no such column');
+  });
+});
@@ -2,6 +2,7 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { promisify } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,12 @@ const DB_PATH = process.env.NODE_ENV === 'test'
 // Создаем подключение к базе данных
 let db = null;
 
+// Транзакции на общем подключении: пока транзакция открыта, запросы извне ждут её завершения,
+// иначе они выполнились бы внутри чужой транзакции и откатились бы вместе с ней
+const transactionContext = new AsyncLocalStorage();
+let pendingTransactions = 0;
+let transactionQueue = Promise.resolve();
+
 /**
  * Получить экземпляр базы данных
  */
@@ -39,6 +46,10 @@ export function getDatabase() {
  * @returns {Promise<Object>} - Результат выполнения запроса
  */
 export function executeQuery(query, params = []) {
+  if (pendingTransactions > 0 && !transactionContext.getStore()) {
+    return transactionQueue.then(() => executeQuery(query, params));
+  }
+
   return new Promise((resolve, reject) => {
     try {
       const db = getDatabase();
@@ -111,6 +122,49 @@ export function executeQuery(query, params = []) {
   });
 }
 
+function runRaw(query) {
+  return new Promise((resolve, reject) => {
+    getDatabase().run(query, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Выполнить функцию в транзакции
+ * Запросы executeQuery внутри fn идут в транзакцию, остальные ждут COMMIT или ROLLBACK.
+ * executeQuery не бросает ошибки, поэтому fn должна сама бросить при !success — тогда транзакция откатится
+ * @param {Function} fn - async функция с запросами через executeQuery
+ * @returns {Promise<*>} - Результат fn
+ */
+export async function withTransaction(fn) {
+  // Вложенный вызов выполняется в уже открытой транзакции
+  if (transactionContext.getStore()) return fn();
+
+  pendingTransactions++;
+  const previous = transactionQueue;
+  let release;
+  transactionQueue = new Promise(resolve => { release = resolve; });
+
+  try {
+    await previous;
+    return await transactionContext.run(true, async () => {
+      await runRaw('BEGIN IMMEDIATE');
+      try {
+        const result = await fn();
+        await runRaw('COMMIT');
+        return result;
+      } catch (error) {
+        await runRaw('ROLLBACK').catch(rollbackError => {
+          console.error('Ошибка отката транзакции:', rollbackError.message);
+        });
+        throw error;
+      }
+    });
+  } finally {
+    pendingTransactions--;
+    release();
+  }
+}
+
 /**
  * Закрыть соединение с базой данных
  */
@@ -133,5 +187,6 @@ export function closeDatabase() {
 export default {
   getDatabase,
   executeQuery,
+  withTransaction,
   closeDatabase
 };
@@ -75,6 +75,8 @@ function initMediaCacheTable() {
   // Добавляем колонки для рекомендаций (миграция)
   db.exec(`ALTER TABLE media_cache ADD COLUMN recommendations TEXT`, () => {});
   db.exec(`ALTER TABLE media_cache ADD COLUMN recommendations_updated_at DATETIME`, () => {});
+  // Ключевые слова TMDb — для профиля вкусов в персональных рекомендациях
+  db.exec(`ALTER TABLE media_cache ADD COLUMN keywords TEXT`, () => {});
 
   // Таблица кэша персон (актёры, режиссёры)
   db.exec(`
@@ -103,6 +105,27 @@ function initMediaCacheTable() {
       console.log('Таблица person_cache готова');
     }
   });
+
+  // Таблица кэша сезонов сериалов (список серий с датами выхода)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS season_cache (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tmdb_id INTEGER NOT NULL,
+      season_number INTEGER NOT NULL,
+      name TEXT,
+      air_date TEXT,
+      episodes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tmdb_id, season_number)
+    );
+  `, (err) => {
+    if (err) {
+      console.error('Ошибка создания season_cache таблицы:', err.message);
+    } else {
+      console.log('Таблица season_cache готова');
+    }
+  });
 }
 
 export function executeMediaQuery(query, params = []) {
@@ -0,0 +1,375 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getDatabase } from './db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Версионные миграции схемы rebel.db
+ *
+ * Каждая миграция — файл migrations/NNN_name.js с функциями up(ctx) и down(ctx).
+ * Выполненные миграции записываются в schema_migrations вместе с контрольной суммой файла,
+ * поэтому status показывает и ожидающие миграции, и файлы, изменённые после применения.
+ *
+ * Каждая миграция выполняется в отдельной транзакции вместе с записью в schema_migrations:
+ * при ошибке откатывается и схема, и запись. Шаги написаны идемпотентно (IF NOT EXISTS,
+ * addColumn с проверкой колонки), чтобы одинаково доводить до текущей схемы базы,
+ * которые разошлись из-за ручного запуска старых скриптов.
+ *
+ * На время миграций внешние ключи отключаются: пересоздание таблицы через DROP TABLE
+ * иначе каскадно удалило бы связанные строки.
+ */
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILENAME_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// Запуск миграций из разных мест (старт сервера, тесты) выполняется по одному
+let migrationInProgress = false;
+
+// ==========================================
+// Запросы к соединению
+// ==========================================
+
+function runStatement(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+function allRows(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function execScript(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Контекст, который получают up() и down() миграций
+ * В отличие от executeQuery, ошибки выбрасываются — иначе транзакция не откатится
+ */
+export function createMigrationContext(db) {
+  const ctx = {
+    run: (sql, params) => runStatement(db, sql, params),
+    all: (sql, params) => allRows(db, sql, params),
+    get: async (sql, params) => (await allRows(db, sql, params))[0],
+    exec: (sql) => execScript(db, sql),
+
+    async tableExists(table) {
+      const row = await ctx.get(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+        [table]
+      );
+      return Boolean(row);
+    },
+
+    async columnExists(table, column) {
+      const columns = await ctx.all(`PRAGMA table_info(${table})`);
+      return columns.some(col => col.name === column);
+    },
+
+    /**
+     * Добавить колонку, если её ещё нет
+     * @returns {Promise<boolean>} - true, если колонка добавлена
+     */
+    async addColumn(table, column, definition) {
+      if (await ctx.columnExists(table, column)) return false;
+      await ctx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      return true;
+    },
+
+    /**
+     * Удалить колонку вместе с индексами по ней
+     * Колонки из UNIQUE/PRIMARY KEY в описании таблицы SQLite удалить не даёт —
+     * такие колонки есть в базовой схеме, и они остаются на месте
+     * @returns {Promise<boolean>} - true, если колонка удалена
+     */
+    async dropColumn(table, column) {
+      if (!(await ctx.tableExists(table)) || !(await ctx.columnExists(table, column))) return false;
+
+      const indexes = await ctx.all(`PRAGMA index_list(${table})`);
+      for (const index of indexes.filter(item => item.origin === 'c')) {
+        const indexColumns = await ctx.all(`PRAGMA index_info(${index.name})`);
+        if (indexColumns.some(col => col.name === column)) {
+          await ctx.run(`DROP INDEX IF EXISTS ${index.name}`);
+        }
+      }
+
+      try {
+        await ctx.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+        return true;
+      } catch (err) {
+        if (!/cannot drop (UNIQUE|PRIMARY KEY) column|after drop column/.test(err.message)) throw err;
+        console.warn(`⚠️ Колонка ${table}.${column} входит в ограничение таблицы и остаётся`);
+        return false;
+      }
+    }
+  };
+  return ctx;
+}
+
+// ==========================================
+// Файлы миграций и журнал
+// ==========================================
+
+function checksumOf(source) {
+  // Перевод строк зависит от ОС, на которой файл был сохранён
+  return crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Загрузить миграции из каталога по возрастанию версии
+ * @returns {Promise<Array<{version: string, name: string, checksum: string, up: Function, down: Function}>>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const filenames = (await fs.readdir(dir))
+    .filter(filename => MIGRATION_FILENAME_PATTERN.test(filename))
+    .sort();
+
+  const migrations = [];
+  for (const filename of filenames) {
+    const [, version, name] = filename.match(MIGRATION_FILENAME_PATTERN);
+    if (migrations.some(migration => migration.version === version)) {
+      throw new Error(`Две миграции с версией ${version}`);
+    }
+
+    const filePath = path.join(dir, filename);
+    const module = await import(pathToFileURL(filePath).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Миграция ${filename} должна экспортировать up() и down()`);
+    }
+
+    migrations.push({
+      version,
+      name,
+      description: module.description || null,
+      checksum: checksumOf(await fs.readFile(filePath, 'utf8')),
+      up: module.up,
+      down: module.down
+    });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(ctx) {
+  await ctx.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      duration_ms INTEGER,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(ctx) {
+  if (!(await ctx.tableExists('schema_migrations'))) return [];
+  return ctx.all('SELECT version, name, checksum, duration_ms, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Состояние миграций: применённые, ожидающие и изменённые после применения
+ * unknown — записи журнала без файла (например, миграция из другой ветки)
+ */
+export async function getMigrationStatus({ dir, db = getDatabase() } = {}) {
+  const ctx = createMigrationContext(db);
+  const migrations = await loadMigrations(dir);
+  const applied = await getAppliedMigrations(ctx);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  const items = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      status: row ? 'applied' : 'pending',
+      appliedAt: row ? row.applied_at : null,
+      changed: Boolean(row && row.checksum !== migration.checksum)
+    };
+  });
+
+  const known = new Set(migrations.map(migration => migration.version));
+  const unknown = applied
+    .filter(row => !known.has(row.version))
+    .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : null,
+    migrations: items,
+    pending: items.filter(item => item.status === 'pending').length,
+    changed: items.filter(item => item.changed).length,
+    unknown
+  };
+}
+
+// ==========================================
+// Применение и откат
+// ==========================================
+
+/**
+ * Выполнить шаги в транзакции с выключенными внешними ключами
+ * dryRun — все шаги выполняются, но в конце транзакция откатывается
+ */
+async function runSteps(ctx, steps, { dryRun }) {
+  const done = [];
+  await ctx.run('PRAGMA foreign_keys = OFF');
+  try {
+    if (dryRun) await ctx.run('BEGIN IMMEDIATE');
+
+    for (const step of steps) {
+      if (!dryRun) await ctx.run('BEGIN IMMEDIATE');
+      const startedAt = Date.now();
+      try {
+        await step.run(startedAt);
+      } catch (err) {
+        await ctx.run('ROLLBACK').catch(() => {});
+        err.migration = step.migration;
+        err.done = done;
+        throw err;
+      }
+      if (!dryRun) await ctx.run('COMMIT');
+      done.push({ version: step.migration.version, name: step.migration.name, durationMs: Date.now() - startedAt });
+    }
+
+    if (dryRun) await ctx.run('ROLLBACK');
+  } finally {
+    await ctx.run('PRAGMA foreign_keys = ON');
+  }
+  return done;
+}
+
+// done — миграции, успевшие выполниться до ошибки (applied для up, reverted для down)
+function migrationError(err, doneKey) {
+  return {
+    success: false,
+    code: 'MIGRATION_FAILED',
+    error: err.message,
+    version: err.migration ? err.migration.version : null,
+    [doneKey]: err.done || []
+  };
+}
+
+/**
+ * Применить ожидающие миграции
+ * @param {Object} options
+ * @param {boolean} options.dryRun - выполнить и откатить, ничего не сохраняя
+ * @param {string} options.to - применить миграции до этой версии включительно
+ * @param {Object} options.db - соединение (по умолчанию rebel.db)
+ * @returns {Promise<Object>} - { success, applied: [{ version, name, durationMs }], dryRun }
+ */
+export async function migrateUp({ dryRun = false, to = null, dir, db = getDatabase() } = {}) {
+  if (migrationInProgress) {
+    return { success: false, code: 'MIGRATION_IN_PROGRESS' };
+  }
+  migrationInProgress = true;
+
+  try {
+    const ctx = createMigrationContext(db);
+    const migrations = await loadMigrations(dir);
+    if (to && !migrations.some(migration => migration.version === to)) {
+      return { success: false, code: 'MIGRATION_NOT_FOUND', version: to };
+    }
+
+    if (!dryRun) await ensureMigrationsTable(ctx);
+    const appliedVersions = new Set((await getAppliedMigrations(ctx)).map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) && (!to || migration.version <= to)
+    );
+
+    const steps = pending.map(migration => ({
+      migration,
+      run: async (startedAt) => {
+        await migration.up(ctx);
+        if (!dryRun) {
+          await ctx.run(
+            'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES (?, ?, ?, ?)',
+            [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+          );
+        }
+      }
+    }));
+
+    try {
+      const applied = await runSteps(ctx, steps, { dryRun });
+      return { success: true, applied, dryRun };
+    } catch (err) {
+      console.error(`Ошибка миграции ${err.migration ? err.migration.version : ''}:`, err.message);
+      return migrationError(err, 'applied');
+    }
+  } finally {
+    migrationInProgress = false;
+  }
+}
+
+/**
+ * Откатить применённые миграции, начиная с последней
+ * @param {Object} options
+ * @param {boolean} options.dryRun - выполнить и откатить, ничего не сохраняя
+ * @param {number} options.steps - сколько миграций откатить (по умолчанию одну)
+ * @param {string} options.to - откатить все миграции новее этой версии ('000' — все)
+ * @param {Object} options.db - соединение (по умолчанию rebel.db)
+ * @returns {Promise<Object>} - { success, reverted: [{ version, name, durationMs }], dryRun }
+ */
+export async function migrateDown({ dryRun = false, steps = 1, to = null, dir, db = getDatabase() } = {}) {
+  if (migrationInProgress) {
+    return { success: false, code: 'MIGRATION_IN_PROGRESS' };
+  }
+  migrationInProgress = true;
+
+  try {
+    const ctx = createMigrationContext(db);
+    const migrations = await loadMigrations(dir);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    const applied = (await getAppliedMigrations(ctx)).reverse();
+    const toRevert = to
+      ? applied.filter(row => row.version > to)
+      : applied.slice(0, Math.max(0, steps));
+
+    const missing = toRevert.find(row => !byVersion.has(row.version));
+    if (missing) {
+      return { success: false, code: 'MIGRATION_NOT_FOUND', version: missing.version };
+    }
+
+    const revertSteps = toRevert.map(row => {
+      const migration = byVersion.get(row.version);
+      return {
+        migration,
+        run: async () => {
+          await migration.down(ctx);
+          await ctx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+      };
+    });
+
+    try {
+      const reverted = await runSteps(ctx, revertSteps, { dryRun });
+      return { success: true, reverted, dryRun };
+    } catch (err) {
+      console.error(`Ошибка отката миграции ${err.migration ? err.migration.version : ''}:`, err.message);
+      return migrationError(err, 'reverted');
+    }
+  } finally {
+    migrationInProgress = false;
+  }
+}
+
+export default {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,42 @@
+/**
+ * Реферальная программа и модерация (бывшие scripts/migrate-referrals.js и scripts/migrate-moderation.js)
+ * - users.referral_code, users.referred_by, users.referrals_count
+ * - users.ban_reason, users.post_ban_until
+ * Колонки уже есть в базовой схеме (001) — здесь они добавляются базам, созданным раньше,
+ * поэтому откат их не удаляет. Пользователям без реферального кода код выдаётся сразу
+ */
+export const description = 'Реферальные коды и поля модерации пользователей';
+
+const USER_COLUMNS = [
+  ['referral_code', 'TEXT'],
+  ['referred_by', 'TEXT'],
+  ['referrals_count', 'INTEGER DEFAULT 0'],
+  ['ban_reason', 'TEXT'],
+  ['post_ban_until', 'DATETIME']
+];
+
+// Тот же формат, что и у кодов, которые выдаются при регистрации (routes/auth.js)
+function generateReferralCode() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return code;
+}
+
+export async function up(ctx) {
+  for (const [column, definition] of USER_COLUMNS) {
+    await ctx.addColumn('users', column, definition);
+  }
+  await ctx.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_referral_code ON users(referral_code)');
+
+  const users = await ctx.all('SELECT id FROM users WHERE referral_code IS NULL');
+  for (const user of users) {
+    await ctx.run('UPDATE users SET referral_code = ? WHERE id = ?', [generateReferralCode(), user.id]);
+  }
+}
+
+export async function down(ctx) {
+  await ctx.run('DROP INDEX IF EXISTS idx_referral_code');
+}
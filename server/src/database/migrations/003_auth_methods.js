@@ -0,0 +1,39 @@
+/**
+ * Вход по email, Google и Discord (бывшие add_auth_methods.js и scripts/migrate-auth-method.js)
+ * - users.auth_method, email, password_hash, google_id, discord_id, email_verified
+ * - индексы для поиска пользователя по email и внешним аккаунтам
+ * Колонки уже есть в базовой схеме (001), откат удаляет только индексы.
+ * Пользователи, зарегистрированные до появления колонок, входили через Telegram
+ */
+export const description = 'Способы входа: email, Google, Discord';
+
+const USER_COLUMNS = [
+  ['auth_method', "TEXT DEFAULT 'telegram'"],
+  ['email', 'TEXT'],
+  ['password_hash', 'TEXT'],
+  ['google_id', 'TEXT'],
+  ['discord_id', 'TEXT'],
+  ['email_verified', 'BOOLEAN DEFAULT 0']
+];
+
+export async function up(ctx) {
+  for (const [column, definition] of USER_COLUMNS) {
+    await ctx.addColumn('users', column, definition);
+  }
+
+  await ctx.exec(`
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+    CREATE INDEX IF NOT EXISTS idx_users_google_id ON users(google_id);
+    CREATE INDEX IF NOT EXISTS idx_users_discord_id ON users(discord_id);
+  `);
+
+  await ctx.run("UPDATE users SET auth_method = 'telegram' WHERE auth_method IS NULL");
+}
+
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP INDEX IF EXISTS idx_users_discord_id;
+    DROP INDEX IF EXISTS idx_users_google_id;
+    DROP INDEX IF EXISTS idx_users_email;
+  `);
+}
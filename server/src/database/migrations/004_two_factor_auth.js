@@ -0,0 +1,39 @@
+/**
+ * Двухфакторная аутентификация (бывший add_two_factor_auth.js)
+ * - users.two_factor_enabled, two_factor_secret, two_factor_backup_codes
+ * - trusted_devices: устройства, на которых код 2FA не спрашивается
+ * Колонки уже есть в базовой схеме (001), откат удаляет только trusted_devices
+ */
+export const description = 'Двухфакторная аутентификация и доверенные устройства';
+
+const USER_COLUMNS = [
+  ['two_factor_enabled', 'BOOLEAN DEFAULT 0'],
+  ['two_factor_secret', 'TEXT'],
+  ['two_factor_backup_codes', 'TEXT']
+];
+
+export async function up(ctx) {
+  for (const [column, definition] of USER_COLUMNS) {
+    await ctx.addColumn('users', column, definition);
+  }
+
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS trusted_devices (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      device_name TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_trusted_devices_user_id ON trusted_devices(user_id);
+    CREATE INDEX IF NOT EXISTS idx_trusted_devices_token_hash ON trusted_devices(token_hash);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.run('DROP TABLE IF EXISTS trusted_devices');
+}
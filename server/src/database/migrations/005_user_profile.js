@@ -0,0 +1,52 @@
+/**
+ * Настройки профиля (бывшие add_user_status.js, add_wall_privacy.js, add_show_nickname_column.js,
+ * add_nickname_display_column.js, add-pinned-post.js, add_user_nicknames_table.js и safeAddColumn в migrations.js)
+ * - users.user_status — текстовый статус до 100 символов
+ * - users.wall_privacy — кто может писать на стене ('all' | 'friends' | 'none')
+ * - users.show_nickname, users.nickname_display — как показывать никнеймы
+ * - users.pinned_post_id — закреплённая запись на стене
+ * - users.last_feed_view — когда пользователь последний раз открывал ленту
+ * - users.presence_privacy, users.last_seen_at — кто видит статус в сети и когда пользователь был в сети
+ * - user_nicknames: никнеймы, которые пользователь дал другим
+ */
+export const description = 'Статус, приватность стены, никнеймы, закреплённая запись, присутствие в сети';
+
+const USER_COLUMNS = [
+  ['user_status', 'TEXT'],
+  ['wall_privacy', "TEXT DEFAULT 'all'"],
+  ['show_nickname', 'BOOLEAN DEFAULT 0'],
+  ['nickname_display', "TEXT DEFAULT 'name'"],
+  ['pinned_post_id', 'TEXT DEFAULT NULL'],
+  ['last_feed_view', 'DATETIME'],
+  ['presence_privacy', "TEXT DEFAULT 'all'"],
+  ['last_seen_at', 'DATETIME']
+];
+
+export async function up(ctx) {
+  for (const [column, definition] of USER_COLUMNS) {
+    await ctx.addColumn('users', column, definition);
+  }
+
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS user_nicknames (
+      id TEXT PRIMARY KEY,
+      set_by_user_id TEXT NOT NULL,
+      target_user_id TEXT NOT NULL,
+      nickname TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (set_by_user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(set_by_user_id, target_user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_nicknames_target ON user_nicknames(target_user_id);
+    CREATE INDEX IF NOT EXISTS idx_nicknames_set_by ON user_nicknames(set_by_user_id);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.run('DROP TABLE IF EXISTS user_nicknames');
+  for (const [column] of [...USER_COLUMNS].reverse()) {
+    await ctx.dropColumn('users', column);
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Стена (бывшие add_wall_owner_id.js, scripts/migrate-wall-owner.js, add-poster-path-to-wall-posts.js,
+ * add-list-id-to-wall-posts.js, add-announcement-images.sql и упоминания из migrations.js)
+ * - wall_posts.wall_owner_id — на чьей стене запись (user_id — автор); у старых записей это автор
+ * - wall_posts.poster_path, wall_posts.list_id — постер и список в записях media_added
+ * - wall_posts.image_urls — изображения записи; колонка есть в базовой схеме (001) и при откате остаётся
+ * - post_mentions: упоминания пользователей в записях
+ */
+export const description = 'Владелец стены, постеры и списки в записях, упоминания';
+
+const WALL_POST_COLUMNS = [
+  ['wall_owner_id', 'TEXT'],
+  ['poster_path', 'TEXT'],
+  ['list_id', 'TEXT']
+];
+
+export async function up(ctx) {
+  for (const [column, definition] of WALL_POST_COLUMNS) {
+    await ctx.addColumn('wall_posts', column, definition);
+  }
+  await ctx.addColumn('wall_posts', 'image_urls', 'TEXT');
+  await ctx.run('UPDATE wall_posts SET wall_owner_id = user_id WHERE wall_owner_id IS NULL');
+
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS post_mentions (
+      id TEXT PRIMARY KEY,
+      post_id TEXT NOT NULL,
+      mentioned_user_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES wall_posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (mentioned_user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_post_mentions_post ON post_mentions(post_id);
+    CREATE INDEX IF NOT EXISTS idx_post_mentions_user ON post_mentions(mentioned_user_id);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.run('DROP TABLE IF EXISTS post_mentions');
+  for (const [column] of [...WALL_POST_COLUMNS].reverse()) {
+    await ctx.dropColumn('wall_posts', column);
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Комментарии и изображения записей (бывшие add_post_comments_table.js, add_image_to_post_comments.js,
+ * add_post_images_table.js, add_image_comments_table.js, add_comment_likes_table.js)
+ * - post_comments: комментарии к записям с ответами (parent_comment_id) и картинкой (image_url)
+ * - post_images: изображения записи в порядке показа
+ * - image_comments: комментарии к изображениям в галерее
+ * - comment_likes: лайки комментариев
+ * Эти таблицы создавались только отдельными скриптами, поэтому на части баз их не было
+ */
+export const description = 'Комментарии к записям, изображения записей, лайки комментариев';
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS post_comments (
+      id TEXT PRIMARY KEY,
+      post_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      parent_comment_id TEXT,
+      content TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      edited_at DATETIME,
+      FOREIGN KEY (post_id) REFERENCES wall_posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_comment_id) REFERENCES post_comments(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS post_images (
+      id TEXT PRIMARY KEY,
+      post_id TEXT NOT NULL,
+      image_url TEXT NOT NULL,
+      "order" INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES wall_posts(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS image_comments (
+      id TEXT PRIMARY KEY,
+      image_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      parent_comment_id TEXT,
+      content TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      edited_at DATETIME,
+      FOREIGN KEY (image_id) REFERENCES post_images(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_comment_id) REFERENCES image_comments(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS comment_likes (
+      id TEXT PRIMARY KEY,
+      comment_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (comment_id) REFERENCES post_comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(comment_id, user_id)
+    );
+  `);
+
+  await ctx.addColumn('post_comments', 'image_url', 'TEXT');
+}
+
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP TABLE IF EXISTS comment_likes;
+    DROP TABLE IF EXISTS image_comments;
+    DROP TABLE IF EXISTS post_images;
+    DROP TABLE IF EXISTS post_comments;
+  `);
+}
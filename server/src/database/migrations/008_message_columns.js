@@ -0,0 +1,34 @@
+/**
+ * Возможности сообщений (бывшие add_message_attachments.js, add_sent_via_bot.js и safeAddColumn в migrations.js)
+ * - attachments, location, suggested_media — вложения, геометка и предложенный фильм
+ * - deleted_for_users — у кого сообщение удалено (JSON-массив id)
+ * - is_announcement, sent_via_bot — объявления администрации и ответы из Telegram
+ * - reply_to, forward_from, forward_message_id — ответы и пересылка
+ * - is_pinned — закреплённое сообщение диалога
+ */
+export const description = 'Вложения, ответы, пересылка и закрепление сообщений';
+
+const MESSAGE_COLUMNS = [
+  ['attachments', 'TEXT DEFAULT NULL'],
+  ['sent_via_bot', 'BOOLEAN DEFAULT 0'],
+  ['location', 'TEXT'],
+  ['suggested_media', 'TEXT'],
+  ['deleted_for_users', "TEXT DEFAULT '[]'"],
+  ['is_announcement', 'BOOLEAN DEFAULT 0'],
+  ['reply_to', 'TEXT'],
+  ['forward_from', 'TEXT'],
+  ['forward_message_id', 'TEXT'],
+  ['is_pinned', 'BOOLEAN DEFAULT 0']
+];
+
+export async function up(ctx) {
+  for (const [column, definition] of MESSAGE_COLUMNS) {
+    await ctx.addColumn('messages', column, definition);
+  }
+}
+
+export async function down(ctx) {
+  for (const [column] of [...MESSAGE_COLUMNS].reverse()) {
+    await ctx.dropColumn('messages', column);
+  }
+}
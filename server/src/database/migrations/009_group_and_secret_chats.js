@@ -0,0 +1,112 @@
+/**
+ * Групповые и секретные чаты (блок «Групповые чаты» и пересоздание conversations из migrations.js)
+ * - conversations.is_secret, is_group, group_name, group_avatar, created_by, show_creator_label, show_moderator_label
+ * - conversation_members, group_moderators, group_moderator_permissions
+ * - UNIQUE(user1_id, user2_id, is_secret): с одним собеседником можно вести обычный и секретный чат.
+ *   Ограничение таблицы не меняется через ALTER, поэтому conversations пересоздаётся
+ *   (раньше проверка в migrations.js не срабатывала, и в старых базах осталось UNIQUE(user1_id, user2_id))
+ */
+export const description = 'Групповые чаты, модераторы групп и секретные чаты';
+
+const CONVERSATION_COLUMNS = [
+  ['is_secret', 'BOOLEAN DEFAULT 0'],
+  ['is_group', 'BOOLEAN DEFAULT 0'],
+  ['group_name', 'TEXT'],
+  ['group_avatar', 'TEXT'],
+  ['created_by', 'TEXT'],
+  ['show_creator_label', 'BOOLEAN DEFAULT 1'],
+  ['show_moderator_label', 'BOOLEAN DEFAULT 1']
+];
+
+const SECRET_UNIQUE_PATTERN = /UNIQUE\s*\(\s*user1_id\s*,\s*user2_id\s*,\s*is_secret\s*\)/i;
+
+async function rebuildConversationsTable(ctx) {
+  const table = await ctx.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'conversations'");
+  if (SECRET_UNIQUE_PATTERN.test(table.sql)) return;
+
+  const columns = [
+    'id', 'user1_id', 'user2_id', 'last_message_at', 'created_at',
+    ...CONVERSATION_COLUMNS.map(([column]) => column)
+  ].join(', ');
+
+  await ctx.exec(`
+    CREATE TABLE conversations_new (
+      id TEXT PRIMARY KEY,
+      user1_id TEXT NOT NULL,
+      user2_id TEXT NOT NULL,
+      last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      is_secret BOOLEAN DEFAULT 0,
+      is_group BOOLEAN DEFAULT 0,
+      group_name TEXT,
+      group_avatar TEXT,
+      created_by TEXT,
+      show_creator_label BOOLEAN DEFAULT 1,
+      show_moderator_label BOOLEAN DEFAULT 1,
+      FOREIGN KEY (user1_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (user2_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user1_id, user2_id, is_secret)
+    );
+    INSERT INTO conversations_new (${columns}) SELECT ${columns} FROM conversations;
+    DROP TABLE conversations;
+    ALTER TABLE conversations_new RENAME TO conversations;
+    CREATE INDEX IF NOT EXISTS idx_conversations_user1 ON conversations(user1_id);
+    CREATE INDEX IF NOT EXISTS idx_conversations_user2 ON conversations(user2_id);
+  `);
+}
+
+export async function up(ctx) {
+  for (const [column, definition] of CONVERSATION_COLUMNS) {
+    await ctx.addColumn('conversations', column, definition);
+  }
+  await rebuildConversationsTable(ctx);
+
+  await ctx.exec(`
+    -- Участники групповых чатов
+    CREATE TABLE IF NOT EXISTS conversation_members (
+      id TEXT PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      left_at DATETIME,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(conversation_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_conv_members_conv ON conversation_members(conversation_id);
+    CREATE INDEX IF NOT EXISTS idx_conv_members_user ON conversation_members(user_id);
+
+    -- Модераторы групповых чатов
+    CREATE TABLE IF NOT EXISTS group_moderators (
+      id TEXT PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      assigned_by TEXT NOT NULL,
+      assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (assigned_by) REFERENCES users(id),
+      UNIQUE(conversation_id, user_id)
+    );
+
+    -- Права модераторов групповых чатов
+    CREATE TABLE IF NOT EXISTS group_moderator_permissions (
+      id TEXT PRIMARY KEY,
+      moderator_id TEXT NOT NULL,
+      permission_type TEXT NOT NULL,
+      granted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (moderator_id) REFERENCES group_moderators(id) ON DELETE CASCADE,
+      UNIQUE(moderator_id, permission_type)
+    );
+  `);
+}
+
+// Колонки и ограничение conversations при откате остаются: вернуть UNIQUE(user1_id, user2_id)
+// без потери данных нельзя, если с собеседником есть и обычный, и секретный чат
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP TABLE IF EXISTS group_moderator_permissions;
+    DROP TABLE IF EXISTS group_moderators;
+    DROP TABLE IF EXISTS conversation_members;
+  `);
+}
@@ -0,0 +1,54 @@
+/**
+ * Сквозное шифрование (блок E2EE из migrations.js)
+ * - user_keys: публичные ключи пользователей
+ * - key_backups: зашифрованные паролем копии приватных ключей
+ * - group_keys: ключ группового чата, зашифрованный для каждого участника
+ */
+export const description = 'Ключи сквозного шифрования';
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS user_keys (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL UNIQUE,
+      public_key TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_keys_user ON user_keys(user_id);
+
+    CREATE TABLE IF NOT EXISTS key_backups (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL UNIQUE,
+      encrypted_private_key TEXT NOT NULL,
+      salt TEXT NOT NULL,
+      iv TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_key_backups_user ON key_backups(user_id);
+
+    CREATE TABLE IF NOT EXISTS group_keys (
+      id TEXT PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      encrypted_group_key TEXT NOT NULL,
+      key_version INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(conversation_id, user_id, key_version)
+    );
+    CREATE INDEX IF NOT EXISTS idx_group_keys_conv ON group_keys(conversation_id);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP TABLE IF EXISTS group_keys;
+    DROP TABLE IF EXISTS key_backups;
+    DROP TABLE IF EXISTS user_keys;
+  `);
+}
@@ -0,0 +1,46 @@
+/**
+ * Настройки уведомлений (бывшие add_email_notification_settings.js и add_release_notification_settings.js)
+ * - notification_settings.email_* — какие уведомления дублировать на почту
+ * - notification_settings.new_episode, notification_settings.release — уведомления о выходе контента
+ * - release_alerts: какие серии и релизы уже отправлены пользователю
+ */
+export const description = 'Email-уведомления и уведомления о выходе серий и релизов';
+
+const SETTINGS_COLUMNS = [
+  ['email_friend_added_to_list', 'BOOLEAN DEFAULT 1'],
+  ['email_friend_rated_media', 'BOOLEAN DEFAULT 1'],
+  ['email_friend_posted_review', 'BOOLEAN DEFAULT 1'],
+  ['email_friend_reacted_to_post', 'BOOLEAN DEFAULT 1'],
+  ['email_new_message', 'BOOLEAN DEFAULT 1'],
+  ['email_new_friend_request', 'BOOLEAN DEFAULT 1'],
+  ['email_admin_announcement', 'BOOLEAN DEFAULT 1'],
+  ['new_episode', 'BOOLEAN DEFAULT 1'],
+  ['release', 'BOOLEAN DEFAULT 1']
+];
+
+export async function up(ctx) {
+  for (const [column, definition] of SETTINGS_COLUMNS) {
+    await ctx.addColumn('notification_settings', column, definition);
+  }
+
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS release_alerts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      tmdb_id INTEGER NOT NULL,
+      media_type TEXT NOT NULL,
+      alert_key TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, tmdb_id, media_type, alert_key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_release_alerts_user ON release_alerts(user_id);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.run('DROP TABLE IF EXISTS release_alerts');
+  for (const [column] of [...SETTINGS_COLUMNS].reverse()) {
+    await ctx.dropColumn('notification_settings', column);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Объявления и реклама (бывшие add-announcement-options.js, add-auto-delete-per-post.js, add-scheduled-at.js,
+ * add-ad-requests.js, add-archived-to-ad-requests.js, add-ad-auto-delete-setting.js, add-pricing-info-settings.js
+ * и блоки рекламы в migrations.js)
+ * - announcements/advertising_posts: закрепление, повторы, отложенная публикация и автоудаление
+ * - ad_requests: заявки на рекламу, telegram_verification_codes: подтверждение Telegram в заявке
+ * - sent_posts: журнал отправленных объявлений и рекламы (раньше таблицу не создавала ни одна миграция)
+ * - настройки сайта для рекламы
+ */
+export const description = 'Параметры объявлений, рекламные записи, заявки на рекламу, журнал рассылок';
+
+const PUBLICATION_COLUMNS = [
+  ['pin_duration', 'INTEGER DEFAULT 0'],
+  ['repeat_count', 'INTEGER DEFAULT 0'],
+  ['repeat_interval_hours', 'INTEGER DEFAULT 0'],
+  ['repeat_channel', 'TEXT DEFAULT NULL'],
+  ['scheduled_at', 'DATETIME DEFAULT NULL'],
+  ['auto_delete', 'INTEGER DEFAULT 0']
+];
+
+const AD_REQUEST_COLUMNS = [
+  ['ad_link_label', 'TEXT'],
+  ['is_archived', 'INTEGER DEFAULT 0'],
+  ['scheduled_at', 'TEXT']
+];
+
+const AD_SETTINGS = [
+  ['ad_auto_delete', '0'],
+  ['pricing_info_title', 'Информация о рекламе'],
+  ['pricing_info_content', '']
+];
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS advertising_posts (
+      id TEXT PRIMARY KEY,
+      content TEXT NOT NULL,
+      link_url TEXT,
+      link_label TEXT,
+      image_urls TEXT DEFAULT '[]',
+      created_by TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS ad_requests (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      name TEXT NOT NULL,
+      telegram TEXT NOT NULL,
+      extra_contact TEXT,
+      channel_site INTEGER DEFAULT 0,
+      channel_tg INTEGER DEFAULT 0,
+      site_pin_qty INTEGER DEFAULT 0,
+      site_repeat_qty INTEGER DEFAULT 0,
+      site_interval INTEGER DEFAULT 0,
+      tg_mailing_qty INTEGER DEFAULT 0,
+      tg_repeat_qty INTEGER DEFAULT 0,
+      tg_interval INTEGER DEFAULT 0,
+      auto_delete_off INTEGER DEFAULT 0,
+      total_cost INTEGER DEFAULT 0,
+      currency TEXT DEFAULT 'RUB',
+      ad_description TEXT,
+      ad_link TEXT,
+      ad_text TEXT,
+      image_url TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS telegram_verification_codes (
+      id TEXT PRIMARY KEY,
+      telegram TEXT NOT NULL,
+      code TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      verified INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sent_posts (
+      id TEXT PRIMARY KEY,
+      content TEXT,
+      image_url TEXT,
+      type TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      sent_to INTEGER DEFAULT 0,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_sent_posts_created_at ON sent_posts(created_at);
+  `);
+
+  for (const [column, definition] of PUBLICATION_COLUMNS) {
+    await ctx.addColumn('announcements', column, definition);
+    await ctx.addColumn('advertising_posts', column, definition);
+  }
+  await ctx.addColumn('advertising_posts', 'last_repeated_at', 'DATETIME');
+  for (const [column, definition] of AD_REQUEST_COLUMNS) {
+    await ctx.addColumn('ad_requests', column, definition);
+  }
+
+  for (const [key, value] of AD_SETTINGS) {
+    await ctx.run(
+      "INSERT OR IGNORE INTO site_settings (id, key, value, updated_at) VALUES (?, ?, ?, datetime('now'))",
+      [key, key, value]
+    );
+  }
+}
+
+export async function down(ctx) {
+  for (const [key] of AD_SETTINGS) {
+    await ctx.run('DELETE FROM site_settings WHERE key = ?', [key]);
+  }
+  for (const [column] of [...PUBLICATION_COLUMNS].reverse()) {
+    await ctx.dropColumn('announcements', column);
+  }
+  await ctx.exec(`
+    DROP TABLE IF EXISTS sent_posts;
+    DROP TABLE IF EXISTS telegram_verification_codes;
+    DROP TABLE IF EXISTS ad_requests;
+    DROP TABLE IF EXISTS advertising_posts;
+  `);
+}
@@ -0,0 +1,36 @@
+/**
+ * Багрепорты (бывший add_bug_reports_tables.js)
+ * - bug_reports: сообщения об ошибках со статусом обработки
+ * - bug_report_images: скриншоты к багрепорту
+ */
+export const description = 'Багрепорты и скриншоты к ним';
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS bug_reports (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'new' CHECK(status IN ('new', 'in_progress', 'resolved', 'rejected')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS bug_report_images (
+      id TEXT PRIMARY KEY,
+      bug_report_id TEXT NOT NULL,
+      image_path TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (bug_report_id) REFERENCES bug_reports(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP TABLE IF EXISTS bug_report_images;
+    DROP TABLE IF EXISTS bug_reports;
+  `);
+}
@@ -0,0 +1,51 @@
+/**
+ * Достижения и календарь выхода серий (блоки из migrations.js)
+ * - achievements: каталог достижений; заполняется из кода при каждом запуске (seedAchievements)
+ * - user_achievements: прогресс и открытые достижения пользователей
+ * - calendar_feeds: секретный токен подписки на iCalendar — календарные приложения не передают JWT
+ */
+export const description = 'Достижения и подписка на календарь выхода серий';
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS achievements (
+      id TEXT PRIMARY KEY,
+      key TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT NOT NULL,
+      icon TEXT,
+      category TEXT NOT NULL,
+      requirement_value INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_achievements_category ON achievements(category);
+
+    CREATE TABLE IF NOT EXISTS user_achievements (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      achievement_id TEXT NOT NULL,
+      progress INTEGER DEFAULT 0,
+      unlocked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (achievement_id) REFERENCES achievements(id) ON DELETE CASCADE,
+      UNIQUE(user_id, achievement_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_achievements_user ON user_achievements(user_id);
+
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      user_id TEXT PRIMARY KEY,
+      token TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP TABLE IF EXISTS calendar_feeds;
+    DROP TABLE IF EXISTS user_achievements;
+    DROP TABLE IF EXISTS achievements;
+  `);
+}
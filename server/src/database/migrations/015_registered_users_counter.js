@@ -0,0 +1,17 @@
+/**
+ * Счётчик зарегистрированных пользователей в site_settings (блок из migrations.js)
+ * Начальное значение — число пользователей на момент миграции, дальше счётчик увеличивается при регистрации
+ */
+export const description = 'Начальное значение счётчика регистраций';
+
+export async function up(ctx) {
+  await ctx.run(
+    `INSERT OR IGNORE INTO site_settings (id, key, value, updated_at)
+     SELECT 'total_registered_users_seed', 'total_registered_users', CAST(COUNT(*) AS TEXT), datetime('now')
+     FROM users WHERE (SELECT COUNT(*) FROM site_settings WHERE key = 'total_registered_users') = 0`
+  );
+}
+
+export async function down(ctx) {
+  await ctx.run("DELETE FROM site_settings WHERE id = 'total_registered_users_seed'");
+}
@@ -0,0 +1,46 @@
+/**
+ * Тексты уведомлений без имён (бывший update-notification-content-templates.js)
+ * Из content старых уведомлений убирается имя пользователя: оно подставляется при показе
+ * по related_user_id, поэтому после смены имени или никнейма текст не устаревает
+ */
+export const description = 'Удаление имён из текста старых уведомлений';
+
+// Имя — любое слово до ключевой фразы уведомления
+const TEMPLATE_PATTERNS = [
+  /^.+?\s+(зарегистрировался по вашей реферальной ссылке!)$/,
+  /^.+?\s+(добавил .+ в свой список)$/,
+  /^.+?\s+(оценил .+ на \d+\/10)$/,
+  /^.+?\s+(написал отзыв на .+)$/,
+  /^.+?\s+(отреагировал на вашу запись:.+)$/,
+  /^.+?\s+(отреагировал на ваш отзыв .+)$/,
+  /^.+?\s+(написал на вашей стене)$/,
+  /^.+?\s+(добавил \d+ фото на вашей стене)$/,
+  /^.+?\s+(прокомментировал ваше фото)$/,
+  /^.+?\s+(ответил на ваш комментарий)$/,
+  /^.+?\s+(прокомментировал ваш пост)$/,
+  /^.+?\s+(лайкнул ваш комментарий)$/,
+  /^.+?\s+(отправил багрепорт: .+)$/,
+  /^.+?\s+(совершил действие с .+)$/
+];
+
+export async function up(ctx) {
+  const notifications = await ctx.all(
+    'SELECT id, content FROM notifications WHERE related_user_id IS NOT NULL'
+  );
+
+  let updatedCount = 0;
+  for (const { id, content } of notifications) {
+    const match = TEMPLATE_PATTERNS.map(pattern => content.match(pattern)).find(Boolean);
+    if (match && match[1] !== content) {
+      await ctx.run('UPDATE notifications SET content = ? WHERE id = ?', [match[1], id]);
+      updatedCount++;
+    }
+  }
+
+  if (updatedCount > 0) {
+    console.log(`✓ Обновлено уведомлений: ${updatedCount}`);
+  }
+}
+
+// Прежние тексты не сохранялись; уведомления без имени показываются так же, как новые
+export async function down() {}
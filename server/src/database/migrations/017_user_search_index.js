@@ -0,0 +1,30 @@
+import { rebuildUserSearchIndex } from '../../services/userSearchService.js';
+
+/**
+ * Полнотекстовый индекс для поиска пользователей (бывший add_user_search_index.js)
+ * rowid строки индекса совпадает с rowid пользователя в users
+ * Если число строк индекса расходится с числом пользователей, индекс перестраивается
+ */
+export const description = 'Полнотекстовый индекс поиска пользователей';
+
+export async function up(ctx) {
+  await ctx.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS user_search_fts USING fts5(
+      user_id UNINDEXED,
+      display_name,
+      telegram_username,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  const indexed = await ctx.get('SELECT COUNT(*) as count FROM user_search_fts');
+  const users = await ctx.get('SELECT COUNT(*) as count FROM users');
+  if (indexed.count !== users.count) {
+    const count = await rebuildUserSearchIndex(ctx);
+    console.log(`✓ Индекс поиска пользователей перестроен: ${count}`);
+  }
+}
+
+export async function down(ctx) {
+  await ctx.run('DROP TABLE IF EXISTS user_search_fts');
+}
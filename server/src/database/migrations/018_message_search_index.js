@@ -0,0 +1,37 @@
+import { countIndexableMessages, rebuildMessageSearchIndex } from '../../services/messageSearchService.js';
+
+/**
+ * Полнотекстовый индекс для поиска по истории сообщений (бывший add_message_search_index.js)
+ * rowid строки индекса совпадает с rowid сообщения в messages, удаление сообщения
+ * убирает строку триггером. Если число строк индекса расходится с числом сообщений
+ * обычных (не секретных) чатов, индекс перестраивается
+ */
+export const description = 'Полнотекстовый индекс поиска по сообщениям';
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS message_search_fts USING fts5(
+      content,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS messages_search_delete AFTER DELETE ON messages
+    BEGIN
+      DELETE FROM message_search_fts WHERE rowid = old.rowid;
+    END;
+  `);
+
+  const indexed = await ctx.get('SELECT COUNT(*) as count FROM message_search_fts');
+  const expected = await countIndexableMessages(ctx);
+  if (indexed.count !== expected) {
+    const count = await rebuildMessageSearchIndex(ctx);
+    console.log(`✓ Индекс поиска по сообщениям перестроен: ${count}`);
+  }
+}
+
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP TRIGGER IF EXISTS messages_search_delete;
+    DROP TABLE IF EXISTS message_search_fts;
+  `);
+}
@@ -0,0 +1,70 @@
+import { createListSlug, DEFAULT_LIST_VISIBILITY } from '../../services/listSharingService.js';
+
+/**
+ * Заметки к элементам и совместный доступ к спискам (бывший add_list_sharing.js и safeAddColumn в migrations.js)
+ * - list_items.personal_note — заметка к элементу списка
+ * - custom_lists.visibility ('private' | 'friends' | 'public') и custom_lists.slug (ссылка на список)
+ * - list_items.added_by — кто добавил элемент (владелец или соавтор)
+ * - list_collaborators (соавторы с ролью) и list_followers (подписчики)
+ * Спискам без slug slug выдаётся сразу
+ */
+export const description = 'Заметки к элементам, видимость, ссылки, соавторы и подписчики списков';
+
+const COLUMNS = [
+  ['list_items', 'personal_note', 'TEXT'],
+  ['custom_lists', 'visibility', `TEXT DEFAULT '${DEFAULT_LIST_VISIBILITY}'`],
+  ['custom_lists', 'slug', 'TEXT'],
+  ['list_items', 'added_by', 'TEXT']
+];
+
+export async function up(ctx) {
+  for (const [table, column, definition] of COLUMNS) {
+    await ctx.addColumn(table, column, definition);
+  }
+
+  await ctx.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_custom_lists_slug ON custom_lists(slug);
+
+    CREATE TABLE IF NOT EXISTS list_collaborators (
+      id TEXT PRIMARY KEY,
+      list_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'editor',
+      added_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (list_id) REFERENCES custom_lists(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(list_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_list_collaborators_user ON list_collaborators(user_id);
+
+    CREATE TABLE IF NOT EXISTS list_followers (
+      id TEXT PRIMARY KEY,
+      list_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (list_id) REFERENCES custom_lists(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(list_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_list_followers_user ON list_followers(user_id);
+  `);
+
+  const lists = await ctx.all('SELECT id, name FROM custom_lists WHERE slug IS NULL');
+  for (const list of lists) {
+    await ctx.run('UPDATE custom_lists SET slug = ? WHERE id = ?', [await createListSlug(list.name), list.id]);
+  }
+  if (lists.length > 0) {
+    console.log(`✓ Выданы ссылки спискам: ${lists.length}`);
+  }
+}
+
+export async function down(ctx) {
+  await ctx.exec(`
+    DROP TABLE IF EXISTS list_followers;
+    DROP TABLE IF EXISTS list_collaborators;
+  `);
+  for (const [table, column] of [...COLUMNS].reverse()) {
+    await ctx.dropColumn(table, column);
+  }
+}
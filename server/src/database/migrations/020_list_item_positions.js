@@ -0,0 +1,26 @@
+/**
+ * Ручной порядок элементов списка (бывший add_list_item_positions.js)
+ * - list_items.position — место элемента в списке, 1 — первое
+ * - элементам без места выдаются места в прежнем порядке показа (сначала новые)
+ */
+export const description = 'Ручной порядок элементов списков';
+
+export async function up(ctx) {
+  await ctx.addColumn('list_items', 'position', 'INTEGER');
+
+  await ctx.exec(`
+    UPDATE list_items
+    SET position = (
+      SELECT COUNT(*) FROM list_items other
+      WHERE other.list_id = list_items.list_id
+        AND (other.added_at > list_items.added_at
+             OR (other.added_at = list_items.added_at AND other.id <= list_items.id))
+    )
+    WHERE position IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_list_items_position ON list_items(list_id, position);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.dropColumn('list_items', 'position');
+}
@@ -0,0 +1,47 @@
+import { countIndexable, rebuildSiteSearchIndex } from '../../services/siteSearchService.js';
+
+/**
+ * Полнотекстовые индексы для поиска по записям, рецензиям, комментариям и спискам (бывший add_site_search_index.js)
+ * rowid строки индекса совпадает с rowid исходной строки, удаление убирает её триггером.
+ * Если число строк индекса расходится с числом индексируемых строк, индекс перестраивается
+ */
+export const description = 'Полнотекстовые индексы поиска по сайту';
+
+// Индекс -> исходная таблица, удаление строк которой убирает строку индекса
+const SEARCH_INDEXES = [
+  { group: 'posts', table: 'post_search_fts', sourceTable: 'wall_posts' },
+  { group: 'comments', table: 'comment_search_fts', sourceTable: 'post_comments' },
+  { group: 'lists', table: 'list_search_fts', sourceTable: 'custom_lists' }
+];
+
+export async function up(ctx) {
+  for (const { group, table, sourceTable } of SEARCH_INDEXES) {
+    await ctx.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${table} USING fts5(
+        content,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS ${sourceTable}_search_delete AFTER DELETE ON ${sourceTable}
+      BEGIN
+        DELETE FROM ${table} WHERE rowid = old.rowid;
+      END;
+    `);
+
+    const indexed = await ctx.get(`SELECT COUNT(*) as count FROM ${table}`);
+    const expected = await countIndexable(ctx, group);
+    if (indexed.count !== expected) {
+      const count = await rebuildSiteSearchIndex(ctx, group);
+      console.log(`✓ Индекс поиска ${group} перестроен: ${count}`);
+    }
+  }
+}
+
+export async function down(ctx) {
+  for (const { table, sourceTable } of [...SEARCH_INDEXES].reverse()) {
+    await ctx.exec(`
+      DROP TRIGGER IF EXISTS ${sourceTable}_search_delete;
+      DROP TABLE IF EXISTS ${table};
+    `);
+  }
+}
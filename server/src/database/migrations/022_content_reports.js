@@ -0,0 +1,56 @@
+/**
+ * Жалобы на контент
+ * - reports.target_type, reports.target_id — на что жалоба (запись, комментарий, рецензия, сообщение, список);
+ *   у старых жалоб на профиль target_type = 'user'
+ * - reports.category — категория причины, reports.content_snapshot — копия контента на момент жалобы (JSON)
+ * - reports.resolution — чем закончилась жалоба (dismiss, mark_reviewed, delete_content, hide_content, post_ban)
+ * - moderation_actions.report_id, target_type, target_id — по какой жалобе и с каким контентом действие
+ * - hidden_at у записей, комментариев, сообщений и списков — контент скрыт модератором
+ */
+export const description = 'Жалобы на контент и скрытие контента модератором';
+
+const REPORT_COLUMNS = [
+  ['target_type', "TEXT NOT NULL DEFAULT 'user'"],
+  ['target_id', 'TEXT'],
+  ['category', "TEXT NOT NULL DEFAULT 'other'"],
+  ['content_snapshot', 'TEXT'],
+  ['resolution', 'TEXT']
+];
+
+const MODERATION_ACTION_COLUMNS = [
+  ['report_id', 'TEXT'],
+  ['target_type', 'TEXT'],
+  ['target_id', 'TEXT']
+];
+
+const HIDDEN_TABLES = ['wall_posts', 'post_comments', 'image_comments', 'messages', 'custom_lists'];
+
+export async function up(ctx) {
+  for (const [column, definition] of REPORT_COLUMNS) {
+    await ctx.addColumn('reports', column, definition);
+  }
+  for (const [column, definition] of MODERATION_ACTION_COLUMNS) {
+    await ctx.addColumn('moderation_actions', column, definition);
+  }
+  for (const table of HIDDEN_TABLES) {
+    await ctx.addColumn(table, 'hidden_at', 'DATETIME');
+  }
+
+  await ctx.exec(`
+    UPDATE reports SET target_id = reported_user_id WHERE target_type = 'user' AND target_id IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+    CREATE INDEX IF NOT EXISTS idx_moderation_actions_report ON moderation_actions(report_id);
+  `);
+}
+
+export async function down(ctx) {
+  for (const table of [...HIDDEN_TABLES].reverse()) {
+    await ctx.dropColumn(table, 'hidden_at');
+  }
+  for (const [column] of [...MODERATION_ACTION_COLUMNS].reverse()) {
+    await ctx.dropColumn('moderation_actions', column);
+  }
+  for (const [column] of [...REPORT_COLUMNS].reverse()) {
+    await ctx.dropColumn('reports', column);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Автоматический фильтр контента
+ * - content_filter_rules — слова, регулярные выражения и домены, которые модераторы запрещают
+ * - content_filter_events — срабатывания фильтра; pending — очередь проверки модератором
+ * - filter_status у записей, комментариев и сообщений: 'held' (ждёт модератора) или 'shadowed' (видит только автор)
+ * Настройки эвристик сохраняются в site_settings (content_filter_config) при первом изменении модератором
+ */
+export const description = 'Фильтр контента: правила, журнал срабатываний, filter_status';
+
+const FILTERED_TABLES = ['wall_posts', 'post_comments', 'image_comments', 'messages'];
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS content_filter_rules (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      pattern TEXT NOT NULL,
+      action TEXT NOT NULL DEFAULT 'block',
+      note TEXT,
+      is_active BOOLEAN NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(kind, pattern)
+    );
+
+    CREATE TABLE IF NOT EXISTS content_filter_events (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id TEXT,
+      action TEXT NOT NULL,
+      status TEXT NOT NULL,
+      reasons TEXT,
+      content TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      reviewed_by TEXT,
+      reviewed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_content_filter_events_status ON content_filter_events(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_content_filter_events_user ON content_filter_events(user_id);
+  `);
+
+  for (const table of FILTERED_TABLES) {
+    await ctx.addColumn(table, 'filter_status', 'TEXT');
+  }
+}
+
+export async function down(ctx) {
+  for (const table of [...FILTERED_TABLES].reverse()) {
+    await ctx.dropColumn(table, 'filter_status');
+  }
+  await ctx.exec(`
+    DROP TABLE IF EXISTS content_filter_events;
+    DROP TABLE IF EXISTS content_filter_rules;
+  `);
+  await ctx.run("DELETE FROM site_settings WHERE key = 'content_filter_config'");
+}
@@ -0,0 +1,22 @@
+/**
+ * Уменьшенные копии загруженных изображений (AVIF/WebP нескольких ширин)
+ * Файлы лежат рядом с оригиналом в uploads/, таблица отвечает на вопрос «какие копии уже готовы».
+ * Для файлов, загруженных до этой миграции, копии создаёт npm run backfill:images
+ */
+export const description = 'Реестр уменьшенных копий изображений';
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS image_variants (
+      image_url TEXT PRIMARY KEY,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      variants TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.exec('DROP TABLE IF EXISTS image_variants;');
+}
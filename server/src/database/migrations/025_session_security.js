@@ -0,0 +1,46 @@
+/**
+ * Безопасность сессий
+ * - sessions.token хранит SHA-256 токена (tokenSecurity.hashToken), сам токен знает только клиент
+ * - устройство, IP, user agent и время последней активности для списка активных сессий
+ * - device_hash — отпечаток устройства для уведомлений о входе с нового устройства
+ * Откат не может восстановить токены из хешей, поэтому удаляет все сессии
+ */
+import { hashToken } from '../../utils/tokenSecurity.js';
+
+export const description = 'Хешированные токены сессий и данные об устройствах';
+
+const SESSION_COLUMNS = [
+  ['device_name', 'TEXT'],
+  ['ip_address', 'TEXT'],
+  ['user_agent', 'TEXT'],
+  ['device_hash', 'TEXT'],
+  ['last_activity_at', 'DATETIME']
+];
+
+// Хеш SHA-256 в hex; токены до миграции — UUID с дефисами
+const HASHED_TOKEN = /^[0-9a-f]{64}$/;
+
+export async function up(ctx) {
+  for (const [column, definition] of SESSION_COLUMNS) {
+    await ctx.addColumn('sessions', column, definition);
+  }
+
+  const sessions = await ctx.all('SELECT id, token FROM sessions');
+  for (const session of sessions) {
+    if (HASHED_TOKEN.test(session.token)) continue;
+    await ctx.run('UPDATE sessions SET token = ? WHERE id = ?', [hashToken(session.token), session.id]);
+  }
+
+  await ctx.exec(`
+    UPDATE sessions SET last_activity_at = created_at WHERE last_activity_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.run('DELETE FROM sessions');
+  await ctx.run('DROP INDEX IF EXISTS idx_sessions_user_id');
+  for (const [column] of SESSION_COLUMNS) {
+    await ctx.dropColumn('sessions', column);
+  }
+}
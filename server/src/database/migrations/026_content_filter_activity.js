@@ -0,0 +1,27 @@
+/**
+ * Счётчики частоты фильтра контента в базе
+ * Раньше счётчики жили в памяти процесса, и в PM2 cluster каждый процесс считал лимиты отдельно.
+ * content_filter_activity — публикации за последние минуты: время в миллисекундах и хеш текста
+ * для поиска повторов. Старые строки удаляет contentFilterService, внешних ключей нет:
+ * таблица служебная и не должна мешать удалению пользователей
+ */
+export const description = 'Общие для всех процессов счётчики частоты фильтра контента';
+
+export async function up(ctx) {
+  await ctx.exec(`
+    CREATE TABLE IF NOT EXISTS content_filter_activity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      text_hash TEXT,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_content_filter_activity_user ON content_filter_activity(user_id, kind, created_at);
+    CREATE INDEX IF NOT EXISTS idx_content_filter_activity_created ON content_filter_activity(created_at);
+  `);
+}
+
+export async function down(ctx) {
+  await ctx.exec('DROP TABLE IF EXISTS content_filter_activity');
+}
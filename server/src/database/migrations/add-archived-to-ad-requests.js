@@ -1,20 +0,0 @@
-import sqlite3 from 'sqlite3';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const dbPath = path.join(__dirname, '../../../rebel.db');
-const db = new sqlite3.Database(dbPath);
-
-db.serialize(() => {
-  db.run(`ALTER TABLE ad_requests ADD COLUMN is_archived INTEGER DEFAULT 0`, (err) => {
-    if (err && !err.message.includes('duplicate column')) {
-      console.error('Ошибка добавления is_archived:', err.message);
-    } else {
-      console.log('✓ Колонка is_archived добавлена в ad_requests');
-    }
-  });
-  db.close();
-});
@@ -50,16 +50,13 @@ import reportsRoutes from './routes/reports.js';
 import adRequestsRoutes from './routes/adRequests.js';
 import twoFactorAuthRoutes from './routes/twoFactorAuth.js';
 import e2eeRoutes from './routes/e2ee.js';
+import importRoutes from './routes/import.js';
+import searchRoutes from './routes/search.js';
 import logger, { httpLogger, cleanOldLogs } from './utils/logger.js';
 import { initWebSocket } from './services/websocketService.js';
 import { createLoginAttemptsTable } from './middleware/loginAttempts.js';
 import { startTokenCleanupScheduler } from './middleware/tokenCleanup.js';
 import { runMigrations } from './database/migrations.js';
-import { addWallPrivacyMigration } from './database/migrations/add_wall_privacy.js';
-import { addUserNicknamesTable } from './database/migrations/add_user_nicknames_table.js';
-import { addShowNicknameColumn } from './database/migrations/add_show_nickname_column.js';
-import { addNicknameDisplayColumn } from './database/migrations/add_nickname_display_column.js';
-import { addEmailNotificationSettingsMigration } from './database/migrations/add_email_notification_settings.js';
 import { getMediaDatabase } from './database/mediaDb.js';
 import { 
   configureHelmet, 
@@ -152,6 +149,8 @@ app.use('/api/reports', reportsRoutes);
 app.use('/api/ad-requests', adRequestsRoutes);
 app.use('/api/2fa', twoFactorAuthRoutes);
 app.use('/api/e2ee', e2eeRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/webhook', webhookRoutes);
 
 // Базовый route для проверки
@@ -206,59 +205,40 @@ app.use((err, req, res, next) => {
 if (process.env.NODE_ENV !== 'test') {
   const server = http.createServer(app);
   
-  // Запуск миграций базы данных
-  runMigrations().then(async (result) => {
-    if (result.success) {
-      logger.info('Миграции базы данных выполнены успешно');
-    } else {
-      logger.error('Ошибка выполнения миграций:', result.error);
-    }
-
-    // Запуск дополнительных миграций (независимо от основных)
-    try {
-      const wallPrivacyResult = await addWallPrivacyMigration();
-      if (wallPrivacyResult.success) {
-        logger.info('Миграция wall_privacy выполнена успешно');
-      }
-    } catch (err) {
-      logger.error('Ошибка выполнения wall_privacy миграции:', err);
-    }
-
-    try {
-      await addUserNicknamesTable();
-    } catch (err) {
-      logger.error('Ошибка миграции user_nicknames:', err);
-    }
-
-    try {
-      await addShowNicknameColumn();
-    } catch (err) {
-      logger.error('Ошибка миграции show_nickname:', err);
-    }
+  // Миграции выполняются до запуска остальных сервисов: шаги миграций идут в транзакциях
+  // на общем соединении, и чужие запросы не должны попасть внутрь них.
+  // На частично мигрированной схеме сервер не запускается
+  let migrations;
+  try {
+    migrations = await runMigrations();
+  } catch (err) {
+    migrations = { success: false, error: err.message };
+  }
+  if (!migrations.success) {
+    logger.error('Ошибка выполнения миграций, сервер не запущен:', migrations.error);
+    process.exit(1);
+  }
+  logger.info('Миграции базы данных выполнены успешно');
 
-    try {
-      await addNicknameDisplayColumn();
-    } catch (err) {
-      logger.error('Ошибка миграции nickname_display:', err);
-    }
+  // Инициализация media.db (кэш фильмов)
+  try {
+    getMediaDatabase();
+    logger.info('media.db инициализирована');
+  } catch (err) {
+    logger.error('Ошибка инициализации media.db:', err);
+  }
 
-    try {
-      await addEmailNotificationSettingsMigration();
-    } catch (err) {
-      logger.error('Ошибка миграции email_notification_settings:', err);
+  // Выдача достижений за действия до появления системы достижений (один раз)
+  try {
+    const { backfillAchievementsOnce } = await import('./utils/achievementChecker.js');
+    const report = await backfillAchievementsOnce();
+    if (report) {
+      logger.info(`Backfill достижений: пользователей ${report.users}, выдано ${report.unlocked}`);
     }
+  } catch (err) {
+    logger.error('Ошибка backfill достижений:', err);
+  }
 
-    // Инициализация media.db (кэш фильмов)
-    try {
-      getMediaDatabase();
-      logger.info('media.db инициализирована');
-    } catch (err) {
-      logger.error('Ошибка инициализации media.db:', err);
-    }
-  }).catch(err => {
-    logger.error('Критическая ошибка при выполнении миграций:', err);
-  });
-  
   // Инициализация таблицы для отслеживания попыток входа
   createLoginAttemptsTable().then(() => {
     logger.info('Таблица login_attempts инициализирована');
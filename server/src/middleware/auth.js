@@ -1,4 +1,5 @@
 import { executeQuery } from '../database/db.js';
+import { findSessionByToken, touchSession } from '../services/sessionService.js';
 
 /**
  * Middleware для проверки аутентификации пользователя
@@ -19,13 +20,7 @@ export async function authenticateToken(req, res, next) {
     }
 
     // Проверяем токен в базе данных
-    const result = await executeQuery(
-      `SELECT s.*, u.* 
-       FROM sessions s
-       JOIN users u ON s.user_id = u.id
-       WHERE s.token = ? AND s.expires_at > datetime('now')`,
-      [token]
-    );
+    const result = await findSessionByToken(token);
 
     if (!result.success) {
       return res.status(500).json({ 
@@ -75,10 +70,15 @@ export async function authenticateToken(req, res, next) {
       googleId: session.google_id,
       discordId: session.discord_id,
       nicknameDisplay: session.nickname_display || 'name',
+      presencePrivacy: session.presence_privacy || 'all',
       twoFactorEnabled: Boolean(session.two_factor_enabled)
     };
 
-    req.sessionId = session.id;
+    req.sessionId = session.session_id;
+
+    touchSession(session.session_id, session.session_last_activity_at).catch((error) => {
+      console.error('Ошибка обновления активности сессии:', error.message);
+    });
 
     next();
   } catch (error) {
@@ -191,13 +191,7 @@ export async function optionalAuth(req, res, next) {
     }
 
     // Проверяем токен в базе данных
-    const result = await executeQuery(
-      `SELECT s.*, u.* 
-       FROM sessions s
-       JOIN users u ON s.user_id = u.id
-       WHERE s.token = ? AND s.expires_at > datetime('now')`,
-      [token]
-    );
+    const result = await findSessionByToken(token);
 
     // Если токен валидный - добавляем пользователя
     if (result.success && result.data && result.data.length > 0) {
@@ -222,7 +216,7 @@ export async function optionalAuth(req, res, next) {
           nicknameDisplay: session.nickname_display || 'name',
           twoFactorEnabled: Boolean(session.two_factor_enabled)
         };
-        req.sessionId = session.id;
+        req.sessionId = session.session_id;
       }
     }
 
@@ -2,6 +2,7 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { prepareUploadedImage } from '../services/imageVariantService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -225,5 +226,48 @@ const uploadAdRequestImages = multer({
   }
 });
 
-export { uploadAvatar, uploadAnnouncement, uploadMessageFiles, uploadPostImages, uploadCommentImage, uploadBugReportImages, uploadAdvertisingImages, uploadAdRequestImages };
+// Настройка multer для файлов импорта (CSV/JSON экспорты других сервисов)
+// Файлы только разбираются и не сохраняются, поэтому держим их в памяти
+const importFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (ext === '.csv' || ext === '.json') {
+    cb(null, true);
+  } else {
+    cb(new Error('Недопустимый тип файла. Разрешены только CSV и JSON'), false);
+  }
+};
+
+const uploadImportFiles = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // Максимум 10MB
+    files: 10 // Максимум 10 файлов за раз
+  }
+});
+
+/**
+ * Обработка загруженных изображений после multer: поворот по EXIF, удаление EXIF/GPS,
+ * сжатие тяжёлых файлов и постановка в очередь уменьшенных копий AVIF/WebP.
+ * Файлы других типов (вложения сообщений) пропускаются, нераспознанные изображения остаются как есть
+ * @param {string} profile - 'image' | 'avatar' — набор ширин копий
+ */
+const processUploadedImages = (profile = 'image') => async (req, res, next) => {
+  const files = req.file
+    ? [req.file]
+    : Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+
+  for (const file of files) {
+    if (!file.mimetype?.startsWith('image/')) continue;
+    try {
+      await prepareUploadedImage(file, profile);
+    } catch (error) {
+      console.error(`Ошибка обработки изображения ${file.originalname}:`, error.message);
+    }
+  }
+  next();
+};
+
+export { uploadAvatar, uploadAnnouncement, uploadMessageFiles, uploadPostImages, uploadCommentImage, uploadBugReportImages, uploadAdvertisingImages, uploadAdRequestImages, uploadImportFiles, processUploadedImages };
 export default uploadAvatar;
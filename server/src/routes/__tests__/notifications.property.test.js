@@ -9,6 +9,7 @@ import app from '../../index.js';
 import { executeQuery, closeDatabase } from '../../database/db.js';
 import { runMigrations } from '../../database/migrations.js';
 import { v4 as uuidv4 } from 'uuid';
+import { hashToken } from '../../utils/tokenSecurity.js';
 import { notifyFriendActivity } from '../../services/notificationService.js';
 
 describe('Notifications API - Property-Based Tests', () => {
@@ -44,7 +45,7 @@ describe('Notifications API - Property-Based Tests', () => {
     await executeQuery(
       `INSERT INTO sessions (id, user_id, token, expires_at)
        VALUES (?, ?, ?, ?)`,
-      [sessionId, testUser.id, testToken, expiresAt]
+      [sessionId, testUser.id, hashToken(testToken), expiresAt]
     );
 
     // Создаем друга
@@ -69,7 +70,7 @@ describe('Notifications API - Property-Based Tests', () => {
     await executeQuery(
       `INSERT INTO sessions (id, user_id, token, expires_at)
        VALUES (?, ?, ?, ?)`,
-      [friendSessionId, friendUser.id, friendToken, expiresAt]
+      [friendSessionId, friendUser.id, hashToken(friendToken), expiresAt]
     );
 
     // Добавляем в друзья (testUser добавляет friendUser)
@@ -8,7 +8,9 @@ import request from 'supertest';
 import app from '../../index.js';
 import { executeQuery, closeDatabase } from '../../database/db.js';
 import { runMigrations } from '../../database/migrations.js';
+import { updateFilterConfig } from '../../services/contentFilterService.js';
 import { v4 as uuidv4 } from 'uuid';
+import { hashToken } from '../../utils/tokenSecurity.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -42,6 +44,9 @@ describe('Wall API - Property-Based Tests', () => {
       throw new Error(`Ошибка инициализации БД: ${migrationResult.error}`);
     }
 
+    // Свойства гоняют десятки записей от одного автора подряд — лимиты частоты фильтра тут не проверяются
+    await updateFilterConfig({ enabled: false });
+
     // Создаем тестового пользователя
     const userId = uuidv4();
     testUser = {
@@ -65,7 +70,7 @@ describe('Wall API - Property-Based Tests', () => {
     await executeQuery(
       `INSERT INTO sessions (id, user_id, token, expires_at)
        VALUES (?, ?, ?, ?)`,
-      [sessionId, testUser.id, testToken, expiresAt]
+      [sessionId, testUser.id, hashToken(testToken), expiresAt]
     );
 
     // Создаем второго пользователя для тестов реакций
@@ -453,7 +458,7 @@ describe('Wall API - Property-Based Tests', () => {
             const sessionResult = await executeQuery(
               `INSERT INTO sessions (id, user_id, token, expires_at)
                VALUES (?, ?, ?, ?)`,
-              [sessionId, anotherUser.id, anotherToken, expiresAt]
+              [sessionId, anotherUser.id, hashToken(anotherToken), expiresAt]
             );
 
             expect(sessionResult.success).toBe(true);
@@ -518,7 +523,7 @@ describe('Wall API - Property-Based Tests', () => {
             await executeQuery(
               `INSERT INTO sessions (id, user_id, token, expires_at)
                VALUES (?, ?, ?, ?)`,
-              [sessionId, anotherUser.id, anotherToken, expiresAt]
+              [sessionId, anotherUser.id, hashToken(anotherToken), expiresAt]
             );
 
             // Добавляем первую реакцию
@@ -591,7 +596,7 @@ describe('Wall API - Property-Based Tests', () => {
             const sessionResult = await executeQuery(
               `INSERT INTO sessions (id, user_id, token, expires_at)
                VALUES (?, ?, ?, ?)`,
-              [sessionId, anotherUser.id, anotherToken, expiresAt]
+              [sessionId, anotherUser.id, hashToken(anotherToken), expiresAt]
             );
 
             // Проверяем что сессия создана успешно
@@ -762,7 +767,7 @@ describe('Wall API - Property-Based Tests', () => {
       await executeQuery(
         `INSERT INTO sessions (id, user_id, token, expires_at)
          VALUES (?, ?, ?, ?)`,
-        [sessionId, anotherUser.id, anotherToken, expiresAt]
+        [sessionId, anotherUser.id, hashToken(anotherToken), expiresAt]
       );
 
       // Второй пользователь пытается удалить пост
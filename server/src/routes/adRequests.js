@@ -1,7 +1,7 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
-import { uploadAdRequestImages } from '../middleware/upload.js';
+import { uploadAdRequestImages, processUploadedImages } from '../middleware/upload.js';
 import { sendTelegramNotification } from '../services/notificationService.js';
 
 const router = express.Router();
@@ -151,7 +151,7 @@ router.post('/verify-code', async (req, res) => {
  * POST /api/ad-requests
  * Отправить заявку на рекламу (публичный)
  */
-router.post('/', uploadAdRequestImages.single('image'), async (req, res) => {
+router.post('/', uploadAdRequestImages.single('image'), processUploadedImages(), async (req, res) => {
   try {
     const id = uuidv4();
     const { name, telegram, extraContact, calculatorData, adDescription, adLink, adLinkLabel, adText } = req.body;
@@ -3,7 +3,26 @@ import { executeQuery } from '../database/db.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { notifyModeration, sendTelegramNotification } from '../services/notificationService.js';
 import { notifyFeedNewAdPost, notifyFeedNewAnnouncement } from '../services/websocketService.js';
-import { uploadAnnouncement, uploadAdvertisingImages } from '../middleware/upload.js';
+import { indexUser } from '../services/userSearchService.js';
+import { applyPostBan, resolveReport, formatReport, REPORT_TARGET_TYPES } from '../services/reportService.js';
+import {
+  getFilterConfig,
+  updateFilterConfig,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  listFilterEvents,
+  reviewFilterEvent
+} from '../services/contentFilterService.js';
+import { uploadAnnouncement, uploadAdvertisingImages, processUploadedImages } from '../middleware/upload.js';
+import {
+  createBackup,
+  listBackups,
+  restoreBackup,
+  deleteBackup,
+  getBackupSettings
+} from '../services/backupService.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -214,6 +233,10 @@ router.put('/users/:id', async (req, res) => {
       });
     }
 
+    if (displayName !== undefined) {
+      await indexUser(id);
+    }
+
     // Получаем обновленные данные пользователя
     const updatedUserResult = await executeQuery(
       'SELECT id, telegram_username, display_name, avatar_url, is_admin, is_blocked, theme, created_at, updated_at FROM users WHERE id = ?',
@@ -336,7 +359,7 @@ router.post('/users/:id/block', async (req, res) => {
  * - content: string (текст объявления)
  * - images: files (опционально, до 5 изображений для объявления)
  */
-router.post('/announcements', uploadAnnouncement.array('images', 5), async (req, res) => {
+router.post('/announcements', uploadAnnouncement.array('images', 5), processUploadedImages(), async (req, res) => {
   try {
     const { content, pinDuration, repeatCount, repeatIntervalHours, repeatChannel, scheduledAt, autoDelete } = req.body;
 
@@ -483,28 +506,17 @@ router.post('/announcements', uploadAnnouncement.array('images', 5), async (req,
  */
 router.post('/backup', async (req, res) => {
   try {
-    const dbPath = process.env.NODE_ENV === 'test' 
-      ? path.join(__dirname, '../../test-rebel.db')
-      : path.join(__dirname, '../../rebel.db');
-
-    const backupDir = path.join(__dirname, '../../backups');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupPath = path.join(backupDir, `rebel-backup-${timestamp}.db`);
-
-    // Создаем директорию для бэкапов если её нет
-    try {
-      await fs.mkdir(backupDir, { recursive: true });
-    } catch (err) {
-      // Директория уже существует
+    const result = await createBackup({ trigger: 'manual', createdBy: req.user.id });
+    if (!result.success) {
+      return sendBackupError(res, result);
     }
 
-    // Копируем файл базы данных
-    await fs.copyFile(dbPath, backupPath);
-
+    const mainBackup = result.backups.find(backup => backup.database === 'main');
     res.json({
       message: 'Резервная копия успешно создана',
-      backupPath: path.basename(backupPath),
-      timestamp: new Date().toISOString()
+      backupPath: mainBackup.filename,
+      backups: result.backups,
+      timestamp: mainBackup.createdAt
     });
 
   } catch (error) {
@@ -558,51 +570,18 @@ router.post('/users/:id/ban-posts', async (req, res) => {
       });
     }
 
-    // Вычисляем время окончания блокировки
-    const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+    const ban = await applyPostBan({ userId: id, adminId: req.user.id, reason, durationMinutes });
 
-    // Обновляем пользователя
-    const updateResult = await executeQuery(
-      'UPDATE users SET ban_reason = ?, post_ban_until = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [reason, expiresAt.toISOString(), id]
-    );
-
-    if (!updateResult.success) {
+    if (!ban.success) {
       return res.status(500).json({ 
         error: 'Ошибка обновления пользователя',
         code: 'DATABASE_ERROR' 
       });
     }
 
-    // Создаем запись о действии модерации
-    const { v4: uuidv4 } = await import('uuid');
-    const actionId = uuidv4();
-
-    await executeQuery(
-      `INSERT INTO moderation_actions (id, user_id, admin_id, action_type, reason, duration_minutes, expires_at)
-       VALUES (?, ?, ?, 'post_ban', ?, ?, ?)`,
-      [actionId, id, req.user.id, reason, durationMinutes, expiresAt.toISOString()]
-    );
-
     res.json({
       success: true,
-      action: {
-        id: actionId,
-        userId: id,
-        actionType: 'post_ban',
-        reason,
-        durationMinutes,
-        expiresAt: expiresAt.toISOString()
-      }
-    });
-
-    // Отправляем уведомление в Telegram (не блокируем ответ)
-    notifyModeration(id, 'post_ban', {
-      reason,
-      durationMinutes,
-      expiresAt: expiresAt.toISOString()
-    }).catch(err => {
-      console.error('Ошибка отправки уведомления о блокировке постов:', err);
+      action: ban.action
     });
 
   } catch (error) {
@@ -1170,72 +1149,57 @@ function getDbPath() {
     : path.join(__dirname, '../../rebel.db');
 }
 
-function getBackupDir() {
-  return path.join(__dirname, '../../backups');
+const BACKUP_ERRORS = {
+  BACKUP_IN_PROGRESS: [409, 'Резервное копирование уже выполняется'],
+  BACKUP_FAILED: [500, 'Не удалось создать резервную копию'],
+  INVALID_FILENAME: [400, 'Неверное имя файла'],
+  BACKUP_NOT_FOUND: [404, 'Резервная копия не найдена'],
+  INTEGRITY_CHECK_FAILED: [422, 'Резервная копия повреждена и не прошла проверку целостности']
+};
+
+function sendBackupError(res, result) {
+  const [status, error] = BACKUP_ERRORS[result.code] || [500, 'Ошибка резервного копирования'];
+  res.status(status).json({
+    error,
+    code: result.code || 'BACKUP_ERROR',
+    ...(result.backups && { backups: result.backups }),
+    ...(result.integrity && { integrity: result.integrity })
+  });
 }
 
 /**
  * POST /api/admin/database/backup
- * Создать резервную копию базы данных
+ * Создать резервные копии основной базы и кэша фильмов
  */
 router.post('/database/backup', async (req, res) => {
   try {
-    const dbPath = getDbPath();
-    const backupDir = getBackupDir();
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupPath = path.join(backupDir, `rebel-backup-${timestamp}.db`);
-
-    await fs.mkdir(backupDir, { recursive: true });
-    await fs.copyFile(dbPath, backupPath);
-
-    const stats = await fs.stat(backupPath);
+    const result = await createBackup({ trigger: 'manual', createdBy: req.user.id });
+    if (!result.success) {
+      return sendBackupError(res, result);
+    }
 
     res.json({
       message: 'Резервная копия успешно создана',
-      backup: {
-        filename: path.basename(backupPath),
-        size: stats.size,
-        createdAt: new Date().toISOString()
-      }
+      backup: result.backups.find(backup => backup.database === 'main'),
+      backups: result.backups,
+      pruned: result.pruned
     });
   } catch (error) {
     console.error('Ошибка создания резервной копии:', error);
-    res.status(500).json({ error: 'Ошибка создания резервной копии' });
+    res.status(500).json({ error: 'Ошибка создания резервной копии', code: 'BACKUP_ERROR' });
   }
 });
 
 /**
  * GET /api/admin/database/backups
- * Получить список всех резервных копий
+ * История резервных копий и настройки расписания
  */
 router.get('/database/backups', async (req, res) => {
   try {
-    const backupDir = getBackupDir();
-
-    try {
-      await fs.access(backupDir);
-    } catch {
-      return res.json({ backups: [] });
-    }
-
-    const files = await fs.readdir(backupDir);
-    const dbFiles = files.filter(f => f.endsWith('.db'));
-
-    const backups = await Promise.all(
-      dbFiles.map(async (filename) => {
-        const filePath = path.join(backupDir, filename);
-        const stats = await fs.stat(filePath);
-        return {
-          filename,
-          size: stats.size,
-          createdAt: stats.birthtime.toISOString()
-        };
-      })
-    );
-
-    backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    res.json({ backups });
+    res.json({
+      backups: await listBackups(),
+      settings: getBackupSettings()
+    });
   } catch (error) {
     console.error('Ошибка получения списка бэкапов:', error);
     res.status(500).json({ error: 'Ошибка получения списка резервных копий' });
@@ -1245,29 +1209,16 @@ router.get('/database/backups', async (req, res) => {
 /**
  * POST /api/admin/database/restore
  * Восстановить базу данных из резервной копии
+ * Какая база восстанавливается, определяется по имени файла (rebel-… или media-…)
  */
 router.post('/database/restore', async (req, res) => {
   try {
-    const { filename } = req.body;
-
-    if (!filename || !filename.match(/^rebel-backup-[\w-]+\.db$/)) {
-      return res.status(400).json({ error: 'Неверное имя файла' });
-    }
-
-    const backupDir = getBackupDir();
-    const backupPath = path.join(backupDir, filename);
-    const dbPath = getDbPath();
-
-    try {
-      await fs.access(backupPath);
-    } catch {
-      return res.status(404).json({ error: 'Резервная копия не найдена' });
+    const result = await restoreBackup(req.body.filename);
+    if (!result.success) {
+      return sendBackupError(res, result);
     }
 
-    const backupContent = await fs.readFile(backupPath);
-    await fs.writeFile(dbPath, backupContent);
-
-    res.json({ message: 'База данных успешно восстановлена' });
+    res.json({ message: 'База данных успешно восстановлена', database: result.database });
   } catch (error) {
     console.error('Ошибка восстановления БД:', error);
     res.status(500).json({ error: 'Ошибка восстановления базы данных' });
@@ -1280,23 +1231,11 @@ router.post('/database/restore', async (req, res) => {
  */
 router.delete('/database/backups/:filename', async (req, res) => {
   try {
-    const { filename } = req.params;
-
-    if (!filename || !filename.match(/^rebel-backup-[\w-]+\.db$/)) {
-      return res.status(400).json({ error: 'Неверное имя файла' });
-    }
-
-    const backupDir = getBackupDir();
-    const backupPath = path.join(backupDir, filename);
-
-    try {
-      await fs.access(backupPath);
-    } catch {
-      return res.status(404).json({ error: 'Резервная копия не найдена' });
+    const result = await deleteBackup(req.params.filename);
+    if (!result.success) {
+      return sendBackupError(res, result);
     }
 
-    await fs.unlink(backupPath);
-
     res.json({ message: 'Резервная копия удалена' });
   } catch (error) {
     console.error('Ошибка удаления бэкапа:', error);
@@ -1353,22 +1292,30 @@ import { v4 as uuidv4 } from 'uuid';
  */
 router.get('/reports', async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, targetType } = req.query;
     let query = `
       SELECT r.*, 
         reporter.display_name as reporter_name, reporter.avatar_url as reporter_avatar,
-        reported.display_name as reported_name, reported.avatar_url as reported_avatar
+        reported.display_name as reported_name, reported.avatar_url as reported_avatar,
+        reviewer.display_name as reviewer_name
       FROM reports r
       LEFT JOIN users reporter ON r.reporter_id = reporter.id
       LEFT JOIN users reported ON r.reported_user_id = reported.id
+      LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+      WHERE 1 = 1
     `;
     const params = [];
 
     if (status && ['pending', 'reviewed', 'dismissed'].includes(status)) {
-      query += ' WHERE r.status = ?';
+      query += ' AND r.status = ?';
       params.push(status);
     }
 
+    if (targetType && REPORT_TARGET_TYPES.includes(targetType)) {
+      query += ' AND r.target_type = ?';
+      params.push(targetType);
+    }
+
     query += ' ORDER BY r.created_at DESC';
 
     const result = await executeQuery(query, params);
@@ -1377,7 +1324,7 @@ router.get('/reports', async (req, res) => {
       return res.status(500).json({ error: 'Ошибка получения жалоб' });
     }
 
-    res.json({ reports: result.data });
+    res.json({ reports: result.data.map(formatReport) });
   } catch (error) {
     console.error('Ошибка получения жалоб:', error);
     res.status(500).json({ error: 'Ошибка сервера' });
@@ -1405,9 +1352,27 @@ router.get('/reports/unread-count', async (req, res) => {
   }
 });
 
+const RESOLVE_ERRORS = {
+  INVALID_ACTION: [400, 'Неизвестное действие'],
+  REASON_REQUIRED: [400, 'Необходимо указать причину блокировки'],
+  DURATION_REQUIRED: [400, 'Необходимо указать длительность блокировки'],
+  NOT_CONTENT_REPORT: [400, 'Жалоба на профиль, а не на контент'],
+  REPORT_NOT_FOUND: [404, 'Жалоба не найдена'],
+  TARGET_NOT_FOUND: [404, 'Контент уже удалён'],
+  ALREADY_RESOLVED: [409, 'Жалоба уже рассмотрена']
+};
+
+async function sendResolveResult(res, result) {
+  if (!result.success) {
+    const [status, error] = RESOLVE_ERRORS[result.code] || [500, 'Ошибка обработки жалобы'];
+    return res.status(status).json({ error, code: result.code });
+  }
+  res.json({ resolution: result.resolution, resolvedReportIds: result.resolvedReportIds });
+}
+
 /**
  * PUT /api/admin/reports/:id
- * Обновить статус жалобы
+ * Отметить жалобу как просмотренную или отклонить её без действий с контентом
  */
 router.put('/reports/:id', async (req, res) => {
   try {
@@ -1418,18 +1383,198 @@ router.put('/reports/:id', async (req, res) => {
       return res.status(400).json({ error: 'Неверный статус' });
     }
 
-    const result = await executeQuery(
-      'UPDATE reports SET status = ?, reviewed_at = ?, reviewed_by = ? WHERE id = ?',
-      [status, new Date().toISOString(), req.user.id, id]
-    );
+    const result = await resolveReport({
+      reportId: id,
+      adminId: req.user.id,
+      action: status === 'reviewed' ? 'mark_reviewed' : 'dismiss'
+    });
+    await sendResolveResult(res, result);
+  } catch (error) {
+    console.error('Ошибка:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
 
-    if (!result.success) {
-      return res.status(500).json({ error: 'Ошибка обновления жалобы' });
-    }
+/**
+ * POST /api/admin/reports/:id/resolve
+ * Решить жалобу
+ *
+ * Body:
+ * - action: 'dismiss' | 'mark_reviewed' | 'delete_content' | 'hide_content' | 'post_ban'
+ * - reason: string — причина для автора (обязательна для post_ban)
+ * - durationMinutes: number — длительность запрета на посты (для post_ban)
+ */
+router.post('/reports/:id/resolve', async (req, res) => {
+  try {
+    const { action, reason, durationMinutes } = req.body;
 
-    res.json({ message: 'Статус жалобы обновлён' });
+    const result = await resolveReport({
+      reportId: req.params.id,
+      adminId: req.user.id,
+      action,
+      reason,
+      durationMinutes
+    });
+    await sendResolveResult(res, result);
   } catch (error) {
-    console.error('Ошибка:', error);
+    console.error('Ошибка обработки жалобы:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// ==========================================
+// Автоматический фильтр контента
+// ==========================================
+
+const CONTENT_FILTER_ERRORS = {
+  INVALID_CONFIG: [400, 'Некорректные настройки фильтра'],
+  INVALID_KIND: [400, 'Неизвестный тип правила'],
+  INVALID_ACTION: [400, 'Неизвестное действие'],
+  INVALID_PATTERN: [400, 'Некорректный шаблон правила'],
+  PATTERN_TOO_LONG: [400, 'Слишком длинный шаблон правила'],
+  INVALID_DECISION: [400, 'Неизвестное решение'],
+  RULE_NOT_FOUND: [404, 'Правило не найдено'],
+  EVENT_NOT_FOUND: [404, 'Срабатывание фильтра не найдено'],
+  DUPLICATE_RULE: [409, 'Такое правило уже есть'],
+  ALREADY_REVIEWED: [409, 'Срабатывание уже рассмотрено']
+};
+
+function sendContentFilterError(res, result) {
+  const [status, error] = CONTENT_FILTER_ERRORS[result.code] || [500, 'Ошибка фильтра контента'];
+  return res.status(status).json({ error, code: result.code, ...(result.field && { field: result.field }) });
+}
+
+/**
+ * GET /api/admin/content-filter/config
+ * Настройки эвристик фильтра: повторы, упоминания, ссылки, лимиты частоты
+ */
+router.get('/content-filter/config', async (req, res) => {
+  try {
+    res.json({ config: await getFilterConfig() });
+  } catch (error) {
+    console.error('Ошибка получения настроек фильтра:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * PUT /api/admin/content-filter/config
+ * Обновить настройки фильтра. Body — частичный объект настроек, недостающие поля не меняются
+ */
+router.put('/content-filter/config', async (req, res) => {
+  try {
+    const result = await updateFilterConfig(req.body || {});
+    if (!result.success) return sendContentFilterError(res, result);
+    res.json({ config: result.config });
+  } catch (error) {
+    console.error('Ошибка сохранения настроек фильтра:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * GET /api/admin/content-filter/rules
+ * Список правил фильтра
+ */
+router.get('/content-filter/rules', async (req, res) => {
+  try {
+    const result = await listRules();
+    if (!result.success) return sendContentFilterError(res, result);
+    res.json({ rules: result.rules });
+  } catch (error) {
+    console.error('Ошибка получения правил фильтра:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * POST /api/admin/content-filter/rules
+ * Добавить правило
+ *
+ * Body:
+ * - kind: 'word' | 'regex' | 'domain'
+ * - pattern: string — слово или фраза, регулярное выражение или домен
+ * - action: 'block' | 'hold' | 'shadow'
+ * - note: string — заметка для модераторов
+ */
+router.post('/content-filter/rules', async (req, res) => {
+  try {
+    const { kind, pattern, action, note } = req.body;
+    const result = await createRule({ kind, pattern, action, note, createdBy: req.user.id });
+    if (!result.success) return sendContentFilterError(res, result);
+    res.status(201).json({ rule: result.rule });
+  } catch (error) {
+    console.error('Ошибка создания правила фильтра:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * PUT /api/admin/content-filter/rules/:id
+ * Изменить действие, заметку или включить/выключить правило
+ * Body: { action?, note?, isActive? }
+ */
+router.put('/content-filter/rules/:id', async (req, res) => {
+  try {
+    const { action, note, isActive } = req.body;
+    const result = await updateRule(req.params.id, { action, note, isActive });
+    if (!result.success) return sendContentFilterError(res, result);
+    res.json({ rule: result.rule });
+  } catch (error) {
+    console.error('Ошибка изменения правила фильтра:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * DELETE /api/admin/content-filter/rules/:id
+ * Удалить правило
+ */
+router.delete('/content-filter/rules/:id', async (req, res) => {
+  try {
+    const result = await deleteRule(req.params.id);
+    if (!result.success) return sendContentFilterError(res, result);
+    res.json({ message: 'Правило удалено' });
+  } catch (error) {
+    console.error('Ошибка удаления правила фильтра:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * GET /api/admin/content-filter/events
+ * Журнал срабатываний фильтра
+ * Query: status ('pending' | 'shadowed' | 'blocked' | 'approved' | 'rejected'), limit, offset
+ */
+router.get('/content-filter/events', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const result = await listFilterEvents({ status: req.query.status, limit, offset });
+    if (!result.success) return sendContentFilterError(res, result);
+    res.json({ events: result.events, hasMore: result.events.length === limit });
+  } catch (error) {
+    console.error('Ошибка получения журнала фильтра:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+/**
+ * POST /api/admin/content-filter/events/:id/review
+ * Решение модератора по задержанному контенту
+ * Body: { decision: 'approve' | 'reject' }
+ */
+router.post('/content-filter/events/:id/review', async (req, res) => {
+  try {
+    const result = await reviewFilterEvent({
+      eventId: req.params.id,
+      adminId: req.user.id,
+      decision: req.body.decision
+    });
+    if (!result.success) return sendContentFilterError(res, result);
+    res.json({ status: result.status });
+  } catch (error) {
+    console.error('Ошибка проверки контента:', error);
     res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
@@ -1438,7 +1583,7 @@ router.put('/reports/:id', async (req, res) => {
  * POST /api/admin/advertising/upload
  * Загрузить изображение для рекламного поста
  */
-router.post('/advertising/upload', uploadAdvertisingImages.single('image'), async (req, res) => {
+router.post('/advertising/upload', uploadAdvertisingImages.single('image'), processUploadedImages(), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Файл не загружен', code: 'NO_FILE' });
@@ -7,6 +7,8 @@ import bcrypt from 'bcrypt';
 import { verifyTelegramAuth, extractUserData } from '../utils/telegramAuth.js';
 import { sendVerificationEmail } from '../services/emailService.js';
 import { createNotification } from '../services/notificationService.js';
+import { indexUser } from '../services/userSearchService.js';
+import { createUserSession, getSessionUserId, listUserSessions, revokeUserSession } from '../services/sessionService.js';
 import passport from '../config/passport.js';
 
 // Инкремент счётчика зарегистрированных пользователей
@@ -115,6 +117,7 @@ router.post('/telegram', async (req, res) => {
       }
 
       incrementTotalRegistered();
+      await indexUser(telegramId);
 
       // Получаем созданного пользователя
       const newUserResult = await executeQuery(
@@ -146,6 +149,7 @@ router.post('/telegram', async (req, res) => {
          WHERE id = ?`,
         [telegramUsername || user.telegram_username, newAvatarUrl, telegramId]
       );
+      await indexUser(telegramId);
     }
 
     // Проверяем, включена ли 2FA для этого пользователя
@@ -172,16 +176,7 @@ router.post('/telegram', async (req, res) => {
     }
 
     // 2FA не включена — создаем сессию как обычно
-    const sessionId = uuidv4();
-    const token = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30); // Сессия на 30 дней
-
-    const sessionResult = await executeQuery(
-      `INSERT INTO sessions (id, user_id, token, expires_at)
-       VALUES (?, ?, ?, ?)`,
-      [sessionId, telegramId, token, expiresAt.toISOString()]
-    );
+    const sessionResult = await createUserSession(telegramId, req);
 
     if (!sessionResult.success) {
       return res.status(500).json({
@@ -192,7 +187,7 @@ router.post('/telegram', async (req, res) => {
 
     // Возвращаем токен и информацию о пользователе
     res.json({
-      token,
+      token: sessionResult.token,
       user: {
         id: user.id,
         telegramUsername: user.telegram_username,
@@ -300,6 +295,67 @@ router.delete('/logout-all', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/sessions
+ * Активные сессии пользователя: устройство, IP, время входа и последней активности
+ * Требует токен в заголовке Authorization
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await listUserSessions(req.user.id, req.sessionId);
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Ошибка получения сессий',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    res.json({ sessions: result.sessions });
+
+  } catch (error) {
+    console.error('Ошибка получения сессий:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Завершить сессию на другом устройстве (вместе с другими сессиями этого устройства и IP)
+ * Текущая сессия завершается через /logout
+ * Требует токен в заголовке Authorization
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeUserSession(req.user.id, req.params.sessionId, req.sessionId);
+
+    if (!result.success) {
+      const errors = {
+        CURRENT_SESSION: [400, 'Текущую сессию можно завершить только выходом из аккаунта'],
+        SESSION_NOT_FOUND: [404, 'Сессия не найдена'],
+        DATABASE_ERROR: [500, 'Ошибка завершения сессии']
+      };
+      const [status, error] = errors[result.code] || errors.DATABASE_ERROR;
+      return res.status(status).json({ error, code: result.code });
+    }
+
+    res.json({
+      message: 'Сессия завершена',
+      terminatedSessions: result.revoked
+    });
+
+  } catch (error) {
+    console.error('Ошибка завершения сессии:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/auth/telegram-referral
  * Авторизация пользователя через Telegram с реферальным кодом
@@ -384,6 +440,7 @@ router.post('/telegram-referral', async (req, res) => {
       }
 
       incrementTotalRegistered();
+      await indexUser(telegramId);
 
       // Если есть реферер, создаем запись в таблице referrals и добавляем в друзья
       if (referrerId) {
@@ -466,6 +523,7 @@ router.post('/telegram-referral', async (req, res) => {
          WHERE id = ?`,
         [telegramUsername || user.telegram_username, newAvatarUrl, telegramId]
       );
+      await indexUser(telegramId);
     }
 
     // Проверяем, включена ли 2FA для этого пользователя
@@ -493,16 +551,7 @@ router.post('/telegram-referral', async (req, res) => {
     }
 
     // 2FA не включена — создаем сессию как обычно
-    const sessionId = uuidv4();
-    const token = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30); // Сессия на 30 дней
-
-    const sessionResult = await executeQuery(
-      `INSERT INTO sessions (id, user_id, token, expires_at)
-       VALUES (?, ?, ?, ?)`,
-      [sessionId, telegramId, token, expiresAt.toISOString()]
-    );
+    const sessionResult = await createUserSession(telegramId, req);
 
     if (!sessionResult.success) {
       return res.status(500).json({
@@ -513,7 +562,7 @@ router.post('/telegram-referral', async (req, res) => {
 
     // Возвращаем токен и информацию о пользователе
     res.json({
-      token,
+      token: sessionResult.token,
       user: {
         id: user.id,
         telegramUsername: user.telegram_username,
@@ -646,6 +695,7 @@ router.post('/telegram-widget', async (req, res) => {
       }
 
       incrementTotalRegistered();
+      await indexUser(telegramId);
 
       // Получаем созданного пользователя
       const newUserResult = await executeQuery(
@@ -679,6 +729,7 @@ router.post('/telegram-widget', async (req, res) => {
          WHERE id = ?`,
         [telegramUsername || user.telegram_username, newAvatarUrl, telegramId]
       );
+      await indexUser(telegramId);
     }
 
     // Проверяем, включена ли 2FA для этого пользователя
@@ -705,16 +756,7 @@ router.post('/telegram-widget', async (req, res) => {
     }
 
     // 2FA не включена — создаем сессию как обычно
-    const sessionId = uuidv4();
-    const token = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30); // Сессия на 30 дней
-
-    const sessionResult = await executeQuery(
-      `INSERT INTO sessions (id, user_id, token, expires_at)
-       VALUES (?, ?, ?, ?)`,
-      [sessionId, telegramId, token, expiresAt.toISOString()]
-    );
+    const sessionResult = await createUserSession(telegramId, req);
 
     if (!sessionResult.success) {
       return res.status(500).json({
@@ -727,7 +769,7 @@ router.post('/telegram-widget', async (req, res) => {
 
     // Возвращаем токен и информацию о пользователе
     res.json({
-      token,
+      token: sessionResult.token,
       user: {
         id: user.id,
         telegramUsername: user.telegram_username,
@@ -797,6 +839,7 @@ router.post('/link-telegram', authenticateToken, async (req, res) => {
        WHERE id = ?`,
       [telegramUsername || null, userId]
     );
+    await indexUser(userId);
 
     if (!updateResult.success) {
       return res.status(500).json({ 
@@ -999,16 +1042,7 @@ router.get('/verify-email/:token', async (req, res) => {
     console.log(`✅ Email подтвержден для пользователя: ${user.display_name} (${user.email})`);
 
     // Создаем новую сессию для автоматического входа
-    const sessionId = uuidv4();
-    const sessionToken = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30); // Сессия на 30 дней
-
-    const sessionResult = await executeQuery(
-      `INSERT INTO sessions (id, user_id, token, expires_at)
-       VALUES (?, ?, ?, ?)`,
-      [sessionId, user.id, sessionToken, expiresAt.toISOString()]
-    );
+    const sessionResult = await createUserSession(user.id, req);
 
     if (!sessionResult.success) {
       return res.status(500).json({ 
@@ -1020,7 +1054,7 @@ router.get('/verify-email/:token', async (req, res) => {
     // Возвращаем токен и информацию о пользователе для автоматического входа
     res.json({
       message: 'Email успешно подтвержден!',
-      token: sessionToken,
+      token: sessionResult.token,
       user: {
         id: user.id,
         email: user.email,
@@ -1180,6 +1214,7 @@ router.post('/register-email', registerRateLimiter, async (req, res) => {
     }
 
     incrementTotalRegistered();
+    await indexUser(userId);
 
     // Генерируем токен подтверждения email
     const verificationToken = crypto.randomBytes(32).toString('hex');
@@ -1370,16 +1405,7 @@ router.post('/login-email', loginRateLimiter, async (req, res) => {
     }
 
     // 2FA не включена — создаем сессию как обычно
-    const sessionId = uuidv4();
-    const token = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30); // Сессия на 30 дней
-
-    const sessionResult = await executeQuery(
-      `INSERT INTO sessions (id, user_id, token, expires_at)
-       VALUES (?, ?, ?, ?)`,
-      [sessionId, user.id, token, expiresAt.toISOString()]
-    );
+    const sessionResult = await createUserSession(user.id, req);
 
     if (!sessionResult.success) {
       return res.status(500).json({
@@ -1392,7 +1418,7 @@ router.post('/login-email', loginRateLimiter, async (req, res) => {
 
     // Возвращаем токен и информацию о пользователе
     res.json({
-      token,
+      token: sessionResult.token,
       user: {
         id: user.id,
         email: user.email,
@@ -1688,17 +1714,13 @@ router.get('/google/callback',
 
       if (isLink) {
         // Режим привязки: привязываем Google к текущему залогиненному пользователю
-        const sessionCheck = await executeQuery(
-          'SELECT user_id FROM sessions WHERE token = ? AND expires_at > datetime(\'now\')',
-          [linkToken]
-        );
+        const currentUserId = await getSessionUserId(linkToken);
 
-        if (!sessionCheck.success || sessionCheck.data.length === 0) {
+        if (!currentUserId) {
           res.clearCookie('link_token');
           return res.redirect(`${frontendUrl}/settings?error=session_expired`);
         }
 
-        const currentUserId = sessionCheck.data[0].user_id;
         const googleId = user.google_id || user.id;
 
         // Проверяем, не привязан ли этот Google к другому пользователю
@@ -1735,16 +1757,12 @@ router.get('/google/callback',
 
       if (state.link && state.token) {
         // Режим привязки: привязываем Google к текущему залогиненному пользователю
-        const sessionCheck = await executeQuery(
-          'SELECT user_id FROM sessions WHERE token = ? AND expires_at > datetime(\'now\')',
-          [state.token]
-        );
+        const currentUserId = await getSessionUserId(state.token);
 
-        if (!sessionCheck.success || sessionCheck.data.length === 0) {
+        if (!currentUserId) {
           return res.redirect(`${frontendUrl}/settings?error=session_expired`);
         }
 
-        const currentUserId = sessionCheck.data[0].user_id;
         const googleId = user.google_id || user.id;
 
         // Проверяем, не привязан ли этот Google к другому пользователю
@@ -1769,25 +1787,16 @@ router.get('/google/callback',
 
       // Обычный вход через Google
       // Создаем новую сессию
-      const sessionId = uuidv4();
-      const token = uuidv4();
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + 30);
-
-      const sessionResult = await executeQuery(
-        `INSERT INTO sessions (id, user_id, token, expires_at)
-         VALUES (?, ?, ?, ?)`,
-        [sessionId, user.id, token, expiresAt.toISOString()]
-      );
+      const sessionResult = await createUserSession(user.id, req);
 
       if (!sessionResult.success) {
-        console.error('Ошибка создания сессии:', sessionResult.error);
+        console.error('Ошибка создания сессии:', sessionResult.code);
         return res.redirect(`${frontendUrl}/login?error=session_error`);
       }
 
       console.log(`✅ Сессия создана для пользователя ${user.display_name} через Google OAuth`);
 
-      const redirectUrl = `${frontendUrl}/?token=${token}`;
+      const redirectUrl = `${frontendUrl}/?token=${sessionResult.token}`;
       res.redirect(redirectUrl);
 
     } catch (error) {
@@ -1969,17 +1978,13 @@ router.get('/discord/callback',
 
       if (isLink) {
         // Режим привязки: привязываем Discord к текущему залогиненному пользователю
-        const sessionCheck = await executeQuery(
-          'SELECT user_id FROM sessions WHERE token = ? AND expires_at > datetime(\'now\')',
-          [linkToken]
-        );
+        const currentUserId = await getSessionUserId(linkToken);
 
-        if (!sessionCheck.success || sessionCheck.data.length === 0) {
+        if (!currentUserId) {
           res.clearCookie('link_token');
           return res.redirect(`${frontendUrl}/settings?error=session_expired`);
         }
 
-        const currentUserId = sessionCheck.data[0].user_id;
         const discordId = user.discord_id || user.id;
 
         // Проверяем, не привязан ли этот Discord к другому пользователю
@@ -2006,26 +2011,17 @@ router.get('/discord/callback',
 
       // Обычный вход через Discord
       // Создаем новую сессию
-      const sessionId = uuidv4();
-      const token = uuidv4();
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + 30); // Сессия на 30 дней
-
-      const sessionResult = await executeQuery(
-        `INSERT INTO sessions (id, user_id, token, expires_at)
-         VALUES (?, ?, ?, ?)`,
-        [sessionId, user.id, token, expiresAt.toISOString()]
-      );
+      const sessionResult = await createUserSession(user.id, req);
 
       if (!sessionResult.success) {
-        console.error('Ошибка создания сессии:', sessionResult.error);
+        console.error('Ошибка создания сессии:', sessionResult.code);
         return res.redirect(`${frontendUrl}/login?error=session_error`);
       }
 
       console.log(`✅ Сессия создана для пользователя ${user.display_name} через Discord OAuth`);
 
       // Редирект на главную страницу с токеном
-      const redirectUrl = `${frontendUrl}/?token=${token}`;
+      const redirectUrl = `${frontendUrl}/?token=${sessionResult.token}`;
       res.redirect(redirectUrl);
 
     } catch (error) {
@@ -2,7 +2,7 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
-import { uploadBugReportImages } from '../middleware/upload.js';
+import { uploadBugReportImages, processUploadedImages } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -11,7 +11,7 @@ const router = express.Router();
  * Загрузить изображения для багрепорта
  * Возвращает массив путей к загруженным изображениям
  */
-router.post('/upload-images', authenticateToken, uploadBugReportImages.array('images', 5), async (req, res) => {
+router.post('/upload-images', authenticateToken, uploadBugReportImages.array('images', 5), processUploadedImages(), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ 
@@ -2,6 +2,8 @@ import express from 'express';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken } from '../middleware/auth.js';
 import mediaCacheService from '../services/mediaCacheService.js';
+import { visibleContentCondition, visibleContentParams } from '../services/contentFilterService.js';
+import { withImageVariants, withAvatarVariants } from '../services/imageVariantService.js';
 
 const router = express.Router();
 
@@ -153,9 +155,10 @@ router.get('/:userId', authenticateToken, async (req, res) => {
        WHERE wp.wall_owner_id IN (${placeholders})
           AND wp.post_type IN ('text', 'status_update', 'media_added', 'media_shared', 'review', 'rating')
          AND (wp.content IS NULL OR wp.content NOT LIKE '📢 Объявление администратора:%')
+         AND ${visibleContentCondition('wp')}
        ORDER BY wp.created_at DESC
        LIMIT ? OFFSET ?`,
-      [...allUserIds, limit, offset]
+      [...allUserIds, ...visibleContentParams(userId), limit, offset]
     );
 
     if (!postsResult.success) {
@@ -243,11 +246,11 @@ router.get('/:userId', authenticateToken, async (req, res) => {
           [post.id]
         );
 
-        const images = imagesResult.success ? imagesResult.data.map(img => ({
+        const images = await withImageVariants(imagesResult.success ? imagesResult.data.map(img => ({
           id: img.id,
           url: img.image_url,
           order: img.order
-        })) : [];
+        })) : []);
 
         // Получаем общее количество комментариев (включая ответы)
         const commentsCountResult = await executeQuery(
@@ -313,6 +316,21 @@ router.get('/:userId', authenticateToken, async (req, res) => {
           } catch (e) { /* ignore */ }
         }
 
+        const [author, wallOwner] = await withAvatarVariants([
+          {
+            id: post.author_id,
+            displayName: post.author_display_name,
+            avatarUrl: post.author_avatar_url,
+            telegramUsername: post.author_telegram_username,
+            userStatus: post.author_user_status
+          },
+          {
+            id: post.owner_id,
+            displayName: post.owner_display_name,
+            avatarUrl: post.owner_avatar_url
+          }
+        ]);
+
         return {
           id: post.id,
           userId: post.user_id,
@@ -329,18 +347,8 @@ router.get('/:userId', authenticateToken, async (req, res) => {
           commentsCount,
           userListName,
           personalNote,
-          author: {
-            id: post.author_id,
-            displayName: post.author_display_name,
-            avatarUrl: post.author_avatar_url,
-            telegramUsername: post.author_telegram_username,
-            userStatus: post.author_user_status
-          },
-          wallOwner: {
-            id: post.owner_id,
-            displayName: post.owner_display_name,
-            avatarUrl: post.owner_avatar_url
-          },
+          author,
+          wallOwner,
           reactions,
           images // Добавляем массив изображений
         };
@@ -6,6 +6,7 @@ import express from 'express';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { sendTelegramNotification, checkNotificationEnabled, createNotification } from '../services/notificationService.js';
+import { checkAchievements } from '../utils/achievementChecker.js';
 
 const router = express.Router();
 
@@ -370,6 +371,13 @@ router.put('/:id/accept', authenticateToken, async (req, res) => {
       [friendship2Id, fromUserId, userId]
     );
 
+    // Дружба двусторонняя — достижения проверяем у обоих
+    [userId, fromUserId].forEach(id => {
+      checkAchievements(id, 'social').catch(err => {
+        console.error('❌ [PUT /friend-requests/:id/accept] Ошибка проверки достижений:', err);
+      });
+    });
+
     // Получаем имя принявшего запрос
     const accepterResult = await executeQuery(
       'SELECT display_name FROM users WHERE id = ?',
@@ -1,8 +1,10 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import { notifyImageComment, notifyCommentReply } from '../services/notificationService.js';
+import { visibleContentCondition, visibleContentParams, recordFilterEvent } from '../services/contentFilterService.js';
+import { validateUserContent } from '../utils/validation.js';
 
 const router = express.Router();
 
@@ -62,14 +64,23 @@ router.post('/:imageId/comments', authenticateToken, async (req, res) => {
       }
     }
 
+    const contentCheck = await validateUserContent({ user: req.user, targetType: 'image_comment', text: content });
+
+    if (!contentCheck.valid) {
+      return res.status(contentCheck.code === 'FLOOD_LIMIT' ? 429 : 400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
     // Создаем комментарий
     const commentId = uuidv4();
     const now = new Date().toISOString();
 
     const insertResult = await executeQuery(
-      `INSERT INTO image_comments (id, image_id, user_id, parent_comment_id, content, created_at)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [commentId, imageId, userId, parent_comment_id || null, content.trim(), now]
+      `INSERT INTO image_comments (id, image_id, user_id, parent_comment_id, content, filter_status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [commentId, imageId, userId, parent_comment_id || null, content.trim(), contentCheck.filterStatus, now]
     );
 
     if (!insertResult.success) {
@@ -80,6 +91,12 @@ router.post('/:imageId/comments', authenticateToken, async (req, res) => {
       });
     }
 
+    if (contentCheck.filterStatus) {
+      await recordFilterEvent({
+        userId, targetType: 'image_comment', targetId: commentId, content, filter: contentCheck.filter
+      });
+    }
+
     // Получаем созданный комментарий с данными автора
     const commentResult = await executeQuery(
       `SELECT 
@@ -114,21 +131,24 @@ router.post('/:imageId/comments', authenticateToken, async (req, res) => {
         id: comment.author_id,
         displayName: comment.author_display_name,
         avatarUrl: comment.author_avatar_url
-      }
+      },
+      ...(comment.filter_status === 'held' && { moderationStatus: 'held' })
     };
 
-    // Отправляем уведомления
-    try {
-      if (parent_comment_id) {
-        // Уведомление автору родительского комментария
-        await notifyCommentReply(parent_comment_id, userId, image.post_id, imageId);
-      } else {
-        // Уведомление владельцу поста
-        await notifyImageComment(image.post_id, imageId, userId);
+    // Отправляем уведомления (отфильтрованный комментарий видит только автор)
+    if (!contentCheck.filterStatus) {
+      try {
+        if (parent_comment_id) {
+          // Уведомление автору родительского комментария
+          await notifyCommentReply(parent_comment_id, userId, image.post_id, imageId);
+        } else {
+          // Уведомление владельцу поста
+          await notifyImageComment(image.post_id, imageId, userId);
+        }
+      } catch (notifyError) {
+        console.error('Ошибка отправки уведомления:', notifyError);
+        // Не прерываем выполнение, если уведомление не отправилось
       }
-    } catch (notifyError) {
-      console.error('Ошибка отправки уведомления:', notifyError);
-      // Не прерываем выполнение, если уведомление не отправилось
     }
 
     res.status(201).json(formattedComment);
@@ -147,7 +167,7 @@ export default router;
  * GET /api/images/:imageId/comments
  * Получить все комментарии к изображению с вложенностью
  */
-router.get('/:imageId/comments', async (req, res) => {
+router.get('/:imageId/comments', optionalAuth, async (req, res) => {
   try {
     const { imageId } = req.params;
 
@@ -173,9 +193,9 @@ router.get('/:imageId/comments', async (req, res) => {
         u.avatar_url as author_avatar_url
        FROM image_comments ic
        LEFT JOIN users u ON ic.user_id = u.id
-       WHERE ic.image_id = ?
+       WHERE ic.image_id = ? AND ${visibleContentCondition('ic')}
        ORDER BY ic.created_at ASC`,
-      [imageId]
+      [imageId, ...visibleContentParams(req.user?.id)]
     );
 
     if (!commentsResult.success) {
@@ -254,7 +274,7 @@ router.put('/comments/:commentId', authenticateToken, async (req, res) => {
 
     // Проверяем, существует ли комментарий и принадлежит ли он пользователю
     const commentResult = await executeQuery(
-      'SELECT id, user_id FROM image_comments WHERE id = ?',
+      'SELECT id, user_id, filter_status FROM image_comments WHERE id = ?',
       [commentId]
     );
 
@@ -274,11 +294,22 @@ router.put('/comments/:commentId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Обновляем комментарий
+    const contentCheck = await validateUserContent({
+      user: req.user, targetType: 'image_comment', text: content, isEdit: true
+    });
+
+    if (!contentCheck.valid) {
+      return res.status(400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
+    // Обновляем комментарий; уже отфильтрованный остаётся на проверке
     const now = new Date().toISOString();
     const updateResult = await executeQuery(
-      'UPDATE image_comments SET content = ?, edited_at = ? WHERE id = ?',
-      [content.trim(), now, commentId]
+      'UPDATE image_comments SET content = ?, filter_status = COALESCE(filter_status, ?), edited_at = ? WHERE id = ?',
+      [content.trim(), contentCheck.filterStatus, now, commentId]
     );
 
     if (!updateResult.success) {
@@ -289,6 +320,12 @@ router.put('/comments/:commentId', authenticateToken, async (req, res) => {
       });
     }
 
+    if (contentCheck.filterStatus && !comment.filter_status) {
+      await recordFilterEvent({
+        userId, targetType: 'image_comment', targetId: commentId, content, filter: contentCheck.filter
+      });
+    }
+
     // Получаем обновленный комментарий
     const updatedCommentResult = await executeQuery(
       `SELECT 
@@ -0,0 +1,270 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { uploadImportFiles } from '../middleware/upload.js';
+import {
+  IMPORT_SOURCES,
+  MAX_IMPORT_ROWS,
+  RESTORE_MODES,
+  RESTORE_CONFLICT_STRATEGIES,
+  parseImportFiles,
+  matchImportRows,
+  applyImportItems,
+  parseWatchRebelExport,
+  restoreWatchRebelExport
+} from '../services/importService.js';
+
+const router = express.Router();
+
+/**
+ * Загрузка файлов импорта с понятными ошибками вместо общего 500
+ */
+function handleImportUpload(req, res, next) {
+  uploadImportFiles.array('files', 10)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        error: 'Файл слишком большой. Максимум 10MB',
+        code: 'FILE_TOO_LARGE'
+      });
+    }
+
+    return res.status(400).json({
+      error: err.message || 'Ошибка загрузки файла',
+      code: 'UPLOAD_ERROR'
+    });
+  });
+}
+
+/**
+ * POST /api/import/preview
+ * Разобрать экспорт другого сервиса и сопоставить его с TMDb (dry-run, БД не меняется)
+ *
+ * Multipart body:
+ * - source: 'letterboxd' | 'imdb' | 'trakt' (обязательно)
+ * - files: CSV (Letterboxd, IMDb) или JSON (Trakt), до 10 файлов
+ *
+ * Ответ: { source, summary: { total, matched, ambiguous, unmatched }, rows }
+ */
+router.post('/preview', authenticateToken, handleImportUpload, async (req, res) => {
+  try {
+    const { source } = req.body;
+
+    if (!source || !IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        error: `source должен быть одним из: ${IMPORT_SOURCES.join(', ')}`,
+        code: 'INVALID_SOURCE'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'Файлы для импорта не загружены',
+        code: 'NO_FILES'
+      });
+    }
+
+    let rows;
+    try {
+      rows = parseImportFiles(source, req.files);
+    } catch (parseError) {
+      console.error('Ошибка разбора файла импорта:', parseError);
+      return res.status(400).json({
+        error: 'Не удалось разобрать файл. Проверьте, что выбран правильный сервис',
+        code: 'PARSE_ERROR'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'В файлах не найдено ни одной записи',
+        code: 'EMPTY_IMPORT'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Слишком много записей (${rows.length}). Максимум ${MAX_IMPORT_ROWS} за один импорт`,
+        code: 'TOO_MANY_ROWS'
+      });
+    }
+
+    // Сопоставление с TMDb может занять несколько минут для больших экспортов
+    req.setTimeout(10 * 60 * 1000);
+
+    const { summary, rows: matchedRows } = await matchImportRows(rows);
+
+    res.json({
+      source,
+      summary,
+      rows: matchedRows
+    });
+
+  } catch (error) {
+    console.error('Ошибка предпросмотра импорта:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/import/commit
+ * Записать подтверждённые пользователем элементы импорта
+ *
+ * Body:
+ * - items: Array<{ tmdbId, mediaType, target: 'rating' | 'watchlist' | 'list', rating?, listName? }>
+ * - overwriteRatings: boolean (опционально, по умолчанию существующие оценки не меняются)
+ */
+router.post('/commit', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { items, overwriteRatings } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Нет элементов для импорта',
+        code: 'EMPTY_IMPORT'
+      });
+    }
+
+    if (items.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Максимум ${MAX_IMPORT_ROWS} элементов за один импорт`,
+        code: 'TOO_MANY_ROWS'
+      });
+    }
+
+    req.setTimeout(5 * 60 * 1000);
+
+    const report = await applyImportItems(userId, items, {
+      overwriteRatings: overwriteRatings === true
+    });
+
+    console.log(`📥 Импорт для пользователя ${userId}:`, {
+      ratings: report.ratings,
+      watchlist: report.watchlist,
+      listItems: report.listItems,
+      skipped: report.skipped,
+      errors: report.errors.length
+    });
+
+    res.json(report);
+
+  } catch (error) {
+    console.error('Ошибка импорта:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/import/watchrebel
+ * Восстановить списки, заметки, watchlist и оценки из JSON экспорта watchRebel
+ * (GET /api/lists/export?format=json), например при переезде с Telegram аккаунта на email аккаунт
+ *
+ * Multipart body:
+ * - files: JSON файл экспорта
+ * - mode: 'merge' | 'replace' (по умолчанию merge; replace удаляет текущие списки, watchlist и оценки)
+ * - conflicts: 'keep' | 'overwrite' (по умолчанию keep) — что делать, если контент уже есть в другом списке
+ *   или у него другая заметка/оценка
+ *
+ * Ответ: отчёт restoreWatchRebelExport + { invalid, legacyItems }
+ */
+router.post('/watchrebel', authenticateToken, handleImportUpload, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const mode = req.body.mode || 'merge';
+    const conflicts = req.body.conflicts || 'keep';
+
+    if (!RESTORE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `mode должен быть одним из: ${RESTORE_MODES.join(', ')}`,
+        code: 'INVALID_MODE'
+      });
+    }
+
+    if (!RESTORE_CONFLICT_STRATEGIES.includes(conflicts)) {
+      return res.status(400).json({
+        error: `conflicts должен быть одним из: ${RESTORE_CONFLICT_STRATEGIES.join(', ')}`,
+        code: 'INVALID_CONFLICT_STRATEGY'
+      });
+    }
+
+    if (!req.files || req.files.length !== 1) {
+      return res.status(400).json({
+        error: 'Загрузите один JSON файл экспорта watchRebel',
+        code: 'NO_FILES'
+      });
+    }
+
+    let data;
+    try {
+      data = parseWatchRebelExport(req.files[0].buffer.toString('utf8'));
+    } catch (parseError) {
+      console.error('Ошибка разбора экспорта watchRebel:', parseError);
+      return res.status(400).json({
+        error: 'Файл не является JSON экспортом watchRebel',
+        code: 'PARSE_ERROR'
+      });
+    }
+
+    const itemsCount = data.lists.reduce((sum, list) => sum + list.items.length, 0)
+      + data.watchlist.length
+      + data.ratings.length;
+
+    // Проверяем до очистки в режиме replace, чтобы не удалить данные ради пустого файла
+    if (data.lists.length === 0 && itemsCount === 0) {
+      if (data.legacyItems > 0) {
+        return res.status(400).json({
+          error: 'Файл создан старой версией экспорта без идентификаторов TMDb. Сделайте экспорт заново',
+          code: 'LEGACY_EXPORT'
+        });
+      }
+
+      return res.status(400).json({
+        error: 'В файле не найдено ни одной записи',
+        code: 'EMPTY_IMPORT'
+      });
+    }
+
+    req.setTimeout(5 * 60 * 1000);
+
+    const report = await restoreWatchRebelExport(userId, data, { mode, conflicts });
+
+    console.log(`📥 Восстановление из экспорта watchRebel для пользователя ${userId}:`, {
+      mode,
+      conflicts,
+      listItems: report.listItems,
+      watchlist: report.watchlist,
+      ratings: report.ratings,
+      conflictsFound: report.conflicts.length,
+      errors: report.errors.length
+    });
+
+    res.json({
+      ...report,
+      invalid: data.invalid,
+      legacyItems: data.legacyItems
+    });
+
+  } catch (error) {
+    console.error('Ошибка восстановления из экспорта watchRebel:', error);
+    if (error.code === 'RESTORE_FAILED') {
+      return res.status(500).json({
+        error: 'Не удалось восстановить данные, текущие списки и оценки не изменены',
+        code: 'RESTORE_FAILED',
+        errors: error.report.errors
+      });
+    }
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -3,12 +3,202 @@ import { v4 as uuidv4 } from 'uuid';
 import ExcelJS from 'exceljs';
 import PDFDocument from 'pdfkit';
 import { executeQuery } from '../database/db.js';
-import { authenticateToken } from '../middleware/auth.js';
-import { notifyFriendActivity } from '../services/notificationService.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import {
+  notifyFriendActivity,
+  notifyListItemAdded,
+  notifyListCollaboratorAdded
+} from '../services/notificationService.js';
+import { checkAchievements } from '../utils/achievementChecker.js';
 import mediaCacheService from '../services/mediaCacheService.js';
+import { indexList } from '../services/siteSearchService.js';
+import {
+  LIST_ITEMS_ORDER,
+  BULK_ACTIONS,
+  BULK_MAX_ITEMS,
+  getNextListPosition,
+  reorderListItems,
+  runBulkListAction
+} from '../services/listItemsService.js';
+import {
+  LIST_VISIBILITIES,
+  DEFAULT_LIST_VISIBILITY,
+  LIST_ROLES,
+  createListSlug,
+  visibleListCondition,
+  visibleListParams,
+  areFriends,
+  getListAccess,
+  getListCollaborators,
+  getListFollowState,
+  getListSubscriberIds
+} from '../services/listSharingService.js';
 
 const router = express.Router();
 
+/**
+ * Элементы списка с данными из кэша TMDb
+ * @param {Array} rows - Строки list_items
+ * @param {boolean} includeNotes - Показывать персональные заметки (только владельцу)
+ */
+async function enrichListItems(rows, includeNotes) {
+  return Promise.all(
+    rows.map(async (item) => {
+      const base = {
+        id: item.id,
+        listId: item.list_id,
+        tmdbId: item.tmdb_id,
+        mediaType: item.media_type,
+        addedAt: item.added_at,
+        addedBy: item.added_by || null,
+        position: item.position,
+        personalNote: includeNotes ? item.personal_note || null : null
+      };
+
+      try {
+        const mediaDetails = await mediaCacheService.getOrFetch(item.tmdb_id, item.media_type);
+        return {
+          ...base,
+          title: mediaDetails.title || mediaDetails.name,
+          posterPath: mediaDetails.poster_path,
+          releaseDate: mediaDetails.release_date || mediaDetails.first_air_date,
+          voteAverage: mediaDetails.vote_average || 0,
+          overview: mediaDetails.overview
+        };
+      } catch (error) {
+        console.error(`Ошибка получения деталей для ${item.media_type} ${item.tmdb_id}:`, error);
+        return {
+          ...base,
+          title: 'Неизвестно',
+          posterPath: null,
+          releaseDate: null,
+          voteAverage: 0,
+          overview: null
+        };
+      }
+    })
+  );
+}
+
+/**
+ * Полное представление списка для страницы списка
+ * @param {Object} list - Строка custom_lists с owner_name и owner_avatar
+ * @param {Object} access - Результат getListAccess
+ * @param {string|null} userId - Текущий пользователь (null для гостя)
+ * @returns {Promise<Object|null>} - null при ошибке БД
+ */
+async function buildListResponse(list, access, userId) {
+  const itemsResult = await executeQuery(
+    `SELECT * FROM list_items WHERE list_id = ? ORDER BY ${LIST_ITEMS_ORDER}`,
+    [list.id]
+  );
+  if (!itemsResult.success) return null;
+
+  const items = await enrichListItems(itemsResult.data, access.isOwner);
+  const followState = await getListFollowState(list.id, userId);
+
+  // Состав соавторов видят только владелец и сами соавторы
+  let collaborators = [];
+  if (access.isOwner || access.role) {
+    collaborators = (await getListCollaborators(list.id)) || [];
+  }
+
+  return {
+    id: list.id,
+    userId: list.user_id,
+    name: list.name,
+    mediaType: list.media_type,
+    visibility: list.visibility || DEFAULT_LIST_VISIBILITY,
+    slug: list.slug,
+    createdAt: list.created_at,
+    owner: {
+      id: list.user_id,
+      displayName: list.owner_name,
+      avatarUrl: list.owner_avatar
+    },
+    access: {
+      isOwner: access.isOwner,
+      role: access.role,
+      canEdit: access.canEdit
+    },
+    isFollowing: followState.isFollowing,
+    followersCount: followState.followersCount,
+    collaborators,
+    items
+  };
+}
+
+/**
+ * Краткое представление списка (без элементов)
+ */
+function formatListSummary(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    mediaType: row.media_type,
+    visibility: row.visibility || DEFAULT_LIST_VISIBILITY,
+    slug: row.slug,
+    createdAt: row.created_at,
+    itemsCount: row.items_count || 0,
+    owner: {
+      id: row.user_id,
+      displayName: row.owner_name,
+      avatarUrl: row.owner_avatar
+    }
+  };
+}
+
+/**
+ * Найти список по ID и проверить права текущего пользователя
+ * Отправляет ответ с ошибкой и возвращает null, если список не найден или прав нет
+ * @param {string} permission - 'view' | 'edit' | 'owner'
+ */
+async function loadListWithAccess(req, res, listId, permission, forbiddenMessage) {
+  const listResult = await executeQuery('SELECT * FROM custom_lists WHERE id = ?', [listId]);
+
+  if (!listResult.success) {
+    res.status(500).json({
+      error: 'Ошибка проверки списка',
+      code: 'DATABASE_ERROR'
+    });
+    return null;
+  }
+
+  if (listResult.data.length === 0) {
+    res.status(404).json({
+      error: 'Список не найден',
+      code: 'LIST_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const list = listResult.data[0];
+  const access = await getListAccess(list, req.user.id);
+
+  if (!access) {
+    res.status(500).json({
+      error: 'Ошибка проверки прав на список',
+      code: 'DATABASE_ERROR'
+    });
+    return null;
+  }
+
+  const allowed = permission === 'owner'
+    ? access.isOwner
+    : permission === 'edit' ? access.canEdit : access.canView;
+
+  if (!allowed) {
+    res.status(403).json({
+      error: forbiddenMessage,
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return { list, access };
+}
+
 /**
  * GET /api/lists
  * Получить все пользовательские списки
@@ -18,7 +208,7 @@ const router = express.Router();
  * - mediaType: 'movie' | 'tv' (опционально, для фильтрации по типу)
  * 
  * Если userId не указан - возвращаются списки текущего пользователя
- * Если userId указан - возвращаются публичные списки этого пользователя
+ * Если userId указан - возвращаются списки этого пользователя, видимые текущему
  */
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -28,9 +218,15 @@ router.get('/', authenticateToken, async (req, res) => {
     // Определяем, чьи списки запрашиваются
     const targetUserId = userId || currentUserId;
 
-    let query = 'SELECT * FROM custom_lists WHERE user_id = ?';
+    let query = 'SELECT * FROM custom_lists cl WHERE cl.user_id = ?';
     const params = [targetUserId];
 
+    // Чужие списки — только те, что открыты текущему пользователю
+    if (targetUserId !== currentUserId) {
+      query += ` AND ${visibleListCondition('cl')}`;
+      params.push(...visibleListParams(currentUserId));
+    }
+
     if (mediaType && (mediaType === 'movie' || mediaType === 'tv')) {
       query += ' AND media_type = ?';
       params.push(mediaType);
@@ -52,7 +248,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const listsWithItems = await Promise.all(
       listsResult.data.map(async (list) => {
         const itemsResult = await executeQuery(
-          'SELECT * FROM list_items WHERE list_id = ? ORDER BY added_at DESC',
+          `SELECT * FROM list_items WHERE list_id = ? ORDER BY ${LIST_ITEMS_ORDER}`,
           [list.id]
         );
 
@@ -70,6 +266,7 @@ router.get('/', authenticateToken, async (req, res) => {
                   tmdbId: item.tmdb_id,
                   mediaType: item.media_type,
                   addedAt: item.added_at,
+                  position: item.position,
                   title: mediaDetails.title || mediaDetails.name,
                   posterPath: mediaDetails.poster_path,
                   releaseDate: mediaDetails.release_date || mediaDetails.first_air_date,
@@ -85,6 +282,7 @@ router.get('/', authenticateToken, async (req, res) => {
                   tmdbId: item.tmdb_id,
                   mediaType: item.media_type,
                   addedAt: item.added_at,
+                  position: item.position,
                   title: 'Неизвестно',
                   posterPath: null,
                   releaseDate: null,
@@ -102,6 +300,8 @@ router.get('/', authenticateToken, async (req, res) => {
           userId: list.user_id,
           name: list.name,
           mediaType: list.media_type,
+          visibility: list.visibility || DEFAULT_LIST_VISIBILITY,
+          slug: list.slug,
           createdAt: list.created_at,
           items
         };
@@ -120,248 +320,875 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/lists/:id
- * Получить конкретный список по ID (доступен всем авторизованным пользователям)
- */
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Получаем информацию о списке
-    const listResult = await executeQuery(
-      `SELECT cl.*, u.display_name as owner_name, u.avatar_url as owner_avatar
-       FROM custom_lists cl
-       JOIN users u ON cl.user_id = u.id
-       WHERE cl.id = ?`,
-      [id]
-    );
-
-    if (!listResult.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка получения списка',
-        code: 'DATABASE_ERROR' 
-      });
-    }
-
-    if (listResult.data.length === 0) {
-      return res.status(404).json({ 
-        error: 'Список не найден',
-        code: 'LIST_NOT_FOUND' 
-      });
-    }
-
-    const list = listResult.data[0];
-
-    // Проверяем, является ли текущий пользователь владельцем списка
-    const isOwner = list.user_id === req.user.id;
-
-    // Получаем элементы списка
-    const itemsResult = await executeQuery(
-      'SELECT * FROM list_items WHERE list_id = ? ORDER BY added_at DESC',
-      [id]
-    );
-
-    let items = [];
-    if (itemsResult.success) {
-      items = await Promise.all(
-        itemsResult.data.map(async (item) => {
-          try {
-            const mediaDetails = await mediaCacheService.getOrFetch(item.tmdb_id, item.media_type);
-
-            return {
-              id: item.id,
-              listId: item.list_id,
-              tmdbId: item.tmdb_id,
-              mediaType: item.media_type,
-              addedAt: item.added_at,
-              title: mediaDetails.title || mediaDetails.name,
-              posterPath: mediaDetails.poster_path,
-              releaseDate: mediaDetails.release_date || mediaDetails.first_air_date,
-              voteAverage: mediaDetails.vote_average || 0,
-              overview: mediaDetails.overview,
-              personalNote: isOwner ? item.personal_note : null
-            };
-          } catch (error) {
-            console.error(`Ошибка получения деталей для ${item.media_type} ${item.tmdb_id}:`, error);
-            return {
-              id: item.id,
-              listId: item.list_id,
-              tmdbId: item.tmdb_id,
-              mediaType: item.media_type,
-              addedAt: item.added_at,
-              title: 'Неизвестно',
-              posterPath: null,
-              releaseDate: null,
-              voteAverage: 0,
-              overview: null,
-              personalNote: isOwner ? item.personal_note : null
-            };
-          }
-        })
-      );
-    }
-
-    res.json({
-      id: list.id,
-      userId: list.user_id,
-      name: list.name,
-      mediaType: list.media_type,
-      createdAt: list.created_at,
-      owner: {
-        id: list.user_id,
-        displayName: list.owner_name,
-        avatarUrl: list.owner_avatar
-      },
-      items
-    });
-
-  } catch (error) {
-    console.error('Ошибка получения списка:', error);
-    res.status(500).json({ 
-      error: 'Внутренняя ошибка сервера',
-      code: 'INTERNAL_ERROR' 
-    });
-  }
-});
-
-/**
- * POST /api/lists
- * Создать новый пользовательский список
+ * GET /api/lists/export
+ * Экспортировать все списки пользователя в различных форматах
  * 
- * Body:
- * - name: string (обязательно)
- * - mediaType: 'movie' | 'tv' (обязательно)
+ * Query params:
+ * - format: 'json' | 'xlsx' | 'csv' | 'pdf' (обязательно)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.get('/export', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { name, mediaType } = req.body;
-
-    // Валидация входных данных
-    if (!name || !name.trim()) {
-      return res.status(400).json({ 
-        error: 'Название списка не может быть пустым',
-        code: 'EMPTY_NAME' 
-      });
-    }
+    const { format } = req.query;
 
-    if (!mediaType || (mediaType !== 'movie' && mediaType !== 'tv')) {
+    // Валидация формата
+    const validFormats = ['json', 'xlsx', 'csv', 'pdf'];
+    if (!format || !validFormats.includes(format)) {
       return res.status(400).json({ 
-        error: 'mediaType должен быть "movie" или "tv"',
-        code: 'INVALID_MEDIA_TYPE' 
+        error: 'Формат должен быть одним из: json, xlsx, csv, pdf',
+        code: 'INVALID_FORMAT' 
       });
     }
 
-    // Создаем новый список
-    const listId = uuidv4();
+    // Увеличиваем timeout для больших списков
+    req.setTimeout(60000); // 60 секунд
 
-    const insertResult = await executeQuery(
-      'INSERT INTO custom_lists (id, user_id, name, media_type) VALUES (?, ?, ?, ?)',
-      [listId, userId, name.trim(), mediaType]
+    // Получаем все списки пользователя
+    const listsResult = await executeQuery(
+      'SELECT * FROM custom_lists WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
     );
 
-    if (!insertResult.success) {
+    if (!listsResult.success) {
       return res.status(500).json({ 
-        error: 'Ошибка создания списка',
+        error: 'Ошибка получения списков',
         code: 'DATABASE_ERROR' 
       });
     }
 
-    // Получаем созданный список
-    const listResult = await executeQuery(
-      'SELECT * FROM custom_lists WHERE id = ?',
-      [listId]
+    // Получаем watchlist
+    const watchlistResult = await executeQuery(
+      'SELECT * FROM watchlist WHERE user_id = ? ORDER BY added_at DESC',
+      [userId]
     );
 
-    if (!listResult.success || listResult.data.length === 0) {
+    if (!watchlistResult.success) {
       return res.status(500).json({ 
-        error: 'Ошибка получения созданного списка',
+        error: 'Ошибка получения watchlist',
         code: 'DATABASE_ERROR' 
       });
     }
 
-    const list = listResult.data[0];
-
-    res.status(201).json({
-      id: list.id,
-      userId: list.user_id,
-      name: list.name,
-      mediaType: list.media_type,
-      createdAt: list.created_at
-    });
-
-  } catch (error) {
-    console.error('Ошибка создания списка:', error);
-    res.status(500).json({ 
-      error: 'Внутренняя ошибка сервера',
-      code: 'INTERNAL_ERROR' 
-    });
-  }
-});
-
-/**
- * PUT /api/lists/:id
- * Переименовать пользовательский список
- * Пользователь может переименовать только свой список
- * 
- * Body:
- * - name: string (обязательно)
- */
-router.put('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const { name } = req.body;
+    // Получаем рейтинги пользователя
+    const ratingsResult = await executeQuery(
+      'SELECT tmdb_id, media_type, rating FROM ratings WHERE user_id = ?',
+      [userId]
+    );
 
-    // Валидация входных данных
-    if (!name || !name.trim()) {
-      return res.status(400).json({ 
-        error: 'Название списка не может быть пустым',
-        code: 'EMPTY_NAME' 
+    const ratingsMap = {};
+    if (ratingsResult.success) {
+      ratingsResult.data.forEach(r => {
+        ratingsMap[`${r.media_type}_${r.tmdb_id}`] = r.rating;
       });
     }
 
-    // Проверяем, существует ли список и принадлежит ли он пользователю
-    const listCheck = await executeQuery(
-      'SELECT * FROM custom_lists WHERE id = ?',
-      [id]
+    // Получаем информацию о пользователе
+    const userResult = await executeQuery(
+      'SELECT display_name FROM users WHERE id = ?',
+      [userId]
     );
 
-    if (!listCheck.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка проверки списка',
-        code: 'DATABASE_ERROR' 
-      });
-    }
+    const userName = userResult.success && userResult.data.length > 0 
+      ? userResult.data[0].display_name 
+      : 'Пользователь';
 
-    if (listCheck.data.length === 0) {
-      return res.status(404).json({ 
-        error: 'Список не найден',
-        code: 'LIST_NOT_FOUND' 
-      });
-    }
+    const tmdbService = (await import('../services/tmdbService.js')).default;
 
-    const list = listCheck.data[0];
+    // Собираем данные для экспорта
+    const exportData = {
+      exportDate: new Date().toISOString(),
+      userName,
+      lists: [],
+      watchlist: []
+    };
 
-    if (list.user_id !== userId) {
-      return res.status(403).json({ 
-        error: 'Нет прав на изменение этого списка',
-        code: 'FORBIDDEN' 
-      });
-    }
+    // Кэш для TMDb запросов (чтобы не запрашивать один и тот же фильм дважды)
+    const tmdbCache = new Map();
 
-    // Обновляем название списка
-    const updateResult = await executeQuery(
-      'UPDATE custom_lists SET name = ? WHERE id = ?',
-      [name.trim(), id]
-    );
+    // Функция для получения деталей из кэша
+    const getMediaDetails = async (tmdbId, mediaType) => {
+      const cacheKey = `${mediaType}_${tmdbId}`;
+      
+      if (tmdbCache.has(cacheKey)) {
+        return tmdbCache.get(cacheKey);
+      }
 
-    if (!updateResult.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка обновления списка',
-        code: 'DATABASE_ERROR' 
-      });
-    }
+      try {
+        const mediaDetails = await mediaCacheService.getOrFetch(tmdbId, mediaType);
+        
+        tmdbCache.set(cacheKey, mediaDetails);
+        return mediaDetails;
+      } catch (error) {
+        console.error(`Ошибка получения деталей для ${mediaType} ${tmdbId}:`, error);
+        return null;
+      }
+    };
+
+    // Подсчитываем общее количество элементов для прогресса
+    let totalItems = watchlistResult.data.length;
+    listsResult.data.forEach(list => {
+      // Получаем количество элементов в каждом списке
+      totalItems += list.items?.length || 0;
+    });
+
+    let processedItems = 0;
+
+    // Обрабатываем каждый список
+    for (const list of listsResult.data) {
+      const itemsResult = await executeQuery(
+        `SELECT * FROM list_items WHERE list_id = ? ORDER BY ${LIST_ITEMS_ORDER}`,
+        [list.id]
+      );
+
+      const items = [];
+      if (itemsResult.success) {
+        for (const item of itemsResult.data) {
+          const mediaDetails = await getMediaDetails(item.tmdb_id, item.media_type);
+          
+          if (mediaDetails) {
+            const genres = mediaDetails.genres 
+              ? mediaDetails.genres.map(g => g.name).join(', ') 
+              : '';
+
+            const year = mediaDetails.release_date 
+              ? new Date(mediaDetails.release_date).getFullYear()
+              : (mediaDetails.first_air_date 
+                  ? new Date(mediaDetails.first_air_date).getFullYear() 
+                  : '');
+
+            const myRating = ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '';
+
+            items.push({
+              tmdbId: item.tmdb_id,
+              type: item.media_type,
+              title: mediaDetails.title || mediaDetails.name,
+              year,
+              genres,
+              tmdbRating: mediaDetails.vote_average || 0,
+              myRating,
+              addedAt: item.added_at,
+              personalNote: item.personal_note || '',
+              overview: mediaDetails.overview || ''
+            });
+          } else {
+            items.push({
+              tmdbId: item.tmdb_id,
+              type: item.media_type,
+              title: 'Неизвестно',
+              year: '',
+              genres: '',
+              tmdbRating: 0,
+              myRating: ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '',
+              addedAt: item.added_at,
+              personalNote: item.personal_note || '',
+              overview: ''
+            });
+          }
+
+          processedItems++;
+          // Логируем прогресс каждые 10 элементов
+          if (processedItems % 10 === 0) {
+            console.log(`Экспорт: обработано ${processedItems} из ${totalItems} элементов`);
+          }
+        }
+      }
+
+      exportData.lists.push({
+        name: list.name,
+        type: list.media_type,
+        mediaType: list.media_type === 'movie' ? 'Фильмы' : 'Сериалы',
+        createdAt: list.created_at,
+        items
+      });
+    }
+
+    // Обрабатываем watchlist
+    if (watchlistResult.success) {
+      for (const item of watchlistResult.data) {
+        const mediaDetails = await getMediaDetails(item.tmdb_id, item.media_type);
+        
+        if (mediaDetails) {
+          const genres = mediaDetails.genres 
+            ? mediaDetails.genres.map(g => g.name).join(', ') 
+            : '';
+
+          const year = mediaDetails.release_date 
+            ? new Date(mediaDetails.release_date).getFullYear()
+            : (mediaDetails.first_air_date 
+                ? new Date(mediaDetails.first_air_date).getFullYear() 
+                : '');
+
+          const myRating = ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '';
+
+          exportData.watchlist.push({
+            tmdbId: item.tmdb_id,
+            type: item.media_type,
+            title: mediaDetails.title || mediaDetails.name,
+            mediaType: item.media_type === 'movie' ? 'Фильм' : 'Сериал',
+            year,
+            genres,
+            tmdbRating: mediaDetails.vote_average || 0,
+            myRating,
+            addedAt: item.added_at,
+            overview: mediaDetails.overview || ''
+          });
+        } else {
+          exportData.watchlist.push({
+            tmdbId: item.tmdb_id,
+            type: item.media_type,
+            title: 'Неизвестно',
+            mediaType: item.media_type === 'movie' ? 'Фильм' : 'Сериал',
+            year: '',
+            genres: '',
+            tmdbRating: 0,
+            myRating: ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '',
+            addedAt: item.added_at,
+            overview: ''
+          });
+        }
+
+        processedItems++;
+        if (processedItems % 10 === 0) {
+          console.log(`Экспорт: обработано ${processedItems} из ${totalItems} элементов`);
+        }
+      }
+    }
+
+    console.log(`Экспорт завершен: обработано ${processedItems} элементов`);
+
+    // Передаем данные в соответствующий обработчик формата
+    const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    
+    if (format === 'json') {
+      // JSON экспорт
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.json"`);
+      
+      // tmdbId/type и ratings нужны для обратного импорта (POST /api/import/watchrebel)
+      return res.json({
+        metadata: {
+          format: 'watchrebel',
+          version: 2,
+          exportDate: exportData.exportDate,
+          userName: exportData.userName,
+          totalLists: exportData.lists.length,
+          totalWatchlistItems: exportData.watchlist.length
+        },
+        lists: exportData.lists,
+        watchlist: exportData.watchlist,
+        ratings: ratingsResult.success
+          ? ratingsResult.data.map(r => ({ tmdbId: r.tmdb_id, type: r.media_type, rating: r.rating }))
+          : []
+      });
+    }
+
+    if (format === 'xlsx') {
+      // Excel экспорт
+      const workbook = new ExcelJS.Workbook();
+      workbook.creator = 'watchRebel';
+      workbook.created = new Date();
+
+      // Первый лист - Сводка
+      const summarySheet = workbook.addWorksheet('Сводка');
+      summarySheet.columns = [
+        { header: 'Параметр', key: 'param', width: 30 },
+        { header: 'Значение', key: 'value', width: 30 }
+      ];
+
+      summarySheet.addRow({ param: 'Пользователь', value: exportData.userName });
+      summarySheet.addRow({ param: 'Дата экспорта', value: new Date(exportData.exportDate).toLocaleString('ru-RU') });
+      summarySheet.addRow({ param: 'Всего списков', value: exportData.lists.length });
+      summarySheet.addRow({ param: 'Элементов в Watchlist', value: exportData.watchlist.length });
+      
+      let totalItems = 0;
+      exportData.lists.forEach(list => {
+        totalItems += list.items.length;
+      });
+      summarySheet.addRow({ param: 'Всего элементов в списках', value: totalItems });
+
+      // Форматирование заголовков
+      summarySheet.getRow(1).font = { bold: true };
+      summarySheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+
+      // Создаем лист для каждого списка
+      exportData.lists.forEach(list => {
+        const sheet = workbook.addWorksheet(list.name.substring(0, 31)); // Excel ограничение на длину имени листа
+        
+        sheet.columns = [
+          { header: 'Название', key: 'title', width: 40 },
+          { header: 'Год', key: 'year', width: 10 },
+          { header: 'Жанры', key: 'genres', width: 30 },
+          { header: 'Рейтинг TMDb', key: 'tmdbRating', width: 15 },
+          { header: 'Мой рейтинг', key: 'myRating', width: 15 },
+          { header: 'Дата добавления', key: 'addedAt', width: 20 }
+        ];
+
+        list.items.forEach(item => {
+          sheet.addRow({
+            title: item.title,
+            year: item.year,
+            genres: item.genres,
+            tmdbRating: item.tmdbRating,
+            myRating: item.myRating,
+            addedAt: new Date(item.addedAt).toLocaleString('ru-RU')
+          });
+        });
+
+        // Форматирование заголовков
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+      });
+
+      // Создаем лист для Watchlist
+      if (exportData.watchlist.length > 0) {
+        const watchlistSheet = workbook.addWorksheet('Хочу посмотреть');
+        
+        watchlistSheet.columns = [
+          { header: 'Название', key: 'title', width: 40 },
+          { header: 'Тип', key: 'mediaType', width: 15 },
+          { header: 'Год', key: 'year', width: 10 },
+          { header: 'Жанры', key: 'genres', width: 30 },
+          { header: 'Рейтинг TMDb', key: 'tmdbRating', width: 15 },
+          { header: 'Дата добавления', key: 'addedAt', width: 20 }
+        ];
+
+        exportData.watchlist.forEach(item => {
+          watchlistSheet.addRow({
+            title: item.title,
+            mediaType: item.mediaType,
+            year: item.year,
+            genres: item.genres,
+            tmdbRating: item.tmdbRating,
+            addedAt: new Date(item.addedAt).toLocaleString('ru-RU')
+          });
+        });
+
+        // Форматирование заголовков
+        watchlistSheet.getRow(1).font = { bold: true };
+        watchlistSheet.getRow(1).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+      }
+
+      // Отправляем файл
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.xlsx"`);
+      
+      await workbook.xlsx.write(res);
+      return;
+    }
+
+    if (format === 'csv') {
+      // CSV экспорт - все списки в одном файле
+      const rows = [];
+      
+      // Заголовок
+      rows.push(['Список', 'Тип', 'Название', 'Год', 'Жанры', 'Рейтинг TMDb', 'Мой рейтинг', 'Дата добавления']);
+
+      // Добавляем элементы из всех списков
+      exportData.lists.forEach(list => {
+        list.items.forEach(item => {
+          rows.push([
+            list.name,
+            list.mediaType,
+            item.title,
+            item.year,
+            item.genres,
+            item.tmdbRating,
+            item.myRating,
+            new Date(item.addedAt).toLocaleString('ru-RU')
+          ]);
+        });
+      });
+
+      // Добавляем элементы из watchlist
+      exportData.watchlist.forEach(item => {
+        rows.push([
+          'Хочу посмотреть',
+          item.mediaType,
+          item.title,
+          item.year,
+          item.genres,
+          item.tmdbRating,
+          item.myRating || '',
+          new Date(item.addedAt).toLocaleString('ru-RU')
+        ]);
+      });
+
+      // Формируем CSV с правильной обработкой кавычек и запятых
+      const csvContent = rows.map(row => 
+        row.map(cell => {
+          const cellStr = String(cell || '');
+          // Экранируем кавычки и оборачиваем в кавычки если есть запятые или кавычки
+          if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+            return `"${cellStr.replace(/"/g, '""')}"`;
+          }
+          return cellStr;
+        }).join(',')
+      ).join('\n');
+
+      // UTF-8 BOM для корректного открытия в Excel
+      const bom = '\uFEFF';
+      
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.csv"`);
+      
+      return res.send(bom + csvContent);
+    }
+
+    if (format === 'pdf') {
+      // PDF экспорт
+      const doc = new PDFDocument({ 
+        size: 'A4',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 }
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.pdf"`);
+      
+      doc.pipe(res);
+
+      // Заголовок документа
+      doc.fontSize(24).text('watchRebel', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(12).text(`Экспорт списков`, { align: 'center' });
+      doc.fontSize(10).text(`Пользователь: ${exportData.userName}`, { align: 'center' });
+      doc.text(`Дата: ${new Date(exportData.exportDate).toLocaleString('ru-RU')}`, { align: 'center' });
+      doc.moveDown(2);
+
+      // Функция для добавления таблицы
+      const addTable = (title, items, includeMediaType = false) => {
+        // Проверяем, нужна ли новая страница
+        if (doc.y > 650) {
+          doc.addPage();
+        }
+
+        doc.fontSize(16).text(title, { underline: true });
+        doc.moveDown(0.5);
+
+        if (items.length === 0) {
+          doc.fontSize(10).text('Нет элементов', { italic: true });
+          doc.moveDown(1);
+          return;
+        }
+
+        items.forEach((item, index) => {
+          // Проверяем, нужна ли новая страница
+          if (doc.y > 700) {
+            doc.addPage();
+          }
+
+          doc.fontSize(12).text(`${index + 1}. ${item.title}`, { continued: false });
+          
+          let details = `   Год: ${item.year || 'Н/Д'}`;
+          if (includeMediaType) {
+            details += ` | Тип: ${item.mediaType}`;
+          }
+          details += ` | Жанры: ${item.genres || 'Н/Д'}`;
+          details += ` | TMDb: ${item.tmdbRating || 'Н/Д'}`;
+          if (item.myRating) {
+            details += ` | Мой рейтинг: ${item.myRating}`;
+          }
+          
+          doc.fontSize(9).text(details, { color: '#666666' });
+          doc.moveDown(0.5);
+        });
+
+        doc.moveDown(1);
+      };
+
+      // Добавляем каждый список
+      exportData.lists.forEach(list => {
+        addTable(`${list.name} (${list.mediaType})`, list.items);
+      });
+
+      // Добавляем watchlist
+      if (exportData.watchlist.length > 0) {
+        addTable('Хочу посмотреть', exportData.watchlist, true);
+      }
+
+      // Футер на последней странице
+      const pages = doc.bufferedPageRange();
+      for (let i = 0; i < pages.count; i++) {
+        doc.switchToPage(i);
+        doc.fontSize(8).text(
+          `Страница ${i + 1} из ${pages.count} | Экспортировано из watchRebel`,
+          50,
+          doc.page.height - 50,
+          { align: 'center' }
+        );
+      }
+
+      doc.end();
+      return;
+    }
+
+    // Вызываем следующий middleware в зависимости от формата
+    return res.json({ message: 'Export endpoint created, format handlers to be implemented', exportData });
+
+  } catch (error) {
+    console.error('Ошибка экспорта списков:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * GET /api/lists/shared
+ * Чужие списки, доступные текущему пользователю
+ * - collaborating: списки, где пользователь соавтор (с ролью)
+ * - following: списки, на которые пользователь подписан
+ */
+router.get('/shared', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const summaryColumns = `cl.*, u.display_name as owner_name, u.avatar_url as owner_avatar,
+       (SELECT COUNT(*) FROM list_items li WHERE li.list_id = cl.id) as items_count`;
+
+    const collaboratingResult = await executeQuery(
+      `SELECT ${summaryColumns}, lc.role
+       FROM list_collaborators lc
+       JOIN custom_lists cl ON cl.id = lc.list_id
+       JOIN users u ON u.id = cl.user_id
+       WHERE lc.user_id = ?
+       ORDER BY lc.created_at DESC`,
+      [userId]
+    );
+
+    // Подписки на списки, которые стали недоступны, не показываются
+    const followingResult = await executeQuery(
+      `SELECT ${summaryColumns}
+       FROM list_followers lf
+       JOIN custom_lists cl ON cl.id = lf.list_id
+       JOIN users u ON u.id = cl.user_id
+       WHERE lf.user_id = ? AND ${visibleListCondition('cl')}
+       ORDER BY lf.created_at DESC`,
+      [userId, ...visibleListParams(userId)]
+    );
+
+    if (!collaboratingResult.success || !followingResult.success) {
+      return res.status(500).json({
+        error: 'Ошибка получения списков',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    res.json({
+      collaborating: collaboratingResult.data.map(row => ({ ...formatListSummary(row), role: row.role })),
+      following: followingResult.data.map(formatListSummary)
+    });
+
+  } catch (error) {
+    console.error('Ошибка получения общих списков:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/lists/public/:slug
+ * Список по ссылке. Без входа доступны только списки с видимостью 'public',
+ * вошедшему пользователю — все списки, которые ему открыты
+ */
+router.get('/public/:slug', optionalAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const userId = req.user?.id || null;
+
+    const listResult = await executeQuery(
+      `SELECT cl.*, u.display_name as owner_name, u.avatar_url as owner_avatar
+       FROM custom_lists cl
+       JOIN users u ON cl.user_id = u.id
+       WHERE cl.slug = ?`,
+      [slug]
+    );
+
+    if (!listResult.success) {
+      return res.status(500).json({
+        error: 'Ошибка получения списка',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    const list = listResult.data[0];
+    const access = list ? await getListAccess(list, userId) : null;
+
+    // Закрытый список не отличается от несуществующего: ссылка не раскрывает, что он есть
+    if (!list || !access?.canView) {
+      return res.status(404).json({
+        error: 'Список не найден или закрыт владельцем',
+        code: 'LIST_NOT_FOUND'
+      });
+    }
+
+    const response = await buildListResponse(list, access, userId);
+    if (!response) {
+      return res.status(500).json({
+        error: 'Ошибка получения списка',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Ошибка получения списка по ссылке:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/lists/:id
+ * Получить конкретный список по ID с учётом видимости списка
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Получаем информацию о списке
+    const listResult = await executeQuery(
+      `SELECT cl.*, u.display_name as owner_name, u.avatar_url as owner_avatar
+       FROM custom_lists cl
+       JOIN users u ON cl.user_id = u.id
+       WHERE cl.id = ?`,
+      [id]
+    );
+
+    if (!listResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения списка',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    if (listResult.data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Список не найден',
+        code: 'LIST_NOT_FOUND' 
+      });
+    }
+
+    const list = listResult.data[0];
+    const access = await getListAccess(list, req.user.id);
+
+    if (!access) {
+      return res.status(500).json({
+        error: 'Ошибка проверки прав на список',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    if (!access.canView) {
+      return res.status(403).json({
+        error: 'Владелец закрыл этот список',
+        code: 'LIST_PRIVATE'
+      });
+    }
+
+    const response = await buildListResponse(list, access, req.user.id);
+    if (!response) {
+      return res.status(500).json({
+        error: 'Ошибка получения списка',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Ошибка получения списка:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * POST /api/lists
+ * Создать новый пользовательский список
+ * 
+ * Body:
+ * - name: string (обязательно)
+ * - mediaType: 'movie' | 'tv' (обязательно)
+ * - visibility: 'private' | 'friends' | 'public' (опционально, по умолчанию 'friends')
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, mediaType, visibility = DEFAULT_LIST_VISIBILITY } = req.body;
+
+    // Валидация входных данных
+    if (!name || !name.trim()) {
+      return res.status(400).json({ 
+        error: 'Название списка не может быть пустым',
+        code: 'EMPTY_NAME' 
+      });
+    }
+
+    if (!mediaType || (mediaType !== 'movie' && mediaType !== 'tv')) {
+      return res.status(400).json({ 
+        error: 'mediaType должен быть "movie" или "tv"',
+        code: 'INVALID_MEDIA_TYPE' 
+      });
+    }
+
+    if (!LIST_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({
+        error: `visibility должен быть одним из: ${LIST_VISIBILITIES.join(', ')}`,
+        code: 'INVALID_VISIBILITY'
+      });
+    }
+
+    // Создаем новый список
+    const listId = uuidv4();
+    const slug = await createListSlug(name.trim());
+
+    const insertResult = await executeQuery(
+      'INSERT INTO custom_lists (id, user_id, name, media_type, visibility, slug) VALUES (?, ?, ?, ?, ?, ?)',
+      [listId, userId, name.trim(), mediaType, visibility, slug]
+    );
+
+    if (!insertResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка создания списка',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    await indexList(listId);
+
+    // Получаем созданный список
+    const listResult = await executeQuery(
+      'SELECT * FROM custom_lists WHERE id = ?',
+      [listId]
+    );
+
+    if (!listResult.success || listResult.data.length === 0) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения созданного списка',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    const list = listResult.data[0];
+
+    res.status(201).json({
+      id: list.id,
+      userId: list.user_id,
+      name: list.name,
+      mediaType: list.media_type,
+      visibility: list.visibility,
+      slug: list.slug,
+      createdAt: list.created_at
+    });
+
+  } catch (error) {
+    console.error('Ошибка создания списка:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * PUT /api/lists/:id
+ * Переименовать пользовательский список или изменить его видимость
+ * Пользователь может изменить только свой список. Slug при переименовании не меняется
+ * 
+ * Body (хотя бы одно поле):
+ * - name: string
+ * - visibility: 'private' | 'friends' | 'public'
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { name, visibility } = req.body;
+
+    // Валидация входных данных
+    if (name === undefined && visibility === undefined) {
+      return res.status(400).json({
+        error: 'Укажите новое название или видимость списка',
+        code: 'NOTHING_TO_UPDATE'
+      });
+    }
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return res.status(400).json({ 
+        error: 'Название списка не может быть пустым',
+        code: 'EMPTY_NAME' 
+      });
+    }
+
+    if (visibility !== undefined && !LIST_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({
+        error: `visibility должен быть одним из: ${LIST_VISIBILITIES.join(', ')}`,
+        code: 'INVALID_VISIBILITY'
+      });
+    }
+
+    // Проверяем, существует ли список и принадлежит ли он пользователю
+    const listCheck = await executeQuery(
+      'SELECT * FROM custom_lists WHERE id = ?',
+      [id]
+    );
+
+    if (!listCheck.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка проверки списка',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    if (listCheck.data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Список не найден',
+        code: 'LIST_NOT_FOUND' 
+      });
+    }
+
+    const list = listCheck.data[0];
+
+    if (list.user_id !== userId) {
+      return res.status(403).json({ 
+        error: 'Нет прав на изменение этого списка',
+        code: 'FORBIDDEN' 
+      });
+    }
+
+    // Обновляем название и видимость списка
+    const updateResult = await executeQuery(
+      'UPDATE custom_lists SET name = ?, visibility = ? WHERE id = ?',
+      [name !== undefined ? name.trim() : list.name, visibility ?? list.visibility ?? DEFAULT_LIST_VISIBILITY, id]
+    );
+
+    if (!updateResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка обновления списка',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    await indexList(id);
 
     // Получаем обновленный список
     const updatedListResult = await executeQuery(
@@ -383,6 +1210,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
       userId: updatedList.user_id,
       name: updatedList.name,
       mediaType: updatedList.media_type,
+      visibility: updatedList.visibility,
+      slug: updatedList.slug,
       createdAt: updatedList.created_at
     });
 
@@ -479,46 +1308,23 @@ router.post('/:id/items', authenticateToken, async (req, res) => {
     if (!tmdbId || typeof tmdbId !== 'number') {
       return res.status(400).json({ 
         error: 'tmdbId обязателен и должен быть числом',
-        code: 'INVALID_TMDB_ID' 
-      });
-    }
-
-    if (!mediaType || (mediaType !== 'movie' && mediaType !== 'tv')) {
-      return res.status(400).json({ 
-        error: 'mediaType должен быть "movie" или "tv"',
-        code: 'INVALID_MEDIA_TYPE' 
-      });
-    }
-
-    // Проверяем, существует ли список и принадлежит ли он пользователю
-    const listCheck = await executeQuery(
-      'SELECT * FROM custom_lists WHERE id = ?',
-      [listId]
-    );
-
-    if (!listCheck.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка проверки списка',
-        code: 'DATABASE_ERROR' 
-      });
-    }
-
-    if (listCheck.data.length === 0) {
-      return res.status(404).json({ 
-        error: 'Список не найден',
-        code: 'LIST_NOT_FOUND' 
+        code: 'INVALID_TMDB_ID' 
       });
     }
 
-    const list = listCheck.data[0];
-
-    if (list.user_id !== userId) {
-      return res.status(403).json({ 
-        error: 'Нет прав на добавление в этот список',
-        code: 'FORBIDDEN' 
+    if (!mediaType || (mediaType !== 'movie' && mediaType !== 'tv')) {
+      return res.status(400).json({ 
+        error: 'mediaType должен быть "movie" или "tv"',
+        code: 'INVALID_MEDIA_TYPE' 
       });
     }
 
+    // Проверяем, существует ли список и есть ли у пользователя права
+    const listAccess = await loadListWithAccess(req, res, listId, 'edit', 'Нет прав на добавление в этот список');
+    if (!listAccess) return;
+
+    const { list, access } = listAccess;
+
     // Проверяем, что mediaType соответствует типу списка
     if (list.media_type !== mediaType) {
       return res.status(400).json({ 
@@ -527,14 +1333,14 @@ router.post('/:id/items', authenticateToken, async (req, res) => {
       });
     }
 
-    // Проверяем, не находится ли контент уже в другом списке пользователя
+    // Проверяем, не находится ли контент уже в другом списке владельца
     // Требование 3.3: контент может быть только в одном списке одновременно
     const existingItemCheck = await executeQuery(
       `SELECT li.*, cl.name as list_name 
        FROM list_items li
        JOIN custom_lists cl ON li.list_id = cl.id
        WHERE cl.user_id = ? AND li.tmdb_id = ? AND li.media_type = ?`,
-      [userId, tmdbId, mediaType]
+      [list.user_id, tmdbId, mediaType]
     );
 
     if (!existingItemCheck.success) {
@@ -558,6 +1364,15 @@ router.post('/:id/items', authenticateToken, async (req, res) => {
         });
       }
       
+      // Соавтор не переносит элементы между чужими списками — это решает владелец
+      if (!access.isOwner) {
+        return res.status(400).json({
+          error: `У владельца этот контент уже в списке «${existingItem.list_name}»`,
+          code: 'ALREADY_IN_OTHER_LIST',
+          existingListName: existingItem.list_name
+        });
+      }
+
       // Удаляем из старого списка
       console.log(`Автоматическое удаление ${tmdbId} из списка "${existingItem.list_name}" перед добавлением в новый список`);
       await executeQuery(
@@ -570,8 +1385,13 @@ router.post('/:id/items', authenticateToken, async (req, res) => {
     const itemId = uuidv4();
 
     const insertResult = await executeQuery(
-      'INSERT INTO list_items (id, list_id, tmdb_id, media_type, personal_note) VALUES (?, ?, ?, ?, ?)',
-      [itemId, listId, tmdbId, mediaType, personalNote || null]
+      `INSERT INTO list_items (id, list_id, tmdb_id, media_type, personal_note, added_by, position)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        itemId, listId, tmdbId, mediaType,
+        access.isOwner ? personalNote || null : null,
+        userId, await getNextListPosition(listId)
+      ]
     );
 
     if (!insertResult.success) {
@@ -604,17 +1424,25 @@ router.post('/:id/items', authenticateToken, async (req, res) => {
 
     const item = itemResult.data[0];
 
-    // Автоматически удаляем из "Хочу посмотреть" если там есть
-    // Не блокируем ответ, если удаление не удастся
-    try {
-      await executeQuery(
-        'DELETE FROM watchlist WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
-        [userId, tmdbId, mediaType]
-      );
-      console.log(`Элемент ${tmdbId} автоматически удален из watchlist пользователя ${userId}`);
-    } catch (err) {
-      console.error('Ошибка удаления из watchlist:', err);
-      // Не прерываем выполнение, это не критично
+    // Достижения, «Хочу посмотреть» и пост на стене относятся к каталогу владельца,
+    // поэтому при добавлении соавтором не трогаются
+    if (access.isOwner) {
+      checkAchievements(userId, 'collector').catch(err => {
+        console.error('❌ [POST /lists/:id/items] Ошибка проверки достижений:', err);
+      });
+
+      // Автоматически удаляем из "Хочу посмотреть" если там есть
+      // Не блокируем ответ, если удаление не удастся
+      try {
+        await executeQuery(
+          'DELETE FROM watchlist WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+          [userId, tmdbId, mediaType]
+        );
+        console.log(`Элемент ${tmdbId} автоматически удален из watchlist пользователя ${userId}`);
+      } catch (err) {
+        console.error('Ошибка удаления из watchlist:', err);
+        // Не прерываем выполнение, это не критично
+      }
     }
 
     // Получаем название контента из TMDb для уведомления
@@ -654,68 +1482,81 @@ router.post('/:id/items', authenticateToken, async (req, res) => {
 
     // Создаем пост на стене о добавлении медиа в список
     let postId = null;
-    try {
-      postId = uuidv4();
+    if (access.isOwner) {
+      try {
+        postId = uuidv4();
       
-      console.log('📝 Данные для создания поста:');
-      console.log('  - mediaTitle:', mediaTitle);
-      console.log('  - originalTitle:', originalTitle);
-      console.log('  - list.name:', list.name);
-      console.log('  - list.id:', list.id);
-      console.log('  - tmdbId:', tmdbId);
-      console.log('  - posterPath:', posterPath);
-      console.log('  - localPosterPath:', localPosterPath);
+        console.log('📝 Данные для создания поста:');
+        console.log('  - mediaTitle:', mediaTitle);
+        console.log('  - originalTitle:', originalTitle);
+        console.log('  - list.name:', list.name);
+        console.log('  - list.id:', list.id);
+        console.log('  - tmdbId:', tmdbId);
+        console.log('  - posterPath:', posterPath);
+        console.log('  - localPosterPath:', localPosterPath);
       
-      const postContent = `${mediaTitle}\nДобавил в список: ${list.name}\n${originalTitle || ''}`;
+        const postContent = `${mediaTitle}\nДобавил в список: ${list.name}\n${originalTitle || ''}`;
       
-      console.log('📝 Сформированный postContent:', postContent);
-      console.log('📝 Строки postContent:', postContent.split('\n'));
+        console.log('📝 Сформированный postContent:', postContent);
+        console.log('📝 Строки postContent:', postContent.split('\n'));
       
-      console.log('Создание поста на стене:', {
-        postId,
-        userId,
-        wallOwnerId: userId,
-        postType: 'media_added',
-        content: postContent,
-        tmdbId,
-        mediaType,
-        posterPath: localPosterPath || posterPath,
-        listId: list.id
-      });
+        console.log('Создание поста на стене:', {
+          postId,
+          userId,
+          wallOwnerId: userId,
+          postType: 'media_added',
+          content: postContent,
+          tmdbId,
+          mediaType,
+          posterPath: localPosterPath || posterPath,
+          listId: list.id
+        });
       
-      const insertResult = await executeQuery(
-        `INSERT INTO wall_posts (id, user_id, wall_owner_id, post_type, content, tmdb_id, media_type, poster_path, list_id, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
-        [postId, userId, userId, 'media_added', postContent, tmdbId, mediaType, localPosterPath || posterPath, list.id]
-      );
+        const insertResult = await executeQuery(
+          `INSERT INTO wall_posts (id, user_id, wall_owner_id, post_type, content, tmdb_id, media_type, poster_path, list_id, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
+          [postId, userId, userId, 'media_added', postContent, tmdbId, mediaType, localPosterPath || posterPath, list.id]
+        );
       
-      if (insertResult.success) {
-        console.log(`✅ Создан пост на стене: ${postId} для медиа ${tmdbId}`);
-      } else {
-        console.error('❌ Ошибка вставки поста:', insertResult);
+        if (insertResult.success) {
+          console.log(`✅ Создан пост на стене: ${postId} для медиа ${tmdbId}`);
+        } else {
+          console.error('❌ Ошибка вставки поста:', insertResult);
+        }
+      } catch (err) {
+        console.error('❌ Ошибка создания поста на стене:', err);
+        // Не блокируем добавление в список если пост не создался
       }
-    } catch (err) {
-      console.error('❌ Ошибка создания поста на стене:', err);
-      // Не блокируем добавление в список если пост не создался
     }
 
     // Отправляем уведомления друзьям об активности
     // Передаем postId для корректной навигации
     // Не блокируем ответ, если уведомления не отправятся
-    notifyFriendActivity(userId, 'added_to_list', {
-      tmdbId,
-      mediaType,
-      title: mediaTitle
-    }, postId).catch(err => {
-      console.error('Ошибка отправки уведомлений друзьям:', err);
-    });
+    if (access.isOwner) {
+      notifyFriendActivity(userId, 'added_to_list', {
+        tmdbId,
+        mediaType,
+        title: mediaTitle
+      }, postId).catch(err => {
+        console.error('Ошибка отправки уведомлений друзьям:', err);
+      });
+    }
+
+    // Подписчики, владелец и соавторы списка узнают о новом элементе
+    getListSubscriberIds(list, userId)
+      .then(recipientIds => notifyListItemAdded(recipientIds, userId, list, { tmdbId, mediaType, title: mediaTitle }))
+      .catch(err => {
+        console.error('Ошибка отправки уведомлений подписчикам списка:', err);
+      });
 
     res.status(201).json({
       id: item.id,
       listId: item.list_id,
       tmdbId: item.tmdb_id,
       mediaType: item.media_type,
-      addedAt: item.added_at
+      addedAt: item.added_at,
+      addedBy: item.added_by,
+      position: item.position
     });
 
   } catch (error) {
@@ -736,34 +1577,11 @@ router.delete('/:id/items/:itemId', authenticateToken, async (req, res) => {
     const { id: listId, itemId } = req.params;
     const userId = req.user.id;
 
-    // Проверяем, существует ли список и принадлежит ли он пользователю
-    const listCheck = await executeQuery(
-      'SELECT * FROM custom_lists WHERE id = ?',
-      [listId]
-    );
-
-    if (!listCheck.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка проверки списка',
-        code: 'DATABASE_ERROR' 
-      });
-    }
-
-    if (listCheck.data.length === 0) {
-      return res.status(404).json({ 
-        error: 'Список не найден',
-        code: 'LIST_NOT_FOUND' 
-      });
-    }
-
-    const list = listCheck.data[0];
+    // Проверяем, существует ли список и есть ли у пользователя права
+    const listAccess = await loadListWithAccess(req, res, listId, 'edit', 'Нет прав на удаление из этого списка');
+    if (!listAccess) return;
 
-    if (list.user_id !== userId) {
-      return res.status(403).json({ 
-        error: 'Нет прав на удаление из этого списка',
-        code: 'FORBIDDEN' 
-      });
-    }
+    const { access } = listAccess;
 
     // Проверяем, существует ли элемент в этом списке
     const itemCheck = await executeQuery(
@@ -799,20 +1617,24 @@ router.delete('/:id/items/:itemId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Проверяем, есть ли этот фильм в других списках пользователя
-    const otherListsCheck = await executeQuery(
-      `SELECT li.id FROM list_items li
-       JOIN custom_lists cl ON li.list_id = cl.id
-       WHERE cl.user_id = ? AND li.tmdb_id = ? AND li.media_type = ?`,
-      [userId, item.tmdb_id, item.media_type]
-    );
-
-    // Если фильма нет ни в одном другом списке — удаляем оценку
-    if (!otherListsCheck.success || otherListsCheck.data.length === 0) {
-      await executeQuery(
-        'DELETE FROM ratings WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+    // Оценка владельца удаляется вместе с последним его списком с этим фильмом,
+    // удаление соавтором оценки владельца не трогает
+    if (access.isOwner) {
+      // Проверяем, есть ли этот фильм в других списках пользователя
+      const otherListsCheck = await executeQuery(
+        `SELECT li.id FROM list_items li
+         JOIN custom_lists cl ON li.list_id = cl.id
+         WHERE cl.user_id = ? AND li.tmdb_id = ? AND li.media_type = ?`,
         [userId, item.tmdb_id, item.media_type]
       );
+
+      // Если фильма нет ни в одном другом списке — удаляем оценку
+      if (!otherListsCheck.success || otherListsCheck.data.length === 0) {
+        await executeQuery(
+          'DELETE FROM ratings WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+          [userId, item.tmdb_id, item.media_type]
+        );
+      }
     }
 
     res.json({ 
@@ -830,677 +1652,474 @@ router.delete('/:id/items/:itemId', authenticateToken, async (req, res) => {
 });
 
 /**
- * PUT /api/lists/:listId/items/:itemId/note
- * Обновить персональную заметку к элементу списка
+ * PUT /api/lists/:id/items/order
+ * Задать порядок элементов списка (перетаскивание)
+ *
+ * Body:
+ * - itemIds: string[] — все ID элементов списка в новом порядке
  */
-router.put('/:listId/items/:itemId/note', authenticateToken, async (req, res) => {
+router.put('/:id/items/order', authenticateToken, async (req, res) => {
   try {
-    const { listId, itemId } = req.params;
-    const userId = req.user.id;
-    const { personalNote } = req.body;
-
-    // Проверяем существование списка и права доступа
-    const listCheck = await executeQuery(
-      'SELECT * FROM custom_lists WHERE id = ? AND user_id = ?',
-      [listId, userId]
-    );
+    const listId = req.params.id;
+    const { itemIds } = req.body;
 
-    if (!listCheck.success || listCheck.data.length === 0) {
-      return res.status(403).json({ 
-        error: 'Нет прав на редактирование этого списка',
-        code: 'FORBIDDEN' 
+    if (!Array.isArray(itemIds) || itemIds.some(itemId => typeof itemId !== 'string')) {
+      return res.status(400).json({
+        error: 'itemIds должен быть массивом ID элементов',
+        code: 'INVALID_ITEM_IDS'
       });
     }
 
-    // Проверяем существование элемента
-    const itemCheck = await executeQuery(
-      'SELECT * FROM list_items WHERE id = ? AND list_id = ?',
-      [itemId, listId]
-    );
+    const listAccess = await loadListWithAccess(req, res, listId, 'edit', 'Нет прав на изменение порядка в этом списке');
+    if (!listAccess) return;
 
-    if (!itemCheck.success || itemCheck.data.length === 0) {
-      return res.status(404).json({ 
-        error: 'Элемент не найден в списке',
-        code: 'ITEM_NOT_FOUND' 
+    const result = await reorderListItems(listId, itemIds);
+
+    if (result.code === 'ORDER_MISMATCH') {
+      return res.status(409).json({
+        error: 'Список изменился, обновите страницу и попробуйте снова',
+        code: 'ORDER_MISMATCH'
       });
     }
 
-    // Обновляем заметку
-    const updateResult = await executeQuery(
-      'UPDATE list_items SET personal_note = ? WHERE id = ?',
-      [personalNote || null, itemId]
-    );
-
-    if (!updateResult.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка обновления заметки',
-        code: 'DATABASE_ERROR' 
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Ошибка изменения порядка элементов',
+        code: 'DATABASE_ERROR'
       });
     }
 
-    res.json({
-      message: 'Заметка обновлена',
-      personalNote: personalNote || null
-    });
+    res.json({ listId, itemIds });
 
   } catch (error) {
-    console.error('Ошибка обновления заметки:', error);
-    res.status(500).json({ 
+    console.error('Ошибка изменения порядка элементов списка:', error);
+    res.status(500).json({
       error: 'Внутренняя ошибка сервера',
-      code: 'INTERNAL_ERROR' 
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 /**
- * GET /api/lists/export
- * Экспортировать все списки пользователя в различных форматах
- * 
- * Query params:
- * - format: 'json' | 'xlsx' | 'csv' | 'pdf' (обязательно)
+ * Источник или назначение массовой операции из тела запроса
+ * Отправляет ответ с ошибкой и возвращает null, если он некорректен или прав нет
+ * @param {Object} endpoint - { type: 'list', listId } | { type: 'watchlist' }
+ * @param {string} code - Код ошибки для некорректного значения
  */
-router.get('/export', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { format } = req.query;
-
-    // Валидация формата
-    const validFormats = ['json', 'xlsx', 'csv', 'pdf'];
-    if (!format || !validFormats.includes(format)) {
-      return res.status(400).json({ 
-        error: 'Формат должен быть одним из: json, xlsx, csv, pdf',
-        code: 'INVALID_FORMAT' 
-      });
-    }
-
-    // Увеличиваем timeout для больших списков
-    req.setTimeout(60000); // 60 секунд
-
-    // Получаем все списки пользователя
-    const listsResult = await executeQuery(
-      'SELECT * FROM custom_lists WHERE user_id = ? ORDER BY created_at DESC',
-      [userId]
-    );
-
-    if (!listsResult.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка получения списков',
-        code: 'DATABASE_ERROR' 
-      });
-    }
-
-    // Получаем watchlist
-    const watchlistResult = await executeQuery(
-      'SELECT * FROM watchlist WHERE user_id = ? ORDER BY added_at DESC',
-      [userId]
-    );
-
-    if (!watchlistResult.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка получения watchlist',
-        code: 'DATABASE_ERROR' 
-      });
-    }
-
-    // Получаем рейтинги пользователя
-    const ratingsResult = await executeQuery(
-      'SELECT tmdb_id, media_type, rating FROM ratings WHERE user_id = ?',
-      [userId]
-    );
-
-    const ratingsMap = {};
-    if (ratingsResult.success) {
-      ratingsResult.data.forEach(r => {
-        ratingsMap[`${r.media_type}_${r.tmdb_id}`] = r.rating;
-      });
-    }
-
-    // Получаем информацию о пользователе
-    const userResult = await executeQuery(
-      'SELECT display_name FROM users WHERE id = ?',
-      [userId]
-    );
-
-    const userName = userResult.success && userResult.data.length > 0 
-      ? userResult.data[0].display_name 
-      : 'Пользователь';
-
-    const tmdbService = (await import('../services/tmdbService.js')).default;
-
-    // Собираем данные для экспорта
-    const exportData = {
-      exportDate: new Date().toISOString(),
-      userName,
-      lists: [],
-      watchlist: []
-    };
-
-    // Кэш для TMDb запросов (чтобы не запрашивать один и тот же фильм дважды)
-    const tmdbCache = new Map();
-
-    // Функция для получения деталей из кэша
-    const getMediaDetails = async (tmdbId, mediaType) => {
-      const cacheKey = `${mediaType}_${tmdbId}`;
-      
-      if (tmdbCache.has(cacheKey)) {
-        return tmdbCache.get(cacheKey);
-      }
-
-      try {
-        const mediaDetails = await mediaCacheService.getOrFetch(tmdbId, mediaType);
-        
-        tmdbCache.set(cacheKey, mediaDetails);
-        return mediaDetails;
-      } catch (error) {
-        console.error(`Ошибка получения деталей для ${mediaType} ${tmdbId}:`, error);
-        return null;
-      }
-    };
-
-    // Подсчитываем общее количество элементов для прогресса
-    let totalItems = watchlistResult.data.length;
-    listsResult.data.forEach(list => {
-      // Получаем количество элементов в каждом списке
-      totalItems += list.items?.length || 0;
-    });
-
-    let processedItems = 0;
-
-    // Обрабатываем каждый список
-    for (const list of listsResult.data) {
-      const itemsResult = await executeQuery(
-        'SELECT * FROM list_items WHERE list_id = ? ORDER BY added_at DESC',
-        [list.id]
-      );
-
-      const items = [];
-      if (itemsResult.success) {
-        for (const item of itemsResult.data) {
-          const mediaDetails = await getMediaDetails(item.tmdb_id, item.media_type);
-          
-          if (mediaDetails) {
-            const genres = mediaDetails.genres 
-              ? mediaDetails.genres.map(g => g.name).join(', ') 
-              : '';
+async function resolveBulkEndpoint(req, res, endpoint, code) {
+  if (endpoint?.type === 'watchlist') {
+    return { type: 'watchlist' };
+  }
 
-            const year = mediaDetails.release_date 
-              ? new Date(mediaDetails.release_date).getFullYear()
-              : (mediaDetails.first_air_date 
-                  ? new Date(mediaDetails.first_air_date).getFullYear() 
-                  : '');
+  if (endpoint?.type !== 'list' || typeof endpoint.listId !== 'string') {
+    res.status(400).json({
+      error: 'Укажите список ({ type: "list", listId }) или «Хочу посмотреть» ({ type: "watchlist" })',
+      code
+    });
+    return null;
+  }
 
-            const myRating = ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '';
+  const listAccess = await loadListWithAccess(req, res, endpoint.listId, 'edit', 'Нет прав на изменение этого списка');
+  if (!listAccess) return null;
 
-            items.push({
-              title: mediaDetails.title || mediaDetails.name,
-              year,
-              genres,
-              tmdbRating: mediaDetails.vote_average || 0,
-              myRating,
-              addedAt: item.added_at,
-              overview: mediaDetails.overview || ''
-            });
-          } else {
-            items.push({
-              title: 'Неизвестно',
-              year: '',
-              genres: '',
-              tmdbRating: 0,
-              myRating: ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '',
-              addedAt: item.added_at,
-              overview: ''
-            });
-          }
+  return { type: 'list', ...listAccess };
+}
 
-          processedItems++;
-          // Логируем прогресс каждые 10 элементов
-          if (processedItems % 10 === 0) {
-            console.log(`Экспорт: обработано ${processedItems} из ${totalItems} элементов`);
-          }
-        }
-      }
+/**
+ * POST /api/lists/bulk
+ * Перенести, скопировать или удалить несколько элементов одним запросом
+ *
+ * Body:
+ * - action: 'move' | 'copy' | 'delete'
+ * - source: { type: 'list', listId } | { type: 'watchlist' }
+ * - target: то же, что source (не нужен для delete)
+ * - itemIds: string[] — ID элементов источника
+ *
+ * Ответ: { processed: string[], skipped: [{ itemId, code }] }
+ */
+router.post('/bulk', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { action, source, target, itemIds } = req.body;
 
-      exportData.lists.push({
-        name: list.name,
-        mediaType: list.media_type === 'movie' ? 'Фильмы' : 'Сериалы',
-        createdAt: list.created_at,
-        items
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: `action должен быть одним из: ${BULK_ACTIONS.join(', ')}`,
+        code: 'INVALID_ACTION'
       });
     }
 
-    // Обрабатываем watchlist
-    if (watchlistResult.success) {
-      for (const item of watchlistResult.data) {
-        const mediaDetails = await getMediaDetails(item.tmdb_id, item.media_type);
-        
-        if (mediaDetails) {
-          const genres = mediaDetails.genres 
-            ? mediaDetails.genres.map(g => g.name).join(', ') 
-            : '';
+    if (
+      !Array.isArray(itemIds)
+      || itemIds.length === 0
+      || itemIds.some(itemId => typeof itemId !== 'string')
+    ) {
+      return res.status(400).json({
+        error: 'itemIds должен быть непустым массивом ID элементов',
+        code: 'INVALID_ITEM_IDS'
+      });
+    }
 
-          const year = mediaDetails.release_date 
-            ? new Date(mediaDetails.release_date).getFullYear()
-            : (mediaDetails.first_air_date 
-                ? new Date(mediaDetails.first_air_date).getFullYear() 
-                : '');
+    if (itemIds.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({
+        error: `За один запрос можно обработать не больше ${BULK_MAX_ITEMS} элементов`,
+        code: 'TOO_MANY_ITEMS'
+      });
+    }
 
-          const myRating = ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '';
+    const resolvedSource = await resolveBulkEndpoint(req, res, source, 'INVALID_SOURCE');
+    if (!resolvedSource) return;
 
-          exportData.watchlist.push({
-            title: mediaDetails.title || mediaDetails.name,
-            mediaType: item.media_type === 'movie' ? 'Фильм' : 'Сериал',
-            year,
-            genres,
-            tmdbRating: mediaDetails.vote_average || 0,
-            myRating,
-            addedAt: item.added_at,
-            overview: mediaDetails.overview || ''
-          });
-        } else {
-          exportData.watchlist.push({
-            title: 'Неизвестно',
-            mediaType: item.media_type === 'movie' ? 'Фильм' : 'Сериал',
-            year: '',
-            genres: '',
-            tmdbRating: 0,
-            myRating: ratingsMap[`${item.media_type}_${item.tmdb_id}`] || '',
-            addedAt: item.added_at,
-            overview: ''
-          });
-        }
+    let resolvedTarget = null;
+    if (action !== 'delete') {
+      resolvedTarget = await resolveBulkEndpoint(req, res, target, 'INVALID_TARGET');
+      if (!resolvedTarget) return;
 
-        processedItems++;
-        if (processedItems % 10 === 0) {
-          console.log(`Экспорт: обработано ${processedItems} из ${totalItems} элементов`);
-        }
+      const sameEndpoint = resolvedSource.type === resolvedTarget.type
+        && (resolvedSource.type === 'watchlist' || resolvedSource.list.id === resolvedTarget.list.id);
+      if (sameEndpoint) {
+        return res.status(400).json({
+          error: 'Источник и назначение совпадают',
+          code: 'SAME_SOURCE_AND_TARGET'
+        });
       }
     }
 
-    console.log(`Экспорт завершен: обработано ${processedItems} элементов`);
+    const report = await runBulkListAction({
+      userId,
+      action,
+      source: resolvedSource,
+      target: resolvedTarget,
+      itemIds
+    });
 
-    // Передаем данные в соответствующий обработчик формата
-    const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    
-    if (format === 'json') {
-      // JSON экспорт
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.json"`);
-      
-      return res.json({
-        metadata: {
-          exportDate: exportData.exportDate,
-          userName: exportData.userName,
-          totalLists: exportData.lists.length,
-          totalWatchlistItems: exportData.watchlist.length
-        },
-        lists: exportData.lists,
-        watchlist: exportData.watchlist
-      });
-    }
+    res.json(report);
 
-    if (format === 'xlsx') {
-      // Excel экспорт
-      const workbook = new ExcelJS.Workbook();
-      workbook.creator = 'watchRebel';
-      workbook.created = new Date();
+  } catch (error) {
+    console.error('Ошибка массовой операции со списками:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
 
-      // Первый лист - Сводка
-      const summarySheet = workbook.addWorksheet('Сводка');
-      summarySheet.columns = [
-        { header: 'Параметр', key: 'param', width: 30 },
-        { header: 'Значение', key: 'value', width: 30 }
-      ];
+/**
+ * PUT /api/lists/:listId/items/:itemId/note
+ * Обновить персональную заметку к элементу списка
+ */
+router.put('/:listId/items/:itemId/note', authenticateToken, async (req, res) => {
+  try {
+    const { listId, itemId } = req.params;
+    const userId = req.user.id;
+    const { personalNote } = req.body;
 
-      summarySheet.addRow({ param: 'Пользователь', value: exportData.userName });
-      summarySheet.addRow({ param: 'Дата экспорта', value: new Date(exportData.exportDate).toLocaleString('ru-RU') });
-      summarySheet.addRow({ param: 'Всего списков', value: exportData.lists.length });
-      summarySheet.addRow({ param: 'Элементов в Watchlist', value: exportData.watchlist.length });
-      
-      let totalItems = 0;
-      exportData.lists.forEach(list => {
-        totalItems += list.items.length;
+    // Проверяем существование списка и права доступа
+    const listCheck = await executeQuery(
+      'SELECT * FROM custom_lists WHERE id = ? AND user_id = ?',
+      [listId, userId]
+    );
+
+    if (!listCheck.success || listCheck.data.length === 0) {
+      return res.status(403).json({ 
+        error: 'Нет прав на редактирование этого списка',
+        code: 'FORBIDDEN' 
       });
-      summarySheet.addRow({ param: 'Всего элементов в списках', value: totalItems });
+    }
 
-      // Форматирование заголовков
-      summarySheet.getRow(1).font = { bold: true };
-      summarySheet.getRow(1).fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FFE0E0E0' }
-      };
+    // Проверяем существование элемента
+    const itemCheck = await executeQuery(
+      'SELECT * FROM list_items WHERE id = ? AND list_id = ?',
+      [itemId, listId]
+    );
 
-      // Создаем лист для каждого списка
-      exportData.lists.forEach(list => {
-        const sheet = workbook.addWorksheet(list.name.substring(0, 31)); // Excel ограничение на длину имени листа
-        
-        sheet.columns = [
-          { header: 'Название', key: 'title', width: 40 },
-          { header: 'Год', key: 'year', width: 10 },
-          { header: 'Жанры', key: 'genres', width: 30 },
-          { header: 'Рейтинг TMDb', key: 'tmdbRating', width: 15 },
-          { header: 'Мой рейтинг', key: 'myRating', width: 15 },
-          { header: 'Дата добавления', key: 'addedAt', width: 20 }
-        ];
+    if (!itemCheck.success || itemCheck.data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Элемент не найден в списке',
+        code: 'ITEM_NOT_FOUND' 
+      });
+    }
 
-        list.items.forEach(item => {
-          sheet.addRow({
-            title: item.title,
-            year: item.year,
-            genres: item.genres,
-            tmdbRating: item.tmdbRating,
-            myRating: item.myRating,
-            addedAt: new Date(item.addedAt).toLocaleString('ru-RU')
-          });
-        });
+    // Обновляем заметку
+    const updateResult = await executeQuery(
+      'UPDATE list_items SET personal_note = ? WHERE id = ?',
+      [personalNote || null, itemId]
+    );
 
-        // Форматирование заголовков
-        sheet.getRow(1).font = { bold: true };
-        sheet.getRow(1).fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFE0E0E0' }
-        };
+    if (!updateResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка обновления заметки',
+        code: 'DATABASE_ERROR' 
       });
+    }
 
-      // Создаем лист для Watchlist
-      if (exportData.watchlist.length > 0) {
-        const watchlistSheet = workbook.addWorksheet('Хочу посмотреть');
-        
-        watchlistSheet.columns = [
-          { header: 'Название', key: 'title', width: 40 },
-          { header: 'Тип', key: 'mediaType', width: 15 },
-          { header: 'Год', key: 'year', width: 10 },
-          { header: 'Жанры', key: 'genres', width: 30 },
-          { header: 'Рейтинг TMDb', key: 'tmdbRating', width: 15 },
-          { header: 'Дата добавления', key: 'addedAt', width: 20 }
-        ];
+    res.json({
+      message: 'Заметка обновлена',
+      personalNote: personalNote || null
+    });
 
-        exportData.watchlist.forEach(item => {
-          watchlistSheet.addRow({
-            title: item.title,
-            mediaType: item.mediaType,
-            year: item.year,
-            genres: item.genres,
-            tmdbRating: item.tmdbRating,
-            addedAt: new Date(item.addedAt).toLocaleString('ru-RU')
-          });
-        });
+  } catch (error) {
+    console.error('Ошибка обновления заметки:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
 
-        // Форматирование заголовков
-        watchlistSheet.getRow(1).font = { bold: true };
-        watchlistSheet.getRow(1).fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFE0E0E0' }
-        };
-      }
+/**
+ * GET /api/lists/:id/items
+ * Получить все элементы списка
+ */
+router.get('/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const listId = req.params.id;
 
-      // Отправляем файл
-      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.xlsx"`);
-      
-      await workbook.xlsx.write(res);
-      return;
-    }
+    // Проверяем, существует ли список и есть ли у пользователя права
+    const listAccess = await loadListWithAccess(req, res, listId, 'view', 'Нет прав на просмотр этого списка');
+    if (!listAccess) return;
 
-    if (format === 'csv') {
-      // CSV экспорт - все списки в одном файле
-      const rows = [];
-      
-      // Заголовок
-      rows.push(['Список', 'Тип', 'Название', 'Год', 'Жанры', 'Рейтинг TMDb', 'Мой рейтинг', 'Дата добавления']);
+    const { access } = listAccess;
 
-      // Добавляем элементы из всех списков
-      exportData.lists.forEach(list => {
-        list.items.forEach(item => {
-          rows.push([
-            list.name,
-            list.mediaType,
-            item.title,
-            item.year,
-            item.genres,
-            item.tmdbRating,
-            item.myRating,
-            new Date(item.addedAt).toLocaleString('ru-RU')
-          ]);
-        });
-      });
+    // Получаем все элементы списка
+    const itemsResult = await executeQuery(
+      `SELECT * FROM list_items WHERE list_id = ? ORDER BY ${LIST_ITEMS_ORDER}`,
+      [listId]
+    );
 
-      // Добавляем элементы из watchlist
-      exportData.watchlist.forEach(item => {
-        rows.push([
-          'Хочу посмотреть',
-          item.mediaType,
-          item.title,
-          item.year,
-          item.genres,
-          item.tmdbRating,
-          item.myRating || '',
-          new Date(item.addedAt).toLocaleString('ru-RU')
-        ]);
+    if (!itemsResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения элементов списка',
+        code: 'DATABASE_ERROR' 
       });
+    }
 
-      // Формируем CSV с правильной обработкой кавычек и запятых
-      const csvContent = rows.map(row => 
-        row.map(cell => {
-          const cellStr = String(cell || '');
-          // Экранируем кавычки и оборачиваем в кавычки если есть запятые или кавычки
-          if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-            return `"${cellStr.replace(/"/g, '""')}"`;
-          }
-          return cellStr;
-        }).join(',')
-      ).join('\n');
+    // Обогащаем данные из кэша; заметки видит только владелец
+    const enrichedItems = await enrichListItems(itemsResult.data, access.isOwner);
 
-      // UTF-8 BOM для корректного открытия в Excel
-      const bom = '\uFEFF';
-      
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.csv"`);
-      
-      return res.send(bom + csvContent);
-    }
+    res.json(enrichedItems);
 
-    if (format === 'pdf') {
-      // PDF экспорт
-      const doc = new PDFDocument({ 
-        size: 'A4',
-        margins: { top: 50, bottom: 50, left: 50, right: 50 }
-      });
+  } catch (error) {
+    console.error('Ошибка получения элементов списка:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
 
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="watchrebel_lists_${dateStr}.pdf"`);
-      
-      doc.pipe(res);
+/**
+ * POST /api/lists/:id/collaborators
+ * Добавить друга соавтором списка или изменить его роль (только владелец)
+ *
+ * Body:
+ * - userId: string (обязательно)
+ * - role: 'editor' | 'viewer' (по умолчанию 'editor')
+ */
+router.post('/:id/collaborators', authenticateToken, async (req, res) => {
+  try {
+    const listId = req.params.id;
+    const ownerId = req.user.id;
+    const { userId, role = 'editor' } = req.body;
 
-      // Заголовок документа
-      doc.fontSize(24).text('watchRebel', { align: 'center' });
-      doc.moveDown(0.5);
-      doc.fontSize(12).text(`Экспорт списков`, { align: 'center' });
-      doc.fontSize(10).text(`Пользователь: ${exportData.userName}`, { align: 'center' });
-      doc.text(`Дата: ${new Date(exportData.exportDate).toLocaleString('ru-RU')}`, { align: 'center' });
-      doc.moveDown(2);
+    if (!userId || typeof userId !== 'string') {
+      return res.status(400).json({
+        error: 'userId обязателен',
+        code: 'INVALID_USER_ID'
+      });
+    }
 
-      // Функция для добавления таблицы
-      const addTable = (title, items, includeMediaType = false) => {
-        // Проверяем, нужна ли новая страница
-        if (doc.y > 650) {
-          doc.addPage();
-        }
+    if (!LIST_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role должен быть одним из: ${LIST_ROLES.join(', ')}`,
+        code: 'INVALID_ROLE'
+      });
+    }
 
-        doc.fontSize(16).text(title, { underline: true });
-        doc.moveDown(0.5);
+    const listAccess = await loadListWithAccess(req, res, listId, 'owner', 'Соавторов назначает только владелец списка');
+    if (!listAccess) return;
 
-        if (items.length === 0) {
-          doc.fontSize(10).text('Нет элементов', { italic: true });
-          doc.moveDown(1);
-          return;
-        }
+    const { list } = listAccess;
 
-        items.forEach((item, index) => {
-          // Проверяем, нужна ли новая страница
-          if (doc.y > 700) {
-            doc.addPage();
-          }
+    if (userId === ownerId) {
+      return res.status(400).json({
+        error: 'Владелец уже может редактировать свой список',
+        code: 'CANNOT_ADD_OWNER'
+      });
+    }
 
-          doc.fontSize(12).text(`${index + 1}. ${item.title}`, { continued: false });
-          
-          let details = `   Год: ${item.year || 'Н/Д'}`;
-          if (includeMediaType) {
-            details += ` | Тип: ${item.mediaType}`;
-          }
-          details += ` | Жанры: ${item.genres || 'Н/Д'}`;
-          details += ` | TMDb: ${item.tmdbRating || 'Н/Д'}`;
-          if (item.myRating) {
-            details += ` | Мой рейтинг: ${item.myRating}`;
-          }
-          
-          doc.fontSize(9).text(details, { color: '#666666' });
-          doc.moveDown(0.5);
-        });
+    if (!(await areFriends(ownerId, userId))) {
+      return res.status(403).json({
+        error: 'Соавтором можно сделать только друга',
+        code: 'NOT_FRIENDS'
+      });
+    }
 
-        doc.moveDown(1);
-      };
+    const existing = await executeQuery(
+      'SELECT id FROM list_collaborators WHERE list_id = ? AND user_id = ?',
+      [listId, userId]
+    );
 
-      // Добавляем каждый список
-      exportData.lists.forEach(list => {
-        addTable(`${list.name} (${list.mediaType})`, list.items);
+    if (!existing.success) {
+      return res.status(500).json({
+        error: 'Ошибка проверки соавторов',
+        code: 'DATABASE_ERROR'
       });
+    }
 
-      // Добавляем watchlist
-      if (exportData.watchlist.length > 0) {
-        addTable('Хочу посмотреть', exportData.watchlist, true);
-      }
+    const isNew = existing.data.length === 0;
+    const saveResult = isNew
+      ? await executeQuery(
+        'INSERT INTO list_collaborators (id, list_id, user_id, role, added_by) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), listId, userId, role, ownerId]
+      )
+      : await executeQuery(
+        'UPDATE list_collaborators SET role = ? WHERE id = ?',
+        [role, existing.data[0].id]
+      );
 
-      // Футер на последней странице
-      const pages = doc.bufferedPageRange();
-      for (let i = 0; i < pages.count; i++) {
-        doc.switchToPage(i);
-        doc.fontSize(8).text(
-          `Страница ${i + 1} из ${pages.count} | Экспортировано из watchRebel`,
-          50,
-          doc.page.height - 50,
-          { align: 'center' }
-        );
-      }
+    if (!saveResult.success) {
+      return res.status(500).json({
+        error: 'Ошибка сохранения соавтора',
+        code: 'DATABASE_ERROR'
+      });
+    }
 
-      doc.end();
-      return;
+    if (isNew) {
+      notifyListCollaboratorAdded(userId, ownerId, list, role).catch(err => {
+        console.error('Ошибка отправки уведомления соавтору:', err);
+      });
     }
 
-    // Вызываем следующий middleware в зависимости от формата
-    return res.json({ message: 'Export endpoint created, format handlers to be implemented', exportData });
+    const collaborators = await getListCollaborators(listId);
+
+    res.status(isNew ? 201 : 200).json({ collaborators: collaborators || [] });
 
   } catch (error) {
-    console.error('Ошибка экспорта списков:', error);
-    res.status(500).json({ 
+    console.error('Ошибка добавления соавтора:', error);
+    res.status(500).json({
       error: 'Внутренняя ошибка сервера',
-      code: 'INTERNAL_ERROR' 
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 /**
- * GET /api/lists/:id/items
- * Получить все элементы списка
+ * DELETE /api/lists/:id/collaborators/:userId
+ * Убрать соавтора (владелец) или выйти из соавторов (сам соавтор)
  */
-router.get('/:id/items', authenticateToken, async (req, res) => {
+router.delete('/:id/collaborators/:userId', authenticateToken, async (req, res) => {
   try {
-    const listId = req.params.id;
-    const userId = req.user.id;
+    const { id: listId, userId } = req.params;
+    const currentUserId = req.user.id;
 
-    // Проверяем, существует ли список
-    const listCheck = await executeQuery(
-      'SELECT * FROM custom_lists WHERE id = ?',
-      [listId]
+    const permission = userId === currentUserId ? 'view' : 'owner';
+    const listAccess = await loadListWithAccess(req, res, listId, permission, 'Убрать соавтора может только владелец списка');
+    if (!listAccess) return;
+
+    const deleteResult = await executeQuery(
+      'DELETE FROM list_collaborators WHERE list_id = ? AND user_id = ?',
+      [listId, userId]
     );
 
-    if (!listCheck.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка проверки списка',
-        code: 'DATABASE_ERROR' 
+    if (!deleteResult.success) {
+      return res.status(500).json({
+        error: 'Ошибка удаления соавтора',
+        code: 'DATABASE_ERROR'
       });
     }
 
-    if (listCheck.data.length === 0) {
-      return res.status(404).json({ 
-        error: 'Список не найден',
-        code: 'LIST_NOT_FOUND' 
+    if (deleteResult.changes === 0) {
+      return res.status(404).json({
+        error: 'Пользователь не соавтор этого списка',
+        code: 'COLLABORATOR_NOT_FOUND'
       });
     }
 
-    const list = listCheck.data[0];
+    res.json({
+      message: 'Соавтор удален',
+      userId
+    });
 
-    // Пользователь может просматривать только свои списки
-    // (в будущем можно добавить публичные списки)
-    if (list.user_id !== userId) {
-      return res.status(403).json({ 
-        error: 'Нет прав на просмотр этого списка',
-        code: 'FORBIDDEN' 
+  } catch (error) {
+    console.error('Ошибка удаления соавтора:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/lists/:id/follow
+ * Подписаться на чужой список: уведомления о новых элементах
+ */
+router.post('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const listId = req.params.id;
+    const userId = req.user.id;
+
+    const listAccess = await loadListWithAccess(req, res, listId, 'view', 'Владелец закрыл этот список');
+    if (!listAccess) return;
+
+    if (listAccess.access.isOwner) {
+      return res.status(400).json({
+        error: 'Нельзя подписаться на свой список',
+        code: 'CANNOT_FOLLOW_OWN_LIST'
       });
     }
 
-    // Получаем все элементы списка
-    const itemsResult = await executeQuery(
-      'SELECT * FROM list_items WHERE list_id = ? ORDER BY added_at DESC',
-      [listId]
+    const insertResult = await executeQuery(
+      'INSERT OR IGNORE INTO list_followers (id, list_id, user_id) VALUES (?, ?, ?)',
+      [uuidv4(), listId, userId]
     );
 
-    if (!itemsResult.success) {
-      return res.status(500).json({ 
-        error: 'Ошибка получения элементов списка',
-        code: 'DATABASE_ERROR' 
+    if (!insertResult.success) {
+      return res.status(500).json({
+        error: 'Ошибка подписки на список',
+        code: 'DATABASE_ERROR'
       });
     }
 
-    // Обогащаем данные из кэша
-    const enrichedItems = await Promise.all(
-      itemsResult.data.map(async (item) => {
-        try {
-          const mediaDetails = await mediaCacheService.getOrFetch(item.tmdb_id, item.media_type);
+    res.json(await getListFollowState(listId, userId));
 
-          return {
-            id: item.id,
-            listId: item.list_id,
-            tmdbId: item.tmdb_id,
-            mediaType: item.media_type,
-            addedAt: item.added_at,
-            // Добавляем данные из TMDb
-            title: mediaDetails.title || mediaDetails.name,
-            posterPath: mediaDetails.poster_path,
-            releaseDate: mediaDetails.release_date || mediaDetails.first_air_date,
-            voteAverage: mediaDetails.vote_average || 0,
-            overview: mediaDetails.overview,
-            personalNote: item.personal_note || null
-          };
-        } catch (error) {
-          console.error(`Ошибка получения деталей для ${item.media_type} ${item.tmdb_id}:`, error);
-          // Возвращаем базовые данные если не удалось получить детали
-          return {
-            id: item.id,
-            listId: item.list_id,
-            tmdbId: item.tmdb_id,
-            mediaType: item.media_type,
-            addedAt: item.added_at,
-            title: 'Неизвестно',
-            posterPath: null,
-            releaseDate: null,
-            voteAverage: 0,
-            overview: null,
-            personalNote: item.personal_note || null
-          };
-        }
-      })
+  } catch (error) {
+    console.error('Ошибка подписки на список:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/lists/:id/follow
+ * Отписаться от списка
+ */
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const listId = req.params.id;
+    const userId = req.user.id;
+
+    const deleteResult = await executeQuery(
+      'DELETE FROM list_followers WHERE list_id = ? AND user_id = ?',
+      [listId, userId]
     );
 
-    res.json(enrichedItems);
+    if (!deleteResult.success) {
+      return res.status(500).json({
+        error: 'Ошибка отписки от списка',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    res.json(await getListFollowState(listId, userId));
 
   } catch (error) {
-    console.error('Ошибка получения элементов списка:', error);
-    res.status(500).json({ 
+    console.error('Ошибка отписки от списка:', error);
+    res.status(500).json({
       error: 'Внутренняя ошибка сервера',
-      code: 'INTERNAL_ERROR' 
+      code: 'INTERNAL_ERROR'
     });
   }
 });
@@ -3,6 +3,7 @@ import tmdbService from '../services/tmdbService.js';
 import mediaCacheService from '../services/mediaCacheService.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { executeQuery } from '../database/db.js';
+import { getForYou, FOR_YOU_DEFAULT_LIMIT, FOR_YOU_MAX_LIMIT } from '../services/recommendationService.js';
 
 const router = express.Router();
 
@@ -127,6 +128,54 @@ router.get('/discover', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/media/for-you
+ * Персональные рекомендации по оценкам, отзывам и спискам пользователя
+ * Каждый тайтл сопровождается объяснением (reason)
+ * 
+ * Query params:
+ * - type: 'movie' | 'tv' | 'all' (опционально, по умолчанию 'all')
+ * - limit: number (опционально, по умолчанию 20, максимум 50)
+ */
+router.get('/for-you', authenticateToken, async (req, res) => {
+  try {
+    const { type = 'all' } = req.query;
+
+    if (!['movie', 'tv', 'all'].includes(type)) {
+      return res.status(400).json({ 
+        error: 'Параметр type должен быть movie, tv или all',
+        code: 'INVALID_TYPE' 
+      });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : FOR_YOU_DEFAULT_LIMIT;
+    if (isNaN(limit) || limit < 1 || limit > FOR_YOU_MAX_LIMIT) {
+      return res.status(400).json({ 
+        error: `Параметр limit должен быть от 1 до ${FOR_YOU_MAX_LIMIT}`,
+        code: 'INVALID_LIMIT' 
+      });
+    }
+
+    const forYou = await getForYou(req.user.id, { type, limit });
+    if (!forYou) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения рекомендаций',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.json(forYou);
+
+  } catch (error) {
+    console.error('Ошибка получения персональных рекомендаций:', error);
+    res.status(500).json({ 
+      error: 'Ошибка получения рекомендаций',
+      message: error.message,
+      code: 'FOR_YOU_ERROR' 
+    });
+  }
+});
+
 /**
  * GET /api/media/genres
  * Получение списка жанров
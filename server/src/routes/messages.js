@@ -3,8 +3,18 @@ import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { sendTelegramNotification, checkNotificationEnabled, createNotification } from '../services/notificationService.js';
-import { sendMessageToUser } from '../services/websocketService.js';
-import { uploadMessageFiles, uploadAvatar } from '../middleware/upload.js';
+import { sendMessageToUser, getUserPresence } from '../services/websocketService.js';
+import { getVisiblePresence, PRESENCE_QUERY_MAX_USERS } from '../services/presenceService.js';
+import { uploadMessageFiles, uploadAvatar, processUploadedImages } from '../middleware/upload.js';
+import {
+  indexMessage,
+  searchMessages,
+  ATTACHMENT_TYPES,
+  MESSAGE_SEARCH_DEFAULT_LIMIT,
+  MESSAGE_SEARCH_MAX_LIMIT
+} from '../services/messageSearchService.js';
+import { visibleContentCondition, visibleContentParams, recordFilterEvent } from '../services/contentFilterService.js';
+import { validateUserContent } from '../utils/validation.js';
 
 const router = express.Router();
 
@@ -21,7 +31,7 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
     // Для секретных чатов: sender_id != userId (receiver_id = sender_id по архитектуре)
     const directResult = await executeQuery(
       `SELECT COUNT(*) as cnt FROM messages
-       WHERE sender_id != ? AND is_read = 0
+       WHERE sender_id != ? AND is_read = 0 AND hidden_at IS NULL AND filter_status IS NULL
        AND conversation_id IN (
          SELECT id FROM conversations WHERE (is_group IS NULL OR is_group = 0)
        )`,
@@ -34,7 +44,7 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
        WHERE conversation_id IN (
          SELECT cm.conversation_id FROM conversation_members cm 
          WHERE cm.user_id = ? AND cm.left_at IS NULL
-       ) AND sender_id != ? AND is_read = 0
+       ) AND sender_id != ? AND is_read = 0 AND hidden_at IS NULL AND filter_status IS NULL
        AND conversation_id IN (
          SELECT id FROM conversations WHERE is_group = 1
        )`,
@@ -52,6 +62,45 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/messages/presence
+ * Получить статусы присутствия собеседников (для начальной отрисовки, дальше — события presence по WebSocket)
+ *
+ * Query params:
+ * - userIds: ID пользователей через запятую (максимум 100)
+ *
+ * Ответ: { [userId]: { status: 'online' | 'away' | 'offline', lastSeenAt } }
+ * Пользователи, скрывшие статус от текущего пользователя (приватность, блокировка), в ответ не попадают
+ */
+router.get('/presence', authenticateToken, async (req, res) => {
+  try {
+    const userIds = [...new Set(String(req.query.userIds || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (userIds.length > PRESENCE_QUERY_MAX_USERS) {
+      return res.status(400).json({
+        error: `Максимум ${PRESENCE_QUERY_MAX_USERS} пользователей за один запрос`,
+        code: 'TOO_MANY_USERS'
+      });
+    }
+
+    const visible = await getVisiblePresence(req.user.id, userIds);
+    const presence = {};
+
+    visible.forEach((lastSeenAt, userId) => {
+      presence[userId] = {
+        status: getUserPresence(userId),
+        lastSeenAt: lastSeenAt ? lastSeenAt + 'Z' : null
+      };
+    });
+
+    res.json(presence);
+
+  } catch (error) {
+    console.error('Ошибка получения статусов присутствия:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера', code: 'INTERNAL_ERROR' });
+  }
+});
+
 /**
  * GET /api/messages/conversations
  * Получить список всех диалогов текущего пользователя
@@ -70,15 +119,19 @@ router.get('/conversations', authenticateToken, async (req, res) => {
         CASE WHEN c.user1_id = ? THEN u2.id ELSE u1.id END as other_user_id,
         CASE WHEN c.user1_id = ? THEN u2.display_name ELSE u1.display_name END as other_user_name,
         CASE WHEN c.user1_id = ? THEN u2.avatar_url ELSE u1.avatar_url END as other_user_avatar,
-        (SELECT content FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_content,
-        (SELECT attachments FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_attachments
+        (SELECT content FROM messages lm WHERE lm.conversation_id = c.id AND ${visibleContentCondition('lm', 'sender_id')} ORDER BY lm.created_at DESC LIMIT 1) as last_message_content,
+        (SELECT attachments FROM messages lm WHERE lm.conversation_id = c.id AND ${visibleContentCondition('lm', 'sender_id')} ORDER BY lm.created_at DESC LIMIT 1) as last_message_attachments
       FROM conversations c
       LEFT JOIN users u1 ON c.user1_id = u1.id
       LEFT JOIN users u2 ON c.user2_id = u2.id
       WHERE (c.user1_id = ? OR c.user2_id = ?) AND (c.is_group IS NULL OR c.is_group = 0)
       ORDER BY c.last_message_at DESC
     `;
-    const directResult = await executeQuery(directQuery, [userId, userId, userId, userId, userId]);
+    const directResult = await executeQuery(directQuery, [
+      userId, userId, userId,
+      ...visibleContentParams(userId), ...visibleContentParams(userId),
+      userId, userId
+    ]);
 
     if (!directResult.success) {
       console.error('Ошибка запроса личных диалогов:', directResult.error);
@@ -90,7 +143,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
     const directConvs = (directResult.success && Array.isArray(directResult.data)) ? directResult.data : [];
     for (const conv of directConvs) {
       const unreadResult = await executeQuery(
-        'SELECT COUNT(*) as cnt FROM messages WHERE conversation_id = ? AND sender_id != ? AND is_read = 0',
+        'SELECT COUNT(*) as cnt FROM messages WHERE conversation_id = ? AND sender_id != ? AND is_read = 0 AND hidden_at IS NULL AND filter_status IS NULL',
         [conv.id, userId]
       );
       conv.unread_count = (unreadResult.success && unreadResult.data.length > 0) ? unreadResult.data[0].cnt : 0;
@@ -101,14 +154,17 @@ router.get('/conversations', authenticateToken, async (req, res) => {
       SELECT c.id, c.is_group, c.is_secret, c.group_name, c.group_avatar, c.created_by,
              c.show_creator_label, c.show_moderator_label,
              c.last_message_at, c.created_at,
-             (SELECT content FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_content,
-             (SELECT attachments FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_attachments
+             (SELECT content FROM messages lm WHERE lm.conversation_id = c.id AND ${visibleContentCondition('lm', 'sender_id')} ORDER BY lm.created_at DESC LIMIT 1) as last_message_content,
+             (SELECT attachments FROM messages lm WHERE lm.conversation_id = c.id AND ${visibleContentCondition('lm', 'sender_id')} ORDER BY lm.created_at DESC LIMIT 1) as last_message_attachments
       FROM conversations c
       INNER JOIN conversation_members cm ON c.id = cm.conversation_id
       WHERE cm.user_id = ? AND cm.left_at IS NULL AND c.is_group = 1
       ORDER BY c.last_message_at DESC
     `;
-    const groupResult = await executeQuery(groupQuery, [userId]);
+    const groupResult = await executeQuery(groupQuery, [
+      ...visibleContentParams(userId), ...visibleContentParams(userId),
+      userId
+    ]);
 
     if (!groupResult.success) {
       console.error('Ошибка запроса групповых диалогов:', groupResult.error);
@@ -118,7 +174,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
     const groupConvs = (groupResult.success && Array.isArray(groupResult.data)) ? groupResult.data : [];
     for (const conv of groupConvs) {
       const unreadResult = await executeQuery(
-        'SELECT COUNT(*) as cnt FROM messages WHERE conversation_id = ? AND sender_id != ? AND is_read = 0',
+        'SELECT COUNT(*) as cnt FROM messages WHERE conversation_id = ? AND sender_id != ? AND is_read = 0 AND hidden_at IS NULL AND filter_status IS NULL',
         [conv.id, userId]
       );
       conv.unread_count = (unreadResult.success && unreadResult.data.length > 0) ? unreadResult.data[0].cnt : 0;
@@ -314,6 +370,114 @@ router.get('/pinned/:conversationId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Разобрать границу периода поиска в формат created_at (UTC, 'YYYY-MM-DD HH:MM:SS')
+ * Дата без времени в параметре to включает весь день
+ * @returns {string|null|undefined} - null, если параметра нет; undefined, если дата некорректна
+ */
+function parseSearchDate(value, { endOfDay = false } = {}) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * GET /api/messages/search
+ * Поиск по истории сообщений в личных и групповых чатах
+ * Query params: q, conversationId, senderId, from, to (ISO-дата), attachmentType
+ * (image, video, audio, file, location, media), limit (default: 20), offset (default: 0)
+ * Секретные чаты не ищутся на сервере: поиск по ним выполняется на клиенте
+ */
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const q = (req.query.q || '').trim();
+    const { conversationId, senderId, attachmentType } = req.query;
+
+    if (!q && !conversationId && !senderId && !attachmentType && !req.query.from && !req.query.to) {
+      return res.status(400).json({
+        error: 'Укажите поисковый запрос или фильтр',
+        code: 'EMPTY_QUERY'
+      });
+    }
+
+    if (attachmentType && !ATTACHMENT_TYPES.includes(attachmentType)) {
+      return res.status(400).json({
+        error: `attachmentType должен быть одним из: ${ATTACHMENT_TYPES.join(', ')}`,
+        code: 'INVALID_ATTACHMENT_TYPE'
+      });
+    }
+
+    const from = parseSearchDate(req.query.from);
+    const to = parseSearchDate(req.query.to, { endOfDay: true });
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        error: 'Некорректная дата в from или to',
+        code: 'INVALID_DATE'
+      });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : MESSAGE_SEARCH_DEFAULT_LIMIT;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+    if (isNaN(limit) || limit < 1 || limit > MESSAGE_SEARCH_MAX_LIMIT || isNaN(offset) || offset < 0) {
+      return res.status(400).json({
+        error: `limit должен быть от 1 до ${MESSAGE_SEARCH_MAX_LIMIT}, offset — неотрицательным`,
+        code: 'INVALID_PAGINATION'
+      });
+    }
+
+    if (conversationId) {
+      const conversationResult = await executeQuery(
+        'SELECT is_secret FROM conversations WHERE id = ?',
+        [conversationId]
+      );
+      if (conversationResult.success && conversationResult.data[0]?.is_secret) {
+        return res.status(400).json({
+          error: 'Поиск по секретному чату выполняется только на устройстве',
+          code: 'SECRET_CONVERSATION'
+        });
+      }
+    }
+
+    const result = await searchMessages(userId, {
+      query: q,
+      conversationId,
+      senderId,
+      from,
+      to,
+      attachmentType,
+      limit,
+      offset
+    });
+
+    if (!result) {
+      return res.status(500).json({
+        error: 'Ошибка поиска сообщений',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    res.json({
+      messages: result.messages,
+      pagination: {
+        total: result.total,
+        limit,
+        offset,
+        hasMore: result.hasMore
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка поиска сообщений:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера', code: 'INTERNAL_ERROR' });
+  }
+});
+
 /**
  * GET /api/messages/:conversationId
  * Получить все сообщения из конкретного диалога
@@ -380,8 +544,8 @@ router.get('/:conversationId', authenticateToken, async (req, res) => {
     }
 
     // Получаем общее количество сообщений
-    let countQuery = `SELECT COUNT(*) as total FROM messages WHERE conversation_id = ?`;
-    const countParams = [conversationId];
+    let countQuery = `SELECT COUNT(*) as total FROM messages m WHERE m.conversation_id = ? AND ${visibleContentCondition('m', 'sender_id')}`;
+    const countParams = [conversationId, ...visibleContentParams(userId)];
 
     // Для секретных групп — только сообщения после вступления
     if (joinedAt) {
@@ -414,9 +578,10 @@ router.get('/:conversationId', authenticateToken, async (req, res) => {
         LEFT JOIN users reply_sender ON reply_msg.sender_id = reply_sender.id
         LEFT JOIN users fwd_sender ON m.forward_from = fwd_sender.id
         WHERE m.conversation_id = ?
+          AND ${visibleContentCondition('m', 'sender_id')}
           AND (m.deleted_for_users IS NULL OR m.deleted_for_users = '[]' OR NOT m.deleted_for_users LIKE '%"${userId}"%')
     `;
-    const messagesParams = [conversationId];
+    const messagesParams = [conversationId, ...visibleContentParams(userId)];
 
     // Для секретных групп — только сообщения после вступления
     if (joinedAt) {
@@ -554,7 +719,7 @@ router.get('/:conversationId', authenticateToken, async (req, res) => {
  * Files: attachments[] (опционально, до 10 файлов, макс 50MB каждый)
  * Автоматически создает диалог, если его еще нет
  */
-router.post('/', authenticateToken, uploadMessageFiles.array('attachments', 10), async (req, res) => {
+router.post('/', authenticateToken, uploadMessageFiles.array('attachments', 10), processUploadedImages(), async (req, res) => {
   try {
     const { receiverId, content, sentViaBot, location, suggestedMedia, replyTo, forwardFrom, forwardMessageId } = req.body;
     const senderId = req.user.id;
@@ -695,6 +860,20 @@ router.post('/', authenticateToken, uploadMessageFiles.array('attachments', 10),
       }
     }
 
+    // В секретных чатах сервер видит только шифротекст — проверяются лишь лимиты частоты
+    const contentCheck = await validateUserContent({
+      user: req.user,
+      targetType: 'message',
+      text: isSecret ? null : content
+    });
+
+    if (!contentCheck.valid) {
+      return res.status(contentCheck.code === 'FLOOD_LIMIT' ? 429 : 400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
     // Обрабатываем загруженные файлы
     let attachments = null;
     if (files.length > 0) {
@@ -718,9 +897,9 @@ router.post('/', authenticateToken, uploadMessageFiles.array('attachments', 10),
     const messageReceiverId = (isGroup || isSecret) ? senderId : receiverId;
 
     const createMessageResult = await executeQuery(
-      `INSERT INTO messages (id, conversation_id, sender_id, receiver_id, content, is_read, sent_via_bot, attachments, location, suggested_media, reply_to, forward_from, forward_message_id, created_at)
-       VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
-      [messageId, conversationId, senderId, messageReceiverId, content?.trim() || '', sentViaBot ? 1 : 0, attachments, locationJson, suggestedMediaJson, replyTo || null, forwardFrom || null, forwardMessageId || null]
+      `INSERT INTO messages (id, conversation_id, sender_id, receiver_id, content, is_read, sent_via_bot, attachments, location, suggested_media, reply_to, forward_from, forward_message_id, filter_status, created_at)
+       VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [messageId, conversationId, senderId, messageReceiverId, content?.trim() || '', sentViaBot ? 1 : 0, attachments, locationJson, suggestedMediaJson, replyTo || null, forwardFrom || null, forwardMessageId || null, contentCheck.filterStatus]
     );
 
     if (!createMessageResult.success) {
@@ -730,11 +909,24 @@ router.post('/', authenticateToken, uploadMessageFiles.array('attachments', 10),
       });
     }
 
-    // Обновляем время последнего сообщения в диалоге
-    await executeQuery(
-      `UPDATE conversations SET last_message_at = datetime('now') WHERE id = ?`,
-      [conversationId]
-    );
+    if (!isSecret) {
+      await indexMessage(messageId);
+    }
+
+    // Отфильтрованное сообщение видит только отправитель: собеседникам не доставляем и не уведомляем
+    const isFiltered = Boolean(contentCheck.filterStatus);
+
+    if (isFiltered) {
+      await recordFilterEvent({
+        userId: senderId, targetType: 'message', targetId: messageId, content: isSecret ? null : content, filter: contentCheck.filter
+      });
+    } else {
+      // Обновляем время последнего сообщения в диалоге
+      await executeQuery(
+        `UPDATE conversations SET last_message_at = datetime('now') WHERE id = ?`,
+        [conversationId]
+      );
+    }
 
     // Получаем созданное сообщение с информацией об отправителе
     const messageResult = await executeQuery(
@@ -780,6 +972,13 @@ router.post('/', authenticateToken, uploadMessageFiles.array('attachments', 10),
       }
     };
 
+    // О скрытом фильтре (shadow) отправителю не сообщаем
+    if (isFiltered) {
+      return res.status(201).json(
+        m.filter_status === 'held' ? { ...messageResponse, moderationStatus: 'held' } : messageResponse
+      );
+    }
+
     // Отправляем сообщение через WebSocket
     if (isGroup || isSecret) {
       // Для групповых и секретных чатов — отправляем всем участникам кроме отправителя
@@ -927,7 +1126,7 @@ router.post('/', authenticateToken, uploadMessageFiles.array('attachments', 10),
  * Files: images[] (опционально, до 5 файлов)
  * Только создатель или модератор с правом send_announcements
  */
-router.post('/announcement', authenticateToken, uploadMessageFiles.array('images', 5), async (req, res) => {
+router.post('/announcement', authenticateToken, uploadMessageFiles.array('images', 5), processUploadedImages(), async (req, res) => {
   try {
     const { conversationId, content } = req.body;
     const senderId = req.user.id;
@@ -978,6 +1177,11 @@ router.post('/announcement', authenticateToken, uploadMessageFiles.array('images
       return res.status(403).json({ error: 'Нет доступа к этому чату', code: 'FORBIDDEN' });
     }
 
+    const contentCheck = await validateUserContent({ user: req.user, targetType: 'message', text: content });
+    if (!contentCheck.valid) {
+      return res.status(contentCheck.code === 'FLOOD_LIMIT' ? 429 : 400).json({ error: contentCheck.error, code: contentCheck.code });
+    }
+
     // Обрабатываем загруженные файлы
     let attachments = null;
     if (files.length > 0) {
@@ -995,20 +1199,28 @@ router.post('/announcement', authenticateToken, uploadMessageFiles.array('images
     const messageReceiverId = senderId; // Для групп receiver_id = sender_id
 
     const createResult = await executeQuery(
-      `INSERT INTO messages (id, conversation_id, sender_id, receiver_id, content, is_read, is_announcement, attachments, created_at)
-       VALUES (?, ?, ?, ?, ?, 0, 1, ?, datetime('now'))`,
-      [messageId, conversationId, senderId, messageReceiverId, content?.trim() || '', attachments]
+      `INSERT INTO messages (id, conversation_id, sender_id, receiver_id, content, is_read, is_announcement, attachments, filter_status, created_at)
+       VALUES (?, ?, ?, ?, ?, 0, 1, ?, ?, datetime('now'))`,
+      [messageId, conversationId, senderId, messageReceiverId, content?.trim() || '', attachments, contentCheck.filterStatus]
     );
 
     if (!createResult.success) {
       return res.status(500).json({ error: 'Ошибка создания объявления', code: 'DATABASE_ERROR' });
     }
 
-    // Обновляем время последнего сообщения
-    await executeQuery(
-      `UPDATE conversations SET last_message_at = datetime('now') WHERE id = ?`,
-      [conversationId]
-    );
+    await indexMessage(messageId);
+
+    if (contentCheck.filterStatus) {
+      await recordFilterEvent({
+        userId: senderId, targetType: 'message', targetId: messageId, content, filter: contentCheck.filter
+      });
+    } else {
+      // Обновляем время последнего сообщения
+      await executeQuery(
+        `UPDATE conversations SET last_message_at = datetime('now') WHERE id = ?`,
+        [conversationId]
+      );
+    }
 
     // Получаем созданное сообщение с информацией об отправителе
     const messageResult = await executeQuery(
@@ -1040,6 +1252,13 @@ router.post('/announcement', authenticateToken, uploadMessageFiles.array('images
       }
     };
 
+    // Отфильтрованное объявление видит только отправитель
+    if (contentCheck.filterStatus) {
+      return res.status(201).json(
+        m.filter_status === 'held' ? { ...messageResponse, moderationStatus: 'held' } : messageResponse
+      );
+    }
+
     // Отправляем через WebSocket всем участникам группы
     const membersResult = await executeQuery(
       'SELECT user_id FROM conversation_members WHERE conversation_id = ? AND user_id != ? AND left_at IS NULL',
@@ -2440,7 +2659,7 @@ router.patch('/conversations/:conversationId/settings', authenticateToken, async
  * POST /api/messages/conversations/:conversationId/avatar
  * Загрузить аватарку группы (только создатель)
  */
-router.post('/conversations/:conversationId/avatar', authenticateToken, uploadAvatar.single('avatar'), async (req, res) => {
+router.post('/conversations/:conversationId/avatar', authenticateToken, uploadAvatar.single('avatar'), processUploadedImages('avatar'), async (req, res) => {
   try {
     const { conversationId } = req.params;
     const userId = req.user.id;
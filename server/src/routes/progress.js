@@ -1,10 +1,299 @@
 import express from 'express';
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken } from '../middleware/auth.js';
+import {
+  getUpNext,
+  getCalendarEvents,
+  buildICalendar,
+  toDateString,
+  addDays,
+  CALENDAR_DEFAULT_DAYS,
+  CALENDAR_MAX_DAYS
+} from '../services/episodeScheduleService.js';
+import {
+  getNextEpisode,
+  getSeasonProgress,
+  markSeasonWatched,
+  unmarkEpisode
+} from '../services/episodeProgressService.js';
 
 const router = express.Router();
 
+const PROGRESS_ERRORS = {
+  INVALID_SERIES_ID: { status: 400, error: 'ID сериала должен быть числом' },
+  INVALID_SEASON_NUMBER: { status: 400, error: 'Номер сезона должен быть числом' },
+  INVALID_EPISODE_NUMBER: { status: 400, error: 'Номер серии должен быть числом' },
+  SEASON_NOT_FOUND: { status: 404, error: 'Сезон не найден' },
+  DATABASE_ERROR: { status: 500, error: 'Ошибка обновления прогресса' }
+};
+
+const sendProgressError = (res, code) => {
+  const { status, error } = PROGRESS_ERRORS[code] || { status: 500, error: 'Внутренняя ошибка сервера' };
+  res.status(status).json({ error, code });
+};
+
+/**
+ * Разобрать числовые параметры маршрута: seriesId, seasonNumber, episodeNumber
+ * @returns {Object} - { values } или { code } с кодом ошибки первого неверного параметра
+ */
+const parseProgressParams = (params) => {
+  const fields = [
+    ['seriesId', 'INVALID_SERIES_ID'],
+    ['seasonNumber', 'INVALID_SEASON_NUMBER'],
+    ['episodeNumber', 'INVALID_EPISODE_NUMBER']
+  ];
+  const values = {};
+  for (const [name, code] of fields) {
+    if (params[name] === undefined) continue;
+    const value = Number(params[name]);
+    if (!Number.isInteger(value) || value < 0) return { code };
+    values[name] = value;
+  }
+  return { values };
+};
+
+// Период iCalendar-ленты: недавние события остаются в календаре ещё месяц
+const ICAL_PAST_DAYS = 30;
+
+/**
+ * URL iCalendar-ленты пользователя
+ */
+const buildFeedUrl = (token) => {
+  const publicUrl = process.env.PUBLIC_URL || 'http://localhost:5173';
+  return `${publicUrl}/api/progress/calendar/ical/${token}.ics`;
+};
+
+/**
+ * GET /api/progress/up-next
+ * Следующая непросмотренная серия для каждого сериала с прогрессом
+ *
+ * Ответ: [{ tmdbId, mediaType, title, posterPath, status, lastWatched, nextEpisode }]
+ * nextEpisode: { seasonNumber, episodeNumber, name, airDate, overview, stillPath, runtime, aired }
+ */
+router.get('/up-next', authenticateToken, async (req, res) => {
+  try {
+    const upNext = await getUpNext(req.user.id);
+
+    if (!upNext) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения прогресса',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.json(upNext);
+
+  } catch (error) {
+    console.error('Ошибка получения следующих серий:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * GET /api/progress/calendar
+ * Календарь выхода серий и фильмов из watchlist и списков сериалов
+ *
+ * Query:
+ * - from: YYYY-MM-DD (опционально, по умолчанию сегодня)
+ * - days: number (опционально, 1-90, по умолчанию 30)
+ *
+ * Ответ: { from, to, events: [{ date, mediaType, tmdbId, title, posterPath, seasonNumber?, episodeNumber?, episodeName? }] }
+ */
+router.get('/calendar', authenticateToken, async (req, res) => {
+  try {
+    const from = req.query.from || toDateString();
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : CALENDAR_DEFAULT_DAYS;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || isNaN(new Date(from).getTime())) {
+      return res.status(400).json({ 
+        error: 'from должен быть датой в формате YYYY-MM-DD',
+        code: 'INVALID_DATE' 
+      });
+    }
+
+    if (isNaN(days) || days < 1 || days > CALENDAR_MAX_DAYS) {
+      return res.status(400).json({ 
+        error: `days должен быть числом от 1 до ${CALENDAR_MAX_DAYS}`,
+        code: 'INVALID_DAYS' 
+      });
+    }
+
+    const to = addDays(from, days - 1);
+    const events = await getCalendarEvents(req.user.id, { from, to });
+
+    if (!events) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения календаря',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.json({ from, to, events });
+
+  } catch (error) {
+    console.error('Ошибка получения календаря:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * GET /api/progress/calendar/feed
+ * Получить ссылку на iCalendar-ленту пользователя
+ *
+ * Ответ: { url } (url = null, если лента не создана)
+ */
+router.get('/calendar/feed', authenticateToken, async (req, res) => {
+  try {
+    const feedResult = await executeQuery(
+      'SELECT token FROM calendar_feeds WHERE user_id = ?',
+      [req.user.id]
+    );
+
+    if (!feedResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения ленты календаря',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.json({ url: feedResult.data.length > 0 ? buildFeedUrl(feedResult.data[0].token) : null });
+
+  } catch (error) {
+    console.error('Ошибка получения ленты календаря:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * POST /api/progress/calendar/feed
+ * Создать ссылку на iCalendar-ленту (старая ссылка перестаёт работать)
+ *
+ * Ответ: { url }
+ */
+router.post('/calendar/feed', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const saveResult = await executeQuery(
+      `INSERT INTO calendar_feeds (user_id, token) VALUES (?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET token = excluded.token, created_at = CURRENT_TIMESTAMP`,
+      [req.user.id, token]
+    );
+
+    if (!saveResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка создания ленты календаря',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.status(201).json({ url: buildFeedUrl(token) });
+
+  } catch (error) {
+    console.error('Ошибка создания ленты календаря:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/progress/calendar/feed
+ * Отключить iCalendar-ленту
+ */
+router.delete('/calendar/feed', authenticateToken, async (req, res) => {
+  try {
+    const deleteResult = await executeQuery(
+      'DELETE FROM calendar_feeds WHERE user_id = ?',
+      [req.user.id]
+    );
+
+    if (!deleteResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка отключения ленты календаря',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.json({ message: 'Лента календаря отключена' });
+
+  } catch (error) {
+    console.error('Ошибка отключения ленты календаря:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+/**
+ * GET /api/progress/calendar/ical/:token.ics
+ * iCalendar-лента для подписки в календарных приложениях
+ * Без JWT: доступ по секретному токену из POST /api/progress/calendar/feed
+ */
+router.get('/calendar/ical/:token.ics', async (req, res) => {
+  try {
+    const feedResult = await executeQuery(
+      `SELECT cf.user_id, u.display_name
+       FROM calendar_feeds cf
+       JOIN users u ON cf.user_id = u.id
+       WHERE cf.token = ? AND u.is_blocked = 0`,
+      [req.params.token]
+    );
+
+    if (!feedResult.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения ленты календаря',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    if (feedResult.data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Лента календаря не найдена',
+        code: 'FEED_NOT_FOUND' 
+      });
+    }
+
+    const { user_id: userId } = feedResult.data[0];
+    const today = toDateString();
+    const events = await getCalendarEvents(userId, {
+      from: addDays(today, -ICAL_PAST_DAYS),
+      to: addDays(today, CALENDAR_MAX_DAYS)
+    });
+
+    if (!events) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения календаря',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="watchrebel.ics"');
+    res.send(buildICalendar(events, { name: 'watchRebel — выход серий' }));
+
+  } catch (error) {
+    console.error('Ошибка формирования iCalendar-ленты:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
 /**
  * GET /api/progress/:seriesId
  * Получить прогресс просмотра сериала
@@ -305,4 +594,92 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/progress/:seriesId/next
+ * Следующая непросмотренная серия сериала
+ *
+ * Ответ: { title, nextEpisode } — nextEpisode null, если пользователь всё посмотрел
+ */
+router.get('/:seriesId/next', authenticateToken, async (req, res) => {
+  try {
+    const { values, code } = parseProgressParams(req.params);
+    if (code) return sendProgressError(res, code);
+
+    const result = await getNextEpisode(req.user.id, values.seriesId);
+    if (!result.success) return sendProgressError(res, result.code);
+
+    res.json({ title: result.title, nextEpisode: result.nextEpisode });
+
+  } catch (error) {
+    console.error('Ошибка получения следующей серии:', error);
+    sendProgressError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * GET /api/progress/:seriesId/season/:seasonNumber
+ * Серии сезона с отметками о просмотре
+ *
+ * Ответ: { title, seasonNumber, name, seasonsCount, watchedCount, episodes: [{ episodeNumber, name, airDate, aired, watched }] }
+ */
+router.get('/:seriesId/season/:seasonNumber', authenticateToken, async (req, res) => {
+  try {
+    const { values, code } = parseProgressParams(req.params);
+    if (code) return sendProgressError(res, code);
+
+    const result = await getSeasonProgress(req.user.id, values.seriesId, values.seasonNumber);
+    if (!result.success) return sendProgressError(res, result.code);
+
+    res.json(result.season);
+
+  } catch (error) {
+    console.error('Ошибка получения прогресса сезона:', error);
+    sendProgressError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * POST /api/progress/:seriesId/season/:seasonNumber
+ * Отметить все вышедшие серии сезона как просмотренные
+ *
+ * Ответ: { marked, title, nextEpisode }
+ */
+router.post('/:seriesId/season/:seasonNumber', authenticateToken, async (req, res) => {
+  try {
+    const { values, code } = parseProgressParams(req.params);
+    if (code) return sendProgressError(res, code);
+
+    const result = await markSeasonWatched(req.user.id, values.seriesId, values.seasonNumber);
+    if (!result.success) return sendProgressError(res, result.code);
+
+    res.json({ marked: result.marked, title: result.title, nextEpisode: result.nextEpisode });
+
+  } catch (error) {
+    console.error('Ошибка отметки сезона:', error);
+    sendProgressError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/progress/:seriesId/:seasonNumber/:episodeNumber
+ * Снять отметку о просмотре серии
+ *
+ * Ответ: { removed, title, nextEpisode }
+ */
+router.delete('/:seriesId/:seasonNumber/:episodeNumber', authenticateToken, async (req, res) => {
+  try {
+    const { values, code } = parseProgressParams(req.params);
+    if (code) return sendProgressError(res, code);
+
+    const result = await unmarkEpisode(req.user.id, values.seriesId, values.seasonNumber, values.episodeNumber);
+    if (!result.success) return sendProgressError(res, result.code);
+
+    res.json({ removed: result.removed, title: result.title, nextEpisode: result.nextEpisode });
+
+  } catch (error) {
+    console.error('Ошибка снятия отметки о просмотре:', error);
+    sendProgressError(res, 'INTERNAL_ERROR');
+  }
+});
+
 export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { checkAchievements } from '../utils/achievementChecker.js';
 
 const router = express.Router();
 
@@ -113,6 +114,10 @@ router.post('/', authenticateToken, async (req, res) => {
         });
       }
 
+      checkAchievements(userId, 'ratings').catch(err => {
+        console.error('❌ [POST /ratings] Ошибка проверки достижений:', err);
+      });
+
       // Автоматически создаем запись на стене при добавлении нового рейтинга
       // Проверяем, есть ли уже ЛЮБОЙ пост с этим фильмом
       const existingPostCheck = await executeQuery(
@@ -2,51 +2,78 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken } from '../middleware/auth.js';
+import {
+  createReport,
+  REPORT_CATEGORIES,
+  REPORT_TARGET_TYPES,
+  REPORT_REASON_MIN_LENGTH
+} from '../services/reportService.js';
 
 const router = express.Router();
 
 router.use(authenticateToken);
 
+// Как назвать контент в уведомлении администраторам
+const TARGET_TITLES = {
+  wall_post: 'запись',
+  post_comment: 'комментарий',
+  image_comment: 'комментарий к изображению',
+  review: 'рецензию',
+  message: 'сообщение',
+  list: 'список'
+};
+
+const CREATE_ERRORS = {
+  INVALID_TARGET: [400, 'Укажите, на что жалоба'],
+  INVALID_CATEGORY: [400, 'Неизвестная категория жалобы'],
+  REASON_TOO_SHORT: [400, `Причина жалобы должна содержать минимум ${REPORT_REASON_MIN_LENGTH} символов`],
+  REASON_TOO_LONG: [400, 'Причина жалобы слишком длинная'],
+  CANNOT_REPORT_SELF: [400, 'Нельзя пожаловаться на себя'],
+  TARGET_NOT_FOUND: [404, 'Контент не найден'],
+  FORBIDDEN: [403, 'Нет доступа к этому контенту'],
+  ALREADY_REPORTED: [409, 'Вы уже пожаловались, жалоба ещё рассматривается']
+};
+
+/**
+ * GET /api/reports/categories
+ * Категории жалоб и типы контента, на который можно пожаловаться
+ */
+router.get('/categories', (req, res) => {
+  res.json({ categories: REPORT_CATEGORIES, targetTypes: REPORT_TARGET_TYPES });
+});
+
 /**
  * POST /api/reports
  * Создать жалобу
+ *
+ * Body:
+ * - targetType: 'user' | 'wall_post' | 'post_comment' | 'image_comment' | 'review' | 'message' | 'list'
+ * - targetId: string — ID контента (для 'user' — ID пользователя)
+ * - category: 'spam' | 'abuse' | 'hate' | 'nsfw' | 'spoilers' | 'misinformation' | 'other'
+ * - reason: string — пояснение, обязательно для категории 'other'
+ * - snapshotText: string — текст сообщения секретного чата (сервер его не видит)
+ * - reportedUserId: string — старый формат жалобы на профиль, равносилен targetType 'user'
  */
 router.post('/', async (req, res) => {
   try {
-    const { reportedUserId, reason } = req.body;
+    const { reportedUserId, category, reason, snapshotText } = req.body;
+    const targetType = req.body.targetType || (reportedUserId ? 'user' : null);
+    const targetId = req.body.targetId || (targetType === 'user' ? reportedUserId : null);
     const reporterId = req.user.id;
 
-    if (!reportedUserId || !reason) {
-      return res.status(400).json({ error: 'Укажите пользователя и причину жалобы' });
-    }
-
-    if (reason.trim().length < 10) {
-      return res.status(400).json({ error: 'Причина жалобы должна содержать минимум 10 символов' });
-    }
-
-    if (reporterId === reportedUserId) {
-      return res.status(400).json({ error: 'Нельзя пожаловаться на себя' });
-    }
-
-    const userCheck = await executeQuery('SELECT id FROM users WHERE id = ?', [reportedUserId]);
-    if (!userCheck.success || userCheck.data.length === 0) {
-      return res.status(404).json({ error: 'Пользователь не найден' });
-    }
-
-    const id = uuidv4();
-    const result = await executeQuery(
-      'INSERT INTO reports (id, reporter_id, reported_user_id, reason) VALUES (?, ?, ?, ?)',
-      [id, reporterId, reportedUserId, reason.trim()]
-    );
+    const result = await createReport({ reporterId, targetType, targetId, category, reason, snapshotText });
 
     if (!result.success) {
-      return res.status(500).json({ error: 'Ошибка создания жалобы' });
+      const [status, error] = CREATE_ERRORS[result.code] || [500, 'Ошибка создания жалобы'];
+      return res.status(status).json({ error, code: result.code });
     }
 
+    const { report } = result;
+
     // Уведомляем админов
     try {
       const reporter = await executeQuery('SELECT display_name FROM users WHERE id = ?', [reporterId]);
-      const reported = await executeQuery('SELECT display_name FROM users WHERE id = ?', [reportedUserId]);
+      const reported = await executeQuery('SELECT display_name FROM users WHERE id = ?', [report.reportedUserId]);
       
       const reporterName = reporter.data?.[0]?.display_name || 'Неизвестный';
       const reportedName = reported.data?.[0]?.display_name || 'Неизвестный';
@@ -63,7 +90,9 @@ router.post('/', async (req, res) => {
                 uuidv4(),
                 adminId,
                 'new_report',
-                `Новая жалоба от ${reporterName} на ${reportedName}`,
+                targetType === 'user'
+                  ? `Новая жалоба от ${reporterName} на ${reportedName}`
+                  : `Новая жалоба от ${reporterName} на ${TARGET_TITLES[targetType]} пользователя ${reportedName}`,
                 reporterId
               ]
             );
@@ -74,7 +103,7 @@ router.post('/', async (req, res) => {
       console.error('Ошибка уведомления:', notifError);
     }
 
-    res.status(201).json({ message: 'Жалоба отправлена' });
+    res.status(201).json({ message: 'Жалоба отправлена', reportId: report.id });
   } catch (error) {
     console.error('Ошибка создания жалобы:', error);
     res.status(500).json({ error: 'Ошибка сервера' });
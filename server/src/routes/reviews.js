@@ -1,8 +1,12 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import mediaCacheService from '../services/mediaCacheService.js';
+import { checkAchievements } from '../utils/achievementChecker.js';
+import { indexWallPost } from '../services/siteSearchService.js';
+import { visibleContentCondition, visibleContentParams, recordFilterEvent } from '../services/contentFilterService.js';
+import { validateUserContent } from '../utils/validation.js';
 
 const router = express.Router();
 
@@ -146,6 +150,15 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    const contentCheck = await validateUserContent({ user: req.user, targetType: 'review', text: trimmedReview });
+
+    if (!contentCheck.valid) {
+      return res.status(contentCheck.code === 'FLOOD_LIMIT' ? 429 : 400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
     // Создаем пост на стене типа 'review'
     // Формат content: первая строка - название фильма, остальное - текст отзыва
     const reviewContent = `${title}\n${trimmedReview}`;
@@ -154,10 +167,10 @@ router.post('/', authenticateToken, async (req, res) => {
     const insertResult = await executeQuery(
       `INSERT INTO wall_posts (
         id, user_id, wall_owner_id, post_type, content, 
-        tmdb_id, media_type, poster_path, rating, created_at
+        tmdb_id, media_type, poster_path, rating, filter_status, created_at
       )
-      VALUES (?, ?, ?, 'review', ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
-      [postId, userId, userId, reviewContent, tmdbId, mediaType, posterPath, rating || null]
+      VALUES (?, ?, ?, 'review', ?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
+      [postId, userId, userId, reviewContent, tmdbId, mediaType, posterPath, rating || null, contentCheck.filterStatus]
     );
 
     if (!insertResult.success) {
@@ -167,6 +180,14 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    await indexWallPost(postId);
+
+    if (contentCheck.filterStatus) {
+      await recordFilterEvent({
+        userId, targetType: 'review', targetId: postId, content: trimmedReview, filter: contentCheck.filter
+      });
+    }
+
     // Получаем созданный пост с информацией об авторе
     const postResult = await executeQuery(
       `SELECT 
@@ -189,13 +210,16 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 
     const post = postResult.data[0];
-
-    // Отправляем уведомления друзьям
-    console.log(`🔔 [POST /reviews] Начало отправки уведомлений. UserId: ${userId}, PostId: ${postId}, Title: ${title}`);
-    const { notifyFriendPostedReview } = await import('../services/notificationService.js');
-    notifyFriendPostedReview(userId, tmdbId, mediaType, title, postId).catch(err => {
-      console.error('❌ [POST /reviews] Ошибка отправки уведомлений о новом отзыве:', err);
-    });
+    const isFiltered = Boolean(contentCheck.filterStatus);
+
+    // Отправляем уведомления друзьям (отфильтрованную рецензию видит только автор)
+    if (!isFiltered) {
+      console.log(`🔔 [POST /reviews] Начало отправки уведомлений. UserId: ${userId}, PostId: ${postId}, Title: ${title}`);
+      const { notifyFriendPostedReview } = await import('../services/notificationService.js');
+      notifyFriendPostedReview(userId, tmdbId, mediaType, title, postId).catch(err => {
+        console.error('❌ [POST /reviews] Ошибка отправки уведомлений о новом отзыве:', err);
+      });
+    }
 
     // Отправляем WebSocket уведомление о новом посте в ленте
     const { notifyFeedNewPost } = await import('../services/websocketService.js');
@@ -225,8 +249,14 @@ router.post('/', authenticateToken, async (req, res) => {
       reactions: []
     };
 
-    notifyFeedNewPost(userId, postForFeed).catch(err => {
-      console.error('Ошибка отправки WebSocket уведомления о новом отзыве:', err);
+    if (!isFiltered) {
+      notifyFeedNewPost(userId, postForFeed).catch(err => {
+        console.error('Ошибка отправки WebSocket уведомления о новом отзыве:', err);
+      });
+    }
+
+    checkAchievements(userId, 'reviews').catch(err => {
+      console.error('❌ [POST /reviews] Ошибка проверки достижений:', err);
     });
 
     res.status(201).json({
@@ -245,7 +275,8 @@ router.post('/', authenticateToken, async (req, res) => {
         avatarUrl: post.author_avatar_url,
         telegramUsername: post.author_telegram_username
       },
-      message: 'Отзыв успешно опубликован!'
+      ...(post.filter_status === 'held' && { moderationStatus: 'held' }),
+      message: post.filter_status === 'held' ? 'Отзыв отправлен на проверку модератору' : 'Отзыв успешно опубликован!'
     });
 
   } catch (error) {
@@ -264,7 +295,7 @@ router.post('/', authenticateToken, async (req, res) => {
  * Query params:
  * - mediaType: 'movie' | 'tv' (обязательно)
  */
-router.get('/user/:userId/media/:tmdbId', async (req, res) => {
+router.get('/user/:userId/media/:tmdbId', optionalAuth, async (req, res) => {
   try {
     const { userId, tmdbId } = req.params;
     const { mediaType } = req.query;
@@ -288,9 +319,10 @@ router.get('/user/:userId/media/:tmdbId', async (req, res) => {
        FROM wall_posts wp
        LEFT JOIN users u ON wp.user_id = u.id
        WHERE wp.user_id = ? AND wp.tmdb_id = ? AND wp.media_type = ? AND wp.post_type = 'review'
+         AND ${visibleContentCondition('wp')}
        ORDER BY wp.created_at DESC
        LIMIT 1`,
-      [userId, parseInt(tmdbId), mediaType]
+      [userId, parseInt(tmdbId), mediaType, ...visibleContentParams(req.user?.id)]
     );
 
     if (!reviewResult.success) {
@@ -475,15 +507,26 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const contentCheck = await validateUserContent({
+      user: req.user, targetType: 'review', text: trimmedReview, isEdit: true
+    });
+
+    if (!contentCheck.valid) {
+      return res.status(400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
     // Формат content: первая строка - название фильма, остальное - текст отзыва
     const reviewContent = `${title}\n${trimmedReview}`;
 
-    // Обновляем отзыв
+    // Обновляем отзыв; уже отфильтрованный остаётся на проверке
     const updateResult = await executeQuery(
       `UPDATE wall_posts 
-       SET content = ?, rating = ?, edited_at = datetime('now', 'localtime')
+       SET content = ?, rating = ?, filter_status = COALESCE(filter_status, ?), edited_at = datetime('now', 'localtime')
        WHERE id = ?`,
-      [reviewContent, rating || null, reviewId]
+      [reviewContent, rating || null, contentCheck.filterStatus, reviewId]
     );
 
     if (!updateResult.success) {
@@ -493,6 +536,14 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    await indexWallPost(reviewId);
+
+    if (contentCheck.filterStatus && !existingReview.filter_status) {
+      await recordFilterEvent({
+        userId, targetType: 'review', targetId: reviewId, content: trimmedReview, filter: contentCheck.filter
+      });
+    }
+
     // Получаем обновленный пост с информацией об авторе
     const postResult = await executeQuery(
       `SELECT 
@@ -539,8 +590,15 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     };
 
-    notifyPostUpdated(userId, updatedPostForFeed).catch(err => {
-      console.error('Ошибка отправки WebSocket уведомления об обновлении отзыва:', err);
+    if (!post.filter_status) {
+      notifyPostUpdated(userId, updatedPostForFeed).catch(err => {
+        console.error('Ошибка отправки WebSocket уведомления об обновлении отзыва:', err);
+      });
+    }
+
+    // После редактирования отзыв может дорасти до минимального объёма
+    checkAchievements(userId, 'reviews').catch(err => {
+      console.error('❌ [PUT /reviews/:id] Ошибка проверки достижений:', err);
     });
 
     res.json({
@@ -560,6 +618,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
         avatarUrl: post.author_avatar_url,
         telegramUsername: post.author_telegram_username
       },
+      ...(post.filter_status === 'held' && { moderationStatus: 'held' }),
       message: 'Отзыв успешно обновлен!'
     });
 
@@ -640,7 +699,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
  * Получить отзыв по ID поста
  * Используется для отображения страницы фильма с отзывом
  */
-router.get('/post/:postId', async (req, res) => {
+router.get('/post/:postId', optionalAuth, async (req, res) => {
   try {
     const { postId } = req.params;
 
@@ -654,8 +713,8 @@ router.get('/post/:postId', async (req, res) => {
         u.telegram_username as author_telegram_username
        FROM wall_posts wp
        LEFT JOIN users u ON wp.user_id = u.id
-       WHERE wp.id = ? AND wp.post_type = 'review'`,
-      [postId]
+       WHERE wp.id = ? AND wp.post_type = 'review' AND ${visibleContentCondition('wp')}`,
+      [postId, ...visibleContentParams(req.user?.id)]
     );
 
     if (!reviewResult.success) {
@@ -0,0 +1,145 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import tmdbService from '../services/tmdbService.js';
+import { searchUsers } from '../services/userSearchService.js';
+import {
+  searchContent,
+  SITE_SEARCH_GROUPS,
+  SITE_SEARCH_DEFAULT_LIMIT,
+  SITE_SEARCH_MAX_LIMIT
+} from '../services/siteSearchService.js';
+
+const router = express.Router();
+
+// Сколько результатов каждой группы возвращать в общем поиске (type=all)
+const PREVIEW_LIMIT = 5;
+// Группы, которые можно листать по отдельности; фильмы и сериалы листаются через /api/media/search
+const PAGED_GROUPS = ['users', ...SITE_SEARCH_GROUPS];
+
+/**
+ * Фильмы и сериалы из TMDb (первая страница), самые популярные сверху
+ * Ошибка TMDb не ломает остальные группы — возвращается пустая группа
+ */
+async function searchMediaPreview(query, limit) {
+  try {
+    await tmdbService.initialize();
+    const [movies, tv] = await Promise.all([
+      tmdbService.searchMovies(query, 1),
+      tmdbService.searchTV(query, 1)
+    ]);
+
+    const items = [
+      ...(movies.results || []).map(movie => ({ ...movie, media_type: 'movie' })),
+      ...(tv.results || []).map(show => ({ ...show, media_type: 'tv' }))
+    ]
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+      .slice(0, limit)
+      .map(item => ({
+        tmdbId: item.id,
+        mediaType: item.media_type,
+        title: item.title || item.name,
+        posterPath: item.poster_path,
+        releaseDate: item.release_date || item.first_air_date,
+        voteAverage: item.vote_average
+      }));
+
+    const total = (movies.total_results || 0) + (tv.total_results || 0);
+    return { items, total, hasMore: items.length < total };
+  } catch (error) {
+    console.error('Ошибка поиска фильмов и сериалов:', error.message);
+    return { items: [], total: 0, hasMore: false };
+  }
+}
+
+/**
+ * Найти одну группу результатов
+ * @returns {Promise<Object|null>} - { items, total, hasMore }, null при ошибке БД
+ */
+async function searchGroup(viewerId, group, query, options) {
+  if (group === 'users') {
+    const result = await searchUsers(viewerId, query, options);
+    return result && { items: result.users, total: result.total, hasMore: result.hasMore };
+  }
+  return searchContent(viewerId, group, query, options);
+}
+
+/**
+ * GET /api/search
+ * Общий поиск по сайту: фильмы и сериалы, люди, записи стены, рецензии, списки и комментарии
+ * Query params:
+ * - q: поисковый запрос (обязательно)
+ * - type: all (по умолчанию) | users | posts | reviews | lists | comments
+ * - limit, offset: пагинация для конкретного type (default: 20, 0)
+ * При type=all возвращается по PREVIEW_LIMIT результатов каждой группы
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const viewerId = req.user.id;
+    const q = (req.query.q || '').trim();
+    const type = req.query.type || 'all';
+
+    if (!q) {
+      return res.status(400).json({
+        error: 'Поисковый запрос не может быть пустым',
+        code: 'EMPTY_QUERY'
+      });
+    }
+
+    if (type !== 'all' && !PAGED_GROUPS.includes(type)) {
+      return res.status(400).json({
+        error: `type должен быть одним из: all, ${PAGED_GROUPS.join(', ')}`,
+        code: 'INVALID_TYPE'
+      });
+    }
+
+    if (type !== 'all') {
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : SITE_SEARCH_DEFAULT_LIMIT;
+      const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+      if (isNaN(limit) || limit < 1 || limit > SITE_SEARCH_MAX_LIMIT || isNaN(offset) || offset < 0) {
+        return res.status(400).json({
+          error: `limit должен быть от 1 до ${SITE_SEARCH_MAX_LIMIT}, offset — неотрицательным`,
+          code: 'INVALID_PAGINATION'
+        });
+      }
+
+      const result = await searchGroup(viewerId, type, q, { limit, offset });
+      if (!result) {
+        return res.status(500).json({
+          error: 'Ошибка поиска',
+          code: 'DATABASE_ERROR'
+        });
+      }
+
+      return res.json({ query: q, type, groups: { [type]: result } });
+    }
+
+    const [media, ...pagedResults] = await Promise.all([
+      searchMediaPreview(q, PREVIEW_LIMIT),
+      ...PAGED_GROUPS.map(group => searchGroup(viewerId, group, q, { limit: PREVIEW_LIMIT, offset: 0 }))
+    ]);
+
+    if (pagedResults.some(result => !result)) {
+      return res.status(500).json({
+        error: 'Ошибка поиска',
+        code: 'DATABASE_ERROR'
+      });
+    }
+
+    const groups = { media };
+    PAGED_GROUPS.forEach((group, index) => {
+      groups[group] = pagedResults[index];
+    });
+
+    res.json({ query: q, type, groups });
+
+  } catch (error) {
+    console.error('Ошибка общего поиска:', error);
+    res.status(500).json({
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -10,6 +10,7 @@ import { NobleCryptoPlugin } from '@otplib/plugin-crypto-noble';
 import { ScureBase32Plugin } from '@otplib/plugin-base32-scure';
 import QRCode from 'qrcode';
 import { generatePreAuthToken, verifyPreAuthToken, hashTrustedDeviceToken } from '../utils/twoFactorUtils.js';
+import { createUserSession } from '../services/sessionService.js';
 
 const router = express.Router();
 
@@ -259,16 +260,7 @@ router.post('/verify', async (req, res) => {
     }
 
     // Создаем полноценную сессию
-    const sessionId = uuidv4();
-    const token = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30);
-
-    const sessionResult = await executeQuery(
-      `INSERT INTO sessions (id, user_id, token, expires_at)
-       VALUES (?, ?, ?, ?)`,
-      [sessionId, userId, token, expiresAt.toISOString()]
-    );
+    const sessionResult = await createUserSession(userId, req);
 
     if (!sessionResult.success) {
       return res.status(500).json({
@@ -309,7 +301,7 @@ router.post('/verify', async (req, res) => {
     const fullUser = fullUserResult.data[0];
 
     res.json({
-      token,
+      token: sessionResult.token,
       user: {
         id: fullUser.id,
         telegramUsername: fullUser.telegram_username,
@@ -2,8 +2,14 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { uploadAvatar } from '../middleware/upload.js';
+import { uploadAvatar, processUploadedImages } from '../middleware/upload.js';
 import { sendTelegramNotification, checkNotificationEnabled } from '../services/notificationService.js';
+import mediaCacheService, { GENRES_RETRY_HOURS } from '../services/mediaCacheService.js';
+import { PRESENCE_PRIVACY_VALUES } from '../services/presenceService.js';
+import { checkAchievements, getUserAchievements } from '../utils/achievementChecker.js';
+import { searchUsers, indexUser, USER_SEARCH_DEFAULT_LIMIT, USER_SEARCH_MAX_LIMIT } from '../services/userSearchService.js';
+import { indexWallPost } from '../services/siteSearchService.js';
+import { withAvatarVariants, removeImageVariants } from '../services/imageVariantService.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -15,10 +21,13 @@ const router = express.Router();
 
 /**
  * GET /api/users/search
- * Поиск пользователей по имени
+ * Поиск пользователей по имени, Telegram username и своим никнеймам
+ * Сначала — совпадения по никнеймам и началу имени, затем по числу общих друзей
  * 
  * Query params:
  * - q: string (поисковый запрос)
+ * - limit: number (опционально, по умолчанию 20, максимум 50)
+ * - offset: number (опционально, по умолчанию 0)
  */
 router.get('/search', authenticateToken, async (req, res) => {
   try {
@@ -31,43 +40,26 @@ router.get('/search', authenticateToken, async (req, res) => {
       });
     }
 
-    // Ищем пользователей по имени (case-insensitive для кириллицы)
-    // SQLite LOWER() не работает с кириллицей, поэтому делаем сравнение на уровне приложения
-    const searchQuery = q.toLowerCase();
-    
-    // Получаем всех незаблокированных пользователей
-    const allUsersResult = await executeQuery(
-      `SELECT id, telegram_username, display_name, avatar_url, user_status, is_admin, created_at 
-       FROM users 
-       WHERE is_blocked = 0`
-    );
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : USER_SEARCH_DEFAULT_LIMIT;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+    if (isNaN(limit) || limit < 1 || limit > USER_SEARCH_MAX_LIMIT || isNaN(offset) || offset < 0) {
+      return res.status(400).json({ 
+        error: `limit должен быть от 1 до ${USER_SEARCH_MAX_LIMIT}, offset — неотрицательным`,
+        code: 'INVALID_PAGINATION' 
+      });
+    }
 
-    if (!allUsersResult.success) {
+    const result = await searchUsers(req.user.id, q, { limit, offset });
+
+    if (!result) {
       return res.status(500).json({ 
         error: 'Ошибка поиска пользователей',
         code: 'DATABASE_ERROR' 
       });
     }
 
-    // Фильтруем на уровне приложения для корректной работы с кириллицей
-    const filteredUsers = allUsersResult.data.filter(user => {
-      const displayName = (user.display_name || '').toLowerCase();
-      const telegramUsername = (user.telegram_username || '').toLowerCase();
-      return displayName.includes(searchQuery) || telegramUsername.includes(searchQuery);
-    });
-
-    // Ограничиваем результат 50 пользователями
-    const users = filteredUsers.slice(0, 50).map(user => ({
-      id: user.id,
-      telegramUsername: user.telegram_username,
-      displayName: user.display_name,
-      avatarUrl: user.avatar_url,
-      userStatus: user.user_status,
-      isAdmin: Boolean(user.is_admin),
-      createdAt: user.created_at
-    }));
-
-    res.json(users);
+    res.json(result);
 
   } catch (error) {
     console.error('Ошибка поиска пользователей:', error);
@@ -89,7 +81,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     // Получаем информацию о пользователе
     const userResult = await executeQuery(
-      'SELECT id, telegram_username, display_name, avatar_url, user_status, is_admin, is_blocked, ban_reason, post_ban_until, theme, wall_privacy, auth_method, email, google_id, discord_id, email_verified, nickname_display, created_at FROM users WHERE id = ?',
+      'SELECT id, telegram_username, display_name, avatar_url, user_status, is_admin, is_blocked, ban_reason, post_ban_until, theme, wall_privacy, presence_privacy, auth_method, email, google_id, discord_id, email_verified, nickname_display, created_at FROM users WHERE id = ?',
       [id]
     );
 
@@ -158,11 +150,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    const [{ avatarVariants }] = await withAvatarVariants([{ avatarUrl: user.avatar_url }]);
+
     res.json({
       id: user.id,
       telegramUsername: user.telegram_username,
       displayName: user.display_name,
       avatarUrl: user.avatar_url,
+      avatarVariants,
       userStatus: user.user_status,
       isAdmin: Boolean(user.is_admin),
       isBlocked: Boolean(user.is_blocked),
@@ -170,6 +165,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       postBanUntil: user.post_ban_until,
       theme: user.theme,
       wallPrivacy: user.wall_privacy || 'all',
+      presencePrivacy: user.presence_privacy || 'all',
       authMethod: user.auth_method || 'telegram',
       email: user.email,
       hasGoogleLinked: Boolean(user.google_id),
@@ -200,12 +196,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * - displayName: string (опционально)
  * - userStatus: string (опционально, максимум 100 символов)
  * - theme: string (опционально)
+ * - wallPrivacy: 'all' | 'friends' | 'none' (опционально)
+ * - presencePrivacy: 'all' | 'friends' | 'none' (опционально) - кто видит статус "в сети" и "был в сети"
  * - avatar: file (опционально) - изображение для аватарки
  */
-router.put('/:id', authenticateToken, uploadAvatar.single('avatar'), async (req, res) => {
+router.put('/:id', authenticateToken, uploadAvatar.single('avatar'), processUploadedImages('avatar'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { displayName, userStatus, theme, wallPrivacy } = req.body;
+    const { displayName, userStatus, theme, wallPrivacy, presencePrivacy } = req.body;
     const avatarFile = req.file;
 
     // Проверяем права: пользователь может редактировать только свой профиль или админ может редактировать любой
@@ -304,6 +302,7 @@ router.put('/:id', authenticateToken, uploadAvatar.single('avatar'), async (req,
         
         if (insertResult.success) {
           console.log('✅ Пост со статусом создан:', postId);
+          await indexWallPost(postId);
         } else {
           console.error('❌ Ошибка создания поста со статусом:', insertResult);
         }
@@ -335,6 +334,20 @@ router.put('/:id', authenticateToken, uploadAvatar.single('avatar'), async (req,
       params.push(wallPrivacy);
     }
 
+    if (presencePrivacy !== undefined) {
+      if (!PRESENCE_PRIVACY_VALUES.includes(presencePrivacy)) {
+        if (avatarFile) {
+          fs.unlinkSync(avatarFile.path);
+        }
+        return res.status(400).json({ 
+          error: 'presencePrivacy должен быть одним из: all, friends, none',
+          code: 'INVALID_PRESENCE_PRIVACY' 
+        });
+      }
+      updates.push('presence_privacy = ?');
+      params.push(presencePrivacy);
+    }
+
     // Если загружена новая аватарка
     if (avatarFile) {
       // Формируем URL для аватарки
@@ -352,6 +365,7 @@ router.put('/:id', authenticateToken, uploadAvatar.single('avatar'), async (req,
             console.error('Ошибка удаления старой аватарки:', err);
           }
         }
+        await removeImageVariants(oldAvatarUrl);
       }
     }
 
@@ -381,9 +395,13 @@ router.put('/:id', authenticateToken, uploadAvatar.single('avatar'), async (req,
       });
     }
 
+    if (displayName !== undefined) {
+      await indexUser(id);
+    }
+
     // Получаем обновленные данные пользователя
     const updatedUserResult = await executeQuery(
-      'SELECT id, telegram_username, display_name, avatar_url, user_status, is_admin, theme, wall_privacy, created_at FROM users WHERE id = ?',
+      'SELECT id, telegram_username, display_name, avatar_url, user_status, is_admin, theme, wall_privacy, presence_privacy, created_at FROM users WHERE id = ?',
       [id]
     );
 
@@ -398,6 +416,7 @@ router.put('/:id', authenticateToken, uploadAvatar.single('avatar'), async (req,
       isAdmin: Boolean(updatedUser.is_admin),
       theme: updatedUser.theme,
       wallPrivacy: updatedUser.wall_privacy || 'all',
+      presencePrivacy: updatedUser.presence_privacy || 'all',
       createdAt: updatedUser.created_at
     });
 
@@ -508,6 +527,10 @@ router.post('/:id/friends', authenticateToken, async (req, res) => {
       });
     }
 
+    checkAchievements(userId, 'social').catch(err => {
+      console.error('❌ [POST /users/:id/friends] Ошибка проверки достижений:', err);
+    });
+
     // Получаем имя пользователя, который добавил в друзья
     const userResult = await executeQuery(
       'SELECT display_name FROM users WHERE id = ?',
@@ -636,10 +659,101 @@ router.get('/:id/friends/search', authenticateToken, async (req, res) => {
   }
 });
 
+// Сколько тайтлов без жанров дозапрашиваем из TMDb за один запрос статистики.
+// Остальные подтянутся при следующих запросах — так первый запрос не упирается в лимиты TMDb.
+const GENRE_STATS_MAX_FETCHES = 40;
+
+/**
+ * Собрать статистику по жанрам из оценок
+ * @param {Array<{tmdb_id: number, media_type: string, rating: number}>} ratings - Оценки пользователя
+ * @param {Map<string, Array>} genresMap - Жанры по ключу `${media_type}:${tmdb_id}`
+ * @returns {Array} - Жанры, отсортированные по количеству оценок
+ */
+function buildGenreStats(ratings, genresMap) {
+  const stats = new Map();
+  let totalAssignments = 0;
+
+  for (const rating of ratings) {
+    const genres = genresMap.get(`${rating.media_type}:${rating.tmdb_id}`) || [];
+    for (const genre of genres) {
+      if (!stats.has(genre.id)) {
+        stats.set(genre.id, { genreId: genre.id, name: genre.name, count: 0, ratingSum: 0 });
+      }
+      const entry = stats.get(genre.id);
+      entry.count++;
+      entry.ratingSum += rating.rating;
+      totalAssignments++;
+    }
+  }
+
+  return [...stats.values()]
+    .map(({ ratingSum, ...entry }) => ({
+      ...entry,
+      averageRating: Math.round((ratingSum / entry.count) * 10) / 10,
+      percentage: Math.round((entry.count / totalAssignments) * 1000) / 10
+    }))
+    .sort((a, b) => b.count - a.count || b.averageRating - a.averageRating);
+}
+
+/**
+ * GET /api/users/:id/achievements
+ * Получить достижения пользователя
+ * Неполученные достижения с прогрессом видит только владелец профиля.
+ *
+ * Ответ: { unlocked, locked, stats, total }
+ */
+router.get('/:id/achievements', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Проверяем, существует ли пользователь
+    const userCheck = await executeQuery(
+      'SELECT id FROM users WHERE id = ?',
+      [id]
+    );
+
+    if (!userCheck.success) {
+      return res.status(500).json({ 
+        error: 'Ошибка проверки пользователя',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    if (userCheck.data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Пользователь не найден',
+        code: 'USER_NOT_FOUND' 
+      });
+    }
+
+    const achievements = await getUserAchievements(id, { includeLocked: req.user.id === id });
+
+    if (!achievements) {
+      return res.status(500).json({ 
+        error: 'Ошибка получения достижений',
+        code: 'DATABASE_ERROR' 
+      });
+    }
+
+    res.json(achievements);
+
+  } catch (error) {
+    console.error('Ошибка получения достижений:', error);
+    res.status(500).json({ 
+      error: 'Внутренняя ошибка сервера',
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
 /**
  * GET /api/users/:id/genre-stats
  * Получить статистику по жанрам пользователя
- * Вычисляет процентное соотношение жанров на основе оценок пользователя
+ * Для каждого жанра: количество оценок, средняя оценка и доля от всех жанров.
+ * Жанры берутся из media_cache, тайтлы без жанров дозапрашиваются через TMDb.
+ *
+ * Ответ: массив жанров [{ genreId, name, count, averageRating, percentage }], как и раньше.
+ * С ?breakdown=true: { all, movie, tv, totalRated, uncategorized } — раздельно по фильмам и сериалам.
  */
 router.get('/:id/genre-stats', authenticateToken, async (req, res) => {
   try {
@@ -667,7 +781,7 @@ router.get('/:id/genre-stats', authenticateToken, async (req, res) => {
 
     // Получаем все оценки пользователя
     const ratingsResult = await executeQuery(
-      'SELECT tmdb_id, media_type FROM ratings WHERE user_id = ?',
+      'SELECT tmdb_id, media_type, rating FROM ratings WHERE user_id = ?',
       [id]
     );
 
@@ -678,16 +792,41 @@ router.get('/:id/genre-stats', authenticateToken, async (req, res) => {
       });
     }
 
+    const ratings = ratingsResult.data;
+
+    const breakdown = req.query.breakdown === 'true';
+
     // Если у пользователя нет оценок, возвращаем пустую статистику
-    if (ratingsResult.data.length === 0) {
-      return res.json([]);
+    if (ratings.length === 0) {
+      return res.json(breakdown ? { all: [], movie: [], tv: [], totalRated: 0, uncategorized: 0 } : []);
     }
 
-    // Для реальной реализации нужно было бы получить жанры из TMDb API
-    // Но для базовой реализации возвращаем заглушку
-    // TODO: Интегрировать с TMDb API для получения жанров
-    
-    res.json([]);
+    const genresMap = await mediaCacheService.getCachedGenres(ratings);
+
+    // Дозапрашиваем тайтлы, которых нет в кэше или у которых в кэше нет жанров.
+    // getFreshOrFetch обновит устаревшую запись без жанров, а не вернёт её же из кэша
+    const misses = ratings
+      .filter(r => !genresMap.has(`${r.media_type}:${r.tmdb_id}`))
+      .slice(0, GENRE_STATS_MAX_FETCHES);
+
+    for (const miss of misses) {
+      const details = await mediaCacheService.getFreshOrFetch(miss.tmdb_id, miss.media_type, GENRES_RETRY_HOURS);
+      genresMap.set(`${miss.media_type}:${miss.tmdb_id}`, details?.genres || null);
+    }
+
+    if (!breakdown) {
+      return res.json(buildGenreStats(ratings, genresMap));
+    }
+
+    const uncategorized = ratings.filter(r => !genresMap.get(`${r.media_type}:${r.tmdb_id}`)).length;
+
+    res.json({
+      all: buildGenreStats(ratings, genresMap),
+      movie: buildGenreStats(ratings.filter(r => r.media_type === 'movie'), genresMap),
+      tv: buildGenreStats(ratings.filter(r => r.media_type === 'tv'), genresMap),
+      totalRated: ratings.length,
+      uncategorized
+    });
 
   } catch (error) {
     console.error('Ошибка получения статистики по жанрам:', error);
@@ -877,6 +1016,8 @@ router.get('/:id/notification-settings', authenticateToken, async (req, res) =>
         newMessage: true,
         newFriendRequest: true,
         adminAnnouncement: true,
+        newEpisode: true,
+        release: true,
         emailFriendAddedToList: true,
         emailFriendRatedMedia: true,
         emailFriendPostedReview: true,
@@ -898,6 +1039,8 @@ router.get('/:id/notification-settings', authenticateToken, async (req, res) =>
       newMessage: Boolean(settings.new_message),
       newFriendRequest: Boolean(settings.new_friend_request),
       adminAnnouncement: Boolean(settings.admin_announcement),
+      newEpisode: settings.new_episode !== undefined ? Boolean(settings.new_episode) : true,
+      release: settings.release !== undefined ? Boolean(settings.release) : true,
       emailFriendAddedToList: settings.email_friend_added_to_list !== undefined ? Boolean(settings.email_friend_added_to_list) : true,
       emailFriendRatedMedia: settings.email_friend_rated_media !== undefined ? Boolean(settings.email_friend_rated_media) : true,
       emailFriendPostedReview: settings.email_friend_posted_review !== undefined ? Boolean(settings.email_friend_posted_review) : true,
@@ -928,6 +1071,8 @@ router.get('/:id/notification-settings', authenticateToken, async (req, res) =>
  * - newMessage: boolean (опционально)
  * - newFriendRequest: boolean (опционально)
  * - adminAnnouncement: boolean (опционально)
+ * - newEpisode: boolean (опционально) - новые серии отслеживаемых сериалов
+ * - release: boolean (опционально) - выход фильмов из watchlist
  */
 router.put('/:id/notification-settings', authenticateToken, async (req, res) => {
   try {
@@ -940,6 +1085,8 @@ router.put('/:id/notification-settings', authenticateToken, async (req, res) =>
       newMessage,
       newFriendRequest,
       adminAnnouncement,
+      newEpisode,
+      release,
       emailFriendAddedToList,
       emailFriendRatedMedia,
       emailFriendPostedReview,
@@ -1045,6 +1192,16 @@ router.put('/:id/notification-settings', authenticateToken, async (req, res) =>
       params.push(adminAnnouncement ? 1 : 0);
     }
 
+    if (newEpisode !== undefined) {
+      updates.push('new_episode = ?');
+      params.push(newEpisode ? 1 : 0);
+    }
+
+    if (release !== undefined) {
+      updates.push('release = ?');
+      params.push(release ? 1 : 0);
+    }
+
     if (emailFriendAddedToList !== undefined) {
       updates.push('email_friend_added_to_list = ?');
       params.push(emailFriendAddedToList ? 1 : 0);
@@ -1119,6 +1276,8 @@ router.put('/:id/notification-settings', authenticateToken, async (req, res) =>
       newMessage: Boolean(settings.new_message),
       newFriendRequest: Boolean(settings.new_friend_request),
       adminAnnouncement: Boolean(settings.admin_announcement),
+      newEpisode: settings.new_episode !== undefined ? Boolean(settings.new_episode) : true,
+      release: settings.release !== undefined ? Boolean(settings.release) : true,
       emailFriendAddedToList: settings.email_friend_added_to_list !== undefined ? Boolean(settings.email_friend_added_to_list) : true,
       emailFriendRatedMedia: settings.email_friend_rated_media !== undefined ? Boolean(settings.email_friend_rated_media) : true,
       emailFriendPostedReview: settings.email_friend_posted_review !== undefined ? Boolean(settings.email_friend_posted_review) : true,
@@ -1201,6 +1360,7 @@ router.delete('/me', authenticateToken, async (req, res) => {
           console.error('Ошибка удаления аватарки:', err);
         }
       }
+      await removeImageVariants(avatarUrl);
     }
 
     // Удаляем все сессии пользователя
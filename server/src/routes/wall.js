@@ -3,8 +3,12 @@ import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { authenticateToken, optionalAuth, checkPostBan } from '../middleware/auth.js';
 import { notifyReaction, createNotification, notifyCommentLike } from '../services/notificationService.js';
-import { uploadPostImages, uploadCommentImage } from '../middleware/upload.js';
-import { compressImage, isValidImageType } from '../utils/imageProcessor.js';
+import { uploadPostImages, uploadCommentImage, processUploadedImages } from '../middleware/upload.js';
+import { isValidImageType } from '../utils/imageProcessor.js';
+import { withImageVariants, withAvatarVariants, removeImageVariants } from '../services/imageVariantService.js';
+import { indexWallPost, indexComment } from '../services/siteSearchService.js';
+import { visibleContentCondition, visibleContentParams, recordFilterEvent } from '../services/contentFilterService.js';
+import { validateUserContent } from '../utils/validation.js';
 import path from 'path';
 
 const router = express.Router();
@@ -47,10 +51,10 @@ router.get('/:userId', optionalAuth, async (req, res) => {
         author.telegram_username as author_telegram_username
        FROM wall_posts wp
        LEFT JOIN users author ON wp.user_id = author.id
-       WHERE wp.wall_owner_id = ? 
+       WHERE wp.wall_owner_id = ? AND ${visibleContentCondition('wp')}
        ORDER BY wp.created_at DESC
        LIMIT ? OFFSET ?`,
-      [userId, limit, offset]
+      [userId, ...visibleContentParams(req.user?.id), limit, offset]
     );
 
     if (!postsResult.success) {
@@ -94,15 +98,15 @@ router.get('/:userId', optionalAuth, async (req, res) => {
           [post.id]
         );
 
-        const images = imagesResult.success ? imagesResult.data.map(img => ({
+        const images = await withImageVariants(imagesResult.success ? imagesResult.data.map(img => ({
           id: img.id,
           url: img.image_url,
           order: img.order
-        })) : [];
+        })) : []);
 
         // Получаем общее количество комментариев (включая ответы)
         const commentsCountResult = await executeQuery(
-          'SELECT COUNT(*) as total FROM post_comments WHERE post_id = ?',
+          'SELECT COUNT(*) as total FROM post_comments WHERE post_id = ? AND hidden_at IS NULL AND filter_status IS NULL',
           [post.id]
         );
 
@@ -192,6 +196,20 @@ router.get('/:userId', optionalAuth, async (req, res) => {
           avatarUrl: m.avatar_url
         })) : [];
 
+        const [author, wallOwnerInfo] = await withAvatarVariants([
+          {
+            id: post.author_id,
+            displayName: post.author_display_name,
+            avatarUrl: post.author_avatar_url,
+            telegramUsername: post.author_telegram_username
+          },
+          {
+            id: wallOwner.id,
+            displayName: wallOwner.display_name,
+            avatarUrl: wallOwner.avatar_url
+          }
+        ]);
+
         return {
           id: post.id,
           userId: post.user_id,
@@ -209,21 +227,13 @@ router.get('/:userId', optionalAuth, async (req, res) => {
           userListName, // Название списка текущего пользователя (если медиа в его списке)
           inWatchlist, // В списке "Хочу посмотреть"
           personalNote, // Персональная заметка владельца стены (только для владельца)
-          author: {
-            id: post.author_id,
-            displayName: post.author_display_name,
-            avatarUrl: post.author_avatar_url,
-            telegramUsername: post.author_telegram_username
-          },
-          wallOwner: {
-            id: wallOwner.id,
-            displayName: wallOwner.display_name,
-            avatarUrl: wallOwner.avatar_url
-          },
+          author,
+          wallOwner: wallOwnerInfo,
           reactions,
           images,
           imageUrls,
-          mentions: mentionUsers
+          mentions: mentionUsers,
+          ...(post.filter_status === 'held' && { moderationStatus: 'held' })
         };
       })
     );
@@ -262,7 +272,7 @@ router.get('/:userId', optionalAuth, async (req, res) => {
  * Получить отдельный пост по ID
  * Используется для модального окна при переходе из уведомлений
  */
-router.get('/post/:postId', async (req, res) => {
+router.get('/post/:postId', optionalAuth, async (req, res) => {
   try {
     const { postId } = req.params;
 
@@ -280,8 +290,8 @@ router.get('/post/:postId', async (req, res) => {
        FROM wall_posts wp
        LEFT JOIN users author ON wp.user_id = author.id
        LEFT JOIN users owner ON wp.wall_owner_id = owner.id
-       WHERE wp.id = ?`,
-      [postId]
+       WHERE wp.id = ? AND ${visibleContentCondition('wp')}`,
+      [postId, ...visibleContentParams(req.user?.id)]
     );
 
     if (!postResult.success) {
@@ -321,11 +331,11 @@ router.get('/post/:postId', async (req, res) => {
       [postId]
     );
 
-    const images = imagesResult.success ? imagesResult.data.map(img => ({
+    const images = await withImageVariants(imagesResult.success ? imagesResult.data.map(img => ({
       id: img.id,
       url: img.image_url,
       order: img.order
-    })) : [];
+    })) : []);
 
     // Получаем упоминания
     const mentionsResult = await executeQuery(
@@ -341,6 +351,20 @@ router.get('/post/:postId', async (req, res) => {
       avatarUrl: m.avatar_url
     })) : [];
 
+    const [author, wallOwner] = await withAvatarVariants([
+      {
+        id: post.author_id,
+        displayName: post.author_display_name,
+        avatarUrl: post.author_avatar_url,
+        telegramUsername: post.author_telegram_username
+      },
+      {
+        id: post.wall_owner_id,
+        displayName: post.wall_owner_display_name,
+        avatarUrl: post.wall_owner_avatar_url
+      }
+    ]);
+
     // Формируем ответ
     const formattedPost = {
       id: post.id,
@@ -355,17 +379,8 @@ router.get('/post/:postId', async (req, res) => {
       rating: post.rating,
       createdAt: post.created_at,
       updatedAt: post.updated_at,
-      author: {
-        id: post.author_id,
-        displayName: post.author_display_name,
-        avatarUrl: post.author_avatar_url,
-        telegramUsername: post.author_telegram_username
-      },
-      wallOwner: {
-        id: post.wall_owner_id,
-        displayName: post.wall_owner_display_name,
-        avatarUrl: post.wall_owner_avatar_url
-      },
+      author,
+      wallOwner,
       reactions: reactions.map(r => ({
         id: r.id,
         userId: r.user_id,
@@ -526,14 +541,29 @@ router.post('/', authenticateToken, checkPostBan, async (req, res) => {
       });
     }
 
+    const filterTargetType = postType === 'review' ? 'review' : 'wall_post';
+    const contentCheck = await validateUserContent({
+      user: req.user,
+      targetType: filterTargetType,
+      text: content,
+      mentionsCount: Array.isArray(mentions) ? mentions.length : 0
+    });
+
+    if (!contentCheck.valid) {
+      return res.status(contentCheck.code === 'FLOOD_LIMIT' ? 429 : 400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
     // Создаем запись на стене
     // ВАЖНО: user_id - это АВТОР поста (кто написал)
     //        wall_owner_id - это владелец стены (на чьей стене)
     const postId = uuidv4();
     const insertResult = await executeQuery(
-      `INSERT INTO wall_posts (id, user_id, wall_owner_id, post_type, content, tmdb_id, media_type, rating, poster_path, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
-      [postId, userId, wallOwnerId, postType, content || null, tmdbId || null, mediaType || null, rating || null, posterPath || null]
+      `INSERT INTO wall_posts (id, user_id, wall_owner_id, post_type, content, tmdb_id, media_type, rating, poster_path, filter_status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
+      [postId, userId, wallOwnerId, postType, content || null, tmdbId || null, mediaType || null, rating || null, posterPath || null, contentCheck.filterStatus]
     );
 
     if (!insertResult.success) {
@@ -543,6 +573,14 @@ router.post('/', authenticateToken, checkPostBan, async (req, res) => {
       });
     }
 
+    await indexWallPost(postId);
+
+    if (contentCheck.filterStatus) {
+      await recordFilterEvent({
+        userId, targetType: filterTargetType, targetId: postId, content, filter: contentCheck.filter
+      });
+    }
+
     // Получаем созданную запись с информацией об авторе и владельце стены
     const postResult = await executeQuery(
       `SELECT 
@@ -570,8 +608,11 @@ router.post('/', authenticateToken, checkPostBan, async (req, res) => {
 
     const post = postResult.data[0];
 
+    // Отфильтрованную запись видит только автор: уведомления и лента — после одобрения модератором
+    const isFiltered = Boolean(contentCheck.filterStatus);
+
     // Если пост создан на чужой стене, отправляем уведомление владельцу
-    if (targetUserId && targetUserId !== userId) {
+    if (targetUserId && targetUserId !== userId && !isFiltered) {
       const { notifyWallPost } = await import('../services/notificationService.js');
 
       notifyWallPost(targetUserId, userId, postId).catch(err => {
@@ -593,6 +634,8 @@ router.post('/', authenticateToken, checkPostBan, async (req, res) => {
           [mentionId, postId, mentionedUserId]
         );
 
+        if (isFiltered) continue;
+
         // Уведомление на сайте (без имени — оно добавится при рендере)
         createNotification(mentionedUserId, 'mention', 'упомянул вас в записи', userId, postId).catch(err => {
           console.error('Ошибка создания уведомления:', err);
@@ -639,11 +682,16 @@ router.post('/', authenticateToken, checkPostBan, async (req, res) => {
       reactions: []
     };
 
-    notifyFeedNewPost(userId, postForFeed).catch(err => {
-      console.error('Ошибка отправки WebSocket уведомления о новом посте:', err);
-    });
+    if (!isFiltered) {
+      notifyFeedNewPost(userId, postForFeed).catch(err => {
+        console.error('Ошибка отправки WebSocket уведомления о новом посте:', err);
+      });
+    }
 
-    res.status(201).json(postForFeed);
+    // О скрытом фильтре (shadow) автору не сообщаем
+    res.status(201).json(
+      post.filter_status === 'held' ? { ...postForFeed, moderationStatus: 'held' } : postForFeed
+    );
 
   } catch (error) {
     console.error('Ошибка создания записи на стене:', error);
@@ -715,10 +763,26 @@ router.put('/:postId', authenticateToken, checkPostBan, async (req, res) => {
       });
     }
 
-    // Обновляем пост
+    const filterTargetType = post.post_type === 'review' ? 'review' : 'wall_post';
+    const contentCheck = await validateUserContent({
+      user: req.user,
+      targetType: filterTargetType,
+      text: content,
+      mentionsCount: Array.isArray(mentions) ? mentions.length : 0,
+      isEdit: true
+    });
+
+    if (!contentCheck.valid) {
+      return res.status(400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
+    // Обновляем пост; уже отфильтрованная запись остаётся на проверке
     const updateResult = await executeQuery(
-      "UPDATE wall_posts SET content = ?, edited_at = datetime('now', 'localtime') WHERE id = ?",
-      [content.trim(), postId]
+      "UPDATE wall_posts SET content = ?, filter_status = COALESCE(filter_status, ?), edited_at = datetime('now', 'localtime') WHERE id = ?",
+      [content.trim(), contentCheck.filterStatus, postId]
     );
 
     if (!updateResult.success) {
@@ -728,6 +792,14 @@ router.put('/:postId', authenticateToken, checkPostBan, async (req, res) => {
       });
     }
 
+    await indexWallPost(postId);
+
+    if (contentCheck.filterStatus && !post.filter_status) {
+      await recordFilterEvent({
+        userId, targetType: filterTargetType, targetId: postId, content, filter: contentCheck.filter
+      });
+    }
+
     // Обновляем упоминания: удаляем старые, добавляем новые
     if (mentions && Array.isArray(mentions)) {
       await executeQuery('DELETE FROM post_mentions WHERE post_id = ?', [postId]);
@@ -789,7 +861,8 @@ router.put('/:postId', authenticateToken, checkPostBan, async (req, res) => {
         displayName: updatedPost.owner_display_name,
         avatarUrl: updatedPost.owner_avatar_url
       },
-      reactions: []
+      reactions: [],
+      ...(updatedPost.filter_status === 'held' && { moderationStatus: 'held' })
     });
 
   } catch (error) {
@@ -856,6 +929,7 @@ router.delete('/:postId', authenticateToken, async (req, res) => {
           if (fs.existsSync(filePath)) {
             fs.unlinkSync(filePath);
           }
+          await removeImageVariants(img.image_url);
         }
       }
       await executeQuery('DELETE FROM post_images WHERE post_id = ?', [postId]);
@@ -1273,7 +1347,7 @@ router.delete('/:postId/unpin', authenticateToken, async (req, res) => {
  * 
  * Returns: массив URL загруженных изображений
  */
-router.post('/images', authenticateToken, uploadPostImages.array('images', 10), async (req, res) => {
+router.post('/images', authenticateToken, uploadPostImages.array('images', 10), processUploadedImages(), async (req, res) => {
   try {
     const userId = req.user.id;
     const { postId } = req.body;
@@ -1326,11 +1400,8 @@ router.post('/images', authenticateToken, uploadPostImages.array('images', 10),
       const file = req.files[i];
       
       try {
-        // Сжимаем изображение если нужно
-        const processedPath = await compressImage(file.path, 3);
-        
-        // Получаем относительный путь для сохранения в БД
-        const relativePath = `/uploads/images/${path.basename(processedPath)}`;
+        // Файл уже нормализован и при необходимости сжат в processUploadedImages
+        const relativePath = `/uploads/images/${file.filename}`;
         
         // Сохраняем информацию об изображении в БД
         const imageId = uuidv4();
@@ -1450,6 +1521,7 @@ router.delete('/images/:imageId', authenticateToken, async (req, res) => {
       console.error('Ошибка удаления файла:', error);
       // Продолжаем удаление из БД даже если файл не найден
     }
+    await removeImageVariants(image.image_url);
 
     // Удаляем запись из БД
     const deleteResult = await executeQuery(
@@ -1486,7 +1558,7 @@ router.delete('/images/:imageId', authenticateToken, async (req, res) => {
  * - content: string (обязательно, максимум 1000 символов)
  * - parent_comment_id: string (опционально, для ответов на комментарии)
  */
-router.post('/:postId/comments', authenticateToken, uploadCommentImage.single('image'), async (req, res) => {
+router.post('/:postId/comments', authenticateToken, uploadCommentImage.single('image'), processUploadedImages(), async (req, res) => {
   try {
     const { postId } = req.params;
     const userId = req.user.id;
@@ -1546,6 +1618,15 @@ router.post('/:postId/comments', authenticateToken, uploadCommentImage.single('i
       }
     }
 
+    const contentCheck = await validateUserContent({ user: req.user, targetType: 'post_comment', text: content });
+
+    if (!contentCheck.valid) {
+      return res.status(contentCheck.code === 'FLOOD_LIMIT' ? 429 : 400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
     // Обработка загруженного изображения
     let imageUrl = null;
     if (image) {
@@ -1555,9 +1636,9 @@ router.post('/:postId/comments', authenticateToken, uploadCommentImage.single('i
     // Создаем комментарий
     const commentId = uuidv4();
     const insertResult = await executeQuery(
-      `INSERT INTO post_comments (id, post_id, user_id, parent_comment_id, content, image_url, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
-      [commentId, postId, userId, parent_comment_id || null, content ? content.trim() : '', imageUrl]
+      `INSERT INTO post_comments (id, post_id, user_id, parent_comment_id, content, image_url, filter_status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
+      [commentId, postId, userId, parent_comment_id || null, content ? content.trim() : '', imageUrl, contentCheck.filterStatus]
     );
 
     if (!insertResult.success) {
@@ -1567,6 +1648,14 @@ router.post('/:postId/comments', authenticateToken, uploadCommentImage.single('i
       });
     }
 
+    await indexComment(commentId);
+
+    if (contentCheck.filterStatus) {
+      await recordFilterEvent({
+        userId, targetType: 'post_comment', targetId: commentId, content, filter: contentCheck.filter
+      });
+    }
+
     // Получаем созданный комментарий с информацией об авторе
     const commentResult = await executeQuery(
       `SELECT 
@@ -1588,53 +1677,55 @@ router.post('/:postId/comments', authenticateToken, uploadCommentImage.single('i
     }
 
     const comment = commentResult.data[0];
+    // Отфильтрованный комментарий видит только автор: без уведомлений и обновления ленты
+    if (!contentCheck.filterStatus) {
+      // Отправляем уведомление
+      if (parent_comment_id) {
+        // Уведомление автору родительского комментария
+        const parentCommentResult = await executeQuery(
+          'SELECT user_id FROM post_comments WHERE id = ?',
+          [parent_comment_id]
+        );
 
-    // Отправляем уведомление
-    if (parent_comment_id) {
-      // Уведомление автору родительского комментария
-      const parentCommentResult = await executeQuery(
-        'SELECT user_id FROM post_comments WHERE id = ?',
-        [parent_comment_id]
-      );
-
-      if (parentCommentResult.success && parentCommentResult.data.length > 0) {
-        const parentAuthorId = parentCommentResult.data[0].user_id;
+        if (parentCommentResult.success && parentCommentResult.data.length > 0) {
+          const parentAuthorId = parentCommentResult.data[0].user_id;
         
-        // Не отправляем уведомление если отвечаем сами себе
-        if (parentAuthorId !== userId) {
-          const { notifyPostCommentReply } = await import('../services/notificationService.js');
-          notifyPostCommentReply(parentAuthorId, userId, postId, commentId).catch(err => {
-            console.error('Ошибка отправки уведомления об ответе на комментарий:', err);
+          // Не отправляем уведомление если отвечаем сами себе
+          if (parentAuthorId !== userId) {
+            const { notifyPostCommentReply } = await import('../services/notificationService.js');
+            notifyPostCommentReply(parentAuthorId, userId, postId, commentId).catch(err => {
+              console.error('Ошибка отправки уведомления об ответе на комментарий:', err);
+            });
+          }
+        }
+      } else {
+        // Уведомление автору поста
+        if (post.user_id !== userId) {
+          const { notifyPostComment } = await import('../services/notificationService.js');
+          notifyPostComment(post.user_id, userId, postId, commentId).catch(err => {
+            console.error('Ошибка отправки уведомления о комментарии к посту:', err);
           });
         }
       }
-    } else {
-      // Уведомление автору поста
-      if (post.user_id !== userId) {
-        const { notifyPostComment } = await import('../services/notificationService.js');
-        notifyPostComment(post.user_id, userId, postId, commentId).catch(err => {
-          console.error('Ошибка отправки уведомления о комментарии к посту:', err);
-        });
-      }
-    }
 
-    // Отправляем WebSocket уведомление об обновлении поста (новый комментарий)
-    const { notifyFeedPostUpdate } = await import('../services/websocketService.js');
+      // Отправляем WebSocket уведомление об обновлении поста (новый комментарий)
+      const { notifyFeedPostUpdate } = await import('../services/websocketService.js');
     
-    notifyFeedPostUpdate(postId, 'comment', {
-      commentId: comment.id,
-      userId: comment.user_id,
-      content: comment.content,
-      imageUrl: comment.image_url,
-      parentCommentId: comment.parent_comment_id,
-      author: {
-        id: comment.author_id,
-        displayName: comment.author_display_name,
-        avatarUrl: comment.author_avatar_url
-      }
-    }).catch(err => {
-      console.error('Ошибка отправки WebSocket уведомления о комментарии:', err);
-    });
+      notifyFeedPostUpdate(postId, 'comment', {
+        commentId: comment.id,
+        userId: comment.user_id,
+        content: comment.content,
+        imageUrl: comment.image_url,
+        parentCommentId: comment.parent_comment_id,
+        author: {
+          id: comment.author_id,
+          displayName: comment.author_display_name,
+          avatarUrl: comment.author_avatar_url
+        }
+      }).catch(err => {
+        console.error('Ошибка отправки WebSocket уведомления о комментарии:', err);
+      });
+    }
 
     res.status(201).json({
       id: comment.id,
@@ -1649,7 +1740,8 @@ router.post('/:postId/comments', authenticateToken, uploadCommentImage.single('i
         id: comment.author_id,
         displayName: comment.author_display_name,
         avatarUrl: comment.author_avatar_url
-      }
+      },
+      ...(comment.filter_status === 'held' && { moderationStatus: 'held' })
     });
 
   } catch (error) {
@@ -1714,15 +1806,16 @@ router.get('/:postId/comments', optionalAuth, async (req, res) => {
 
     // Получаем общее количество комментариев ПЕРВОГО УРОВНЯ (без ответов)
     const countResult = await executeQuery(
-      'SELECT COUNT(*) as total FROM post_comments WHERE post_id = ? AND parent_comment_id IS NULL',
-      [postId]
+      `SELECT COUNT(*) as total FROM post_comments pc
+       WHERE pc.post_id = ? AND pc.parent_comment_id IS NULL AND ${visibleContentCondition('pc')}`,
+      [postId, ...visibleContentParams(req.user?.id)]
     );
 
     const total = countResult.success ? countResult.data[0].total : 0;
 
     // Получаем общее количество ВСЕХ комментариев (включая ответы)
     const totalWithRepliesResult = await executeQuery(
-      'SELECT COUNT(*) as total FROM post_comments WHERE post_id = ?',
+      'SELECT COUNT(*) as total FROM post_comments WHERE post_id = ? AND hidden_at IS NULL AND filter_status IS NULL',
       [postId]
     );
 
@@ -1763,14 +1856,14 @@ router.get('/:postId/comments', optionalAuth, async (req, res) => {
         u.id as author_id,
         u.display_name as author_display_name,
         u.avatar_url as author_avatar_url,
-        (SELECT COUNT(*) FROM post_comments WHERE parent_comment_id = pc.id) as replies_count,
+        (SELECT COUNT(*) FROM post_comments WHERE parent_comment_id = pc.id AND hidden_at IS NULL AND filter_status IS NULL) as replies_count,
         (SELECT COUNT(*) FROM comment_likes WHERE comment_id = pc.id) as likes_count
        FROM post_comments pc
        LEFT JOIN users u ON pc.user_id = u.id
-       WHERE pc.post_id = ? AND pc.parent_comment_id IS NULL
+       WHERE pc.post_id = ? AND pc.parent_comment_id IS NULL AND ${visibleContentCondition('pc')}
        ${orderByClause}
        LIMIT ? OFFSET ?`,
-      [postId, limit, offset]
+      [postId, ...visibleContentParams(req.user?.id), limit, offset]
     );
 
     if (!commentsResult.success) {
@@ -1855,8 +1948,8 @@ router.get('/comments/:commentId', optionalAuth, async (req, res) => {
         u.avatar_url as author_avatar_url
        FROM post_comments pc
        LEFT JOIN users u ON pc.user_id = u.id
-       WHERE pc.id = ?`,
-      [commentId]
+       WHERE pc.id = ? AND ${visibleContentCondition('pc')}`,
+      [commentId, ...visibleContentParams(currentUserId)]
     );
 
     if (!commentResult.success) {
@@ -1955,8 +2048,9 @@ router.get('/comments/:commentId/replies', optionalAuth, async (req, res) => {
 
     // Получаем общее количество ответов
     const countResult = await executeQuery(
-      'SELECT COUNT(*) as total FROM post_comments WHERE parent_comment_id = ?',
-      [commentId]
+      `SELECT COUNT(*) as total FROM post_comments pc
+       WHERE pc.parent_comment_id = ? AND ${visibleContentCondition('pc')}`,
+      [commentId, ...visibleContentParams(req.user?.id)]
     );
 
     const total = countResult.success ? countResult.data[0].total : 0;
@@ -1970,10 +2064,10 @@ router.get('/comments/:commentId/replies', optionalAuth, async (req, res) => {
         u.avatar_url as author_avatar_url
        FROM post_comments pc
        LEFT JOIN users u ON pc.user_id = u.id
-       WHERE pc.parent_comment_id = ?
+       WHERE pc.parent_comment_id = ? AND ${visibleContentCondition('pc')}
        ORDER BY pc.created_at ASC
        LIMIT ? OFFSET ?`,
-      [commentId, limit, offset]
+      [commentId, ...visibleContentParams(req.user?.id), limit, offset]
     );
 
     if (!repliesResult.success) {
@@ -1990,7 +2084,7 @@ router.get('/comments/:commentId/replies', optionalAuth, async (req, res) => {
       repliesResult.data.map(async (reply) => {
         // Количество вложенных ответов
         const nestedCountResult = await executeQuery(
-          'SELECT COUNT(*) as count FROM post_comments WHERE parent_comment_id = ?',
+          'SELECT COUNT(*) as count FROM post_comments WHERE parent_comment_id = ? AND hidden_at IS NULL AND filter_status IS NULL',
           [reply.id]
         );
 
@@ -2112,10 +2206,21 @@ router.put('/comments/:commentId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Обновляем комментарий
+    const contentCheck = await validateUserContent({
+      user: req.user, targetType: 'post_comment', text: content, isEdit: true
+    });
+
+    if (!contentCheck.valid) {
+      return res.status(400).json({
+        error: contentCheck.error,
+        code: contentCheck.code
+      });
+    }
+
+    // Обновляем комментарий; уже отфильтрованный остаётся на проверке
     const updateResult = await executeQuery(
-      "UPDATE post_comments SET content = ?, edited_at = datetime('now', 'localtime') WHERE id = ?",
-      [content.trim(), commentId]
+      "UPDATE post_comments SET content = ?, filter_status = COALESCE(filter_status, ?), edited_at = datetime('now', 'localtime') WHERE id = ?",
+      [content.trim(), contentCheck.filterStatus, commentId]
     );
 
     if (!updateResult.success) {
@@ -2125,6 +2230,14 @@ router.put('/comments/:commentId', authenticateToken, async (req, res) => {
       });
     }
 
+    await indexComment(commentId);
+
+    if (contentCheck.filterStatus && !comment.filter_status) {
+      await recordFilterEvent({
+        userId, targetType: 'post_comment', targetId: commentId, content, filter: contentCheck.filter
+      });
+    }
+
     // Получаем обновленный комментарий с информацией об авторе
     const updatedCommentResult = await executeQuery(
       `SELECT 
@@ -2238,6 +2351,8 @@ router.delete('/comments/:commentId', authenticateToken, async (req, res) => {
         });
       }
 
+      await indexComment(commentId);
+
       res.json({ 
         message: 'Комментарий помечен как удаленный',
         commentId,
@@ -0,0 +1,252 @@
+/**
+ * Тесты автоматического фильтра контента
+ * Feature: content-filter
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import {
+  checkContent,
+  createRule,
+  updateRule,
+  deleteRule,
+  updateFilterConfig,
+  getFilterConfig,
+  recordFilterEvent,
+  listFilterEvents,
+  reviewFilterEvent,
+  visibleContentCondition,
+  visibleContentParams,
+  resetContentFilterState,
+  DEFAULT_FILTER_CONFIG
+} from '../contentFilterService.js';
+
+describe('Content filter', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const ids = {
+    author: `filter_author_${suffix}`,
+    viewer: `filter_viewer_${suffix}`,
+    admin: `filter_admin_${suffix}`
+  };
+  const createdRules = [];
+
+  const addRule = async (rule) => {
+    const result = await createRule({ createdBy: ids.admin, ...rule });
+    if (result.success) createdRules.push(result.rule.id);
+    return result;
+  };
+
+  const check = (text, extra = {}) => checkContent({ userId: ids.author, targetType: 'wall_post', text, ...extra });
+
+  const createPost = async (content, filterStatus = null) => {
+    const id = uuidv4();
+    await executeQuery(
+      'INSERT INTO wall_posts (id, user_id, post_type, content, filter_status) VALUES (?, ?, ?, ?, ?)',
+      [id, ids.author, 'text', content, filterStatus]
+    );
+    return id;
+  };
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    for (const id of Object.values(ids)) {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [id, id]);
+    }
+  });
+
+  beforeEach(async () => {
+    await executeQuery("DELETE FROM site_settings WHERE key = 'content_filter_config'");
+    await resetContentFilterState();
+  });
+
+  afterEach(async () => {
+    for (const id of createdRules.splice(0)) {
+      await deleteRule(id);
+    }
+  });
+
+  afterAll(async () => {
+    const allUsers = Object.values(ids);
+    const placeholders = allUsers.map(() => '?').join(', ');
+    await executeQuery("DELETE FROM site_settings WHERE key = 'content_filter_config'");
+    await executeQuery(`DELETE FROM content_filter_events WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM wall_posts WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM users WHERE id IN (${placeholders})`, allUsers);
+    await resetContentFilterState();
+  });
+
+  it('should allow ordinary text', async () => {
+    expect(await check('Посмотрел вчера отличный фильм')).toEqual({ action: 'allow', reasons: [] });
+  });
+
+  it('should match words, regular expressions and domains', async () => {
+    await addRule({ kind: 'word', pattern: 'Казино', action: 'block' });
+    await addRule({ kind: 'regex', pattern: 'bit\\.ly/\\w+', action: 'hold' });
+    await addRule({ kind: 'domain', pattern: 'https://www.spam.example/path', action: 'shadow' });
+
+    expect((await check('Лучшее КАЗИНО тут')).action).toBe('block');
+    // Слово не срабатывает внутри другого слова
+    expect((await check('Казинотерапия')).action).toBe('allow');
+    expect((await check('Смотри bit.ly/abc')).action).toBe('hold');
+
+    const domain = await check('Ссылка: http://promo.spam.example/free');
+    expect(domain.action).toBe('shadow');
+    expect(domain.reasons).toEqual([expect.objectContaining({ source: 'domain', detail: 'spam.example' })]);
+  });
+
+  it('should pick the most severe action', async () => {
+    await addRule({ kind: 'word', pattern: 'реклама', action: 'shadow' });
+    await addRule({ kind: 'word', pattern: 'скидка', action: 'hold' });
+
+    const result = await check('Реклама: скидка 50%');
+    expect(result.action).toBe('hold');
+    expect(result.reasons.map(reason => reason.source)).toEqual(['word', 'word']);
+  });
+
+  it('should validate rules', async () => {
+    expect(await addRule({ kind: 'phrase', pattern: 'x', action: 'block' }))
+      .toMatchObject({ success: false, code: 'INVALID_KIND' });
+    expect(await addRule({ kind: 'word', pattern: 'x', action: 'ban' }))
+      .toMatchObject({ success: false, code: 'INVALID_ACTION' });
+    expect(await addRule({ kind: 'regex', pattern: '(', action: 'block' }))
+      .toMatchObject({ success: false, code: 'INVALID_PATTERN' });
+    expect(await addRule({ kind: 'word', pattern: 'a'.repeat(201), action: 'block' }))
+      .toMatchObject({ success: false, code: 'PATTERN_TOO_LONG' });
+
+    await addRule({ kind: 'domain', pattern: 'dup.example', action: 'block' });
+    expect(await addRule({ kind: 'domain', pattern: 'www.DUP.example', action: 'hold' }))
+      .toMatchObject({ success: false, code: 'DUPLICATE_RULE' });
+  });
+
+  it('should ignore disabled rules', async () => {
+    const { rule } = await addRule({ kind: 'word', pattern: 'запрещёнка', action: 'block' });
+    expect((await check('Тут запрещенка')).action).toBe('block');
+
+    await updateRule(rule.id, { isActive: false });
+    expect((await check('Тут запрещенка')).action).toBe('allow');
+  });
+
+  it('should hold repeated posts', async () => {
+    const text = 'Подписывайтесь на мой канал';
+    for (let i = 0; i < DEFAULT_FILTER_CONFIG.repeat.limit; i++) {
+      expect((await check(text)).action).toBe('allow');
+    }
+
+    const result = await check(text);
+    expect(result.action).toBe(DEFAULT_FILTER_CONFIG.repeat.action);
+    expect(result.reasons[0].source).toBe('repeat');
+
+    // Правка своего текста повтором не считается
+    expect((await check(text, { isEdit: true })).action).toBe('allow');
+  });
+
+  it('should hold texts with too many mentions or links', async () => {
+    const mentions = await check('Привет всем', { mentionsCount: DEFAULT_FILTER_CONFIG.mentions.max + 1 });
+    expect(mentions.reasons).toEqual([expect.objectContaining({ source: 'mentions', action: 'hold' })]);
+
+    const inlineMentions = Array.from({ length: 11 }, (_, i) => `@[Друг ${i}](user${i})`).join(' ');
+    expect((await checkContent({ userId: ids.author, targetType: 'message', text: inlineMentions })).action).toBe('hold');
+
+    const links = Array.from({ length: 6 }, (_, i) => `https://site${i}.example`).join(' ');
+    expect((await check(links)).reasons).toEqual([expect.objectContaining({ source: 'links' })]);
+  });
+
+  it('should block users who post too often', async () => {
+    await updateFilterConfig({ flood: { comment: { limit: 2, windowMinutes: 5 } } });
+
+    const comment = (text) => checkContent({ userId: ids.author, targetType: 'post_comment', text });
+    expect((await comment('первый')).action).toBe('allow');
+    expect((await comment('второй')).action).toBe('allow');
+    expect((await comment('третий')).reasons).toEqual([expect.objectContaining({ source: 'flood', action: 'block' })]);
+
+    // Корзины частоты раздельные: записи не упираются в лимит комментариев
+    expect((await check('запись')).action).toBe('allow');
+  });
+
+  it('should count posts published through other server processes', async () => {
+    await updateFilterConfig({ flood: { message: { limit: 2, windowMinutes: 1 } } });
+
+    // Два сообщения только что отправлены через другой процесс PM2 cluster
+    for (let i = 0; i < 2; i++) {
+      await executeQuery(
+        'INSERT INTO content_filter_activity (user_id, kind, text_hash, created_at) VALUES (?, ?, NULL, ?)',
+        [ids.author, 'message', Date.now()]
+      );
+    }
+
+    const result = await checkContent({ userId: ids.author, targetType: 'message', text: 'третье' });
+    expect(result.reasons).toEqual([expect.objectContaining({ source: 'flood', action: 'block' })]);
+  });
+
+  it('should validate and merge config updates', async () => {
+    expect(await updateFilterConfig({ repeat: { limit: 0 } }))
+      .toMatchObject({ success: false, code: 'INVALID_CONFIG', field: 'repeat.limit' });
+    expect(await updateFilterConfig({ links: { action: 'ban' } }))
+      .toMatchObject({ success: false, code: 'INVALID_CONFIG', field: 'links.action' });
+
+    const result = await updateFilterConfig({ links: { max: 1 } });
+    expect(result.success).toBe(true);
+
+    const config = await getFilterConfig();
+    expect(config.links).toEqual({ max: 1, action: DEFAULT_FILTER_CONFIG.links.action });
+    expect(config.repeat).toEqual(DEFAULT_FILTER_CONFIG.repeat);
+  });
+
+  it('should skip all checks when the filter is disabled', async () => {
+    await addRule({ kind: 'word', pattern: 'казино', action: 'block' });
+    await updateFilterConfig({ enabled: false });
+
+    expect((await check('казино')).action).toBe('allow');
+  });
+
+  it('should show filtered content only to its author', async () => {
+    const visibleId = await createPost('Обычная запись');
+    const heldId = await createPost('Задержанная запись', 'held');
+
+    const visibleTo = async (viewerId) => {
+      const result = await executeQuery(
+        `SELECT wp.id FROM wall_posts wp WHERE wp.id IN (?, ?) AND ${visibleContentCondition('wp')}`,
+        [visibleId, heldId, ...visibleContentParams(viewerId)]
+      );
+      return result.data.map(row => row.id).sort();
+    };
+
+    expect(await visibleTo(ids.author)).toEqual([visibleId, heldId].sort());
+    expect(await visibleTo(ids.viewer)).toEqual([visibleId]);
+    expect(await visibleTo(null)).toEqual([visibleId]);
+  });
+
+  it('should publish or hide held content after review', async () => {
+    const approvedId = await createPost('Спорная запись', 'held');
+    const rejectedId = await createPost('Спам', 'held');
+    const filter = { action: 'hold', reasons: [{ source: 'repeat', action: 'hold', detail: '4 одинаковых за 10 мин' }] };
+
+    await recordFilterEvent({ userId: ids.author, targetType: 'wall_post', targetId: approvedId, content: 'Спорная запись', filter });
+    await recordFilterEvent({ userId: ids.author, targetType: 'wall_post', targetId: rejectedId, content: 'Спам', filter });
+
+    const { events } = await listFilterEvents({ status: 'pending' });
+    const eventFor = (targetId) => events.find(event => event.targetId === targetId);
+    expect(eventFor(approvedId)).toMatchObject({ action: 'hold', reasons: filter.reasons, user: { id: ids.author } });
+
+    expect(await reviewFilterEvent({ eventId: eventFor(approvedId).id, adminId: ids.admin, decision: 'maybe' }))
+      .toMatchObject({ success: false, code: 'INVALID_DECISION' });
+
+    expect(await reviewFilterEvent({ eventId: eventFor(approvedId).id, adminId: ids.admin, decision: 'approve' }))
+      .toEqual({ success: true, status: 'approved' });
+    expect(await reviewFilterEvent({ eventId: eventFor(rejectedId).id, adminId: ids.admin, decision: 'reject' }))
+      .toEqual({ success: true, status: 'rejected' });
+
+    const rows = await executeQuery(
+      'SELECT id, filter_status, hidden_at FROM wall_posts WHERE id IN (?, ?)',
+      [approvedId, rejectedId]
+    );
+    const byId = Object.fromEntries(rows.data.map(row => [row.id, row]));
+    expect(byId[approvedId]).toMatchObject({ filter_status: null, hidden_at: null });
+    expect(byId[rejectedId].hidden_at).not.toBeNull();
+
+    expect(await reviewFilterEvent({ eventId: eventFor(approvedId).id, adminId: ids.admin, decision: 'reject' }))
+      .toMatchObject({ success: false, code: 'ALREADY_REVIEWED' });
+  });
+});
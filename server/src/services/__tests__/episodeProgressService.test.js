@@ -0,0 +1,169 @@
+/**
+ * Тесты прогресса по сезонам: сетка серий, отметка сезона и снятие отметки
+ * Данные TMDb подкладываются в кэш media.db, поэтому запросов к API нет
+ * Feature: bot-episode-progress
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { executeMediaQuery } from '../../database/mediaDb.js';
+import { runMigrations } from '../../database/migrations.js';
+import { toDateString, addDays } from '../episodeScheduleService.js';
+import {
+  getNextEpisode,
+  getSeasonProgress,
+  markSeasonWatched,
+  unmarkEpisode
+} from '../episodeProgressService.js';
+
+const TV_ID = 990000002;
+const today = toDateString();
+
+async function cacheSeason(seasonNumber, episodes) {
+  await executeMediaQuery(
+    `INSERT OR REPLACE INTO season_cache (tmdb_id, season_number, name, air_date, episodes, updated_at)
+     VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+    [TV_ID, seasonNumber, `Сезон ${seasonNumber}`, episodes[0]?.air_date || null, JSON.stringify(episodes)]
+  );
+}
+
+describe('Episode progress service', () => {
+  const userId = `progress_user_${uuidv4()}`;
+
+  const markEpisode = (seasonNumber, episodeNumber) => executeQuery(
+    'INSERT INTO episode_progress (id, user_id, tmdb_id, season_number, episode_number) VALUES (?, ?, ?, ?, ?)',
+    [uuidv4(), userId, TV_ID, seasonNumber, episodeNumber]
+  );
+
+  beforeAll(async () => {
+    await runMigrations();
+    // Те же таблицы, что и в mediaDb.js/migrations.js: создание там асинхронное
+    await executeMediaQuery(`
+      CREATE TABLE IF NOT EXISTS season_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tmdb_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        name TEXT,
+        air_date TEXT,
+        episodes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tmdb_id, season_number)
+      )
+    `);
+    await executeMediaQuery(`
+      CREATE TABLE IF NOT EXISTS media_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tmdb_id INTEGER NOT NULL,
+        media_type TEXT NOT NULL,
+        title TEXT,
+        original_title TEXT,
+        poster_path TEXT,
+        backdrop_path TEXT,
+        vote_average REAL DEFAULT 0,
+        vote_count INTEGER DEFAULT 0,
+        overview TEXT,
+        genres TEXT,
+        runtime INTEGER,
+        release_date TEXT,
+        number_of_seasons INTEGER,
+        number_of_episodes INTEGER,
+        status TEXT,
+        credits TEXT,
+        videos TEXT,
+        images TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tmdb_id, media_type)
+      )
+    `);
+    await executeQuery('INSERT OR IGNORE INTO users (id, display_name) VALUES (?, ?)', [userId, 'Progress User']);
+
+    await executeMediaQuery(
+      `INSERT OR REPLACE INTO media_cache
+        (tmdb_id, media_type, title, poster_path, number_of_seasons, status, updated_at)
+       VALUES (?, 'tv', 'Сериал для прогресса', '/poster.jpg', 2, 'Returning Series', datetime('now'))`,
+      [TV_ID]
+    );
+
+    await cacheSeason(1, [3, 1, 2].map(n => ({ episode_number: n, name: `Серия ${n}`, air_date: addDays(today, -30 + n) })));
+    await cacheSeason(2, [
+      { episode_number: 1, name: 'Премьера', air_date: addDays(today, -1) },
+      { episode_number: 2, name: 'Скоро', air_date: addDays(today, 7) }
+    ]);
+  });
+
+  afterEach(async () => {
+    await executeQuery('DELETE FROM episode_progress WHERE user_id = ?', [userId]);
+  });
+
+  afterAll(async () => {
+    await executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+    await executeMediaQuery('DELETE FROM season_cache WHERE tmdb_id = ?', [TV_ID]);
+    await executeMediaQuery('DELETE FROM media_cache WHERE tmdb_id = ?', [TV_ID]);
+  });
+
+  it('should list season episodes in order with watched flags', async () => {
+    await markEpisode(1, 2);
+
+    const result = await getSeasonProgress(userId, TV_ID, 1);
+
+    expect(result.success).toBe(true);
+    expect(result.season).toMatchObject({ title: 'Сериал для прогресса', seasonNumber: 1, name: 'Сезон 1', seasonsCount: 2, watchedCount: 1 });
+    expect(result.season.episodes.map(e => [e.episodeNumber, e.watched])).toEqual([[1, false], [2, true], [3, false]]);
+    expect(result.season.episodes[0]).toMatchObject({ name: 'Серия 1', aired: true });
+  });
+
+  it('should report missing seasons', async () => {
+    // Сезона нет ни в кэше, ни в TMDb (ключ TMDb в тестах не задан)
+    expect(await getSeasonProgress(userId, TV_ID, 7)).toEqual({ success: false, code: 'SEASON_NOT_FOUND' });
+  });
+
+  it('should mark only aired episodes of a season and return the next one', async () => {
+    await markEpisode(1, 1);
+
+    const first = await markSeasonWatched(userId, TV_ID, 1);
+    expect(first).toMatchObject({ success: true, marked: 2 });
+    expect(first.nextEpisode).toMatchObject({ seasonNumber: 2, episodeNumber: 1, name: 'Премьера' });
+
+    // Вторая серия второго сезона ещё не вышла
+    const second = await markSeasonWatched(userId, TV_ID, 2);
+    expect(second).toMatchObject({ success: true, marked: 1 });
+    expect(second.nextEpisode).toMatchObject({ seasonNumber: 2, episodeNumber: 2, aired: false });
+
+    expect((await markSeasonWatched(userId, TV_ID, 2)).marked).toBe(0);
+  });
+
+  it('should mark nothing when one of the season inserts fails', async () => {
+    // Вставка третьей серии падает — первые две должны откатиться вместе с ней
+    await executeQuery(`
+      CREATE TEMP TRIGGER fail_third_episode BEFORE INSERT ON episode_progress
+      WHEN NEW.user_id = '${userId}' AND NEW.episode_number = 3
+      BEGIN SELECT RAISE(ABORT, 'insert failed'); END
+    `);
+
+    try {
+      expect(await markSeasonWatched(userId, TV_ID, 1)).toEqual({ success: false, code: 'DATABASE_ERROR' });
+    } finally {
+      await executeQuery('DROP TRIGGER IF EXISTS temp.fail_third_episode');
+    }
+
+    const rows = await executeQuery('SELECT COUNT(*) AS count FROM episode_progress WHERE user_id = ?', [userId]);
+    expect(rows.data[0].count).toBe(0);
+  });
+
+  it('should unmark an episode and move the next episode back', async () => {
+    await markEpisode(1, 1);
+    await markEpisode(1, 2);
+
+    const result = await unmarkEpisode(userId, TV_ID, 1, 2);
+    expect(result).toMatchObject({ success: true, removed: true });
+    expect(result.nextEpisode).toMatchObject({ seasonNumber: 1, episodeNumber: 2, name: 'Серия 2' });
+
+    expect((await unmarkEpisode(userId, TV_ID, 1, 2)).removed).toBe(false);
+  });
+
+  it('should return no next episode without progress', async () => {
+    expect(await getNextEpisode(userId, TV_ID)).toEqual({ success: true, title: 'Сериал для прогресса', nextEpisode: null });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Тесты расписания серий: следующая серия, календарь и iCalendar
+ * Данные TMDb подкладываются в кэш media.db, поэтому запросов к API нет
+ * Feature: up-next-calendar
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { executeMediaQuery } from '../../database/mediaDb.js';
+import { runMigrations } from '../../database/migrations.js';
+import {
+  findNextEpisode,
+  getUpNext,
+  getCalendarEvents,
+  buildICalendar,
+  toDateString,
+  addDays
+} from '../episodeScheduleService.js';
+
+const TV_ID = 990000001;
+const today = toDateString();
+
+const watched = (pairs) => pairs.map(([season_number, episode_number]) => ({ season_number, episode_number }));
+
+async function cacheSeason(seasonNumber, episodes) {
+  await executeMediaQuery(
+    `INSERT OR REPLACE INTO season_cache (tmdb_id, season_number, name, air_date, episodes, updated_at)
+     VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+    [TV_ID, seasonNumber, `Сезон ${seasonNumber}`, episodes[0]?.air_date || null, JSON.stringify(episodes)]
+  );
+}
+
+describe('Episode schedule service', () => {
+  const userId = `schedule_user_${uuidv4()}`;
+
+  beforeAll(async () => {
+    await runMigrations();
+    // Те же таблицы, что и в mediaDb.js/migrations.js: создание там асинхронное
+    await executeMediaQuery(`
+      CREATE TABLE IF NOT EXISTS season_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tmdb_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        name TEXT,
+        air_date TEXT,
+        episodes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tmdb_id, season_number)
+      )
+    `);
+    await executeMediaQuery(`
+      CREATE TABLE IF NOT EXISTS media_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tmdb_id INTEGER NOT NULL,
+        media_type TEXT NOT NULL,
+        title TEXT,
+        original_title TEXT,
+        poster_path TEXT,
+        backdrop_path TEXT,
+        vote_average REAL DEFAULT 0,
+        vote_count INTEGER DEFAULT 0,
+        overview TEXT,
+        genres TEXT,
+        runtime INTEGER,
+        release_date TEXT,
+        number_of_seasons INTEGER,
+        number_of_episodes INTEGER,
+        status TEXT,
+        credits TEXT,
+        videos TEXT,
+        images TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tmdb_id, media_type)
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS episode_progress (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        tmdb_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        episode_number INTEGER NOT NULL,
+        watched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await executeQuery(
+      'INSERT OR IGNORE INTO users (id, display_name) VALUES (?, ?)',
+      [userId, 'Schedule User']
+    );
+
+    await executeMediaQuery(
+      `INSERT OR REPLACE INTO media_cache
+        (tmdb_id, media_type, title, poster_path, number_of_seasons, status, updated_at)
+       VALUES (?, 'tv', 'Тестовый сериал', '/poster.jpg', 2, 'Returning Series', datetime('now'))`,
+      [TV_ID]
+    );
+
+    await cacheSeason(1, [1, 2, 3].map(n => ({ episode_number: n, name: `Серия ${n}`, air_date: addDays(today, -30 + n) })));
+    await cacheSeason(2, [
+      { episode_number: 1, name: 'Премьера', air_date: addDays(today, -1) },
+      { episode_number: 2, name: 'Вторая, с запятой', air_date: addDays(today, 7) },
+      { episode_number: 3, name: 'Без даты', air_date: null }
+    ]);
+  });
+
+  afterAll(async () => {
+    await executeQuery('DELETE FROM episode_progress WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM watchlist WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+    await executeMediaQuery('DELETE FROM season_cache WHERE tmdb_id = ?', [TV_ID]);
+    await executeMediaQuery('DELETE FROM media_cache WHERE tmdb_id = ?', [TV_ID]);
+  });
+
+  it('should shift dates across month boundaries', () => {
+    expect(addDays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+
+  it('should find the episode after the furthest watched one', async () => {
+    const next = await findNextEpisode(TV_ID, watched([[1, 1], [1, 2]]), 2);
+    expect(next).toMatchObject({ seasonNumber: 1, episodeNumber: 3, aired: true });
+
+    // Пропущенная S1E2 не возвращается: «дальше» считается от последней просмотренной
+    const skipped = await findNextEpisode(TV_ID, watched([[1, 1], [1, 3]]), 2);
+    expect(skipped).toMatchObject({ seasonNumber: 2, episodeNumber: 1 });
+  });
+
+  it('should mark future episodes as not aired and stop when caught up', async () => {
+    const upcoming = await findNextEpisode(TV_ID, watched([[2, 1]]), 2);
+    expect(upcoming).toMatchObject({ seasonNumber: 2, episodeNumber: 2, aired: false });
+
+    expect(await findNextEpisode(TV_ID, watched([[2, 3]]), 2)).toBeNull();
+    expect(await findNextEpisode(TV_ID, [], 2)).toBeNull();
+  });
+
+  it('should build up-next from episode progress', async () => {
+    await executeQuery(
+      'INSERT INTO episode_progress (id, user_id, tmdb_id, season_number, episode_number) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), userId, TV_ID, 1, 3]
+    );
+
+    const upNext = await getUpNext(userId);
+    expect(upNext).toHaveLength(1);
+    expect(upNext[0]).toMatchObject({
+      tmdbId: TV_ID,
+      title: 'Тестовый сериал',
+      lastWatched: { seasonNumber: 1, episodeNumber: 3 },
+      nextEpisode: { seasonNumber: 2, episodeNumber: 1, name: 'Премьера', aired: true }
+    });
+  });
+
+  it('should list upcoming episodes of watchlist series in the calendar', async () => {
+    await executeQuery(
+      'INSERT INTO watchlist (id, user_id, tmdb_id, media_type) VALUES (?, ?, ?, ?)',
+      [uuidv4(), userId, TV_ID, 'tv']
+    );
+
+    const events = await getCalendarEvents(userId, { from: today, to: addDays(today, 30) });
+    expect(events).toEqual([
+      expect.objectContaining({ date: addDays(today, 7), tmdbId: TV_ID, seasonNumber: 2, episodeNumber: 2 })
+    ]);
+  });
+
+  it('should produce valid iCalendar output', () => {
+    const ical = buildICalendar([
+      {
+        date: '2026-10-25',
+        mediaType: 'tv',
+        tmdbId: TV_ID,
+        title: 'Очень длинное название сериала, которое точно не поместится в одну строку',
+        seasonNumber: 2,
+        episodeNumber: 2,
+        episodeName: 'Вторая; с точкой с запятой'
+      }
+    ]);
+
+    const lines = ical.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(ical).toContain('DTSTART;VALUE=DATE:20261025\r\n');
+    expect(ical).toContain('DTEND;VALUE=DATE:20261026\r\n');
+    expect(ical).toContain(`UID:tv-${TV_ID}-s2e2@watchrebel`);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+
+    // После склейки перенесённых строк текст восстанавливается с экранированием
+    const unfolded = ical.replace(/\r\n /g, '');
+    expect(unfolded).toContain('S02E02 «Вторая\\; с точкой с запятой»');
+    expect(unfolded).toContain('название сериала\\, которое');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Тесты уменьшенных копий изображений
+ * Feature: image-variants
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import {
+  prepareUploadedImage,
+  waitForImageVariants,
+  withImageVariants,
+  withAvatarVariants,
+  removeImageVariants,
+  backfillImageVariants
+} from '../imageVariantService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const IMAGES_DIR = path.join(__dirname, '../../../uploads/images');
+const AVATARS_DIR = path.join(__dirname, '../../../uploads/avatars');
+
+describe('Image variants', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const createdFiles = [];
+  // Backfill обходит отдельную папку, чтобы не трогать настоящие загрузки разработчика
+  const backfillDirName = `backfill-test-${suffix}`;
+  const BACKFILL_DIR = path.join(__dirname, '../../../uploads', backfillDirName);
+
+  // Фото «с камеры»: 1000x500, EXIF Orientation = 6 (повернуть на 90°)
+  const writePhoto = async (dir, name, { width = 1000, height = 500 } = {}) => {
+    const filePath = path.join(dir, `${name}_${suffix}.jpg`);
+    await sharp({ create: { width, height, channels: 3, background: '#4a90d9' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toFile(filePath);
+    createdFiles.push(filePath);
+    return filePath;
+  };
+
+  const multerFile = (filePath) => ({
+    path: filePath,
+    filename: path.basename(filePath),
+    mimetype: 'image/jpeg',
+    originalname: 'photo.jpg'
+  });
+
+  const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+  beforeAll(async () => {
+    await runMigrations();
+    await fs.mkdir(IMAGES_DIR, { recursive: true });
+    await fs.mkdir(AVATARS_DIR, { recursive: true });
+    await fs.mkdir(BACKFILL_DIR, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await waitForImageVariants();
+    const result = await executeQuery(
+      'SELECT image_url FROM image_variants WHERE image_url LIKE ?',
+      [`%${suffix}%`]
+    );
+    for (const row of result.data) {
+      await removeImageVariants(row.image_url);
+    }
+    for (const filePath of createdFiles) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+    await fs.rm(BACKFILL_DIR, { recursive: true, force: true });
+  });
+
+  it('should rotate the upload and strip its metadata in place', async () => {
+    const filePath = await writePhoto(IMAGES_DIR, 'rotate');
+    const file = multerFile(filePath);
+
+    await prepareUploadedImage(file);
+
+    expect(file.path).toBe(filePath);
+    const metadata = await sharp(filePath).metadata();
+    expect({ width: metadata.width, height: metadata.height }).toEqual({ width: 500, height: 1000 });
+    expect(metadata.orientation).toBeUndefined();
+    expect(metadata.exif).toBeUndefined();
+    expect(file.size).toBe((await fs.stat(filePath)).size);
+  });
+
+  it('should create AVIF and WebP variants no wider than the original', async () => {
+    const filePath = await writePhoto(IMAGES_DIR, 'variants');
+    await prepareUploadedImage(multerFile(filePath));
+    await waitForImageVariants();
+
+    const url = `/uploads/images/${path.basename(filePath)}`;
+    const [image] = await withImageVariants([{ id: 'img', url }]);
+
+    expect(image).toMatchObject({ id: 'img', url, width: 500, height: 1000 });
+    // Ширины 640 и 1280 больше оригинала и сводятся к 500
+    expect(image.variants.map(v => `${v.width}.${v.format}`)).toEqual(['320.avif', '320.webp', '500.avif', '500.webp']);
+
+    for (const variant of image.variants) {
+      const variantPath = path.join(IMAGES_DIR, path.basename(variant.url));
+      const metadata = await sharp(variantPath).metadata();
+      expect(metadata.width).toBe(variant.width);
+      expect(metadata.format).toBe(variant.format === 'avif' ? 'heif' : 'webp');
+    }
+  });
+
+  it('should use avatar widths and leave external avatars alone', async () => {
+    const filePath = await writePhoto(AVATARS_DIR, 'avatar', { width: 600, height: 600 });
+    await prepareUploadedImage(multerFile(filePath), 'avatar');
+    await waitForImageVariants();
+
+    const [uploaded, telegram, missing] = await withAvatarVariants([
+      { id: 'u1', avatarUrl: `/uploads/avatars/${path.basename(filePath)}` },
+      { id: 'u2', avatarUrl: 'https://t.me/i/userpic/320/photo.jpg' },
+      null
+    ]);
+
+    expect([...new Set(uploaded.avatarVariants.map(v => v.width))]).toEqual([80, 160, 320]);
+    expect(telegram.avatarVariants).toEqual([]);
+    expect(missing).toBeNull();
+  });
+
+  it('should report no variants until they are ready', async () => {
+    const [image] = await withImageVariants([{ url: `/uploads/images/never_${suffix}.jpg` }]);
+    expect(image.variants).toEqual([]);
+    expect(image.width).toBeUndefined();
+  });
+
+  it('should delete variant files with the image', async () => {
+    const filePath = await writePhoto(IMAGES_DIR, 'remove');
+    await prepareUploadedImage(multerFile(filePath));
+    await waitForImageVariants();
+
+    const url = `/uploads/images/${path.basename(filePath)}`;
+    const [{ variants }] = await withImageVariants([{ url }]);
+    const variantPaths = variants.map(v => path.join(IMAGES_DIR, path.basename(v.url)));
+    expect(await exists(variantPaths[0])).toBe(true);
+
+    await removeImageVariants(url);
+
+    for (const variantPath of variantPaths) {
+      expect(await exists(variantPath)).toBe(false);
+    }
+    expect((await withImageVariants([{ url }]))[0].variants).toEqual([]);
+  });
+
+  it('should backfill old uploads and prune variants of deleted files', async () => {
+    const oldPhoto = await writePhoto(BACKFILL_DIR, 'backfill');
+    const deletedPhoto = await writePhoto(BACKFILL_DIR, 'deleted');
+    await prepareUploadedImage(multerFile(deletedPhoto));
+    await waitForImageVariants();
+
+    const deletedUrl = `/uploads/${backfillDirName}/${path.basename(deletedPhoto)}`;
+    const [{ variants: deletedVariants }] = await withImageVariants([{ url: deletedUrl }]);
+    await fs.unlink(deletedPhoto);
+
+    const dirs = { [backfillDirName]: 'image' };
+    const report = await backfillImageVariants({ dirs });
+
+    expect(report).toEqual({ processed: 1, skipped: 0, failed: 0, pruned: 1 });
+
+    const oldUrl = `/uploads/${backfillDirName}/${path.basename(oldPhoto)}`;
+    const [backfilled] = await withImageVariants([{ url: oldUrl }]);
+    expect(backfilled).toMatchObject({ width: 500, height: 1000 });
+    expect(backfilled.variants.length).toBeGreaterThan(0);
+
+    for (const variant of deletedVariants) {
+      expect(await exists(path.join(BACKFILL_DIR, path.basename(variant.url)))).toBe(false);
+    }
+
+    // Повторный запуск не трогает уже обработанные файлы
+    expect(await backfillImageVariants({ dirs })).toEqual({ processed: 0, skipped: 1, failed: 0, pruned: 0 });
+  });
+
+  it('should recreate only the variants on a forced backfill', async () => {
+    const dirs = { [backfillDirName]: 'image' };
+    const photo = await writePhoto(BACKFILL_DIR, 'forced');
+    await backfillImageVariants({ dirs });
+
+    const url = `/uploads/${backfillDirName}/${path.basename(photo)}`;
+    const [{ variants }] = await withImageVariants([{ url }]);
+    const original = await fs.readFile(photo);
+    const { mtimeMs } = await fs.stat(photo);
+    for (const variant of variants) {
+      await fs.unlink(path.join(BACKFILL_DIR, path.basename(variant.url)));
+    }
+
+    const report = await backfillImageVariants({ dirs, force: true });
+    expect(report.failed).toBe(0);
+
+    // Оригинал не перекодирован повторно: каждый проход JPEG терял бы качество
+    expect((await fs.readFile(photo)).equals(original)).toBe(true);
+    expect((await fs.stat(photo)).mtimeMs).toBe(mtimeMs);
+    for (const variant of variants) {
+      expect(await exists(path.join(BACKFILL_DIR, path.basename(variant.url)))).toBe(true);
+    }
+  });
+});
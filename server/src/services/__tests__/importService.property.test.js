@@ -0,0 +1,214 @@
+/**
+ * Property-Based Tests для разбора файлов импорта
+ * Feature: watch-history-import
+ */
+
+import fc from 'fast-check';
+import {
+  parseLetterboxdFile,
+  parseImdbFile,
+  parseTraktFile,
+  parseImportFiles,
+  validateImportItem,
+  parseWatchRebelExport
+} from '../importService.js';
+import { parseCsv } from '../../utils/csvParser.js';
+
+// Экранирование поля CSV
+const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+describe('Import Service - Property-Based Tests', () => {
+
+  describe('CSV parser', () => {
+    it('should round-trip arbitrary quoted fields', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.array(fc.string(), { minLength: 1, maxLength: 5 }), { minLength: 1, maxLength: 10 }),
+          (rows) => {
+            const text = rows.map(row => row.map(csvField).join(',')).join('\r\n');
+            expect(parseCsv(text)).toEqual(rows);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should strip BOM', () => {
+      expect(parseCsv('﻿Name,Year\nAlien,1979')).toEqual([['Name', 'Year'], ['Alien', '1979']]);
+    });
+  });
+
+  describe('Letterboxd', () => {
+    it('should convert star ratings to 1-10 scale', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 10 }),
+          (halfStars) => {
+            const text = `Date,Name,Year,Letterboxd URI,Rating\n2024-01-01,${csvField('Фильм, с запятой')},2001,https://boxd.it/x,${halfStars / 2}`;
+            const [row] = parseLetterboxdFile(text, 'ratings.csv');
+            expect(row.target).toBe('rating');
+            expect(row.rating).toBe(halfStars);
+            expect(row.title).toBe('Фильм, с запятой');
+            expect(row.year).toBe(2001);
+            expect(row.mediaType).toBe('movie');
+          }
+        ),
+        { numRuns: 10 }
+      );
+    });
+
+    it('should route watchlist and watched files', () => {
+      const text = 'Date,Name,Year,Letterboxd URI\n2024-01-01,Alien,1979,https://boxd.it/x';
+      expect(parseLetterboxdFile(text, 'watchlist.csv')[0].target).toBe('watchlist');
+
+      const [watched] = parseLetterboxdFile(text, 'watched.csv');
+      expect(watched.target).toBe('list');
+      expect(watched.listName).toBe('Letterboxd: просмотрено');
+    });
+
+    it('should parse list exports with metadata header', () => {
+      const text = [
+        'Letterboxd list export v7',
+        'Date,Name,Tags,URL,Description',
+        '2024-01-01,Top 10 of 2023,,https://boxd.it/list,',
+        '',
+        'Position,Name,Year,URL,Description',
+        '1,Oppenheimer,2023,https://boxd.it/a,',
+        '2,Barbie,2023,https://boxd.it/b,'
+      ].join('\n');
+
+      const rows = parseLetterboxdFile(text, 'top-10.csv');
+      expect(rows).toHaveLength(2);
+      expect(rows.every(r => r.target === 'list' && r.listName === 'Letterboxd: Top 10 of 2023')).toBe(true);
+    });
+  });
+
+  describe('IMDb', () => {
+    it('should map title types and skip episodes', () => {
+      const text = [
+        'Const,Your Rating,Date Rated,Title,URL,Title Type,IMDb Rating,Runtime (mins),Year',
+        'tt0111161,10,2024-01-01,The Shawshank Redemption,https://imdb.com/title/tt0111161,Movie,9.3,142,1994',
+        'tt0903747,9,2024-01-01,Breaking Bad,https://imdb.com/title/tt0903747,TV Series,9.5,49,2008',
+        'tt0959621,8,2024-01-01,Pilot,https://imdb.com/title/tt0959621,TV Episode,8.2,58,2008'
+      ].join('\n');
+
+      const rows = parseImdbFile(text, 'ratings.csv');
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({ imdbId: 'tt0111161', mediaType: 'movie', target: 'rating', rating: 10 });
+      expect(rows[1]).toMatchObject({ imdbId: 'tt0903747', mediaType: 'tv', target: 'rating', rating: 9 });
+    });
+  });
+
+  describe('Trakt', () => {
+    it('should take TMDb ids directly and detect targets', () => {
+      const ratings = JSON.stringify([
+        { rated_at: '2024-01-01', rating: 8, type: 'movie', movie: { title: 'Alien', year: 1979, ids: { tmdb: 348, imdb: 'tt0078748' } } },
+        { rated_at: '2024-01-01', rating: 7, type: 'episode', episode: { season: 1 }, show: { title: 'X', ids: { tmdb: 1 } } }
+      ]);
+      const watchlist = JSON.stringify([
+        { listed_at: '2024-01-01', type: 'show', show: { title: 'Dark', year: 2017, ids: { tmdb: 70523 } } }
+      ]);
+
+      const rows = parseImportFiles('trakt', [
+        { originalname: 'ratings-movies.json', buffer: Buffer.from(ratings) },
+        { originalname: 'watchlist-shows.json', buffer: Buffer.from(watchlist) }
+      ]);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({ rowId: 0, tmdbId: 348, mediaType: 'movie', target: 'rating', rating: 8 });
+      expect(rows[1]).toMatchObject({ rowId: 1, tmdbId: 70523, mediaType: 'tv', target: 'watchlist' });
+    });
+
+    it('should reject malformed JSON', () => {
+      expect(() => parseTraktFile('{not json', 'ratings.json')).toThrow();
+    });
+  });
+
+  describe('parseImportFiles', () => {
+    it('should deduplicate rows across overlapping files', () => {
+      const text = 'Date,Name,Year,Letterboxd URI\n2024-01-01,Alien,1979,https://boxd.it/x';
+      const rows = parseImportFiles('letterboxd', [
+        { originalname: 'watched.csv', buffer: Buffer.from(text) },
+        { originalname: 'diary.csv', buffer: Buffer.from(text) }
+      ]);
+      expect(rows).toHaveLength(1);
+    });
+  });
+
+  describe('watchRebel export', () => {
+    it('should restore every exported item with its note and rating', () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(fc.integer({ min: 1, max: 1000000 }), { minLength: 1, maxLength: 20 }),
+          fc.constantFrom('movie', 'tv'),
+          fc.integer({ min: 1, max: 10 }),
+          (tmdbIds, type, rating) => {
+            const exported = {
+              metadata: { format: 'watchrebel', version: 2 },
+              lists: [{
+                name: 'Избранное',
+                type,
+                items: tmdbIds.map(tmdbId => ({ tmdbId, type, title: 'x', myRating: '', personalNote: `заметка ${tmdbId}` }))
+              }],
+              watchlist: [],
+              ratings: tmdbIds.map(tmdbId => ({ tmdbId, type, rating }))
+            };
+
+            const data = parseWatchRebelExport(JSON.stringify(exported));
+            expect(data.lists[0].items).toEqual(tmdbIds.map(tmdbId => ({
+              tmdbId,
+              mediaType: type,
+              personalNote: `заметка ${tmdbId}`
+            })));
+            expect(data.ratings).toHaveLength(tmdbIds.length);
+            expect(data.ratings.every(r => r.rating === rating)).toBe(true);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should count items of legacy exports without TMDb ids', () => {
+      const legacy = {
+        metadata: { exportDate: '2024-01-01' },
+        lists: [{ name: 'Старый', mediaType: 'Фильмы', items: [{ title: 'Alien', myRating: 8 }] }],
+        watchlist: [{ title: 'Dark', mediaType: 'Сериал' }]
+      };
+
+      const data = parseWatchRebelExport(JSON.stringify(legacy));
+      expect(data.lists).toHaveLength(0);
+      expect(data.watchlist).toHaveLength(0);
+      expect(data.legacyItems).toBe(2);
+    });
+
+    it('should fall back to myRating and reject foreign JSON', () => {
+      const data = parseWatchRebelExport(JSON.stringify({
+        lists: [],
+        watchlist: [{ tmdbId: 70523, type: 'tv', myRating: 9 }]
+      }));
+      expect(data.ratings).toEqual([{ tmdbId: 70523, mediaType: 'tv', rating: 9 }]);
+
+      expect(() => parseWatchRebelExport(JSON.stringify([{ movie: {} }]))).toThrow();
+    });
+  });
+
+  describe('validateImportItem', () => {
+    it('should accept only valid ratings', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: -5, max: 15 }),
+          (rating) => {
+            const code = validateImportItem({ tmdbId: 1, mediaType: 'movie', target: 'rating', rating });
+            expect(code === null).toBe(rating >= 1 && rating <= 10);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should require list name for list target', () => {
+      expect(validateImportItem({ tmdbId: 1, mediaType: 'tv', target: 'list' })).toBe('INVALID_LIST_NAME');
+      expect(validateImportItem({ tmdbId: 1, mediaType: 'tv', target: 'list', listName: 'Избранное' })).toBeNull();
+    });
+  });
+});
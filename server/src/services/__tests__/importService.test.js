@@ -0,0 +1,100 @@
+/**
+ * Тесты записи подтверждённых элементов импорта и восстановления экспорта в базу
+ * Feature: watch-history-import
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import { applyImportItems, restoreWatchRebelExport } from '../importService.js';
+
+describe('Import Service - database writes', () => {
+  const userId = `import_user_${uuidv4()}`;
+
+  const ratingOf = async (tmdbId) => {
+    const result = await executeQuery(
+      'SELECT rating FROM ratings WHERE user_id = ? AND tmdb_id = ?',
+      [userId, tmdbId]
+    );
+    return result.data[0]?.rating;
+  };
+
+  beforeAll(async () => {
+    await runMigrations();
+    await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [userId, userId]);
+  });
+
+  beforeEach(async () => {
+    await executeQuery('DELETE FROM ratings WHERE user_id = ?', [userId]);
+    await executeQuery(
+      'INSERT INTO ratings (id, user_id, tmdb_id, media_type, rating) VALUES (?, ?, ?, ?, ?), (?, ?, ?, ?, ?)',
+      [uuidv4(), userId, 101, 'movie', 5, uuidv4(), userId, 102, 'movie', 5]
+    );
+  });
+
+  afterAll(async () => {
+    await executeQuery('DELETE FROM ratings WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+  });
+
+  const items = [
+    { tmdbId: 101, mediaType: 'movie', target: 'rating', rating: 8 },
+    { tmdbId: 102, mediaType: 'movie', target: 'rating', rating: 9 }
+  ];
+
+  it('should skip existing ratings unless overwrite is enabled', async () => {
+    const kept = await applyImportItems(userId, items);
+    expect(kept).toMatchObject({ ratingsUpdated: 0, skipped: 2, errors: [] });
+    expect(await ratingOf(101)).toBe(5);
+
+    const overwritten = await applyImportItems(userId, items, { overwriteRatings: true });
+    expect(overwritten).toMatchObject({ ratingsUpdated: 2, skipped: 0, errors: [] });
+    expect(await ratingOf(101)).toBe(8);
+  });
+
+  it('should report a rating as failed when its update fails', async () => {
+    await executeQuery(`
+      CREATE TEMP TRIGGER fail_rating_update BEFORE UPDATE ON ratings
+      WHEN NEW.user_id = '${userId}' AND NEW.tmdb_id = 102
+      BEGIN SELECT RAISE(ABORT, 'update failed'); END
+    `);
+
+    let report;
+    try {
+      report = await applyImportItems(userId, items, { overwriteRatings: true });
+    } finally {
+      await executeQuery('DROP TRIGGER IF EXISTS temp.fail_rating_update');
+    }
+
+    expect(report.ratingsUpdated).toBe(1);
+    expect(report.errors).toEqual([{ index: 1, code: 'DATABASE_ERROR' }]);
+    expect(await ratingOf(102)).toBe(5);
+  });
+
+  it('should report a restored rating as failed when its update fails', async () => {
+    const data = {
+      lists: [],
+      watchlist: [],
+      ratings: [
+        { tmdbId: 101, mediaType: 'movie', rating: 8 },
+        { tmdbId: 102, mediaType: 'movie', rating: 9 }
+      ]
+    };
+    await executeQuery(`
+      CREATE TEMP TRIGGER fail_restored_rating BEFORE UPDATE ON ratings
+      WHEN NEW.user_id = '${userId}' AND NEW.tmdb_id = 102
+      BEGIN SELECT RAISE(ABORT, 'update failed'); END
+    `);
+
+    let report;
+    try {
+      report = await restoreWatchRebelExport(userId, data, { mode: 'merge', conflicts: 'overwrite' });
+    } finally {
+      await executeQuery('DROP TRIGGER IF EXISTS temp.fail_restored_rating');
+    }
+
+    expect(report.ratingsUpdated).toBe(1);
+    expect(report.errors).toEqual([{ tmdbId: 102, mediaType: 'movie', code: 'DATABASE_ERROR' }]);
+    expect(await ratingOf(102)).toBe(5);
+  });
+});
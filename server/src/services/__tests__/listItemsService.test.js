@@ -0,0 +1,212 @@
+/**
+ * Тесты порядка и массовых операций с элементами списков
+ * Feature: list-ordering
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery, getDatabase } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import { createMigrationContext } from '../../database/migrationRunner.js';
+import { up as addListItemPositions } from '../../database/migrations/020_list_item_positions.js';
+import {
+  LIST_ITEMS_ORDER,
+  getNextListPosition,
+  reorderListItems,
+  runBulkListAction
+} from '../listItemsService.js';
+
+describe('List items ordering and bulk actions', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const ids = {
+    owner: `litems_owner_${suffix}`,
+    editor: `litems_editor_${suffix}`
+  };
+  // TMDb ID из диапазона, который не пересекается с реальными данными тестовой БД
+  const tmdbBase = 900000000 + Math.floor(Math.random() * 1000000);
+
+  const createList = async (userId, name, mediaType = 'movie') => {
+    const id = uuidv4();
+    await executeQuery(
+      'INSERT INTO custom_lists (id, user_id, name, media_type, slug) VALUES (?, ?, ?, ?, ?)',
+      [id, userId, name, mediaType, `litems-${uuidv4()}`]
+    );
+    const result = await executeQuery('SELECT * FROM custom_lists WHERE id = ?', [id]);
+    return result.data[0];
+  };
+
+  const addItem = async (listId, tmdbId, personalNote = null) => {
+    const id = uuidv4();
+    await executeQuery(
+      'INSERT INTO list_items (id, list_id, tmdb_id, media_type, personal_note, position) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, listId, tmdbId, 'movie', personalNote, await getNextListPosition(listId)]
+    );
+    return id;
+  };
+
+  const listItems = async (listId) => {
+    const result = await executeQuery(
+      `SELECT * FROM list_items WHERE list_id = ? ORDER BY ${LIST_ITEMS_ORDER}`,
+      [listId]
+    );
+    return result.data;
+  };
+
+  const ownerList = (list) => ({ type: 'list', list, access: { isOwner: true, canEdit: true } });
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    for (const id of Object.values(ids)) {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [id, id]);
+    }
+  });
+
+  afterAll(async () => {
+    const allUsers = Object.values(ids);
+    const placeholders = allUsers.map(() => '?').join(', ');
+    await executeQuery(`DELETE FROM ratings WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM watchlist WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM custom_lists WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM users WHERE id IN (${placeholders})`, allUsers);
+  });
+
+  it('should backfill positions in the previous display order', async () => {
+    const list = await createList(ids.owner, 'Старый список');
+    const older = uuidv4();
+    const newer = uuidv4();
+    await executeQuery(
+      `INSERT INTO list_items (id, list_id, tmdb_id, media_type, added_at)
+       VALUES (?, ?, ?, 'movie', '2024-01-01 10:00:00'), (?, ?, ?, 'movie', '2024-02-01 10:00:00')`,
+      [older, list.id, tmdbBase + 1, newer, list.id, tmdbBase + 2]
+    );
+
+    await addListItemPositions(createMigrationContext(getDatabase()));
+
+    const items = await listItems(list.id);
+    expect(items.map(item => [item.id, item.position])).toEqual([[newer, 1], [older, 2]]);
+  });
+
+  it('should append new items and reorder the whole list at once', async () => {
+    const list = await createList(ids.owner, 'Топ-3');
+    const first = await addItem(list.id, tmdbBase + 10);
+    const second = await addItem(list.id, tmdbBase + 11);
+    const third = await addItem(list.id, tmdbBase + 12);
+
+    expect((await listItems(list.id)).map(item => item.position)).toEqual([1, 2, 3]);
+
+    expect(await reorderListItems(list.id, [third, first, second])).toEqual({ success: true });
+    expect((await listItems(list.id)).map(item => item.id)).toEqual([third, first, second]);
+
+    // Неполный или повторяющийся порядок не применяется
+    expect((await reorderListItems(list.id, [first, second])).code).toBe('ORDER_MISMATCH');
+    expect((await reorderListItems(list.id, [first, first, second])).code).toBe('ORDER_MISMATCH');
+    expect((await listItems(list.id)).map(item => item.id)).toEqual([third, first, second]);
+  });
+
+  it('should move items between lists keeping notes and appending to the target', async () => {
+    const source = await createList(ids.owner, 'Источник');
+    const target = await createList(ids.owner, 'Назначение');
+    const existing = await addItem(target.id, tmdbBase + 20);
+    const moved = await addItem(source.id, tmdbBase + 21, 'пересмотреть');
+    const stays = await addItem(source.id, tmdbBase + 22);
+
+    const report = await runBulkListAction({
+      userId: ids.owner,
+      action: 'move',
+      source: ownerList(source),
+      target: ownerList(target),
+      itemIds: [moved, 'missing-item']
+    });
+
+    expect(report.processed).toEqual([moved]);
+    expect(report.skipped).toEqual([{ itemId: 'missing-item', code: 'ITEM_NOT_FOUND' }]);
+    expect((await listItems(source.id)).map(item => item.id)).toEqual([stays]);
+
+    const targetItems = await listItems(target.id);
+    expect(targetItems.map(item => [item.tmdb_id, item.position])).toEqual([
+      [tmdbBase + 20, 1],
+      [tmdbBase + 21, 2]
+    ]);
+    expect(targetItems[0].id).toBe(existing);
+    expect(targetItems[1].personal_note).toBe('пересмотреть');
+  });
+
+  it('should copy into a shared list without touching the owner\'s other lists', async () => {
+    const editorList = await createList(ids.editor, 'Мой список');
+    const ownerShared = await createList(ids.owner, 'Общий');
+    const ownerOther = await createList(ids.owner, 'Другой');
+    const fresh = await addItem(editorList.id, tmdbBase + 30, 'заметка соавтора');
+    const taken = await addItem(editorList.id, tmdbBase + 31);
+    await addItem(ownerOther.id, tmdbBase + 31);
+
+    const report = await runBulkListAction({
+      userId: ids.editor,
+      action: 'copy',
+      source: { type: 'list', list: editorList, access: { isOwner: true, canEdit: true } },
+      target: { type: 'list', list: ownerShared, access: { isOwner: false, canEdit: true } },
+      itemIds: [fresh, taken]
+    });
+
+    expect(report.processed).toEqual([fresh]);
+    expect(report.skipped).toEqual([{ itemId: taken, code: 'ALREADY_IN_OTHER_LIST' }]);
+    expect((await listItems(editorList.id)).length).toBe(2);
+
+    const [copied] = await listItems(ownerShared.id);
+    expect(copied).toMatchObject({ tmdb_id: tmdbBase + 30, added_by: ids.editor, personal_note: null });
+  });
+
+  it('should move items to the watchlist and delete with rating cleanup', async () => {
+    const list = await createList(ids.owner, 'На удаление');
+    const toWatchlist = await addItem(list.id, tmdbBase + 40);
+    const toDelete = await addItem(list.id, tmdbBase + 41);
+    await executeQuery(
+      'INSERT INTO ratings (id, user_id, tmdb_id, media_type, rating) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), ids.owner, tmdbBase + 41, 'movie', 8]
+    );
+
+    const moveReport = await runBulkListAction({
+      userId: ids.owner,
+      action: 'move',
+      source: ownerList(list),
+      target: { type: 'watchlist' },
+      itemIds: [toWatchlist]
+    });
+    expect(moveReport.processed).toEqual([toWatchlist]);
+
+    const watchlist = await executeQuery(
+      'SELECT id FROM watchlist WHERE user_id = ? AND tmdb_id = ?',
+      [ids.owner, tmdbBase + 40]
+    );
+    expect(watchlist.data.length).toBe(1);
+
+    const deleteReport = await runBulkListAction({
+      userId: ids.owner,
+      action: 'delete',
+      source: ownerList(list),
+      target: null,
+      itemIds: [toDelete]
+    });
+    expect(deleteReport.processed).toEqual([toDelete]);
+    expect(await listItems(list.id)).toEqual([]);
+
+    const rating = await executeQuery(
+      'SELECT 1 FROM ratings WHERE user_id = ? AND tmdb_id = ?',
+      [ids.owner, tmdbBase + 41]
+    );
+    expect(rating.data.length).toBe(0);
+
+    // Из «Хочу посмотреть» обратно в список владельца: элемент уходит из watchlist
+    const backReport = await runBulkListAction({
+      userId: ids.owner,
+      action: 'copy',
+      source: { type: 'watchlist' },
+      target: ownerList(list),
+      itemIds: [watchlist.data[0].id]
+    });
+    expect(backReport.processed).toEqual([watchlist.data[0].id]);
+    expect((await listItems(list.id)).map(item => item.tmdb_id)).toEqual([tmdbBase + 40]);
+
+    const watchlistAfter = await executeQuery('SELECT 1 FROM watchlist WHERE user_id = ?', [ids.owner]);
+    expect(watchlistAfter.data.length).toBe(0);
+  });
+});
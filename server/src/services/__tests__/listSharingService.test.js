@@ -0,0 +1,139 @@
+/**
+ * Тесты совместного доступа к спискам
+ * Feature: list-sharing
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import {
+  slugifyListName,
+  createListSlug,
+  visibleListCondition,
+  visibleListParams,
+  getListAccess,
+  getListCollaborators,
+  getListFollowState,
+  getListSubscriberIds
+} from '../listSharingService.js';
+
+describe('List sharing', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const ids = {
+    owner: `lshare_owner_${suffix}`,
+    friend: `lshare_friend_${suffix}`,
+    editor: `lshare_editor_${suffix}`,
+    stranger: `lshare_stranger_${suffix}`
+  };
+  const lists = {};
+
+  const createList = async (visibility) => {
+    const id = uuidv4();
+    const name = `Список ${visibility}`;
+    await executeQuery(
+      'INSERT INTO custom_lists (id, user_id, name, media_type, visibility, slug) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, ids.owner, name, 'movie', visibility, await createListSlug(name)]
+    );
+    const result = await executeQuery('SELECT * FROM custom_lists WHERE id = ?', [id]);
+    return result.data[0];
+  };
+
+  const visibleTo = async (userId) => {
+    const result = await executeQuery(
+      `SELECT cl.id FROM custom_lists cl WHERE cl.user_id = ? AND ${visibleListCondition('cl')}`,
+      [ids.owner, ...visibleListParams(userId)]
+    );
+    return result.data.map(row => row.id).sort();
+  };
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    for (const id of Object.values(ids)) {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [id, id]);
+    }
+    for (const friendId of [ids.friend, ids.editor]) {
+      await executeQuery(
+        'INSERT INTO friends (id, user_id, friend_id) VALUES (?, ?, ?)',
+        [uuidv4(), ids.owner, friendId]
+      );
+    }
+
+    lists.private = await createList('private');
+    lists.friends = await createList('friends');
+    lists.public = await createList('public');
+
+    await executeQuery(
+      'INSERT INTO list_collaborators (id, list_id, user_id, role, added_by) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), lists.private.id, ids.editor, 'editor', ids.owner]
+    );
+  });
+
+  afterAll(async () => {
+    const allUsers = Object.values(ids);
+    const placeholders = allUsers.map(() => '?').join(', ');
+    await executeQuery(`DELETE FROM list_followers WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM list_collaborators WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM custom_lists WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM friends WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM users WHERE id IN (${placeholders})`, allUsers);
+  });
+
+  it('should build readable slugs and keep them unique', async () => {
+    expect(slugifyListName('Лучшие фильмы 2024!')).toBe('luchshie-filmy-2024');
+    expect(slugifyListName('Ёлки & Café')).toBe('elki-cafe');
+    expect(slugifyListName('🍿🍿')).toBe('');
+
+    expect(lists.public.slug).toMatch(/^spisok-public-[0-9a-f]{6}$/);
+    const slugs = new Set([lists.private.slug, lists.friends.slug, lists.public.slug]);
+    expect(slugs.size).toBe(3);
+  });
+
+  it('should resolve access by visibility, friendship and role', async () => {
+    expect(await getListAccess(lists.private, ids.owner)).toMatchObject({ isOwner: true, canEdit: true });
+    expect(await getListAccess(lists.private, ids.editor)).toMatchObject({ role: 'editor', canView: true, canEdit: true });
+    expect(await getListAccess(lists.private, ids.friend)).toMatchObject({ canView: false, canEdit: false });
+    expect(await getListAccess(lists.friends, ids.friend)).toMatchObject({ canView: true, canEdit: false });
+    expect(await getListAccess(lists.friends, ids.stranger)).toMatchObject({ canView: false });
+    expect(await getListAccess(lists.public, ids.stranger)).toMatchObject({ canView: true, canEdit: false });
+
+    // Гость по ссылке видит только публичный список
+    expect((await getListAccess(lists.public, null)).canView).toBe(true);
+    expect((await getListAccess(lists.friends, null)).canView).toBe(false);
+  });
+
+  it('should filter lists in SQL the same way', async () => {
+    expect(await visibleTo(ids.owner)).toEqual([lists.private.id, lists.friends.id, lists.public.id].sort());
+    expect(await visibleTo(ids.editor)).toEqual([lists.private.id, lists.friends.id, lists.public.id].sort());
+    expect(await visibleTo(ids.friend)).toEqual([lists.friends.id, lists.public.id].sort());
+    expect(await visibleTo(ids.stranger)).toEqual([lists.public.id]);
+  });
+
+  it('should list collaborators with their roles', async () => {
+    const collaborators = await getListCollaborators(lists.private.id);
+    expect(collaborators).toEqual([
+      expect.objectContaining({ userId: ids.editor, role: 'editor', displayName: ids.editor })
+    ]);
+  });
+
+  it('should notify followers who still see the list, except the actor', async () => {
+    await executeQuery(
+      'INSERT INTO list_followers (id, list_id, user_id) VALUES (?, ?, ?)',
+      [uuidv4(), lists.public.id, ids.stranger]
+    );
+    expect(await getListFollowState(lists.public.id, ids.stranger)).toEqual({ isFollowing: true, followersCount: 1 });
+    expect(await getListFollowState(lists.public.id, ids.friend)).toEqual({ isFollowing: false, followersCount: 1 });
+
+    // Добавил соавтор: уведомляются владелец и подписчик
+    await executeQuery(
+      'INSERT INTO list_collaborators (id, list_id, user_id, role, added_by) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), lists.public.id, ids.editor, 'editor', ids.owner]
+    );
+    expect((await getListSubscriberIds(lists.public, ids.editor)).sort()).toEqual([ids.owner, ids.stranger].sort());
+
+    // Список закрыли: подписчик без доступа больше не уведомляется
+    await executeQuery("UPDATE custom_lists SET visibility = 'private' WHERE id = ?", [lists.public.id]);
+    const closed = { ...lists.public, visibility: 'private' };
+    expect((await getListSubscriberIds(closed, ids.owner)).sort()).toEqual([ids.editor]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Тесты поиска по истории сообщений
+ * Feature: message-search
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import { indexMessage, searchMessages } from '../messageSearchService.js';
+
+describe('Message search', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const ids = {
+    viewer: `msearch_viewer_${suffix}`,
+    friend: `msearch_friend_${suffix}`,
+    blocked: `msearch_blocked_${suffix}`,
+    stranger: `msearch_stranger_${suffix}`
+  };
+  const conversations = {
+    direct: `msearch_direct_${suffix}`,
+    blocked: `msearch_blocked_${suffix}`,
+    secret: `msearch_secret_${suffix}`,
+    group: `msearch_group_${suffix}`,
+    foreign: `msearch_foreign_${suffix}`
+  };
+  // Уникальное слово, чтобы не пересекаться с сообщениями других тестов
+  const marker = `поиск${suffix.replace(/\d/g, digit => 'абвгдежзик'[digit])}`;
+
+  const addMessage = async (conversationId, senderId, content, { createdAt = '2026-03-10 12:00:00', attachments = null, deletedFor = [] } = {}) => {
+    const id = uuidv4();
+    await executeQuery(
+      `INSERT INTO messages (id, conversation_id, sender_id, receiver_id, content, attachments, deleted_for_users, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, conversationId, senderId, senderId, content, attachments ? JSON.stringify(attachments) : null, JSON.stringify(deletedFor), createdAt]
+    );
+    await indexMessage(id);
+    return id;
+  };
+
+  const found = async (filters) => (await searchMessages(ids.viewer, filters)).messages.map(m => m.id);
+
+  let linkId, photoId, groupId, oldId;
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    for (const [key, id] of Object.entries(ids)) {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [id, `Search ${key}`]);
+    }
+    await executeQuery(
+      'INSERT INTO user_blocks (id, user_id, blocked_user_id) VALUES (?, ?, ?)',
+      [uuidv4(), ids.blocked, ids.viewer]
+    );
+
+    const conversationRows = [
+      [conversations.direct, ids.viewer, ids.friend, 0, 0, null],
+      [conversations.blocked, ids.blocked, ids.viewer, 0, 0, null],
+      [conversations.secret, ids.viewer, ids.friend, 0, 1, null],
+      [conversations.group, ids.stranger, ids.stranger, 1, 0, 'Киноклуб'],
+      [conversations.foreign, ids.friend, ids.stranger, 0, 0, null]
+    ];
+    for (const row of conversationRows) {
+      await executeQuery(
+        'INSERT INTO conversations (id, user1_id, user2_id, is_group, is_secret, group_name) VALUES (?, ?, ?, ?, ?, ?)',
+        row
+      );
+    }
+    for (const userId of [ids.viewer, ids.stranger]) {
+      await executeQuery(
+        'INSERT INTO conversation_members (id, conversation_id, user_id) VALUES (?, ?, ?)',
+        [uuidv4(), conversations.group, userId]
+      );
+    }
+
+    linkId = await addMessage(conversations.direct, ids.friend, `Смотри ${marker}: https://Example.com/Трейлер`);
+    photoId = await addMessage(conversations.direct, ids.viewer, '', {
+      createdAt: '2026-03-12 09:00:00',
+      attachments: [{ filename: 'a.jpg', originalName: `${marker}-постер.jpg`, mimetype: 'image/jpeg' }]
+    });
+    oldId = await addMessage(conversations.direct, ids.friend, `Старое ${marker.toUpperCase()}`, { createdAt: '2025-01-01 10:00:00' });
+    groupId = await addMessage(conversations.group, ids.stranger, `Групповое ${marker}`, { createdAt: '2026-03-11 12:00:00' });
+    await addMessage(conversations.direct, ids.friend, `Удалённое ${marker}`, { deletedFor: [ids.viewer] });
+    await addMessage(conversations.blocked, ids.blocked, `От заблокировавшего ${marker}`);
+    await addMessage(conversations.secret, ids.friend, `Секретное ${marker}`);
+    await addMessage(conversations.foreign, ids.friend, `Чужое ${marker}`);
+  });
+
+  afterAll(async () => {
+    const allUsers = Object.values(ids);
+    const allConversations = Object.values(conversations);
+    const userPlaceholders = allUsers.map(() => '?').join(', ');
+    const conversationPlaceholders = allConversations.map(() => '?').join(', ');
+    await executeQuery(`DELETE FROM messages WHERE conversation_id IN (${conversationPlaceholders})`, allConversations);
+    await executeQuery(`DELETE FROM conversation_members WHERE conversation_id IN (${conversationPlaceholders})`, allConversations);
+    await executeQuery(`DELETE FROM conversations WHERE id IN (${conversationPlaceholders})`, allConversations);
+    await executeQuery(`DELETE FROM user_blocks WHERE user_id IN (${userPlaceholders})`, allUsers);
+    await executeQuery(`DELETE FROM users WHERE id IN (${userPlaceholders})`, allUsers);
+  });
+
+  it('should search direct and group chats, newest first', async () => {
+    const { messages, total } = await searchMessages(ids.viewer, { query: marker });
+
+    expect(total).toBe(4);
+    expect(messages.map(m => m.id)).toEqual([photoId, groupId, linkId, oldId]);
+    expect(messages[1].conversationName).toBe('Киноклуб');
+    expect(messages[2].conversationName).toBe('Search friend');
+  });
+
+  it('should match words of links and file names in any case', async () => {
+    expect(await found({ query: `example.com ТРЕЙЛЕР ${marker}` })).toEqual([linkId]);
+    expect(await found({ query: `${marker} ПОСТЕР` })).toEqual([photoId]);
+  });
+
+  it('should skip deleted, blocked, secret and foreign messages', async () => {
+    for (const word of ['Удаленное', 'заблокировавшего', 'Секретное', 'Чужое']) {
+      expect(await found({ query: `${word} ${marker}` })).toEqual([]);
+    }
+  });
+
+  it('should filter by conversation, sender, dates and attachment type', async () => {
+    expect(await found({ query: marker, conversationId: conversations.group })).toEqual([groupId]);
+    expect(await found({ query: marker, senderId: ids.viewer })).toEqual([photoId]);
+    expect(await found({ query: marker, from: '2026-03-10 00:00:00', to: '2026-03-12 00:00:00' }))
+      .toEqual([groupId, linkId]);
+    expect(await found({ conversationId: conversations.direct, attachmentType: 'image' })).toEqual([photoId]);
+    expect(await found({ query: marker, attachmentType: 'file' })).toEqual([]);
+  });
+
+  it('should paginate', async () => {
+    const firstPage = await searchMessages(ids.viewer, { query: marker, limit: 3 });
+    expect(firstPage.hasMore).toBe(true);
+
+    const secondPage = await searchMessages(ids.viewer, { query: marker, limit: 3, offset: 3 });
+    expect(secondPage.messages.map(m => m.id)).toEqual([oldId]);
+    expect(secondPage.hasMore).toBe(false);
+  });
+
+  it('should drop deleted messages from the index', async () => {
+    await executeQuery('DELETE FROM messages WHERE id = ?', [oldId]);
+    expect(await found({ query: `Старое ${marker}` })).toEqual([]);
+
+    const remaining = await executeQuery(
+      `SELECT COUNT(*) as count FROM message_search_fts WHERE message_search_fts MATCH ?`,
+      [`"старое" "${marker}"`]
+    );
+    expect(remaining.data[0].count).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Тесты видимости присутствия: приватность, дружба и блокировки для пачки пользователей
+ * Feature: typing-presence
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import { getVisiblePresence, PRESENCE_QUERY_MAX_USERS } from '../presenceService.js';
+
+describe('Presence service', () => {
+  const suffix = uuidv4();
+  const viewer = `presence_viewer_${suffix}`;
+  const open = `presence_open_${suffix}`;
+  const friend = `presence_friend_${suffix}`;
+  const stranger = `presence_stranger_${suffix}`;
+  const hidden = `presence_hidden_${suffix}`;
+  const blocker = `presence_blocker_${suffix}`;
+  const users = [viewer, open, friend, stranger, hidden, blocker];
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    const privacy = { [friend]: 'friends', [stranger]: 'friends', [hidden]: 'none' };
+    for (const id of users) {
+      await executeQuery(
+        "INSERT INTO users (id, display_name, presence_privacy, last_seen_at) VALUES (?, ?, ?, '2026-01-02 03:04:05')",
+        [id, id, privacy[id] || 'all']
+      );
+    }
+    await executeQuery('INSERT INTO friends (id, user_id, friend_id) VALUES (?, ?, ?)', [uuidv4(), friend, viewer]);
+    await executeQuery('INSERT INTO user_blocks (id, user_id, blocked_user_id) VALUES (?, ?, ?)', [uuidv4(), blocker, viewer]);
+  });
+
+  afterAll(async () => {
+    const placeholders = users.map(() => '?').join(', ');
+    await executeQuery(`DELETE FROM friends WHERE user_id IN (${placeholders})`, users);
+    await executeQuery(`DELETE FROM user_blocks WHERE user_id IN (${placeholders})`, users);
+    await executeQuery(`DELETE FROM users WHERE id IN (${placeholders})`, users);
+  });
+
+  it('should apply privacy, friendship and blocks to every requested user', async () => {
+    const visible = await getVisiblePresence(viewer, [viewer, open, friend, stranger, hidden, blocker, 'missing_user']);
+
+    expect([...visible.keys()].sort()).toEqual([friend, open].sort());
+    expect(visible.get(open)).toBe('2026-01-02 03:04:05');
+  });
+
+  it('should ignore ids beyond the limit', async () => {
+    const filler = Array.from({ length: PRESENCE_QUERY_MAX_USERS }, (_, i) => `presence_filler_${i}`);
+    const visible = await getVisiblePresence(viewer, [...filler, open]);
+
+    expect(visible.has(open)).toBe(false);
+  });
+});
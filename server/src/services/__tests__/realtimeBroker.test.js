@@ -0,0 +1,270 @@
+/**
+ * Тесты брокеров pub/sub для realtime-событий
+ * Redis-брокер проверяется против локального RESP-сервера с PUBLISH/SUBSCRIBE
+ * Feature: realtime-pubsub
+ */
+
+import net from 'net';
+import {
+  createMemoryBroker,
+  createRedisBroker,
+  createBroker
+} from '../realtimeBroker.js';
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('timeout');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Массив строк в формате RESP
+ */
+const encodeArray = (items) => `*${items.length}\r\n` +
+  items.map(item => `$${Buffer.byteLength(String(item))}\r\n${item}\r\n`).join('');
+
+/**
+ * Разбор команд клиента (массивы bulk-строк) из потока данных сокета
+ */
+function createCommandParser(onCommand) {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    for (;;) {
+      let offset = 0;
+      const readLine = () => {
+        const end = buffer.indexOf('\r\n', offset);
+        if (end === -1) return null;
+        const line = buffer.toString('utf8', offset, end);
+        offset = end + 2;
+        return line;
+      };
+
+      const header = readLine();
+      if (header === null) return;
+
+      const args = [];
+      const count = Number(header.slice(1));
+      for (let i = 0; i < count; i++) {
+        const length = readLine();
+        if (length === null || buffer.length < offset + Number(length.slice(1)) + 2) return;
+        args.push(buffer.toString('utf8', offset, offset + Number(length.slice(1))));
+        offset += Number(length.slice(1)) + 2;
+      }
+
+      buffer = buffer.subarray(offset);
+      onCommand(args);
+    }
+  };
+}
+
+/**
+ * Минимальный Redis-совместимый сервер: HELLO, AUTH, INFO, CLIENT, SUBSCRIBE, UNSUBSCRIBE, PUBLISH
+ */
+function createStandInServer({ password } = {}) {
+  const subscriptions = new Map(); // socket -> Set<channel>
+  const sockets = new Set();
+  const commands = [];
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    subscriptions.set(socket, new Set());
+    let authenticated = !password;
+
+    socket.on('data', createCommandParser(([name, ...args]) => {
+      const command = name.toUpperCase();
+      commands.push([command, ...args]);
+
+      // Сервер без RESP3: клиент переходит на RESP2 и отдельную команду AUTH
+      if (command === 'HELLO') {
+        socket.write(`-ERR unknown command '${name}'\r\n`);
+        return;
+      }
+
+      if (command === 'AUTH') {
+        authenticated = args[args.length - 1] === password;
+        socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+        return;
+      }
+
+      if (!authenticated) {
+        socket.write('-NOAUTH Authentication required.\r\n');
+        return;
+      }
+
+      // Проверка готовности и метаданные клиента при подключении
+      if (command === 'INFO') {
+        const info = '# Server\r\nredis_version:7.2.0\r\nloading:0\r\n';
+        socket.write(`$${Buffer.byteLength(info)}\r\n${info}\r\n`);
+        return;
+      }
+
+      if (command === 'CLIENT') {
+        socket.write('+OK\r\n');
+        return;
+      }
+
+      const channels = subscriptions.get(socket);
+
+      if (command === 'SUBSCRIBE' || command === 'UNSUBSCRIBE') {
+        args.forEach(channel => {
+          if (command === 'SUBSCRIBE') channels.add(channel);
+          else channels.delete(channel);
+          const kind = command.toLowerCase();
+          socket.write(`*3\r\n$${kind.length}\r\n${kind}\r\n$${Buffer.byteLength(channel)}\r\n${channel}\r\n:${channels.size}\r\n`);
+        });
+        return;
+      }
+
+      if (command === 'PUBLISH') {
+        const [channel, message] = args;
+        let receivers = 0;
+        subscriptions.forEach((subscribed, subscriber) => {
+          if (!subscribed.has(channel)) return;
+          subscriber.write(encodeArray(['message', channel, message]));
+          receivers++;
+        });
+        socket.write(`:${receivers}\r\n`);
+        return;
+      }
+
+      socket.write(`-ERR unknown command '${name}'\r\n`);
+    }));
+
+    socket.on('close', () => {
+      sockets.delete(socket);
+      subscriptions.delete(socket);
+    });
+  });
+
+  return {
+    commands,
+    listen: (port = 0) => new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port))),
+    // Разорвать все соединения, не останавливая сервер (имитация рестарта Redis)
+    dropConnections: () => sockets.forEach(socket => socket.destroy()),
+    subscriberCount: (channel) => [...subscriptions.values()].filter(channels => channels.has(channel)).length,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+describe('Realtime broker', () => {
+  describe('memory', () => {
+    it('should deliver synchronously and stop after unsubscribe', async () => {
+      const broker = createMemoryBroker();
+      const received = [];
+
+      const unsubscribe = await broker.subscribe('events', message => received.push(message));
+      await broker.publish('events', 'first');
+      await broker.publish('other', 'ignored');
+      expect(received).toEqual(['first']);
+
+      await unsubscribe();
+      await broker.publish('events', 'second');
+      expect(received).toEqual(['first']);
+
+      await broker.close();
+    });
+  });
+
+  describe('redis', () => {
+    let standIn;
+    let port;
+    const brokers = [];
+
+    const open = (url) => {
+      const broker = createRedisBroker(url);
+      brokers.push(broker);
+      return broker;
+    };
+
+    beforeEach(async () => {
+      standIn = createStandInServer({ password: 's3cret' });
+      port = await standIn.listen();
+    });
+
+    afterEach(async () => {
+      await Promise.all(brokers.splice(0).map(broker => broker.close()));
+      await standIn.close();
+    });
+
+    it('should deliver messages between brokers of different processes', async () => {
+      const url = `redis://:s3cret@127.0.0.1:${port}`;
+      const workerA = open(url);
+      const workerB = open(url);
+      const receivedA = [];
+      const receivedB = [];
+
+      await workerA.subscribe('watchrebel:realtime', message => receivedA.push(message));
+      await workerB.subscribe('watchrebel:realtime', message => receivedB.push(message));
+      await waitFor(() => standIn.subscriberCount('watchrebel:realtime') === 2);
+
+      const payload = JSON.stringify({ userId: 'u1', payload: { type: 'new_message', text: 'Привет, мир' } });
+      await workerA.publish('watchrebel:realtime', payload);
+
+      await waitFor(() => receivedA.length === 1 && receivedB.length === 1);
+      expect(receivedB[0]).toBe(payload);
+      expect(standIn.commands.some(([command, ...args]) => command === 'AUTH' && args[0] === 's3cret')).toBe(true);
+    });
+
+    it('should queue publishes until connected and resubscribe after reconnect', async () => {
+      const url = `redis://:s3cret@127.0.0.1:${port}`;
+      const subscriber = open(url);
+      const received = [];
+
+      await subscriber.subscribe('events', message => received.push(message));
+      await waitFor(() => standIn.subscriberCount('events') === 1);
+
+      // Публикация сразу после создания — соединение ещё не установлено
+      const publisher = open(url);
+      await publisher.publish('events', 'queued');
+      await waitFor(() => received.length === 1);
+
+      standIn.dropConnections();
+      await waitFor(() => standIn.subscriberCount('events') === 0);
+      await waitFor(() => standIn.subscriberCount('events') === 1, 4000);
+
+      await publisher.publish('events', 'after reconnect');
+      await waitFor(() => received.length === 2, 4000);
+      expect(received).toEqual(['queued', 'after reconnect']);
+    });
+
+    it('should reject publishes when the password is wrong', async () => {
+      const broker = open(`redis://:wrong@127.0.0.1:${port}`);
+
+      await expect(broker.publish('events', 'denied')).rejects.toThrow('WRONGPASS');
+    });
+
+    it('should unsubscribe from the server when the last handler leaves', async () => {
+      const broker = open(`redis://:s3cret@127.0.0.1:${port}`);
+
+      const unsubscribeFirst = await broker.subscribe('events', () => {});
+      const unsubscribeSecond = await broker.subscribe('events', () => {});
+      await waitFor(() => standIn.subscriberCount('events') === 1);
+
+      await unsubscribeFirst();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(standIn.subscriberCount('events')).toBe(1);
+
+      await unsubscribeSecond();
+      await waitFor(() => standIn.subscriberCount('events') === 0);
+    });
+  });
+
+  describe('createBroker', () => {
+    it('should default to memory and validate configuration', async () => {
+      const broker = createBroker({});
+      expect(broker.name).toBe('memory');
+      expect(broker.distributed).toBe(false);
+
+      expect(() => createBroker({ REALTIME_BROKER: 'kafka' })).toThrow('REALTIME_BROKER');
+      expect(() => createBroker({ REALTIME_BROKER: 'redis' })).toThrow('REDIS_URL');
+    });
+  });
+});
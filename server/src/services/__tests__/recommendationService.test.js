@@ -0,0 +1,157 @@
+/**
+ * Тесты персональных рекомендаций «Для вас»
+ * Детали и рекомендации TMDb подкладываются в кэш media.db, discover подменяется
+ * Feature: for-you
+ */
+
+import { jest } from '@jest/globals';
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { executeMediaQuery } from '../../database/mediaDb.js';
+import { runMigrations } from '../../database/migrations.js';
+import tmdbService from '../tmdbService.js';
+import { getForYou, ratingWeight } from '../recommendationService.js';
+
+const LIKED_ID = 990000201;
+const DISLIKED_ID = 990000202;
+const RECOMMENDED_ID = 990000203;
+const WATCHLISTED_ID = 990000204;
+const DISCOVERED_ID = 990000205;
+const HORROR_ID = 990000206;
+
+const DRAMA = { id: 18, name: 'Драма' };
+const HORROR = { id: 27, name: 'Ужасы' };
+const DIRECTOR = { id: 7001, name: 'Режиссёр Тестов', job: 'Director' };
+
+async function cacheMovie(tmdbId, title, { genres = [], credits = null, keywords = null, recommendations = null } = {}) {
+  await executeMediaQuery(
+    `INSERT OR REPLACE INTO media_cache
+      (tmdb_id, media_type, title, genres, credits, keywords, recommendations, recommendations_updated_at, updated_at)
+     VALUES (?, 'movie', ?, ?, ?, ?, ?, ?, datetime('now'))`,
+    [
+      tmdbId,
+      title,
+      JSON.stringify(genres),
+      credits ? JSON.stringify(credits) : null,
+      keywords ? JSON.stringify(keywords) : null,
+      recommendations ? JSON.stringify(recommendations) : null,
+      recommendations ? new Date().toISOString() : null
+    ]
+  );
+}
+
+describe('For you recommendations', () => {
+  const userId = `for_you_user_${uuidv4()}`;
+
+  beforeAll(async () => {
+    await runMigrations();
+    // Та же таблица, что и в mediaDb.js: создание там асинхронное
+    await executeMediaQuery(`
+      CREATE TABLE IF NOT EXISTS media_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tmdb_id INTEGER NOT NULL,
+        media_type TEXT NOT NULL,
+        title TEXT,
+        original_title TEXT,
+        poster_path TEXT,
+        backdrop_path TEXT,
+        vote_average REAL DEFAULT 0,
+        vote_count INTEGER DEFAULT 0,
+        overview TEXT,
+        genres TEXT,
+        runtime INTEGER,
+        release_date TEXT,
+        number_of_seasons INTEGER,
+        number_of_episodes INTEGER,
+        status TEXT,
+        credits TEXT,
+        videos TEXT,
+        images TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tmdb_id, media_type)
+      )
+    `);
+    // Колонки могут быть ещё не добавлены миграцией mediaDb.js — ошибки «duplicate column» ожидаемы
+    for (const column of ['recommendations TEXT', 'recommendations_updated_at DATETIME', 'keywords TEXT']) {
+      await executeMediaQuery(`ALTER TABLE media_cache ADD COLUMN ${column}`);
+    }
+
+    await executeQuery('INSERT OR IGNORE INTO users (id, display_name) VALUES (?, ?)', [userId, 'For You User']);
+    await executeQuery(
+      'INSERT INTO ratings (id, user_id, tmdb_id, media_type, rating) VALUES (?, ?, ?, ?, ?), (?, ?, ?, ?, ?)',
+      [uuidv4(), userId, LIKED_ID, 'movie', 9, uuidv4(), userId, DISLIKED_ID, 'movie', 2]
+    );
+    await executeQuery(
+      'INSERT INTO watchlist (id, user_id, tmdb_id, media_type) VALUES (?, ?, ?, ?)',
+      [uuidv4(), userId, WATCHLISTED_ID, 'movie']
+    );
+
+    await cacheMovie(LIKED_ID, 'Любимый фильм', {
+      genres: [DRAMA],
+      credits: { cast: [], crew: [DIRECTOR] },
+      keywords: [{ id: 501, name: 'взросление' }],
+      recommendations: [
+        { id: RECOMMENDED_ID, title: 'Рекомендованный', media_type: 'movie', genre_ids: [18], vote_average: 7.5 },
+        { id: WATCHLISTED_ID, title: 'Уже в watchlist', media_type: 'movie', genre_ids: [18], vote_average: 8 },
+        { id: DISLIKED_ID, title: 'Нелюбимый фильм', media_type: 'movie', genre_ids: [27], vote_average: 5 }
+      ]
+    });
+    await cacheMovie(DISLIKED_ID, 'Нелюбимый фильм', { genres: [HORROR] });
+    // Кандидат из discover, о котором в кэше уже есть титры
+    await cacheMovie(DISCOVERED_ID, 'Найденный', {
+      genres: [DRAMA],
+      credits: { cast: [], crew: [DIRECTOR] }
+    });
+
+    jest.spyOn(tmdbService, 'initialize').mockResolvedValue();
+    jest.spyOn(tmdbService, 'makeRequest').mockRejectedValue(new Error('offline'));
+    jest.spyOn(tmdbService, 'discoverMovies').mockResolvedValue({
+      results: [
+        { id: DISCOVERED_ID, title: 'Найденный', genre_ids: [18], vote_average: 7 },
+        { id: HORROR_ID, title: 'Страшный', genre_ids: [27], vote_average: 7 }
+      ]
+    });
+    jest.spyOn(tmdbService, 'discoverTV').mockResolvedValue({ results: [] });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await executeQuery('DELETE FROM ratings WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM watchlist WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+    await executeMediaQuery(
+      'DELETE FROM media_cache WHERE tmdb_id IN (?, ?, ?)',
+      [LIKED_ID, DISLIKED_ID, DISCOVERED_ID]
+    );
+  });
+
+  it('should map ratings to profile weights', () => {
+    expect(ratingWeight(10)).toBe(1);
+    expect(ratingWeight(1)).toBe(-1);
+    expect(ratingWeight(5.5)).toBe(0);
+  });
+
+  it('should return nothing for a user without signals', async () => {
+    expect(await getForYou(`nobody_${uuidv4()}`)).toEqual({ results: [], basedOn: 0 });
+  });
+
+  it('should rank and explain candidates, excluding known titles', async () => {
+    const { results, basedOn } = await getForYou(userId, { type: 'movie' });
+    expect(basedOn).toBe(2);
+
+    const ids = results.map(result => result.tmdbId);
+    expect(ids).toEqual([RECOMMENDED_ID, DISCOVERED_ID]);
+
+    expect(results[0].reason).toBe('Потому что вы оценили «Любимый фильм» на 9/10');
+    expect(results[1].reasons.map(reason => reason.text)).toEqual(expect.arrayContaining([
+      'Вам нравится жанр «Драма»',
+      'Режиссёр Тестов — как в «Любимый фильм»'
+    ]));
+  });
+
+  it('should filter by media type', async () => {
+    const { results } = await getForYou(userId, { type: 'tv' });
+    expect(results).toEqual([]);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Тесты жалоб на контент
+ * Feature: content-reports
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import { createReport, resolveReport } from '../reportService.js';
+
+describe('Content reports', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const ids = {
+    author: `report_author_${suffix}`,
+    reporter: `report_reporter_${suffix}`,
+    second: `report_second_${suffix}`,
+    outsider: `report_outsider_${suffix}`,
+    admin: `report_admin_${suffix}`
+  };
+
+  const createPost = async (content, postType = 'text') => {
+    const id = uuidv4();
+    await executeQuery(
+      'INSERT INTO wall_posts (id, user_id, post_type, content) VALUES (?, ?, ?, ?)',
+      [id, ids.author, postType, content]
+    );
+    return id;
+  };
+
+  const createMessage = async (isSecret) => {
+    const conversationId = uuidv4();
+    const messageId = uuidv4();
+    await executeQuery(
+      'INSERT INTO conversations (id, user1_id, user2_id, is_secret) VALUES (?, ?, ?, ?)',
+      [conversationId, ids.author, ids.reporter, isSecret ? 1 : 0]
+    );
+    await executeQuery(
+      'INSERT INTO messages (id, conversation_id, sender_id, receiver_id, content) VALUES (?, ?, ?, ?, ?)',
+      [messageId, conversationId, ids.author, ids.reporter, isSecret ? 'зашифровано' : 'Открытый текст']
+    );
+    return { conversationId, messageId };
+  };
+
+  const getReport = async (id) => (await executeQuery('SELECT * FROM reports WHERE id = ?', [id])).data[0];
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    for (const id of Object.values(ids)) {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [id, id]);
+    }
+  });
+
+  afterAll(async () => {
+    const allUsers = Object.values(ids);
+    const placeholders = allUsers.map(() => '?').join(', ');
+    await executeQuery(`DELETE FROM moderation_actions WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM reports WHERE reporter_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM notifications WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM conversations WHERE user1_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM wall_posts WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM users WHERE id IN (${placeholders})`, allUsers);
+  });
+
+  it('should store a snapshot of the reported post', async () => {
+    const postId = await createPost('Запись со спамом');
+
+    const result = await createReport({
+      reporterId: ids.reporter, targetType: 'wall_post', targetId: postId, category: 'spam'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.report).toMatchObject({ reportedUserId: ids.author, targetType: 'wall_post', category: 'spam' });
+
+    const row = await getReport(result.report.id);
+    expect(JSON.parse(row.content_snapshot)).toMatchObject({ text: 'Запись со спамом', images: [] });
+
+    // Снимок остаётся, даже если автор исправил запись
+    await executeQuery('UPDATE wall_posts SET content = ? WHERE id = ?', ['Исправлено', postId]);
+    expect(JSON.parse((await getReport(result.report.id)).content_snapshot).text).toBe('Запись со спамом');
+  });
+
+  it('should validate the report before saving it', async () => {
+    const postId = await createPost('Обычная запись');
+    const reviewId = await createPost('Рецензия', 'review');
+
+    expect(await createReport({ reporterId: ids.reporter, targetType: 'story', targetId: postId, category: 'spam' }))
+      .toMatchObject({ success: false, code: 'INVALID_TARGET' });
+    expect(await createReport({ reporterId: ids.reporter, targetType: 'wall_post', targetId: postId, category: 'boring' }))
+      .toMatchObject({ success: false, code: 'INVALID_CATEGORY' });
+    expect(await createReport({ reporterId: ids.reporter, targetType: 'wall_post', targetId: postId, reason: 'плохо' }))
+      .toMatchObject({ success: false, code: 'REASON_TOO_SHORT' });
+    expect(await createReport({ reporterId: ids.reporter, targetType: 'wall_post', targetId: reviewId, category: 'spam' }))
+      .toMatchObject({ success: false, code: 'TARGET_NOT_FOUND' });
+    expect(await createReport({ reporterId: ids.author, targetType: 'wall_post', targetId: postId, category: 'spam' }))
+      .toMatchObject({ success: false, code: 'CANNOT_REPORT_SELF' });
+
+    await createReport({ reporterId: ids.reporter, targetType: 'review', targetId: reviewId, category: 'spoilers' });
+    expect(await createReport({ reporterId: ids.reporter, targetType: 'review', targetId: reviewId, category: 'spam' }))
+      .toMatchObject({ success: false, code: 'ALREADY_REPORTED' });
+  });
+
+  it('should only accept message reports from chat participants', async () => {
+    const { messageId } = await createMessage(false);
+
+    expect(await createReport({ reporterId: ids.outsider, targetType: 'message', targetId: messageId, category: 'abuse' }))
+      .toMatchObject({ success: false, code: 'FORBIDDEN' });
+
+    const result = await createReport({ reporterId: ids.reporter, targetType: 'message', targetId: messageId, category: 'abuse' });
+    expect(result.success).toBe(true);
+    expect(JSON.parse((await getReport(result.report.id)).content_snapshot).text).toBe('Открытый текст');
+  });
+
+  it('should take the secret chat text from the reporter', async () => {
+    const { messageId } = await createMessage(true);
+
+    const result = await createReport({
+      reporterId: ids.reporter, targetType: 'message', targetId: messageId, category: 'abuse', snapshotText: 'Расшифрованный текст'
+    });
+
+    const snapshot = JSON.parse((await getReport(result.report.id)).content_snapshot);
+    expect(snapshot).toMatchObject({ text: 'Расшифрованный текст', providedByReporter: true });
+  });
+
+  it('should hide content and close every pending report on it', async () => {
+    const postId = await createPost('Оскорбительная запись');
+    const first = await createReport({ reporterId: ids.reporter, targetType: 'wall_post', targetId: postId, category: 'abuse' });
+    const second = await createReport({ reporterId: ids.second, targetType: 'wall_post', targetId: postId, category: 'hate' });
+
+    const result = await resolveReport({ reportId: first.report.id, adminId: ids.admin, action: 'hide_content' });
+
+    expect(result.success).toBe(true);
+    expect(result.resolvedReportIds.sort()).toEqual([first.report.id, second.report.id].sort());
+
+    const post = (await executeQuery('SELECT hidden_at FROM wall_posts WHERE id = ?', [postId])).data[0];
+    expect(post.hidden_at).not.toBeNull();
+    expect(await getReport(second.report.id)).toMatchObject({ status: 'reviewed', resolution: 'hide_content', reviewed_by: ids.admin });
+
+    const actions = await executeQuery('SELECT * FROM moderation_actions WHERE report_id = ?', [first.report.id]);
+    expect(actions.data).toEqual([
+      expect.objectContaining({ user_id: ids.author, action_type: 'content_hidden', target_type: 'wall_post', target_id: postId })
+    ]);
+
+    expect(await resolveReport({ reportId: second.report.id, adminId: ids.admin, action: 'dismiss' }))
+      .toMatchObject({ success: false, code: 'ALREADY_RESOLVED' });
+  });
+
+  it('should dismiss only the resolved report', async () => {
+    const postId = await createPost('Спорная запись');
+    const first = await createReport({ reporterId: ids.reporter, targetType: 'wall_post', targetId: postId, category: 'spam' });
+    const second = await createReport({ reporterId: ids.second, targetType: 'wall_post', targetId: postId, category: 'spam' });
+
+    const result = await resolveReport({ reportId: first.report.id, adminId: ids.admin, action: 'dismiss' });
+
+    expect(result.resolvedReportIds).toEqual([first.report.id]);
+    expect(await getReport(first.report.id)).toMatchObject({ status: 'dismissed', resolution: 'dismiss' });
+    expect((await getReport(second.report.id)).status).toBe('pending');
+  });
+
+  it('should delete the reported content', async () => {
+    const postId = await createPost('Удаляемая запись');
+    const report = await createReport({ reporterId: ids.reporter, targetType: 'wall_post', targetId: postId, category: 'nsfw' });
+
+    const result = await resolveReport({
+      reportId: report.report.id, adminId: ids.admin, action: 'delete_content', reason: 'Недопустимые изображения'
+    });
+
+    expect(result.success).toBe(true);
+    expect((await executeQuery('SELECT id FROM wall_posts WHERE id = ?', [postId])).data).toHaveLength(0);
+    // Снимок в жалобе переживает удаление
+    expect(JSON.parse((await getReport(report.report.id)).content_snapshot).text).toBe('Удаляемая запись');
+  });
+
+  it('should ban the author from posting', async () => {
+    const postId = await createPost('Очередной спам');
+    const report = await createReport({ reporterId: ids.reporter, targetType: 'wall_post', targetId: postId, category: 'spam' });
+
+    expect(await resolveReport({ reportId: report.report.id, adminId: ids.admin, action: 'post_ban', durationMinutes: 60 }))
+      .toMatchObject({ success: false, code: 'REASON_REQUIRED' });
+    expect(await resolveReport({ reportId: report.report.id, adminId: ids.admin, action: 'post_ban', reason: 'Спам' }))
+      .toMatchObject({ success: false, code: 'DURATION_REQUIRED' });
+
+    const result = await resolveReport({
+      reportId: report.report.id, adminId: ids.admin, action: 'post_ban', reason: 'Спам', durationMinutes: 60
+    });
+
+    expect(result.success).toBe(true);
+    const author = (await executeQuery('SELECT post_ban_until FROM users WHERE id = ?', [ids.author])).data[0];
+    expect(new Date(author.post_ban_until).getTime()).toBeGreaterThan(Date.now());
+
+    const actions = await executeQuery('SELECT * FROM moderation_actions WHERE report_id = ?', [report.report.id]);
+    expect(actions.data).toEqual([
+      expect.objectContaining({ user_id: ids.author, action_type: 'post_ban', duration_minutes: 60 })
+    ]);
+  });
+
+  it('should refuse content actions on profile reports', async () => {
+    const report = await createReport({
+      reporterId: ids.reporter, targetType: 'user', targetId: ids.author, reason: 'Выдаёт себя за другого человека'
+    });
+
+    expect(await resolveReport({ reportId: report.report.id, adminId: ids.admin, action: 'hide_content' }))
+      .toMatchObject({ success: false, code: 'NOT_CONTENT_REPORT' });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Тесты проверки новых серий и релизов фильмов
+ * Сериалы берутся из кэша media.db, ответы TMDb подменяются
+ * Feature: release-alerts
+ */
+
+import { jest } from '@jest/globals';
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { executeMediaQuery } from '../../database/mediaDb.js';
+import { runMigrations } from '../../database/migrations.js';
+import tmdbService from '../tmdbService.js';
+import { checkNewReleases } from '../schedulerService.js';
+import { toDateString, addDays } from '../episodeScheduleService.js';
+
+const TV_ID = 990000101;
+const MOVIE_ID = 990000102;
+const today = toDateString();
+
+const notificationsOf = async (userId, type) => {
+  const result = await executeQuery(
+    'SELECT content FROM notifications WHERE user_id = ? AND type = ?',
+    [userId, type]
+  );
+  return result.data.map(row => row.content);
+};
+
+describe('Release alerts', () => {
+  const viewerId = `release_viewer_${uuidv4()}`;
+  const mutedId = `release_muted_${uuidv4()}`;
+
+  beforeAll(async () => {
+    await runMigrations();
+    // Те же таблицы, что и в mediaDb.js/миграциях: в тестовой БД их создание не доходит
+    await executeMediaQuery(`
+      CREATE TABLE IF NOT EXISTS season_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tmdb_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        name TEXT,
+        air_date TEXT,
+        episodes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tmdb_id, season_number)
+      )
+    `);
+    await executeMediaQuery(`
+      CREATE TABLE IF NOT EXISTS media_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tmdb_id INTEGER NOT NULL,
+        media_type TEXT NOT NULL,
+        title TEXT,
+        original_title TEXT,
+        poster_path TEXT,
+        backdrop_path TEXT,
+        vote_average REAL DEFAULT 0,
+        vote_count INTEGER DEFAULT 0,
+        overview TEXT,
+        genres TEXT,
+        runtime INTEGER,
+        release_date TEXT,
+        number_of_seasons INTEGER,
+        number_of_episodes INTEGER,
+        status TEXT,
+        credits TEXT,
+        videos TEXT,
+        images TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tmdb_id, media_type)
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS episode_progress (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        tmdb_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        episode_number INTEGER NOT NULL,
+        watched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS notification_settings (
+        id TEXT PRIMARY KEY,
+        user_id TEXT UNIQUE NOT NULL,
+        new_episode BOOLEAN DEFAULT 1,
+        release BOOLEAN DEFAULT 1
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS release_alerts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        tmdb_id INTEGER NOT NULL,
+        media_type TEXT NOT NULL,
+        alert_key TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, tmdb_id, media_type, alert_key)
+      )
+    `);
+
+    for (const [id, name] of [[viewerId, 'Release Viewer'], [mutedId, 'Release Muted']]) {
+      await executeQuery('INSERT OR IGNORE INTO users (id, display_name) VALUES (?, ?)', [id, name]);
+      await executeQuery(
+        'INSERT INTO episode_progress (id, user_id, tmdb_id, season_number, episode_number) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), id, TV_ID, 1, 2]
+      );
+      await executeQuery(
+        'INSERT INTO watchlist (id, user_id, tmdb_id, media_type) VALUES (?, ?, ?, ?)',
+        [uuidv4(), id, MOVIE_ID, 'movie']
+      );
+    }
+    await executeQuery(
+      'INSERT INTO notification_settings (id, user_id, new_episode, release) VALUES (?, ?, 0, 0)',
+      [uuidv4(), mutedId]
+    );
+
+    await executeMediaQuery(
+      `INSERT OR REPLACE INTO media_cache (tmdb_id, media_type, title, number_of_seasons, status, updated_at)
+       VALUES (?, 'tv', 'Тестовый сериал', 2, 'Returning Series', datetime('now'))`,
+      [TV_ID]
+    );
+    await executeMediaQuery(
+      `INSERT OR REPLACE INTO media_cache (tmdb_id, media_type, title, release_date, updated_at)
+       VALUES (?, 'movie', 'Тестовый фильм', ?, datetime('now'))`,
+      [MOVIE_ID, addDays(today, -40)]
+    );
+    await executeMediaQuery(
+      `INSERT OR REPLACE INTO season_cache (tmdb_id, season_number, episodes, updated_at)
+       VALUES (?, 1, ?, datetime('now'))`,
+      [TV_ID, JSON.stringify([1, 2].map(n => ({ episode_number: n, air_date: addDays(today, -300 + n) })))]
+    );
+    await executeMediaQuery(
+      `INSERT OR REPLACE INTO season_cache (tmdb_id, season_number, episodes, updated_at)
+       VALUES (?, 2, ?, datetime('now'))`,
+      [TV_ID, JSON.stringify([
+        { episode_number: 1, name: 'Премьера', air_date: addDays(today, -1) },
+        { episode_number: 2, name: 'Вторая', air_date: today },
+        { episode_number: 3, name: 'Будущая', air_date: addDays(today, 7) }
+      ])]
+    );
+
+    // Остальные фильмы из watchlist тестовой БД не должны уходить в сеть
+    jest.spyOn(tmdbService, 'getMovieReleaseDates').mockImplementation(async (movieId) => ({
+      id: movieId,
+      results: movieId === MOVIE_ID
+        ? [
+          { iso_3166_1: 'US', release_dates: [{ type: 4, release_date: `${addDays(today, -30)}T00:00:00.000Z` }] },
+          { iso_3166_1: 'RU', release_dates: [
+            { type: 3, release_date: `${addDays(today, -40)}T00:00:00.000Z` },
+            { type: 4, release_date: `${addDays(today, -1)}T00:00:00.000Z` }
+          ] }
+        ]
+        : []
+    }));
+    jest.spyOn(tmdbService, 'getMovieDetails').mockRejectedValue(new Error('offline'));
+    jest.spyOn(tmdbService, 'getTVDetails').mockRejectedValue(new Error('offline'));
+    jest.spyOn(tmdbService, 'getTVSeason').mockRejectedValue(new Error('offline'));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    for (const id of [viewerId, mutedId]) {
+      await executeQuery('DELETE FROM notifications WHERE user_id = ?', [id]);
+      await executeQuery('DELETE FROM release_alerts WHERE user_id = ?', [id]);
+      await executeQuery('DELETE FROM notification_settings WHERE user_id = ?', [id]);
+      await executeQuery('DELETE FROM episode_progress WHERE user_id = ?', [id]);
+      await executeQuery('DELETE FROM watchlist WHERE user_id = ?', [id]);
+      await executeQuery('DELETE FROM users WHERE id = ?', [id]);
+    }
+    await executeMediaQuery('DELETE FROM season_cache WHERE tmdb_id = ?', [TV_ID]);
+    await executeMediaQuery('DELETE FROM media_cache WHERE tmdb_id IN (?, ?)', [TV_ID, MOVIE_ID]);
+  });
+
+  it('should notify about aired episodes and regional digital release once', async () => {
+    await checkNewReleases();
+
+    expect(await notificationsOf(viewerId, 'new_episode')).toEqual([
+      '📺 «Тестовый сериал»: вышел 2 сезон: серии S02E01–S02E02'
+    ]);
+    // Кинотеатральный релиз в RU был давно, цифровой — вчера; даты US не используются
+    expect(await notificationsOf(viewerId, 'release')).toEqual([
+      '🎬 «Тестовый фильм» вышел в цифровом релизе'
+    ]);
+
+    await checkNewReleases();
+    expect(await notificationsOf(viewerId, 'new_episode')).toHaveLength(1);
+    expect(await notificationsOf(viewerId, 'release')).toHaveLength(1);
+  });
+
+  it('should respect disabled notification settings', async () => {
+    expect(await notificationsOf(mutedId, 'new_episode')).toEqual([]);
+    expect(await notificationsOf(mutedId, 'release')).toEqual([]);
+  });
+});
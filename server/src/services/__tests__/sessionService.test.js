@@ -0,0 +1,139 @@
+/**
+ * Тесты сессий: хешированные токены, данные устройства, список и завершение сессий
+ * Feature: session-security
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import { hashToken } from '../../utils/tokenSecurity.js';
+import {
+  describeUserAgent,
+  getDeviceHash,
+  createUserSession,
+  findSessionByToken,
+  getSessionUserId,
+  touchSession,
+  listUserSessions,
+  revokeUserSession
+} from '../sessionService.js';
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const CHROME_WINDOWS_UPDATED = CHROME_WINDOWS.replace('Chrome/120.0.0.0', 'Chrome/121.0.6167.85');
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1';
+
+const requestFrom = (userAgent, ip = '203.0.113.10') => ({ headers: { 'user-agent': userAgent }, ip });
+
+describe('Session service', () => {
+  const userId = `session_user_${uuidv4()}`;
+
+  beforeAll(async () => {
+    await runMigrations();
+    await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [userId, 'Session User']);
+  });
+
+  afterAll(async () => {
+    await executeQuery('DELETE FROM sessions WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+  });
+
+  it('should name devices by browser and platform', () => {
+    expect(describeUserAgent(CHROME_WINDOWS)).toBe('Chrome · Windows');
+    expect(describeUserAgent(SAFARI_IPHONE)).toBe('Safari · iPhone');
+    expect(describeUserAgent(`${CHROME_WINDOWS} Edg/120.0.0.0`)).toBe('Edge · Windows');
+    expect(describeUserAgent('axios/1.6.2')).toBe('Telegram-бот');
+    expect(describeUserAgent(null)).toBe('Неизвестное устройство');
+  });
+
+  it('should store only the token hash together with device metadata', async () => {
+    const created = await createUserSession(userId, requestFrom(CHROME_WINDOWS));
+    expect(created.success).toBe(true);
+    expect(created.isNewDevice).toBe(false);
+
+    const stored = await executeQuery('SELECT * FROM sessions WHERE id = ?', [created.sessionId]);
+    const session = stored.data[0];
+    expect(session.token).toBe(hashToken(created.token));
+    expect(session.device_name).toBe('Chrome · Windows');
+    expect(session.ip_address).toBe('203.0.113.10');
+    expect(session.user_agent).toBe(CHROME_WINDOWS);
+    expect(session.last_activity_at).toBeTruthy();
+
+    const found = await findSessionByToken(created.token);
+    expect(found.data[0].session_id).toBe(created.sessionId);
+    expect(found.data[0].user_id).toBe(userId);
+    expect((await findSessionByToken(session.token)).data).toHaveLength(0);
+    expect(await getSessionUserId(created.token)).toBe(userId);
+  });
+
+  it('should flag a new device but not a browser update', async () => {
+    const updated = await createUserSession(userId, requestFrom(CHROME_WINDOWS_UPDATED));
+    expect(updated.isNewDevice).toBe(false);
+
+    const phone = await createUserSession(userId, requestFrom(SAFARI_IPHONE, '198.51.100.7'));
+    expect(phone.isNewDevice).toBe(true);
+  });
+
+  it('should not flag logins when only legacy or expired sessions exist', async () => {
+    const legacyUserId = `session_legacy_${uuidv4()}`;
+    await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [legacyUserId, 'Legacy User']);
+    // Сессия до миграции 025 без отпечатка устройства и истёкшая сессия другого устройства
+    await executeQuery(
+      "INSERT INTO sessions (id, user_id, token, expires_at) VALUES (?, ?, ?, datetime('now', '+1 day'))",
+      [uuidv4(), legacyUserId, hashToken(uuidv4())]
+    );
+    await executeQuery(
+      `INSERT INTO sessions (id, user_id, token, expires_at, device_hash)
+       VALUES (?, ?, ?, datetime('now', '-1 day'), ?)`,
+      [uuidv4(), legacyUserId, hashToken(uuidv4()), getDeviceHash(SAFARI_IPHONE)]
+    );
+
+    const first = await createUserSession(legacyUserId, requestFrom(CHROME_WINDOWS));
+    expect(first.isNewDevice).toBe(false);
+
+    const second = await createUserSession(legacyUserId, requestFrom(SAFARI_IPHONE));
+    expect(second.isNewDevice).toBe(true);
+
+    await executeQuery('DELETE FROM sessions WHERE user_id = ?', [legacyUserId]);
+    await executeQuery('DELETE FROM users WHERE id = ?', [legacyUserId]);
+  });
+
+  it('should group sessions of one device and revoke them together', async () => {
+    const current = await createUserSession(userId, requestFrom(SAFARI_IPHONE, '198.51.100.7'));
+
+    const listed = await listUserSessions(userId, current.sessionId);
+    expect(listed.success).toBe(true);
+    expect(listed.sessions).toHaveLength(2);
+
+    const phone = listed.sessions.find(s => s.deviceName === 'Safari · iPhone');
+    const desktop = listed.sessions.find(s => s.deviceName === 'Chrome · Windows');
+    expect(phone).toMatchObject({ id: current.sessionId, isCurrent: true, sessionsCount: 2 });
+    expect(desktop).toMatchObject({ isCurrent: false, sessionsCount: 2, ipAddress: '203.0.113.10' });
+
+    expect((await revokeUserSession(userId, current.sessionId, current.sessionId)).code).toBe('CURRENT_SESSION');
+    expect((await revokeUserSession('someone_else', desktop.id, current.sessionId)).code).toBe('SESSION_NOT_FOUND');
+
+    const revoked = await revokeUserSession(userId, desktop.id, current.sessionId);
+    expect(revoked).toEqual({ success: true, revoked: 2 });
+
+    const remaining = await listUserSessions(userId, current.sessionId);
+    expect(remaining.sessions.map(s => s.deviceName)).toEqual(['Safari · iPhone']);
+  });
+
+  it('should update last activity only when it is stale', async () => {
+    const created = await createUserSession(userId, requestFrom(SAFARI_IPHONE, '198.51.100.7'));
+    await executeQuery(
+      "UPDATE sessions SET last_activity_at = datetime('now', '-1 hour') WHERE id = ?",
+      [created.sessionId]
+    );
+    const stale = (await executeQuery('SELECT last_activity_at FROM sessions WHERE id = ?', [created.sessionId])).data[0];
+
+    await touchSession(created.sessionId, stale.last_activity_at);
+    const touched = (await executeQuery('SELECT last_activity_at FROM sessions WHERE id = ?', [created.sessionId])).data[0];
+    expect(touched.last_activity_at > stale.last_activity_at).toBe(true);
+
+    await executeQuery("UPDATE sessions SET last_activity_at = '2000-01-01 00:00:00' WHERE id = ?", [created.sessionId]);
+    await touchSession(created.sessionId, touched.last_activity_at);
+    const untouched = (await executeQuery('SELECT last_activity_at FROM sessions WHERE id = ?', [created.sessionId])).data[0];
+    expect(untouched.last_activity_at).toBe('2000-01-01 00:00:00');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Тесты поиска по записям, рецензиям, спискам и комментариям
+ * Feature: site-search
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import {
+  indexWallPost,
+  indexComment,
+  indexList,
+  searchContent,
+  buildSnippet
+} from '../siteSearchService.js';
+
+describe('Site search', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const ids = {
+    viewer: `ssearch_viewer_${suffix}`,
+    author: `ssearch_author_${suffix}`,
+    friendsOnly: `ssearch_friends_${suffix}`,
+    closed: `ssearch_closed_${suffix}`,
+    blocker: `ssearch_blocker_${suffix}`
+  };
+  // Уникальное слово, чтобы не пересекаться с контентом других тестов
+  const marker = `искомое${suffix.replace(/\d/g, digit => 'абвгдежзик'[digit])}`;
+  const postIds = [];
+
+  const addPost = async (authorId, wallOwnerId, postType, content) => {
+    const id = uuidv4();
+    await executeQuery(
+      'INSERT INTO wall_posts (id, user_id, wall_owner_id, post_type, content, tmdb_id, media_type) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, authorId, wallOwnerId, postType, content, postType === 'review' ? 550 : null, postType === 'review' ? 'movie' : null]
+    );
+    await indexWallPost(id);
+    postIds.push(id);
+    return id;
+  };
+
+  const addComment = async (postId, authorId, content) => {
+    const id = uuidv4();
+    await executeQuery(
+      'INSERT INTO post_comments (id, post_id, user_id, content) VALUES (?, ?, ?, ?)',
+      [id, postId, authorId, content]
+    );
+    await indexComment(id);
+    return id;
+  };
+
+  const found = async (group, query = marker) => (await searchContent(ids.viewer, group, query)).items.map(item => item.id);
+
+  let openPost, friendsPost, closedPost, blockerPost, review, openComment, closedComment, listId, privateListId;
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    const users = [
+      [ids.viewer, 'Viewer', 'all'],
+      [ids.author, 'Автор', 'all'],
+      [ids.friendsOnly, 'Только друзья', 'friends'],
+      [ids.closed, 'Закрытая стена', 'none'],
+      [ids.blocker, 'Блокирующий', 'all']
+    ];
+    for (const [id, displayName, wallPrivacy] of users) {
+      await executeQuery(
+        'INSERT INTO users (id, display_name, wall_privacy) VALUES (?, ?, ?)',
+        [id, displayName, wallPrivacy]
+      );
+    }
+    await executeQuery(
+      'INSERT INTO user_blocks (id, user_id, blocked_user_id) VALUES (?, ?, ?)',
+      [uuidv4(), ids.blocker, ids.viewer]
+    );
+
+    openPost = await addPost(ids.author, ids.author, 'text', `Открытая запись про ${marker}`);
+    friendsPost = await addPost(ids.friendsOnly, ids.friendsOnly, 'text', `Для друзей ${marker}`);
+    closedPost = await addPost(ids.author, ids.closed, 'text', `На закрытой стене ${marker}`);
+    blockerPost = await addPost(ids.blocker, ids.blocker, 'text', `От блокирующего ${marker}`);
+    await addPost(ids.author, ids.author, 'media_added', `Добавил ${marker} в список`);
+    review = await addPost(ids.author, ids.author, 'review', `Бойцовский клуб\nОтличный фильм, ${marker.toUpperCase()} на высоте`);
+
+    openComment = await addComment(openPost, ids.author, `Комментарий ${marker}`);
+    closedComment = await addComment(closedPost, ids.author, `Скрытый комментарий ${marker}`);
+
+    listId = uuidv4();
+    privateListId = uuidv4();
+    await executeQuery(
+      'INSERT INTO custom_lists (id, user_id, name, media_type, visibility) VALUES (?, ?, ?, ?, ?)',
+      [listId, ids.author, `Лучшее ${marker}`, 'movie', 'public']
+    );
+    await executeQuery(
+      'INSERT INTO custom_lists (id, user_id, name, media_type, visibility) VALUES (?, ?, ?, ?, ?)',
+      [privateListId, ids.author, `Черновик ${marker}`, 'movie', 'private']
+    );
+    await indexList(listId);
+    await indexList(privateListId);
+  });
+
+  afterAll(async () => {
+    const allUsers = Object.values(ids);
+    const placeholders = allUsers.map(() => '?').join(', ');
+    await executeQuery(`DELETE FROM post_comments WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM wall_posts WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM custom_lists WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM friends WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM user_blocks WHERE user_id IN (${placeholders})`, allUsers);
+    await executeQuery(`DELETE FROM users WHERE id IN (${placeholders})`, allUsers);
+  });
+
+  it('should return only posts the viewer may see', async () => {
+    expect(await found('posts')).toEqual([openPost]);
+
+    await executeQuery(
+      'INSERT INTO friends (id, user_id, friend_id) VALUES (?, ?, ?)',
+      [uuidv4(), ids.friendsOnly, ids.viewer]
+    );
+    expect((await found('posts')).sort()).toEqual([openPost, friendsPost].sort());
+    expect(await found('posts')).not.toContain(closedPost);
+    expect(await found('posts')).not.toContain(blockerPost);
+  });
+
+  it('should let the wall owner find posts on a closed wall', async () => {
+    const { items } = await searchContent(ids.closed, 'posts', marker);
+    expect(items.map(item => item.id)).toContain(closedPost);
+  });
+
+  it('should search reviews separately with title and snippet', async () => {
+    const { items, total } = await searchContent(ids.viewer, 'reviews', `${marker} высот`);
+    expect(total).toBe(1);
+    expect(items[0]).toMatchObject({
+      id: review,
+      title: 'Бойцовский клуб',
+      snippet: `Отличный фильм, ${marker.toUpperCase()} на высоте`,
+      tmdbId: 550
+    });
+    expect(await found('reviews', 'бойцовский клуб')).toContain(review);
+  });
+
+  it('should hide comments on invisible posts and soft-deleted comments', async () => {
+    expect(await found('comments')).toEqual([openComment]);
+    expect(await found('comments')).not.toContain(closedComment);
+
+    await executeQuery("UPDATE post_comments SET content = '[Комментарий удален]' WHERE id = ?", [openComment]);
+    await indexComment(openComment);
+    expect(await found('comments')).toEqual([]);
+  });
+
+  it('should find renamed lists and forget deleted ones', async () => {
+    // Приватный список находит только владелец
+    expect(await found('lists')).toEqual([listId]);
+    const ownResult = await searchContent(ids.author, 'lists', marker);
+    expect(ownResult.items.map(item => item.id).sort()).toEqual([listId, privateListId].sort());
+
+    await executeQuery('UPDATE custom_lists SET name = ? WHERE id = ?', [`Пересмотреть ${marker}`, listId]);
+    await indexList(listId);
+    expect(await found('lists', `пересмотреть ${marker}`)).toEqual([listId]);
+    expect(await found('lists', `лучшее ${marker}`)).toEqual([]);
+
+    await executeQuery('DELETE FROM custom_lists WHERE id = ?', [listId]);
+    const remaining = await executeQuery(
+      'SELECT COUNT(*) as count FROM list_search_fts WHERE list_search_fts MATCH ?',
+      [`"пересмотреть" "${marker}"`]
+    );
+    expect(remaining.data[0].count).toBe(0);
+  });
+
+  it('should cut long texts around the first match', () => {
+    const text = `${'начало '.repeat(40)}середина ${marker} ${'конец '.repeat(40)}`;
+    const snippet = buildSnippet(text, marker);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain(marker);
+  });
+});
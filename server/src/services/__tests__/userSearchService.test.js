@@ -0,0 +1,119 @@
+/**
+ * Тесты поиска пользователей по индексу FTS5
+ * Feature: user-search
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import {
+  normalizeSearchText,
+  buildMatchQuery,
+  indexUser,
+  searchUsers
+} from '../userSearchService.js';
+
+describe('User search', () => {
+  const suffix = uuidv4().slice(0, 8);
+  const viewerId = `search_viewer_${suffix}`;
+  const ids = {
+    alena: `search_alena_${suffix}`,
+    petrova: `search_petrova_${suffix}`,
+    friendly: `search_friendly_${suffix}`,
+    blocked: `search_blocked_${suffix}`,
+    mutual: `search_mutual_${suffix}`,
+    nicknamed: `search_nick_${suffix}`
+  };
+  // Уникальное слово, чтобы не пересекаться с пользователями других тестов
+  const marker = `тест${suffix.replace(/\d/g, digit => 'абвгдежзик'[digit])}`;
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    const users = [
+      [viewerId, 'Viewer', null, 0],
+      [ids.alena, `${marker} Алёна`, `alena_${suffix}`, 0],
+      [ids.petrova, `Мария Петрова-${marker}`, null, 0],
+      [ids.friendly, `Друг ${marker}ова`, null, 0],
+      [ids.blocked, `${marker} Заблокированный`, null, 1],
+      [ids.mutual, 'Общий Друг', null, 0],
+      [ids.nicknamed, 'Без Совпадений', 'nomatch', 0]
+    ];
+    for (const [id, displayName, telegramUsername, isBlocked] of users) {
+      await executeQuery(
+        'INSERT INTO users (id, display_name, telegram_username, is_blocked) VALUES (?, ?, ?, ?)',
+        [id, displayName, telegramUsername, isBlocked]
+      );
+      await indexUser(id);
+    }
+
+    // У viewer и friendly есть общий друг
+    for (const [userId, friendId] of [[viewerId, ids.mutual], [ids.friendly, ids.mutual]]) {
+      await executeQuery('INSERT INTO friends (id, user_id, friend_id) VALUES (?, ?, ?)', [uuidv4(), userId, friendId]);
+    }
+
+    await executeQuery(
+      'INSERT INTO user_nicknames (id, set_by_user_id, target_user_id, nickname) VALUES (?, ?, ?, ?)',
+      [uuidv4(), viewerId, ids.nicknamed, `${marker} из школы`]
+    );
+  });
+
+  afterAll(async () => {
+    const allIds = [viewerId, ...Object.values(ids)];
+    const placeholders = allIds.map(() => '?').join(', ');
+    await executeQuery(`DELETE FROM user_nicknames WHERE set_by_user_id IN (${placeholders})`, allIds);
+    await executeQuery(`DELETE FROM friends WHERE user_id IN (${placeholders})`, allIds);
+    await executeQuery(
+      `DELETE FROM user_search_fts WHERE rowid IN (SELECT rowid FROM users WHERE id IN (${placeholders}))`,
+      allIds
+    );
+    await executeQuery(`DELETE FROM users WHERE id IN (${placeholders})`, allIds);
+  });
+
+  it('should fold case and ё and build prefix queries', () => {
+    expect(normalizeSearchText('  АЛЁНА ')).toBe('алена');
+    expect(buildMatchQuery('Петро́ва-ив')).toBe('"петрова"* "ив"*');
+    expect(buildMatchQuery('@@@')).toBeNull();
+  });
+
+  it('should find users by word prefix in any case', async () => {
+    const { users } = await searchUsers(viewerId, `АЛЕНА ${marker.toUpperCase()}`);
+    expect(users.map(u => u.id)).toEqual([ids.alena]);
+
+    const byUsername = await searchUsers(viewerId, `@ALENA_${suffix}`);
+    expect(byUsername.users.map(u => u.id)).toEqual([ids.alena]);
+  });
+
+  it('should rank nicknames, then prefix matches, then mutual friends', async () => {
+    const { users, total } = await searchUsers(viewerId, marker);
+
+    expect(total).toBe(4);
+    expect(users.map(u => u.id)).toEqual([ids.nicknamed, ids.alena, ids.friendly, ids.petrova]);
+    expect(users[0].nickname).toBe(`${marker} из школы`);
+    expect(users[2].mutualFriends).toBe(1);
+  });
+
+  it('should not expose other users\' nicknames', async () => {
+    const { users } = await searchUsers(ids.alena, `${marker} из школы`);
+    expect(users).toEqual([]);
+  });
+
+  it('should paginate', async () => {
+    const firstPage = await searchUsers(viewerId, marker, { limit: 3, offset: 0 });
+    expect(firstPage.users).toHaveLength(3);
+    expect(firstPage.hasMore).toBe(true);
+
+    const secondPage = await searchUsers(viewerId, marker, { limit: 3, offset: 3 });
+    expect(secondPage.users.map(u => u.id)).toEqual([ids.petrova]);
+    expect(secondPage.hasMore).toBe(false);
+  });
+
+  it('should reindex a renamed user', async () => {
+    await executeQuery('UPDATE users SET display_name = ? WHERE id = ?', [`Переименован${marker}`, ids.petrova]);
+    await indexUser(ids.petrova);
+
+    const { users } = await searchUsers(viewerId, `переименован${marker}`);
+    expect(users.map(u => u.id)).toEqual([ids.petrova]);
+    expect((await searchUsers(viewerId, 'мария')).users.map(u => u.id)).not.toContain(ids.petrova);
+  });
+});
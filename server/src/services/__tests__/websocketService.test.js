@@ -0,0 +1,397 @@
+/**
+ * Тесты WebSocket сервиса: несколько соединений одного пользователя,
+ * индикаторы набора текста, присутствие и доставка через брокер pub/sub
+ * Feature: multi-connection-websocket, typing-presence, realtime-pubsub
+ */
+
+import http from 'http';
+import WebSocket from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { hashToken } from '../../utils/tokenSecurity.js';
+import { runMigrations } from '../../database/migrations.js';
+import { createMemoryBroker } from '../realtimeBroker.js';
+import {
+  initWebSocket,
+  closeWebSocket,
+  clients,
+  sendMessageToUser,
+  sendReadNotification,
+  isUserOnline,
+  getActiveConnections,
+  getUserPresence,
+  sendToUser,
+  notifyFeedNewAdPost
+} from '../websocketService.js';
+
+let server;
+let url;
+
+/**
+ * Открыть соединение и пройти аутентификацию
+ * Сообщения, пришедшие после auth, складываются в ws.received
+ */
+function connect(token) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.received = [];
+
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'auth', token })));
+    ws.on('message', (raw) => {
+      const data = JSON.parse(raw.toString());
+      if (data.type === 'auth') {
+        return data.success ? resolve(ws) : reject(new Error('auth failed'));
+      }
+      ws.received.push(data);
+    });
+    ws.on('error', reject);
+  });
+}
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('timeout');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('WebSocket Service - multiple connections', () => {
+  const userId = `ws_user_${uuidv4()}`;
+  const token = uuidv4();
+
+  beforeAll(async () => {
+    // Полная схема, чтобы не оставить упрощённые таблицы для других наборов тестов
+    await runMigrations();
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        display_name TEXT NOT NULL
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL
+      )
+    `);
+    await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [userId, 'WS User']);
+    await executeQuery(
+      "INSERT INTO sessions (id, user_id, token, expires_at) VALUES (?, ?, ?, datetime('now', '+1 day'))",
+      [uuidv4(), userId, hashToken(token)]
+    );
+
+    server = http.createServer();
+    initWebSocket(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  afterAll(async () => {
+    await closeWebSocket();
+    await new Promise(resolve => server.close(resolve));
+    await executeQuery('DELETE FROM sessions WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+  });
+
+  it('should deliver messages to every tab of the user', async () => {
+    const desktop = await connect(token);
+    const phone = await connect(token);
+
+    expect(clients.get(userId).size).toBe(2);
+    expect(getActiveConnections()).toBe(2);
+
+    expect(sendMessageToUser(userId, { id: 'm1' })).toBe(true);
+    expect(sendReadNotification(userId, 'c1')).toBe(true);
+
+    await waitFor(() => desktop.received.length === 2 && phone.received.length === 2);
+    expect(desktop.received.map(e => e.type)).toEqual(['new_message', 'messages_read']);
+    expect(phone.received.map(e => e.type)).toEqual(['new_message', 'messages_read']);
+
+    desktop.close();
+    phone.close();
+    await waitFor(() => !clients.has(userId));
+  });
+
+  it('should keep the user online until the last connection closes', async () => {
+    const desktop = await connect(token);
+    const phone = await connect(token);
+
+    desktop.close();
+    await waitFor(() => clients.get(userId).size === 1);
+
+    expect(isUserOnline(userId)).toBe(true);
+    expect(sendMessageToUser(userId, { id: 'm2' })).toBe(true);
+    await waitFor(() => phone.received.length === 1);
+
+    phone.close();
+    await waitFor(() => !clients.has(userId));
+    expect(isUserOnline(userId)).toBe(false);
+    expect(sendMessageToUser(userId, { id: 'm3' })).toBe(false);
+  });
+
+  it('should reject connections with invalid token', async () => {
+    await expect(connect('invalid-token')).rejects.toThrow('auth failed');
+    expect(clients.has(userId)).toBe(false);
+  });
+});
+
+describe('WebSocket Service - typing and presence', () => {
+  const alice = { id: `ws_alice_${uuidv4()}`, token: uuidv4() };
+  const bob = { id: `ws_bob_${uuidv4()}`, token: uuidv4() };
+  const carol = { id: `ws_carol_${uuidv4()}`, token: uuidv4() };
+  const conversationId = uuidv4();
+  const sockets = [];
+
+  const open = async (user) => {
+    const ws = await connect(user.token);
+    sockets.push(ws);
+    return ws;
+  };
+
+  beforeAll(async () => {
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        user1_id TEXT NOT NULL,
+        user2_id TEXT NOT NULL,
+        is_group BOOLEAN DEFAULT 0
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS conversation_members (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        left_at DATETIME
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        blocked_user_id TEXT NOT NULL
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS friends (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        friend_id TEXT NOT NULL
+      )
+    `);
+    // Колонки могут уже существовать после миграций — ошибку игнорируем
+    await executeQuery("ALTER TABLE users ADD COLUMN presence_privacy TEXT DEFAULT 'all'");
+    await executeQuery('ALTER TABLE users ADD COLUMN last_seen_at DATETIME');
+
+    for (const user of [alice, bob, carol]) {
+      await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [user.id, user.id]);
+      await executeQuery(
+        "INSERT INTO sessions (id, user_id, token, expires_at) VALUES (?, ?, ?, datetime('now', '+1 day'))",
+        [uuidv4(), user.id, hashToken(user.token)]
+      );
+    }
+    await executeQuery(
+      'INSERT INTO conversations (id, user1_id, user2_id, is_group) VALUES (?, ?, ?, 0)',
+      [conversationId, alice.id, bob.id]
+    );
+
+    server = http.createServer();
+    initWebSocket(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.close());
+    await waitFor(() => [alice, bob, carol].every(user => !clients.has(user.id)));
+    await executeQuery('DELETE FROM user_blocks WHERE user_id IN (?, ?)', [alice.id, bob.id]);
+    await executeQuery("UPDATE users SET presence_privacy = 'all' WHERE id IN (?, ?)", [alice.id, bob.id]);
+  });
+
+  afterAll(async () => {
+    await closeWebSocket();
+    await new Promise(resolve => server.close(resolve));
+    await executeQuery('DELETE FROM conversations WHERE id = ?', [conversationId]);
+    for (const user of [alice, bob, carol]) {
+      await executeQuery('DELETE FROM sessions WHERE user_id = ?', [user.id]);
+      await executeQuery('DELETE FROM users WHERE id = ?', [user.id]);
+    }
+  });
+
+  it('should relay typing only to conversation members', async () => {
+    const aliceWs = await open(alice);
+    const bobWs = await open(bob);
+    const carolWs = await open(carol);
+
+    bobWs.send(JSON.stringify({ type: 'typing_start', conversationId }));
+    carolWs.send(JSON.stringify({ type: 'typing_start', conversationId }));
+
+    await waitFor(() => aliceWs.received.some(e => e.type === 'typing'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const typing = aliceWs.received.filter(e => e.type === 'typing');
+    expect(typing).toEqual([
+      { type: 'typing', conversationId, userId: bob.id, displayName: bob.id, isTyping: true }
+    ]);
+    expect(carolWs.received.some(e => e.type === 'typing')).toBe(false);
+  });
+
+  it('should not relay typing between blocked users', async () => {
+    await executeQuery('INSERT INTO user_blocks (id, user_id, blocked_user_id) VALUES (?, ?, ?)', [uuidv4(), alice.id, bob.id]);
+
+    const aliceWs = await open(alice);
+    const bobWs = await open(bob);
+
+    bobWs.send(JSON.stringify({ type: 'typing_start', conversationId }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(aliceWs.received.some(e => e.type === 'typing')).toBe(false);
+  });
+
+  it('should broadcast presence changes to conversation partners', async () => {
+    const aliceWs = await open(alice);
+    const bobWs = await open(bob);
+
+    await waitFor(() => aliceWs.received.some(e => e.type === 'presence' && e.status === 'online'));
+
+    bobWs.send(JSON.stringify({ type: 'presence', status: 'away' }));
+    await waitFor(() => aliceWs.received.some(e => e.type === 'presence' && e.status === 'away'));
+    expect(getUserPresence(bob.id)).toBe('away');
+
+    bobWs.close();
+    await waitFor(() => aliceWs.received.some(e => e.type === 'presence' && e.status === 'offline'));
+    expect(getUserPresence(bob.id)).toBe('offline');
+  });
+
+  it('should hide presence when privacy is none', async () => {
+    await executeQuery("UPDATE users SET presence_privacy = 'none' WHERE id = ?", [bob.id]);
+
+    const aliceWs = await open(alice);
+    await open(bob);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(aliceWs.received.some(e => e.type === 'presence')).toBe(false);
+  });
+});
+
+describe('WebSocket Service - pub/sub broker', () => {
+  const userId = `ws_broker_${uuidv4()}`;
+  const token = uuidv4();
+  const broker = createMemoryBroker();
+  const published = [];
+
+  beforeAll(async () => {
+    await executeQuery('INSERT INTO users (id, display_name) VALUES (?, ?)', [userId, 'Broker User']);
+    await executeQuery(
+      "INSERT INTO sessions (id, user_id, token, expires_at) VALUES (?, ?, ?, datetime('now', '+1 day'))",
+      [uuidv4(), userId, hashToken(token)]
+    );
+    await broker.subscribe('watchrebel:realtime', message => published.push(JSON.parse(message)));
+
+    server = http.createServer();
+    initWebSocket(server, { broker });
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  afterAll(async () => {
+    await closeWebSocket();
+    await broker.close();
+    await new Promise(resolve => server.close(resolve));
+    await executeQuery('DELETE FROM sessions WHERE user_id = ?', [userId]);
+    await executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+  });
+
+  it('should publish every send for other workers', async () => {
+    published.length = 0;
+
+    expect(sendToUser('offline-user', { type: 'notification' })).toBe(0);
+    notifyFeedNewAdPost({ id: 'ad1' });
+
+    expect(published).toEqual([
+      expect.objectContaining({ userId: 'offline-user', payload: { type: 'notification' } }),
+      expect.objectContaining({ userId: null, payload: { type: 'feed_new_ad_post', post: { id: 'ad1' } } })
+    ]);
+  });
+
+  it('should deliver events published by another worker exactly once', async () => {
+    const ws = await connect(token);
+
+    await broker.publish('watchrebel:realtime', JSON.stringify({
+      origin: 'other-worker',
+      userId,
+      payload: { type: 'new_message', message: { id: 'remote' } }
+    }));
+    await broker.publish('watchrebel:realtime', JSON.stringify({
+      origin: 'other-worker',
+      userId: null,
+      payload: { type: 'feed_new_announcement', post: { id: 'a1' } }
+    }));
+    // Своё событие доставляется локально и не дублируется из брокера
+    sendToUser(userId, { type: 'messages_read', conversationId: 'c1' });
+
+    await waitFor(() => ws.received.length === 3);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(ws.received.map(e => e.type)).toEqual(['new_message', 'feed_new_announcement', 'messages_read']);
+
+    ws.close();
+    await waitFor(() => !clients.has(userId));
+  });
+  it('should share presence with other workers', async () => {
+    const remoteUser = `ws_remote_${uuidv4()}`;
+    const presence = [];
+    const unsubscribe = await broker.subscribe('watchrebel:presence', message => presence.push(JSON.parse(message)));
+
+    // Пользователь подключён к другому процессу: статус и доставка учитывают его соединения
+    await broker.publish('watchrebel:presence', JSON.stringify({ origin: 'other-worker', userId: remoteUser, status: 'away' }));
+    expect(getUserPresence(remoteUser)).toBe('away');
+    expect(isUserOnline(remoteUser)).toBe(true);
+    expect(sendMessageToUser(remoteUser, { id: 'remote' })).toBe(true);
+
+    // Пустой снимок — процесс остановлен
+    await broker.publish('watchrebel:presence', JSON.stringify({ origin: 'other-worker', snapshot: {} }));
+    expect(getUserPresence(remoteUser)).toBe('offline');
+    expect(sendMessageToUser(remoteUser, { id: 'lost' })).toBe(false);
+
+    // Свои статусы процесс публикует при изменении и по запросу нового процесса
+    const ws = await connect(token);
+    await waitFor(() => presence.some(m => m.userId === userId && m.status === 'online'));
+    await broker.publish('watchrebel:presence', JSON.stringify({ origin: 'new-worker', sync: true }));
+    expect(presence.some(m => m.snapshot?.[userId] === 'online')).toBe(true);
+
+    ws.close();
+    await waitFor(() => !clients.has(userId));
+    await unsubscribe();
+  });
+});
+
+describe('WebSocket Service - shutdown', () => {
+  it('should finish only after the final presence snapshot is published', async () => {
+    const memory = createMemoryBroker();
+    const events = [];
+    // Брокер с медленной публикацией, как у Redis: ответ приходит после сетевой задержки
+    const broker = {
+      ...memory,
+      name: 'slow',
+      async publish(channel, message) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        if (channel === 'watchrebel:presence' && JSON.parse(message).snapshot) events.push('snapshot');
+        await memory.publish(channel, message);
+      },
+    };
+
+    server = http.createServer();
+    initWebSocket(server, { broker });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    // Свой брокер closeWebSocket закрывает сразу после этого снимка
+    await closeWebSocket();
+    expect(events).toEqual(['snapshot']);
+
+    await broker.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+});
@@ -0,0 +1,477 @@
+import sqlite3 from 'sqlite3';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database/db.js';
+import { getMediaDatabase } from '../database/mediaDb.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Резервное копирование баз данных
+ *
+ * Копии снимаются через online backup API SQLite с рабочего соединения, поэтому в архив
+ * не попадает файл, записанный наполовину. Копируются обе базы: rebel.db и media.db (кэш фильмов).
+ * Каждый архив (.db.gz) после сжатия распаковывается и проверяется PRAGMA integrity_check.
+ *
+ * История копий хранится в history.json рядом с архивами, а не в rebel.db:
+ * иначе восстановление основной базы откатывало бы и саму историю.
+ *
+ * Настройки (переменные окружения):
+ * - BACKUP_DIR — каталог копий (по умолчанию server/backups)
+ * - BACKUP_INTERVAL_HOURS — как часто делать копии по расписанию, 0 — не делать (по умолчанию 24)
+ * - BACKUP_KEEP_DAILY / BACKUP_KEEP_WEEKLY / BACKUP_KEEP_MONTHLY — сколько последних дней,
+ *   недель и месяцев хранить по одной копии (по умолчанию 7 / 4 / 6)
+ */
+
+export const BACKUP_DATABASES = {
+  main: { prefix: 'rebel', getConnection: getDatabase },
+  media: { prefix: 'media', getConnection: getMediaDatabase }
+};
+
+// Имена архивов и копий старого формата (простое копирование файла)
+const BACKUP_FILENAME_PATTERN = /^(rebel|media)-backup-[\w-]+\.db(\.gz)?$/;
+const HISTORY_FILENAME = 'history.json';
+// Сколько записей истории хранить, включая удалённые по правилам хранения
+const HISTORY_LIMIT = 500;
+
+function readNumberEnv(name, defaultValue) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Текущие настройки расписания и хранения
+ * Читаются при каждом вызове, чтобы тесты и скрипты могли подменить окружение
+ */
+export function getBackupSettings() {
+  return {
+    intervalHours: readNumberEnv('BACKUP_INTERVAL_HOURS', 24),
+    keepDaily: readNumberEnv('BACKUP_KEEP_DAILY', 7),
+    keepWeekly: readNumberEnv('BACKUP_KEEP_WEEKLY', 4),
+    keepMonthly: readNumberEnv('BACKUP_KEEP_MONTHLY', 6)
+  };
+}
+
+// Относительный BACKUP_DIR в .env указывается от корня проекта
+export function getBackupDir() {
+  return process.env.BACKUP_DIR
+    ? path.resolve(__dirname, '../../..', process.env.BACKUP_DIR)
+    : path.join(__dirname, '../../backups');
+}
+
+export function isValidBackupFilename(filename) {
+  return typeof filename === 'string' && BACKUP_FILENAME_PATTERN.test(filename);
+}
+
+function getDatabaseKeyByFilename(filename) {
+  return filename.startsWith(`${BACKUP_DATABASES.media.prefix}-`) ? 'media' : 'main';
+}
+
+// ==========================================
+// История копий
+// ==========================================
+
+// Изменения истории выполняются по очереди, чтобы параллельные запросы не затирали друг друга
+let historyQueue = Promise.resolve();
+
+async function readHistory() {
+  try {
+    const content = await fs.readFile(path.join(getBackupDir(), HISTORY_FILENAME), 'utf8');
+    const history = JSON.parse(content);
+    return Array.isArray(history) ? history : [];
+  } catch {
+    return [];
+  }
+}
+
+function updateHistory(update) {
+  const run = historyQueue.then(async () => {
+    const history = await readHistory();
+    const result = await update(history);
+    const trimmed = history
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, HISTORY_LIMIT);
+    await fs.writeFile(path.join(getBackupDir(), HISTORY_FILENAME), JSON.stringify(trimmed, null, 2));
+    return result;
+  });
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+// ==========================================
+// Работа с файлами SQLite
+// ==========================================
+
+/**
+ * Скопировать базу через online backup API
+ * @param {sqlite3.Database} db - Рабочее соединение
+ * @param {string} filePath - Файл копии
+ * @param {boolean} toFile - true: из соединения в файл, false: из файла в соединение (восстановление)
+ */
+function runOnlineBackup(db, filePath, toFile) {
+  return new Promise((resolve, reject) => {
+    const backup = db.backup(filePath, 'main', 'main', toFile, (initErr) => {
+      if (initErr) return reject(initErr);
+      backup.step(-1, (stepErr) => {
+        backup.finish(() => {
+          if (stepErr) return reject(stepErr);
+          if (!backup.completed) return reject(new Error('Копирование базы данных не завершено'));
+          resolve();
+        });
+      });
+    });
+  });
+}
+
+/**
+ * PRAGMA integrity_check для файла базы
+ * Файл открывается на запись: проверка индексов FTS5 не работает в режиме только для чтения,
+ * поэтому проверять нужно временную копию, а не рабочую базу
+ * @returns {Promise<string>} - 'ok' или описание найденных ошибок
+ */
+export function checkIntegrity(filePath) {
+  return new Promise((resolve) => {
+    const db = new sqlite3.Database(filePath, sqlite3.OPEN_READWRITE, (openErr) => {
+      if (openErr) return resolve(openErr.message);
+      db.all('PRAGMA integrity_check', (err, rows) => {
+        db.close();
+        if (err) return resolve(err.message);
+        resolve(rows.map(row => row.integrity_check).join('; '));
+      });
+    });
+  });
+}
+
+async function gzipFile(source, destination) {
+  await pipeline(createReadStream(source), zlib.createGzip(), createWriteStream(destination));
+}
+
+async function gunzipFile(source, destination) {
+  await pipeline(createReadStream(source), zlib.createGunzip(), createWriteStream(destination));
+}
+
+async function removeQuietly(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch {
+    // Файла уже нет
+  }
+}
+
+/**
+ * Снять копию одной базы: снимок → gzip → проверка распакованного архива
+ * @returns {Promise<Object>} - запись истории
+ */
+async function backupDatabase(databaseKey, timestamp, entry) {
+  const backupDir = getBackupDir();
+  const filename = `${BACKUP_DATABASES[databaseKey].prefix}-backup-${timestamp}.db.gz`;
+  const archivePath = path.join(backupDir, filename);
+  const snapshotPath = `${archivePath}.snapshot.tmp`;
+  const verifyPath = `${archivePath}.verify.tmp`;
+  const startedAt = Date.now();
+
+  const record = { ...entry, id: uuidv4(), database: databaseKey, filename, size: 0 };
+
+  try {
+    await runOnlineBackup(BACKUP_DATABASES[databaseKey].getConnection(), snapshotPath, true);
+    await gzipFile(snapshotPath, archivePath);
+    await removeQuietly(snapshotPath);
+
+    // Проверяем именно архив, который будет храниться
+    await gunzipFile(archivePath, verifyPath);
+    record.integrity = await checkIntegrity(verifyPath);
+    record.size = (await fs.stat(archivePath)).size;
+
+    if (record.integrity === 'ok') {
+      record.status = 'ok';
+    } else {
+      // Испорченная копия бесполезна: удаляем архив, в истории остаётся причина
+      record.status = 'failed';
+      record.error = 'Копия не прошла проверку целостности';
+      await removeQuietly(archivePath);
+    }
+  } catch (error) {
+    console.error(`Ошибка резервного копирования ${databaseKey}:`, error.message);
+    record.status = 'failed';
+    record.integrity = null;
+    record.error = error.message;
+    await removeQuietly(archivePath);
+  } finally {
+    await removeQuietly(snapshotPath);
+    await removeQuietly(verifyPath);
+  }
+
+  record.durationMs = Date.now() - startedAt;
+  return record;
+}
+
+// ==========================================
+// Создание, хранение и восстановление
+// ==========================================
+
+let runningBackup = null;
+
+/**
+ * Создать резервные копии обеих баз
+ * Одновременно выполняется только одно копирование
+ * @param {Object} options
+ * @param {string} options.trigger - 'manual' | 'scheduled'
+ * @param {string} [options.createdBy] - ID администратора для ручных копий
+ * @returns {Promise<{success: boolean, code?: string, backups?: Object[], pruned?: string[]}>}
+ */
+export async function createBackup({ trigger = 'manual', createdBy = null } = {}) {
+  if (runningBackup) {
+    return { success: false, code: 'BACKUP_IN_PROGRESS' };
+  }
+
+  runningBackup = (async () => {
+    await fs.mkdir(getBackupDir(), { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    const timestamp = createdAt.replace(/[:.]/g, '-');
+    const entry = { runId: uuidv4(), createdAt, trigger, createdBy };
+
+    const backups = [];
+    for (const databaseKey of Object.keys(BACKUP_DATABASES)) {
+      backups.push(await backupDatabase(databaseKey, timestamp, entry));
+    }
+
+    await updateHistory((history) => {
+      history.push(...backups);
+    });
+
+    const pruned = await applyRetention();
+    const success = backups.every(backup => backup.status === 'ok');
+    return success ? { success, backups, pruned } : { success, code: 'BACKUP_FAILED', backups, pruned };
+  })();
+
+  try {
+    return await runningBackup;
+  } finally {
+    runningBackup = null;
+  }
+}
+
+function toDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Неделя определяется датой её понедельника (UTC)
+function toWeekKey(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return toDayKey(monday);
+}
+
+function toMonthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Какие копии оставить по правилам хранения
+ * Из каждого из последних N дней, недель и месяцев, в которые были копии, остаётся самая свежая.
+ * Самая свежая копия остаётся всегда
+ * @param {Array<{filename: string, createdAt: string}>} backups - Успешные копии одной базы
+ * @param {{keepDaily: number, keepWeekly: number, keepMonthly: number}} settings
+ * @returns {Set<string>} - имена файлов, которые нужно оставить
+ */
+export function selectBackupsToKeep(backups, { keepDaily, keepWeekly, keepMonthly }) {
+  const sorted = [...backups].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const keep = new Set(sorted.slice(0, 1).map(backup => backup.filename));
+
+  const rules = [
+    [keepDaily, toDayKey],
+    [keepWeekly, toWeekKey],
+    [keepMonthly, toMonthKey]
+  ];
+
+  for (const [count, toKey] of rules) {
+    const periods = new Set();
+    for (const backup of sorted) {
+      const key = toKey(new Date(backup.createdAt));
+      if (periods.has(key)) continue;
+      if (periods.size >= count) break;
+      periods.add(key);
+      keep.add(backup.filename);
+    }
+  }
+
+  return keep;
+}
+
+/**
+ * Удалить копии, которые не попадают под правила хранения
+ * Копии старого формата (без записи в истории) не трогаем — их удаляют вручную
+ * @returns {Promise<string[]>} - имена удалённых файлов
+ */
+export async function applyRetention() {
+  const settings = getBackupSettings();
+
+  return updateHistory(async (history) => {
+    const pruned = [];
+
+    for (const databaseKey of Object.keys(BACKUP_DATABASES)) {
+      const stored = history.filter(backup =>
+        backup.database === databaseKey && backup.status === 'ok' && !backup.prunedAt
+      );
+      const keep = selectBackupsToKeep(stored, settings);
+
+      for (const backup of stored) {
+        if (keep.has(backup.filename)) continue;
+        await removeQuietly(path.join(getBackupDir(), backup.filename));
+        backup.prunedAt = new Date().toISOString();
+        pruned.push(backup.filename);
+      }
+    }
+
+    return pruned;
+  });
+}
+
+/**
+ * История копий, свежие первыми
+ * Файлы копий старого формата, которых нет в истории, добавляются с пометкой legacy
+ * @returns {Promise<Object[]>}
+ */
+export async function listBackups() {
+  const history = await readHistory();
+  const known = new Set(history.map(backup => backup.filename));
+
+  let files = [];
+  try {
+    files = await fs.readdir(getBackupDir());
+  } catch {
+    // Каталога ещё нет
+  }
+
+  const legacy = [];
+  for (const filename of files) {
+    if (known.has(filename) || !isValidBackupFilename(filename)) continue;
+    const stats = await fs.stat(path.join(getBackupDir(), filename));
+    legacy.push({
+      id: filename,
+      database: getDatabaseKeyByFilename(filename),
+      filename,
+      size: stats.size,
+      createdAt: stats.mtime.toISOString(),
+      trigger: 'legacy',
+      status: 'ok',
+      integrity: null
+    });
+  }
+
+  return [...history, ...legacy]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Восстановить базу из копии
+ * Архив распаковывается во временный файл, проверяется и загружается в рабочее соединение
+ * через тот же backup API, без подмены файла под открытой базой
+ * @param {string} filename
+ * @returns {Promise<{success: boolean, code?: string, database?: string, integrity?: string}>}
+ */
+export async function restoreBackup(filename) {
+  if (!isValidBackupFilename(filename)) {
+    return { success: false, code: 'INVALID_FILENAME' };
+  }
+
+  const backupPath = path.join(getBackupDir(), filename);
+  try {
+    await fs.access(backupPath);
+  } catch {
+    return { success: false, code: 'BACKUP_NOT_FOUND' };
+  }
+
+  const databaseKey = getDatabaseKeyByFilename(filename);
+  const restorePath = `${backupPath}.restore.tmp`;
+
+  try {
+    if (filename.endsWith('.gz')) {
+      await gunzipFile(backupPath, restorePath);
+    } else {
+      await fs.copyFile(backupPath, restorePath);
+    }
+
+    const integrity = await checkIntegrity(restorePath);
+    if (integrity !== 'ok') {
+      return { success: false, code: 'INTEGRITY_CHECK_FAILED', integrity };
+    }
+
+    await runOnlineBackup(BACKUP_DATABASES[databaseKey].getConnection(), restorePath, false);
+    return { success: true, database: databaseKey };
+  } finally {
+    await removeQuietly(restorePath);
+  }
+}
+
+/**
+ * Удалить копию вручную
+ * @param {string} filename
+ * @returns {Promise<{success: boolean, code?: string}>}
+ */
+export async function deleteBackup(filename) {
+  if (!isValidBackupFilename(filename)) {
+    return { success: false, code: 'INVALID_FILENAME' };
+  }
+
+  const backupPath = path.join(getBackupDir(), filename);
+  try {
+    await fs.access(backupPath);
+  } catch {
+    return { success: false, code: 'BACKUP_NOT_FOUND' };
+  }
+
+  await fs.unlink(backupPath);
+  await updateHistory((history) => {
+    const index = history.findIndex(backup => backup.filename === filename);
+    if (index !== -1) history.splice(index, 1);
+  });
+
+  return { success: true };
+}
+
+/**
+ * Копия по расписанию: создаётся, если с последней успешной плановой копии прошёл интервал
+ * Проверка по истории, а не по таймеру, чтобы перезапуски сервера не откладывали копирование
+ */
+export async function runScheduledBackup() {
+  const { intervalHours } = getBackupSettings();
+  if (!intervalHours) return null;
+
+  try {
+    const history = await readHistory();
+    const lastScheduled = history
+      .filter(backup => backup.trigger === 'scheduled' && backup.status === 'ok')
+      .reduce((latest, backup) => Math.max(latest, new Date(backup.createdAt).getTime()), 0);
+
+    if (Date.now() - lastScheduled < intervalHours * 60 * 60 * 1000) return null;
+
+    const result = await createBackup({ trigger: 'scheduled' });
+    if (result.success) {
+      console.log(`💾 Резервные копии созданы: ${result.backups.map(backup => backup.filename).join(', ')}`);
+    } else if (result.code !== 'BACKUP_IN_PROGRESS') {
+      console.error('⚠️ Плановое резервное копирование завершилось с ошибками');
+    }
+    return result;
+  } catch (error) {
+    console.error('Ошибка планового резервного копирования:', error);
+    return null;
+  }
+}
+
+export default {
+  createBackup,
+  listBackups,
+  restoreBackup,
+  deleteBackup,
+  applyRetention,
+  runScheduledBackup,
+  getBackupSettings
+};
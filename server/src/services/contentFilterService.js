@@ -0,0 +1,613 @@
+/**
+ * Автоматический фильтр пользовательского контента
+ *
+ * Текст записей, рецензий, комментариев и сообщений проверяется до сохранения:
+ * - правила модераторов (content_filter_rules): слова и фразы, регулярные выражения, запрещённые домены;
+ * - эвристики спама: один и тот же текст подряд, слишком много упоминаний или ссылок;
+ * - лимиты частоты публикаций на пользователя.
+ *
+ * У каждого правила и эвристики своё действие:
+ * - block — текст не сохраняется, автор получает ошибку;
+ * - hold — контент сохраняется с filter_status = 'held' и ждёт модератора;
+ * - shadow — контент сохраняется с filter_status = 'shadowed' без очереди модерации.
+ * Контент с filter_status видит только автор. Из нескольких совпадений побеждает самое строгое действие.
+ *
+ * Настройки эвристик хранятся в site_settings (content_filter_config), срабатывания — в content_filter_events.
+ * Счётчики частоты и повторов — в content_filter_activity: база общая для всех процессов PM2 cluster,
+ * поэтому лимит действует на пользователя целиком, а не на каждый процесс отдельно.
+ */
+
+import { createHash } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../database/db.js';
+
+export const FILTER_RULE_KINDS = ['word', 'regex', 'domain'];
+export const FILTER_ACTIONS = ['block', 'hold', 'shadow'];
+export const FILTER_TARGET_TYPES = ['wall_post', 'review', 'post_comment', 'image_comment', 'message'];
+
+export const FILTER_RULE_PATTERN_MAX_LENGTH = 200;
+
+const CONFIG_KEY = 'content_filter_config';
+const CACHE_TTL_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const EVENT_CONTENT_MAX_LENGTH = 2000;
+
+const ACTION_SEVERITY = { shadow: 1, hold: 2, block: 3 };
+
+// Значение filter_status для сохранённого контента
+const FILTER_STATUSES = { hold: 'held', shadow: 'shadowed' };
+
+// Статус записи в журнале срабатываний
+const EVENT_STATUSES = { block: 'blocked', hold: 'pending', shadow: 'shadowed' };
+
+const TARGET_TABLES = {
+  wall_post: { table: 'wall_posts', authorColumn: 'user_id' },
+  review: { table: 'wall_posts', authorColumn: 'user_id' },
+  post_comment: { table: 'post_comments', authorColumn: 'user_id' },
+  image_comment: { table: 'image_comments', authorColumn: 'user_id' },
+  message: { table: 'messages', authorColumn: 'sender_id' }
+};
+
+// Лимиты частоты считаются по трём корзинам
+const TARGET_KINDS = {
+  wall_post: 'post',
+  review: 'post',
+  post_comment: 'comment',
+  image_comment: 'comment',
+  message: 'message'
+};
+
+export const DEFAULT_FILTER_CONFIG = {
+  enabled: true,
+  repeat: { limit: 3, windowMinutes: 10, minLength: 10, action: 'hold' },
+  mentions: { max: 10, action: 'hold' },
+  links: { max: 5, action: 'hold' },
+  flood: {
+    action: 'block',
+    post: { limit: 10, windowMinutes: 10 },
+    comment: { limit: 20, windowMinutes: 5 },
+    message: { limit: 30, windowMinutes: 1 }
+  }
+};
+
+const MENTION_REGEX = /@\[[^\]]+\]\([^)]+\)/g;
+const LINK_REGEX = /(?:https?:\/\/|www\.)[^\s<>"']+/giu;
+const HOST_REGEX = /(?:https?:\/\/)?((?:[\p{L}\p{N}-]+\.)+\p{L}{2,})/giu;
+
+let cache = null;
+let lastSweepAt = Date.now();
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Домен из правила или ссылки: без протокола, www, пути и порта
+ */
+export function normalizeDomain(value) {
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/:?#]/)[0];
+}
+
+function compileRule(rule) {
+  try {
+    if (rule.kind === 'word') {
+      const pattern = escapeRegex(normalizeText(rule.pattern));
+      return { ...rule, regex: new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'iu') };
+    }
+    if (rule.kind === 'regex') {
+      return { ...rule, regex: new RegExp(rule.pattern, 'iu') };
+    }
+    return { ...rule, domain: normalizeDomain(rule.pattern) };
+  } catch (error) {
+    console.warn(`Правило фильтра ${rule.id} пропущено: ${error.message}`);
+    return null;
+  }
+}
+
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (!(key in base)) continue;
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+async function loadFilterState() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const [configResult, rulesResult] = await Promise.all([
+    executeQuery('SELECT value FROM site_settings WHERE key = ?', [CONFIG_KEY]),
+    executeQuery('SELECT id, kind, pattern, action FROM content_filter_rules WHERE is_active = 1')
+  ]);
+
+  let stored = {};
+  if (configResult.success && configResult.data[0]?.value) {
+    try {
+      stored = JSON.parse(configResult.data[0].value);
+    } catch {
+      console.warn('Настройки фильтра контента повреждены, используются значения по умолчанию');
+    }
+  }
+
+  cache = {
+    loadedAt: Date.now(),
+    config: mergeConfig(DEFAULT_FILTER_CONFIG, stored),
+    rules: rulesResult.success ? rulesResult.data.map(compileRule).filter(Boolean) : []
+  };
+  return cache;
+}
+
+/**
+ * Сбросить кэш правил и настроек (после изменений модератором)
+ */
+export function invalidateContentFilterCache() {
+  cache = null;
+}
+
+/**
+ * Сбросить кэш и счётчики частоты
+ */
+export async function resetContentFilterState() {
+  cache = null;
+  lastSweepAt = Date.now();
+  await executeQuery('DELETE FROM content_filter_activity');
+}
+
+/**
+ * Удалить записи активности старше самого длинного окна (не чаще SWEEP_INTERVAL_MS в каждом процессе)
+ */
+async function sweepActivity(now, config) {
+  if (now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+  lastSweepAt = now;
+
+  const longestWindow = Math.max(
+    config.repeat.windowMinutes,
+    config.flood.post.windowMinutes,
+    config.flood.comment.windowMinutes,
+    config.flood.message.windowMinutes
+  ) * 60 * 1000;
+
+  await executeQuery('DELETE FROM content_filter_activity WHERE created_at <= ?', [now - longestWindow]);
+}
+
+/**
+ * Недавние публикации пользователя в корзине частоты
+ * Ошибка чтения не мешает публикации: лимиты в этом случае не срабатывают
+ * @returns {Promise<Array<{at: number, textHash: string|null}>>}
+ */
+async function loadRecentActivity(userId, kind, since) {
+  const result = await executeQuery(
+    `SELECT created_at, text_hash FROM content_filter_activity
+     WHERE user_id = ? AND kind = ? AND created_at > ?`,
+    [userId, kind, since]
+  );
+  if (!result.success) {
+    console.warn('Не удалось загрузить счётчики частоты фильтра:', result.error);
+    return [];
+  }
+  return result.data.map(row => ({ at: row.created_at, textHash: row.text_hash }));
+}
+
+function matchRules(rules, text) {
+  const reasons = [];
+  const normalized = normalizeText(text);
+  const hosts = [...text.matchAll(HOST_REGEX)].map(match => normalizeDomain(match[1]));
+
+  for (const rule of rules) {
+    let matched = false;
+    if (rule.kind === 'domain') {
+      matched = hosts.some(host => host === rule.domain || host.endsWith(`.${rule.domain}`));
+    } else {
+      matched = rule.regex.test(rule.kind === 'word' ? normalized : text);
+    }
+    if (matched) {
+      reasons.push({ source: rule.kind, ruleId: rule.id, action: rule.action, detail: rule.pattern });
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Проверить текст фильтром контента
+ * @param {Object} params
+ * @param {string} params.userId - Автор
+ * @param {string} params.targetType - Один из FILTER_TARGET_TYPES
+ * @param {string} params.text - Текст (для секретных чатов — пусто: сервер видит только шифротекст)
+ * @param {number} params.mentionsCount - Сколько пользователей упомянуто отдельно от текста
+ * @param {boolean} params.isEdit - Редактирование: частота и повторы не считаются
+ * @returns {Promise<Object>} - { action: 'allow' | 'block' | 'hold' | 'shadow', reasons }
+ */
+export async function checkContent({ userId, targetType, text, mentionsCount = 0, isEdit = false }) {
+  const { config, rules } = await loadFilterState();
+  if (!config.enabled) {
+    return { action: 'allow', reasons: [] };
+  }
+
+  const now = Date.now();
+  await sweepActivity(now, config);
+
+  const kind = TARGET_KINDS[targetType];
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  const normalized = normalizeText(trimmed);
+  // Для поиска повторов достаточно хеша: сам текст в счётчиках не хранится
+  const textHash = normalized ? createHash('sha256').update(normalized).digest('hex') : null;
+  const reasons = [];
+
+  const floodLimit = config.flood[kind];
+  const activity = isEdit
+    ? []
+    : await loadRecentActivity(userId, kind, now - Math.max(floodLimit.windowMinutes, config.repeat.windowMinutes) * 60 * 1000);
+
+  if (!isEdit) {
+    const recentCount = activity.filter(entry => now - entry.at < floodLimit.windowMinutes * 60 * 1000).length;
+    if (recentCount >= floodLimit.limit) {
+      reasons.push({ source: 'flood', action: config.flood.action, detail: `${recentCount} за ${floodLimit.windowMinutes} мин` });
+    }
+  }
+
+  if (trimmed) {
+    reasons.push(...matchRules(rules, trimmed));
+
+    if (!isEdit && normalized.length >= config.repeat.minLength) {
+      const repeats = activity.filter(entry =>
+        entry.textHash === textHash && now - entry.at < config.repeat.windowMinutes * 60 * 1000
+      ).length;
+      if (repeats >= config.repeat.limit) {
+        reasons.push({ source: 'repeat', action: config.repeat.action, detail: `${repeats + 1} одинаковых за ${config.repeat.windowMinutes} мин` });
+      }
+    }
+
+    const linksCount = (trimmed.match(LINK_REGEX) || []).length;
+    if (linksCount > config.links.max) {
+      reasons.push({ source: 'links', action: config.links.action, detail: `${linksCount} ссылок` });
+    }
+  }
+
+  const totalMentions = Math.max(mentionsCount, (trimmed.match(MENTION_REGEX) || []).length);
+  if (totalMentions > config.mentions.max) {
+    reasons.push({ source: 'mentions', action: config.mentions.action, detail: `${totalMentions} упоминаний` });
+  }
+
+  const action = reasons.reduce(
+    (strongest, reason) => (ACTION_SEVERITY[reason.action] > (ACTION_SEVERITY[strongest] || 0) ? reason.action : strongest),
+    'allow'
+  );
+
+  // Заблокированные попытки не продлевают лимиты
+  if (!isEdit && action !== 'block') {
+    await executeQuery(
+      'INSERT INTO content_filter_activity (user_id, kind, text_hash, created_at) VALUES (?, ?, ?, ?)',
+      [userId, kind, textHash, now]
+    );
+  }
+
+  return { action, reasons };
+}
+
+/**
+ * filter_status для сохраняемого контента по действию фильтра
+ * @returns {string|null} - 'held', 'shadowed' или null
+ */
+export function getFilterStatus(action) {
+  return FILTER_STATUSES[action] || null;
+}
+
+/**
+ * SQL-условие видимости контента: не скрыт модератором, а отфильтрованное видит только автор
+ * Параметры — visibleContentParams(viewerId)
+ * @param {string} alias - Псевдоним таблицы в запросе
+ * @param {string} authorColumn - Колонка автора (sender_id у сообщений)
+ */
+export function visibleContentCondition(alias, authorColumn = 'user_id') {
+  return `${alias}.hidden_at IS NULL AND (${alias}.filter_status IS NULL OR ${alias}.${authorColumn} = ?)`;
+}
+
+export function visibleContentParams(viewerId) {
+  return [viewerId || null];
+}
+
+/**
+ * Записать срабатывание фильтра
+ * @param {Object} params
+ * @param {string} params.targetId - ID сохранённого контента; для block — null
+ * @param {Object} params.filter - Результат checkContent
+ * @returns {Promise<string|null>} - ID записи или null при ошибке БД
+ */
+export async function recordFilterEvent({ userId, targetType, targetId = null, content, filter }) {
+  const id = uuidv4();
+  const text = typeof content === 'string' ? content.trim().slice(0, EVENT_CONTENT_MAX_LENGTH) : null;
+  const result = await executeQuery(
+    `INSERT INTO content_filter_events (id, user_id, target_type, target_id, action, status, reasons, content)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, targetType, targetId, filter.action, EVENT_STATUSES[filter.action], JSON.stringify(filter.reasons), text || null]
+  );
+  return result.success ? id : null;
+}
+
+/**
+ * Текущие настройки эвристик
+ */
+export async function getFilterConfig() {
+  const { config } = await loadFilterState();
+  return config;
+}
+
+function validateConfig(config) {
+  const positive = (value) => Number.isInteger(value) && value > 0;
+  const checks = [
+    ['enabled', typeof config.enabled === 'boolean'],
+    ['repeat.limit', positive(config.repeat.limit)],
+    ['repeat.windowMinutes', positive(config.repeat.windowMinutes)],
+    ['repeat.minLength', Number.isInteger(config.repeat.minLength) && config.repeat.minLength >= 0],
+    ['repeat.action', FILTER_ACTIONS.includes(config.repeat.action)],
+    ['mentions.max', Number.isInteger(config.mentions.max) && config.mentions.max >= 0],
+    ['mentions.action', FILTER_ACTIONS.includes(config.mentions.action)],
+    ['links.max', Number.isInteger(config.links.max) && config.links.max >= 0],
+    ['links.action', FILTER_ACTIONS.includes(config.links.action)],
+    ['flood.action', FILTER_ACTIONS.includes(config.flood.action)]
+  ];
+  for (const kind of ['post', 'comment', 'message']) {
+    checks.push([`flood.${kind}.limit`, positive(config.flood[kind].limit)]);
+    checks.push([`flood.${kind}.windowMinutes`, positive(config.flood[kind].windowMinutes)]);
+  }
+  return checks.find(([, valid]) => !valid)?.[0] || null;
+}
+
+/**
+ * Изменить настройки эвристик (частично)
+ * @returns {Promise<Object>} - { success, config } или { success: false, code, field }
+ */
+export async function updateFilterConfig(patch) {
+  const current = await getFilterConfig();
+  const config = mergeConfig(current, patch);
+
+  const invalidField = validateConfig(config);
+  if (invalidField) {
+    return { success: false, code: 'INVALID_CONFIG', field: invalidField };
+  }
+
+  const result = await executeQuery(
+    `INSERT INTO site_settings (id, key, value, updated_at) VALUES (?, ?, ?, datetime('now'))
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+    [uuidv4(), CONFIG_KEY, JSON.stringify(config)]
+  );
+  if (!result.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  invalidateContentFilterCache();
+  return { success: true, config };
+}
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    pattern: row.pattern,
+    action: row.action,
+    note: row.note,
+    isActive: Boolean(row.is_active),
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+function validateRule({ kind, pattern, action }) {
+  if (!FILTER_RULE_KINDS.includes(kind)) return 'INVALID_KIND';
+  if (!FILTER_ACTIONS.includes(action)) return 'INVALID_ACTION';
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'INVALID_PATTERN';
+  if (pattern.length > FILTER_RULE_PATTERN_MAX_LENGTH) return 'PATTERN_TOO_LONG';
+  if (kind === 'regex') {
+    try {
+      new RegExp(pattern, 'iu');
+    } catch {
+      return 'INVALID_PATTERN';
+    }
+  }
+  if (kind === 'domain' && !/^[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)+$/u.test(normalizeDomain(pattern))) {
+    return 'INVALID_PATTERN';
+  }
+  return null;
+}
+
+/**
+ * Все правила фильтра
+ */
+export async function listRules() {
+  const result = await executeQuery('SELECT * FROM content_filter_rules ORDER BY kind, created_at DESC');
+  if (!result.success) return { success: false, code: 'DATABASE_ERROR' };
+  return { success: true, rules: result.data.map(formatRule) };
+}
+
+/**
+ * Добавить правило
+ * @returns {Promise<Object>} - { success, rule } или { success: false, code }
+ */
+export async function createRule({ kind, pattern, action, note = null, createdBy }) {
+  const code = validateRule({ kind, pattern, action });
+  if (code) return { success: false, code };
+
+  const storedPattern = kind === 'domain' ? normalizeDomain(pattern) : pattern.trim();
+  const duplicate = await executeQuery(
+    'SELECT id FROM content_filter_rules WHERE kind = ? AND pattern = ?',
+    [kind, storedPattern]
+  );
+  if (!duplicate.success) return { success: false, code: 'DATABASE_ERROR' };
+  if (duplicate.data.length > 0) return { success: false, code: 'DUPLICATE_RULE' };
+
+  const id = uuidv4();
+  const insert = await executeQuery(
+    `INSERT INTO content_filter_rules (id, kind, pattern, action, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, kind, storedPattern, action, note?.trim() || null, createdBy]
+  );
+  if (!insert.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  invalidateContentFilterCache();
+  const created = await executeQuery('SELECT * FROM content_filter_rules WHERE id = ?', [id]);
+  return { success: true, rule: formatRule(created.data[0]) };
+}
+
+/**
+ * Изменить действие, заметку или включённость правила
+ * @returns {Promise<Object>} - { success, rule } или { success: false, code }
+ */
+export async function updateRule(ruleId, { action, note, isActive }) {
+  const existing = await executeQuery('SELECT * FROM content_filter_rules WHERE id = ?', [ruleId]);
+  if (!existing.success) return { success: false, code: 'DATABASE_ERROR' };
+  const rule = existing.data[0];
+  if (!rule) return { success: false, code: 'RULE_NOT_FOUND' };
+
+  if (action !== undefined && !FILTER_ACTIONS.includes(action)) {
+    return { success: false, code: 'INVALID_ACTION' };
+  }
+
+  const update = await executeQuery(
+    'UPDATE content_filter_rules SET action = ?, note = ?, is_active = ? WHERE id = ?',
+    [
+      action ?? rule.action,
+      note === undefined ? rule.note : (note?.trim() || null),
+      isActive === undefined ? rule.is_active : (isActive ? 1 : 0),
+      ruleId
+    ]
+  );
+  if (!update.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  invalidateContentFilterCache();
+  const updated = await executeQuery('SELECT * FROM content_filter_rules WHERE id = ?', [ruleId]);
+  return { success: true, rule: formatRule(updated.data[0]) };
+}
+
+/**
+ * Удалить правило
+ */
+export async function deleteRule(ruleId) {
+  const result = await executeQuery('DELETE FROM content_filter_rules WHERE id = ?', [ruleId]);
+  if (!result.success) return { success: false, code: 'DATABASE_ERROR' };
+  if (result.changes === 0) return { success: false, code: 'RULE_NOT_FOUND' };
+
+  invalidateContentFilterCache();
+  return { success: true };
+}
+
+function formatEvent(row) {
+  let reasons = [];
+  try {
+    reasons = JSON.parse(row.reasons || '[]');
+  } catch {
+    reasons = [];
+  }
+
+  return {
+    id: row.id,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    action: row.action,
+    status: row.status,
+    reasons,
+    content: row.content,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    user: { id: row.user_id, displayName: row.user_name, avatarUrl: row.user_avatar },
+    reviewedBy: row.reviewed_by ? { id: row.reviewed_by, displayName: row.reviewer_name } : null
+  };
+}
+
+/**
+ * Журнал срабатываний фильтра
+ * @param {Object} params
+ * @param {string} params.status - blocked, pending, shadowed, approved, rejected; без статуса — все
+ */
+export async function listFilterEvents({ status, limit = 50, offset = 0 } = {}) {
+  const params = [];
+  let where = '';
+  if (status) {
+    where = 'WHERE e.status = ?';
+    params.push(status);
+  }
+
+  const result = await executeQuery(
+    `SELECT e.*,
+       u.display_name as user_name, u.avatar_url as user_avatar,
+       reviewer.display_name as reviewer_name
+     FROM content_filter_events e
+     LEFT JOIN users u ON e.user_id = u.id
+     LEFT JOIN users reviewer ON e.reviewed_by = reviewer.id
+     ${where}
+     ORDER BY e.created_at DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  if (!result.success) return { success: false, code: 'DATABASE_ERROR' };
+  return { success: true, events: result.data.map(formatEvent) };
+}
+
+/**
+ * Решение модератора по отфильтрованному контенту
+ * - approve: контент становится виден всем
+ * - reject: контент скрывается, как по жалобе (hidden_at)
+ * @returns {Promise<Object>} - { success, status } или { success: false, code }
+ */
+export async function reviewFilterEvent({ eventId, adminId, decision }) {
+  if (decision !== 'approve' && decision !== 'reject') {
+    return { success: false, code: 'INVALID_DECISION' };
+  }
+
+  const eventResult = await executeQuery('SELECT * FROM content_filter_events WHERE id = ?', [eventId]);
+  if (!eventResult.success) return { success: false, code: 'DATABASE_ERROR' };
+  const event = eventResult.data[0];
+  if (!event) return { success: false, code: 'EVENT_NOT_FOUND' };
+  if (event.status !== 'pending' && event.status !== 'shadowed') {
+    return { success: false, code: 'ALREADY_REVIEWED' };
+  }
+
+  const { table } = TARGET_TABLES[event.target_type];
+  const contentUpdate = decision === 'approve'
+    ? `UPDATE ${table} SET filter_status = NULL WHERE id = ?`
+    : `UPDATE ${table} SET hidden_at = CURRENT_TIMESTAMP WHERE id = ? AND hidden_at IS NULL`;
+  const updateContent = await executeQuery(contentUpdate, [event.target_id]);
+  if (!updateContent.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+  const updateEvent = await executeQuery(
+    'UPDATE content_filter_events SET status = ?, reviewed_by = ?, reviewed_at = ? WHERE id = ?',
+    [status, adminId, new Date().toISOString(), eventId]
+  );
+  if (!updateEvent.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  return { success: true, status };
+}
+
+export default {
+  FILTER_RULE_KINDS,
+  FILTER_ACTIONS,
+  FILTER_TARGET_TYPES,
+  DEFAULT_FILTER_CONFIG,
+  checkContent,
+  getFilterStatus,
+  visibleContentCondition,
+  visibleContentParams,
+  recordFilterEvent,
+  getFilterConfig,
+  updateFilterConfig,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  listFilterEvents,
+  reviewFilterEvent,
+  invalidateContentFilterCache,
+  resetContentFilterState
+};
@@ -381,6 +381,29 @@ export async function sendBugReportStatusEmail({ toEmail, displayName, title, ne
   });
 }
 
+/**
+ * Отправить предупреждение о входе в аккаунт с нового устройства
+ */
+export async function sendNewDeviceLoginEmail({ toEmail, displayName, deviceName, ipAddress, loginTime, sessionsUrl }) {
+  if (!toEmail) return { success: false, error: 'Email не указан' };
+  return sendEmail({
+    to: toEmail,
+    subject: 'Вход с нового устройства — watchRebel',
+    html: notificationTemplate({
+      title: 'Вход с нового устройства',
+      content: `
+        ${displayName ? `${displayName}, в` : 'В'} ваш аккаунт выполнен вход с нового устройства.<br><br>
+        <strong>Устройство:</strong> ${deviceName}<br>
+        <strong>IP-адрес:</strong> ${ipAddress || 'неизвестен'}<br>
+        <strong>Время:</strong> ${loginTime}<br><br>
+        Если это были не вы, завершите эту сессию в настройках и смените пароль.
+      `,
+      buttonText: 'Активные сессии',
+      buttonUrl: sessionsUrl,
+    }),
+  });
+}
+
 export default {
   sendVerificationEmail,
   sendPasswordResetEmail,
@@ -390,4 +413,5 @@ export default {
   sendWelcomeEmail,
   sendBugReportEmail,
   sendBugReportStatusEmail,
+  sendNewDeviceLoginEmail,
 };
@@ -0,0 +1,158 @@
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery, withTransaction } from '../database/db.js';
+import mediaCacheService from './mediaCacheService.js';
+import { findNextEpisode, toDateString, TV_DETAILS_MAX_AGE_HOURS } from './episodeScheduleService.js';
+
+/**
+ * Прогресс по сезонам: сетка серий с отметками, отметка сезона целиком и снятие отметки
+ *
+ * Отдельная серия отмечается через POST /api/progress; здесь — операции, которые нужны
+ * Telegram-боту и не укладываются в одну запись episode_progress
+ */
+
+async function getWatchedRows(userId, tvId) {
+  return executeQuery(
+    'SELECT season_number, episode_number FROM episode_progress WHERE user_id = ? AND tmdb_id = ?',
+    [userId, tvId]
+  );
+}
+
+/**
+ * Следующая серия сериала для пользователя
+ * @param {string} userId - ID пользователя
+ * @param {number} tvId - TMDb ID сериала
+ * @returns {Promise<Object>} - { success, title, nextEpisode } — nextEpisode null, если смотреть нечего
+ */
+export async function getNextEpisode(userId, tvId) {
+  const watched = await getWatchedRows(userId, tvId);
+  if (!watched.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  const details = await mediaCacheService.getFreshOrFetch(tvId, 'tv', TV_DETAILS_MAX_AGE_HOURS);
+  const nextEpisode = await findNextEpisode(tvId, watched.data, details?.number_of_seasons);
+
+  return { success: true, title: details?.name || null, nextEpisode };
+}
+
+/**
+ * Серии сезона с отметками о просмотре
+ * @param {string} userId - ID пользователя
+ * @param {number} tvId - TMDb ID сериала
+ * @param {number} seasonNumber - Номер сезона
+ * @returns {Promise<Object>} - { success, season: { title, seasonNumber, name, seasonsCount, watchedCount, episodes } }
+ *   episodes: [{ episodeNumber, name, airDate, aired, watched }]
+ */
+export async function getSeasonProgress(userId, tvId, seasonNumber) {
+  const season = await mediaCacheService.getOrFetchSeason(tvId, seasonNumber);
+  if (!season) {
+    return { success: false, code: 'SEASON_NOT_FOUND' };
+  }
+
+  const watched = await executeQuery(
+    'SELECT episode_number FROM episode_progress WHERE user_id = ? AND tmdb_id = ? AND season_number = ?',
+    [userId, tvId, seasonNumber]
+  );
+  if (!watched.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  const details = await mediaCacheService.getFreshOrFetch(tvId, 'tv', TV_DETAILS_MAX_AGE_HOURS);
+  const watchedNumbers = new Set(watched.data.map(row => row.episode_number));
+  const today = toDateString();
+
+  const episodes = [...season.episodes]
+    .sort((a, b) => a.episode_number - b.episode_number)
+    .map(episode => ({
+      episodeNumber: episode.episode_number,
+      name: episode.name,
+      airDate: episode.air_date,
+      aired: Boolean(episode.air_date && episode.air_date <= today),
+      watched: watchedNumbers.has(episode.episode_number)
+    }));
+
+  return {
+    success: true,
+    season: {
+      title: details?.name || null,
+      seasonNumber,
+      name: season.name,
+      seasonsCount: details?.number_of_seasons || null,
+      watchedCount: episodes.filter(episode => episode.watched).length,
+      episodes
+    }
+  };
+}
+
+/**
+ * Отметить все вышедшие серии сезона как просмотренные
+ * Невышедшие серии пропускаются: их отметят, когда они выйдут
+ * @param {string} userId - ID пользователя
+ * @param {number} tvId - TMDb ID сериала
+ * @param {number} seasonNumber - Номер сезона
+ * @returns {Promise<Object>} - { success, marked, title, nextEpisode }
+ */
+export async function markSeasonWatched(userId, tvId, seasonNumber) {
+  const progress = await getSeasonProgress(userId, tvId, seasonNumber);
+  if (!progress.success) return progress;
+
+  // Сезон отмечается целиком или не отмечается вовсе
+  let marked;
+  try {
+    marked = await withTransaction(async () => {
+      let inserted = 0;
+      for (const episode of progress.season.episodes) {
+        if (episode.watched || !episode.aired) continue;
+
+        const insert = await executeQuery(
+          `INSERT OR IGNORE INTO episode_progress (id, user_id, tmdb_id, season_number, episode_number)
+           VALUES (?, ?, ?, ?, ?)`,
+          [uuidv4(), userId, tvId, seasonNumber, episode.episodeNumber]
+        );
+        if (!insert.success) {
+          throw new Error(insert.error);
+        }
+        inserted += insert.changes || 0;
+      }
+      return inserted;
+    });
+  } catch (error) {
+    console.error('Ошибка отметки сезона:', error.message);
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  const next = await getNextEpisode(userId, tvId);
+  if (!next.success) return next;
+
+  return { success: true, marked, title: next.title, nextEpisode: next.nextEpisode };
+}
+
+/**
+ * Снять отметку о просмотре серии
+ * @param {string} userId - ID пользователя
+ * @param {number} tvId - TMDb ID сериала
+ * @param {number} seasonNumber - Номер сезона
+ * @param {number} episodeNumber - Номер серии
+ * @returns {Promise<Object>} - { success, removed, title, nextEpisode }
+ */
+export async function unmarkEpisode(userId, tvId, seasonNumber, episodeNumber) {
+  const result = await executeQuery(
+    'DELETE FROM episode_progress WHERE user_id = ? AND tmdb_id = ? AND season_number = ? AND episode_number = ?',
+    [userId, tvId, seasonNumber, episodeNumber]
+  );
+  if (!result.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  const next = await getNextEpisode(userId, tvId);
+  if (!next.success) return next;
+
+  return { success: true, removed: (result.changes || 0) > 0, title: next.title, nextEpisode: next.nextEpisode };
+}
+
+export default {
+  getNextEpisode,
+  getSeasonProgress,
+  markSeasonWatched,
+  unmarkEpisode
+};
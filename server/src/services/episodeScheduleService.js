@@ -0,0 +1,338 @@
+import { executeQuery } from '../database/db.js';
+import mediaCacheService from './mediaCacheService.js';
+
+/**
+ * Сервис расписания серий: что смотреть дальше и календарь выхода новых серий и фильмов
+ *
+ * Серии берутся из TMDb через кэш сезонов (mediaCacheService.getOrFetchSeason),
+ * просмотренное — из episode_progress
+ */
+
+// Как часто обновлять детали сериала (status, number_of_seasons)
+export const TV_DETAILS_MAX_AGE_HOURS = 24;
+// Дата выхода невышедшего фильма может сдвигаться, но реже
+const MOVIE_DETAILS_MAX_AGE_HOURS = 24 * 7;
+// Сколько сезонов после последнего просмотренного проверять в поисках следующей серии
+const MAX_SEASONS_AHEAD = 3;
+// Сколько сериалов (по последнему просмотру) обрабатывать в «Что дальше»
+export const UP_NEXT_MAX_SERIES = 50;
+export const CALENDAR_DEFAULT_DAYS = 30;
+export const CALENDAR_MAX_DAYS = 90;
+
+// У завершённых сериалов новых серий не будет — не запрашиваем их сезоны
+const FINISHED_TV_STATUSES = ['Ended', 'Canceled'];
+
+/**
+ * Дата в формате YYYY-MM-DD по локальному времени сервера
+ */
+export function toDateString(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Сдвинуть дату YYYY-MM-DD на days дней
+ */
+export function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+const episodeKey = (seasonNumber, episodeNumber) => `${seasonNumber}:${episodeNumber}`;
+
+/**
+ * Найти следующую непросмотренную серию после самой дальней просмотренной
+ * Пропущенные ранее серии не возвращаются — как и в трекерах, «дальше» считается от последней
+ * @param {number} tvId - TMDb ID сериала
+ * @param {Array} watched - Строки episode_progress: { season_number, episode_number }
+ * @param {number|null} numberOfSeasons - number_of_seasons из деталей сериала
+ * @returns {Promise<Object|null>} - Серия или null, если пользователь всё посмотрел
+ */
+export async function findNextEpisode(tvId, watched, numberOfSeasons = null) {
+  if (watched.length === 0) return null;
+
+  const watchedKeys = new Set(watched.map(w => episodeKey(w.season_number, w.episode_number)));
+  const last = watched.reduce((max, w) =>
+    (w.season_number > max.season_number ||
+      (w.season_number === max.season_number && w.episode_number > max.episode_number)) ? w : max
+  );
+
+  // Спецвыпуски (сезон 0) не продолжаются — после них смотрим с первого сезона
+  const fromSeason = Math.max(last.season_number, 1);
+  const fromEpisode = last.season_number === 0 ? 0 : last.episode_number;
+  const lastSeason = numberOfSeasons
+    ? Math.min(numberOfSeasons, fromSeason + MAX_SEASONS_AHEAD)
+    : fromSeason + MAX_SEASONS_AHEAD;
+
+  for (let seasonNumber = fromSeason; seasonNumber <= lastSeason; seasonNumber++) {
+    const season = await mediaCacheService.getOrFetchSeason(tvId, seasonNumber);
+    if (!season) {
+      // Сезона нет в TMDb — дальше искать бессмысленно
+      if (seasonNumber > fromSeason) break;
+      continue;
+    }
+
+    const next = [...season.episodes]
+      .sort((a, b) => a.episode_number - b.episode_number)
+      .find(episode =>
+        (seasonNumber > fromSeason || episode.episode_number > fromEpisode) &&
+        !watchedKeys.has(episodeKey(seasonNumber, episode.episode_number))
+      );
+
+    if (next) {
+      return {
+        seasonNumber,
+        episodeNumber: next.episode_number,
+        name: next.name,
+        airDate: next.air_date,
+        overview: next.overview,
+        stillPath: next.still_path,
+        runtime: next.runtime,
+        aired: Boolean(next.air_date && next.air_date <= toDateString())
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Следующая серия для каждого сериала, который пользователь смотрит
+ * Сначала вышедшие серии (по давности последнего просмотра), затем ожидаемые (по дате выхода)
+ * @param {string} userId - ID пользователя
+ * @returns {Promise<Array|null>} - null при ошибке БД
+ */
+export async function getUpNext(userId) {
+  const progressResult = await executeQuery(
+    `SELECT tmdb_id, season_number, episode_number, watched_at
+     FROM episode_progress
+     WHERE user_id = ?`,
+    [userId]
+  );
+
+  if (!progressResult.success) return null;
+
+  const bySeries = new Map();
+  for (const row of progressResult.data) {
+    if (!bySeries.has(row.tmdb_id)) bySeries.set(row.tmdb_id, []);
+    bySeries.get(row.tmdb_id).push(row);
+  }
+
+  const lastWatchedOf = (rows) => rows.reduce((max, row) => (row.watched_at > max.watched_at ? row : max));
+
+  const series = [...bySeries.entries()]
+    .map(([tmdbId, rows]) => ({ tmdbId, rows, lastWatched: lastWatchedOf(rows) }))
+    .sort((a, b) => String(b.lastWatched.watched_at).localeCompare(String(a.lastWatched.watched_at)))
+    .slice(0, UP_NEXT_MAX_SERIES);
+
+  const items = [];
+
+  for (const { tmdbId, rows, lastWatched } of series) {
+    const details = await mediaCacheService.getFreshOrFetch(tmdbId, 'tv', TV_DETAILS_MAX_AGE_HOURS);
+    const nextEpisode = await findNextEpisode(tmdbId, rows, details?.number_of_seasons);
+
+    if (!nextEpisode) continue;
+
+    items.push({
+      tmdbId,
+      mediaType: 'tv',
+      title: details?.name || `Сериал #${tmdbId}`,
+      posterPath: details?.poster_path || null,
+      status: details?.status || null,
+      lastWatched: {
+        seasonNumber: lastWatched.season_number,
+        episodeNumber: lastWatched.episode_number,
+        watchedAt: lastWatched.watched_at
+      },
+      nextEpisode
+    });
+  }
+
+  const aired = items.filter(item => item.nextEpisode.aired);
+  const upcoming = items
+    .filter(item => !item.nextEpisode.aired)
+    .sort((a, b) => (a.nextEpisode.airDate || '9999').localeCompare(b.nextEpisode.airDate || '9999'));
+
+  return [...aired, ...upcoming];
+}
+
+/**
+ * Календарь выхода серий и фильмов из watchlist и списков сериалов пользователя
+ * @param {string} userId - ID пользователя
+ * @param {Object} range
+ * @param {string} range.from - Начало периода YYYY-MM-DD (включительно)
+ * @param {string} range.to - Конец периода YYYY-MM-DD (включительно)
+ * @returns {Promise<Array|null>} - События по возрастанию даты, null при ошибке БД
+ */
+export async function getCalendarEvents(userId, { from, to }) {
+  const trackedResult = await executeQuery(
+    `SELECT tmdb_id, media_type FROM watchlist WHERE user_id = ?
+     UNION
+     SELECT li.tmdb_id, li.media_type
+     FROM list_items li
+     JOIN custom_lists cl ON li.list_id = cl.id
+     WHERE cl.user_id = ? AND li.media_type = 'tv'`,
+    [userId, userId]
+  );
+
+  if (!trackedResult.success) return null;
+
+  const events = [];
+
+  for (const { tmdb_id: tmdbId, media_type: mediaType } of trackedResult.data) {
+    const cached = await mediaCacheService.getCachedMedia(tmdbId, mediaType);
+
+    if (mediaType === 'movie') {
+      // Уже вышедшие фильмы не обновляем
+      if (cached?.release_date && cached.release_date < from) continue;
+
+      const details = await mediaCacheService.getFreshOrFetch(tmdbId, 'movie', MOVIE_DETAILS_MAX_AGE_HOURS);
+      const releaseDate = details?.release_date;
+      if (!releaseDate || releaseDate < from || releaseDate > to) continue;
+
+      events.push({
+        date: releaseDate,
+        mediaType: 'movie',
+        tmdbId,
+        title: details.title,
+        posterPath: details.poster_path || null
+      });
+      continue;
+    }
+
+    if (cached && FINISHED_TV_STATUSES.includes(cached.status)) continue;
+
+    const details = await mediaCacheService.getFreshOrFetch(tmdbId, 'tv', TV_DETAILS_MAX_AGE_HOURS);
+    if (!details?.number_of_seasons || FINISHED_TV_STATUSES.includes(details.status)) continue;
+
+    // Новые серии выходят в последнем (в т.ч. анонсированном) сезоне
+    const season = await mediaCacheService.getOrFetchSeason(tmdbId, details.number_of_seasons);
+    if (!season) continue;
+
+    for (const episode of season.episodes) {
+      if (!episode.air_date || episode.air_date < from || episode.air_date > to) continue;
+
+      events.push({
+        date: episode.air_date,
+        mediaType: 'tv',
+        tmdbId,
+        title: details.name,
+        posterPath: details.poster_path || null,
+        seasonNumber: season.seasonNumber,
+        episodeNumber: episode.episode_number,
+        episodeName: episode.name || null
+      });
+    }
+  }
+
+  return events.sort((a, b) =>
+    a.date.localeCompare(b.date) ||
+    a.title.localeCompare(b.title) ||
+    (a.episodeNumber || 0) - (b.episodeNumber || 0)
+  );
+}
+
+/**
+ * Экранирование текста по RFC 5545
+ */
+function escapeICalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Перенос строк длиннее 75 байт (RFC 5545, 3.1); многобайтовые символы не разрываются
+ */
+function foldICalLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Строки продолжения начинаются с пробела, он тоже занимает байт
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+const toICalDate = (dateString) => dateString.replace(/-/g, '');
+
+/**
+ * Сформировать календарь iCalendar (RFC 5545) из событий getCalendarEvents
+ * События — на весь день, UID стабилен, чтобы календари обновляли их, а не дублировали
+ * @param {Array} events - События календаря
+ * @param {Object} options
+ * @param {string} options.name - Название календаря
+ * @returns {string}
+ */
+export function buildICalendar(events, { name = 'watchRebel' } = {}) {
+  const publicUrl = process.env.PUBLIC_URL || 'http://localhost:5173';
+  const dtstamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//watchRebel//Calendar//RU',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`
+  ];
+
+  for (const event of events) {
+    const isEpisode = event.mediaType === 'tv';
+    const code = isEpisode
+      ? `S${String(event.seasonNumber).padStart(2, '0')}E${String(event.episodeNumber).padStart(2, '0')}`
+      : null;
+    const summary = isEpisode
+      ? `${event.title} — ${code}${event.episodeName ? ` «${event.episodeName}»` : ''}`
+      : `${event.title} — премьера`;
+    const uid = isEpisode
+      ? `tv-${event.tmdbId}-s${event.seasonNumber}e${event.episodeNumber}@watchrebel`
+      : `movie-${event.tmdbId}@watchrebel`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${toICalDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toICalDate(addDays(event.date, 1))}`,
+      `SUMMARY:${escapeICalText(summary)}`,
+      `URL:${publicUrl}/media/${event.mediaType}/${event.tmdbId}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+export default {
+  UP_NEXT_MAX_SERIES,
+  CALENDAR_DEFAULT_DAYS,
+  CALENDAR_MAX_DAYS,
+  toDateString,
+  addDays,
+  findNextEpisode,
+  getUpNext,
+  getCalendarEvents,
+  buildICalendar
+};
@@ -0,0 +1,330 @@
+/**
+ * Уменьшенные копии загруженных изображений
+ *
+ * После загрузки оригинал нормализуется сразу (поворот, без EXIF/GPS), а копии AVIF/WebP
+ * нескольких ширин создаются в фоне по одной, чтобы не держать запрос и не грузить CPU пачкой.
+ * Пока копий нет, API отдаёт только оригинал — клиент просто показывает его.
+ *
+ * Готовые копии записываются в image_variants по URL оригинала (/uploads/...),
+ * а ответы API получают их через withImageVariants / withAvatarVariants.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { executeQuery } from '../database/db.js';
+import { normalizeImage, generateImageVariants, isVariantFile } from '../utils/imageProcessor.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Ширины копий: аватары показываются до 160px, изображения постов — в сетке и галерее
+export const IMAGE_VARIANT_WIDTHS = {
+  avatar: [80, 160, 320],
+  image: [320, 640, 1280]
+};
+
+// Папки uploads/ с изображениями и набор ширин для каждой
+export const IMAGE_UPLOAD_DIRS = {
+  avatars: 'avatar',
+  images: 'image',
+  announcements: 'image',
+  messages: 'image',
+  advertising: 'image',
+  'ad-requests': 'image',
+  'bug-reports': 'image'
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const STRAY_VARIANT_AGE_MS = 60 * 60 * 1000;
+
+let queue = Promise.resolve();
+
+/**
+ * URL файла из uploads/ -> путь на диске; null для внешних URL
+ */
+function uploadUrlToPath(url) {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+  const filePath = path.join(UPLOADS_DIR, url.slice('/uploads/'.length));
+  // Защита от ../ в URL
+  return filePath.startsWith(UPLOADS_DIR + path.sep) ? filePath : null;
+}
+
+function pathToUploadUrl(filePath) {
+  return `/uploads/${path.relative(UPLOADS_DIR, filePath).split(path.sep).join('/')}`;
+}
+
+function parseVariants(row) {
+  try {
+    return JSON.parse(row.variants);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Создать копии изображения и записать их в реестр
+ * @param {string} url - URL оригинала (/uploads/...)
+ * @param {string} profile - 'image' | 'avatar'
+ * @returns {Promise<Object|null>} - { width, height, variants } или null, если файла нет
+ */
+export async function createImageVariants(url, profile = 'image') {
+  const filePath = uploadUrlToPath(url);
+  if (!filePath) return null;
+
+  try {
+    await fs.access(filePath);
+  } catch {
+    // Загрузку могли отклонить и удалить до того, как до неё дошла очередь
+    return null;
+  }
+
+  const result = await generateImageVariants(filePath, IMAGE_VARIANT_WIDTHS[profile] || IMAGE_VARIANT_WIDTHS.image);
+  const variants = result.variants.map(({ width, format, path: variantPath }) => ({
+    width,
+    format,
+    url: pathToUploadUrl(variantPath)
+  }));
+
+  const insert = await executeQuery(
+    `INSERT INTO image_variants (image_url, width, height, variants) VALUES (?, ?, ?, ?)
+     ON CONFLICT(image_url) DO UPDATE SET
+       width = excluded.width, height = excluded.height, variants = excluded.variants, created_at = CURRENT_TIMESTAMP`,
+    [url, result.width, result.height, JSON.stringify(variants)]
+  );
+  if (!insert.success) {
+    throw new Error(insert.error);
+  }
+
+  return { width: result.width, height: result.height, variants };
+}
+
+/**
+ * Поставить создание копий в фоновую очередь. Ошибки только логируются
+ * @param {string} url - URL оригинала
+ * @param {string} profile - 'image' | 'avatar'
+ * @returns {Promise<void>}
+ */
+export function scheduleImageVariants(url, profile = 'image') {
+  queue = queue
+    .then(() => createImageVariants(url, profile))
+    .then(() => {}, (error) => {
+      console.error(`Ошибка создания копий изображения ${url}:`, error.message);
+    });
+  return queue;
+}
+
+/**
+ * Дождаться, пока фоновая очередь опустеет
+ */
+export function waitForImageVariants() {
+  return queue;
+}
+
+/**
+ * Нормализовать только что загруженный multer файл и поставить его копии в очередь
+ * Если сжатие сменило расширение, у file обновляются path, filename, size и mimetype
+ * @param {Object} file - Файл multer
+ * @param {string} profile - 'image' | 'avatar'
+ * @returns {Promise<Object>} - Тот же file
+ */
+export async function prepareUploadedImage(file, profile = 'image') {
+  const normalizedPath = await normalizeImage(file.path);
+  if (!normalizedPath) return file;
+
+  if (normalizedPath !== file.path) {
+    file.path = normalizedPath;
+    file.filename = path.basename(normalizedPath);
+    file.mimetype = 'image/jpeg';
+  }
+  file.size = (await fs.stat(file.path)).size;
+
+  // GIF остаётся как есть: копии потеряли бы анимацию
+  if (path.extname(file.path).toLowerCase() !== '.gif') {
+    scheduleImageVariants(pathToUploadUrl(file.path), profile);
+  }
+  return file;
+}
+
+/**
+ * Готовые копии для набора URL
+ * @param {Array<string>} urls - URL оригиналов (внешние и пустые пропускаются)
+ * @returns {Promise<Map>} - url -> { width, height, variants }
+ */
+export async function getImageVariants(urls) {
+  const uploadUrls = [...new Set(urls.filter(url => uploadUrlToPath(url)))];
+  const variantsByUrl = new Map();
+  if (uploadUrls.length === 0) return variantsByUrl;
+
+  const placeholders = uploadUrls.map(() => '?').join(', ');
+  const result = await executeQuery(
+    `SELECT image_url, width, height, variants FROM image_variants WHERE image_url IN (${placeholders})`,
+    uploadUrls
+  );
+  if (!result.success) return variantsByUrl;
+
+  for (const row of result.data) {
+    variantsByUrl.set(row.image_url, { width: row.width, height: row.height, variants: parseVariants(row) });
+  }
+  return variantsByUrl;
+}
+
+/**
+ * Добавить к изображениям размеры оригинала и список копий для srcset
+ * @param {Array<Object>} images - Объекты с URL оригинала в поле urlKey
+ * @param {string} urlKey - Поле с URL (по умолчанию url)
+ * @returns {Promise<Array<Object>>} - Те же объекты с width, height и variants ([] если копий ещё нет)
+ */
+export async function withImageVariants(images, urlKey = 'url') {
+  const variantsByUrl = await getImageVariants(images.map(image => image[urlKey]));
+  return images.map(image => {
+    const entry = variantsByUrl.get(image[urlKey]);
+    return entry
+      ? { ...image, width: entry.width, height: entry.height, variants: entry.variants }
+      : { ...image, variants: [] };
+  });
+}
+
+/**
+ * Добавить avatarVariants к объектам пользователей с avatarUrl
+ * @param {Array<Object>} users - Объекты вида { avatarUrl, ... } (null пропускаются)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function withAvatarVariants(users) {
+  const variantsByUrl = await getImageVariants(users.map(user => user?.avatarUrl));
+  return users.map(user => (user
+    ? { ...user, avatarVariants: variantsByUrl.get(user.avatarUrl)?.variants || [] }
+    : user));
+}
+
+/**
+ * Удалить копии изображения с диска и из реестра (оригинал удаляет вызывающий код)
+ * @param {string} url - URL оригинала
+ */
+export async function removeImageVariants(url) {
+  if (!uploadUrlToPath(url)) return;
+
+  const result = await executeQuery('SELECT variants FROM image_variants WHERE image_url = ?', [url]);
+  if (!result.success || result.data.length === 0) return;
+
+  for (const variant of parseVariants(result.data[0])) {
+    const variantPath = uploadUrlToPath(variant.url);
+    if (variantPath) {
+      await fs.unlink(variantPath).catch(() => {});
+    }
+  }
+  await executeQuery('DELETE FROM image_variants WHERE image_url = ?', [url]);
+}
+
+/**
+ * Создать копии для всех уже загруженных изображений и убрать копии удалённых
+ * Оригиналы нормализуются без сжатия, чтобы их URL в базе остались прежними.
+ * Оригинал с копиями в реестре уже нормализован: с force копии пересоздаются из него, а сам он не перекодируется
+ * @param {Object} options
+ * @param {boolean} options.force - Пересоздать копии, даже если они уже есть
+ * @param {Object} options.dirs - Какие папки uploads/ обходить: { папка: 'image' | 'avatar' }
+ * @param {Function} options.onProgress - Вызывается после каждого файла: (url, status)
+ * @returns {Promise<Object>} - { processed, skipped, failed, pruned }
+ */
+export async function backfillImageVariants({ force = false, dirs = IMAGE_UPLOAD_DIRS, onProgress = () => {} } = {}) {
+  const report = { processed: 0, skipped: 0, failed: 0, pruned: 0 };
+
+  const registered = await executeQuery('SELECT image_url, variants FROM image_variants');
+  if (!registered.success) {
+    throw new Error(registered.error);
+  }
+  const dirPrefixes = Object.keys(dirs).map(dir => `/uploads/${dir}/`);
+  const registry = new Map(registered.data
+    .filter(row => dirPrefixes.some(prefix => row.image_url.startsWith(prefix)))
+    .map(row => [row.image_url, parseVariants(row)]));
+
+  for (const [dir, profile] of Object.entries(dirs)) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(UPLOADS_DIR, dir));
+    } catch {
+      continue;
+    }
+
+    for (const file of files) {
+      if (isVariantFile(file) || !IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+
+      const url = `/uploads/${dir}/${file}`;
+      const registered = registry.has(url);
+      if (registered && !force) {
+        report.skipped++;
+        onProgress(url, 'skipped');
+        continue;
+      }
+
+      try {
+        if (!registered) {
+          await normalizeImage(path.join(UPLOADS_DIR, dir, file), Infinity);
+        }
+        const created = await createImageVariants(url, profile);
+        registry.set(url, created.variants);
+        report.processed++;
+        onProgress(url, 'processed');
+      } catch (error) {
+        // Например, зашифрованное вложение секретного чата с расширением картинки
+        report.failed++;
+        onProgress(url, 'failed', error);
+      }
+    }
+  }
+
+  // Копии, оригинал которых удалили без removeImageVariants
+  for (const [url, variants] of registry) {
+    try {
+      await fs.access(uploadUrlToPath(url));
+    } catch {
+      for (const variant of variants) {
+        await fs.unlink(uploadUrlToPath(variant.url)).catch(() => {});
+      }
+      await executeQuery('DELETE FROM image_variants WHERE image_url = ?', [url]);
+      registry.delete(url);
+      report.pruned++;
+    }
+  }
+
+  // Файлы копий, которых нет в реестре. Свежие не трогаем: их может дописывать очередь работающего сервера
+  const knownVariants = new Set([...registry.values()].flat().map(variant => variant.url));
+  const strayBefore = Date.now() - STRAY_VARIANT_AGE_MS;
+  for (const dir of Object.keys(dirs)) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(UPLOADS_DIR, dir));
+    } catch {
+      continue;
+    }
+    for (const file of files) {
+      const url = `/uploads/${dir}/${file}`;
+      if (!isVariantFile(file) || knownVariants.has(url)) continue;
+
+      const filePath = path.join(UPLOADS_DIR, dir, file);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats && stats.mtimeMs < strayBefore) {
+        await fs.unlink(filePath).catch(() => {});
+        report.pruned++;
+      }
+    }
+  }
+
+  return report;
+}
+
+export default {
+  IMAGE_VARIANT_WIDTHS,
+  IMAGE_UPLOAD_DIRS,
+  createImageVariants,
+  scheduleImageVariants,
+  waitForImageVariants,
+  prepareUploadedImage,
+  getImageVariants,
+  withImageVariants,
+  withAvatarVariants,
+  removeImageVariants,
+  backfillImageVariants
+};
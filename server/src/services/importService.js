@@ -0,0 +1,867 @@
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery, withTransaction } from '../database/db.js';
+import tmdbService from './tmdbService.js';
+import { indexList } from './siteSearchService.js';
+import { createListSlug } from './listSharingService.js';
+import { getNextListPosition } from './listItemsService.js';
+import { parseCsv, csvRowsToRecords } from '../utils/csvParser.js';
+
+/**
+ * Сервис импорта истории просмотров из внешних сервисов (Letterboxd, IMDb, Trakt)
+ *
+ * Импорт проходит в два шага:
+ * 1. preview — файлы разбираются в единый формат строк и сопоставляются с TMDb (dry-run, БД не меняется)
+ * 2. commit — подтверждённые пользователем строки записываются в ratings, watchlist и custom_lists/list_items
+ *
+ * Собственный JSON экспорт watchRebel (GET /api/lists/export?format=json) уже содержит TMDb ID,
+ * поэтому восстанавливается за один шаг без сопоставления (restoreWatchRebelExport).
+ */
+
+export const IMPORT_SOURCES = ['letterboxd', 'imdb', 'trakt'];
+export const IMPORT_TARGETS = ['rating', 'watchlist', 'list'];
+
+export const RESTORE_MODES = ['merge', 'replace'];
+export const RESTORE_CONFLICT_STRATEGIES = ['keep', 'overwrite'];
+
+// Максимум строк за один импорт — сопоставление идёт через TMDb с ограничением ~40 запросов/сек
+export const MAX_IMPORT_ROWS = 3000;
+
+const IMDB_MOVIE_TYPES = ['movie', 'tv movie', 'tvmovie', 'video', 'short', 'tv special', 'tvspecial'];
+const IMDB_TV_TYPES = ['tv series', 'tvseries', 'tv mini series', 'tvminiseries', 'tv mini-series'];
+
+/**
+ * Имя файла без расширения — используется как название списка
+ */
+function baseName(filename = '') {
+  return filename.replace(/\\/g, '/').split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Год из строки даты или числа ("2019", "2019-05-01")
+ */
+function parseYear(value) {
+  const match = String(value ?? '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Создать строку импорта в едином формате
+ */
+function makeRow(fields) {
+  return {
+    title: fields.title || null,
+    year: fields.year || null,
+    mediaType: fields.mediaType || null,
+    tmdbId: fields.tmdbId || null,
+    imdbId: fields.imdbId || null,
+    target: fields.target,
+    listName: fields.target === 'list' ? fields.listName : null,
+    rating: fields.target === 'rating' ? fields.rating : null
+  };
+}
+
+/**
+ * Разбор экспорта Letterboxd (ratings.csv, watched.csv, watchlist.csv, diary.csv, lists/*.csv)
+ * Оценки Letterboxd — от 0.5 до 5 звёзд, переводим в шкалу 1-10
+ * @param {string} text - Содержимое файла
+ * @param {string} filename - Имя файла (по нему отличаем watchlist от watched)
+ * @returns {Array<Object>} - Строки импорта
+ */
+export function parseLetterboxdFile(text, filename) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  // Экспорт отдельного списка: сначала метаданные списка, затем таблица с колонкой Position
+  if (/^Letterboxd list export/i.test(rows[0][0] || '')) {
+    const metaHeaderIndex = rows.findIndex(r => r[0] === 'Date' && r[1] === 'Name');
+    const listTitle = metaHeaderIndex >= 0 ? rows[metaHeaderIndex + 1]?.[1] : null;
+    const itemsHeaderIndex = rows.findIndex(r => r[0] === 'Position');
+    if (itemsHeaderIndex < 0) return [];
+
+    const listName = `Letterboxd: ${listTitle || baseName(filename)}`;
+    return csvRowsToRecords(rows.slice(itemsHeaderIndex))
+      .filter(r => r.Name)
+      .map(r => makeRow({
+        title: r.Name,
+        year: parseYear(r.Year),
+        mediaType: 'movie',
+        target: 'list',
+        listName
+      }));
+  }
+
+  const isWatchlist = /watchlist/i.test(baseName(filename));
+
+  return csvRowsToRecords(rows)
+    .filter(r => r.Name)
+    .map(r => {
+      const stars = parseFloat(r.Rating);
+      const rating = Number.isFinite(stars) && stars > 0
+        ? Math.min(10, Math.max(1, Math.round(stars * 2)))
+        : null;
+
+      let target = 'list';
+      if (rating) target = 'rating';
+      else if (isWatchlist) target = 'watchlist';
+
+      return makeRow({
+        title: r.Name,
+        year: parseYear(r.Year),
+        mediaType: 'movie',
+        target,
+        listName: 'Letterboxd: просмотрено',
+        rating
+      });
+    });
+}
+
+/**
+ * Разбор CSV из IMDb (ratings.csv, WATCHLIST.csv или экспорт списка)
+ * Эпизоды сериалов пропускаются — отслеживание серий ведётся через episode_progress
+ * @param {string} text - Содержимое файла
+ * @param {string} filename - Имя файла
+ * @returns {Array<Object>} - Строки импорта
+ */
+export function parseImdbFile(text, filename) {
+  const records = csvRowsToRecords(parseCsv(text));
+  const isWatchlist = /watchlist/i.test(baseName(filename));
+
+  return records
+    .filter(r => r.Const && r.Title)
+    .map(r => {
+      const titleType = (r['Title Type'] || '').toLowerCase();
+      let mediaType = null;
+      if (IMDB_MOVIE_TYPES.includes(titleType)) mediaType = 'movie';
+      else if (IMDB_TV_TYPES.includes(titleType)) mediaType = 'tv';
+      else if (titleType) return null;
+
+      const rating = parseInt(r['Your Rating'], 10);
+
+      let target = 'list';
+      if (rating >= 1 && rating <= 10) target = 'rating';
+      else if (isWatchlist) target = 'watchlist';
+
+      return makeRow({
+        title: r['Original Title'] || r.Title,
+        year: parseYear(r.Year),
+        mediaType,
+        imdbId: r.Const,
+        target,
+        listName: `IMDb: ${baseName(filename)}`,
+        rating: target === 'rating' ? rating : null
+      });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Разбор JSON экспорта Trakt (ratings-*.json, watchlist-*.json, watched-*.json, history-*.json, lists-*.json)
+ * У Trakt уже есть TMDb ID, поэтому такие строки сопоставляются без поиска
+ * @param {string} text - Содержимое файла
+ * @param {string} filename - Имя файла
+ * @returns {Array<Object>} - Строки импорта
+ */
+export function parseTraktFile(text, filename) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : (data.items || []);
+  const name = baseName(filename);
+  const isWatchlist = /watchlist/i.test(name);
+
+  return entries
+    .map(entry => {
+      const media = entry.movie || entry.show;
+      // Эпизоды и сезоны не импортируем
+      if (!media || entry.episode || entry.season) return null;
+
+      const mediaType = entry.movie ? 'movie' : 'tv';
+      const rating = parseInt(entry.rating, 10);
+
+      let target;
+      let listName = null;
+      if (rating >= 1 && rating <= 10) {
+        target = 'rating';
+      } else if (entry.listed_at && isWatchlist) {
+        target = 'watchlist';
+      } else if (entry.listed_at) {
+        target = 'list';
+        listName = `Trakt: ${name}`;
+      } else {
+        target = 'list';
+        listName = 'Trakt: просмотрено';
+      }
+
+      return makeRow({
+        title: media.title,
+        year: media.year,
+        mediaType,
+        tmdbId: media.ids?.tmdb,
+        imdbId: media.ids?.imdb,
+        target,
+        listName,
+        rating: target === 'rating' ? rating : null
+      });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Разобрать загруженные файлы выбранного сервиса
+ * @param {string} source - 'letterboxd' | 'imdb' | 'trakt'
+ * @param {Array<{originalname: string, buffer: Buffer}>} files - Файлы из multer
+ * @returns {Array<Object>} - Строки импорта без дубликатов, с порядковым rowId
+ */
+export function parseImportFiles(source, files) {
+  const parsers = {
+    letterboxd: parseLetterboxdFile,
+    imdb: parseImdbFile,
+    trakt: parseTraktFile
+  };
+  const parser = parsers[source];
+  if (!parser) {
+    throw new Error(`Неизвестный источник импорта: ${source}`);
+  }
+
+  const rows = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const parsed = parser(file.buffer.toString('utf8'), file.originalname);
+    for (const row of parsed) {
+      // diary.csv и watched.csv Letterboxd пересекаются — убираем повторы
+      const key = [row.target, row.listName, row.tmdbId || row.imdbId || `${row.title}|${row.year}`].join('|');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rows.push(row);
+    }
+  }
+
+  return rows.map((row, index) => ({ rowId: index, ...row }));
+}
+
+/**
+ * Нормализация названия для сравнения: регистр, ё, пунктуация
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/&/g, 'and')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Привести результат TMDb к кандидату сопоставления
+ */
+function toCandidate(result, mediaType) {
+  const date = result.release_date || result.first_air_date;
+  return {
+    tmdbId: result.id,
+    mediaType,
+    title: result.title || result.name,
+    originalTitle: result.original_title || result.original_name,
+    year: parseYear(date),
+    posterPath: result.poster_path || null
+  };
+}
+
+/**
+ * Поиск кандидатов по названию и году
+ */
+async function searchCandidates(row) {
+  const types = row.mediaType ? [row.mediaType] : ['movie', 'tv'];
+  const candidates = [];
+
+  for (const type of types) {
+    const search = type === 'tv'
+      ? (page, options) => tmdbService.searchTV(row.title, page, options)
+      : (page, options) => tmdbService.searchMovies(row.title, page, options);
+
+    let response = row.year ? await search(1, { year: row.year }) : await search(1);
+    // Год у сервисов может отличаться на единицу — повторяем без года
+    if (row.year && !response?.results?.length) {
+      response = await search(1);
+    }
+
+    for (const result of (response?.results || []).slice(0, 5)) {
+      candidates.push(toCandidate(result, type));
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Сопоставить одну строку импорта с TMDb
+ * @returns {Promise<Object>} - { status, match, candidates, reason }
+ */
+async function matchRow(row) {
+  if (row.tmdbId && row.mediaType) {
+    return {
+      status: 'matched',
+      match: { tmdbId: row.tmdbId, mediaType: row.mediaType, title: row.title, year: row.year, posterPath: null },
+      candidates: []
+    };
+  }
+
+  if (row.imdbId) {
+    const found = await tmdbService.findByImdbId(row.imdbId);
+    const movie = found?.movie_results?.[0];
+    const tv = found?.tv_results?.[0];
+    const preferred = row.mediaType === 'tv' ? (tv || movie) : (movie || tv);
+    if (preferred) {
+      return {
+        status: 'matched',
+        match: toCandidate(preferred, preferred === tv ? 'tv' : 'movie'),
+        candidates: []
+      };
+    }
+  }
+
+  if (!row.title) {
+    return { status: 'unmatched', match: null, candidates: [], reason: 'NO_TITLE' };
+  }
+
+  const candidates = await searchCandidates(row);
+  if (candidates.length === 0) {
+    return { status: 'unmatched', match: null, candidates: [], reason: 'NOT_FOUND' };
+  }
+
+  const title = normalizeTitle(row.title);
+  const sameTitle = candidates.filter(c =>
+    normalizeTitle(c.title) === title || normalizeTitle(c.originalTitle) === title
+  );
+  const exact = sameTitle.filter(c => !row.year || c.year === row.year);
+
+  if (exact.length === 1) {
+    return { status: 'matched', match: exact[0], candidates: [] };
+  }
+  if (candidates.length === 1 && (!row.year || Math.abs((candidates[0].year || 0) - row.year) <= 1)) {
+    return { status: 'matched', match: candidates[0], candidates: [] };
+  }
+
+  return {
+    status: 'ambiguous',
+    match: null,
+    candidates: exact.length > 1 ? exact : candidates
+  };
+}
+
+/**
+ * Сопоставить строки импорта с TMDb (dry-run)
+ * Ошибки TMDb не прерывают импорт — строка помечается как несопоставленная
+ * @param {Array<Object>} rows - Строки из parseImportFiles
+ * @returns {Promise<{summary: Object, rows: Array<Object>}>}
+ */
+export async function matchImportRows(rows) {
+  const cache = new Map();
+  const matched = [];
+
+  for (const row of rows) {
+    const key = row.tmdbId ? `tmdb:${row.mediaType}:${row.tmdbId}`
+      : row.imdbId ? `imdb:${row.imdbId}`
+      : `title:${row.mediaType}:${normalizeTitle(row.title)}:${row.year}`;
+
+    if (!cache.has(key)) {
+      try {
+        cache.set(key, await matchRow(row));
+      } catch (error) {
+        console.error(`Ошибка сопоставления "${row.title}":`, error.message);
+        cache.set(key, { status: 'unmatched', match: null, candidates: [], reason: 'TMDB_ERROR' });
+      }
+    }
+
+    matched.push({ ...row, ...cache.get(key) });
+  }
+
+  const summary = {
+    total: matched.length,
+    matched: matched.filter(r => r.status === 'matched').length,
+    ambiguous: matched.filter(r => r.status === 'ambiguous').length,
+    unmatched: matched.filter(r => r.status === 'unmatched').length
+  };
+
+  return { summary, rows: matched };
+}
+
+/**
+ * Проверить элемент перед записью
+ * @returns {string|null} - Код ошибки или null
+ */
+export function validateImportItem(item) {
+  if (!item || typeof item !== 'object') return 'INVALID_ITEM';
+  if (!Number.isInteger(item.tmdbId) || item.tmdbId <= 0) return 'INVALID_TMDB_ID';
+  if (item.mediaType !== 'movie' && item.mediaType !== 'tv') return 'INVALID_MEDIA_TYPE';
+  if (!IMPORT_TARGETS.includes(item.target)) return 'INVALID_TARGET';
+  if (item.target === 'rating' && !(Number.isInteger(item.rating) && item.rating >= 1 && item.rating <= 10)) {
+    return 'INVALID_RATING';
+  }
+  if (item.target === 'list' && (typeof item.listName !== 'string' || !item.listName.trim() || item.listName.length > 100)) {
+    return 'INVALID_LIST_NAME';
+  }
+  return null;
+}
+
+/**
+ * Найти список пользователя по названию и типу или создать новый
+ * @returns {Promise<{id: string, created: boolean}|null>}
+ */
+async function findOrCreateList(userId, name, mediaType, listCache) {
+  const key = `${mediaType}:${name}`;
+  if (listCache.has(key)) return listCache.get(key);
+
+  const existing = await executeQuery(
+    'SELECT id FROM custom_lists WHERE user_id = ? AND name = ? AND media_type = ?',
+    [userId, name, mediaType]
+  );
+  if (!existing.success) return null;
+
+  let list;
+  if (existing.data.length > 0) {
+    list = { id: existing.data[0].id, created: false };
+  } else {
+    const listId = uuidv4();
+    const slug = await createListSlug(name);
+    const insert = await executeQuery(
+      'INSERT INTO custom_lists (id, user_id, name, media_type, slug) VALUES (?, ?, ?, ?, ?)',
+      [listId, userId, name, mediaType, slug]
+    );
+    if (!insert.success) return null;
+    await indexList(listId);
+    list = { id: listId, created: true };
+  }
+
+  listCache.set(key, list);
+  return list;
+}
+
+/**
+ * Записать подтверждённые элементы импорта
+ * Посты на стене и уведомления друзьям при импорте не создаются, чтобы не заспамить ленту.
+ * Уже существующие записи пропускаются (оценки — если не включён overwriteRatings).
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Array<Object>} items - { tmdbId, mediaType, target, rating?, listName?, personalNote? }
+ * @param {Object} options
+ * @param {boolean} options.overwriteRatings - Перезаписывать существующие оценки
+ * @returns {Promise<Object>} - Счётчики созданных, пропущенных и ошибочных элементов
+ */
+export async function applyImportItems(userId, items, options = {}) {
+  const { overwriteRatings = false } = options;
+  const report = {
+    ratings: 0,
+    ratingsUpdated: 0,
+    watchlist: 0,
+    listItems: 0,
+    listsCreated: 0,
+    skipped: 0,
+    errors: []
+  };
+  const listCache = new Map();
+
+  for (const [index, item] of items.entries()) {
+    const invalid = validateImportItem(item);
+    if (invalid) {
+      report.errors.push({ index, code: invalid });
+      continue;
+    }
+
+    const { tmdbId, mediaType } = item;
+
+    if (item.target === 'rating') {
+      const existing = await executeQuery(
+        'SELECT id FROM ratings WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+        [userId, tmdbId, mediaType]
+      );
+      if (!existing.success) {
+        report.errors.push({ index, code: 'DATABASE_ERROR' });
+      } else if (existing.data.length > 0) {
+        if (overwriteRatings) {
+          const update = await executeQuery(
+            'UPDATE ratings SET rating = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [item.rating, existing.data[0].id]
+          );
+          if (update.success) report.ratingsUpdated++;
+          else report.errors.push({ index, code: 'DATABASE_ERROR' });
+        } else {
+          report.skipped++;
+        }
+      } else {
+        const insert = await executeQuery(
+          'INSERT INTO ratings (id, user_id, tmdb_id, media_type, rating) VALUES (?, ?, ?, ?, ?)',
+          [uuidv4(), userId, tmdbId, mediaType, item.rating]
+        );
+        if (insert.success) report.ratings++;
+        else report.errors.push({ index, code: 'DATABASE_ERROR' });
+      }
+      continue;
+    }
+
+    // Контент может быть только в одном списке; если он уже в списке — в watchlist не добавляем
+    const inLists = await executeQuery(
+      `SELECT li.id FROM list_items li
+       JOIN custom_lists cl ON li.list_id = cl.id
+       WHERE cl.user_id = ? AND li.tmdb_id = ? AND li.media_type = ?`,
+      [userId, tmdbId, mediaType]
+    );
+    if (!inLists.success) {
+      report.errors.push({ index, code: 'DATABASE_ERROR' });
+      continue;
+    }
+    if (inLists.data.length > 0) {
+      report.skipped++;
+      continue;
+    }
+
+    if (item.target === 'watchlist') {
+      const insert = await executeQuery(
+        'INSERT OR IGNORE INTO watchlist (id, user_id, tmdb_id, media_type) VALUES (?, ?, ?, ?)',
+        [uuidv4(), userId, tmdbId, mediaType]
+      );
+      if (!insert.success) report.errors.push({ index, code: 'DATABASE_ERROR' });
+      else if (insert.changes > 0) report.watchlist++;
+      else report.skipped++;
+      continue;
+    }
+
+    const list = await findOrCreateList(userId, item.listName.trim(), mediaType, listCache);
+    if (!list) {
+      report.errors.push({ index, code: 'DATABASE_ERROR' });
+      continue;
+    }
+    if (list.created) {
+      report.listsCreated++;
+      list.created = false;
+    }
+
+    const insert = await executeQuery(
+      'INSERT OR IGNORE INTO list_items (id, list_id, tmdb_id, media_type, personal_note, position) VALUES (?, ?, ?, ?, ?, ?)',
+      [uuidv4(), list.id, tmdbId, mediaType, item.personalNote || null, await getNextListPosition(list.id)]
+    );
+    if (!insert.success) {
+      report.errors.push({ index, code: 'DATABASE_ERROR' });
+      continue;
+    }
+    if (insert.changes > 0) {
+      report.listItems++;
+      // Как и при ручном добавлении в список — убираем из "Хочу посмотреть"
+      await executeQuery(
+        'DELETE FROM watchlist WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+        [userId, tmdbId, mediaType]
+      );
+    } else {
+      report.skipped++;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Разбор JSON экспорта watchRebel
+ * Старые экспорты (до появления tmdbId в элементах) восстановить нельзя — такие элементы считаются в legacyItems.
+ * @param {string} text - Содержимое файла
+ * @returns {Object} - { lists: [{ name, mediaType, items: [{ tmdbId, mediaType, personalNote }] }], watchlist, ratings, invalid, legacyItems }
+ */
+export function parseWatchRebelExport(text) {
+  const data = JSON.parse(text);
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.lists) || !Array.isArray(data.watchlist)) {
+    throw new Error('Файл не является экспортом watchRebel');
+  }
+
+  const result = { lists: [], watchlist: [], ratings: [], invalid: 0, legacyItems: 0 };
+  const ratings = new Map();
+
+  const addRating = (tmdbId, mediaType, rating) => {
+    if (rating === '' || rating === undefined || rating === null) return;
+    const value = Number(rating);
+    const key = `${mediaType}:${tmdbId}`;
+    if (ratings.has(key)) return;
+    if (validateImportItem({ tmdbId, mediaType, target: 'rating', rating: value }) === null) {
+      ratings.set(key, { tmdbId, mediaType, rating: value });
+    }
+  };
+
+  // Явный массив оценок (версия 2) приоритетнее, чем myRating у элементов
+  if (Array.isArray(data.ratings)) {
+    data.ratings.forEach(r => {
+      if (r && typeof r === 'object') addRating(r.tmdbId, r.type, r.rating);
+    });
+  }
+
+  for (const list of data.lists) {
+    if (!list || typeof list !== 'object') {
+      result.invalid++;
+      continue;
+    }
+
+    const name = typeof list.name === 'string' ? list.name.trim() : '';
+    const items = Array.isArray(list.items) ? list.items : [];
+
+    if (list.type === undefined) {
+      result.legacyItems += items.length;
+      continue;
+    }
+    if (validateImportItem({ tmdbId: 1, mediaType: list.type, target: 'list', listName: name }) !== null) {
+      result.invalid += 1 + items.length;
+      continue;
+    }
+
+    const parsedList = { name, mediaType: list.type, items: [] };
+
+    for (const item of items) {
+      if (!item || item.tmdbId === undefined) {
+        result.legacyItems++;
+        continue;
+      }
+      if (item.type !== list.type || validateImportItem({ tmdbId: item.tmdbId, mediaType: item.type, target: 'watchlist' }) !== null) {
+        result.invalid++;
+        continue;
+      }
+
+      parsedList.items.push({
+        tmdbId: item.tmdbId,
+        mediaType: item.type,
+        personalNote: typeof item.personalNote === 'string' && item.personalNote.trim()
+          ? item.personalNote.trim()
+          : null
+      });
+      addRating(item.tmdbId, item.type, item.myRating);
+    }
+
+    result.lists.push(parsedList);
+  }
+
+  for (const item of data.watchlist) {
+    if (!item || item.tmdbId === undefined) {
+      result.legacyItems++;
+      continue;
+    }
+    if (validateImportItem({ tmdbId: item.tmdbId, mediaType: item.type, target: 'watchlist' }) !== null) {
+      result.invalid++;
+      continue;
+    }
+
+    result.watchlist.push({ tmdbId: item.tmdbId, mediaType: item.type });
+    addRating(item.tmdbId, item.type, item.myRating);
+  }
+
+  result.ratings = [...ratings.values()];
+  return result;
+}
+
+/**
+ * Восстановить списки, заметки, watchlist и оценки из экспорта watchRebel
+ *
+ * Режимы:
+ * - merge — данные файла добавляются к текущим, списки сопоставляются по названию и типу
+ * - replace — текущие списки, watchlist и оценки пользователя удаляются перед восстановлением
+ *
+ * Конфликт — контент из файла уже лежит в другом списке пользователя (контент может быть только
+ * в одном списке), либо у него другая заметка или оценка. keep оставляет текущее состояние, overwrite применяет файл.
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} data - Результат parseWatchRebelExport
+ * @param {Object} options
+ * @param {string} options.mode - 'merge' | 'replace'
+ * @param {string} options.conflicts - 'keep' | 'overwrite'
+ * В режиме replace удаление и восстановление идут одной транзакцией: если хоть одна запись
+ * не сохранилась, всё откатывается и бросается ошибка с code RESTORE_FAILED — текущие данные не теряются.
+ *
+ * @returns {Promise<Object>} - Отчёт о восстановлении со списком конфликтов
+ */
+export async function restoreWatchRebelExport(userId, data, options = {}) {
+  if (options.mode !== 'replace') {
+    return restoreExportData(userId, data, options);
+  }
+
+  return withTransaction(async () => {
+    const report = await restoreExportData(userId, data, options);
+    if (report.errors.length > 0) {
+      const error = new Error(`Восстановление отменено: не сохранено записей — ${report.errors.length}`);
+      error.code = 'RESTORE_FAILED';
+      error.report = report;
+      throw error;
+    }
+    return report;
+  });
+}
+
+async function restoreExportData(userId, data, options) {
+  const { mode = 'merge', conflicts = 'keep' } = options;
+  const overwrite = conflicts === 'overwrite';
+  const report = {
+    mode,
+    listsCreated: 0,
+    listItems: 0,
+    notesUpdated: 0,
+    moved: 0,
+    watchlist: 0,
+    ratings: 0,
+    ratingsUpdated: 0,
+    skipped: 0,
+    conflicts: [],
+    errors: []
+  };
+
+  if (mode === 'replace') {
+    // list_items удаляются каскадно вместе со списками
+    for (const table of ['custom_lists', 'watchlist', 'ratings']) {
+      const cleared = await executeQuery(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+      if (!cleared.success) {
+        throw new Error(`Не удалось очистить ${table}: ${cleared.error}`);
+      }
+    }
+  }
+
+  // Где сейчас находится каждый элемент списков пользователя
+  const placementResult = await executeQuery(
+    `SELECT li.id, li.list_id, li.tmdb_id, li.media_type, li.personal_note, cl.name as list_name
+     FROM list_items li
+     JOIN custom_lists cl ON li.list_id = cl.id
+     WHERE cl.user_id = ?`,
+    [userId]
+  );
+  if (!placementResult.success) {
+    throw new Error(`Не удалось получить элементы списков: ${placementResult.error}`);
+  }
+
+  const placement = new Map();
+  placementResult.data.forEach(row => {
+    placement.set(`${row.media_type}:${row.tmdb_id}`, {
+      itemId: row.id,
+      listId: row.list_id,
+      listName: row.list_name,
+      personalNote: row.personal_note
+    });
+  });
+
+  const listCache = new Map();
+
+  for (const list of data.lists) {
+    const target = await findOrCreateList(userId, list.name, list.mediaType, listCache);
+    if (!target) {
+      report.errors.push({ listName: list.name, code: 'DATABASE_ERROR' });
+      continue;
+    }
+    if (target.created) {
+      report.listsCreated++;
+      target.created = false;
+    }
+
+    for (const { tmdbId, mediaType, personalNote } of list.items) {
+      const key = `${mediaType}:${tmdbId}`;
+      const existing = placement.get(key);
+      const entry = { tmdbId, mediaType, listName: list.name };
+
+      if (existing && existing.listId === target.id) {
+        if (!personalNote || personalNote === existing.personalNote) {
+          report.skipped++;
+        } else if (!existing.personalNote || overwrite) {
+          const update = await executeQuery(
+            'UPDATE list_items SET personal_note = ? WHERE id = ?',
+            [personalNote, existing.itemId]
+          );
+          if (update.success) {
+            existing.personalNote = personalNote;
+            report.notesUpdated++;
+          } else {
+            report.errors.push({ ...entry, code: 'DATABASE_ERROR' });
+          }
+        } else {
+          report.conflicts.push({ ...entry, reason: 'NOTE_DIFFERS', resolution: 'kept' });
+        }
+        continue;
+      }
+
+      if (existing) {
+        const conflict = { ...entry, reason: 'IN_OTHER_LIST', existingListName: existing.listName };
+        if (!overwrite) {
+          report.conflicts.push({ ...conflict, resolution: 'kept' });
+          continue;
+        }
+
+        await executeQuery('DELETE FROM list_items WHERE id = ?', [existing.itemId]);
+        report.moved++;
+        report.conflicts.push({ ...conflict, resolution: 'moved' });
+      }
+
+      const itemId = uuidv4();
+      const insert = await executeQuery(
+        'INSERT INTO list_items (id, list_id, tmdb_id, media_type, personal_note, position) VALUES (?, ?, ?, ?, ?, ?)',
+        [itemId, target.id, tmdbId, mediaType, personalNote, await getNextListPosition(target.id)]
+      );
+      if (!insert.success) {
+        report.errors.push({ ...entry, code: 'DATABASE_ERROR' });
+        continue;
+      }
+
+      placement.set(key, { itemId, listId: target.id, listName: list.name, personalNote });
+      report.listItems++;
+
+      await executeQuery(
+        'DELETE FROM watchlist WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+        [userId, tmdbId, mediaType]
+      );
+    }
+  }
+
+  for (const { tmdbId, mediaType } of data.watchlist) {
+    // Уже лежит в одном из списков — в "Хочу посмотреть" не возвращаем
+    if (placement.has(`${mediaType}:${tmdbId}`)) {
+      report.skipped++;
+      continue;
+    }
+
+    const insert = await executeQuery(
+      'INSERT OR IGNORE INTO watchlist (id, user_id, tmdb_id, media_type) VALUES (?, ?, ?, ?)',
+      [uuidv4(), userId, tmdbId, mediaType]
+    );
+    if (!insert.success) report.errors.push({ tmdbId, mediaType, code: 'DATABASE_ERROR' });
+    else if (insert.changes > 0) report.watchlist++;
+    else report.skipped++;
+  }
+
+  for (const { tmdbId, mediaType, rating } of data.ratings) {
+    const existing = await executeQuery(
+      'SELECT id, rating FROM ratings WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+      [userId, tmdbId, mediaType]
+    );
+    if (!existing.success) {
+      report.errors.push({ tmdbId, mediaType, code: 'DATABASE_ERROR' });
+      continue;
+    }
+
+    if (existing.data.length === 0) {
+      const insert = await executeQuery(
+        'INSERT INTO ratings (id, user_id, tmdb_id, media_type, rating) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), userId, tmdbId, mediaType, rating]
+      );
+      if (insert.success) report.ratings++;
+      else report.errors.push({ tmdbId, mediaType, code: 'DATABASE_ERROR' });
+    } else if (existing.data[0].rating === rating) {
+      report.skipped++;
+    } else if (overwrite) {
+      const update = await executeQuery(
+        'UPDATE ratings SET rating = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [rating, existing.data[0].id]
+      );
+      if (update.success) report.ratingsUpdated++;
+      else report.errors.push({ tmdbId, mediaType, code: 'DATABASE_ERROR' });
+    } else {
+      report.conflicts.push({ tmdbId, mediaType, reason: 'RATING_DIFFERS', resolution: 'kept' });
+    }
+  }
+
+  return report;
+}
+
+export default {
+  parseImportFiles,
+  matchImportRows,
+  applyImportItems,
+  validateImportItem,
+  parseWatchRebelExport,
+  restoreWatchRebelExport
+};
@@ -0,0 +1,222 @@
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../database/db.js';
+
+/**
+ * Порядок и массовые операции с элементами списков
+ *
+ * Элементы списка упорядочены по list_items.position (1 — первое место), новые добавляются в конец.
+ * Массовые операции переносят, копируют и удаляют элементы между списками и «Хочу посмотреть»
+ * по тем же правилам, что и одиночные запросы: у владельца фильм лежит только в одном его списке,
+ * а добавление владельцем в список убирает фильм из его «Хочу посмотреть».
+ * Посты на стене и уведомления друзьям при массовых операциях не создаются
+ */
+
+// Сортировка элементов списка для ORDER BY: сначала по месту, элементы без места — в конце
+export const LIST_ITEMS_ORDER = 'position IS NULL, position, added_at DESC';
+
+export const BULK_ACTIONS = ['move', 'copy', 'delete'];
+export const BULK_MAX_ITEMS = 100;
+
+/**
+ * Следующее свободное место в конце списка
+ * @param {string} listId
+ * @returns {Promise<number>}
+ */
+export async function getNextListPosition(listId) {
+  const result = await executeQuery(
+    'SELECT COALESCE(MAX(position), 0) + 1 as next FROM list_items WHERE list_id = ?',
+    [listId]
+  );
+  return result.success ? result.data[0].next : 1;
+}
+
+/**
+ * Переставить элементы списка в заданном порядке
+ * @param {string} listId
+ * @param {string[]} itemIds - Все ID элементов списка в новом порядке
+ * @returns {Promise<{success: boolean, code?: string}>}
+ */
+export async function reorderListItems(listId, itemIds) {
+  const current = await executeQuery('SELECT id FROM list_items WHERE list_id = ?', [listId]);
+  if (!current.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  // Порядок должен перечислять ровно элементы списка — иначе клиент работал с устаревшим списком
+  const currentIds = new Set(current.data.map(row => row.id));
+  const uniqueIds = new Set(itemIds);
+  if (
+    uniqueIds.size !== itemIds.length
+    || itemIds.length !== currentIds.size
+    || itemIds.some(id => !currentIds.has(id))
+  ) {
+    return { success: false, code: 'ORDER_MISMATCH' };
+  }
+
+  if (itemIds.length === 0) return { success: true };
+
+  // Один UPDATE с CASE: порядок меняется целиком или не меняется вовсе
+  const cases = itemIds.map(() => 'WHEN ? THEN ?').join(' ');
+  const params = itemIds.flatMap((id, index) => [id, index + 1]);
+  const update = await executeQuery(
+    `UPDATE list_items SET position = CASE id ${cases} END WHERE list_id = ?`,
+    [...params, listId]
+  );
+
+  return update.success ? { success: true } : { success: false, code: 'DATABASE_ERROR' };
+}
+
+/**
+ * Найти элемент в источнике массовой операции
+ * @returns {Promise<Object|null|undefined>} - строка, null если не найдена, undefined при ошибке БД
+ */
+async function findSourceItem(source, userId, itemId) {
+  const result = source.type === 'list'
+    ? await executeQuery('SELECT * FROM list_items WHERE id = ? AND list_id = ?', [itemId, source.list.id])
+    : await executeQuery('SELECT * FROM watchlist WHERE id = ? AND user_id = ?', [itemId, userId]);
+
+  if (!result.success) return undefined;
+  return result.data[0] || null;
+}
+
+/**
+ * Положить элемент в список назначения
+ * @returns {Promise<string|null>} - код причины пропуска или null, если элемент добавлен
+ */
+async function placeInList(target, source, row, userId) {
+  const { list, access } = target;
+
+  if (row.media_type !== list.media_type) return 'MEDIA_TYPE_MISMATCH';
+
+  const existing = await executeQuery(
+    `SELECT li.id, li.list_id FROM list_items li
+     JOIN custom_lists cl ON li.list_id = cl.id
+     WHERE cl.user_id = ? AND li.tmdb_id = ? AND li.media_type = ?`,
+    [list.user_id, row.tmdb_id, row.media_type]
+  );
+  if (!existing.success) return 'DATABASE_ERROR';
+
+  for (const item of existing.data) {
+    if (item.list_id === list.id) return 'ALREADY_IN_LIST';
+    // Фильм из другого списка владельца переносит только сам владелец
+    if (!access.isOwner) return 'ALREADY_IN_OTHER_LIST';
+    await executeQuery('DELETE FROM list_items WHERE id = ?', [item.id]);
+  }
+
+  // Заметка переезжает вместе с элементом, только если списки одного владельца
+  const keepNote = source.type === 'list' && source.list.user_id === list.user_id;
+  const insert = await executeQuery(
+    `INSERT INTO list_items (id, list_id, tmdb_id, media_type, personal_note, added_by, position)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      uuidv4(), list.id, row.tmdb_id, row.media_type,
+      keepNote ? row.personal_note || null : null,
+      userId, await getNextListPosition(list.id)
+    ]
+  );
+  if (!insert.success) return 'DATABASE_ERROR';
+
+  if (access.isOwner) {
+    await executeQuery(
+      'DELETE FROM watchlist WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+      [userId, row.tmdb_id, row.media_type]
+    );
+  }
+  return null;
+}
+
+/**
+ * Положить элемент в «Хочу посмотреть» пользователя
+ * @returns {Promise<string|null>} - код причины пропуска или null, если элемент добавлен
+ */
+async function placeInWatchlist(userId, row) {
+  const existing = await executeQuery(
+    'SELECT 1 FROM watchlist WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+    [userId, row.tmdb_id, row.media_type]
+  );
+  if (!existing.success) return 'DATABASE_ERROR';
+  if (existing.data.length > 0) return 'ALREADY_IN_WATCHLIST';
+
+  const insert = await executeQuery(
+    'INSERT INTO watchlist (id, user_id, tmdb_id, media_type) VALUES (?, ?, ?, ?)',
+    [uuidv4(), userId, row.tmdb_id, row.media_type]
+  );
+  return insert.success ? null : 'DATABASE_ERROR';
+}
+
+/**
+ * Убрать элемент из источника
+ * Как и при одиночном удалении, оценка владельца удаляется, когда фильма не осталось ни в одном его списке
+ * @returns {Promise<boolean>}
+ */
+async function removeFromSource(source, row) {
+  if (source.type === 'watchlist') {
+    const result = await executeQuery('DELETE FROM watchlist WHERE id = ?', [row.id]);
+    return result.success;
+  }
+
+  const result = await executeQuery('DELETE FROM list_items WHERE id = ?', [row.id]);
+  if (!result.success) return false;
+
+  if (source.access.isOwner) {
+    const ownerId = source.list.user_id;
+    const otherLists = await executeQuery(
+      `SELECT li.id FROM list_items li
+       JOIN custom_lists cl ON li.list_id = cl.id
+       WHERE cl.user_id = ? AND li.tmdb_id = ? AND li.media_type = ?`,
+      [ownerId, row.tmdb_id, row.media_type]
+    );
+    if (otherLists.success && otherLists.data.length === 0) {
+      await executeQuery(
+        'DELETE FROM ratings WHERE user_id = ? AND tmdb_id = ? AND media_type = ?',
+        [ownerId, row.tmdb_id, row.media_type]
+      );
+    }
+  }
+  return true;
+}
+
+/**
+ * Массовая операция с элементами
+ * Источник и назначение: { type: 'list', list, access } (строка custom_lists и права на неё)
+ * или { type: 'watchlist' } — «Хочу посмотреть» текущего пользователя. Права проверяет вызывающий.
+ * @param {Object} params
+ * @param {string} params.userId - Кто выполняет операцию
+ * @param {string} params.action - 'move' | 'copy' | 'delete'
+ * @param {Object} params.source
+ * @param {Object|null} params.target - Не нужен для 'delete'
+ * @param {string[]} params.itemIds - ID элементов источника (list_items.id или watchlist.id)
+ * @returns {Promise<{processed: string[], skipped: Array<{itemId: string, code: string}>}>}
+ */
+export async function runBulkListAction({ userId, action, source, target, itemIds }) {
+  const report = { processed: [], skipped: [] };
+
+  for (const itemId of [...new Set(itemIds)]) {
+    const row = await findSourceItem(source, userId, itemId);
+    if (row === undefined) {
+      report.skipped.push({ itemId, code: 'DATABASE_ERROR' });
+      continue;
+    }
+    if (row === null) {
+      report.skipped.push({ itemId, code: 'ITEM_NOT_FOUND' });
+      continue;
+    }
+
+    if (action !== 'delete') {
+      const skipCode = target.type === 'list'
+        ? await placeInList(target, source, row, userId)
+        : await placeInWatchlist(userId, row);
+      if (skipCode) {
+        report.skipped.push({ itemId, code: skipCode });
+        continue;
+      }
+    }
+
+    if (action !== 'copy' && !(await removeFromSource(source, row))) {
+      report.skipped.push({ itemId, code: 'DATABASE_ERROR' });
+      continue;
+    }
+
+    report.processed.push(itemId);
+  }
+
+  return report;
+}
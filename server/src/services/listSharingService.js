@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import { executeQuery } from '../database/db.js';
+
+/**
+ * Совместный доступ к пользовательским спискам
+ *
+ * Видимость списка (custom_lists.visibility):
+ * - 'private' — только владелец и соавторы;
+ * - 'friends' — ещё и друзья владельца;
+ * - 'public'  — все, в том числе без входа по ссылке /lists/public/:slug.
+ *
+ * Соавторы (list_collaborators) — друзья владельца с ролью:
+ * - 'editor' — добавляет и удаляет элементы;
+ * - 'viewer' — только смотрит, даже если список приватный.
+ *
+ * Подписчики (list_followers) получают уведомления о новых элементах списка.
+ * Список, скрытый модератором по жалобе (hidden_at), видит только владелец
+ */
+
+export const LIST_VISIBILITIES = ['private', 'friends', 'public'];
+export const DEFAULT_LIST_VISIBILITY = 'friends';
+export const LIST_ROLES = ['editor', 'viewer'];
+
+// Длина случайного суффикса slug: slug не меняется при переименовании, суффикс делает его уникальным
+const SLUG_SUFFIX_LENGTH = 6;
+const SLUG_MAX_BASE_LENGTH = 40;
+const SLUG_ATTEMPTS = 5;
+
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+/**
+ * Основа slug из названия списка: транслитерация, латиница, цифры и дефисы
+ * @param {string} name - Название списка
+ * @returns {string}
+ */
+export function slugifyListName(name) {
+  return (name || '')
+    .toLowerCase()
+    .split('')
+    .map(char => TRANSLIT[char] ?? char)
+    .join('')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SLUG_MAX_BASE_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Придумать свободный slug для списка
+ * @param {string} name - Название списка
+ * @returns {Promise<string>}
+ */
+export async function createListSlug(name) {
+  const base = slugifyListName(name) || 'list';
+  for (let attempt = 0; attempt < SLUG_ATTEMPTS; attempt++) {
+    const suffix = crypto.randomBytes(SLUG_SUFFIX_LENGTH).toString('hex').slice(0, SLUG_SUFFIX_LENGTH);
+    const slug = `${base}-${suffix}`;
+    const existing = await executeQuery('SELECT 1 FROM custom_lists WHERE slug = ?', [slug]);
+    if (existing.success && existing.data.length === 0) {
+      return slug;
+    }
+  }
+  throw new Error('Не удалось подобрать уникальный slug списка');
+}
+
+/**
+ * Условие SQL: список alias виден пользователю
+ * @param {string} alias - Псевдоним custom_lists в запросе
+ * @param {string} viewer - Плейсхолдер ID пользователя: '?' (тогда параметры — visibleListParams)
+ *                          или именованный, например ':viewer' в поиске по сайту
+ */
+export function visibleListCondition(alias, viewer = '?') {
+  return `(
+    ${alias}.user_id = ${viewer}
+    OR (${alias}.hidden_at IS NULL AND (
+      COALESCE(${alias}.visibility, '${DEFAULT_LIST_VISIBILITY}') = 'public'
+      OR (COALESCE(${alias}.visibility, '${DEFAULT_LIST_VISIBILITY}') = 'friends' AND EXISTS (
+        SELECT 1 FROM friends f
+        WHERE (f.user_id = ${viewer} AND f.friend_id = ${alias}.user_id)
+           OR (f.user_id = ${alias}.user_id AND f.friend_id = ${viewer})
+      ))
+      OR EXISTS (SELECT 1 FROM list_collaborators lc WHERE lc.list_id = ${alias}.id AND lc.user_id = ${viewer})
+    ))
+  )`;
+}
+
+/**
+ * Параметры для visibleListCondition с плейсхолдером '?'
+ */
+export function visibleListParams(userId) {
+  return [userId, userId, userId, userId];
+}
+
+/**
+ * Являются ли пользователи друзьями (связь хранится в любую сторону)
+ */
+export async function areFriends(userId, otherUserId) {
+  const result = await executeQuery(
+    `SELECT 1 FROM friends
+     WHERE (user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)
+     LIMIT 1`,
+    [userId, otherUserId, otherUserId, userId]
+  );
+  return result.success && result.data.length > 0;
+}
+
+/**
+ * Права пользователя на список
+ * @param {Object} list - Строка custom_lists
+ * @param {string|null} userId - ID пользователя, null для гостя по публичной ссылке
+ * @returns {Promise<Object|null>} - { isOwner, role, canView, canEdit }, null при ошибке БД
+ */
+export async function getListAccess(list, userId) {
+  const visibility = list.visibility || DEFAULT_LIST_VISIBILITY;
+
+  if (userId && list.user_id === userId) {
+    return { isOwner: true, role: 'owner', canView: true, canEdit: true };
+  }
+
+  if (list.hidden_at) {
+    return { isOwner: false, role: null, canView: false, canEdit: false };
+  }
+
+  if (!userId) {
+    const canView = visibility === 'public';
+    return { isOwner: false, role: null, canView, canEdit: false };
+  }
+
+  const collaboratorResult = await executeQuery(
+    'SELECT role FROM list_collaborators WHERE list_id = ? AND user_id = ?',
+    [list.id, userId]
+  );
+  if (!collaboratorResult.success) return null;
+
+  const role = collaboratorResult.data[0]?.role || null;
+  if (role) {
+    return { isOwner: false, role, canView: true, canEdit: role === 'editor' };
+  }
+
+  let canView = visibility === 'public';
+  if (visibility === 'friends') {
+    canView = await areFriends(userId, list.user_id);
+  }
+
+  return { isOwner: false, role: null, canView, canEdit: false };
+}
+
+/**
+ * Соавторы списка
+ * @param {string} listId
+ * @returns {Promise<Array|null>} - [{ userId, role, displayName, avatarUrl, addedAt }], null при ошибке БД
+ */
+export async function getListCollaborators(listId) {
+  const result = await executeQuery(
+    `SELECT lc.user_id, lc.role, lc.created_at, u.display_name, u.avatar_url
+     FROM list_collaborators lc
+     JOIN users u ON u.id = lc.user_id
+     WHERE lc.list_id = ?
+     ORDER BY lc.created_at`,
+    [listId]
+  );
+  if (!result.success) return null;
+
+  return result.data.map(row => ({
+    userId: row.user_id,
+    role: row.role,
+    displayName: row.display_name,
+    avatarUrl: row.avatar_url,
+    addedAt: row.created_at
+  }));
+}
+
+/**
+ * Подписка пользователя на список и число подписчиков
+ * @returns {Promise<{isFollowing: boolean, followersCount: number}>}
+ */
+export async function getListFollowState(listId, userId) {
+  const result = await executeQuery(
+    `SELECT COUNT(*) as count,
+            COALESCE(SUM(CASE WHEN user_id = ? THEN 1 ELSE 0 END), 0) as is_following
+     FROM list_followers WHERE list_id = ?`,
+    [userId || '', listId]
+  );
+  if (!result.success) {
+    return { isFollowing: false, followersCount: 0 };
+  }
+  return {
+    isFollowing: result.data[0].is_following > 0,
+    followersCount: result.data[0].count
+  };
+}
+
+/**
+ * Кого уведомлять о новом элементе списка: подписчики, владелец и соавторы, кроме того, кто добавил
+ * Подписчик, потерявший доступ к списку (например, список стал приватным), не уведомляется
+ * @param {Object} list - Строка custom_lists
+ * @param {string} actorId - Кто добавил элемент
+ * @returns {Promise<string[]>}
+ */
+export async function getListSubscriberIds(list, actorId) {
+  const result = await executeQuery(
+    `SELECT user_id FROM list_followers WHERE list_id = ?
+     UNION
+     SELECT user_id FROM list_collaborators WHERE list_id = ?
+     UNION
+     SELECT ?`,
+    [list.id, list.id, list.user_id]
+  );
+  if (!result.success) return [];
+
+  const recipients = [];
+  for (const { user_id: userId } of result.data) {
+    if (userId === actorId) continue;
+    const access = await getListAccess(list, userId);
+    if (access?.canView) {
+      recipients.push(userId);
+    }
+  }
+  return recipients;
+}
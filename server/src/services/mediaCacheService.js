@@ -1,6 +1,23 @@
 import { executeMediaQuery } from '../database/mediaDb.js';
 import tmdbService from './tmdbService.js';
 
+// Сезоны выходящих сериалов меняются (даты, новые серии), поэтому кэш сезона живёт ограниченно
+const SEASON_CACHE_MAX_AGE_HOURS = 12;
+
+// Записи кэша без жанров перезапрашиваются из TMDb не чаще, чем раз в сутки
+export const GENRES_RETRY_HOURS = 24;
+
+/**
+ * Устарела ли запись кэша
+ * @param {string} updatedAt - datetime('now') SQLite (UTC, 'YYYY-MM-DD HH:MM:SS')
+ * @param {number} maxAgeHours - Допустимый возраст записи в часах
+ */
+function isStale(updatedAt, maxAgeHours) {
+  if (!updatedAt) return true;
+  const updated = new Date(`${updatedAt.replace(' ', 'T')}Z`);
+  return (Date.now() - updated.getTime()) / (1000 * 60 * 60) > maxAgeHours;
+}
+
 class MediaCacheService {
   async getCachedMedia(tmdbId, mediaType) {
     const result = await executeMediaQuery(
@@ -23,13 +40,19 @@ class MediaCacheService {
     const status = data.status || null;
     const numberOfSeasons = data.number_of_seasons || null;
     const numberOfEpisodes = data.number_of_episodes || null;
+    // У фильмов ключевые слова в keywords.keywords, у сериалов — в keywords.results
+    const keywords = data.keywords?.keywords || data.keywords?.results || null;
+    // Рекомендации приходят вместе с деталями (append_to_response), INSERT OR REPLACE иначе их бы стёр
+    const recommendations = Array.isArray(data.recommendations?.results) ? data.recommendations.results : null;
 
     const result = await executeMediaQuery(
       `INSERT OR REPLACE INTO media_cache 
         (tmdb_id, media_type, title, original_title, poster_path, backdrop_path, 
          vote_average, vote_count, overview, genres, runtime, release_date,
-         number_of_seasons, number_of_episodes, status, credits, videos, images, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+         number_of_seasons, number_of_episodes, status, credits, videos, images, keywords,
+         recommendations, recommendations_updated_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+         CASE WHEN ? IS NULL THEN NULL ELSE datetime('now') END, datetime('now'))`,
       [
         tmdbId, mediaType,
         data.title || data.name || null,
@@ -47,7 +70,10 @@ class MediaCacheService {
         status,
         data.credits ? JSON.stringify(data.credits) : null,
         data.videos ? JSON.stringify(data.videos) : null,
-        data.images ? JSON.stringify(data.images) : null
+        data.images ? JSON.stringify(data.images) : null,
+        keywords ? JSON.stringify(keywords) : null,
+        recommendations ? JSON.stringify(recommendations) : null,
+        recommendations ? 1 : null
       ]
     );
 
@@ -133,6 +159,140 @@ class MediaCacheService {
     }
   }
 
+  /**
+   * Получить данные из кэша, обновив их из TMDb, если запись старше maxAgeHours
+   * Нужно там, где важны актуальные поля (status, number_of_seasons, release_date)
+   * Если TMDb недоступен — возвращается устаревшая запись
+   */
+  async getFreshOrFetch(tmdbId, mediaType, maxAgeHours) {
+    const result = await executeMediaQuery(
+      'SELECT updated_at FROM media_cache WHERE tmdb_id = ? AND media_type = ?',
+      [tmdbId, mediaType]
+    );
+    const cachedRow = result.success ? result.data[0] : null;
+
+    if (cachedRow && !isStale(cachedRow.updated_at, maxAgeHours)) {
+      return this.getCachedMedia(tmdbId, mediaType);
+    }
+
+    const refreshed = await this.refreshCache(tmdbId, mediaType);
+    if (refreshed) return refreshed;
+
+    return cachedRow ? this.getCachedMedia(tmdbId, mediaType) : null;
+  }
+
+  // === Season Cache ===
+
+  async getCachedSeason(tvId, seasonNumber) {
+    const result = await executeMediaQuery(
+      'SELECT * FROM season_cache WHERE tmdb_id = ? AND season_number = ?',
+      [tvId, seasonNumber]
+    );
+    if (result.success && result.data.length > 0) {
+      return this._parseSeasonRow(result.data[0]);
+    }
+    return null;
+  }
+
+  async saveSeasonToCache(tvId, data) {
+    const episodes = (data.episodes || []).map(episode => ({
+      episode_number: episode.episode_number,
+      name: episode.name || null,
+      air_date: episode.air_date || null,
+      overview: episode.overview || null,
+      still_path: episode.still_path || null,
+      runtime: episode.runtime || null
+    }));
+
+    await executeMediaQuery(
+      `INSERT OR REPLACE INTO season_cache
+        (tmdb_id, season_number, name, air_date, episodes, updated_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+      [tvId, data.season_number, data.name || null, data.air_date || null, JSON.stringify(episodes)]
+    );
+
+    return { tvId, seasonNumber: data.season_number, name: data.name || null, air_date: data.air_date || null, episodes };
+  }
+
+  /**
+   * Получить сезон сериала (серии с датами выхода) из кэша или TMDb
+   * @returns {Promise<Object|null>} - { tvId, seasonNumber, name, air_date, episodes }, null если сезона нет
+   */
+  async getOrFetchSeason(tvId, seasonNumber, maxAgeHours = SEASON_CACHE_MAX_AGE_HOURS) {
+    const cached = await this.getCachedSeason(tvId, seasonNumber);
+    if (cached && !isStale(cached.updatedAt, maxAgeHours)) return cached;
+
+    try {
+      const data = await tmdbService.getTVSeason(tvId, seasonNumber);
+      // На 4xx TMDb отвечает телом с status_code вместо сезона
+      if (!Array.isArray(data?.episodes)) {
+        return cached;
+      }
+      return await this.saveSeasonToCache(tvId, data);
+    } catch (error) {
+      console.error(`Ошибка получения сезона ${seasonNumber} сериала ${tvId}:`, error.message);
+      return cached;
+    }
+  }
+
+  _parseSeasonRow(row) {
+    let episodes = [];
+    if (row.episodes) {
+      try { episodes = JSON.parse(row.episodes); } catch { episodes = []; }
+    }
+    return {
+      tvId: row.tmdb_id,
+      seasonNumber: row.season_number,
+      name: row.name,
+      air_date: row.air_date,
+      episodes,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Получить жанры для набора тайтлов одним запросом к кэшу
+   * Записи без жанров, обновлённые меньше GENRES_RETRY_HOURS назад, попадают в Map со значением null:
+   * TMDb их недавно уже отдал без жанров, перезапрашивать их пока бессмысленно
+   * @param {Array<{tmdb_id: number, media_type: string}>} items
+   * @returns {Promise<Map<string, Array|null>>} - ключ `${media_type}:${tmdb_id}`, значение — жанры TMDb
+   */
+  async getCachedGenres(items) {
+    const genresMap = new Map();
+
+    for (const mediaType of ['movie', 'tv']) {
+      const ids = [...new Set(items.filter(i => i.media_type === mediaType).map(i => i.tmdb_id))];
+
+      // SQLite ограничивает число параметров, поэтому запрашиваем пачками
+      for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        const result = await executeMediaQuery(
+          `SELECT tmdb_id, genres, updated_at FROM media_cache
+           WHERE media_type = ? AND tmdb_id IN (${chunk.map(() => '?').join(', ')})`,
+          [mediaType, ...chunk]
+        );
+        if (!result.success) continue;
+
+        for (const row of result.data) {
+          const key = `${mediaType}:${row.tmdb_id}`;
+          try {
+            if (row.genres) {
+              genresMap.set(key, JSON.parse(row.genres));
+              continue;
+            }
+          } catch {
+            // Битый JSON — считаем что жанров нет
+          }
+          if (!isStale(row.updated_at, GENRES_RETRY_HOURS)) {
+            genresMap.set(key, null);
+          }
+        }
+      }
+    }
+
+    return genresMap;
+  }
+
   async getCacheStats() {
     const total = await executeMediaQuery('SELECT COUNT(*) as count FROM media_cache');
     const movies = await executeMediaQuery("SELECT COUNT(*) as count FROM media_cache WHERE media_type = 'movie'");
@@ -162,6 +322,10 @@ class MediaCacheService {
     if (row.images) {
       try { images = JSON.parse(row.images); } catch { images = null; }
     }
+    let keywords = null;
+    if (row.keywords) {
+      try { keywords = JSON.parse(row.keywords); } catch { keywords = null; }
+    }
     return {
       id: row.tmdb_id,
       title: row.title,
@@ -183,6 +347,7 @@ class MediaCacheService {
       credits,
       videos,
       images,
+      keywords,
       media_type: row.media_type
     };
   }
@@ -206,6 +371,7 @@ class MediaCacheService {
       number_of_seasons: data.number_of_seasons,
       number_of_episodes: data.number_of_episodes,
       status: data.status,
+      keywords: data.keywords?.keywords || data.keywords?.results || null,
       media_type: mediaType
     };
   }
@@ -0,0 +1,256 @@
+import { executeQuery } from '../database/db.js';
+import { normalizeSearchText, buildMatchQuery } from './userSearchService.js';
+import { visibleContentCondition, visibleContentParams } from './contentFilterService.js';
+
+/**
+ * Поиск по истории сообщений (индекс FTS5 message_search_fts)
+ *
+ * Строка индекса связана с messages через rowid и содержит нормализованный текст
+ * сообщения вместе с именами вложенных файлов. Удалённые сообщения убираются из индекса
+ * триггером, «удалено у себя» (deleted_for_users) и блокировки проверяются при поиске.
+ *
+ * Секретные чаты не индексируются и не ищутся: их содержимое зашифровано на клиенте,
+ * поиск по ним выполняется на устройстве среди расшифрованных сообщений
+ */
+
+export const MESSAGE_SEARCH_DEFAULT_LIMIT = 20;
+export const MESSAGE_SEARCH_MAX_LIMIT = 50;
+export const ATTACHMENT_TYPES = ['image', 'video', 'audio', 'file', 'location', 'media'];
+// Сколько сообщений переиндексировать за один запрос при перестроении
+const REBUILD_BATCH_SIZE = 500;
+
+/**
+ * Текст строки индекса: содержимое сообщения и исходные имена вложений
+ */
+function buildIndexText(message) {
+  let fileNames = [];
+  try {
+    const attachments = message.attachments ? JSON.parse(message.attachments) : [];
+    fileNames = Array.isArray(attachments) ? attachments.map(file => file.originalName).filter(Boolean) : [];
+  } catch {
+    // Повреждённый JSON вложений не должен мешать индексировать текст
+  }
+  return normalizeSearchText([message.content, ...fileNames].filter(Boolean).join(' '));
+}
+
+/**
+ * Проиндексировать новое сообщение
+ * Сообщения секретных чатов пропускаются. Ошибки только логируются: индекс не должен ломать отправку
+ * @param {string} messageId - ID сообщения
+ */
+export async function indexMessage(messageId) {
+  try {
+    const messageResult = await executeQuery(
+      `SELECT m.rowid, m.content, m.attachments FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.id = ? AND (c.is_secret IS NULL OR c.is_secret = 0)`,
+      [messageId]
+    );
+    if (!messageResult.success || messageResult.data.length === 0) return;
+
+    const message = messageResult.data[0];
+    await executeQuery('DELETE FROM message_search_fts WHERE rowid = ?', [message.rowid]);
+    await executeQuery(
+      'INSERT INTO message_search_fts (rowid, content) VALUES (?, ?)',
+      [message.rowid, buildIndexText(message)]
+    );
+  } catch (error) {
+    console.error(`Ошибка индексации сообщения ${messageId}:`, error.message);
+  }
+}
+
+/**
+ * Количество сообщений, которые должны быть в индексе
+ * @param {Object} db - Контекст миграции
+ */
+export async function countIndexableMessages(db) {
+  const row = await db.get(
+    `SELECT COUNT(*) as count FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE c.is_secret IS NULL OR c.is_secret = 0`
+  );
+  return row.count;
+}
+
+/**
+ * Перестроить индекс целиком, пачками по REBUILD_BATCH_SIZE сообщений (миграция 018)
+ * @param {Object} db - Контекст миграции: запросы идут в её транзакции, ошибки бросаются
+ * @returns {Promise<number>} - Количество проиндексированных сообщений
+ */
+export async function rebuildMessageSearchIndex(db) {
+  await db.run('DELETE FROM message_search_fts');
+
+  let indexed = 0;
+  let lastRowid = 0;
+  for (;;) {
+    const batch = await db.all(
+      `SELECT m.rowid, m.content, m.attachments FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.rowid > ? AND (c.is_secret IS NULL OR c.is_secret = 0)
+       ORDER BY m.rowid
+       LIMIT ?`,
+      [lastRowid, REBUILD_BATCH_SIZE]
+    );
+    if (batch.length === 0) break;
+
+    for (const message of batch) {
+      await db.run(
+        'INSERT INTO message_search_fts (rowid, content) VALUES (?, ?)',
+        [message.rowid, buildIndexText(message)]
+      );
+    }
+    indexed += batch.length;
+    lastRowid = batch[batch.length - 1].rowid;
+  }
+
+  return indexed;
+}
+
+/**
+ * Условие SQL на тип вложения сообщения m
+ */
+function attachmentCondition(attachmentType) {
+  const hasAttachment = (mimetypeCondition) => `EXISTS (
+    SELECT 1 FROM json_each(CASE WHEN json_valid(m.attachments) THEN m.attachments ELSE '[]' END)
+    WHERE ${mimetypeCondition}
+  )`;
+  const mimetype = "json_extract(value, '$.mimetype')";
+  switch (attachmentType) {
+    case 'image':
+    case 'video':
+    case 'audio':
+      return hasAttachment(`${mimetype} LIKE '${attachmentType}/%'`);
+    case 'file':
+      return hasAttachment(
+        `${mimetype} IS NULL OR NOT (${mimetype} LIKE 'image/%' OR ${mimetype} LIKE 'video/%' OR ${mimetype} LIKE 'audio/%')`
+      );
+    case 'location':
+      return 'm.location IS NOT NULL';
+    case 'media':
+      return 'm.suggested_media IS NOT NULL';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Найти сообщения в доступных пользователю личных и групповых чатах
+ * @param {string} userId - ID пользователя, который ищет
+ * @param {Object} filters
+ * @param {string} [filters.query] - Текст запроса (префиксы слов)
+ * @param {string} [filters.conversationId] - Только в этом диалоге
+ * @param {string} [filters.senderId] - Только от этого отправителя
+ * @param {string} [filters.from] - Не раньше (UTC, 'YYYY-MM-DD HH:MM:SS')
+ * @param {string} [filters.to] - Раньше чем (UTC, 'YYYY-MM-DD HH:MM:SS')
+ * @param {string} [filters.attachmentType] - Один из ATTACHMENT_TYPES
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<Object|null>} - { messages, total, hasMore }, null при ошибке БД
+ */
+export async function searchMessages(userId, {
+  query = '',
+  conversationId = null,
+  senderId = null,
+  from = null,
+  to = null,
+  attachmentType = null,
+  limit = MESSAGE_SEARCH_DEFAULT_LIMIT,
+  offset = 0
+} = {}) {
+  const conditions = [
+    `m.conversation_id IN (
+       SELECT id FROM conversations
+       WHERE (is_group IS NULL OR is_group = 0) AND (is_secret IS NULL OR is_secret = 0)
+         AND (user1_id = ? OR user2_id = ?)
+       UNION
+       SELECT c.id FROM conversations c
+       JOIN conversation_members cm ON cm.conversation_id = c.id
+       WHERE c.is_group = 1 AND (c.is_secret IS NULL OR c.is_secret = 0)
+         AND cm.user_id = ? AND cm.left_at IS NULL
+     )`,
+    `(m.deleted_for_users IS NULL OR NOT m.deleted_for_users LIKE ?)`,
+    `m.sender_id NOT IN (
+       SELECT blocked_user_id FROM user_blocks WHERE user_id = ?
+       UNION
+       SELECT user_id FROM user_blocks WHERE blocked_user_id = ?
+     )`,
+    visibleContentCondition('m', 'sender_id')
+  ];
+  const params = [userId, userId, userId, `%"${userId}"%`, userId, userId, ...visibleContentParams(userId)];
+
+  if (query) {
+    const matchQuery = buildMatchQuery(query);
+    if (!matchQuery) {
+      return { messages: [], total: 0, hasMore: false };
+    }
+    conditions.push('m.rowid IN (SELECT rowid FROM message_search_fts WHERE message_search_fts MATCH ?)');
+    params.push(matchQuery);
+  }
+  if (conversationId) {
+    conditions.push('m.conversation_id = ?');
+    params.push(conversationId);
+  }
+  if (senderId) {
+    conditions.push('m.sender_id = ?');
+    params.push(senderId);
+  }
+  if (from) {
+    conditions.push('m.created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('m.created_at < ?');
+    params.push(to);
+  }
+  if (attachmentType) {
+    conditions.push(attachmentCondition(attachmentType));
+  }
+
+  const result = await executeQuery(
+    `SELECT m.id, m.conversation_id, m.sender_id, m.content, m.attachments, m.location,
+            m.suggested_media, m.created_at,
+            u.display_name AS sender_name, u.avatar_url AS sender_avatar,
+            c.is_group, c.group_name,
+            other.id AS other_user_id, other.display_name AS other_user_name,
+            COUNT(*) OVER () AS total
+     FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     LEFT JOIN users u ON u.id = m.sender_id
+     LEFT JOIN users other ON (c.is_group IS NULL OR c.is_group = 0)
+       AND other.id = CASE WHEN c.user1_id = ? THEN c.user2_id ELSE c.user1_id END
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY m.created_at DESC, m.rowid DESC
+     LIMIT ? OFFSET ?`,
+    [userId, ...params, limit, offset]
+  );
+
+  if (!result.success) return null;
+
+  const total = result.data[0]?.total || 0;
+  const messages = result.data.map(m => ({
+    id: m.id,
+    conversationId: m.conversation_id,
+    conversationName: m.is_group ? m.group_name : m.other_user_name,
+    isGroup: Boolean(m.is_group),
+    senderId: m.sender_id,
+    sender: {
+      id: m.sender_id,
+      displayName: m.sender_name,
+      avatarUrl: m.sender_avatar
+    },
+    content: m.content,
+    attachments: m.attachments ? JSON.parse(m.attachments) : null,
+    location: m.location ? JSON.parse(m.location) : null,
+    suggestedMedia: m.suggested_media ? JSON.parse(m.suggested_media) : null,
+    createdAt: m.created_at ? m.created_at + 'Z' : null
+  }));
+
+  return { messages, total, hasMore: offset + messages.length < total };
+}
+
+export default {
+  indexMessage,
+  countIndexableMessages,
+  rebuildMessageSearchIndex,
+  searchMessages
+};
@@ -1,7 +1,7 @@
 import { executeQuery } from '../database/db.js';
 import { v4 as uuidv4 } from 'uuid';
-import { clients } from './websocketService.js';
-import { sendReactionEmail, sendCommentEmail, sendNewFriendEmail, sendBugReportEmail, sendBugReportStatusEmail } from './emailService.js';
+import { sendToUser } from './websocketService.js';
+import { sendReactionEmail, sendCommentEmail, sendNewFriendEmail, sendBugReportEmail, sendBugReportStatusEmail, sendNewDeviceLoginEmail } from './emailService.js';
 
 /**
  * Получить email пользователя и отправить email-уведомление
@@ -58,7 +58,9 @@ export async function checkNotificationEnabled(userId, notificationType, channel
       'friend_reacted_to_post': 'friend_reacted_to_post',
       'new_message': 'new_message',
       'new_friend_request': 'new_friend_request',
-      'admin_announcement': 'admin_announcement'
+      'admin_announcement': 'admin_announcement',
+      'new_episode': 'new_episode',
+      'release': 'release'
     };
 
     const fieldName = typeMapping[notificationType];
@@ -470,8 +472,8 @@ function escapeMarkdownV2(text) {
 /**
  * Отправить уведомление о действии модерации
  * @param {string} userId - ID пользователя, которого модерируют
- * @param {string} actionType - Тип действия ('post_ban' | 'permanent_ban' | 'unban' | 'announcement')
- * @param {Object} actionData - Данные о действии (reason, duration, expiresAt, content)
+ * @param {string} actionType - Тип действия ('post_ban' | 'permanent_ban' | 'unban' | 'announcement' | 'content_removed' | 'content_hidden')
+ * @param {Object} actionData - Данные о действии (reason, duration, expiresAt, content, contentLabel)
  * @returns {Promise<Object>} - Результат отправки уведомления
  */
 export async function notifyModeration(userId, actionType, actionData = {}) {
@@ -519,6 +521,13 @@ export async function notifyModeration(userId, actionType, actionData = {}) {
                  `Все ограничения сняты. Добро пожаловать обратно!`;
         break;
 
+      case 'content_removed':
+      case 'content_hidden':
+        message = `⚠️ <b>${actionType === 'content_removed' ? 'Контент удалён' : 'Контент скрыт'} модератором</b>\n\n` +
+                 `${actionData.contentLabel || 'Ваш контент'} нарушает правила сообщества.` +
+                 (actionData.reason ? `\n<b>Причина:</b> ${actionData.reason}` : '');
+        break;
+
       case 'announcement':
         // Для объявлений используем текст как есть, без дополнительной обёртки
         // parse_mode будет установлен в MarkdownV2 при отправке
@@ -1130,12 +1139,11 @@ export async function notifyFriendPostedReview(authorId, tmdbId, mediaType, medi
 
         // Отправляем WebSocket уведомление
         try {
-          const ws = clients.get(friendId);
-          if (ws && ws.readyState === 1) {
-            ws.send(JSON.stringify({
-              type: 'notification',
-              notification: notificationResult.notification
-            }));
+          const delivered = sendToUser(friendId, {
+            type: 'notification',
+            notification: notificationResult.notification
+          });
+          if (delivered > 0) {
             console.log(`✅ [notifyFriendPostedReview] WebSocket уведомление отправлено для ${friendId}`);
           } else {
             console.log(`⚠️ [notifyFriendPostedReview] WebSocket не подключен для ${friendId}`);
@@ -1248,12 +1256,11 @@ export async function notifyAdminNewBugReport(bugReportId, bugReportTitle, autho
 
         // Отправляем WebSocket уведомление
         try {
-          const ws = clients.get(adminId);
-          if (ws && ws.readyState === 1) {
-            ws.send(JSON.stringify({
-              type: 'notification',
-              notification: notificationResult.notification
-            }));
+          const delivered = sendToUser(adminId, {
+            type: 'notification',
+            notification: notificationResult.notification
+          });
+          if (delivered > 0) {
             console.log(`✅ [notifyAdminNewBugReport] WebSocket уведомление отправлено`);
           } else {
             console.log(`⚠️ [notifyAdminNewBugReport] WebSocket не подключен для админа ${adminId}`);
@@ -1357,12 +1364,11 @@ export async function notifyBugReportStatusChanged(userId, bugReportTitle, newSt
 
     // Отправляем WebSocket уведомление
     try {
-      const ws = clients.get(userId);
-      if (ws && ws.readyState === 1) {
-        ws.send(JSON.stringify({
-          type: 'notification',
-          notification: notificationResult.notification
-        }));
+      const delivered = sendToUser(userId, {
+        type: 'notification',
+        notification: notificationResult.notification
+      });
+      if (delivered > 0) {
         console.log(`✅ [notifyBugReportStatusChanged] WebSocket уведомление отправлено`);
       } else {
         console.log(`⚠️ [notifyBugReportStatusChanged] WebSocket не подключен для пользователя ${userId}`);
@@ -1446,20 +1452,20 @@ export async function notifyBugReportDeleted(userId, bugReportTitle, bugReportId
 
     // Отправляем WebSocket уведомление
     try {
-      const ws = clients.get(userId);
-      if (ws && ws.readyState === 1) {
-        // Отправляем уведомление о новом уведомлении
-        ws.send(JSON.stringify({
-          type: 'notification',
-          notification: notificationResult.notification
-        }));
-        
-        // Отправляем событие об удалении багрепорта для обновления списка
-        ws.send(JSON.stringify({
-          type: 'bug_report_deleted',
-          bugReportId: bugReportId
-        }));
-        
+      // Отправляем уведомление о новом уведомлении
+      const delivered = sendToUser(userId, {
+        type: 'notification',
+        notification: notificationResult.notification
+      });
+
+      // Событие об удалении багрепорта для обновления списка отправляем всегда:
+      // соединения пользователя могут быть в другом процессе сервера
+      sendToUser(userId, {
+        type: 'bug_report_deleted',
+        bugReportId: bugReportId
+      });
+
+      if (delivered > 0) {
         console.log(`✅ [notifyBugReportDeleted] WebSocket уведомления отправлены`);
       } else {
         console.log(`⚠️ [notifyBugReportDeleted] WebSocket не подключен для пользователя ${userId}`);
@@ -1494,3 +1500,354 @@ export async function notifyBugReportDeleted(userId, bugReportTitle, bugReportId
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * Уведомить пользователя о полученном достижении (на сайте, WebSocket и Telegram)
+ * @param {string} userId - ID пользователя
+ * @param {Object} achievement - { name, description, icon }
+ * @returns {Promise<Object>} - Результат отправки уведомления
+ */
+export async function notifyAchievementUnlocked(userId, achievement) {
+  try {
+    const notificationResult = await createNotification(
+      userId,
+      'achievement_unlocked',
+      `🏆 Вы получили достижение: ${achievement.name}`,
+      null,
+      null
+    );
+
+    if (!notificationResult.success) {
+      console.error(`❌ [notifyAchievementUnlocked] Не удалось создать уведомление:`, notificationResult.error);
+      return { success: false, error: notificationResult.error };
+    }
+
+    try {
+      sendToUser(userId, {
+        type: 'notification',
+        notification: notificationResult.notification
+      });
+    } catch (err) {
+      console.error(`❌ [notifyAchievementUnlocked] Ошибка отправки WebSocket уведомления:`, err);
+    }
+
+    try {
+      const telegramMessage =
+        `🏆 <b>Вы получили достижение: ${achievement.name}</b>\n\n` +
+        `${achievement.icon || ''} ${achievement.description}\n\n` +
+        `👉 <a href="${process.env.PUBLIC_URL}/user/${userId}">Все достижения в профиле</a>`;
+
+      await sendTelegramNotification(userId, telegramMessage);
+    } catch (error) {
+      console.error(`❌ [notifyAchievementUnlocked] Ошибка отправки Telegram уведомления:`, error.message);
+    }
+
+    console.log(`🏆 [notifyAchievementUnlocked] Пользователь ${userId} получил достижение "${achievement.name}"`);
+
+    return {
+      success: true,
+      notification: notificationResult.notification
+    };
+
+  } catch (error) {
+    console.error('Ошибка отправки уведомления о достижении:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Экранирование текста для parse_mode HTML в Telegram (названия из TMDb могут содержать & и <)
+ */
+function escapeTelegramHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Код серии вида S01E02
+ */
+function formatEpisodeCode(seasonNumber, episodeNumber) {
+  return `S${String(seasonNumber).padStart(2, '0')}E${String(episodeNumber).padStart(2, '0')}`;
+}
+
+/**
+ * Уведомить о вышедших сериях сериала, который пользователь смотрит
+ * Настройка new_episode отключает и уведомление на сайте, и Telegram
+ * @param {string} userId - ID пользователя
+ * @param {Object} series - { tmdbId, title }
+ * @param {Array} episodes - [{ seasonNumber, episodeNumber, name }] по порядку
+ * @returns {Promise<Object>} - Результат отправки уведомления
+ */
+export async function notifyNewEpisodes(userId, series, episodes) {
+  try {
+    if (episodes.length === 0) {
+      return { success: false, error: 'Нет серий для уведомления' };
+    }
+
+    const isEnabled = await checkNotificationEnabled(userId, 'new_episode');
+    if (!isEnabled) {
+      console.log(`🔕 [notifyNewEpisodes] Уведомление не отправлено пользователю ${userId} (отключено в настройках)`);
+      return { success: false, error: 'Уведомления о новых сериях отключены' };
+    }
+
+    const first = episodes[0];
+    const last = episodes[episodes.length - 1];
+    const isSeasonPremiere = first.episodeNumber === 1;
+
+    let summary;
+    if (episodes.length === 1) {
+      summary = isSeasonPremiere
+        ? `вышел ${first.seasonNumber} сезон`
+        : `вышла серия ${formatEpisodeCode(first.seasonNumber, first.episodeNumber)}`;
+    } else {
+      summary = `${isSeasonPremiere ? `вышел ${first.seasonNumber} сезон: ` : ''}серии ${formatEpisodeCode(first.seasonNumber, first.episodeNumber)}–${formatEpisodeCode(last.seasonNumber, last.episodeNumber)}`;
+    }
+
+    const content = `📺 «${series.title}»: ${summary}`;
+
+    const notificationResult = await createNotification(userId, 'new_episode', content, null, null);
+
+    if (!notificationResult.success) {
+      console.error(`❌ [notifyNewEpisodes] Не удалось создать уведомление:`, notificationResult.error);
+      return { success: false, error: notificationResult.error };
+    }
+
+    try {
+      sendToUser(userId, {
+        type: 'notification',
+        notification: notificationResult.notification
+      });
+    } catch (err) {
+      console.error(`❌ [notifyNewEpisodes] Ошибка отправки WebSocket уведомления:`, err);
+    }
+
+    try {
+      const episodeLines = episodes
+        .map(ep => `• ${formatEpisodeCode(ep.seasonNumber, ep.episodeNumber)}${ep.name ? ` — ${escapeTelegramHtml(ep.name)}` : ''}`)
+        .join('\n');
+
+      const telegramMessage =
+        `📺 <b>${escapeTelegramHtml(series.title)}</b>: ${summary}\n\n` +
+        `${episodeLines}\n\n` +
+        `👉 <a href="${process.env.PUBLIC_URL}/media/tv/${series.tmdbId}">Открыть сериал</a>`;
+
+      await sendTelegramNotification(userId, telegramMessage);
+    } catch (error) {
+      console.error(`❌ [notifyNewEpisodes] Ошибка отправки Telegram уведомления:`, error.message);
+    }
+
+    return {
+      success: true,
+      notification: notificationResult.notification
+    };
+
+  } catch (error) {
+    console.error('Ошибка отправки уведомления о новых сериях:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Уведомить о выходе фильма из watchlist в кинотеатрах или в цифре
+ * Настройка release отключает и уведомление на сайте, и Telegram
+ * @param {string} userId - ID пользователя
+ * @param {Object} movie - { tmdbId, title }
+ * @param {string} releaseType - 'theatrical' | 'digital'
+ * @returns {Promise<Object>} - Результат отправки уведомления
+ */
+export async function notifyMovieRelease(userId, movie, releaseType) {
+  try {
+    const isEnabled = await checkNotificationEnabled(userId, 'release');
+    if (!isEnabled) {
+      console.log(`🔕 [notifyMovieRelease] Уведомление не отправлено пользователю ${userId} (отключено в настройках)`);
+      return { success: false, error: 'Уведомления о релизах отключены' };
+    }
+
+    const where = releaseType === 'digital' ? 'вышел в цифровом релизе' : 'вышел в кинотеатрах';
+    const content = `🎬 «${movie.title}» ${where}`;
+
+    const notificationResult = await createNotification(userId, 'release', content, null, null);
+
+    if (!notificationResult.success) {
+      console.error(`❌ [notifyMovieRelease] Не удалось создать уведомление:`, notificationResult.error);
+      return { success: false, error: notificationResult.error };
+    }
+
+    try {
+      sendToUser(userId, {
+        type: 'notification',
+        notification: notificationResult.notification
+      });
+    } catch (err) {
+      console.error(`❌ [notifyMovieRelease] Ошибка отправки WebSocket уведомления:`, err);
+    }
+
+    try {
+      const telegramMessage =
+        `🎬 <b>${escapeTelegramHtml(movie.title)}</b> ${where}\n\n` +
+        `Фильм из вашего списка «Хочу посмотреть».\n\n` +
+        `👉 <a href="${process.env.PUBLIC_URL}/media/movie/${movie.tmdbId}">Открыть фильм</a>`;
+
+      await sendTelegramNotification(userId, telegramMessage);
+    } catch (error) {
+      console.error(`❌ [notifyMovieRelease] Ошибка отправки Telegram уведомления:`, error.message);
+    }
+
+    return {
+      success: true,
+      notification: notificationResult.notification
+    };
+
+  } catch (error) {
+    console.error('Ошибка отправки уведомления о релизе:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Уведомить подписчиков, владельца и соавторов списка о новом элементе
+ * В related_post_id хранится ID списка — по нему клиент открывает страницу списка
+ * @param {string[]} recipientIds - Кого уведомить (см. listSharingService.getListSubscriberIds)
+ * @param {string} actorId - Кто добавил элемент
+ * @param {Object} list - { id, name }
+ * @param {Object} media - { tmdbId, mediaType, title }
+ * @returns {Promise<Object>} - Результат отправки уведомлений
+ */
+export async function notifyListItemAdded(recipientIds, actorId, list, media) {
+  try {
+    if (recipientIds.length === 0) {
+      return { success: true, sent: 0 };
+    }
+
+    const actorResult = await executeQuery('SELECT display_name FROM users WHERE id = ?', [actorId]);
+    const actorName = actorResult.success && actorResult.data.length > 0
+      ? actorResult.data[0].display_name
+      : 'Пользователь';
+
+    const content = `📋 ${actorName} добавил «${media.title}» в список «${list.name}»`;
+    let sent = 0;
+
+    for (const userId of recipientIds) {
+      const notificationResult = await createNotification(userId, 'list_item_added', content, actorId, list.id);
+      if (!notificationResult.success) {
+        console.error(`❌ [notifyListItemAdded] Не удалось создать уведомление для ${userId}:`, notificationResult.error);
+        continue;
+      }
+      sent++;
+
+      try {
+        sendToUser(userId, {
+          type: 'notification',
+          notification: notificationResult.notification
+        });
+      } catch (err) {
+        console.error(`❌ [notifyListItemAdded] Ошибка отправки WebSocket уведомления:`, err);
+      }
+
+      try {
+        const telegramMessage =
+          `📋 <b>${escapeTelegramHtml(actorName)}</b> добавил «${escapeTelegramHtml(media.title)}» ` +
+          `в список «${escapeTelegramHtml(list.name)}»\n\n` +
+          `👉 <a href="${process.env.PUBLIC_URL}/lists/${list.id}">Открыть список</a>`;
+
+        await sendTelegramNotification(userId, telegramMessage);
+      } catch (error) {
+        console.error(`❌ [notifyListItemAdded] Ошибка отправки Telegram уведомления:`, error.message);
+      }
+    }
+
+    return { success: true, sent };
+
+  } catch (error) {
+    console.error('Ошибка отправки уведомлений о новом элементе списка:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Уведомить друга о том, что его пригласили соавтором списка
+ * @param {string} userId - Новый соавтор
+ * @param {string} ownerId - Владелец списка
+ * @param {Object} list - { id, name }
+ * @param {string} role - 'editor' | 'viewer'
+ * @returns {Promise<Object>} - Результат отправки уведомления
+ */
+export async function notifyListCollaboratorAdded(userId, ownerId, list, role) {
+  try {
+    const ownerResult = await executeQuery('SELECT display_name FROM users WHERE id = ?', [ownerId]);
+    const ownerName = ownerResult.success && ownerResult.data.length > 0
+      ? ownerResult.data[0].display_name
+      : 'Пользователь';
+
+    const action = role === 'editor' ? 'пригласил вас редактировать' : 'открыл вам';
+    const content = `📋 ${ownerName} ${action} список «${list.name}»`;
+
+    const notificationResult = await createNotification(userId, 'list_collaborator_added', content, ownerId, list.id);
+
+    if (!notificationResult.success) {
+      console.error(`❌ [notifyListCollaboratorAdded] Не удалось создать уведомление:`, notificationResult.error);
+      return { success: false, error: notificationResult.error };
+    }
+
+    try {
+      sendToUser(userId, {
+        type: 'notification',
+        notification: notificationResult.notification
+      });
+    } catch (err) {
+      console.error(`❌ [notifyListCollaboratorAdded] Ошибка отправки WebSocket уведомления:`, err);
+    }
+
+    return {
+      success: true,
+      notification: notificationResult.notification
+    };
+
+  } catch (error) {
+    console.error('Ошибка отправки уведомления о соавторстве в списке:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Предупредить о входе в аккаунт с нового устройства
+ * Аккаунтам Telegram (ID — числовой chat id) пишет бот, остальным — письмо на подтверждённый email.
+ * Уведомление о безопасности, настройками уведомлений не отключается
+ * @param {string} userId - ID пользователя
+ * @param {Object} device - { deviceName, ipAddress }
+ * @returns {Promise<Object>} - Результат отправки уведомления
+ */
+export async function notifyNewDeviceLogin(userId, { deviceName, ipAddress }) {
+  try {
+    const loginTime = new Date().toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' }) + ' (МСК)';
+    const sessionsUrl = `${process.env.PUBLIC_URL}/settings`;
+
+    if (/^\d+$/.test(String(userId))) {
+      const telegramMessage =
+        `🔐 <b>Вход с нового устройства</b>\n\n` +
+        `Устройство: ${escapeTelegramHtml(deviceName)}\n` +
+        `IP-адрес: ${escapeTelegramHtml(ipAddress || 'неизвестен')}\n` +
+        `Время: ${loginTime}\n\n` +
+        `Если это были не вы, завершите сессию: <a href="${sessionsUrl}">Настройки → Активные сессии</a>`;
+
+      return await sendTelegramNotification(userId, telegramMessage);
+    }
+
+    const userResult = await executeQuery('SELECT display_name FROM users WHERE id = ?', [userId]);
+    const displayName = userResult.success && userResult.data.length > 0 ? userResult.data[0].display_name : null;
+
+    await sendEmailNotification(userId, (email) => sendNewDeviceLoginEmail({
+      toEmail: email,
+      displayName,
+      deviceName,
+      ipAddress,
+      loginTime,
+      sessionsUrl
+    }), null);
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('Ошибка отправки уведомления о входе с нового устройства:', error);
+    return { success: false, error: error.message };
+  }
+}
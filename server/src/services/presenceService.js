@@ -0,0 +1,194 @@
+import { executeQuery } from '../database/db.js';
+
+/**
+ * Сервис правил присутствия и индикаторов набора текста
+ *
+ * Отвечает только за то, КОМУ можно показывать статус пользователя и события набора:
+ * участники общих диалогов, без учёта заблокированных пар и с учётом presence_privacy.
+ * Текущее состояние соединений хранится в websocketService.
+ */
+
+export const PRESENCE_PRIVACY_VALUES = ['all', 'friends', 'none'];
+
+// Сколько статусов можно запросить за раз (GET /api/messages/presence)
+export const PRESENCE_QUERY_MAX_USERS = 100;
+
+/**
+ * Множество пользователей, у которых с userId есть блокировка в любую сторону
+ * @param {string} userId - ID пользователя
+ * @returns {Promise<Set<string>>}
+ */
+async function getBlockedPairs(userId) {
+  const result = await executeQuery(
+    `SELECT blocked_user_id as other_id FROM user_blocks WHERE user_id = ?
+     UNION
+     SELECT user_id as other_id FROM user_blocks WHERE blocked_user_id = ?`,
+    [userId, userId]
+  );
+
+  return new Set(result.success ? result.data.map(row => row.other_id) : []);
+}
+
+/**
+ * Получить остальных участников диалога, которым можно отправить событие набора текста
+ * @param {string} conversationId - ID диалога
+ * @param {string} userId - ID отправителя события
+ * @returns {Promise<Array<string>|null>} - null, если пользователь не участник диалога
+ */
+export async function getConversationRecipients(conversationId, userId) {
+  const convResult = await executeQuery(
+    'SELECT user1_id, user2_id, is_group FROM conversations WHERE id = ?',
+    [conversationId]
+  );
+
+  if (!convResult.success || convResult.data.length === 0) return null;
+
+  const conv = convResult.data[0];
+  let memberIds;
+
+  if (conv.is_group) {
+    const membersResult = await executeQuery(
+      'SELECT user_id FROM conversation_members WHERE conversation_id = ? AND left_at IS NULL',
+      [conversationId]
+    );
+    if (!membersResult.success) return null;
+    memberIds = membersResult.data.map(row => row.user_id);
+  } else {
+    memberIds = [conv.user1_id, conv.user2_id];
+  }
+
+  if (!memberIds.includes(userId)) return null;
+
+  const blocked = await getBlockedPairs(userId);
+  return memberIds.filter(id => id !== userId && !blocked.has(id));
+}
+
+/**
+ * Отфильтровать зрителей, которым разрешено видеть присутствие пользователя
+ * Учитывает блокировки в обе стороны и настройку presence_privacy
+ * @param {string} userId - Чей статус показываем
+ * @param {Array<string>} viewerIds - Кандидаты в зрители
+ * @returns {Promise<Array<string>>}
+ */
+export async function filterPresenceViewers(userId, viewerIds) {
+  if (viewerIds.length === 0) return [];
+
+  const userResult = await executeQuery(
+    'SELECT presence_privacy FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!userResult.success || userResult.data.length === 0) return [];
+
+  const privacy = userResult.data[0].presence_privacy || 'all';
+  if (privacy === 'none') return [];
+
+  const blocked = await getBlockedPairs(userId);
+  let viewers = viewerIds.filter(id => id !== userId && !blocked.has(id));
+
+  if (privacy === 'friends' && viewers.length > 0) {
+    const friendsResult = await executeQuery(
+      'SELECT friend_id FROM friends WHERE user_id = ?',
+      [userId]
+    );
+    const friends = new Set(friendsResult.success ? friendsResult.data.map(row => row.friend_id) : []);
+    viewers = viewers.filter(id => friends.has(id));
+  }
+
+  return viewers;
+}
+
+/**
+ * Все собеседники пользователя: личные диалоги и активные групповые чаты
+ * @param {string} userId - ID пользователя
+ * @returns {Promise<Array<string>>}
+ */
+export async function getConversationPartners(userId) {
+  const result = await executeQuery(
+    `SELECT CASE WHEN user1_id = ? THEN user2_id ELSE user1_id END as partner_id
+     FROM conversations
+     WHERE (user1_id = ? OR user2_id = ?) AND (is_group IS NULL OR is_group = 0)
+     UNION
+     SELECT other.user_id as partner_id
+     FROM conversation_members mine
+     JOIN conversation_members other ON other.conversation_id = mine.conversation_id
+     WHERE mine.user_id = ? AND mine.left_at IS NULL AND other.left_at IS NULL AND other.user_id != ?`,
+    [userId, userId, userId, userId, userId]
+  );
+
+  return result.success ? result.data.map(row => row.partner_id) : [];
+}
+
+/**
+ * Может ли viewerId видеть присутствие каждого из userIds
+ * Правила те же, что в filterPresenceViewers, но для всех пользователей сразу:
+ * по одному запросу на пользователей, блокировки и дружбу
+ * @param {string} viewerId - Кто смотрит
+ * @param {Array<string>} userIds - Чьи статусы запрошены (не больше PRESENCE_QUERY_MAX_USERS)
+ * @returns {Promise<Map<string, string|null>>} - Видимые пользователи -> last_seen_at
+ */
+export async function getVisiblePresence(viewerId, userIds) {
+  const visible = new Map();
+  const ids = [...new Set(userIds)].filter(id => id !== viewerId).slice(0, PRESENCE_QUERY_MAX_USERS);
+  if (ids.length === 0) return visible;
+
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const usersResult = await executeQuery(
+    `SELECT id, presence_privacy, last_seen_at FROM users WHERE id IN (${placeholders})`,
+    ids
+  );
+  if (!usersResult.success) return visible;
+
+  const candidates = usersResult.data.filter(user => (user.presence_privacy || 'all') !== 'none');
+  if (candidates.length === 0) return visible;
+
+  // Блокировки в любую сторону; при ошибке статусы не показываем
+  const blockedResult = await executeQuery(
+    `SELECT blocked_user_id as other_id FROM user_blocks WHERE user_id = ? AND blocked_user_id IN (${placeholders})
+     UNION
+     SELECT user_id as other_id FROM user_blocks WHERE blocked_user_id = ? AND user_id IN (${placeholders})`,
+    [viewerId, ...ids, viewerId, ...ids]
+  );
+  if (!blockedResult.success) return visible;
+  const blocked = new Set(blockedResult.data.map(row => row.other_id));
+
+  const allowed = candidates.filter(user => !blocked.has(user.id));
+
+  // Статус «только друзьям»: нужен viewerId среди друзей пользователя
+  const friendsOnly = allowed.filter(user => user.presence_privacy === 'friends').map(user => user.id);
+  let friendsOf = new Set();
+  if (friendsOnly.length > 0) {
+    const friendsResult = await executeQuery(
+      `SELECT user_id FROM friends WHERE friend_id = ? AND user_id IN (${friendsOnly.map(() => '?').join(', ')})`,
+      [viewerId, ...friendsOnly]
+    );
+    if (!friendsResult.success) return visible;
+    friendsOf = new Set(friendsResult.data.map(row => row.user_id));
+  }
+
+  for (const user of allowed) {
+    if (user.presence_privacy === 'friends' && !friendsOf.has(user.id)) continue;
+    visible.set(user.id, user.last_seen_at);
+  }
+
+  return visible;
+}
+
+/**
+ * Запомнить время, когда пользователь последний раз был в сети
+ * @param {string} userId - ID пользователя
+ */
+export async function touchLastSeen(userId) {
+  await executeQuery(
+    'UPDATE users SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [userId]
+  );
+}
+
+export default {
+  getConversationRecipients,
+  filterPresenceViewers,
+  getConversationPartners,
+  getVisiblePresence,
+  touchLastSeen
+};
@@ -0,0 +1,136 @@
+import { EventEmitter } from 'events';
+import Redis from 'ioredis';
+
+/**
+ * Брокеры pub/sub для доставки realtime-событий между процессами сервера
+ *
+ * Интерфейс брокера:
+ * - publish(channel, message): Promise<void> — message всегда строка
+ * - subscribe(channel, handler): Promise<Function> — возвращает функцию отписки
+ * - close(): Promise<void>
+ * - distributed: boolean — есть ли за брокером другие процессы
+ *
+ * Выбор через переменные окружения:
+ * - REALTIME_BROKER=memory (по умолчанию) — один процесс, события не покидают его
+ * - REALTIME_BROKER=redis + REDIS_URL — Redis-совместимый сервер, для PM2 cluster и нескольких инстансов
+ */
+
+export const BROKER_TYPES = ['memory', 'redis'];
+
+/**
+ * Брокер внутри процесса: публикация синхронно вызывает подписчиков
+ */
+export function createMemoryBroker() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+    distributed: false,
+
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => {
+        emitter.off(channel, handler);
+      };
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+    }
+  };
+}
+
+/**
+ * Брокер поверх Redis PUBLISH/SUBSCRIBE (клиент ioredis)
+ * Использует два соединения: в режиме подписки Redis не принимает другие команды.
+ * AUTH, переподключение, очередь команд до подключения и восстановление подписок — на стороне ioredis
+ * @param {string} url - redis://[[user]:password@]host[:port]
+ */
+export function createRedisBroker(url) {
+  const handlers = new Map(); // channel -> Set<Function>
+
+  const publisher = new Redis(url);
+  const subscriber = new Redis(url);
+
+  [publisher, subscriber].forEach(connection => {
+    connection.on('error', (error) => {
+      console.error(`❌ Ошибка Redis (${connection.options.host}:${connection.options.port}):`, error.message);
+    });
+  });
+
+  subscriber.on('message', (channel, message) => {
+    const channelHandlers = handlers.get(channel);
+    if (!channelHandlers) return;
+
+    channelHandlers.forEach(handler => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`❌ Ошибка обработчика канала ${channel}:`, error);
+      }
+    });
+  });
+
+  return {
+    name: 'redis',
+    distributed: true,
+
+    async publish(channel, message) {
+      await publisher.publish(channel, message);
+    },
+
+    async subscribe(channel, handler) {
+      let channelHandlers = handlers.get(channel);
+      if (!channelHandlers) {
+        channelHandlers = new Set();
+        handlers.set(channel, channelHandlers);
+        channelHandlers.add(handler);
+        await subscriber.subscribe(channel);
+      } else {
+        channelHandlers.add(handler);
+      }
+
+      return async () => {
+        channelHandlers.delete(handler);
+        if (channelHandlers.size === 0 && handlers.get(channel) === channelHandlers) {
+          handlers.delete(channel);
+          await subscriber.unsubscribe(channel);
+        }
+      };
+    },
+
+    async close() {
+      handlers.clear();
+      publisher.disconnect();
+      subscriber.disconnect();
+    }
+  };
+}
+
+/**
+ * Создать брокер по настройкам окружения
+ * @param {Object} env - По умолчанию process.env
+ */
+export function createBroker(env = process.env) {
+  const type = env.REALTIME_BROKER || 'memory';
+
+  if (!BROKER_TYPES.includes(type)) {
+    throw new Error(`REALTIME_BROKER должен быть одним из: ${BROKER_TYPES.join(', ')}`);
+  }
+
+  if (type === 'redis') {
+    if (!env.REDIS_URL) {
+      throw new Error('Для REALTIME_BROKER=redis нужно указать REDIS_URL');
+    }
+    return createRedisBroker(env.REDIS_URL);
+  }
+
+  return createMemoryBroker();
+}
+
+export default { BROKER_TYPES, createMemoryBroker, createRedisBroker, createBroker };
@@ -0,0 +1,405 @@
+import { executeQuery } from '../database/db.js';
+import { executeMediaQuery } from '../database/mediaDb.js';
+import mediaCacheService from './mediaCacheService.js';
+import tmdbService from './tmdbService.js';
+
+/**
+ * Персональные рекомендации «Для вас»
+ *
+ * Профиль вкусов строится по оценкам, отзывам и спискам пользователя: жанры, люди (актёры,
+ * режиссёры) и ключевые слова берутся из media_cache. Кандидаты — кэшированные рекомендации
+ * TMDb к понравившимся тайтлам и discover по любимым жанрам. Каждая подборка объясняется
+ */
+
+export const FOR_YOU_DEFAULT_LIMIT = 20;
+export const FOR_YOU_MAX_LIMIT = 50;
+
+// Сколько самых понравившихся тайтлов использовать как источники рекомендаций
+const MAX_SEEDS = 15;
+// Сколько отсутствующих в кэше рекомендаций запрашивать у TMDb за один вызов
+const MAX_RECOMMENDATION_FETCHES = 5;
+// Вес тайтла без оценки: отзыв и добавление в список — слабее явной оценки
+const REVIEW_WEIGHT = 0.6;
+const LIST_WEIGHT = 0.4;
+// Сколько первых актёров из титров учитывать
+const TOP_CAST = 5;
+
+// Вклад сигналов в итоговый балл кандидата
+const SCORE_WEIGHTS = {
+  recommendation: 2,
+  genre: 1,
+  person: 0.5,
+  keyword: 0.5,
+  rating: 0.05
+};
+
+/**
+ * Вес оценки в профиле: 10 → 1, 5.5 → 0, 1 → -1
+ */
+export function ratingWeight(rating) {
+  return (rating - 5.5) / 4.5;
+}
+
+const mediaKey = (mediaType, tmdbId) => `${mediaType}:${tmdbId}`;
+
+/**
+ * Тайтлы, о которых пользователь что-то сказал (оценка, отзыв, список), и тайтлы из watchlist
+ * @returns {Promise<Object|null>} - { seeds: Map<key, seed>, known: Set<key> }, null при ошибке БД
+ */
+async function collectSignals(userId) {
+  const [ratingsResult, reviewsResult, listsResult, watchlistResult] = await Promise.all([
+    executeQuery('SELECT tmdb_id, media_type, rating FROM ratings WHERE user_id = ?', [userId]),
+    executeQuery(
+      `SELECT tmdb_id, media_type, rating FROM wall_posts
+       WHERE user_id = ? AND post_type = 'review' AND tmdb_id IS NOT NULL`,
+      [userId]
+    ),
+    executeQuery(
+      `SELECT li.tmdb_id, li.media_type, cl.name as list_name
+       FROM list_items li
+       JOIN custom_lists cl ON li.list_id = cl.id
+       WHERE cl.user_id = ?`,
+      [userId]
+    ),
+    executeQuery('SELECT tmdb_id, media_type FROM watchlist WHERE user_id = ?', [userId])
+  ]);
+
+  if (!ratingsResult.success || !reviewsResult.success || !listsResult.success || !watchlistResult.success) {
+    return null;
+  }
+
+  const seeds = new Map();
+  const seedOf = (row) => {
+    const key = mediaKey(row.media_type, row.tmdb_id);
+    if (!seeds.has(key)) {
+      seeds.set(key, { tmdbId: row.tmdb_id, mediaType: row.media_type, rating: null, reviewed: false, listName: null });
+    }
+    return seeds.get(key);
+  };
+
+  listsResult.data.forEach(row => { seedOf(row).listName = row.list_name; });
+  reviewsResult.data.forEach(row => {
+    const seed = seedOf(row);
+    seed.reviewed = true;
+    if (row.rating && seed.rating === null) seed.rating = row.rating;
+  });
+  // Оценка из ratings главнее оценки в отзыве
+  ratingsResult.data.forEach(row => { seedOf(row).rating = row.rating; });
+
+  for (const seed of seeds.values()) {
+    if (seed.rating !== null) seed.weight = ratingWeight(seed.rating);
+    else if (seed.reviewed) seed.weight = REVIEW_WEIGHT;
+    else seed.weight = LIST_WEIGHT;
+  }
+
+  const known = new Set(seeds.keys());
+  watchlistResult.data.forEach(row => known.add(mediaKey(row.media_type, row.tmdb_id)));
+
+  return { seeds, known };
+}
+
+/**
+ * Кэшированные детали (название, жанры, титры, ключевые слова) для набора тайтлов
+ * @returns {Promise<Map<string, Object>>} - ключ `${media_type}:${tmdb_id}`
+ */
+async function loadCachedDetails(items) {
+  const details = new Map();
+  const parse = (value) => {
+    if (!value) return null;
+    try { return JSON.parse(value); } catch { return null; }
+  };
+
+  for (const mediaType of ['movie', 'tv']) {
+    const ids = [...new Set(items.filter(i => i.mediaType === mediaType).map(i => i.tmdbId))];
+
+    // SQLite ограничивает число параметров, поэтому запрашиваем пачками
+    for (let i = 0; i < ids.length; i += 500) {
+      const chunk = ids.slice(i, i + 500);
+      const result = await executeMediaQuery(
+        `SELECT tmdb_id, title, genres, credits, keywords FROM media_cache
+         WHERE media_type = ? AND tmdb_id IN (${chunk.map(() => '?').join(', ')})`,
+        [mediaType, ...chunk]
+      );
+      if (!result.success) continue;
+
+      for (const row of result.data) {
+        details.set(mediaKey(mediaType, row.tmdb_id), {
+          title: row.title,
+          genres: parse(row.genres) || [],
+          credits: parse(row.credits),
+          keywords: parse(row.keywords) || []
+        });
+      }
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Люди из титров, которые определяют «почерк»: первые актёры и режиссёры
+ */
+function keyPeople(credits) {
+  const cast = (credits?.cast || []).slice(0, TOP_CAST);
+  const directors = (credits?.crew || []).filter(member => member.job === 'Director');
+  return [...cast, ...directors];
+}
+
+/**
+ * Добавить вес признаку профиля, запомнив тайтл с наибольшим вкладом для объяснения
+ */
+function addToProfile(map, id, name, weight, seed) {
+  if (!map.has(id)) map.set(id, { name, weight: 0, bestSeed: null, bestWeight: -Infinity });
+  const entry = map.get(id);
+  entry.weight += weight;
+  if (weight > entry.bestWeight) {
+    entry.bestWeight = weight;
+    entry.bestSeed = seed;
+  }
+}
+
+/**
+ * Профиль вкусов: веса жанров, людей и ключевых слов
+ * Нелюбимые тайтлы (низкая оценка) дают отрицательный вес
+ */
+export function buildTasteProfile(seeds, details) {
+  const profile = { genres: new Map(), people: new Map(), keywords: new Map() };
+
+  for (const seed of seeds) {
+    const info = details.get(mediaKey(seed.mediaType, seed.tmdbId));
+    if (!info) continue;
+
+    info.genres.forEach(genre => addToProfile(profile.genres, genre.id, genre.name, seed.weight, seed));
+    keyPeople(info.credits).forEach(person => addToProfile(profile.people, person.id, person.name, seed.weight, seed));
+    info.keywords.forEach(keyword => addToProfile(profile.keywords, keyword.id, keyword.name, seed.weight, seed));
+  }
+
+  return profile;
+}
+
+/**
+ * Текст объяснения для тайтла-источника
+ */
+export function explainSeed(seed) {
+  if (seed.rating !== null) return `Потому что вы оценили «${seed.title}» на ${seed.rating}/10`;
+  if (seed.reviewed) return `Потому что вы написали отзыв на «${seed.title}»`;
+  return `Потому что «${seed.title}» есть в вашем списке «${seed.listName}»`;
+}
+
+/**
+ * Рекомендации TMDb к тайтлу: из кэша, а если их нет — запросом (в пределах бюджета)
+ */
+async function getSeedRecommendations(seed, budget) {
+  const cached = await mediaCacheService.getRecommendations(seed.tmdbId, seed.mediaType);
+  if (cached) return cached;
+  if (budget.fetches <= 0) return [];
+
+  budget.fetches--;
+  try {
+    await tmdbService.initialize();
+    const data = await tmdbService.makeRequest(`/${seed.mediaType}/${seed.tmdbId}/recommendations`);
+    const results = data.results || [];
+    await mediaCacheService.updateRecommendations(seed.tmdbId, seed.mediaType, results);
+    return results;
+  } catch (error) {
+    console.error(`Ошибка получения рекомендаций ${seed.mediaType}/${seed.tmdbId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Любимые жанры для discover: самые весомые жанры тайтлов этого типа
+ */
+function topGenres(seeds, details, mediaType, count = 2) {
+  const weights = new Map();
+  seeds
+    .filter(seed => seed.mediaType === mediaType)
+    .forEach(seed => {
+      const info = details.get(mediaKey(seed.mediaType, seed.tmdbId));
+      info?.genres.forEach(genre => weights.set(genre.id, (weights.get(genre.id) || 0) + seed.weight));
+    });
+
+  return [...weights.entries()]
+    .filter(([, weight]) => weight > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([id]) => id);
+}
+
+/**
+ * Подборка «Для вас»
+ * @param {string} userId - ID пользователя
+ * @param {Object} options
+ * @param {string} options.type - 'movie' | 'tv' | 'all'
+ * @param {number} options.limit - Сколько тайтлов вернуть
+ * @returns {Promise<Object|null>} - { results, basedOn }, null при ошибке БД
+ */
+export async function getForYou(userId, { type = 'all', limit = FOR_YOU_DEFAULT_LIMIT } = {}) {
+  const signals = await collectSignals(userId);
+  if (!signals) return null;
+
+  const allSeeds = [...signals.seeds.values()];
+  if (allSeeds.length === 0) {
+    return { results: [], basedOn: 0 };
+  }
+
+  const details = await loadCachedDetails(allSeeds);
+  allSeeds.forEach(seed => {
+    seed.title = details.get(mediaKey(seed.mediaType, seed.tmdbId))?.title || `#${seed.tmdbId}`;
+  });
+
+  const profile = buildTasteProfile(allSeeds, details);
+  const typeMatches = (mediaType) => type === 'all' || mediaType === type;
+
+  // Кандидаты: key -> { item, mediaType, recommendation, recommendedBy }
+  const candidates = new Map();
+  const addCandidate = (item, mediaType) => {
+    const key = mediaKey(mediaType, item.id);
+    if (signals.known.has(key) || !typeMatches(mediaType)) return null;
+    if (!candidates.has(key)) {
+      candidates.set(key, { item, mediaType, recommendation: 0, recommendedBy: null, bestSeedWeight: 0 });
+    }
+    return candidates.get(key);
+  };
+
+  // 1. Рекомендации TMDb к понравившимся тайтлам
+  const likedSeeds = allSeeds
+    .filter(seed => seed.weight > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_SEEDS);
+  const budget = { fetches: MAX_RECOMMENDATION_FETCHES };
+
+  for (const seed of likedSeeds) {
+    const recommendations = await getSeedRecommendations(seed, budget);
+    recommendations.forEach((item, index) => {
+      const candidate = addCandidate(item, item.media_type || seed.mediaType);
+      if (!candidate) return;
+
+      // Первые рекомендации TMDb точнее последних
+      const contribution = seed.weight * (1 - index / (recommendations.length * 2));
+      candidate.recommendation += contribution;
+      if (contribution > candidate.bestSeedWeight) {
+        candidate.bestSeedWeight = contribution;
+        candidate.recommendedBy = seed;
+      }
+    });
+  }
+
+  // 2. Discover по любимым жанрам
+  for (const mediaType of ['movie', 'tv']) {
+    if (!typeMatches(mediaType)) continue;
+    const genres = topGenres(allSeeds, details, mediaType);
+    if (genres.length === 0) continue;
+
+    try {
+      await tmdbService.initialize();
+      const filters = { genres: genres.join('|'), minRating: 6.5 };
+      const data = mediaType === 'movie'
+        ? await tmdbService.discoverMovies(filters)
+        : await tmdbService.discoverTV(filters);
+      (data.results || []).forEach(item => addCandidate(item, mediaType));
+    } catch (error) {
+      console.error(`Ошибка discover для рекомендаций (${mediaType}):`, error.message);
+    }
+  }
+
+  // 3. Оценка кандидатов по профилю
+  const candidateDetails = await loadCachedDetails(
+    [...candidates.values()].map(c => ({ tmdbId: c.item.id, mediaType: c.mediaType }))
+  );
+
+  const scored = [...candidates.values()].map(candidate => {
+    const { item, mediaType } = candidate;
+    const cachedInfo = candidateDetails.get(mediaKey(mediaType, item.id));
+    const genreIds = item.genre_ids || cachedInfo?.genres.map(genre => genre.id) || [];
+    const reasons = [];
+
+    let score = SCORE_WEIGHTS.recommendation * candidate.recommendation;
+    if (candidate.recommendedBy) {
+      reasons.push({
+        type: 'seed',
+        weight: SCORE_WEIGHTS.recommendation * candidate.bestSeedWeight,
+        text: explainSeed(candidate.recommendedBy)
+      });
+    }
+
+    const matchedGenres = genreIds.map(id => profile.genres.get(id)).filter(genre => genre?.weight > 0);
+    if (matchedGenres.length > 0) {
+      const genreScore = matchedGenres.reduce((sum, genre) => sum + genre.weight, 0) / Math.max(allSeeds.length, 1);
+      score += SCORE_WEIGHTS.genre * genreScore;
+      const favourite = matchedGenres.reduce((best, genre) => (genre.weight > best.weight ? genre : best));
+      reasons.push({
+        type: 'genre',
+        weight: SCORE_WEIGHTS.genre * genreScore,
+        text: `Вам нравится жанр «${favourite.name}»`
+      });
+    }
+
+    // Люди и ключевые слова известны, только если кандидат уже есть в media_cache
+    const matchedPeople = keyPeople(cachedInfo?.credits)
+      .map(person => profile.people.get(person.id))
+      .filter(person => person?.weight > 0);
+    if (matchedPeople.length > 0) {
+      const person = matchedPeople.reduce((best, p) => (p.weight > best.weight ? p : best));
+      const personScore = matchedPeople.reduce((sum, p) => sum + p.weight, 0);
+      score += SCORE_WEIGHTS.person * personScore;
+      reasons.push({
+        type: 'person',
+        weight: SCORE_WEIGHTS.person * personScore,
+        text: `${person.name} — как в «${person.bestSeed.title}»`
+      });
+    }
+
+    const matchedKeywords = (cachedInfo?.keywords || [])
+      .map(keyword => profile.keywords.get(keyword.id))
+      .filter(keyword => keyword?.weight > 0);
+    if (matchedKeywords.length > 0) {
+      const keywordScore = matchedKeywords.reduce((sum, k) => sum + k.weight, 0);
+      score += SCORE_WEIGHTS.keyword * keywordScore;
+      const keyword = matchedKeywords.reduce((best, k) => (k.weight > best.weight ? k : best));
+      reasons.push({
+        type: 'keyword',
+        weight: SCORE_WEIGHTS.keyword * keywordScore,
+        text: `Тема «${keyword.name}», как в «${keyword.bestSeed.title}»`
+      });
+    }
+
+    // Нелюбимые жанры снижают балл
+    genreIds
+      .map(id => profile.genres.get(id))
+      .filter(genre => genre?.weight < 0)
+      .forEach(genre => { score += SCORE_WEIGHTS.genre * genre.weight / allSeeds.length; });
+
+    if (item.vote_average) {
+      score += SCORE_WEIGHTS.rating * (item.vote_average - 6);
+    }
+
+    reasons.sort((a, b) => b.weight - a.weight);
+
+    return {
+      tmdbId: item.id,
+      mediaType,
+      title: item.title || item.name || cachedInfo?.title || `#${item.id}`,
+      posterPath: item.poster_path || null,
+      voteAverage: item.vote_average || null,
+      releaseDate: item.release_date || item.first_air_date || null,
+      score: Math.round(score * 100) / 100,
+      reason: reasons[0]?.text || null,
+      reasons: reasons.map(({ type: reasonType, text }) => ({ type: reasonType, text }))
+    };
+  });
+
+  const results = scored
+    .filter(result => result.reason && result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { results, basedOn: allSeeds.length };
+}
+
+export default {
+  getForYou,
+  buildTasteProfile,
+  explainSeed,
+  ratingWeight
+};
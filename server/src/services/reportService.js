@@ -0,0 +1,468 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../database/db.js';
+import { notifyModeration } from './notificationService.js';
+import { getListAccess } from './listSharingService.js';
+import { removeImageVariants } from './imageVariantService.js';
+
+/**
+ * Жалобы на пользователей и контент
+ *
+ * Жалоба ссылается на цель (target_type + target_id): профиль, запись стены, комментарий к записи
+ * или изображению, рецензию, сообщение или список. reported_user_id — автор контента, чтобы
+ * в очереди было видно, на кого жалоба, даже после удаления контента.
+ *
+ * При жалобе сохраняется копия контента (content_snapshot): модератор видит, что было в записи
+ * в момент жалобы, даже если автор её потом отредактировал или удалил.
+ *
+ * Модератор решает жалобу одним из действий (REPORT_RESOLUTIONS); удаление, скрытие контента
+ * и запрет на посты записываются в moderation_actions вместе с ID жалобы. Действие с контентом
+ * закрывает и остальные ожидающие жалобы на тот же контент
+ */
+
+export const REPORT_TARGET_TYPES = ['user', 'wall_post', 'post_comment', 'image_comment', 'review', 'message', 'list'];
+export const REPORT_CATEGORIES = ['spam', 'abuse', 'hate', 'nsfw', 'spoilers', 'misinformation', 'other'];
+export const REPORT_RESOLUTIONS = ['dismiss', 'mark_reviewed', 'delete_content', 'hide_content', 'post_ban'];
+
+export const REPORT_REASON_MIN_LENGTH = 10;
+export const REPORT_REASON_MAX_LENGTH = 1000;
+
+// Длина текста в копии контента: копия нужна модератору, а не для восстановления
+const SNAPSHOT_TEXT_MAX_LENGTH = 2000;
+
+const postImages = async (postId) => {
+  const result = await executeQuery(
+    'SELECT image_url FROM post_images WHERE post_id = ? ORDER BY "order"',
+    [postId]
+  );
+  return result.success ? result.data.map(row => row.image_url) : [];
+};
+
+const truncate = (text) => (text && text.length > SNAPSHOT_TEXT_MAX_LENGTH
+  ? `${text.slice(0, SNAPSHOT_TEXT_MAX_LENGTH)}…`
+  : text || null);
+
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+async function snapshotPost(row) {
+  return {
+    text: truncate(row.content),
+    postType: row.post_type,
+    tmdbId: row.tmdb_id,
+    mediaType: row.media_type,
+    wallOwnerId: row.wall_owner_id,
+    images: [...parseJsonArray(row.image_urls), ...(await postImages(row.id))],
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Цели жалоб с контентом
+ * - table: таблица контента (для скрытия и удаления), label: как назвать контент в уведомлении автору
+ * - load: строка контента с автором (author_id) или undefined
+ * - snapshot: копия контента для модератора
+ */
+const CONTENT_TARGETS = {
+  wall_post: {
+    table: 'wall_posts',
+    label: 'Ваша запись',
+    load: async (id) => (await executeQuery(
+      `SELECT *, user_id AS author_id FROM wall_posts WHERE id = ? AND post_type != 'review'`,
+      [id]
+    )).data?.[0],
+    snapshot: snapshotPost
+  },
+  review: {
+    table: 'wall_posts',
+    label: 'Ваша рецензия',
+    load: async (id) => (await executeQuery(
+      `SELECT *, user_id AS author_id FROM wall_posts WHERE id = ? AND post_type = 'review'`,
+      [id]
+    )).data?.[0],
+    snapshot: snapshotPost
+  },
+  post_comment: {
+    table: 'post_comments',
+    label: 'Ваш комментарий',
+    load: async (id) => (await executeQuery(
+      'SELECT *, user_id AS author_id FROM post_comments WHERE id = ?',
+      [id]
+    )).data?.[0],
+    snapshot: async (row) => ({
+      text: truncate(row.content),
+      postId: row.post_id,
+      images: row.image_url ? [row.image_url] : [],
+      createdAt: row.created_at
+    })
+  },
+  image_comment: {
+    table: 'image_comments',
+    label: 'Ваш комментарий',
+    load: async (id) => (await executeQuery(
+      `SELECT ic.*, ic.user_id AS author_id, pi.post_id, pi.image_url
+       FROM image_comments ic
+       LEFT JOIN post_images pi ON pi.id = ic.image_id
+       WHERE ic.id = ?`,
+      [id]
+    )).data?.[0],
+    snapshot: async (row) => ({
+      text: truncate(row.content),
+      postId: row.post_id,
+      imageId: row.image_id,
+      images: row.image_url ? [row.image_url] : [],
+      createdAt: row.created_at
+    })
+  },
+  message: {
+    table: 'messages',
+    label: 'Ваше сообщение',
+    load: async (id) => (await executeQuery(
+      `SELECT m.*, m.sender_id AS author_id, c.is_secret
+       FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.id = ?`,
+      [id]
+    )).data?.[0],
+    snapshot: async (row) => ({
+      // Сообщения секретного чата на сервере зашифрованы — текст присылает пожаловавшийся
+      text: row.is_secret ? null : truncate(row.content),
+      conversationId: row.conversation_id,
+      attachments: parseJsonArray(row.attachments),
+      createdAt: row.created_at
+    }),
+    canReport: async (row, reporterId) => {
+      if (row.receiver_id === reporterId) return true;
+      const member = await executeQuery(
+        'SELECT 1 FROM conversation_members WHERE conversation_id = ? AND user_id = ?',
+        [row.conversation_id, reporterId]
+      );
+      return member.success && member.data.length > 0;
+    }
+  },
+  list: {
+    table: 'custom_lists',
+    label: 'Ваш список',
+    load: async (id) => (await executeQuery(
+      'SELECT *, user_id AS author_id FROM custom_lists WHERE id = ?',
+      [id]
+    )).data?.[0],
+    snapshot: async (row) => {
+      const items = await executeQuery('SELECT COUNT(*) as count FROM list_items WHERE list_id = ?', [row.id]);
+      return {
+        text: truncate(row.name),
+        mediaType: row.media_type,
+        visibility: row.visibility,
+        itemsCount: items.success ? items.data[0].count : null,
+        createdAt: row.created_at
+      };
+    },
+    canReport: async (row, reporterId) => {
+      const access = await getListAccess(row, reporterId);
+      return Boolean(access?.canView);
+    }
+  }
+};
+
+/**
+ * Найти цель жалобы
+ * @returns {Promise<Object|null>} - { authorId, row, snapshot }, null если цели нет
+ */
+async function loadTarget(targetType, targetId) {
+  if (targetType === 'user') {
+    const user = await executeQuery('SELECT id, display_name FROM users WHERE id = ?', [targetId]);
+    if (!user.success || user.data.length === 0) return null;
+    return { authorId: targetId, row: user.data[0], snapshot: null };
+  }
+
+  const target = CONTENT_TARGETS[targetType];
+  const row = await target.load(targetId);
+  if (!row) return null;
+  return { authorId: row.author_id, row, snapshot: await target.snapshot(row) };
+}
+
+/**
+ * Создать жалобу
+ * @param {Object} params
+ * @param {string} params.reporterId - Кто жалуется
+ * @param {string} params.targetType - Один из REPORT_TARGET_TYPES
+ * @param {string} params.targetId - ID цели (для 'user' — ID пользователя)
+ * @param {string} params.category - Одна из REPORT_CATEGORIES
+ * @param {string} params.reason - Пояснение; обязательно для категории 'other'
+ * @param {string} params.snapshotText - Текст сообщения секретного чата, который видит пожаловавшийся
+ * @returns {Promise<Object>} - { success, report } или { success: false, code }
+ */
+export async function createReport({ reporterId, targetType, targetId, category = 'other', reason, snapshotText }) {
+  if (!REPORT_TARGET_TYPES.includes(targetType) || !targetId) {
+    return { success: false, code: 'INVALID_TARGET' };
+  }
+  if (!REPORT_CATEGORIES.includes(category)) {
+    return { success: false, code: 'INVALID_CATEGORY' };
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (category === 'other' && trimmedReason.length < REPORT_REASON_MIN_LENGTH) {
+    return { success: false, code: 'REASON_TOO_SHORT' };
+  }
+  if (trimmedReason.length > REPORT_REASON_MAX_LENGTH) {
+    return { success: false, code: 'REASON_TOO_LONG' };
+  }
+
+  const target = await loadTarget(targetType, targetId);
+  if (!target) {
+    return { success: false, code: 'TARGET_NOT_FOUND' };
+  }
+  if (target.authorId === reporterId) {
+    return { success: false, code: 'CANNOT_REPORT_SELF' };
+  }
+
+  const canReport = CONTENT_TARGETS[targetType]?.canReport;
+  if (canReport && !(await canReport(target.row, reporterId))) {
+    return { success: false, code: 'FORBIDDEN' };
+  }
+
+  const duplicate = await executeQuery(
+    `SELECT id FROM reports
+     WHERE reporter_id = ? AND target_type = ? AND target_id = ? AND status = 'pending'`,
+    [reporterId, targetType, targetId]
+  );
+  if (!duplicate.success) return { success: false, code: 'DATABASE_ERROR' };
+  if (duplicate.data.length > 0) {
+    return { success: false, code: 'ALREADY_REPORTED' };
+  }
+
+  let snapshot = target.snapshot;
+  if (snapshot && targetType === 'message' && target.row.is_secret && typeof snapshotText === 'string') {
+    snapshot = { ...snapshot, text: truncate(snapshotText.trim()), providedByReporter: true };
+  }
+
+  const report = {
+    id: uuidv4(),
+    reporterId,
+    reportedUserId: target.authorId,
+    targetType,
+    targetId,
+    category,
+    reason: trimmedReason
+  };
+
+  const insert = await executeQuery(
+    `INSERT INTO reports (id, reporter_id, reported_user_id, target_type, target_id, category, reason, content_snapshot)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      report.id, reporterId, target.authorId, targetType, targetId, category, trimmedReason,
+      snapshot ? JSON.stringify(snapshot) : null
+    ]
+  );
+  if (!insert.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  return { success: true, report };
+}
+
+/**
+ * Записать действие модерации
+ * @returns {Promise<string|null>} - ID записи или null при ошибке БД
+ */
+export async function logModerationAction({
+  userId, adminId, actionType, reason = null, durationMinutes = null, expiresAt = null,
+  reportId = null, targetType = null, targetId = null
+}) {
+  const id = uuidv4();
+  const result = await executeQuery(
+    `INSERT INTO moderation_actions
+       (id, user_id, admin_id, action_type, reason, duration_minutes, expires_at, report_id, target_type, target_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, adminId, actionType, reason, durationMinutes, expiresAt, reportId, targetType, targetId]
+  );
+  return result.success ? id : null;
+}
+
+/**
+ * Запретить пользователю публиковать записи на время
+ * @returns {Promise<Object>} - { success, action } или { success: false, code }
+ */
+export async function applyPostBan({ userId, adminId, reason, durationMinutes, reportId = null }) {
+  const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000).toISOString();
+
+  const update = await executeQuery(
+    'UPDATE users SET ban_reason = ?, post_ban_until = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [reason, expiresAt, userId]
+  );
+  if (!update.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  const actionId = await logModerationAction({
+    userId, adminId, actionType: 'post_ban', reason, durationMinutes, expiresAt, reportId
+  });
+
+  notifyModeration(userId, 'post_ban', { reason, durationMinutes, expiresAt }).catch(err => {
+    console.error('Ошибка отправки уведомления о блокировке постов:', err);
+  });
+
+  return {
+    success: true,
+    action: { id: actionId, userId, actionType: 'post_ban', reason, durationMinutes, expiresAt }
+  };
+}
+
+async function deleteContent(targetType, row) {
+  const { table } = CONTENT_TARGETS[targetType];
+
+  if (table === 'wall_posts') {
+    // Файлы изображений удаляются так же, как при удалении записи автором
+    for (const imageUrl of await postImages(row.id)) {
+      await fs.unlink(path.join(process.cwd(), imageUrl)).catch(() => {});
+      await removeImageVariants(imageUrl);
+    }
+  }
+
+  const result = await executeQuery(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+  if (!result.success) return false;
+
+  if (table === 'wall_posts') {
+    const { notifyPostDeleted } = await import('./websocketService.js');
+    notifyPostDeleted(row.user_id, row.id).catch(err => {
+      console.error('Ошибка уведомления об удалении поста:', err);
+    });
+  }
+  return true;
+}
+
+async function hideContent(targetType, row) {
+  const { table } = CONTENT_TARGETS[targetType];
+  const result = await executeQuery(
+    `UPDATE ${table} SET hidden_at = CURRENT_TIMESTAMP WHERE id = ? AND hidden_at IS NULL`,
+    [row.id]
+  );
+  return result.success;
+}
+
+/**
+ * Решить жалобу
+ * @param {Object} params
+ * @param {string} params.reportId
+ * @param {string} params.adminId - Модератор
+ * @param {string} params.action - Один из REPORT_RESOLUTIONS
+ * @param {string} params.reason - Причина для автора контента (для post_ban обязательна)
+ * @param {number} params.durationMinutes - Длительность запрета на посты
+ * @returns {Promise<Object>} - { success, resolution, resolvedReportIds } или { success: false, code }
+ */
+export async function resolveReport({ reportId, adminId, action, reason, durationMinutes }) {
+  if (!REPORT_RESOLUTIONS.includes(action)) {
+    return { success: false, code: 'INVALID_ACTION' };
+  }
+
+  const reportResult = await executeQuery('SELECT * FROM reports WHERE id = ?', [reportId]);
+  if (!reportResult.success) return { success: false, code: 'DATABASE_ERROR' };
+  const report = reportResult.data[0];
+  if (!report) return { success: false, code: 'REPORT_NOT_FOUND' };
+  if (report.status !== 'pending') return { success: false, code: 'ALREADY_RESOLVED' };
+
+  const trimmedReason = typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+  const contentTarget = CONTENT_TARGETS[report.target_type];
+
+  if (action === 'delete_content' || action === 'hide_content') {
+    if (!contentTarget) return { success: false, code: 'NOT_CONTENT_REPORT' };
+
+    const row = await contentTarget.load(report.target_id);
+    if (!row) return { success: false, code: 'TARGET_NOT_FOUND' };
+
+    const done = action === 'delete_content'
+      ? await deleteContent(report.target_type, row)
+      : await hideContent(report.target_type, row);
+    if (!done) return { success: false, code: 'DATABASE_ERROR' };
+
+    const actionType = action === 'delete_content' ? 'content_removed' : 'content_hidden';
+    await logModerationAction({
+      userId: row.author_id,
+      adminId,
+      actionType,
+      reason: trimmedReason,
+      reportId,
+      targetType: report.target_type,
+      targetId: report.target_id
+    });
+
+    notifyModeration(row.author_id, actionType, { reason: trimmedReason, contentLabel: contentTarget.label }).catch(err => {
+      console.error('Ошибка отправки уведомления о модерации контента:', err);
+    });
+  }
+
+  if (action === 'post_ban') {
+    if (!trimmedReason) return { success: false, code: 'REASON_REQUIRED' };
+    if (!Number.isInteger(durationMinutes) || durationMinutes <= 0) {
+      return { success: false, code: 'DURATION_REQUIRED' };
+    }
+
+    const ban = await applyPostBan({
+      userId: report.reported_user_id, adminId, reason: trimmedReason, durationMinutes, reportId
+    });
+    if (!ban.success) return ban;
+  }
+
+  // Отклонение и отметка «просмотрено» касаются только этой жалобы,
+  // действие с контентом или автором закрывает все ожидающие жалобы на ту же цель
+  const closesTarget = action !== 'dismiss' && action !== 'mark_reviewed';
+  const status = action === 'dismiss' ? 'dismissed' : 'reviewed';
+  const scope = closesTarget
+    ? { sql: 'target_type = ? AND target_id = ?', params: [report.target_type, report.target_id] }
+    : { sql: 'id = ?', params: [reportId] };
+
+  const pending = await executeQuery(
+    `SELECT id FROM reports WHERE status = 'pending' AND ${scope.sql}`,
+    scope.params
+  );
+  const update = await executeQuery(
+    `UPDATE reports SET status = ?, resolution = ?, reviewed_at = ?, reviewed_by = ?
+     WHERE status = 'pending' AND ${scope.sql}`,
+    [status, action, new Date().toISOString(), adminId, ...scope.params]
+  );
+  if (!pending.success || !update.success) return { success: false, code: 'DATABASE_ERROR' };
+
+  return { success: true, resolution: action, resolvedReportIds: pending.data.map(row => row.id) };
+}
+
+/**
+ * Жалоба из строки БД для очереди модератора
+ */
+export function formatReport(row) {
+  let snapshot = null;
+  try {
+    snapshot = row.content_snapshot ? JSON.parse(row.content_snapshot) : null;
+  } catch {
+    snapshot = null;
+  }
+
+  return {
+    id: row.id,
+    status: row.status,
+    resolution: row.resolution,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    category: row.category,
+    reason: row.reason,
+    snapshot,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    reporter: { id: row.reporter_id, displayName: row.reporter_name, avatarUrl: row.reporter_avatar },
+    reportedUser: { id: row.reported_user_id, displayName: row.reported_name, avatarUrl: row.reported_avatar },
+    reviewedBy: row.reviewed_by ? { id: row.reviewed_by, displayName: row.reviewer_name } : null
+  };
+}
+
+export default {
+  REPORT_TARGET_TYPES,
+  REPORT_CATEGORIES,
+  REPORT_RESOLUTIONS,
+  createReport,
+  resolveReport,
+  applyPostBan,
+  logModerationAction,
+  formatReport
+};
@@ -1,19 +1,54 @@
+import { v4 as uuidv4 } from 'uuid';
 import { executeQuery } from '../database/db.js';
 import { notifyFeedNewAdPost, notifyFeedNewAnnouncement } from './websocketService.js';
+import { notifyNewEpisodes, notifyMovieRelease } from './notificationService.js';
+import mediaCacheService from './mediaCacheService.js';
+import tmdbService from './tmdbService.js';
+import { toDateString, addDays } from './episodeScheduleService.js';
+import { runScheduledBackup } from './backupService.js';
+
+// Проверка новых серий и релизов — раз в 6 часов
+const RELEASE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+// Насколько назад смотреть дату выхода: пропущенные из-за простоя сервера проверки не теряют релизы
+const RELEASE_LOOKBACK_DAYS = 2;
+// Фильмы, вышедшие (по основной дате TMDb) раньше, не проверяем
+const MOVIE_RELEASE_MAX_AGE_DAYS = 365;
+// Регион для дат релиза фильмов; если для него дат нет — берутся даты US
+const RELEASE_REGION = process.env.RELEASE_REGION || 'RU';
+const FALLBACK_RELEASE_REGION = 'US';
+
+// Типы релизов TMDb: 3 — кинотеатры, 4 — цифровой
+const RELEASE_TYPES = { 3: 'theatrical', 4: 'digital' };
+const FINISHED_TV_STATUSES = ['Ended', 'Canceled'];
+
+// Нужна ли резервная копия, проверяем раз в час; интервал копий — BACKUP_INTERVAL_HOURS (см. backupService)
+const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000;
 
 let intervalId = null;
+let releaseIntervalId = null;
+let backupIntervalId = null;
 
 export function startSchedulerService() {
   if (intervalId) return;
   console.log('⏰ SchedulerService запущен');
   intervalId = setInterval(checkScheduledPosts, 60 * 1000);
   checkScheduledPosts();
+
+  releaseIntervalId = setInterval(checkNewReleases, RELEASE_CHECK_INTERVAL);
+  checkNewReleases();
+
+  backupIntervalId = setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL);
+  runScheduledBackup();
 }
 
 export function stopSchedulerService() {
   if (intervalId) {
     clearInterval(intervalId);
     intervalId = null;
+    clearInterval(releaseIntervalId);
+    releaseIntervalId = null;
+    clearInterval(backupIntervalId);
+    backupIntervalId = null;
     console.log('🛑 SchedulerService остановлен');
   }
 }
@@ -81,3 +116,146 @@ async function checkScheduledPosts() {
     console.error('Ошибка SchedulerService:', error);
   }
 }
+
+/**
+ * Запомнить, что уведомление о релизе отправлено пользователю
+ * @returns {Promise<boolean>} - true, если запись новая (уведомления ещё не было)
+ */
+async function claimReleaseAlert(userId, tmdbId, mediaType, alertKey) {
+  const result = await executeQuery(
+    `INSERT OR IGNORE INTO release_alerts (id, user_id, tmdb_id, media_type, alert_key)
+     VALUES (?, ?, ?, ?, ?)`,
+    [uuidv4(), userId, tmdbId, mediaType, alertKey]
+  );
+  return result.success && result.changes > 0;
+}
+
+/**
+ * Новые серии сериалов, которые пользователи отмечают в episode_progress
+ * Проверяются два последних сезона: новый сезон и досъёмка текущего
+ */
+async function checkNewEpisodes(from, to) {
+  const progressResult = await executeQuery(
+    'SELECT user_id, tmdb_id, season_number, episode_number FROM episode_progress'
+  );
+  if (!progressResult.success) return;
+
+  // tmdb_id -> user_id -> Set просмотренных серий
+  const watchersBySeries = new Map();
+  for (const row of progressResult.data) {
+    if (!watchersBySeries.has(row.tmdb_id)) watchersBySeries.set(row.tmdb_id, new Map());
+    const watchers = watchersBySeries.get(row.tmdb_id);
+    if (!watchers.has(row.user_id)) watchers.set(row.user_id, new Set());
+    watchers.get(row.user_id).add(`${row.season_number}:${row.episode_number}`);
+  }
+
+  for (const [tmdbId, watchers] of watchersBySeries) {
+    const details = await mediaCacheService.getFreshOrFetch(tmdbId, 'tv', 24);
+    if (!details?.number_of_seasons || FINISHED_TV_STATUSES.includes(details.status)) continue;
+
+    const aired = [];
+    const lastSeason = details.number_of_seasons;
+    for (let seasonNumber = Math.max(1, lastSeason - 1); seasonNumber <= lastSeason; seasonNumber++) {
+      const season = await mediaCacheService.getOrFetchSeason(tmdbId, seasonNumber);
+      for (const episode of season?.episodes || []) {
+        if (episode.air_date && episode.air_date >= from && episode.air_date <= to) {
+          aired.push({ seasonNumber, episodeNumber: episode.episode_number, name: episode.name });
+        }
+      }
+    }
+    if (aired.length === 0) continue;
+
+    const series = { tmdbId, title: details.name || `Сериал #${tmdbId}` };
+
+    for (const [userId, watched] of watchers) {
+      const fresh = [];
+      for (const episode of aired) {
+        if (watched.has(`${episode.seasonNumber}:${episode.episodeNumber}`)) continue;
+        if (await claimReleaseAlert(userId, tmdbId, 'tv', `s${episode.seasonNumber}e${episode.episodeNumber}`)) {
+          fresh.push(episode);
+        }
+      }
+
+      if (fresh.length > 0) {
+        await notifyNewEpisodes(userId, series, fresh);
+      }
+    }
+  }
+}
+
+/**
+ * Даты релиза фильма по типам ('theatrical' | 'digital' -> YYYY-MM-DD) для региона
+ */
+function pickReleaseDates(releaseDatesResponse) {
+  const countries = Array.isArray(releaseDatesResponse?.results) ? releaseDatesResponse.results : [];
+  const country = countries.find(c => c.iso_3166_1 === RELEASE_REGION) ||
+    countries.find(c => c.iso_3166_1 === FALLBACK_RELEASE_REGION);
+
+  const dates = {};
+  for (const release of country?.release_dates || []) {
+    const releaseType = RELEASE_TYPES[release.type];
+    if (!releaseType || !release.release_date) continue;
+    const date = release.release_date.slice(0, 10);
+    if (!dates[releaseType] || date < dates[releaseType]) dates[releaseType] = date;
+  }
+  return dates;
+}
+
+/**
+ * Выход в кинотеатрах и в цифре фильмов из watchlist
+ */
+async function checkMovieReleases(from, to) {
+  const watchlistResult = await executeQuery(
+    `SELECT DISTINCT user_id, tmdb_id FROM watchlist WHERE media_type = 'movie'`
+  );
+  if (!watchlistResult.success) return;
+
+  const usersByMovie = new Map();
+  for (const row of watchlistResult.data) {
+    if (!usersByMovie.has(row.tmdb_id)) usersByMovie.set(row.tmdb_id, []);
+    usersByMovie.get(row.tmdb_id).push(row.user_id);
+  }
+
+  const oldestRelease = addDays(to, -MOVIE_RELEASE_MAX_AGE_DAYS);
+
+  for (const [tmdbId, userIds] of usersByMovie) {
+    const details = await mediaCacheService.getFreshOrFetch(tmdbId, 'movie', 24 * 7);
+    if (details?.release_date && details.release_date < oldestRelease) continue;
+
+    let releaseDates;
+    try {
+      releaseDates = pickReleaseDates(await tmdbService.getMovieReleaseDates(tmdbId));
+    } catch (error) {
+      console.error(`Ошибка получения дат релиза фильма ${tmdbId}:`, error.message);
+      continue;
+    }
+
+    const movie = { tmdbId, title: details?.title || `Фильм #${tmdbId}` };
+
+    for (const [releaseType, date] of Object.entries(releaseDates)) {
+      if (date < from || date > to) continue;
+
+      for (const userId of userIds) {
+        if (await claimReleaseAlert(userId, tmdbId, 'movie', releaseType)) {
+          await notifyMovieRelease(userId, movie, releaseType);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Проверить новые серии и релизы фильмов и разослать уведомления new_episode / release
+ * Повторно об одной серии или релизе пользователь не уведомляется (таблица release_alerts)
+ */
+export async function checkNewReleases() {
+  try {
+    const to = toDateString();
+    const from = addDays(to, -RELEASE_LOOKBACK_DAYS);
+
+    await checkNewEpisodes(from, to);
+    await checkMovieReleases(from, to);
+  } catch (error) {
+    console.error('Ошибка проверки новых релизов:', error);
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * Сессии пользователей
+ *
+ * В sessions.token лежит SHA-256 токена: при утечке базы токены нельзя использовать.
+ * Вместе с сессией сохраняются устройство, IP и user agent — по ним строится список
+ * активных сессий в настройках и определяется вход с нового устройства.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../database/db.js';
+import { hashToken } from '../utils/tokenSecurity.js';
+import { notifyNewDeviceLogin } from './notificationService.js';
+
+// Срок жизни сессии
+export const SESSION_TTL_DAYS = 30;
+
+// last_activity_at обновляется не чаще, чем раз в 5 минут, чтобы не писать в базу на каждый запрос
+const ACTIVITY_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const USER_AGENT_MAX_LENGTH = 500;
+
+const BROWSERS = [
+  [/YaBrowser\//, 'Яндекс Браузер'],
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Version\/.*Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+  [/iPhone/, 'iPhone'],
+  [/iPad/, 'iPad'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/CrOS/, 'ChromeOS'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/Linux/, 'Linux']
+];
+
+/**
+ * Время SQLite (CURRENT_TIMESTAMP, UTC без зоны) в миллисекундах
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseSqliteTime(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`).getTime() : null;
+}
+
+/**
+ * Время SQLite в ISO 8601 для клиента
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function toIsoTime(value) {
+  const time = parseSqliteTime(value);
+  return time === null ? null : new Date(time).toISOString();
+}
+
+/**
+ * Читаемое название устройства по user agent: «Chrome · Windows»
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Неизвестное устройство';
+  // Бот входит от имени пользователя запросами axios из telegram-bot/src/sessionService.js
+  if (/^axios\//.test(userAgent)) return 'Telegram-бот';
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && platform) return `${browser} · ${platform}`;
+  return browser || platform || 'Неизвестное устройство';
+}
+
+/**
+ * Отпечаток устройства: user agent без номеров версий
+ * Обновление браузера не считается новым устройством, смена браузера или ОС — считается
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+export function getDeviceHash(userAgent) {
+  return hashToken((userAgent || '').replace(/\d+([._]\d+)*/g, ''));
+}
+
+/**
+ * Данные клиента из запроса
+ * @param {Object} req - Запрос Express
+ * @returns {Object} - { deviceName, ipAddress, userAgent }
+ */
+export function getClientInfo(req) {
+  const userAgent = req.headers?.['user-agent']?.substring(0, USER_AGENT_MAX_LENGTH) || null;
+  return {
+    deviceName: describeUserAgent(userAgent),
+    ipAddress: req.ip || req.socket?.remoteAddress || null,
+    userAgent
+  };
+}
+
+/**
+ * Создать сессию для входа
+ * Если у пользователя есть действующие сессии, а это устройство среди них не встречалось,
+ * отправляется уведомление о входе с нового устройства. Сессии без отпечатка устройства
+ * (созданные до миграции 025) и истёкшие не учитываются
+ * @param {string} userId - ID пользователя
+ * @param {Object} req - Запрос Express (устройство, IP, user agent)
+ * @returns {Promise<Object>} - { success, sessionId, token, expiresAt, isNewDevice } — token отдаётся клиенту один раз
+ */
+export async function createUserSession(userId, req) {
+  const { deviceName, ipAddress, userAgent } = getClientInfo(req);
+  const deviceHash = getDeviceHash(userAgent);
+
+  const known = await executeQuery(
+    `SELECT COUNT(*) AS total, SUM(CASE WHEN device_hash = ? THEN 1 ELSE 0 END) AS same_device
+     FROM sessions
+     WHERE user_id = ? AND device_hash IS NOT NULL AND expires_at > datetime('now')`,
+    [deviceHash, userId]
+  );
+  if (!known.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  const sessionId = uuidv4();
+  const token = uuidv4();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + SESSION_TTL_DAYS);
+
+  const insert = await executeQuery(
+    `INSERT INTO sessions (id, user_id, token, expires_at, device_name, ip_address, user_agent, device_hash, last_activity_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [sessionId, userId, hashToken(token), expiresAt.toISOString(), deviceName, ipAddress, userAgent, deviceHash]
+  );
+  if (!insert.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  // Первый вход в аккаунт — не повод для тревоги
+  const { total, same_device: sameDevice } = known.data[0];
+  const isNewDevice = total > 0 && !sameDevice;
+  if (isNewDevice) {
+    notifyNewDeviceLogin(userId, { deviceName, ipAddress }).catch((error) => {
+      console.error('Ошибка уведомления о входе с нового устройства:', error.message);
+    });
+  }
+
+  return { success: true, sessionId, token, expiresAt: expiresAt.toISOString(), isNewDevice };
+}
+
+/**
+ * Найти действующую сессию по токену из заголовка Authorization
+ * @param {string} token - Токен клиента
+ * @returns {Promise<Object>} - Результат executeQuery: поля сессии и пользователя; id сессии — session_id (u.id перекрывает s.id)
+ */
+export async function findSessionByToken(token) {
+  return executeQuery(
+    `SELECT s.*, u.*, s.id AS session_id, s.last_activity_at AS session_last_activity_at
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.token = ? AND s.expires_at > datetime('now')`,
+    [hashToken(token)]
+  );
+}
+
+/**
+ * ID пользователя по токену действующей сессии (привязка аккаунтов через OAuth)
+ * @param {string} token - Токен клиента
+ * @returns {Promise<string|null>}
+ */
+export async function getSessionUserId(token) {
+  if (!token) return null;
+  const result = await executeQuery(
+    'SELECT user_id FROM sessions WHERE token = ? AND expires_at > datetime(\'now\')',
+    [hashToken(token)]
+  );
+  return result.success && result.data.length > 0 ? result.data[0].user_id : null;
+}
+
+/**
+ * Отметить активность сессии (не чаще ACTIVITY_UPDATE_INTERVAL_MS)
+ * @param {string} sessionId - ID сессии
+ * @param {string|null} lastActivityAt - Текущее значение last_activity_at (UTC, формат SQLite)
+ */
+export async function touchSession(sessionId, lastActivityAt) {
+  if (Date.now() - (parseSqliteTime(lastActivityAt) || 0) < ACTIVITY_UPDATE_INTERVAL_MS) return;
+
+  await executeQuery(
+    'UPDATE sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [sessionId]
+  );
+}
+
+/**
+ * Активные сессии пользователя
+ * Сессии одного устройства с одного IP объединяются: бот, например, открывает сессию на каждое действие
+ * @param {string} userId - ID пользователя
+ * @param {string} currentSessionId - ID сессии, из которой пришёл запрос
+ * @returns {Promise<Object>} - { success, sessions: [{ id, deviceName, ipAddress, createdAt, lastActivityAt, sessionsCount, isCurrent }] }, время в ISO 8601
+ */
+export async function listUserSessions(userId, currentSessionId) {
+  const result = await executeQuery(
+    `SELECT id, device_name, ip_address, device_hash, created_at, last_activity_at
+     FROM sessions
+     WHERE user_id = ? AND expires_at > datetime('now')
+     ORDER BY COALESCE(last_activity_at, created_at) DESC`,
+    [userId]
+  );
+  if (!result.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  const groups = new Map();
+  for (const row of result.data) {
+    const key = `${row.device_hash}|${row.ip_address}`;
+    const group = groups.get(key);
+    const isCurrent = row.id === currentSessionId;
+
+    if (!group) {
+      groups.set(key, {
+        id: row.id,
+        deviceName: row.device_name || 'Неизвестное устройство',
+        ipAddress: row.ip_address,
+        createdAt: toIsoTime(row.created_at),
+        lastActivityAt: toIsoTime(row.last_activity_at || row.created_at),
+        sessionsCount: 1,
+        isCurrent
+      });
+      continue;
+    }
+
+    group.sessionsCount++;
+    const createdAt = toIsoTime(row.created_at);
+    if (createdAt < group.createdAt) group.createdAt = createdAt;
+    // Текущая сессия представляет группу: её нельзя отозвать отсюда
+    if (isCurrent) {
+      group.id = row.id;
+      group.isCurrent = true;
+    }
+  }
+
+  return { success: true, sessions: [...groups.values()] };
+}
+
+/**
+ * Завершить сессию и другие сессии того же устройства с того же IP
+ * @param {string} userId - ID пользователя
+ * @param {string} sessionId - ID сессии из listUserSessions
+ * @param {string} currentSessionId - ID текущей сессии: её завершает /logout
+ * @returns {Promise<Object>} - { success, revoked } или { success: false, code }
+ */
+export async function revokeUserSession(userId, sessionId, currentSessionId) {
+  if (sessionId === currentSessionId) {
+    return { success: false, code: 'CURRENT_SESSION' };
+  }
+
+  const target = await executeQuery(
+    'SELECT device_hash, ip_address FROM sessions WHERE id = ? AND user_id = ?',
+    [sessionId, userId]
+  );
+  if (!target.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+  if (target.data.length === 0) {
+    return { success: false, code: 'SESSION_NOT_FOUND' };
+  }
+
+  const { device_hash: deviceHash, ip_address: ipAddress } = target.data[0];
+  const result = await executeQuery(
+    `DELETE FROM sessions
+     WHERE user_id = ? AND id != ? AND (id = ? OR (device_hash IS ? AND ip_address IS ?))`,
+    [userId, currentSessionId, sessionId, deviceHash, ipAddress]
+  );
+  if (!result.success) {
+    return { success: false, code: 'DATABASE_ERROR' };
+  }
+
+  return { success: true, revoked: result.changes || 0 };
+}
+
+export default {
+  SESSION_TTL_DAYS,
+  describeUserAgent,
+  getDeviceHash,
+  getClientInfo,
+  createUserSession,
+  findSessionByToken,
+  getSessionUserId,
+  touchSession,
+  listUserSessions,
+  revokeUserSession
+};
@@ -0,0 +1,359 @@
+import { executeQuery } from '../database/db.js';
+import { normalizeSearchText, buildMatchQuery, tokenize } from './userSearchService.js';
+import { visibleListCondition } from './listSharingService.js';
+
+/**
+ * Поиск по контенту сайта: записи стены, рецензии, списки и комментарии
+ *
+ * Индексы FTS5 (post_search_fts, comment_search_fts, list_search_fts) связаны с исходными
+ * таблицами через rowid и хранят нормализованный текст. Строки добавляются и обновляются
+ * из маршрутов записи (wall.js, reviews.js, lists.js), удаляются триггерами.
+ *
+ * Видимость проверяется при поиске:
+ * - авторы и владельцы стен, заблокированные администратором или связанные блокировкой
+ *   с ищущим (в любую сторону), не показываются;
+ * - записи со стены показываются не шире, чем владелец открыл стену (wall_privacy):
+ *   'friends' — друзьям владельца, 'none' — только самому владельцу;
+ * - комментарий виден, только если видна запись, к которой он оставлен;
+ * - список виден по своей видимости (listSharingService.visibleListCondition)
+ */
+
+export const SITE_SEARCH_GROUPS = ['posts', 'reviews', 'lists', 'comments'];
+export const SITE_SEARCH_DEFAULT_LIMIT = 20;
+export const SITE_SEARCH_MAX_LIMIT = 50;
+// Автоматические записи (объявления, «добавил в список») не ищутся: их текст сгенерирован
+export const UNSEARCHABLE_POST_TYPES = ['announcement', 'media_added'];
+// Текст комментария, удалённого при наличии ответов
+const DELETED_COMMENT_CONTENT = '[Комментарий удален]';
+// Сколько символов текста показывать вокруг совпадения
+const SNIPPET_RADIUS = 80;
+const REBUILD_BATCH_SIZE = 500;
+
+// Индексы: исходная таблица, индексируемая колонка и условие, при котором строка ищется
+const INDEXES = {
+  posts: {
+    table: 'post_search_fts',
+    sourceTable: 'wall_posts',
+    textColumn: 'content',
+    condition: `post_type NOT IN (${UNSEARCHABLE_POST_TYPES.map(type => `'${type}'`).join(', ')})
+                AND TRIM(COALESCE(content, '')) != ''`
+  },
+  comments: {
+    table: 'comment_search_fts',
+    sourceTable: 'post_comments',
+    textColumn: 'content',
+    condition: `content != '${DELETED_COMMENT_CONTENT}' AND TRIM(COALESCE(content, '')) != ''`
+  },
+  lists: {
+    table: 'list_search_fts',
+    sourceTable: 'custom_lists',
+    textColumn: 'name',
+    condition: "TRIM(COALESCE(name, '')) != ''"
+  }
+};
+
+/**
+ * Заменить строку индекса; пустой текст только удаляет строку
+ */
+async function replaceIndexRow(table, rowid, text) {
+  await executeQuery(`DELETE FROM ${table} WHERE rowid = ?`, [rowid]);
+  const normalized = normalizeSearchText(text);
+  if (normalized) {
+    await executeQuery(`INSERT INTO ${table} (rowid, content) VALUES (?, ?)`, [rowid, normalized]);
+  }
+}
+
+/**
+ * Обновить строку индекса по id исходной записи
+ * Запись, которая не должна искаться (например, комментарий, удалённый при наличии ответов),
+ * убирается из индекса. Ошибки только логируются: индекс не должен ломать публикацию
+ */
+async function indexById(group, id) {
+  const { table, sourceTable, textColumn, condition } = INDEXES[group];
+  try {
+    const rowResult = await executeQuery(
+      `SELECT rowid, ${textColumn} AS text, (${condition}) AS searchable FROM ${sourceTable} WHERE id = ?`,
+      [id]
+    );
+    if (!rowResult.success || rowResult.data.length === 0) return;
+
+    const row = rowResult.data[0];
+    await replaceIndexRow(table, row.rowid, row.searchable ? row.text : null);
+  } catch (error) {
+    console.error(`Ошибка индексации (${group}) ${id}:`, error.message);
+  }
+}
+
+/**
+ * Проиндексировать запись стены или рецензию после создания или редактирования
+ * @param {string} postId - ID записи в wall_posts
+ */
+export function indexWallPost(postId) {
+  return indexById('posts', postId);
+}
+
+/**
+ * Проиндексировать комментарий после создания, редактирования или мягкого удаления
+ * @param {string} commentId - ID комментария в post_comments
+ */
+export function indexComment(commentId) {
+  return indexById('comments', commentId);
+}
+
+/**
+ * Проиндексировать пользовательский список после создания или переименования
+ * @param {string} listId - ID списка в custom_lists
+ */
+export function indexList(listId) {
+  return indexById('lists', listId);
+}
+
+/**
+ * Сколько строк должно быть в индексе группы
+ * @param {Object} db - Контекст миграции
+ * @param {string} group - posts, comments или lists (рецензии хранятся в индексе записей)
+ */
+export async function countIndexable(db, group) {
+  const { sourceTable, condition } = INDEXES[group];
+  const row = await db.get(`SELECT COUNT(*) as count FROM ${sourceTable} WHERE ${condition}`);
+  return row.count;
+}
+
+/**
+ * Перестроить индекс группы целиком, пачками по REBUILD_BATCH_SIZE строк (миграция 021)
+ * @param {Object} db - Контекст миграции: запросы идут в её транзакции, ошибки бросаются
+ * @param {string} group - posts, comments или lists
+ * @returns {Promise<number>} - Количество проиндексированных строк
+ */
+export async function rebuildSiteSearchIndex(db, group) {
+  const { table, sourceTable, textColumn, condition } = INDEXES[group];
+  await db.run(`DELETE FROM ${table}`);
+
+  let indexed = 0;
+  let lastRowid = 0;
+  for (;;) {
+    const batch = await db.all(
+      `SELECT rowid, ${textColumn} AS text FROM ${sourceTable}
+       WHERE rowid > ? AND ${condition}
+       ORDER BY rowid
+       LIMIT ?`,
+      [lastRowid, REBUILD_BATCH_SIZE]
+    );
+    if (batch.length === 0) break;
+
+    for (const row of batch) {
+      const normalized = normalizeSearchText(row.text);
+      if (normalized) {
+        await db.run(`INSERT INTO ${table} (rowid, content) VALUES (?, ?)`, [row.rowid, normalized]);
+      }
+    }
+    indexed += batch.length;
+    lastRowid = batch[batch.length - 1].rowid;
+  }
+
+  return indexed;
+}
+
+/**
+ * Фрагмент текста вокруг первого совпадения с запросом
+ * @param {string} text - Исходный текст
+ * @param {string} query - Поисковый запрос
+ * @returns {string}
+ */
+export function buildSnippet(text, query) {
+  const source = (text || '').replace(/\s+/g, ' ').trim();
+  if (source.length <= SNIPPET_RADIUS * 2) return source;
+
+  const queryTokens = tokenize(normalizeSearchText(query));
+  let matchIndex = 0;
+  for (const wordMatch of source.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+    const word = normalizeSearchText(wordMatch[0]);
+    if (queryTokens.some(token => word.startsWith(token))) {
+      matchIndex = wordMatch.index;
+      break;
+    }
+  }
+
+  const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+  const end = Math.min(source.length, start + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${source.slice(start, end).trim()}${end < source.length ? '…' : ''}`;
+}
+
+/**
+ * Условие: пользователь (колонка column) не заблокирован администратором
+ * и не связан блокировкой с ищущим
+ */
+function visibleUserCondition(column) {
+  return `${column} IN (SELECT id FROM users WHERE is_blocked = 0)
+    AND ${column} NOT IN (
+      SELECT blocked_user_id FROM user_blocks WHERE user_id = :viewer
+      UNION
+      SELECT user_id FROM user_blocks WHERE blocked_user_id = :viewer
+    )`;
+}
+
+/**
+ * Условие видимости записи стены wp для ищущего: запись не скрыта модератором и не задержана фильтром
+ * (кроме собственных), автор и стена доступны
+ */
+function visiblePostCondition(alias) {
+  return `${alias}.hidden_at IS NULL
+    AND (${alias}.filter_status IS NULL OR ${alias}.user_id = :viewer)
+    AND ${visibleUserCondition(`${alias}.user_id`)}
+    AND ${visibleUserCondition(`${alias}.wall_owner_id`)}
+    AND EXISTS (
+      SELECT 1 FROM users wall_owner
+      WHERE wall_owner.id = ${alias}.wall_owner_id
+        AND (
+          wall_owner.id = :viewer
+          OR COALESCE(wall_owner.wall_privacy, 'all') = 'all'
+          OR (wall_owner.wall_privacy = 'friends' AND EXISTS (
+            SELECT 1 FROM friends f
+            WHERE (f.user_id = :viewer AND f.friend_id = wall_owner.id)
+               OR (f.user_id = wall_owner.id AND f.friend_id = :viewer)
+          ))
+        )
+    )`;
+}
+
+/**
+ * Подставить именованные параметры (:viewer, :match) в позиционные
+ * executeQuery передаёт параметры массивом, поэтому имена разворачиваются по порядку вхождения
+ */
+function bindNamed(sql, values) {
+  const params = [];
+  const text = sql.replace(/:(viewer|match)\b/g, (_, name) => {
+    params.push(values[name]);
+    return '?';
+  });
+  return { text, params };
+}
+
+const authorOf = (row) => ({
+  id: row.author_id,
+  displayName: row.author_display_name,
+  avatarUrl: row.author_avatar_url
+});
+
+const GROUP_QUERIES = {
+  posts: {
+    sql: `SELECT wp.id, wp.post_type, wp.content, wp.tmdb_id, wp.media_type, wp.poster_path, wp.created_at,
+                 wp.wall_owner_id, author.id AS author_id, author.display_name AS author_display_name,
+                 author.avatar_url AS author_avatar_url, COUNT(*) OVER () AS total
+          FROM (SELECT rowid, rank FROM post_search_fts WHERE post_search_fts MATCH :match) f
+          JOIN wall_posts wp ON wp.rowid = f.rowid
+          JOIN users author ON author.id = wp.user_id
+          WHERE wp.post_type != 'review' AND ${visiblePostCondition('wp')}
+          ORDER BY f.rank, wp.created_at DESC`,
+    map: (row, query) => ({
+      id: row.id,
+      postType: row.post_type,
+      snippet: buildSnippet(row.content, query),
+      tmdbId: row.tmdb_id,
+      mediaType: row.media_type,
+      wallOwnerId: row.wall_owner_id,
+      createdAt: row.created_at,
+      author: authorOf(row)
+    })
+  },
+  reviews: {
+    sql: `SELECT wp.id, wp.content, wp.tmdb_id, wp.media_type, wp.poster_path, wp.rating, wp.created_at,
+                 author.id AS author_id, author.display_name AS author_display_name,
+                 author.avatar_url AS author_avatar_url, COUNT(*) OVER () AS total
+          FROM (SELECT rowid, rank FROM post_search_fts WHERE post_search_fts MATCH :match) f
+          JOIN wall_posts wp ON wp.rowid = f.rowid
+          JOIN users author ON author.id = wp.user_id
+          WHERE wp.post_type = 'review' AND ${visiblePostCondition('wp')}
+          ORDER BY f.rank, wp.created_at DESC`,
+    map: (row, query) => {
+      // Формат рецензии: первая строка — название, остальное — текст
+      const [title, ...textLines] = (row.content || '').split('\n');
+      return {
+        id: row.id,
+        title,
+        snippet: buildSnippet(textLines.join('\n'), query),
+        tmdbId: row.tmdb_id,
+        mediaType: row.media_type,
+        posterPath: row.poster_path,
+        rating: row.rating,
+        createdAt: row.created_at,
+        author: authorOf(row)
+      };
+    }
+  },
+  lists: {
+    sql: `SELECT cl.id, cl.name, cl.media_type, cl.created_at,
+                 (SELECT COUNT(*) FROM list_items li WHERE li.list_id = cl.id) AS items_count,
+                 author.id AS author_id, author.display_name AS author_display_name,
+                 author.avatar_url AS author_avatar_url, COUNT(*) OVER () AS total
+          FROM (SELECT rowid, rank FROM list_search_fts WHERE list_search_fts MATCH :match) f
+          JOIN custom_lists cl ON cl.rowid = f.rowid
+          JOIN users author ON author.id = cl.user_id
+          WHERE cl.hidden_at IS NULL AND ${visibleUserCondition('cl.user_id')}
+            AND ${visibleListCondition('cl', ':viewer')}
+          ORDER BY f.rank, items_count DESC`,
+    map: (row) => ({
+      id: row.id,
+      name: row.name,
+      mediaType: row.media_type,
+      itemsCount: row.items_count,
+      createdAt: row.created_at,
+      author: authorOf(row)
+    })
+  },
+  comments: {
+    sql: `SELECT pc.id, pc.post_id, pc.content, pc.created_at,
+                 author.id AS author_id, author.display_name AS author_display_name,
+                 author.avatar_url AS author_avatar_url, COUNT(*) OVER () AS total
+          FROM (SELECT rowid, rank FROM comment_search_fts WHERE comment_search_fts MATCH :match) f
+          JOIN post_comments pc ON pc.rowid = f.rowid
+          JOIN wall_posts wp ON wp.id = pc.post_id
+          JOIN users author ON author.id = pc.user_id
+          WHERE pc.hidden_at IS NULL AND (pc.filter_status IS NULL OR pc.user_id = :viewer)
+            AND ${visibleUserCondition('pc.user_id')} AND ${visiblePostCondition('wp')}
+          ORDER BY f.rank, pc.created_at DESC`,
+    map: (row, query) => ({
+      id: row.id,
+      postId: row.post_id,
+      snippet: buildSnippet(row.content, query),
+      createdAt: row.created_at,
+      author: authorOf(row)
+    })
+  }
+};
+
+/**
+ * Найти контент одной группы
+ * @param {string} viewerId - ID пользователя, который ищет
+ * @param {string} group - Одна из SITE_SEARCH_GROUPS
+ * @param {string} query - Поисковый запрос
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<Object|null>} - { items, total, hasMore }, null при ошибке БД
+ */
+export async function searchContent(viewerId, group, query, { limit = SITE_SEARCH_DEFAULT_LIMIT, offset = 0 } = {}) {
+  const matchQuery = buildMatchQuery(query);
+  if (!matchQuery) {
+    return { items: [], total: 0, hasMore: false };
+  }
+
+  const { sql, map } = GROUP_QUERIES[group];
+  const { text, params } = bindNamed(`${sql} LIMIT ? OFFSET ?`, { viewer: viewerId, match: matchQuery });
+  const result = await executeQuery(text, [...params, limit, offset]);
+  if (!result.success) return null;
+
+  const total = result.data[0]?.total || 0;
+  const items = result.data.map(row => map(row, query));
+  return { items, total, hasMore: offset + items.length < total };
+}
+
+export default {
+  indexWallPost,
+  indexComment,
+  indexList,
+  countIndexable,
+  rebuildSiteSearchIndex,
+  buildSnippet,
+  searchContent
+};
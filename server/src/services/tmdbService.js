@@ -213,35 +213,66 @@ class TMDbService {
    * Поиск фильмов
    * @param {string} query - Поисковый запрос
    * @param {number} page - Номер страницы (по умолчанию 1)
+   * @param {Object} options - Дополнительные параметры
+   * @param {number} options.year - Год выхода (опционально)
    * @returns {Promise<Object>} Результаты поиска
    */
-  async searchMovies(query, page = 1) {
+  async searchMovies(query, page = 1, options = {}) {
     if (!query || query.trim() === '') {
       throw new Error('Поисковый запрос не может быть пустым');
     }
 
-    return await this.makeRequest('/search/movie', {
+    const params = {
       query: query.trim(),
       page,
       include_adult: false
-    });
+    };
+
+    if (options.year) {
+      params.primary_release_year = options.year;
+    }
+
+    return await this.makeRequest('/search/movie', params);
   }
 
   /**
    * Поиск сериалов
    * @param {string} query - Поисковый запрос
    * @param {number} page - Номер страницы (по умолчанию 1)
+   * @param {Object} options - Дополнительные параметры
+   * @param {number} options.year - Год первого эфира (опционально)
    * @returns {Promise<Object>} Результаты поиска
    */
-  async searchTV(query, page = 1) {
+  async searchTV(query, page = 1, options = {}) {
     if (!query || query.trim() === '') {
       throw new Error('Поисковый запрос не может быть пустым');
     }
 
-    return await this.makeRequest('/search/tv', {
+    const params = {
       query: query.trim(),
       page,
       include_adult: false
+    };
+
+    if (options.year) {
+      params.first_air_date_year = options.year;
+    }
+
+    return await this.makeRequest('/search/tv', params);
+  }
+
+  /**
+   * Поиск фильма или сериала по IMDb ID
+   * @param {string} imdbId - IMDb ID вида tt0111161
+   * @returns {Promise<Object>} Результаты поиска (movie_results, tv_results, ...)
+   */
+  async findByImdbId(imdbId) {
+    if (!imdbId || !/^tt\d+$/.test(imdbId)) {
+      throw new Error('IMDb ID должен быть вида tt1234567');
+    }
+
+    return await this.makeRequest(`/find/${imdbId}`, {
+      external_source: 'imdb_id'
     });
   }
 
@@ -256,7 +287,7 @@ class TMDbService {
     }
 
     return await this.makeRequest(`/movie/${movieId}`, {
-      append_to_response: 'credits,videos,images,recommendations'
+      append_to_response: 'credits,videos,images,recommendations,keywords'
     });
   }
 
@@ -271,10 +302,24 @@ class TMDbService {
     }
 
     return await this.makeRequest(`/tv/${tvId}`, {
-      append_to_response: 'credits,videos,images,recommendations'
+      append_to_response: 'credits,videos,images,recommendations,keywords'
     });
   }
 
+  /**
+   * Получение дат выхода фильма по странам
+   * @param {number} movieId - ID фильма в TMDb
+   * @returns {Promise<Object>} { results: [{ iso_3166_1, release_dates: [{ type, release_date }] }] }
+   * type: 1 премьера, 2 ограниченный прокат, 3 кинотеатры, 4 цифровой релиз, 5 физический носитель, 6 ТВ
+   */
+  async getMovieReleaseDates(movieId) {
+    if (!movieId || typeof movieId !== 'number') {
+      throw new Error('ID фильма должен быть числом');
+    }
+
+    return await this.makeRequest(`/movie/${movieId}/release_dates`);
+  }
+
   async getPersonDetails(personId) {
     if (!personId || typeof personId !== 'number') {
       throw new Error('ID персоны должен быть числом');
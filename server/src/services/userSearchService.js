@@ -0,0 +1,202 @@
+import { executeQuery } from '../database/db.js';
+
+/**
+ * Поиск пользователей по индексу FTS5 (user_search_fts)
+ *
+ * В индекс попадают нормализованные display_name и telegram_username: SQLite LOWER()
+ * не складывает кириллицу, поэтому регистр и «ё» приводятся здесь, на стороне приложения.
+ * Строка индекса связана с users через rowid, поэтому обновление — замена одной строки.
+ *
+ * Личные никнеймы (user_nicknames) видны только тому, кто их задал, поэтому ищутся
+ * отдельно среди никнеймов текущего пользователя и объединяются с результатами индекса
+ */
+
+export const USER_SEARCH_DEFAULT_LIMIT = 20;
+export const USER_SEARCH_MAX_LIMIT = 50;
+// Больше слов в запросе не нужно: имя + фамилия + username
+const MAX_QUERY_TOKENS = 5;
+// Сколько совпавших по никнейму пользователей подставлять в запрос
+const MAX_NICKNAME_MATCHES = 200;
+
+/**
+ * Нормализовать текст для индекса и запроса: Unicode-регистр, «ё» → «е», без знаков ударения
+ */
+export function normalizeSearchText(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .trim();
+}
+
+/**
+ * Слова запроса (буквы и цифры любых алфавитов), как их разбивает токенизатор unicode61
+ */
+export function tokenize(normalized) {
+  return normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, MAX_QUERY_TOKENS);
+}
+
+/**
+ * Выражение MATCH: каждое слово запроса — префикс слова в имени или username
+ * @returns {string|null} - null, если в запросе нет ни одного слова
+ */
+export function buildMatchQuery(query) {
+  const tokens = tokenize(normalizeSearchText(query));
+  if (tokens.length === 0) return null;
+  return tokens.map(token => `"${token}"*`).join(' ');
+}
+
+/**
+ * Обновить строку индекса пользователя после создания или изменения профиля
+ * Ошибки только логируются: индекс не должен ломать регистрацию и сохранение профиля
+ * @param {string} userId - ID пользователя
+ */
+export async function indexUser(userId) {
+  try {
+    const userResult = await executeQuery(
+      'SELECT rowid, id, display_name, telegram_username FROM users WHERE id = ?',
+      [userId]
+    );
+    if (!userResult.success || userResult.data.length === 0) return;
+
+    const user = userResult.data[0];
+    await executeQuery('DELETE FROM user_search_fts WHERE rowid = ?', [user.rowid]);
+    await executeQuery(
+      'INSERT INTO user_search_fts (rowid, user_id, display_name, telegram_username) VALUES (?, ?, ?, ?)',
+      [user.rowid, user.id, normalizeSearchText(user.display_name), normalizeSearchText(user.telegram_username)]
+    );
+  } catch (error) {
+    console.error(`Ошибка обновления поискового индекса пользователя ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Перестроить индекс целиком (миграция 017)
+ * @param {Object} db - Контекст миграции: запросы идут в её транзакции, ошибки бросаются
+ * @returns {Promise<number>} - Количество проиндексированных пользователей
+ */
+export async function rebuildUserSearchIndex(db) {
+  const users = await db.all('SELECT rowid, id, display_name, telegram_username FROM users');
+
+  await db.run('DELETE FROM user_search_fts');
+  for (const user of users) {
+    await db.run(
+      'INSERT INTO user_search_fts (rowid, user_id, display_name, telegram_username) VALUES (?, ?, ?, ?)',
+      [user.rowid, user.id, normalizeSearchText(user.display_name), normalizeSearchText(user.telegram_username)]
+    );
+  }
+
+  return users.length;
+}
+
+/**
+ * Пользователи, которым текущий пользователь дал никнейм, подходящий под запрос
+ * @returns {Promise<Map<string, Object>>} - target_user_id -> { nickname, isPrefix }
+ */
+async function matchNicknames(viewerId, normalizedQuery) {
+  const matches = new Map();
+  const queryTokens = tokenize(normalizedQuery);
+  if (queryTokens.length === 0) return matches;
+
+  const result = await executeQuery(
+    'SELECT target_user_id, nickname FROM user_nicknames WHERE set_by_user_id = ?',
+    [viewerId]
+  );
+  if (!result.success) return matches;
+
+  for (const row of result.data) {
+    const normalized = normalizeSearchText(row.nickname);
+    const words = tokenize(normalized);
+    const allTokensMatch = queryTokens.every(token => words.some(word => word.startsWith(token)));
+    if (!allTokensMatch) continue;
+
+    matches.set(row.target_user_id, { nickname: row.nickname, isPrefix: normalized.startsWith(normalizedQuery) });
+    if (matches.size >= MAX_NICKNAME_MATCHES) break;
+  }
+
+  return matches;
+}
+
+/**
+ * Найти пользователей
+ * Порядок: свои никнеймы, совпадение с началом имени/username, число общих друзей, релевантность
+ * @param {string} viewerId - ID пользователя, который ищет
+ * @param {string} query - Поисковый запрос
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<Object|null>} - { users, total, hasMore }, null при ошибке БД
+ */
+export async function searchUsers(viewerId, query, { limit = USER_SEARCH_DEFAULT_LIMIT, offset = 0 } = {}) {
+  const normalizedQuery = normalizeSearchText(query).replace(/^@/, '');
+  const matchQuery = buildMatchQuery(normalizedQuery);
+  if (!matchQuery) {
+    return { users: [], total: 0, hasMore: false };
+  }
+
+  const nicknameMatches = await matchNicknames(viewerId, normalizedQuery);
+  const nicknameRows = [...nicknameMatches.entries()];
+  const nicknameSelect = nicknameRows
+    .map(() => 'SELECT ? AS user_id, NULL AS relevance, ? AS is_prefix, 1 AS by_nickname')
+    .join(' UNION ALL ');
+
+  const prefixLength = normalizedQuery.length;
+
+  const result = await executeQuery(
+    `SELECT u.id, u.telegram_username, u.display_name, u.avatar_url, u.user_status, u.is_admin, u.created_at,
+            (SELECT COUNT(*) FROM friends mine
+             JOIN friends theirs ON theirs.friend_id = mine.friend_id
+             WHERE mine.user_id = ? AND theirs.user_id = u.id) AS mutual_friends,
+            COUNT(*) OVER () AS total
+     FROM (
+       SELECT user_id, MIN(relevance) AS relevance, MAX(is_prefix) AS is_prefix, MAX(by_nickname) AS by_nickname
+       FROM (
+         SELECT user_id, rank AS relevance,
+                (substr(display_name, 1, ?) = ? OR substr(telegram_username, 1, ?) = ?) AS is_prefix,
+                0 AS by_nickname
+         FROM user_search_fts
+         WHERE user_search_fts MATCH ?
+         ${nicknameSelect ? `UNION ALL ${nicknameSelect}` : ''}
+       )
+       GROUP BY user_id
+     ) m
+     JOIN users u ON u.id = m.user_id
+     WHERE u.is_blocked = 0
+     ORDER BY m.by_nickname DESC, m.is_prefix DESC, mutual_friends DESC,
+              COALESCE(m.relevance, 0) ASC, u.display_name ASC
+     LIMIT ? OFFSET ?`,
+    [
+      viewerId,
+      prefixLength, normalizedQuery, prefixLength, normalizedQuery,
+      matchQuery,
+      ...nicknameRows.flatMap(([userId, match]) => [userId, match.isPrefix ? 1 : 0]),
+      limit, offset
+    ]
+  );
+
+  if (!result.success) return null;
+
+  const total = result.data[0]?.total || 0;
+  const users = result.data.map(user => ({
+    id: user.id,
+    telegramUsername: user.telegram_username,
+    displayName: user.display_name,
+    avatarUrl: user.avatar_url,
+    userStatus: user.user_status,
+    isAdmin: Boolean(user.is_admin),
+    createdAt: user.created_at,
+    nickname: nicknameMatches.get(user.id)?.nickname || null,
+    mutualFriends: user.mutual_friends
+  }));
+
+  return { users, total, hasMore: offset + users.length < total };
+}
+
+export default {
+  normalizeSearchText,
+  buildMatchQuery,
+  indexUser,
+  rebuildUserSearchIndex,
+  searchUsers
+};
@@ -1,36 +1,127 @@
 import { WebSocketServer } from 'ws';
+import { randomUUID } from 'crypto';
 import { executeQuery } from '../database/db.js';
+import { createBroker } from './realtimeBroker.js';
+import { hashToken } from '../utils/tokenSecurity.js';
+import {
+  getConversationRecipients,
+  filterPresenceViewers,
+  getConversationPartners,
+  touchLastSeen
+} from './presenceService.js';
 
 let wss = null;
-export const clients = new Map(); // userId -> WebSocket connection
+let heartbeatInterval = null;
+export const clients = new Map(); // userId -> Set<WebSocket> (вкладки и устройства пользователя) этого процесса
+
+// Брокер pub/sub: при нескольких процессах (PM2 cluster) соединения пользователя могут быть в любом из них,
+// поэтому каждое событие публикуется, и его доставляет процесс, в котором есть сокеты получателя
+const REALTIME_CHANNEL = 'watchrebel:realtime';
+const WORKER_ID = randomUUID();
+let broker = null;
+let ownsBroker = false;
+let unsubscribeBroker = null;
+let unsubscribePresence = null;
+
+// Интервал ping/pong: соединение, не ответившее на ping за интервал, считается мёртвым
+const HEARTBEAT_INTERVAL = 30000;
+// Соединение без аутентификации закрывается через это время
+const AUTH_TIMEOUT = 10000;
+// Сколько держим в кэше соединения список получателей событий набора для диалога
+const TYPING_RECIPIENTS_TTL = 60000;
+
+const PRESENCE_STATUSES = ['online', 'away'];
+const lastPresence = new Map(); // userId -> последний разосланный статус (по всем процессам)
+
+// Статусы присутствия других процессов: каждый процесс публикует статусы своих пользователей
+// при изменении и снимком раз в PRESENCE_SYNC_INTERVAL. Процесс, от которого нет снимков
+// дольше PRESENCE_WORKER_TTL, считается остановленным, и его статусы отбрасываются
+const PRESENCE_CHANNEL = 'watchrebel:presence';
+const PRESENCE_SYNC_INTERVAL = 15000;
+const PRESENCE_WORKER_TTL = PRESENCE_SYNC_INTERVAL * 3;
+const remotePresence = new Map(); // workerId -> { statuses: Map<userId, status>, seenAt }
+let presenceSyncInterval = null;
 
 /**
  * Инициализация WebSocket сервера
+ * @param {http.Server} server - HTTP сервер
+ * @param {Object} options
+ * @param {Object} options.broker - Брокер pub/sub (по умолчанию createBroker() по REALTIME_BROKER)
  */
-export function initWebSocket(server) {
+export function initWebSocket(server, options = {}) {
   wss = new WebSocketServer({ server, path: '/ws' });
 
+  ownsBroker = !options.broker;
+  broker = options.broker || createBroker();
+  broker.subscribe(REALTIME_CHANNEL, handleBrokerMessage)
+    .then((unsubscribe) => {
+      unsubscribeBroker = unsubscribe;
+    })
+    .catch((error) => {
+      console.error('❌ Не удалось подписаться на канал realtime-событий:', error);
+    });
+  broker.subscribe(PRESENCE_CHANNEL, handlePresenceMessage)
+    .then((unsubscribe) => {
+      unsubscribePresence = unsubscribe;
+      // Запрашиваем снимки статусов у уже работающих процессов
+      publishPresence({ sync: true });
+    })
+    .catch((error) => {
+      console.error('❌ Не удалось подписаться на канал статусов присутствия:', error);
+    });
+
   wss.on('connection', async (ws, req) => {
     console.log('🔌 Новое WebSocket подключение');
 
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const authTimeout = setTimeout(() => {
+      if (!ws.userId) ws.close();
+    }, AUTH_TIMEOUT);
+
     // Ждем аутентификации
     ws.on('message', async (message) => {
       try {
         const data = JSON.parse(message.toString());
 
-        // Аутентификация по токену
+        // Аутентификация по токену — отдельно для каждого соединения
         if (data.type === 'auth' && data.token) {
-          const userId = await authenticateWebSocket(data.token);
+          const user = await authenticateWebSocket(data.token);
           
-          if (userId) {
+          if (user) {
+            const userId = user.id;
+            clearTimeout(authTimeout);
+            // Повторная аутентификация соединения другим пользователем
+            if (ws.userId && ws.userId !== userId) {
+              removeClient(ws);
+              updatePresence(ws.userId);
+            }
             ws.userId = userId;
-            clients.set(userId, ws);
+            ws.displayName = user.displayName;
+            ws.presenceStatus = 'online';
+            ws.typingRecipients = new Map();
+            addClient(ws);
             ws.send(JSON.stringify({ type: 'auth', success: true, userId }));
-            console.log(`✅ WebSocket аутентифицирован: user ${userId}`);
+            console.log(`✅ WebSocket аутентифицирован: user ${userId} (соединений: ${clients.get(userId).size})`);
+            updatePresence(userId);
           } else {
             ws.send(JSON.stringify({ type: 'auth', success: false, error: 'Invalid token' }));
             ws.close();
           }
+          return;
+        }
+
+        // Остальные события принимаем только от аутентифицированных соединений
+        if (!ws.userId) return;
+
+        if ((data.type === 'typing_start' || data.type === 'typing_stop') && typeof data.conversationId === 'string') {
+          await relayTyping(ws, data.conversationId, data.type === 'typing_start');
+        } else if (data.type === 'presence' && PRESENCE_STATUSES.includes(data.status)) {
+          ws.presenceStatus = data.status;
+          updatePresence(ws.userId);
         }
       } catch (error) {
         console.error('❌ Ошибка обработки WebSocket сообщения:', error);
@@ -38,8 +129,10 @@ export function initWebSocket(server) {
     });
 
     ws.on('close', () => {
+      clearTimeout(authTimeout);
       if (ws.userId) {
-        clients.delete(ws.userId);
+        removeClient(ws);
+        updatePresence(ws.userId);
         console.log(`🔌 WebSocket отключен: user ${ws.userId}`);
       }
     });
@@ -49,24 +142,329 @@ export function initWebSocket(server) {
     });
   });
 
-  console.log('🚀 WebSocket сервер запущен на /ws');
+  // Heartbeat: закрываем соединения, которые не ответили на предыдущий ping
+  // (телефон ушёл в сон, пропала сеть — close в таких случаях не приходит)
+  heartbeatInterval = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (ws.isAlive === false) {
+        console.log(`💀 WebSocket не отвечает на ping, закрываем: user ${ws.userId || 'не аутентифицирован'}`);
+        removeClient(ws);
+        if (ws.userId) updatePresence(ws.userId);
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  presenceSyncInterval = setInterval(() => {
+    publishPresenceSnapshot();
+    expireRemotePresence();
+  }, PRESENCE_SYNC_INTERVAL);
+
+  wss.on('close', () => {
+    clearInterval(heartbeatInterval);
+    clearInterval(presenceSyncInterval);
+  });
+
+  console.log(`🚀 WebSocket сервер запущен на /ws (брокер: ${broker.name})`);
+}
+
+/**
+ * Остановить WebSocket сервер и закрыть все соединения
+ * @returns {Promise<void>} - Завершается после отправки последнего снимка статусов и закрытия брокера
+ */
+export async function closeWebSocket() {
+  if (!wss) return;
+
+  clearInterval(heartbeatInterval);
+  clearInterval(presenceSyncInterval);
+  wss.clients.forEach(ws => ws.terminate());
+  wss.close();
+  clients.clear();
+  // Пустой снимок: остальные процессы сразу забывают статусы пользователей этого процесса.
+  // Брокер закрываем только после публикации, иначе снимок может не уйти в Redis
+  const finalSnapshot = publishPresenceSnapshot();
+  lastPresence.clear();
+  remotePresence.clear();
+  wss = null;
+
+  const closingBroker = ownsBroker ? broker : null;
+  const unsubscribers = [unsubscribeBroker, unsubscribePresence].filter(Boolean);
+  unsubscribeBroker = null;
+  unsubscribePresence = null;
+  broker = null;
+
+  await finalSnapshot;
+  await Promise.all(unsubscribers.map(unsubscribe => unsubscribe()));
+  if (closingBroker) await closingBroker.close();
+}
+
+/**
+ * Опубликовать событие для остальных процессов
+ * @param {string|null} userId - Получатель; null — всем онлайн-пользователям
+ */
+function publish(userId, payload) {
+  if (!broker) return;
+
+  broker.publish(REALTIME_CHANNEL, JSON.stringify({ origin: WORKER_ID, userId, payload }))
+    .catch((error) => {
+      console.error('❌ Ошибка публикации realtime-события:', error);
+    });
+}
+
+/**
+ * Доставить событие, опубликованное другим процессом, в соединения этого процесса
+ * Свои публикации пропускаем: они уже доставлены локально в sendToUser/broadcast
+ */
+function handleBrokerMessage(message) {
+  try {
+    const { origin, userId, payload } = JSON.parse(message);
+    if (origin === WORKER_ID || !payload) return;
+
+    if (userId) {
+      deliverToUser(userId, payload);
+    } else {
+      deliverToAll(payload);
+    }
+  } catch (error) {
+    console.error('❌ Ошибка обработки realtime-события из брокера:', error);
+  }
+}
+
+/**
+ * Зарегистрировать аутентифицированное соединение пользователя
+ */
+function addClient(ws) {
+  let sockets = clients.get(ws.userId);
+  if (!sockets) {
+    sockets = new Set();
+    clients.set(ws.userId, sockets);
+  }
+  sockets.add(ws);
+}
+
+/**
+ * Удалить соединение; пользователь убирается из clients, только когда закрыто последнее
+ */
+function removeClient(ws) {
+  const sockets = clients.get(ws.userId);
+  if (!sockets) return;
+
+  sockets.delete(ws);
+  if (sockets.size === 0) {
+    clients.delete(ws.userId);
+  }
+}
+
+/**
+ * Статус пользователя по его соединениям в этом процессе
+ */
+function getLocalPresence(userId) {
+  const sockets = clients.get(userId);
+  if (!sockets || sockets.size === 0) return 'offline';
+
+  for (const ws of sockets) {
+    if (ws.presenceStatus !== 'away') return 'online';
+  }
+  return 'away';
+}
+
+/**
+ * Статусы пользователя в других процессах (без offline)
+ */
+function getRemotePresence(userId) {
+  const statuses = [];
+  remotePresence.forEach((worker) => {
+    const status = worker.statuses.get(userId);
+    if (status) statuses.push(status);
+  });
+  return statuses;
+}
+
+/**
+ * Текущий статус пользователя по всем его соединениям во всех процессах
+ * online — хотя бы одна активная вкладка, away — все вкладки в фоне, offline — соединений нет
+ * @param {string} userId - ID пользователя
+ * @returns {'online'|'away'|'offline'}
+ */
+export function getUserPresence(userId) {
+  const statuses = [getLocalPresence(userId), ...getRemotePresence(userId)];
+  if (statuses.includes('online')) return 'online';
+  if (statuses.includes('away')) return 'away';
+  return 'offline';
+}
+
+/**
+ * Запомнить статус пользователя по всем процессам
+ * @returns {{status: string, previous: string}|null} - null, если статус не изменился
+ */
+function refreshPresence(userId) {
+  const status = getUserPresence(userId);
+  const previous = lastPresence.get(userId) || 'offline';
+  if (status === previous) return null;
+
+  if (status === 'offline') lastPresence.delete(userId);
+  else lastPresence.set(userId, status);
+  return { status, previous };
+}
+
+/**
+ * Опубликовать в канал статусов сообщение от имени этого процесса
+ * @returns {Promise<void>} - Ошибка публикации только логируется
+ */
+function publishPresence(message) {
+  if (!broker) return Promise.resolve();
+
+  return broker.publish(PRESENCE_CHANNEL, JSON.stringify({ origin: WORKER_ID, ...message }))
+    .catch((error) => {
+      console.error('❌ Ошибка публикации статуса присутствия:', error);
+    });
+}
+
+/**
+ * Опубликовать статусы всех пользователей этого процесса
+ */
+function publishPresenceSnapshot() {
+  const snapshot = {};
+  clients.forEach((sockets, userId) => {
+    const status = getLocalPresence(userId);
+    if (status !== 'offline') snapshot[userId] = status;
+  });
+  return publishPresence({ snapshot });
+}
+
+/**
+ * Принять статусы другого процесса
+ * Собеседникам статус рассылает процесс, в котором он изменился, здесь только обновляем lastPresence
+ */
+function handlePresenceMessage(message) {
+  try {
+    const { origin, userId, status, snapshot, sync } = JSON.parse(message);
+    if (origin === WORKER_ID) return;
+
+    if (sync) {
+      publishPresenceSnapshot();
+      return;
+    }
+
+    let worker = remotePresence.get(origin);
+    if (!worker) {
+      worker = { statuses: new Map(), seenAt: Date.now() };
+      remotePresence.set(origin, worker);
+    }
+
+    if (snapshot) {
+      const affected = new Set([...worker.statuses.keys(), ...Object.keys(snapshot)]);
+      worker.statuses = new Map(Object.entries(snapshot).filter(([, value]) => PRESENCE_STATUSES.includes(value)));
+      worker.seenAt = Date.now();
+      if (worker.statuses.size === 0) remotePresence.delete(origin);
+      affected.forEach(refreshPresence);
+    } else if (userId) {
+      if (PRESENCE_STATUSES.includes(status)) worker.statuses.set(userId, status);
+      else worker.statuses.delete(userId);
+      refreshPresence(userId);
+    }
+  } catch (error) {
+    console.error('❌ Ошибка обработки статуса присутствия из брокера:', error);
+  }
+}
+
+/**
+ * Отбросить статусы процессов, которые перестали присылать снимки
+ */
+function expireRemotePresence() {
+  const now = Date.now();
+  remotePresence.forEach((worker, workerId) => {
+    if (now - worker.seenAt <= PRESENCE_WORKER_TTL) return;
+    remotePresence.delete(workerId);
+    worker.statuses.forEach((status, userId) => refreshPresence(userId));
+  });
+}
+
+/**
+ * Пересчитать статус пользователя после изменения его соединений в этом процессе:
+ * опубликовать статус для остальных процессов и разослать собеседникам, если общий статус изменился
+ */
+async function updatePresence(userId) {
+  publishPresence({ userId, status: getLocalPresence(userId) });
+
+  const change = refreshPresence(userId);
+  if (!change) return;
+  const { status, previous } = change;
+
+  try {
+    // "Был в сети" фиксируем, когда пользователь перестаёт быть активным
+    let lastSeenAt = null;
+    if (previous === 'online') {
+      await touchLastSeen(userId);
+      lastSeenAt = new Date().toISOString();
+    }
+
+    // Рассылаем только тем собеседникам, кто сейчас онлайн (в любом процессе)
+    // и кому разрешено видеть статус
+    const allPartners = await getConversationPartners(userId);
+    const partners = allPartners.filter(isUserOnline);
+    const viewers = await filterPresenceViewers(userId, partners);
+
+    viewers.forEach(viewerId => {
+      sendToUser(viewerId, {
+        type: 'presence',
+        userId,
+        status,
+        lastSeenAt
+      });
+    });
+  } catch (error) {
+    console.error('❌ Ошибка рассылки статуса присутствия:', error);
+  }
+}
+
+/**
+ * Переслать событие набора текста остальным участникам диалога
+ * Получатели кэшируются на соединении, чтобы не ходить в БД на каждое нажатие
+ */
+async function relayTyping(ws, conversationId, isTyping) {
+  let cached = ws.typingRecipients.get(conversationId);
+
+  if (!cached || Date.now() - cached.loadedAt > TYPING_RECIPIENTS_TTL) {
+    const recipients = await getConversationRecipients(conversationId, ws.userId);
+    cached = { recipients, loadedAt: Date.now() };
+    ws.typingRecipients.set(conversationId, cached);
+  }
+
+  // Не участник диалога — молча игнорируем
+  if (!cached.recipients) return;
+
+  cached.recipients.forEach(recipientId => {
+    sendToUser(recipientId, {
+      type: 'typing',
+      conversationId,
+      userId: ws.userId,
+      displayName: ws.displayName,
+      isTyping
+    });
+  });
 }
 
 /**
  * Аутентификация WebSocket соединения по токену
+ * @returns {Promise<{id: string, displayName: string}|null>}
  */
 async function authenticateWebSocket(token) {
   try {
     const result = await executeQuery(
-      `SELECT u.id
+      `SELECT u.id, u.display_name
        FROM sessions s
        JOIN users u ON s.user_id = u.id
        WHERE s.token = ? AND s.expires_at > datetime('now')`,
-      [token]
+      [hashToken(token)]
     );
 
     if (result.success && result.data.length > 0) {
-      return result.data[0].id;
+      return { id: result.data[0].id, displayName: result.data[0].display_name };
     }
     return null;
   } catch (error) {
@@ -75,50 +473,116 @@ async function authenticateWebSocket(token) {
   }
 }
 
+/**
+ * Отправить событие во все открытые соединения пользователя (все вкладки и устройства)
+ * Событие доставляется в соединения этого процесса и публикуется в брокер для остальных
+ * @param {string} userId - ID пользователя
+ * @param {Object} payload - Событие, сериализуется в JSON один раз
+ * @returns {number} - Количество соединений этого процесса, в которые событие отправлено
+ */
+export function sendToUser(userId, payload) {
+  const delivered = deliverToUser(userId, payload);
+  publish(userId, payload);
+  return delivered;
+}
+
+/**
+ * Отправить событие в соединения пользователя в этом процессе
+ * @returns {number} - Количество соединений, в которые событие отправлено
+ */
+function deliverToUser(userId, payload) {
+  const sockets = clients.get(userId);
+  if (!sockets) return 0;
+
+  const data = JSON.stringify(payload);
+  let delivered = 0;
+
+  sockets.forEach((ws) => {
+    if (ws.readyState !== 1) return;
+    try {
+      ws.send(data);
+      delivered++;
+    } catch (error) {
+      console.error(`❌ Ошибка отправки WebSocket события пользователю ${userId}:`, error);
+    }
+  });
+
+  return delivered;
+}
+
+/**
+ * Отправить событие всем онлайн-пользователям всех процессов
+ * @returns {number} - Количество пользователей этого процесса, получивших событие
+ */
+function broadcast(payload) {
+  const delivered = deliverToAll(payload);
+  publish(null, payload);
+  return delivered;
+}
+
+/**
+ * Отправить событие всем онлайн-пользователям этого процесса
+ */
+function deliverToAll(payload) {
+  let delivered = 0;
+  clients.forEach((sockets, userId) => {
+    if (deliverToUser(userId, payload) > 0) delivered++;
+  });
+  return delivered;
+}
+
+/**
+ * Есть ли у пользователя хотя бы одно открытое соединение в этом или другом процессе
+ */
+export function isUserOnline(userId) {
+  const sockets = clients.get(userId);
+  if (sockets) {
+    for (const ws of sockets) {
+      if (ws.readyState === 1) return true;
+    }
+  }
+  return getRemotePresence(userId).length > 0;
+}
+
+/**
+ * Дошло ли событие до пользователя: отправлено в соединения этого процесса
+ * или опубликовано для процесса, к которому подключён пользователь
+ */
+function isDelivered(userId, delivered) {
+  return delivered > 0 || getRemotePresence(userId).length > 0;
+}
+
 /**
  * Отправить новое сообщение пользователю через WebSocket
  */
 export function sendMessageToUser(userId, message) {
-  console.log(`📤 Попытка отправить сообщение через WebSocket пользователю ${userId}`);
-  console.log(`📊 Активных подключений: ${clients.size}`);
-  console.log(`📋 Подключенные пользователи:`, Array.from(clients.keys()));
-  
-  const ws = clients.get(userId);
-  
-  if (!ws) {
-    console.log(`❌ WebSocket соединение не найдено для пользователя ${userId}`);
-    return false;
-  }
-  
-  if (ws.readyState !== 1) {
-    console.log(`❌ WebSocket не в состоянии OPEN для пользователя ${userId}, состояние: ${ws.readyState}`);
-    return false;
-  }
-  
-  ws.send(JSON.stringify({
+  const delivered = sendToUser(userId, {
     type: 'new_message',
     message
-  }));
-  
-  console.log(`✅ Сообщение отправлено через WebSocket пользователю ${userId}`);
-  return true;
+  });
+
+  if (delivered > 0) {
+    console.log(`✅ Сообщение отправлено через WebSocket пользователю ${userId} (соединений: ${delivered})`);
+    return true;
+  }
+
+  if (getRemotePresence(userId).length > 0) {
+    console.log(`✅ Сообщение опубликовано для пользователя ${userId}: он подключён к другому процессу`);
+    return true;
+  }
+
+  console.log(`❌ Нет открытых WebSocket соединений для пользователя ${userId}`);
+  return false;
 }
 
 /**
  * Отправить уведомление о прочтении сообщения
  */
 export function sendReadNotification(userId, conversationId) {
-  const ws = clients.get(userId);
-  
-  if (ws && ws.readyState === 1) {
-    ws.send(JSON.stringify({
-      type: 'messages_read',
-      conversationId
-    }));
-    return true;
-  }
-  
-  return false;
+  return isDelivered(userId, sendToUser(userId, {
+    type: 'messages_read',
+    conversationId
+  }));
 }
 
 /**
@@ -127,24 +591,21 @@ export function sendReadNotification(userId, conversationId) {
  * @param {string} conversationId - ID удалённого диалога
  */
 export function sendSecretChatDeletedNotification(userId, conversationId) {
-  const ws = clients.get(userId);
-  
-  if (ws && ws.readyState === 1) {
-    ws.send(JSON.stringify({
-      type: 'secret_chat_deleted',
-      conversationId
-    }));
-    return true;
-  }
-  
-  return false;
+  return isDelivered(userId, sendToUser(userId, {
+    type: 'secret_chat_deleted',
+    conversationId
+  }));
 }
 
 /**
- * Получить количество активных подключений
+ * Получить количество активных подключений (все соединения всех пользователей)
  */
 export function getActiveConnections() {
-  return clients.size;
+  let total = 0;
+  clients.forEach(sockets => {
+    total += sockets.size;
+  });
+  return total;
 }
 
 /**
@@ -185,12 +646,11 @@ export async function notifyFeedNewPost(authorId, post) {
 
     // Отправляем уведомление каждому получателю
     recipients.forEach(recipientId => {
-      const ws = clients.get(recipientId);
-      if (ws && ws.readyState === 1) {
-        ws.send(JSON.stringify({
-          type: 'feed_new_post',
-          post
-        }));
+      const delivered = sendToUser(recipientId, {
+        type: 'feed_new_post',
+        post
+      });
+      if (delivered > 0) {
         console.log(`✅ Уведомление о посте отправлено пользователю ${recipientId}`);
       }
     });
@@ -255,15 +715,12 @@ export async function notifyFeedPostUpdate(postId, updateType, data) {
 
     // Отправляем уведомление каждому получателю
     recipients.forEach(recipientId => {
-      const ws = clients.get(recipientId);
-      if (ws && ws.readyState === 1) {
-        ws.send(JSON.stringify({
-          type: 'feed_post_update',
-          postId,
-          updateType, // 'reaction' | 'comment'
-          data
-        }));
-      }
+      sendToUser(recipientId, {
+        type: 'feed_post_update',
+        postId,
+        updateType, // 'reaction' | 'comment'
+        data
+      });
     });
   } catch (error) {
     console.error('Ошибка отправки уведомления об обновлении поста:', error);
@@ -308,12 +765,11 @@ export async function notifyPostUpdated(authorId, updatedPost) {
 
     // Отправляем уведомление каждому получателю
     recipients.forEach(recipientId => {
-      const ws = clients.get(recipientId);
-      if (ws && ws.readyState === 1) {
-        ws.send(JSON.stringify({
-          type: 'post_updated',
-          post: updatedPost
-        }));
+      const delivered = sendToUser(recipientId, {
+        type: 'post_updated',
+        post: updatedPost
+      });
+      if (delivered > 0) {
         console.log(`✅ Уведомление об обновлении поста отправлено пользователю ${recipientId}`);
       }
     });
@@ -360,12 +816,11 @@ export async function notifyPostDeleted(authorId, postId) {
 
     // Отправляем уведомление каждому получателю
     recipients.forEach(recipientId => {
-      const ws = clients.get(recipientId);
-      if (ws && ws.readyState === 1) {
-        ws.send(JSON.stringify({
-          type: 'post_deleted',
-          postId
-        }));
+      const delivered = sendToUser(recipientId, {
+        type: 'post_deleted',
+        postId
+      });
+      if (delivered > 0) {
         console.log(`✅ Уведомление об удалении поста отправлено пользователю ${recipientId}`);
       }
     });
@@ -379,15 +834,11 @@ export async function notifyPostDeleted(authorId, postId) {
  */
 export function notifyFeedNewAdPost(adPost) {
   try {
-    clients.forEach((ws, userId) => {
-      if (ws && ws.readyState === 1) {
-        ws.send(JSON.stringify({
-          type: 'feed_new_ad_post',
-          post: adPost
-        }));
-      }
+    const delivered = broadcast({
+      type: 'feed_new_ad_post',
+      post: adPost
     });
-    console.log(`📢 Уведомление о новом рекламном посте отправлено ${clients.size} пользователям`);
+    console.log(`📢 Уведомление о новом рекламном посте отправлено ${delivered} пользователям`);
   } catch (error) {
     console.error('Ошибка отправки уведомления о рекламном посте:', error);
   }
@@ -398,15 +849,11 @@ export function notifyFeedNewAdPost(adPost) {
  */
 export function notifyFeedNewAnnouncement(announcement) {
   try {
-    clients.forEach((ws, userId) => {
-      if (ws && ws.readyState === 1) {
-        ws.send(JSON.stringify({
-          type: 'feed_new_announcement',
-          post: announcement
-        }));
-      }
+    const delivered = broadcast({
+      type: 'feed_new_announcement',
+      post: announcement
     });
-    console.log(`📢 Уведомление о новом объявлении отправлено ${clients.size} пользователям`);
+    console.log(`📢 Уведомление о новом объявлении отправлено ${delivered} пользователям`);
   } catch (error) {
     console.error('Ошибка отправки уведомления об объявлении:', error);
   }
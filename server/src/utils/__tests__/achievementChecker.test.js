@@ -0,0 +1,132 @@
+/**
+ * Тесты проверки и выдачи достижений
+ * Feature: achievements
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../../database/db.js';
+import { runMigrations } from '../../database/migrations.js';
+import {
+  MIN_REVIEW_WORDS,
+  countReviewWords,
+  seedAchievements,
+  checkAchievements,
+  getUserAchievements
+} from '../achievementChecker.js';
+
+const createUser = (id) => executeQuery(
+  'INSERT OR IGNORE INTO users (id, display_name) VALUES (?, ?)',
+  [id, `Achievements ${id}`]
+);
+
+const cleanupUser = async (id) => {
+  await executeQuery('DELETE FROM user_achievements WHERE user_id = ?', [id]);
+  await executeQuery('DELETE FROM friends WHERE user_id = ? OR friend_id = ?', [id, id]);
+  await executeQuery('DELETE FROM ratings WHERE user_id = ?', [id]);
+  await executeQuery('DELETE FROM wall_posts WHERE user_id = ?', [id]);
+  await executeQuery('DELETE FROM notifications WHERE user_id = ?', [id]);
+  await executeQuery('DELETE FROM users WHERE id = ?', [id]);
+};
+
+const addReview = (userId, wordCount) => executeQuery(
+  `INSERT INTO wall_posts (id, user_id, post_type, content, tmdb_id, media_type)
+   VALUES (?, ?, 'review', ?, ?, 'movie')`,
+  [uuidv4(), userId, `Название фильма\n${Array(wordCount).fill('слово').join(' ')}`, Math.floor(Math.random() * 1e6)]
+);
+
+describe('Achievement checker', () => {
+  const userId = `ach_user_${uuidv4()}`;
+  const friendIds = [`ach_friend_${uuidv4()}`, `ach_friend_${uuidv4()}`];
+
+  beforeAll(async () => {
+    await runMigrations();
+    // Те же таблицы, что и в migrations.js (тестовая БД может не дойти до этого блока)
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS achievements (
+        id TEXT PRIMARY KEY,
+        key TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL,
+        icon TEXT,
+        category TEXT NOT NULL,
+        requirement_value INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        achievement_id TEXT NOT NULL,
+        progress INTEGER DEFAULT 0,
+        unlocked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, achievement_id)
+      )
+    `);
+    await seedAchievements();
+    for (const id of [userId, ...friendIds]) {
+      await createUser(id);
+    }
+  });
+
+  afterAll(async () => {
+    for (const id of [userId, ...friendIds]) {
+      await cleanupUser(id);
+    }
+  });
+
+  it('should count review words without the title line', () => {
+    expect(countReviewWords('Матрица\nОчень  хороший\nфильм')).toBe(3);
+    expect(countReviewWords('Только название')).toBe(0);
+    expect(countReviewWords(null)).toBe(0);
+  });
+
+  it('should unlock an achievement only once', async () => {
+    await executeQuery(
+      'INSERT INTO friends (id, user_id, friend_id) VALUES (?, ?, ?)',
+      [uuidv4(), userId, friendIds[0]]
+    );
+
+    const first = await checkAchievements(userId, 'social', { notify: false });
+    expect(first.map(a => a.key)).toEqual(['social_1']);
+
+    await executeQuery(
+      'INSERT INTO friends (id, user_id, friend_id) VALUES (?, ?, ?)',
+      [uuidv4(), userId, friendIds[1]]
+    );
+
+    const second = await checkAchievements(userId, 'social', { notify: false });
+    expect(second).toEqual([]);
+
+    const achievements = await getUserAchievements(userId);
+    const popular = achievements.locked.find(a => a.key === 'social_10');
+    expect(popular.progress).toBe(2);
+    expect(achievements.unlocked.map(a => a.key)).toEqual(['social_1']);
+  });
+
+  it('should count only reviews of the minimum length', async () => {
+    await addReview(userId, MIN_REVIEW_WORDS - 1);
+    expect(await checkAchievements(userId, 'reviews', { notify: false })).toEqual([]);
+
+    await addReview(userId, MIN_REVIEW_WORDS);
+    const unlocked = await checkAchievements(userId, 'reviews', { notify: false });
+    expect(unlocked.map(a => a.key)).toEqual(['reviews_1']);
+  });
+
+  it('should hide locked achievements from other users', async () => {
+    const achievements = await getUserAchievements(userId, { includeLocked: false });
+    expect(achievements.locked).toEqual([]);
+    expect(achievements.stats).toBeNull();
+    expect(achievements.unlocked.length).toBe(2);
+    expect(achievements.total).toBeGreaterThan(achievements.unlocked.length);
+  });
+
+  it('should not notify when notify is disabled', async () => {
+    const result = await executeQuery(
+      `SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND type = 'achievement_unlocked'`,
+      [userId]
+    );
+    expect(result.data[0].count).toBe(0);
+  });
+});
@@ -0,0 +1,380 @@
+import { v4 as uuidv4 } from 'uuid';
+import { executeQuery } from '../database/db.js';
+
+/**
+ * Система достижений (tasks.md, задача 105)
+ *
+ * Каталог достижений описан в коде и синхронизируется с таблицей achievements при миграции.
+ * Прогресс считается по реальным данным (рецензии, друзья, списки, оценки), поэтому
+ * checkAchievements можно безопасно вызывать сколько угодно раз — повторно достижение не выдаётся.
+ */
+
+// Минимальная длина рецензии (в словах), чтобы она засчитывалась в достижения
+export const MIN_REVIEW_WORDS = 30;
+
+export const ACHIEVEMENT_CATEGORIES = ['reviews', 'social', 'collector', 'ratings'];
+
+// Склонение существительного после числа: 1 рецензия, 2 рецензии, 5 рецензий
+const plural = (n, [one, few, many]) => {
+  const mod10 = n % 10;
+  const mod100 = n % 100;
+  if (mod10 === 1 && mod100 !== 11) return one;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return few;
+  return many;
+};
+
+const REVIEW_NAMES = {
+  1: 'Первая рецензия',
+  10: 'Критик',
+  50: 'Опытный критик',
+  100: 'Профессиональный критик',
+  150: 'Мастер рецензий',
+  200: 'Легенда рецензий',
+  250: 'Гуру рецензий',
+  300: 'Король рецензий'
+};
+
+// 1, 10, 50, 100 и далее с шагом 50 до 1000
+const REVIEW_STEPS = [1, 10, ...Array.from({ length: 20 }, (_, i) => (i + 1) * 50)];
+
+export const ACHIEVEMENTS = [
+  ...REVIEW_STEPS.map(value => ({
+    key: `reviews_${value}`,
+    category: 'reviews',
+    name: REVIEW_NAMES[value] || `${value} рецензий`,
+    description: `Напишите ${value} ${plural(value, ['рецензию', 'рецензии', 'рецензий'])} от ${MIN_REVIEW_WORDS} слов`,
+    icon: '✍️',
+    requirement: value
+  })),
+  ...[
+    [1, 'Первый друг'],
+    [10, 'Популярный'],
+    [50, 'Звезда'],
+    [100, 'Знаменитость']
+  ].map(([value, name]) => ({
+    key: `social_${value}`,
+    category: 'social',
+    name,
+    description: `Добавьте ${value} ${plural(value, ['друга', 'друзей', 'друзей'])}`,
+    icon: '👥',
+    requirement: value
+  })),
+  ...[
+    [10, 'Начинающий коллекционер'],
+    [50, 'Коллекционер'],
+    [100, 'Опытный коллекционер'],
+    [250, 'Мастер коллекций'],
+    [500, 'Легенда коллекций']
+  ].map(([value, name]) => ({
+    key: `collector_${value}`,
+    category: 'collector',
+    name,
+    description: `Соберите в списках ${value} ${plural(value, ['фильм или сериал', 'фильма или сериала', 'фильмов и сериалов'])}`,
+    icon: '📚',
+    requirement: value
+  })),
+  ...[
+    [1, 'Первая оценка'],
+    [10, 'Ценитель'],
+    [50, 'Знаток'],
+    [100, 'Эксперт'],
+    [250, 'Киноман'],
+    [500, 'Оракул']
+  ].map(([value, name]) => ({
+    key: `ratings_${value}`,
+    category: 'ratings',
+    name,
+    description: `Оцените ${value} ${plural(value, ['фильм или сериал', 'фильма или сериала', 'фильмов и сериалов'])}`,
+    icon: '⭐',
+    requirement: value
+  }))
+];
+
+/**
+ * Количество слов в тексте рецензии
+ * Первая строка content у постов-рецензий — название фильма, она не считается
+ * @param {string} content - content поста с post_type = 'review'
+ */
+export function countReviewWords(content) {
+  if (!content) return 0;
+  const text = content.split('\n').slice(1).join(' ');
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Текущее значение показателя пользователя для категории
+ * @returns {Promise<number|null>} - null при ошибке БД
+ */
+async function getCategoryStat(userId, category) {
+  switch (category) {
+    case 'reviews': {
+      const result = await executeQuery(
+        `SELECT content FROM wall_posts WHERE user_id = ? AND post_type = 'review'`,
+        [userId]
+      );
+      if (!result.success) return null;
+      return result.data.filter(row => countReviewWords(row.content) >= MIN_REVIEW_WORDS).length;
+    }
+    case 'social': {
+      const result = await executeQuery(
+        'SELECT COUNT(DISTINCT friend_id) as count FROM friends WHERE user_id = ?',
+        [userId]
+      );
+      return result.success ? result.data[0].count : null;
+    }
+    case 'collector': {
+      // Один фильм в нескольких списках считается один раз
+      const result = await executeQuery(
+        `SELECT COUNT(*) as count FROM (
+           SELECT DISTINCT li.tmdb_id, li.media_type
+           FROM list_items li
+           JOIN custom_lists cl ON li.list_id = cl.id
+           WHERE cl.user_id = ?
+         )`,
+        [userId]
+      );
+      return result.success ? result.data[0].count : null;
+    }
+    case 'ratings': {
+      const result = await executeQuery(
+        'SELECT COUNT(*) as count FROM ratings WHERE user_id = ?',
+        [userId]
+      );
+      return result.success ? result.data[0].count : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Показатели пользователя по всем категориям
+ * @returns {Promise<Object>} - { reviews, social, collector, ratings }
+ */
+export async function getAchievementStats(userId) {
+  const stats = {};
+  for (const category of ACHIEVEMENT_CATEGORIES) {
+    stats[category] = (await getCategoryStat(userId, category)) ?? 0;
+  }
+  return stats;
+}
+
+/**
+ * Синхронизировать каталог достижений с таблицей achievements
+ * Новые достижения добавляются, у существующих обновляются тексты и порог
+ */
+export async function seedAchievements() {
+  for (const achievement of ACHIEVEMENTS) {
+    const result = await executeQuery(
+      `INSERT INTO achievements (id, key, name, description, icon, category, requirement_value)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET
+         name = excluded.name,
+         description = excluded.description,
+         icon = excluded.icon,
+         category = excluded.category,
+         requirement_value = excluded.requirement_value`,
+      [uuidv4(), achievement.key, achievement.name, achievement.description, achievement.icon, achievement.category, achievement.requirement]
+    );
+
+    if (!result.success) {
+      console.error(`Ошибка сохранения достижения ${achievement.key}:`, result.error);
+      return { success: false, error: result.error };
+    }
+  }
+
+  return { success: true, count: ACHIEVEMENTS.length };
+}
+
+/**
+ * Проверить достижения пользователя в категории и выдать выполненные
+ * @param {string} userId - ID пользователя
+ * @param {string} category - 'reviews' | 'social' | 'collector' | 'ratings'
+ * @param {Object} options
+ * @param {boolean} options.notify - Отправить уведомление о новых достижениях (по умолчанию true)
+ * @returns {Promise<Array>} - Новые достижения: [{ id, key, name, description, icon, category, requirementValue }]
+ */
+export async function checkAchievements(userId, category, { notify = true } = {}) {
+  const stat = await getCategoryStat(userId, category);
+  if (stat === null) return [];
+
+  const achievementsResult = await executeQuery(
+    `SELECT a.*, ua.progress, ua.unlocked_at
+     FROM achievements a
+     LEFT JOIN user_achievements ua ON ua.achievement_id = a.id AND ua.user_id = ?
+     WHERE a.category = ?
+     ORDER BY a.requirement_value`,
+    [userId, category]
+  );
+
+  if (!achievementsResult.success) {
+    console.error('Ошибка получения достижений:', achievementsResult.error);
+    return [];
+  }
+
+  const unlocked = [];
+
+  for (const achievement of achievementsResult.data) {
+    if (achievement.unlocked_at) continue;
+
+    const progress = Math.min(stat, achievement.requirement_value);
+    const completed = stat >= achievement.requirement_value;
+
+    // Незачем хранить нулевой прогресс и повторно писать тот же
+    if (!completed && (progress === 0 || progress === achievement.progress)) continue;
+
+    const saveResult = await executeQuery(
+      `INSERT INTO user_achievements (id, user_id, achievement_id, progress)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(user_id, achievement_id) DO UPDATE SET progress = excluded.progress`,
+      [uuidv4(), userId, achievement.id, progress]
+    );
+
+    if (!saveResult.success) {
+      console.error(`Ошибка сохранения прогресса достижения ${achievement.key}:`, saveResult.error);
+      continue;
+    }
+
+    if (!completed) continue;
+
+    // Условный UPDATE: при параллельных проверках достижение выдаётся (и уведомление уходит) один раз
+    const unlockResult = await executeQuery(
+      `UPDATE user_achievements SET unlocked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND achievement_id = ? AND unlocked_at IS NULL`,
+      [userId, achievement.id]
+    );
+
+    if (unlockResult.success && unlockResult.changes > 0) {
+      unlocked.push({
+        id: achievement.id,
+        key: achievement.key,
+        name: achievement.name,
+        description: achievement.description,
+        icon: achievement.icon,
+        category: achievement.category,
+        requirementValue: achievement.requirement_value
+      });
+    }
+  }
+
+  if (notify && unlocked.length > 0) {
+    const { notifyAchievementUnlocked } = await import('../services/notificationService.js');
+    for (const achievement of unlocked) {
+      await notifyAchievementUnlocked(userId, achievement);
+    }
+  }
+
+  return unlocked;
+}
+
+/**
+ * Достижения пользователя с прогрессом
+ * Прогресс незавершённых достижений берётся из актуальной статистики
+ * @param {string} userId - ID пользователя
+ * @param {Object} options
+ * @param {boolean} options.includeLocked - Вернуть и неполученные (для владельца профиля)
+ * @returns {Promise<Object|null>} - { unlocked, locked, stats, total }, null при ошибке БД
+ */
+export async function getUserAchievements(userId, { includeLocked = true } = {}) {
+  const result = await executeQuery(
+    `SELECT a.*, ua.unlocked_at
+     FROM achievements a
+     LEFT JOIN user_achievements ua ON ua.achievement_id = a.id AND ua.user_id = ?
+     ORDER BY a.category, a.requirement_value`,
+    [userId]
+  );
+
+  if (!result.success) return null;
+
+  const stats = includeLocked ? await getAchievementStats(userId) : null;
+
+  const toResponse = (row) => ({
+    id: row.id,
+    key: row.key,
+    name: row.name,
+    description: row.description,
+    icon: row.icon,
+    category: row.category,
+    requirementValue: row.requirement_value,
+    progress: row.unlocked_at
+      ? row.requirement_value
+      : Math.min(stats?.[row.category] ?? 0, row.requirement_value),
+    unlockedAt: row.unlocked_at ? `${row.unlocked_at.replace(' ', 'T')}Z` : null
+  });
+
+  const unlocked = result.data
+    .filter(row => row.unlocked_at)
+    .map(toResponse)
+    .sort((a, b) => b.unlockedAt.localeCompare(a.unlockedAt));
+
+  const locked = includeLocked
+    ? result.data.filter(row => !row.unlocked_at).map(toResponse)
+    : [];
+
+  return {
+    unlocked,
+    locked,
+    stats,
+    total: result.data.length
+  };
+}
+
+/**
+ * Выдать достижения всем существующим пользователям без уведомлений
+ * (достижения за действия, совершённые до появления системы достижений)
+ * @returns {Promise<{ users: number, unlocked: number }>}
+ */
+export async function backfillAchievements() {
+  // Каталог мог ещё не успеть заполниться, если backfill запущен сразу после миграций
+  const seedResult = await seedAchievements();
+  if (!seedResult.success) {
+    throw new Error(seedResult.error || 'Не удалось заполнить каталог достижений');
+  }
+
+  const usersResult = await executeQuery('SELECT id FROM users');
+  if (!usersResult.success) {
+    throw new Error(usersResult.error || 'Не удалось получить пользователей');
+  }
+
+  let unlocked = 0;
+  for (const { id } of usersResult.data) {
+    for (const category of ACHIEVEMENT_CATEGORIES) {
+      unlocked += (await checkAchievements(id, category, { notify: false })).length;
+    }
+  }
+
+  return { users: usersResult.data.length, unlocked };
+}
+
+/**
+ * Однократный backfill при запуске сервера: отметка сохраняется в site_settings,
+ * повторный запуск вручную — scripts/backfill-achievements.js
+ */
+export async function backfillAchievementsOnce() {
+  const doneResult = await executeQuery(
+    `SELECT value FROM site_settings WHERE key = 'achievements_backfilled_at'`
+  );
+  if (!doneResult.success || doneResult.data.length > 0) return null;
+
+  const report = await backfillAchievements();
+
+  await executeQuery(
+    `INSERT OR IGNORE INTO site_settings (id, key, value, updated_at)
+     VALUES ('achievements_backfilled_at', 'achievements_backfilled_at', datetime('now'), datetime('now'))`
+  );
+
+  return report;
+}
+
+export default {
+  MIN_REVIEW_WORDS,
+  ACHIEVEMENT_CATEGORIES,
+  ACHIEVEMENTS,
+  countReviewWords,
+  getAchievementStats,
+  seedAchievements,
+  checkAchievements,
+  getUserAchievements,
+  backfillAchievements,
+  backfillAchievementsOnce
+};
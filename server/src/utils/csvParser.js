@@ -0,0 +1,84 @@
+/**
+ * Разбор CSV текста (RFC 4180): поля в кавычках, экранирование "", переносы строк внутри кавычек
+ * @param {string} text - Содержимое CSV файла
+ * @param {string} delimiter - Разделитель полей (по умолчанию запятая)
+ * @returns {Array<Array<string>>} - Массив строк, каждая строка — массив полей
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let rowStarted = false;
+
+  // Убираем BOM, который добавляют Excel и некоторые сервисы
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (char !== '\n' && char !== '\r') rowStarted = true;
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      rowStarted = false;
+    } else {
+      field += char;
+    }
+  }
+
+  // Последняя строка без перевода строки в конце файла
+  if (rowStarted) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Преобразовать строки CSV в объекты по заголовку
+ * Пустые строки пропускаются
+ * @param {Array<Array<string>>} rows - Результат parseCsv
+ * @returns {Array<Object>} - Массив объектов { [заголовок]: значение }
+ */
+export function csvRowsToRecords(rows) {
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(h => h.trim());
+
+  return rows.slice(1)
+    .filter(row => row.some(value => value.trim() !== ''))
+    .map(row => {
+      const record = {};
+      header.forEach((key, index) => {
+        record[key] = (row[index] ?? '').trim();
+      });
+      return record;
+    });
+}
+
+export default { parseCsv, csvRowsToRecords };
@@ -2,85 +2,117 @@ import sharp from 'sharp';
 import fs from 'fs/promises';
 import path from 'path';
 
-/**
- * Сжатие изображения если оно больше указанного размера
- * @param {string} filePath - Путь к файлу изображения
- * @param {number} maxSizeMB - Максимальный размер в мегабайтах (по умолчанию 3MB)
- * @returns {Promise<string>} - Путь к обработанному изображению
- */
-export async function compressImage(filePath, maxSizeMB = 3) {
-  try {
-    // Получаем информацию о файле
-    const stats = await fs.stat(filePath);
-    const fileSizeInMB = stats.size / (1024 * 1024);
-
-    console.log(`📊 Размер изображения: ${fileSizeInMB.toFixed(2)} MB`);
-
-    // Проверяем расширение файла
-    const ext = path.extname(filePath).toLowerCase();
-    
-    // Для GIF не применяем сжатие через sharp (чтобы сохранить анимацию)
-    if (ext === '.gif') {
-      console.log('🎬 GIF файл - пропускаем сжатие для сохранения анимации');
-      return filePath;
-    }
+// Длинная сторона, до которой уменьшаются слишком тяжёлые оригиналы
+const MAX_DIMENSION = 1920;
 
-    // Если файл меньше максимального размера, возвращаем исходный путь
-    if (fileSizeInMB <= maxSizeMB) {
-      console.log('✅ Изображение не требует сжатия');
-      return filePath;
-    }
+// Форматы уменьшенных копий: браузер выбирает первый поддерживаемый
+export const VARIANT_FORMATS = ['avif', 'webp'];
 
-    console.log('🔄 Начинаем сжатие изображения...');
+const VARIANT_ENCODERS = {
+  avif: (pipeline) => pipeline.avif({ quality: 50, effort: 2 }),
+  webp: (pipeline) => pipeline.webp({ quality: 80 })
+};
 
-    // Получаем информацию об изображении
-    const image = sharp(filePath);
-    const metadata = await image.metadata();
+// Как пересохранять оригинал в его собственном формате
+const ORIGINAL_ENCODERS = {
+  jpeg: (pipeline) => pipeline.jpeg({ quality: 90, mozjpeg: true }),
+  png: (pipeline) => pipeline.png({ compressionLevel: 9 }),
+  webp: (pipeline) => pipeline.webp({ quality: 90 })
+};
 
-    // Определяем максимальные размеры
-    const maxWidth = 1920;
-    const maxHeight = 1920;
+// Уменьшенная копия: photo.jpg -> photo.w640.webp
+const VARIANT_FILE_REGEX = /\.w\d+\.(avif|webp)$/i;
 
-    // Вычисляем новые размеры с сохранением пропорций
-    let newWidth = metadata.width;
-    let newHeight = metadata.height;
+function replaceExtension(filePath, ext) {
+  return filePath.slice(0, filePath.length - path.extname(filePath).length) + ext;
+}
 
-    if (newWidth > maxWidth || newHeight > maxHeight) {
-      const ratio = Math.min(maxWidth / newWidth, maxHeight / newHeight);
-      newWidth = Math.round(newWidth * ratio);
-      newHeight = Math.round(newHeight * ratio);
-    }
+/**
+ * Является ли файл уменьшенной копией, а не оригиналом
+ * @param {string} filePath - Путь или имя файла
+ * @returns {boolean}
+ */
+export function isVariantFile(filePath) {
+  return VARIANT_FILE_REGEX.test(filePath);
+}
 
-    // Создаем временный путь для сжатого изображения
-    const compressedPath = filePath.replace(ext, `_compressed${ext}`);
+/**
+ * Путь к уменьшенной копии изображения
+ * @param {string} filePath - Путь к оригиналу
+ * @param {number} width - Ширина копии
+ * @param {string} format - 'avif' | 'webp'
+ * @returns {string}
+ */
+export function getVariantPath(filePath, width, format) {
+  return replaceExtension(filePath, `.w${width}.${format}`);
+}
 
-    // Сжимаем изображение
-    await sharp(filePath)
-      .resize(newWidth, newHeight, {
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .jpeg({ quality: 85, progressive: true }) // Конвертируем в JPEG с качеством 85%
-      .toFile(compressedPath);
+/**
+ * Нормализация загруженного изображения на месте
+ * - поворот по EXIF Orientation, после чего метаданные (EXIF, GPS) не сохраняются;
+ * - файлы больше maxSizeMB уменьшаются до 1920px и пересжимаются в JPEG.
+ * GIF не трогаем, чтобы сохранить анимацию
+ * @param {string} filePath - Путь к файлу изображения
+ * @param {number} maxSizeMB - Максимальный размер в мегабайтах (по умолчанию 3MB)
+ * @returns {Promise<string|null>} - Путь к обработанному файлу (расширение может смениться на .jpg)
+ *   или null, если это не изображение, которое умеем обрабатывать
+ */
+export async function normalizeImage(filePath, maxSizeMB = 3) {
+  const metadata = await sharp(filePath).metadata();
+  if (metadata.format === 'gif' || (metadata.pages || 1) > 1) {
+    return filePath;
+  }
 
-    // Проверяем размер сжатого файла
-    const compressedStats = await fs.stat(compressedPath);
-    const compressedSizeInMB = compressedStats.size / (1024 * 1024);
+  const stats = await fs.stat(filePath);
+  const oversized = stats.size / (1024 * 1024) > maxSizeMB;
+  const encodeOriginal = ORIGINAL_ENCODERS[metadata.format];
+  if (!oversized && !encodeOriginal) {
+    return null;
+  }
 
-    console.log(`✅ Изображение сжато: ${compressedSizeInMB.toFixed(2)} MB`);
+  // .rotate() без аргументов поворачивает по EXIF; sharp не копирует метаданные, если не попросить
+  let pipeline = sharp(filePath).rotate();
+  let targetPath = filePath;
+
+  if (oversized) {
+    pipeline = pipeline
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85, progressive: true });
+    targetPath = replaceExtension(filePath, '.jpg');
+  } else {
+    pipeline = encodeOriginal(pipeline);
+  }
 
-    // Удаляем оригинальный файл
-    await fs.unlink(filePath);
+  const tempPath = `${filePath}.tmp`;
+  await pipeline.toFile(tempPath);
+  await fs.unlink(filePath);
+  await fs.rename(tempPath, targetPath);
 
-    // Переименовываем сжатый файл в оригинальное имя
-    const finalPath = filePath.replace(ext, '.jpg'); // Меняем расширение на .jpg
-    await fs.rename(compressedPath, finalPath);
+  return targetPath;
+}
 
-    return finalPath;
-  } catch (error) {
-    console.error('❌ Ошибка при сжатии изображения:', error);
-    throw error;
+/**
+ * Создание уменьшенных копий изображения рядом с оригиналом
+ * Ширины больше оригинала заменяются шириной оригинала, чтобы современный формат был всегда
+ * @param {string} filePath - Путь к нормализованному оригиналу
+ * @param {number[]} widths - Нужные ширины
+ * @returns {Promise<Object>} - { width, height, variants: [{ width, format, path }] }
+ */
+export async function generateImageVariants(filePath, widths) {
+  const { width, height } = await sharp(filePath).metadata();
+  const targetWidths = [...new Set(widths.map(w => Math.min(w, width)))].sort((a, b) => a - b);
+
+  const variants = [];
+  for (const targetWidth of targetWidths) {
+    for (const format of VARIANT_FORMATS) {
+      const variantPath = getVariantPath(filePath, targetWidth, format);
+      await VARIANT_ENCODERS[format](sharp(filePath).rotate().resize({ width: targetWidth, withoutEnlargement: true }))
+        .toFile(variantPath);
+      variants.push({ width: targetWidth, format, path: variantPath });
+    }
   }
+
+  return { width, height, variants };
 }
 
 /**
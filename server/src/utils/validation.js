@@ -1,6 +1,7 @@
 import validator from 'validator';
 import { promises as dnsPromises } from 'dns';
 import zxcvbn from 'zxcvbn';
+import { checkContent, getFilterStatus, recordFilterEvent } from '../services/contentFilterService.js';
 
 /**
  * Валидация email адреса
@@ -246,3 +247,42 @@ export function checkSqlInjection(input) {
 
   return { safe: true, warning: null };
 }
+
+/**
+ * Проверка пользовательского текста фильтром контента (записи, рецензии, комментарии, сообщения)
+ * Администраторы фильтр не проходят. Заблокированные попытки сразу попадают в журнал фильтра,
+ * для hold и shadow журнал пишет маршрут после сохранения — recordFilterEvent с ID контента.
+ * @param {Object} params
+ * @param {Object} params.user - req.user автора
+ * @param {string} params.targetType - wall_post, review, post_comment, image_comment, message
+ * @param {string} params.text - Текст
+ * @param {number} params.mentionsCount - Число упомянутых пользователей, переданных отдельно от текста
+ * @param {boolean} params.isEdit - Редактирование уже опубликованного
+ * @returns {Promise<{valid: boolean, error: string|null, code: string|null, filterStatus: string|null, filter: Object|null}>}
+ */
+export async function validateUserContent({ user, targetType, text, mentionsCount = 0, isEdit = false }) {
+  if (user?.isAdmin) {
+    return { valid: true, error: null, code: null, filterStatus: null, filter: null };
+  }
+
+  const filter = await checkContent({ userId: user.id, targetType, text, mentionsCount, isEdit });
+
+  if (filter.action === 'block') {
+    recordFilterEvent({ userId: user.id, targetType, content: text, filter }).catch(err => {
+      console.error('Ошибка записи в журнал фильтра контента:', err);
+    });
+
+    const isFlood = filter.reasons.some(reason => reason.source === 'flood' && reason.action === 'block');
+    return {
+      valid: false,
+      error: isFlood
+        ? 'Слишком много публикаций подряд. Подождите немного'
+        : 'Текст не прошёл автоматическую проверку и не может быть опубликован',
+      code: isFlood ? 'FLOOD_LIMIT' : 'CONTENT_BLOCKED',
+      filterStatus: null,
+      filter
+    };
+  }
+
+  return { valid: true, error: null, code: null, filterStatus: getFilterStatus(filter.action), filter };
+}
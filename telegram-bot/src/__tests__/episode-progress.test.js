@@ -0,0 +1,99 @@
+/**
+ * Тесты отметки серий из бота: список «Смотрю сейчас» и сетка сезона
+ * Feature: bot-episode-progress
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  formatEpisodeCode,
+  formatNextEpisode,
+  buildProgressRow,
+  formatSeasonText,
+  buildSeasonKeyboard,
+  parseEpisodeCallback
+} from '../episodeProgress.js';
+
+describe('Bot episode progress', () => {
+  const episodes = Array.from({ length: 7 }, (_, i) => ({
+    episodeNumber: i + 1,
+    name: `Серия ${i + 1}`,
+    airDate: i < 6 ? '2026-01-01' : '2026-12-01',
+    aired: i < 6,
+    watched: i < 2
+  }));
+  const season = { title: 'Тьма', seasonNumber: 2, name: 'Сезон 2', seasonsCount: 3, watchedCount: 2, episodes };
+
+  it('should describe the next episode with its title or air date', () => {
+    assert.strictEqual(formatEpisodeCode(2, 5), 'S02E05');
+    assert.strictEqual(
+      formatNextEpisode({ seasonNumber: 2, episodeNumber: 3, name: 'Мы <все>', aired: true }),
+      '▶️ Дальше: S02E03 «Мы &lt;все&gt;»'
+    );
+    assert.strictEqual(
+      formatNextEpisode({ seasonNumber: 2, episodeNumber: 7, name: 'Финал', airDate: '2026-12-01', aired: false }),
+      '⏳ Дальше: S02E07 «Финал» выйдет 01.12.2026'
+    );
+    assert.strictEqual(formatNextEpisode(null), '🏁 Все вышедшие серии просмотрены');
+  });
+
+  it('should offer marking only aired next episodes in the list', () => {
+    const aired = buildProgressRow({ tmdbId: 70523, title: 'Тьма', nextEpisode: { seasonNumber: 2, episodeNumber: 3, aired: true } });
+    assert.deepStrictEqual(aired.map(b => b.callback_data), ['ep_next_70523_2_3', 'ep_season_70523_2']);
+    assert.strictEqual(aired[0].text, '✅ Тьма · S2E3');
+
+    const upcoming = buildProgressRow({ tmdbId: 70523, title: 'Очень длинное название сериала', nextEpisode: { seasonNumber: 3, episodeNumber: 1, aired: false } });
+    assert.deepStrictEqual(upcoming.map(b => b.callback_data), ['ep_season_70523_3']);
+    assert.strictEqual(upcoming[0].text, '🗂 Очень длинное название с… · сезон 3');
+
+    assert.deepStrictEqual(buildProgressRow({ tmdbId: 1, title: 'Всё', nextEpisode: null }), []);
+  });
+
+  it('should build a season grid of five with watched and unaired marks', () => {
+    const { inline_keyboard: keyboard } = buildSeasonKeyboard(70523, season);
+
+    assert.deepStrictEqual(keyboard[0].map(b => b.text), ['✅1', '✅2', '3', '4', '5']);
+    assert.deepStrictEqual(keyboard[1].map(b => b.text), ['6', '⏳7']);
+    assert.strictEqual(keyboard[0][2].callback_data, 'ep_tgl_70523_2_3');
+    assert.strictEqual(keyboard[1][1].callback_data, 'ep_unaired');
+    assert.strictEqual(keyboard[2][0].callback_data, 'ep_all_70523_2');
+    assert.deepStrictEqual(keyboard[3].map(b => b.callback_data), ['ep_nav_70523_1', 'ep_nav_70523_3']);
+    assert.deepStrictEqual(keyboard[4].map(b => b.callback_data), ['ep_list', 'main_menu']);
+
+    for (const row of keyboard) {
+      for (const button of row) {
+        assert.ok(Buffer.byteLength(button.callback_data) <= 64);
+      }
+    }
+  });
+
+  it('should hide season complete and navigation past the ends', () => {
+    const watchedSeason = {
+      ...season,
+      seasonNumber: 3,
+      episodes: episodes.map(e => ({ ...e, watched: e.aired }))
+    };
+    const { inline_keyboard: keyboard } = buildSeasonKeyboard(70523, watchedSeason);
+    const callbacks = keyboard.flat().map(b => b.callback_data);
+
+    assert.ok(!callbacks.some(data => data.startsWith('ep_all_')));
+    assert.ok(callbacks.includes('ep_nav_70523_2'));
+    assert.ok(!callbacks.includes('ep_nav_70523_4'));
+  });
+
+  it('should show the season summary and the last action', () => {
+    const text = formatSeasonText(season, { seasonNumber: 2, episodeNumber: 3, name: 'Прошлое', aired: true }, '✅ S02E02 просмотрена');
+
+    assert.ok(text.startsWith('📺 <b>Тьма</b>\n🗂 Сезон 2: просмотрено 2 из 7'));
+    assert.ok(text.includes('✅ S02E02 просмотрена\n▶️ Дальше: S02E03 «Прошлое»'));
+  });
+
+  it('should parse episode callbacks and reject malformed ones', () => {
+    assert.deepStrictEqual(parseEpisodeCallback('ep_tgl_70523_2_3'), { action: 'tgl', tvId: 70523, seasonNumber: 2, episodeNumber: 3 });
+    assert.deepStrictEqual(parseEpisodeCallback('ep_all_70523_2'), { action: 'all', tvId: 70523, seasonNumber: 2, episodeNumber: null });
+    assert.strictEqual(parseEpisodeCallback('ep_list').action, 'list');
+    assert.strictEqual(parseEpisodeCallback('ep_next_70523_2'), null);
+    assert.strictEqual(parseEpisodeCallback('ep_season_70523_2_3'), null);
+    assert.strictEqual(parseEpisodeCallback('ep_drop_70523_2'), null);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Тесты поиска фильмов и сериалов в боте и inline-режима
+ * Feature: bot-media-search
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  escapeHtml,
+  mergeSearchResults,
+  formatResultLabel,
+  formatMediaCaption,
+  getPosterUrl,
+  encodeMediaRef,
+  parseMediaRef,
+  parseSearchCallback,
+  getListUrl,
+  buildInlineMediaResult,
+  buildInlineListResult
+} from '../mediaSearch.js';
+
+describe('Bot media search', () => {
+  const searchResponse = {
+    movies: [
+      { id: 27205, title: 'Начало', original_title: 'Inception', release_date: '2010-07-15', vote_average: 8.4, popularity: 80, poster_path: '/inception.jpg' },
+      { id: 1, title: 'Неизвестный фильм', release_date: '', popularity: 1 }
+    ],
+    tv: [
+      { id: 1399, name: 'Игра престолов', original_name: 'Game of Thrones', first_air_date: '2011-04-17', vote_average: 8.5, popularity: 120 }
+    ]
+  };
+
+  it('should merge movies and series by popularity', () => {
+    const results = mergeSearchResults(searchResponse);
+
+    assert.deepStrictEqual(results.map(r => [r.mediaType, r.tmdbId]), [['tv', 1399], ['movie', 27205], ['movie', 1]]);
+    assert.strictEqual(results[0].title, 'Игра престолов');
+    assert.strictEqual(results[0].year, 2011);
+    assert.strictEqual(results[2].year, null);
+    assert.strictEqual(mergeSearchResults(searchResponse, 1).length, 1);
+    assert.deepStrictEqual(mergeSearchResults({}), []);
+  });
+
+  it('should format labels and captions with year and ratings', () => {
+    const [series, movie] = mergeSearchResults(searchResponse);
+
+    assert.strictEqual(formatResultLabel(movie), '🎬 Начало (2010)');
+    assert.strictEqual(formatResultLabel(series), '📺 Игра престолов (2011)');
+
+    const caption = formatMediaCaption(movie, 9);
+    assert.ok(caption.startsWith('<b>Начало</b> (Inception)\n🎬 Фильм | 2010 | ⭐ 8.4'));
+    assert.ok(caption.includes('Ваша оценка: 9/10'));
+    assert.strictEqual(getPosterUrl(movie.posterPath), 'https://image.tmdb.org/t/p/w342/inception.jpg');
+    assert.strictEqual(getPosterUrl(null), null);
+  });
+
+  it('should escape HTML and keep captions within the Telegram limit', () => {
+    assert.strictEqual(escapeHtml('Tom & Jerry <3>'), 'Tom &amp; Jerry &lt;3&gt;');
+
+    const [movie] = mergeSearchResults({ movies: [{ id: 5, title: '<Фильм>', overview: 'а'.repeat(2000) }] });
+    const caption = formatMediaCaption(movie);
+    assert.ok(caption.startsWith('<b>&lt;Фильм&gt;</b>'));
+    assert.ok(caption.length <= 1024);
+  });
+
+  it('should fit callback data into 64 bytes', () => {
+    const ref = encodeMediaRef('movie', 27205);
+    assert.strictEqual(ref, 'm27205');
+    assert.deepStrictEqual(parseMediaRef('t1399'), { mediaType: 'tv', tmdbId: 1399 });
+    assert.strictEqual(parseMediaRef('x1'), null);
+
+    const listId = '123e4567-e89b-12d3-a456-426614174000';
+    const addData = `sr_add_${encodeMediaRef('movie', 99999999)}_${listId}`;
+    assert.ok(Buffer.byteLength(addData) <= 64);
+    assert.deepStrictEqual(parseSearchCallback(addData), { action: 'add', mediaType: 'movie', tmdbId: 99999999, arg: listId });
+  });
+
+  it('should reject malformed search callbacks', () => {
+    assert.deepStrictEqual(parseSearchCallback('sr_rated_t1399_10'), { action: 'rated', mediaType: 'tv', tmdbId: 1399, arg: '10' });
+    assert.strictEqual(parseSearchCallback('sr_rated_t1399_11'), null);
+    assert.strictEqual(parseSearchCallback('sr_rated_t1399'), null);
+    assert.strictEqual(parseSearchCallback('sr_add_m5'), null);
+    assert.strictEqual(parseSearchCallback('sr_delete_m5'), null);
+    assert.strictEqual(parseSearchCallback('share_movie_5'), null);
+  });
+
+  it('should build inline cards with poster, ratings and a site link', () => {
+    const [, movie] = mergeSearchResults(searchResponse);
+    const result = buildInlineMediaResult(movie, { publicUrl: 'https://watchrebel.ru', userRating: 7, raterName: 'Аня' });
+
+    assert.strictEqual(result.type, 'article');
+    assert.strictEqual(result.id, 'media_m27205');
+    assert.strictEqual(result.title, 'Начало (2010)');
+    assert.strictEqual(result.description, 'Фильм · ⭐ 8.4 · ваша оценка 7/10');
+    assert.strictEqual(result.thumbnail_url, 'https://image.tmdb.org/t/p/w185/inception.jpg');
+    assert.ok(result.input_message_content.message_text.includes('Оценка Аня: 7/10'));
+    assert.strictEqual(result.input_message_content.link_preview_options.url, 'https://image.tmdb.org/t/p/w500/inception.jpg');
+    assert.strictEqual(result.reply_markup.inline_keyboard[0][0].url, 'https://watchrebel.ru/media/movie/27205');
+
+    const [, , noPoster] = mergeSearchResults(searchResponse);
+    const plain = buildInlineMediaResult(noPoster, { publicUrl: 'https://watchrebel.ru' });
+    assert.strictEqual(plain.thumbnail_url, undefined);
+    assert.deepStrictEqual(plain.input_message_content.link_preview_options, { is_disabled: true });
+  });
+
+  it('should link public lists by slug and others by id', () => {
+    const list = { id: 'list-1', slug: 'best-films', visibility: 'public' };
+    assert.strictEqual(getListUrl('https://watchrebel.ru', list), 'https://watchrebel.ru/lists/public/best-films');
+    assert.strictEqual(getListUrl('https://watchrebel.ru', { ...list, visibility: 'friends' }), 'https://watchrebel.ru/lists/list-1');
+  });
+
+  it('should preview list items in inline list results', () => {
+    const items = Array.from({ length: 12 }, (_, i) => ({
+      title: i === 0 ? 'Фильм <1>' : `Фильм ${i + 1}`,
+      releaseDate: '2020-01-01',
+      posterPath: i === 2 ? '/third.jpg' : null
+    }));
+    const result = buildInlineListResult(
+      { id: 'list-1', name: 'Любимое', mediaType: 'movie', visibility: 'friends', items },
+      { publicUrl: 'https://watchrebel.ru' }
+    );
+
+    assert.strictEqual(result.id, 'list_list-1');
+    assert.strictEqual(result.description, 'Список фильмов · элементов: 12');
+    assert.strictEqual(result.thumbnail_url, 'https://image.tmdb.org/t/p/w185/third.jpg');
+
+    const text = result.input_message_content.message_text;
+    assert.ok(text.includes('1. Фильм &lt;1&gt; (2020)'));
+    assert.ok(text.includes('10. Фильм 10 (2020)'));
+    assert.ok(!text.includes('11. '));
+    assert.ok(text.endsWith('…и ещё 2'));
+    assert.strictEqual(result.reply_markup.inline_keyboard[0][0].url, 'https://watchrebel.ru/lists/list-1');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Тесты кэша сессий бота: одна сессия на пользователя вместо новой на каждое действие
+ * Вход через /api/auth/telegram обслуживает локальный HTTP-сервер
+ * Feature: bot-session-cache
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+
+describe('Bot session cache', () => {
+  let server;
+  let logins = 0;
+  let backendDown = false;
+  let sessionService;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        logins++;
+        if (backendDown) {
+          res.writeHead(500).end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ token: `token-${logins}`, user: { id: `user-${logins}` } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // Адрес сервера sessionService берёт из окружения при загрузке модуля
+    process.env.SERVER_IP = '127.0.0.1';
+    process.env.PORT = String(server.address().port);
+    sessionService = await import('../sessionService.js');
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    logins = 0;
+    backendDown = false;
+  });
+
+  it('should reuse the session of a user until it is forgotten', async () => {
+    const { getSession, forgetSession } = sessionService;
+    const telegramUser = { id: 101, first_name: 'Кэш' };
+
+    const first = await getSession('101', telegramUser);
+    const second = await getSession('101', telegramUser);
+    assert.strictEqual(second.token, first.token);
+    assert.strictEqual(logins, 1);
+
+    await getSession('202', { id: 202, first_name: 'Другой' });
+    assert.strictEqual(logins, 2);
+
+    forgetSession('101');
+    const renewed = await getSession('101', telegramUser);
+    assert.notStrictEqual(renewed.token, first.token);
+    assert.strictEqual(logins, 3);
+  });
+
+  it('should not cache the temporary token issued while the backend is down', async () => {
+    const { getSession, forgetSession, createSession } = sessionService;
+    forgetSession('303');
+    backendDown = true;
+
+    const offline = await getSession('303', { id: 303, first_name: 'Офлайн' });
+    assert.strictEqual(offline.user, null);
+
+    backendDown = false;
+    const online = await getSession('303', { id: 303, first_name: 'Офлайн' });
+    assert.ok(online.user);
+    assert.strictEqual(logins, 2);
+
+    // Ссылки на сайт по-прежнему получают отдельную сессию
+    const link = await createSession('303', { id: 303, first_name: 'Офлайн' });
+    assert.notStrictEqual(link.token, online.token);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Тесты хранилища состояний диалогов: перезапуск, TTL и версии схемы
+ * Feature: bot-persistent-state
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStateStore, upgradeStateRecord } from '../stateStore.js';
+
+describe('Bot conversation state store', () => {
+  let dir;
+  let filename;
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-state-'));
+    filename = path.join(dir, 'nested', 'bot-state.db');
+    clock = 1_000_000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should restore unfinished flows after a restart', async () => {
+    const first = createStateStore({ filename, now });
+    assert.deepStrictEqual(await first.open(), { restored: 0, dropped: [] });
+
+    first.set('100', 'awaiting_bug_report_description', { userFrom: { id: 100 }, title: 'Не грузится лента' });
+    first.set('200', 'awaiting_name_change', { chatId: 200 });
+    first.delete('200');
+    await first.close();
+
+    const second = createStateStore({ filename, now });
+    assert.deepStrictEqual(await second.open(), { restored: 1, dropped: [] });
+
+    const state = second.get('100');
+    assert.strictEqual(state.state, 'awaiting_bug_report_description');
+    assert.deepStrictEqual(state.data, { userFrom: { id: 100 }, title: 'Не грузится лента' });
+    assert.strictEqual(second.get('200'), null);
+    await second.close();
+  });
+
+  it('should expire states after the TTL and refresh it on every step', async () => {
+    const store = createStateStore({ filename, ttlMs: 1000, now });
+    await store.open();
+
+    store.set('100', 'awaiting_text_post', {});
+    clock += 800;
+    store.set('100', 'awaiting_post_image', { images: [] });
+    clock += 800;
+    assert.strictEqual(store.get('100').state, 'awaiting_post_image');
+
+    store.set('200', 'awaiting_search_query', {});
+    clock += 300;
+    assert.strictEqual(store.get('100'), null);
+    await store.close();
+
+    // Просроченные записи не возвращаются и после перезапуска
+    clock += 1000;
+    const restarted = createStateStore({ filename, ttlMs: 1000, now });
+    assert.deepStrictEqual(await restarted.open(), { restored: 0, dropped: [] });
+    await restarted.close();
+  });
+
+  it('should migrate old records and drop the ones it cannot upgrade', async () => {
+    const v1 = createStateStore({ filename, version: 1, now });
+    await v1.open();
+    v1.set('100', 'awaiting_message_reply', { receiverName: 'Аня' });
+    v1.set('200', 'awaiting_bug_report_images', { images: ['file-id'] });
+    await v1.close();
+
+    const migrations = {
+      1: (record) => (record.state === 'awaiting_message_reply'
+        ? { state: 'awaiting_reply', data: { ...record.data, kind: 'direct' } }
+        : null)
+    };
+    const v2 = createStateStore({ filename, version: 2, migrations, now });
+    assert.deepStrictEqual(await v2.open(), {
+      restored: 1,
+      dropped: [{ userId: '200', state: 'awaiting_bug_report_images' }]
+    });
+    assert.deepStrictEqual(v2.get('100').data, { receiverName: 'Аня', kind: 'direct' });
+    await v2.close();
+
+    // Запись переписана в новой версии, повторная миграция не нужна
+    const again = createStateStore({ filename, version: 2, now });
+    assert.deepStrictEqual(await again.open(), { restored: 1, dropped: [] });
+    assert.strictEqual(again.get('100').state, 'awaiting_reply');
+    await again.close();
+  });
+
+  it('should drop records from a newer or unknown schema', () => {
+    assert.strictEqual(upgradeStateRecord({ state: 'x', data: {}, version: 3 }, 2, {}), null);
+    assert.strictEqual(upgradeStateRecord({ state: 'x', data: {}, version: 1 }, 2, {}), null);
+    assert.deepStrictEqual(
+      upgradeStateRecord({ state: 'x', data: {}, version: 2 }, 2, {}),
+      { state: 'x', data: {}, version: 2 }
+    );
+  });
+
+  it('should work in memory without a database file', async () => {
+    const store = createStateStore({ now });
+
+    store.set('100', 'awaiting_status_change', { chatId: 100 });
+    await store.flush();
+    assert.strictEqual(store.get('100').state, 'awaiting_status_change');
+
+    store.delete('100');
+    assert.strictEqual(store.get('100'), null);
+    await store.close();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Отметка просмотренных серий из бота: список сериалов «Смотрю сейчас», сетка сезона и подписи
+ *
+ * callback_data (до 64 байт):
+ *   ep_next_{tvId}_{s}_{e}  — отметить следующую серию
+ *   ep_season_{tvId}_{s}    — показать сетку сезона новым сообщением
+ *   ep_nav_{tvId}_{s}       — перейти к другому сезону в той же сетке
+ *   ep_tgl_{tvId}_{s}_{e}   — переключить отметку серии в сетке
+ *   ep_all_{tvId}_{s}       — отметить весь сезон
+ *   ep_list                 — вернуться к списку сериалов
+ */
+
+import { escapeHtml } from './mediaSearch.js';
+
+// Серий в одном ряду сетки сезона
+const SEASON_GRID_COLUMNS = 5;
+
+// Название сериала на кнопке обрезается, чтобы рядом поместился номер серии
+const BUTTON_TITLE_LIMIT = 24;
+
+// Сколько сериалов показывать в списке «Смотрю сейчас»
+export const PROGRESS_LIST_LIMIT = 10;
+
+/**
+ * Код серии: S02E05
+ * @param {number} seasonNumber
+ * @param {number} episodeNumber
+ * @returns {string}
+ */
+export function formatEpisodeCode(seasonNumber, episodeNumber) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `S${pad(seasonNumber)}E${pad(episodeNumber)}`;
+}
+
+/**
+ * Дата выхода серии в виде 05.03.2026
+ * @param {string} airDate - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatAirDate(airDate) {
+  const [year, month, day] = String(airDate).split('-');
+  return `${day}.${month}.${year}`;
+}
+
+/**
+ * Строка о следующей серии для подтверждения действий
+ * @param {Object|null} nextEpisode - { seasonNumber, episodeNumber, name, airDate, aired } из /api/progress
+ * @returns {string} - HTML
+ */
+export function formatNextEpisode(nextEpisode) {
+  if (!nextEpisode) {
+    return '🏁 Все вышедшие серии просмотрены';
+  }
+
+  const code = formatEpisodeCode(nextEpisode.seasonNumber, nextEpisode.episodeNumber);
+  const name = nextEpisode.name ? ` «${escapeHtml(nextEpisode.name)}»` : '';
+
+  if (!nextEpisode.aired) {
+    const date = nextEpisode.airDate ? ` выйдет ${formatAirDate(nextEpisode.airDate)}` : ' ещё не вышла';
+    return `⏳ Дальше: ${code}${name}${date}`;
+  }
+  return `▶️ Дальше: ${code}${name}`;
+}
+
+/**
+ * Кнопки сериала: «✅ Название · S2E5» для вышедшей следующей серии и сетка её сезона
+ * @param {Object} item - { tmdbId, title, nextEpisode } — элемент /api/progress/up-next
+ * @returns {Array<Object>} - Ряд inline-кнопок; пустой, если смотреть нечего
+ */
+export function buildProgressRow(item) {
+  const next = item.nextEpisode;
+  if (!next) return [];
+
+  const title = item.title && item.title.length > BUTTON_TITLE_LIMIT
+    ? `${item.title.substring(0, BUTTON_TITLE_LIMIT)}…`
+    : item.title;
+  const seasonButton = { text: `🗂 Сезон ${next.seasonNumber}`, callback_data: `ep_season_${item.tmdbId}_${next.seasonNumber}` };
+
+  if (!next.aired) {
+    return [{ ...seasonButton, text: `🗂 ${title} · сезон ${next.seasonNumber}` }];
+  }
+  return [
+    {
+      text: `✅ ${title} · S${next.seasonNumber}E${next.episodeNumber}`,
+      callback_data: `ep_next_${item.tmdbId}_${next.seasonNumber}_${next.episodeNumber}`
+    },
+    seasonButton
+  ];
+}
+
+/**
+ * Текст сетки сезона
+ * @param {Object} season - Ответ GET /api/progress/:id/season/:n
+ * @param {Object|null} nextEpisode - Следующая серия
+ * @param {string|null} notice - Итог последнего действия, например «✅ S01E03 отмечена»
+ * @returns {string} - HTML
+ */
+export function formatSeasonText(season, nextEpisode, notice = null) {
+  const seasonName = season.name || `Сезон ${season.seasonNumber}`;
+  let text = `📺 <b>${escapeHtml(season.title || 'Сериал')}</b>\n🗂 ${escapeHtml(seasonName)}: просмотрено ${season.watchedCount} из ${season.episodes.length}`;
+  text += `\n\n${notice ? `${notice}\n` : ''}${formatNextEpisode(nextEpisode)}`;
+  text += '\n\nНажмите на номер серии, чтобы отметить её или снять отметку.';
+  return text;
+}
+
+/**
+ * Клавиатура сетки сезона: серии по 5 в ряд, переход между сезонами и «отметить сезон»
+ * Невышедшие серии показываются с ⏳ и не переключаются
+ * @param {number} tvId - TMDb ID сериала
+ * @param {Object} season - Ответ GET /api/progress/:id/season/:n
+ * @returns {Object} - reply_markup
+ */
+export function buildSeasonKeyboard(tvId, season) {
+  const { seasonNumber, seasonsCount, episodes } = season;
+  const keyboard = [];
+
+  for (let i = 0; i < episodes.length; i += SEASON_GRID_COLUMNS) {
+    keyboard.push(episodes.slice(i, i + SEASON_GRID_COLUMNS).map(episode => {
+      if (!episode.aired) {
+        return { text: `⏳${episode.episodeNumber}`, callback_data: 'ep_unaired' };
+      }
+      return {
+        text: episode.watched ? `✅${episode.episodeNumber}` : String(episode.episodeNumber),
+        callback_data: `ep_tgl_${tvId}_${seasonNumber}_${episode.episodeNumber}`
+      };
+    }));
+  }
+
+  const hasUnwatched = episodes.some(episode => episode.aired && !episode.watched);
+  if (hasUnwatched) {
+    keyboard.push([{ text: '☑️ Отметить сезон просмотренным', callback_data: `ep_all_${tvId}_${seasonNumber}` }]);
+  }
+
+  const navigation = [];
+  if (seasonNumber > 1) {
+    navigation.push({ text: `◀️ Сезон ${seasonNumber - 1}`, callback_data: `ep_nav_${tvId}_${seasonNumber - 1}` });
+  }
+  if (!seasonsCount || seasonNumber < seasonsCount) {
+    navigation.push({ text: `Сезон ${seasonNumber + 1} ▶️`, callback_data: `ep_nav_${tvId}_${seasonNumber + 1}` });
+  }
+  if (navigation.length > 0) keyboard.push(navigation);
+
+  keyboard.push([
+    { text: '◀️ К сериалам', callback_data: 'ep_list' },
+    { text: '🏠 Главное меню', callback_data: 'main_menu' }
+  ]);
+
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Разобрать callback_data прогресса серий
+ * @param {string} data - callback_data
+ * @returns {Object|null} - { action, tvId, seasonNumber, episodeNumber } или null, если формат неверный
+ */
+export function parseEpisodeCallback(data) {
+  if (data === 'ep_list' || data === 'ep_unaired') {
+    return { action: data.slice(3), tvId: null, seasonNumber: null, episodeNumber: null };
+  }
+
+  const match = /^ep_(next|tgl|season|nav|all)_(\d+)_(\d+)(?:_(\d+))?$/.exec(data || '');
+  if (!match) return null;
+
+  const [, action, tvId, seasonNumber, episodeNumber] = match;
+  const needsEpisode = action === 'next' || action === 'tgl';
+  if (needsEpisode !== Boolean(episodeNumber)) return null;
+
+  return {
+    action,
+    tvId: parseInt(tvId),
+    seasonNumber: parseInt(seasonNumber),
+    episodeNumber: episodeNumber ? parseInt(episodeNumber) : null
+  };
+}
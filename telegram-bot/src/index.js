@@ -2,7 +2,30 @@ import TelegramBot from 'node-telegram-bot-api';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createSession } from './sessionService.js';
+import { createSession, getSession, forgetSession } from './sessionService.js';
+import {
+  escapeHtml,
+  normalizeMedia,
+  mergeSearchResults,
+  buildInlineMediaResult,
+  buildInlineListResult,
+  formatResultLabel,
+  formatMediaCaption,
+  getPosterUrl,
+  getMediaUrl,
+  encodeMediaRef,
+  parseSearchCallback
+} from './mediaSearch.js';
+import {
+  PROGRESS_LIST_LIMIT,
+  formatEpisodeCode,
+  formatNextEpisode,
+  buildProgressRow,
+  formatSeasonText,
+  buildSeasonKeyboard,
+  parseEpisodeCallback
+} from './episodeProgress.js';
+import { createStateStore } from './stateStore.js';
 import axios from 'axios';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -23,6 +46,25 @@ if (!token) {
   process.exit(1);
 }
 
+// Состояния диалогов сохраняются в SQLite и переживают перезапуск бота
+const stateStore = createStateStore({
+  filename: process.env.BOT_STATE_DB || path.join(__dirname, '../data/bot-state.db')
+});
+
+// Диалоги, которые нельзя продолжить после перезапуска: пользователям сообщается об отмене
+let interruptedStates = [];
+
+// Состояния загружаются до запуска polling, чтобы первые же обновления видели их
+if (process.env.NODE_ENV !== 'test') {
+  try {
+    const { restored, dropped } = await stateStore.open();
+    interruptedStates = dropped;
+    console.log(`💾 Восстановлено состояний диалогов: ${restored}, отменено: ${dropped.length}`);
+  } catch (error) {
+    console.error('❌ Ошибка открытия хранилища состояний, состояния будут только в памяти:', error.message);
+  }
+}
+
 // Создание бота с polling
 // Но не запускаем автоматически если это тестовая среда
 const bot = process.env.NODE_ENV === 'test' 
@@ -32,17 +74,28 @@ const bot = process.env.NODE_ENV === 'test'
       webHook: false
     });
 
-// Система состояний пользователей для отслеживания процессов (например, смена имени)
-const userStates = new Map();
+// Имя бота для /help и реферальных ссылок: запрашивается один раз при запуске
+let botUsername = process.env.TELEGRAM_BOT_USERNAME || 'watchRebel_bot';
+if (bot) {
+  try {
+    botUsername = (await bot.getMe()).username;
+  } catch (error) {
+    console.error(`❌ Не удалось получить имя бота, используется ${botUsername}:`, error.message);
+  }
+}
+
+// Сколько результатов отдавать на inline-запрос (Telegram принимает до 50)
+const INLINE_RESULTS_LIMIT = 20;
+const INLINE_LISTS_LIMIT = 5;
 
 /**
  * Установить состояние пользователя
  * @param {string} userId - ID пользователя
  * @param {string} state - Состояние (например, 'awaiting_name_change')
- * @param {Object} data - Дополнительные данные состояния
+ * @param {Object} data - Дополнительные данные состояния (сохраняются как JSON)
  */
 function setUserState(userId, state, data = {}) {
-  userStates.set(userId, { state, data, timestamp: Date.now() });
+  stateStore.set(userId, state, data);
   console.log(`📝 Установлено состояние для пользователя ${userId}: ${state}`);
 }
 
@@ -52,7 +105,7 @@ function setUserState(userId, state, data = {}) {
  * @returns {Object|null} Объект состояния или null
  */
 function getUserState(userId) {
-  return userStates.get(userId) || null;
+  return stateStore.get(userId);
 }
 
 /**
@@ -60,7 +113,7 @@ function getUserState(userId) {
  * @param {string} userId - ID пользователя
  */
 function clearUserState(userId) {
-  userStates.delete(userId);
+  stateStore.delete(userId);
   console.log(`🗑️ Очищено состояние пользователя ${userId}`);
 }
 
@@ -84,6 +137,8 @@ async function setupCommands() {
     await bot.setMyCommands([
       { command: 'start', description: '🚀 Начать работу' },
       { command: 'menu', description: '📱 Главное меню' },
+      { command: 'search', description: '🔎 Найти фильм или сериал' },
+      { command: 'watching', description: '▶️ Отметить просмотренные серии' },
       { command: 'help', description: '❓ Справка' }
     ]);
 
@@ -198,6 +253,12 @@ bot.onText(/\/menu/, async (msg) => {
         { text: '🎬 Мои фильмы', callback_data: 'menu_movies' },
         { text: '📺 Мои сериалы', callback_data: 'menu_tv' }
       ],
+      [
+        { text: '🔎 Найти фильм или сериал', callback_data: 'menu_search' }
+      ],
+      [
+        { text: '▶️ Смотрю сейчас', callback_data: 'menu_progress' }
+      ],
       [
         { text: '⭐ Хочу посмотреть', callback_data: 'menu_watchlist' },
         { text: '📰 Лента', callback_data: 'menu_feed' }
@@ -258,6 +319,8 @@ bot.onText(/\/help/, async (msg) => {
     '<b>❓ Справка по командам</b>\n\n' +
     '/start - Начать работу с ботом\n' +
     '/menu - Открыть главное меню\n' +
+    '/search название - Найти фильм или сериал\n' +
+    '/watching - Отметить просмотренные серии\n' +
     '/help - Показать эту справку\n\n' +
     '<b>Возможности watchRebel:</b>\n' +
     '• Создавайте списки фильмов и сериалов\n' +
@@ -265,11 +328,36 @@ bot.onText(/\/help/, async (msg) => {
     '• Делитесь отзывами\n' +
     '• Следите за друзьями\n' +
     '• Получайте уведомления\n\n' +
-    'Используйте /menu для быстрого доступа к функциям.',
+    'Используйте /menu для быстрого доступа к функциям.\n' +
+    'Чтобы найти фильм, просто напишите его название.\n' +
+    `Чтобы поделиться фильмом или списком в любом чате, наберите @${botUsername} и название.`,
     { parse_mode: 'HTML' }
   );
 });
 
+/**
+ * Команда /search - поиск фильмов и сериалов
+ * /search название — сразу ищет, без названия — просит его ввести
+ */
+bot.onText(/^\/search(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+
+  if (match[1]) {
+    await handleSearchQuery(chatId, userId, match[1]);
+  } else {
+    await handleStartSearch(chatId, userId, msg.from);
+  }
+});
+
+/**
+ * Команда /watching - сериалы в процессе просмотра
+ */
+bot.onText(/^\/watching(?:@\w+)?$/, async (msg) => {
+  const session = await getSession(msg.from.id.toString(), msg.from);
+  await handleProgressList(msg.chat.id, session);
+});
+
 /**
  * Команда /cancel - отмена текущего действия
  */
@@ -339,6 +427,14 @@ bot.on('message', async (msg) => {
   else if (userState && userState.state === 'awaiting_bug_report_description') {
     await handleBugReportDescription(chatId, userId, msg.text, userState.data);
   }
+  // Если пользователь ввёл запрос после /search или кнопки «Найти»
+  else if (userState && userState.state === 'awaiting_search_query') {
+    await handleSearchQuery(chatId, userId, msg.text);
+  }
+  // Текст вне сценариев в личном чате — поиск по названию
+  else if (!userState && msg.text && msg.chat.type === 'private') {
+    await handleSearchQuery(chatId, userId, msg.text);
+  }
 });
 
 /**
@@ -369,6 +465,12 @@ bot.on('callback_query', async (query) => {
                 { text: '🎬 Мои фильмы', callback_data: 'menu_movies' },
                 { text: '📺 Мои сериалы', callback_data: 'menu_tv' }
               ],
+              [
+                { text: '🔎 Найти фильм или сериал', callback_data: 'menu_search' }
+              ],
+              [
+                { text: '▶️ Смотрю сейчас', callback_data: 'menu_progress' }
+              ],
               [
                 { text: '⭐ Хочу посмотреть', callback_data: 'menu_watchlist' },
                 { text: '📰 Лента', callback_data: 'menu_feed' }
@@ -460,15 +562,21 @@ bot.on('callback_query', async (query) => {
       const parts = data.replace('wl_page_', '').split('_');
       const wlType = parts[0];
       const page = parseInt(parts[1]) || 0;
-      const session = await createSession(userId, query.from);
+      const session = await getSession(userId, query.from);
       await handleWatchlistAction(chatId, userId, session.token, page, wlType);
     } else if (data.startsWith('wl_type_')) {
       // Выбор типа в watchlist: wl_type_{type}_{page}
       const parts = data.replace('wl_type_', '').split('_');
       const wlType = parts[0];
       const page = parseInt(parts[1]) || 0;
-      const session = await createSession(userId, query.from);
+      const session = await getSession(userId, query.from);
       await handleWatchlistAction(chatId, userId, session.token, page, wlType);
+    } else if (data.startsWith('sr_')) {
+      // Поиск: карточка, «Хочу посмотреть», списки и оценки
+      await handleSearchCallback(query);
+    } else if (data.startsWith('ep_')) {
+      // Прогресс серий: отметка следующей серии, сетка сезона, сезон целиком
+      await handleEpisodeCallback(query);
     } else if (data.startsWith('share_movie_')) {
       // Поделиться фильмом: share_movie_{tmdbId}
       const tmdbId = data.replace('share_movie_', '');
@@ -476,12 +584,12 @@ bot.on('callback_query', async (query) => {
     } else if (data.startsWith('feed_page_')) {
       // Пагинация ленты: feed_page_{page}
       const feedPage = parseInt(data.replace('feed_page_', '')) || 0;
-      const feedSession = await createSession(userId, query.from);
+      const feedSession = await getSession(userId, query.from);
       await handleFeedAction(chatId, userId, feedSession.token, feedPage);
     } else if (data.startsWith('msg_page_')) {
       // Пагинация сообщений: msg_page_{page}
       const msgPage = parseInt(data.replace('msg_page_', '')) || 0;
-      const msgSession = await createSession(userId, query.from);
+      const msgSession = await getSession(userId, query.from);
       await handleMessagesAction(chatId, userId, msgSession.token, msgPage);
     } else if (data === 'main_menu') {
       // Возврат в главное меню
@@ -636,6 +744,9 @@ function formatDate(date) {
   }
 }
 
+// Действия меню с кнопкой-ссылкой на сайт, в которую подставляется токен
+const MENU_LINK_ACTIONS = ['menu_notifications', 'menu_profile', 'menu_bug_report'];
+
 /**
  * Обработка действий меню
  * @param {number} chatId - ID чата
@@ -644,9 +755,10 @@ function formatDate(date) {
  * @param {Object} userFrom - Объект пользователя из Telegram
  */
 async function handleMenuAction(chatId, userId, action, userFrom) {
-  // Создаем сессию для автоматической авторизации
-  const session = await createSession(userId, userFrom);
-  
+  const session = await getSession(userId, userFrom);
+  // Ссылки на сайт с автоматической авторизацией получают отдельную сессию
+  const linkSession = MENU_LINK_ACTIONS.includes(action) ? await createSession(userId, userFrom) : session;
+
   const actionMap = {
     'menu_movies': {
       text: '🎬 <b>Мои фильмы</b>\n\nЗагружаю ваши списки...',
@@ -660,6 +772,18 @@ async function handleMenuAction(chatId, userId, action, userFrom) {
         await handleUserListsAction(chatId, userId, session.token, 'tv');
       }
     },
+    'menu_search': {
+      text: '🔎 <b>Поиск</b>',
+      handler: async () => {
+        await handleStartSearch(chatId, userId, userFrom);
+      }
+    },
+    'menu_progress': {
+      text: '▶️ <b>Смотрю сейчас</b>\n\nЗагружаю ваши сериалы...',
+      handler: async () => {
+        await handleProgressList(chatId, session);
+      }
+    },
     'menu_watchlist': {
       text: '⭐ <b>Хочу посмотреть</b>\n\nЧто хотите посмотреть?',
       handler: async () => {
@@ -690,7 +814,7 @@ async function handleMenuAction(chatId, userId, action, userFrom) {
     },
     'menu_notifications': {
       text: '🔔 <b>Уведомления</b>\n\nЗдесь будут уведомления о действиях ваших друзей.\nОткройте сайт для полного функционала.',
-      button: { text: '🌐 Открыть на сайте', url: `${publicUrl}/notifications?session=${session.token}` }
+      button: { text: '🌐 Открыть на сайте', url: `${publicUrl}/notifications?session=${linkSession.token}` }
     },
     'menu_profile': {
       text: '👤 <b>Мой профиль</b>\n\nВыберите действие:',
@@ -698,7 +822,7 @@ async function handleMenuAction(chatId, userId, action, userFrom) {
         [{ text: '📝 Создать пост', callback_data: 'create_text_post' }],
         [{ text: '📸 Фото-пост', callback_data: 'create_photo_post' }],
         [{ text: '💬 Задать статус', callback_data: 'settings_change_status' }],
-        [{ text: '🌐 Открыть профиль', url: `${publicUrl}/profile?session=${session.token}` }]
+        [{ text: '🌐 Открыть профиль', url: `${publicUrl}/profile?session=${linkSession.token}` }]
       ]
     },
     'menu_invite': {
@@ -722,7 +846,7 @@ async function handleMenuAction(chatId, userId, action, userFrom) {
       text: '🐛 <b>Багрепорты и предложения</b>\n\nВыберите действие:',
       buttons: [
         [{ text: '📝 Создать багрепорт', callback_data: 'bug_report_create' }],
-        [{ text: '📋 Мои багрепорты', url: `${publicUrl}/my-bug-reports?session=${session.token}` }]
+        [{ text: '📋 Мои багрепорты', url: `${publicUrl}/my-bug-reports?session=${linkSession.token}` }]
       ]
     }
   };
@@ -794,7 +918,6 @@ async function handleInviteAction(chatId, userId, token) {
     const { referralCode, referralsCount } = data;
 
     // Формируем реферальную ссылку
-    const botUsername = (await bot.getMe()).username;
     const referralLink = `https://t.me/${botUsername}?start=ref_${referralCode}`;
 
     // Формируем текст сообщения
@@ -995,7 +1118,7 @@ async function handleUserListsAction(chatId, userId, token, mediaType) {
  */
 async function handleListItemsAction(chatId, userId, listId, page) {
   try {
-    const session = await createSession(userId, { id: userId });
+    const session = await getSession(userId, { id: userId });
     const token = session.token;
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
     const limit = 5;
@@ -1043,8 +1166,8 @@ async function handleListItemsAction(chatId, userId, listId, page) {
 
       // Кнопка "Поделиться" для каждого фильма
       buttons.push([
-        { text: `🌐 ${title.substring(0, 30)}`, url: `${publicUrl}/media/movie/${item.tmdbId || item.id}` },
-        { text: '📤 Поделиться', url: `https://t.me/share/url?url=${encodeURIComponent(`${publicUrl}/media/movie/${item.tmdbId || item.id}`)}&text=${encodeURIComponent(`Посмотри "${title}" на watchRebel`)}` }
+        { text: `🌐 ${title.substring(0, 30)}`, url: getMediaUrl(publicUrl, 'movie', item.tmdbId || item.id) },
+        { text: '📤 Поделиться', url: `https://t.me/share/url?url=${encodeURIComponent(getMediaUrl(publicUrl, 'movie', item.tmdbId || item.id))}&text=${encodeURIComponent(`Посмотри "${title}" на watchRebel`)}` }
       ]);
     }
 
@@ -1121,8 +1244,8 @@ async function handleWatchlistAction(chatId, userId, token, page, mediaType) {
       text += `   👉 ${publicUrl}/media/${mediaType}/${item.tmdbId || item.id}\n\n`;
 
       buttons.push([
-        { text: `🌐 ${title.substring(0, 30)}`, url: `${publicUrl}/media/${mediaType}/${item.tmdbId || item.id}` },
-        { text: '📤 Поделиться', url: `https://t.me/share/url?url=${encodeURIComponent(`${publicUrl}/media/${mediaType}/${item.tmdbId || item.id}`)}&text=${encodeURIComponent(`Посмотри "${title}" на watchRebel`)}` }
+        { text: `🌐 ${title.substring(0, 30)}`, url: getMediaUrl(publicUrl, mediaType, item.tmdbId || item.id) },
+        { text: '📤 Поделиться', url: `https://t.me/share/url?url=${encodeURIComponent(getMediaUrl(publicUrl, mediaType, item.tmdbId || item.id))}&text=${encodeURIComponent(`Посмотри "${title}" на watchRebel`)}` }
       ]);
     }
 
@@ -1142,6 +1265,614 @@ async function handleWatchlistAction(chatId, userId, token, page, mediaType) {
   }
 }
 
+/**
+ * Начать поиск: попросить ввести название
+ * @param {number} chatId - ID чата
+ * @param {string} userId - ID пользователя
+ * @param {Object} userFrom - Объект пользователя из Telegram
+ */
+async function handleStartSearch(chatId, userId, userFrom) {
+  setUserState(userId, 'awaiting_search_query', { userFrom });
+  await bot.sendMessage(
+    chatId,
+    '🔎 <b>Поиск</b>\n\n' +
+    'Напишите название фильма или сериала.\n\n' +
+    'Для отмены отправьте /cancel',
+    { parse_mode: 'HTML' }
+  );
+}
+
+/**
+ * Поиск фильмов и сериалов через /api/media/search — результаты кнопками
+ * @param {number} chatId - ID чата
+ * @param {string} userId - ID пользователя
+ * @param {string} queryText - Поисковый запрос
+ */
+async function handleSearchQuery(chatId, userId, queryText) {
+  const searchText = (queryText || '').trim();
+
+  if (searchText.length < 2) {
+    await bot.sendMessage(chatId, '⚠️ Введите хотя бы 2 символа для поиска.');
+    return;
+  }
+
+  const userState = getUserState(userId);
+  if (userState && userState.state === 'awaiting_search_query') {
+    clearUserState(userId);
+  }
+
+  try {
+    const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+    const response = await fetch(`${apiUrl}/api/media/search?query=${encodeURIComponent(searchText)}`);
+
+    if (!response.ok) throw new Error(`API: ${response.status}`);
+    const results = mergeSearchResults(await response.json());
+
+    if (results.length === 0) {
+      await bot.sendMessage(
+        chatId,
+        `🔎 По запросу «${escapeHtml(searchText)}» ничего не найдено.`,
+        {
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '🔎 Искать снова', callback_data: 'menu_search' }],
+              [{ text: '🏠 Главное меню', callback_data: 'main_menu' }]
+            ]
+          }
+        }
+      );
+      return;
+    }
+
+    let text = `🔎 <b>Результаты по запросу «${escapeHtml(searchText)}»</b>\n\n`;
+    results.forEach((media, index) => {
+      text += `${index + 1}. ${escapeHtml(formatResultLabel(media))}`;
+      if (media.voteAverage) text += ` ⭐ ${media.voteAverage.toFixed(1)}`;
+      text += '\n';
+    });
+    text += '\nВыберите, чтобы открыть карточку:';
+
+    const buttons = results.map(media => [
+      { text: formatResultLabel(media), callback_data: `sr_show_${encodeMediaRef(media.mediaType, media.tmdbId)}` }
+    ]);
+    buttons.push([{ text: '🏠 Главное меню', callback_data: 'main_menu' }]);
+
+    await bot.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    });
+  } catch (error) {
+    console.error('Ошибка поиска:', error.message);
+    await bot.sendMessage(chatId, '⚠️ Ошибка поиска. Попробуйте позже.');
+  }
+}
+
+/**
+ * Загрузить фильм или сериал с сервера
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ * @returns {Promise<Object>} - Результат normalizeMedia
+ */
+async function fetchMedia(mediaType, tmdbId) {
+  const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+  const response = await fetch(`${apiUrl}/api/media/${mediaType}/${tmdbId}`);
+
+  if (!response.ok) throw new Error(`API: ${response.status}`);
+  return normalizeMedia(await response.json(), mediaType);
+}
+
+/**
+ * Все оценки пользователя
+ * @param {Object} session - Сессия из createSession
+ * @returns {Promise<Map>} - '{mediaType}:{tmdbId}' -> оценка
+ */
+async function fetchUserRatings(session) {
+  const ratingsByMedia = new Map();
+  if (!session.user?.id) return ratingsByMedia;
+
+  try {
+    const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+    const response = await fetch(`${apiUrl}/api/ratings/user/${session.user.id}`);
+    if (!response.ok) return ratingsByMedia;
+
+    const data = await response.json();
+    for (const rating of (Array.isArray(data) ? data : data.ratings || [])) {
+      ratingsByMedia.set(`${rating.mediaType}:${rating.tmdbId}`, rating.rating);
+    }
+  } catch (error) {
+    console.error('Ошибка загрузки оценок:', error.message);
+  }
+  return ratingsByMedia;
+}
+
+/**
+ * Кнопки карточки фильма или сериала из поиска
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ * @returns {Array} - inline_keyboard
+ */
+function buildMediaCardKeyboard(mediaType, tmdbId) {
+  const ref = encodeMediaRef(mediaType, tmdbId);
+  return [
+    [
+      { text: '⭐ Хочу посмотреть', callback_data: `sr_wl_${ref}` },
+      { text: '📋 В список', callback_data: `sr_lists_${ref}` }
+    ],
+    [{ text: '🌟 Оценить', callback_data: `sr_rate_${ref}` }],
+    [{ text: '🌐 Открыть на сайте', url: getMediaUrl(publicUrl, mediaType, tmdbId) }]
+  ];
+}
+
+/**
+ * Карточка фильма или сериала с постером и действиями
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ */
+async function handleShowMediaCard(chatId, session, mediaType, tmdbId) {
+  try {
+    const media = await fetchMedia(mediaType, tmdbId);
+    const userRating = (await fetchUserRatings(session)).get(`${mediaType}:${tmdbId}`) || null;
+    const caption = formatMediaCaption(media, userRating);
+    const options = {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buildMediaCardKeyboard(mediaType, tmdbId) }
+    };
+
+    const posterUrl = getPosterUrl(media.posterPath);
+    if (posterUrl) {
+      await bot.sendPhoto(chatId, posterUrl, { ...options, caption });
+    } else {
+      await bot.sendMessage(chatId, caption, options);
+    }
+  } catch (error) {
+    console.error('Ошибка загрузки карточки:', error.message);
+    await bot.sendMessage(chatId, '⚠️ Не удалось загрузить информацию. Попробуйте позже.');
+  }
+}
+
+/**
+ * Добавить фильм или сериал в «Хочу посмотреть»
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ */
+async function handleSearchAddToWatchlist(chatId, session, mediaType, tmdbId) {
+  try {
+    const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+    const response = await fetch(`${apiUrl}/api/watchlist`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ tmdbId, mediaType })
+    });
+    const result = await response.json().catch(() => ({}));
+    const media = await fetchMedia(mediaType, tmdbId).catch(() => null);
+    const title = media ? `«${escapeHtml(media.title)}»` : 'Контент';
+
+    if (response.ok) {
+      await bot.sendMessage(chatId, `✅ ${title} добавлен в «Хочу посмотреть».`, { parse_mode: 'HTML' });
+    } else if (result.code === 'ALREADY_IN_WATCHLIST') {
+      await bot.sendMessage(chatId, `ℹ️ ${title} уже в «Хочу посмотреть».`, { parse_mode: 'HTML' });
+    } else {
+      throw new Error(result.error || `API: ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Ошибка добавления в watchlist:', error.message);
+    await bot.sendMessage(chatId, '⚠️ Не удалось добавить в «Хочу посмотреть». Попробуйте позже.');
+  }
+}
+
+/**
+ * Выбор своего списка для добавления фильма или сериала
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ */
+async function handleSearchListPicker(chatId, session, mediaType, tmdbId) {
+  try {
+    const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+    const response = await fetch(`${apiUrl}/api/lists?mediaType=${mediaType}`, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${session.token}` }
+    });
+
+    if (!response.ok) throw new Error(`API: ${response.status}`);
+    const lists = await response.json();
+    const typeLabel = mediaType === 'movie' ? 'фильмов' : 'сериалов';
+
+    if (!lists || lists.length === 0) {
+      await bot.sendMessage(
+        chatId,
+        `📋 У вас пока нет списков ${typeLabel}.\nСоздайте список на сайте.`,
+        {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: '🌐 Открыть на сайте', url: `${publicUrl}/lists/${mediaType === 'movie' ? 'movies' : 'tv'}` }
+            ]]
+          }
+        }
+      );
+      return;
+    }
+
+    const ref = encodeMediaRef(mediaType, tmdbId);
+    const buttons = lists.map(list => [{ text: list.name, callback_data: `sr_add_${ref}_${list.id}` }]);
+
+    await bot.sendMessage(chatId, '📋 <b>В какой список добавить?</b>', {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    });
+  } catch (error) {
+    console.error('Ошибка загрузки списков:', error.message);
+    await bot.sendMessage(chatId, '⚠️ Ошибка загрузки списков. Попробуйте позже.');
+  }
+}
+
+/**
+ * Добавить фильм или сериал в выбранный список
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ * @param {string} listId - ID списка
+ */
+async function handleSearchAddToList(chatId, session, mediaType, tmdbId, listId) {
+  try {
+    const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+    const response = await fetch(`${apiUrl}/api/lists/${listId}/items`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ tmdbId, mediaType })
+    });
+    const result = await response.json().catch(() => ({}));
+    const media = await fetchMedia(mediaType, tmdbId).catch(() => null);
+    const title = media ? `«${escapeHtml(media.title)}»` : 'Контент';
+    const listButton = {
+      reply_markup: { inline_keyboard: [[{ text: '📋 Открыть список', url: `${publicUrl}/lists/${listId}` }]] }
+    };
+
+    if (response.ok) {
+      await bot.sendMessage(chatId, `✅ ${title} добавлен в список.`, { parse_mode: 'HTML', ...listButton });
+    } else if (result.code === 'ALREADY_IN_LIST') {
+      await bot.sendMessage(chatId, `ℹ️ ${title} уже в этом списке.`, { parse_mode: 'HTML', ...listButton });
+    } else if (result.code === 'ALREADY_IN_OTHER_LIST') {
+      await bot.sendMessage(chatId, `ℹ️ ${escapeHtml(result.error)}`, { parse_mode: 'HTML' });
+    } else {
+      throw new Error(result.error || `API: ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Ошибка добавления в список:', error.message);
+    await bot.sendMessage(chatId, '⚠️ Не удалось добавить в список. Попробуйте позже.');
+  }
+}
+
+/**
+ * Поставить оценку фильму или сериалу
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ * @param {number} rating - Оценка от 1 до 10
+ */
+async function handleSearchRate(chatId, session, mediaType, tmdbId, rating) {
+  try {
+    const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+    const response = await fetch(`${apiUrl}/api/ratings`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ tmdbId, mediaType, rating })
+    });
+
+    if (!response.ok) throw new Error(`API: ${response.status}`);
+
+    const media = await fetchMedia(mediaType, tmdbId).catch(() => null);
+    const title = media ? ` для «${escapeHtml(media.title)}»` : '';
+    await bot.sendMessage(chatId, `⭐ Оценка ${rating}/10${title} сохранена.`, { parse_mode: 'HTML' });
+  } catch (error) {
+    console.error('Ошибка сохранения оценки:', error.message);
+    await bot.sendMessage(chatId, '⚠️ Не удалось сохранить оценку. Попробуйте позже.');
+  }
+}
+
+/**
+ * Обработка кнопок поиска: sr_{action}_{ref}[_{arg}]
+ * @param {Object} query - callback_query из Telegram
+ */
+async function handleSearchCallback(query) {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const parsed = parseSearchCallback(query.data);
+  if (!parsed) return;
+
+  const { action, mediaType, tmdbId, arg } = parsed;
+  const ref = encodeMediaRef(mediaType, tmdbId);
+  const cardMessage = { chat_id: chatId, message_id: query.message.message_id };
+
+  // Оценки показываются вместо кнопок карточки и не требуют сессии
+  if (action === 'rate') {
+    const ratingRow = (from) => Array.from({ length: 5 }, (_, i) => ({
+      text: String(from + i),
+      callback_data: `sr_rated_${ref}_${from + i}`
+    }));
+    await bot.editMessageReplyMarkup({
+      inline_keyboard: [
+        ratingRow(1),
+        ratingRow(6),
+        [{ text: '◀️ Назад', callback_data: `sr_back_${ref}` }]
+      ]
+    }, cardMessage);
+    return;
+  }
+
+  if (action === 'back') {
+    await bot.editMessageReplyMarkup({ inline_keyboard: buildMediaCardKeyboard(mediaType, tmdbId) }, cardMessage);
+    return;
+  }
+
+  const session = await getSession(userId, query.from);
+
+  if (action === 'show') {
+    await handleShowMediaCard(chatId, session, mediaType, tmdbId);
+  } else if (action === 'wl') {
+    await handleSearchAddToWatchlist(chatId, session, mediaType, tmdbId);
+  } else if (action === 'lists') {
+    await handleSearchListPicker(chatId, session, mediaType, tmdbId);
+  } else if (action === 'add') {
+    await handleSearchAddToList(chatId, session, mediaType, tmdbId, arg);
+  } else if (action === 'rated') {
+    await bot.editMessageReplyMarkup({ inline_keyboard: buildMediaCardKeyboard(mediaType, tmdbId) }, cardMessage);
+    await handleSearchRate(chatId, session, mediaType, tmdbId, parseInt(arg));
+  }
+}
+
+/**
+ * Запрос к /api/progress от имени пользователя
+ * @param {Object} session - Сессия из createSession
+ * @param {string} method - HTTP-метод
+ * @param {string} endpoint - Путь после /api/progress
+ * @param {Object} body - Тело запроса для POST
+ * @returns {Promise<Object>} - Ответ API; при ошибке бросает Error с code из ответа
+ */
+async function progressRequest(session, method, endpoint, body = null) {
+  const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+  const headers = { 'Authorization': `Bearer ${session.token}` };
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${apiUrl}/api/progress${endpoint}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(result.error || `API: ${response.status}`);
+    error.code = result.code;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Список «Смотрю сейчас»: сериалы со следующей серией из /api/progress/up-next
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {Object|null} editTarget - { chat_id, message_id }, если список заменяет сообщение с сеткой сезона
+ */
+async function handleProgressList(chatId, session, editTarget = null) {
+  try {
+    const upNext = await progressRequest(session, 'GET', '/up-next');
+    const series = upNext.filter(item => item.nextEpisode).slice(0, PROGRESS_LIST_LIMIT);
+
+    let text;
+    const buttons = [];
+
+    if (series.length === 0) {
+      text = '▶️ <b>Смотрю сейчас</b>\n\n' +
+        'Сериалов в процессе просмотра нет.\n' +
+        'Отметьте первую серию на странице сериала на сайте — и он появится здесь.';
+    } else {
+      text = '▶️ <b>Смотрю сейчас</b>\n\n';
+      series.forEach((item, index) => {
+        text += `${index + 1}. <b>${escapeHtml(item.title)}</b>\n${formatNextEpisode(item.nextEpisode)}\n\n`;
+        buttons.push(buildProgressRow(item));
+      });
+      text += '✅ — отметить следующую серию, 🗂 — открыть сезон.';
+    }
+    buttons.push([{ text: '🏠 Главное меню', callback_data: 'main_menu' }]);
+
+    const options = { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } };
+    if (editTarget) {
+      await bot.editMessageText(text, { ...editTarget, ...options });
+    } else {
+      await bot.sendMessage(chatId, text, options);
+    }
+  } catch (error) {
+    console.error('Ошибка загрузки сериалов в процессе:', error.message);
+    await bot.sendMessage(chatId, '⚠️ Не удалось загрузить сериалы. Попробуйте позже.');
+  }
+}
+
+/**
+ * Показать сетку сезона с отметками
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {number} tvId - TMDb ID сериала
+ * @param {number} seasonNumber - Номер сезона
+ * @param {Object} options
+ * @param {Object|null} options.editTarget - { chat_id, message_id } сообщения, которое нужно обновить
+ * @param {string|null} options.notice - Итог последнего действия над серией
+ */
+async function showSeasonGrid(chatId, session, tvId, seasonNumber, { editTarget = null, notice = null } = {}) {
+  const [season, next] = await Promise.all([
+    progressRequest(session, 'GET', `/${tvId}/season/${seasonNumber}`),
+    progressRequest(session, 'GET', `/${tvId}/next`)
+  ]);
+
+  const text = formatSeasonText(season, next.nextEpisode, notice);
+  const options = { parse_mode: 'HTML', reply_markup: buildSeasonKeyboard(tvId, season) };
+
+  if (editTarget) {
+    await bot.editMessageText(text, { ...editTarget, ...options });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+/**
+ * Отметить следующую серию из списка «Смотрю сейчас» и предложить следующую за ней
+ * @param {number} chatId - ID чата
+ * @param {Object} session - Сессия из createSession
+ * @param {number} tvId - TMDb ID сериала
+ * @param {number} seasonNumber - Номер сезона
+ * @param {number} episodeNumber - Номер серии
+ */
+async function handleMarkNextEpisode(chatId, session, tvId, seasonNumber, episodeNumber) {
+  await progressRequest(session, 'POST', '', { tmdbId: tvId, seasonNumber, episodeNumber });
+  const { title, nextEpisode } = await progressRequest(session, 'GET', `/${tvId}/next`);
+
+  const buttons = [];
+  const nextRow = buildProgressRow({ tmdbId: tvId, title, nextEpisode });
+  if (nextRow.length > 0) buttons.push(nextRow);
+  buttons.push([
+    { text: '◀️ К сериалам', callback_data: 'ep_list' },
+    { text: '🏠 Главное меню', callback_data: 'main_menu' }
+  ]);
+
+  await bot.sendMessage(
+    chatId,
+    `✅ <b>${escapeHtml(title || 'Сериал')}</b>: ${formatEpisodeCode(seasonNumber, episodeNumber)} просмотрена\n\n` +
+    formatNextEpisode(nextEpisode),
+    { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } }
+  );
+}
+
+/**
+ * Обработка кнопок прогресса серий: ep_{action}_{tvId}_{s}[_{e}]
+ * @param {Object} query - callback_query из Telegram
+ */
+async function handleEpisodeCallback(query) {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const parsed = parseEpisodeCallback(query.data);
+  // Невышедшие серии в сетке не переключаются
+  if (!parsed || parsed.action === 'unaired') return;
+
+  const { action, tvId, seasonNumber, episodeNumber } = parsed;
+  const gridMessage = { chat_id: chatId, message_id: query.message.message_id };
+  const session = await getSession(userId, query.from);
+
+  try {
+    if (action === 'list') {
+      await handleProgressList(chatId, session, gridMessage);
+    } else if (action === 'next') {
+      await handleMarkNextEpisode(chatId, session, tvId, seasonNumber, episodeNumber);
+    } else if (action === 'season') {
+      await showSeasonGrid(chatId, session, tvId, seasonNumber);
+    } else if (action === 'nav') {
+      await showSeasonGrid(chatId, session, tvId, seasonNumber, { editTarget: gridMessage });
+    } else if (action === 'tgl') {
+      const code = formatEpisodeCode(seasonNumber, episodeNumber);
+      const { removed } = await progressRequest(session, 'DELETE', `/${tvId}/${seasonNumber}/${episodeNumber}`);
+      if (!removed) {
+        await progressRequest(session, 'POST', '', { tmdbId: tvId, seasonNumber, episodeNumber });
+      }
+      const notice = removed ? `↩️ С ${code} снята отметка` : `✅ ${code} просмотрена`;
+      await showSeasonGrid(chatId, session, tvId, seasonNumber, { editTarget: gridMessage, notice });
+    } else if (action === 'all') {
+      const { marked } = await progressRequest(session, 'POST', `/${tvId}/season/${seasonNumber}`);
+      const notice = marked > 0 ? `☑️ Сезон ${seasonNumber}: отмечено серий — ${marked}` : `☑️ Сезон ${seasonNumber} уже просмотрен`;
+      await showSeasonGrid(chatId, session, tvId, seasonNumber, { editTarget: gridMessage, notice });
+    }
+  } catch (error) {
+    console.error('Ошибка отметки серий:', error.message);
+    const text = error.code === 'SEASON_NOT_FOUND'
+      ? '⚠️ Такого сезона нет.'
+      : '⚠️ Не удалось обновить прогресс. Попробуйте позже.';
+    await bot.sendMessage(chatId, text);
+  }
+}
+
+/**
+ * Inline-режим: @бот запрос в любом чате
+ * Пустой запрос — свои списки, текст — фильмы и сериалы из /api/media/search и списки с таким названием.
+ * Режим нужно включить у @BotFather командой /setinline
+ * @param {Object} inlineQuery - inline_query из Telegram
+ */
+async function handleInlineQuery(inlineQuery) {
+  const userId = inlineQuery.from.id.toString();
+  const searchText = inlineQuery.query.trim();
+  const page = parseInt(inlineQuery.offset) || 1;
+
+  try {
+    const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
+    const session = await getSession(userId, inlineQuery.from);
+    const results = [];
+    let nextOffset = '';
+
+    // Списки показываем только на первой странице, дальше — продолжение поиска
+    if (page === 1) {
+      const listsResponse = await fetch(`${apiUrl}/api/lists`, {
+        method: 'GET',
+        headers: { 'Authorization': `Bearer ${session.token}` }
+      });
+      // Сессию завершили на сайте — следующий запрос получит новую
+      if (listsResponse.status === 401) forgetSession(userId);
+      const lists = listsResponse.ok ? await listsResponse.json() : [];
+      const needle = searchText.toLowerCase();
+
+      results.push(...lists
+        // Закрытый список получатель всё равно не откроет
+        .filter(list => list.visibility !== 'private')
+        .filter(list => !needle || list.name.toLowerCase().includes(needle))
+        .slice(0, INLINE_LISTS_LIMIT)
+        .map(list => buildInlineListResult(list, { publicUrl })));
+    }
+
+    if (searchText.length >= 2) {
+      const response = await fetch(`${apiUrl}/api/media/search?query=${encodeURIComponent(searchText)}&page=${page}`);
+      if (!response.ok) throw new Error(`API: ${response.status}`);
+
+      const data = await response.json();
+      const ratings = await fetchUserRatings(session);
+      const raterName = inlineQuery.from.first_name || inlineQuery.from.username || null;
+
+      results.push(...mergeSearchResults(data, INLINE_RESULTS_LIMIT).map(media => buildInlineMediaResult(media, {
+        publicUrl,
+        userRating: ratings.get(`${media.mediaType}:${media.tmdbId}`) || null,
+        raterName
+      })));
+
+      if ((data.totalMoviePages || 0) > page || (data.totalTVPages || 0) > page) {
+        nextOffset = String(page + 1);
+      }
+    }
+
+    await bot.answerInlineQuery(inlineQuery.id, results, {
+      cache_time: 30,
+      // В результатах личные списки и оценки — кэш Telegram не должен делиться ими между пользователями
+      is_personal: true,
+      next_offset: nextOffset
+    });
+  } catch (error) {
+    console.error('Ошибка inline-запроса:', error.message);
+    await bot.answerInlineQuery(inlineQuery.id, [], { cache_time: 5, is_personal: true }).catch(() => {});
+  }
+}
+
 /**
  * Показать список тем для выбора
  */
@@ -1181,7 +1912,7 @@ async function handleSettingsTheme(chatId, userId, userFrom) {
  */
 async function handleSetTheme(chatId, userId, themeName, userFrom) {
   try {
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
 
     await fetch(`${apiUrl}/api/users/${userId}`, {
@@ -1208,7 +1939,7 @@ async function handleSetTheme(chatId, userId, themeName, userFrom) {
  */
 async function handleSettingsPrivacy(chatId, userId, userFrom) {
   try {
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
 
     const response = await fetch(`${apiUrl}/api/users/${userId}`, {
@@ -1246,7 +1977,7 @@ async function handleSettingsPrivacy(chatId, userId, userFrom) {
  */
 async function handleSetPrivacy(chatId, userId, privacyValue, userFrom) {
   try {
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
 
     await fetch(`${apiUrl}/api/users/${userId}`, {
@@ -1274,12 +2005,17 @@ async function handleSetPrivacy(chatId, userId, privacyValue, userFrom) {
  * Показать главное меню
  */
 async function showMainMenu(chatId, userFrom) {
-  const session = await createSession(userFrom.id.toString(), userFrom);
   const menuButtons = [
     [
       { text: '🎬 Мои фильмы', callback_data: 'menu_movies' },
       { text: '📺 Мои сериалы', callback_data: 'menu_tv' }
     ],
+    [
+      { text: '🔎 Найти фильм или сериал', callback_data: 'menu_search' }
+    ],
+    [
+      { text: '▶️ Смотрю сейчас', callback_data: 'menu_progress' }
+    ],
     [
       { text: '⭐ Хочу посмотреть', callback_data: 'menu_watchlist' },
       { text: '📰 Лента', callback_data: 'menu_feed' }
@@ -1302,6 +2038,8 @@ async function showMainMenu(chatId, userFrom) {
   ];
 
   if (!publicUrl.includes('localhost')) {
+    // Сессия для входа на сайт по ссылке
+    const session = await createSession(userFrom.id.toString(), userFrom);
     menuButtons.push([
       { text: '🌐 Открыть сайт', url: `${publicUrl}?session=${session.token}` }
     ]);
@@ -1377,7 +2115,7 @@ async function handlePostImage(chatId, userId, photos, stateData) {
  */
 async function publishPost(chatId, userId, content, imageUrls, userFrom) {
   try {
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
 
     // 1. Создаём пост
@@ -1524,7 +2262,7 @@ async function handleReplyGroupMessageAction(chatId, userId, conversationId, use
     console.log(`📝 Пользователь ${userId} хочет ответить в групповой чат ${conversationId}`);
 
     // Получаем информацию о группе
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
 
     const response = await fetch(`${apiUrl}/api/messages/${conversationId}?limit=1`, {
@@ -1580,7 +2318,7 @@ async function handleReplyMessageAction(chatId, userId, receiverId, userFrom) {
     console.log(`📝 Пользователь ${userId} хочет ответить пользователю ${receiverId}`);
     
     // Получаем информацию о получателе
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
     
     const response = await fetch(`${apiUrl}/api/users/${receiverId}`, {
@@ -1674,7 +2412,7 @@ async function handleNotificationSettingsMenu(chatId, userId, userFrom, messageI
     console.log(`🔔 Запрос настроек уведомлений для пользователя ${userId}`);
     
     // Создаем сессию для авторизации
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
     
     // Получаем текущие настройки уведомлений
@@ -1801,7 +2539,7 @@ async function handleToggleNotification(chatId, userId, callbackData, userFrom,
     console.log(`🔄 Переключение настройки "${notificationType}" для пользователя ${userId}`);
     
     // Создаем сессию для авторизации
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
     
     // Получаем текущие настройки
@@ -1888,7 +2626,7 @@ async function handleNameChange(chatId, userId, newName, userFrom) {
     console.log(`📝 Обновление имени для пользователя ${userId}: "${trimmedName}"`);
 
     // Создаем сессию для авторизации запроса
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     
     // Отправляем PUT запрос к API
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
@@ -1965,7 +2703,7 @@ async function handleStatusChange(chatId, userId, newStatus, userFrom) {
     console.log(`💬 Обновление статуса для пользователя ${userId}: "${finalStatus}"`);
 
     // Создаем сессию для авторизации запроса
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     
     // Отправляем PUT запрос к API
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
@@ -2053,7 +2791,7 @@ async function handleSendMessageReply(chatId, userId, messageText, stateData) {
     console.log(`📝 Отправка сообщения от ${userId} к ${stateData.receiverId}`);
 
     // Создаем сессию для авторизации запроса
-    const session = await createSession(userId, stateData.userFrom);
+    const session = await getSession(userId, stateData.userFrom);
     
     // Отправляем POST запрос к API
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
@@ -2135,7 +2873,7 @@ async function handleSendGroupMessageReply(chatId, userId, messageText, stateDat
 
     console.log(`📝 Отправка сообщения от ${userId} в группу ${stateData.conversationId}`);
 
-    const session = await createSession(userId, stateData.userFrom);
+    const session = await getSession(userId, stateData.userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
 
     const response = await fetch(`${apiUrl}/api/messages`, {
@@ -2237,6 +2975,11 @@ export async function handleWebhook(update) {
       bot.processUpdate(update);
     }
 
+    // Обрабатываем inline-запросы
+    if (update.inline_query) {
+      bot.processUpdate(update);
+    }
+
     return { success: true };
   } catch (error) {
     console.error('❌ Ошибка обработки webhook:', error.message);
@@ -2273,6 +3016,12 @@ export async function deleteWebhook() {
   }
 }
 
+// Inline-режим: поделиться фильмом или списком в любом чате
+bot.on('inline_query', async (inlineQuery) => {
+  console.log(`📥 Inline-запрос «${inlineQuery.query}» от пользователя ${inlineQuery.from.id}`);
+  await handleInlineQuery(inlineQuery);
+});
+
 // Обработка ошибок polling
 bot.on('polling_error', (error) => {
   console.error('❌ Ошибка polling:', error.message);
@@ -2461,7 +3210,7 @@ async function submitBugReport(chatId, userId, data, userFrom) {
     await bot.sendMessage(chatId, '⏳ Отправка багрепорта...', { parse_mode: 'HTML' });
 
     // Создаем сессию для авторизации
-    const session = await createSession(userId, userFrom);
+    const session = await getSession(userId, userFrom);
     const apiUrl = process.env.LOCAL_API_URL || process.env.API_URL || 'http://localhost:1313';
 
     // Загружаем изображения если есть
@@ -2539,6 +3288,9 @@ async function submitBugReport(chatId, userId, data, userFrom) {
     // Очищаем состояние
     clearUserState(userId);
 
+    // Сессия для входа на сайт по ссылке
+    const linkSession = await createSession(userId, userFrom);
+
     await bot.sendMessage(
       chatId,
       '✅ <b>Багрепорт успешно отправлен!</b>\n\n' +
@@ -2550,7 +3302,7 @@ async function submitBugReport(chatId, userId, data, userFrom) {
         parse_mode: 'HTML',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '📋 Мои багрепорты', url: `${publicUrl}/my-bug-reports?session=${session.token}` }],
+            [{ text: '📋 Мои багрепорты', url: `${publicUrl}/my-bug-reports?session=${linkSession.token}` }],
             [{ text: '📱 Главное меню', callback_data: 'show_menu' }]
           ]
         }
@@ -2577,9 +3329,58 @@ async function submitBugReport(chatId, userId, data, userFrom) {
   }
 }
 
+/**
+ * Сообщить пользователям, что начатое до перезапуска действие отменено
+ * Диалоги с ботом личные, поэтому ID чата совпадает с Telegram ID пользователя
+ * @param {Array<Object>} dropped - [{ userId, state }] из stateStore.open()
+ */
+async function notifyInterruptedStates(dropped) {
+  for (const { userId, state } of dropped) {
+    try {
+      await bot.sendMessage(
+        userId,
+        '⚠️ Бот обновился, и начатое действие пришлось отменить.\n\n' +
+        'Начните его заново из меню.',
+        {
+          reply_markup: {
+            inline_keyboard: [[{ text: '📱 Главное меню', callback_data: 'show_menu' }]]
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`Не удалось сообщить об отмене состояния ${state} пользователю ${userId}:`, error.message);
+    }
+  }
+}
+
 // Настройка команд при запуске
 setupCommands();
 
+if (bot && interruptedStates.length > 0) {
+  notifyInterruptedStates(interruptedStates);
+}
+
+/**
+ * Остановка по сигналу (PM2, Ctrl+C): прекратить polling и дождаться,
+ * пока состояния диалогов будут записаны в SQLite
+ * @param {string} signal - SIGINT или SIGTERM
+ */
+async function shutdown(signal) {
+  console.log(`🛑 Получен ${signal}, останавливаем бота...`);
+  try {
+    await bot.stopPolling();
+    await stateStore.close();
+  } catch (error) {
+    console.error('❌ Ошибка при остановке бота:', error.message);
+  }
+  process.exit(0);
+}
+
+if (bot) {
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
 // Экспортируем бот и функции
 export default bot;
 export { bot, createSession, handleMenuAction };
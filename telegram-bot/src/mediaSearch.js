@@ -0,0 +1,273 @@
+/**
+ * Поиск фильмов и сериалов в боте и в inline-режиме (@бот запрос в любом чате)
+ *
+ * Разбор ответа /api/media/search, подписи карточек и компактные callback_data:
+ * Telegram ограничивает callback_data 64 байтами, поэтому фильм кодируется как m{tmdbId}, сериал — t{tmdbId}
+ */
+
+const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p';
+
+// Сколько результатов показывать в ответ на поиск
+export const SEARCH_RESULTS_LIMIT = 8;
+
+// Подпись к фото в Telegram — не больше 1024 символов
+const CAPTION_LIMIT = 1024;
+const OVERVIEW_LIMIT = 400;
+
+const MEDIA_TYPE_CODES = { movie: 'm', tv: 't' };
+
+// Сколько элементов списка перечислять в сообщении из inline-режима
+const INLINE_LIST_PREVIEW = 10;
+
+/**
+ * Экранирование текста для parse_mode: 'HTML'
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Привести фильм или сериал из TMDb или кэша сервера к единому виду
+ * @param {Object} item - Объект из /api/media/search или /api/media/:type/:id
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @returns {Object} - { tmdbId, mediaType, title, originalTitle, year, voteAverage, overview, posterPath, popularity }
+ */
+export function normalizeMedia(item, mediaType) {
+  const releaseDate = item.release_date || item.first_air_date || item.releaseDate || '';
+  const year = parseInt(String(releaseDate).slice(0, 4));
+
+  return {
+    tmdbId: item.tmdb_id || item.tmdbId || item.id,
+    mediaType,
+    title: item.title || item.name || 'Без названия',
+    originalTitle: item.original_title || item.original_name || item.originalTitle || '',
+    year: Number.isNaN(year) ? null : year,
+    voteAverage: Number(item.vote_average ?? item.voteAverage) || 0,
+    overview: item.overview || '',
+    posterPath: item.poster_path || item.posterPath || null,
+    popularity: Number(item.popularity) || 0
+  };
+}
+
+/**
+ * Объединить фильмы и сериалы из ответа поиска, самые популярные — первыми
+ * @param {Object} data - Ответ /api/media/search: { movies, tv }
+ * @param {number} limit - Сколько результатов оставить
+ * @returns {Array<Object>} - Результаты normalizeMedia
+ */
+export function mergeSearchResults(data, limit = SEARCH_RESULTS_LIMIT) {
+  const movies = (data?.movies || []).map(item => normalizeMedia(item, 'movie'));
+  const tv = (data?.tv || []).map(item => normalizeMedia(item, 'tv'));
+
+  return [...movies, ...tv]
+    .sort((a, b) => b.popularity - a.popularity)
+    .slice(0, limit);
+}
+
+/**
+ * Короткая подпись результата для кнопки: «🎬 Название (2010)»
+ * @param {Object} media - Результат normalizeMedia
+ * @returns {string}
+ */
+export function formatResultLabel(media) {
+  const emoji = media.mediaType === 'tv' ? '📺' : '🎬';
+  const title = media.title.length > 40 ? `${media.title.substring(0, 40)}…` : media.title;
+  return media.year ? `${emoji} ${title} (${media.year})` : `${emoji} ${title}`;
+}
+
+/**
+ * URL постера на CDN TMDb
+ * @param {string|null} posterPath - poster_path из TMDb
+ * @param {string} size - Размер постера TMDb (w185, w342, w500...)
+ * @returns {string|null}
+ */
+export function getPosterUrl(posterPath, size = 'w342') {
+  return posterPath ? `${TMDB_IMAGE_URL}/${size}${posterPath}` : null;
+}
+
+/**
+ * Ссылка на страницу фильма или сериала на сайте
+ * @param {string} publicUrl - Адрес сайта
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ * @returns {string}
+ */
+export function getMediaUrl(publicUrl, mediaType, tmdbId) {
+  return `${publicUrl}/media/${mediaType}/${tmdbId}`;
+}
+
+/**
+ * Ссылка на страницу списка: публичный открывается по slug без входа, остальные — по id
+ * @param {string} publicUrl - Адрес сайта
+ * @param {Object} list - Список из /api/lists: { id, slug, visibility }
+ * @returns {string}
+ */
+export function getListUrl(publicUrl, list) {
+  return list.visibility === 'public' && list.slug
+    ? `${publicUrl}/lists/public/${list.slug}`
+    : `${publicUrl}/lists/${list.id}`;
+}
+
+/**
+ * HTML-подпись карточки фильма или сериала
+ * @param {Object} media - Результат normalizeMedia
+ * @param {number|null} userRating - Оценка пользователя, если есть
+ * @param {string|null} raterName - Чья оценка: в чужом чате «Ваша оценка» читалась бы как оценка получателя
+ * @returns {string}
+ */
+export function formatMediaCaption(media, userRating = null, raterName = null) {
+  const typeLabel = media.mediaType === 'tv' ? '📺 Сериал' : '🎬 Фильм';
+
+  let caption = `<b>${escapeHtml(media.title)}</b>`;
+  if (media.originalTitle && media.originalTitle !== media.title) {
+    caption += ` (${escapeHtml(media.originalTitle)})`;
+  }
+  caption += `\n${typeLabel}`;
+  if (media.year) caption += ` | ${media.year}`;
+  if (media.voteAverage) caption += ` | ⭐ ${media.voteAverage.toFixed(1)}`;
+  if (userRating) {
+    caption += raterName
+      ? `\n👤 Оценка ${escapeHtml(raterName)}: ${userRating}/10`
+      : `\n👤 Ваша оценка: ${userRating}/10`;
+  }
+
+  if (media.overview) {
+    const overview = media.overview.length > OVERVIEW_LIMIT
+      ? `${media.overview.substring(0, OVERVIEW_LIMIT)}…`
+      : media.overview;
+    const withOverview = `${caption}\n\n${escapeHtml(overview)}`;
+    if (withOverview.length <= CAPTION_LIMIT) caption = withOverview;
+  }
+
+  return caption;
+}
+
+/**
+ * Закодировать фильм или сериал для callback_data: m550, t1399
+ * @param {string} mediaType - 'movie' или 'tv'
+ * @param {number} tmdbId
+ * @returns {string}
+ */
+export function encodeMediaRef(mediaType, tmdbId) {
+  return `${MEDIA_TYPE_CODES[mediaType]}${tmdbId}`;
+}
+
+/**
+ * Разобрать результат encodeMediaRef
+ * @param {string} ref - Например, m550
+ * @returns {Object|null} - { mediaType, tmdbId } или null, если формат неверный
+ */
+export function parseMediaRef(ref) {
+  const match = /^([mt])(\d+)$/.exec(ref || '');
+  if (!match) return null;
+  return {
+    mediaType: match[1] === 'm' ? 'movie' : 'tv',
+    tmdbId: parseInt(match[2])
+  };
+}
+
+/**
+ * Разобрать callback_data поиска: sr_{action}_{ref}[_{arg}]
+ * Действия: show, wl (в «Хочу посмотреть»), lists (выбор списка), add (в список arg),
+ * rate (показать оценки), rated (поставить оценку arg), back (вернуть кнопки карточки)
+ * @param {string} data - callback_data
+ * @returns {Object|null} - { action, mediaType, tmdbId, arg }
+ */
+export function parseSearchCallback(data) {
+  const match = /^sr_(show|wl|lists|add|rate|rated|back)_([mt]\d+)(?:_(.+))?$/.exec(data || '');
+  if (!match) return null;
+
+  const [, action, ref, arg = null] = match;
+  if ((action === 'add' || action === 'rated') && !arg) return null;
+  if (action === 'rated') {
+    const rating = parseInt(arg);
+    if (!(rating >= 1 && rating <= 10)) return null;
+  }
+
+  return { action, ...parseMediaRef(ref), arg };
+}
+
+
+/**
+ * Результат inline-режима для фильма или сериала
+ * В выборе — постер, год и оценки; в чат уходит карточка с крупным постером и ссылкой на сайт
+ * @param {Object} media - Результат normalizeMedia
+ * @param {Object} options
+ * @param {string} options.publicUrl - Адрес сайта
+ * @param {number|null} options.userRating - Оценка отправителя
+ * @param {string|null} options.raterName - Имя отправителя для подписи оценки
+ * @returns {Object} - InlineQueryResultArticle
+ */
+export function buildInlineMediaResult(media, { publicUrl, userRating = null, raterName = null }) {
+  const link = getMediaUrl(publicUrl, media.mediaType, media.tmdbId);
+  const posterUrl = getPosterUrl(media.posterPath, 'w500');
+
+  const details = [media.mediaType === 'tv' ? 'Сериал' : 'Фильм'];
+  if (media.voteAverage) details.push(`⭐ ${media.voteAverage.toFixed(1)}`);
+  if (userRating) details.push(`ваша оценка ${userRating}/10`);
+
+  return {
+    type: 'article',
+    id: `media_${encodeMediaRef(media.mediaType, media.tmdbId)}`,
+    title: media.year ? `${media.title} (${media.year})` : media.title,
+    description: details.join(' · '),
+    thumbnail_url: getPosterUrl(media.posterPath, 'w185') || undefined,
+    input_message_content: {
+      message_text: formatMediaCaption(media, userRating, raterName),
+      parse_mode: 'HTML',
+      link_preview_options: posterUrl
+        ? { url: posterUrl, prefer_large_media: true, show_above_text: true }
+        : { is_disabled: true }
+    },
+    reply_markup: {
+      inline_keyboard: [[{ text: '🌐 Открыть на watchRebel', url: link }]]
+    }
+  };
+}
+
+/**
+ * Результат inline-режима для своего списка
+ * @param {Object} list - Список из /api/lists с элементами
+ * @param {Object} options
+ * @param {string} options.publicUrl - Адрес сайта
+ * @returns {Object} - InlineQueryResultArticle
+ */
+export function buildInlineListResult(list, { publicUrl }) {
+  const items = list.items || [];
+  const typeLabel = list.mediaType === 'tv' ? 'Список сериалов' : 'Список фильмов';
+  const preview = items.slice(0, INLINE_LIST_PREVIEW);
+
+  let text = `📋 <b>${escapeHtml(list.name)}</b>\n${typeLabel} · элементов: ${items.length}`;
+  if (preview.length > 0) {
+    text += '\n\n' + preview.map((item, index) => {
+      const year = item.releaseDate ? ` (${String(item.releaseDate).slice(0, 4)})` : '';
+      return `${index + 1}. ${escapeHtml(item.title || 'Без названия')}${year}`;
+    }).join('\n');
+    if (items.length > preview.length) {
+      text += `\n…и ещё ${items.length - preview.length}`;
+    }
+  }
+
+  const posterPath = items.find(item => item.posterPath)?.posterPath;
+
+  return {
+    type: 'article',
+    id: `list_${list.id}`,
+    title: `📋 ${list.name}`,
+    description: `${typeLabel} · элементов: ${items.length}`,
+    thumbnail_url: getPosterUrl(posterPath, 'w185') || undefined,
+    input_message_content: {
+      message_text: text,
+      parse_mode: 'HTML',
+      link_preview_options: { is_disabled: true }
+    },
+    reply_markup: {
+      inline_keyboard: [[{ text: '📋 Открыть список', url: getListUrl(publicUrl, list) }]]
+    }
+  };
+}
@@ -3,6 +3,12 @@ import axios from 'axios';
 
 const serverUrl = `http://${process.env.SERVER_IP || 'localhost'}:${process.env.PORT || 1313}`;
 
+// Сессии для запросов бота к API переиспользуются: иначе каждое действие (и каждый inline-запрос
+// при наборе текста) создаёт на сервере новую 30-дневную сессию. Час — чтобы сессия, завершённая
+// пользователем в настройках сайта, недолго оставалась в кэше
+const SESSION_CACHE_TTL_MS = 60 * 60 * 1000;
+const sessionCache = new Map(); // Telegram ID -> { session, expiresAt }
+
 /**
  * Создание сессии для пользователя
  * @param {string} userId - Telegram ID пользователя
@@ -44,3 +50,36 @@ export async function createSession(userId, telegramUser, referralCode = null) {
     return { token: uuidv4(), user: null, referralUsed: false };
   }
 }
+
+/**
+ * Сессия для запросов бота к API: из кэша или новая через createSession
+ * Для ссылок на сайт с токеном нужна отдельная сессия из createSession — браузер
+ * сохраняет токен как свою сессию, и выход на сайте не должен ломать запросы бота
+ * @param {string} userId - Telegram ID пользователя
+ * @param {Object} telegramUser - Данные пользователя из Telegram
+ * @returns {Promise<Object>} - Объект с токеном и данными пользователя
+ */
+export async function getSession(userId, telegramUser) {
+  const now = Date.now();
+  const cached = sessionCache.get(userId);
+  if (cached && cached.expiresAt > now) return cached.session;
+
+  sessionCache.forEach((entry, id) => {
+    if (entry.expiresAt <= now) sessionCache.delete(id);
+  });
+
+  const session = await createSession(userId, telegramUser);
+  // Временный токен (backend недоступен) не кэшируем
+  if (session.user) {
+    sessionCache.set(userId, { session, expiresAt: now + SESSION_CACHE_TTL_MS });
+  }
+  return session;
+}
+
+/**
+ * Забыть сессию пользователя (сервер ответил 401: сессия завершена или истекла)
+ * @param {string} userId - Telegram ID пользователя
+ */
+export function forgetSession(userId) {
+  sessionCache.delete(userId);
+}
@@ -0,0 +1,243 @@
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Хранилище состояний диалогов бота (создание поста, багрепорт, ответ на сообщение...)
+ *
+ * Состояния живут в памяти, чтобы обработчики читали их синхронно, и дублируются в SQLite,
+ * поэтому переживают перезапуск PM2 и деплой. Каждая запись хранит версию схемы:
+ * если формат data поменялся, версия повышается, а старые записи поднимаются миграцией
+ * из STATE_MIGRATIONS или отбрасываются — такой диалог бот отменяет и сообщает об этом.
+ */
+
+// Версия формата { state, data }. Повышать при переименовании состояний или смене полей data
+export const STATE_SCHEMA_VERSION = 1;
+
+// Сколько живёт незавершённый диалог с момента последнего шага
+export const STATE_TTL_MS = 60 * 60 * 1000;
+
+// Как часто удалять просроченные записи из базы
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Миграции записей: { [версия]: (record) => record | null } поднимает запись на версию выше
+ * null — запись нельзя перенести, диалог отменяется
+ */
+export const STATE_MIGRATIONS = {};
+
+/**
+ * Привести сохранённую запись к текущей версии схемы
+ * @param {Object} record - { state, data, version }
+ * @param {number} version - Текущая версия схемы
+ * @param {Object} migrations - Миграции по версиям
+ * @returns {Object|null} - Запись текущей версии или null, если её не перенести
+ */
+export function upgradeStateRecord(record, version = STATE_SCHEMA_VERSION, migrations = STATE_MIGRATIONS) {
+  let current = record;
+  while (current && current.version < version) {
+    const migrate = migrations[current.version];
+    if (!migrate) return null;
+
+    const next = migrate(current);
+    current = next ? { ...next, version: current.version + 1 } : null;
+  }
+  return current && current.version === version ? current : null;
+}
+
+/**
+ * Создать хранилище состояний
+ * @param {Object} options
+ * @param {string|null} options.filename - Файл SQLite; без него состояния хранятся только в памяти
+ * @param {number} options.ttlMs - Время жизни состояния
+ * @param {number} options.version - Текущая версия схемы
+ * @param {Object} options.migrations - Миграции по версиям
+ * @param {Function} options.now - Текущее время в мс (для тестов)
+ * @returns {Object} - { open, get, set, delete, purgeExpired, flush, close }
+ */
+export function createStateStore({
+  filename = null,
+  ttlMs = STATE_TTL_MS,
+  version = STATE_SCHEMA_VERSION,
+  migrations = STATE_MIGRATIONS,
+  now = Date.now
+} = {}) {
+  const states = new Map();
+  let db = null;
+  let purgeTimer = null;
+  // Записи в базу идут строго по очереди, чтобы set и delete одного пользователя не переставились
+  let writes = Promise.resolve();
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this.changes);
+    });
+  });
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  const enqueue = (sql, params) => {
+    if (!db) return writes;
+    writes = writes
+      .then(() => run(sql, params))
+      .catch((error) => {
+        // Состояние в памяти остаётся рабочим, теряется только его копия на случай перезапуска
+        console.error('❌ Ошибка сохранения состояния диалога:', error.message);
+      });
+    return writes;
+  };
+
+  return {
+    /**
+     * Открыть базу и загрузить незавершённые диалоги
+     * @returns {Promise<Object>} - { restored, dropped: [{ userId, state }] } — dropped нужно отменить
+     */
+    async open() {
+      if (!filename) return { restored: 0, dropped: [] };
+
+      if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+      }
+      db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(filename, (err) => (err ? reject(err) : resolve(database)));
+      });
+
+      await run(`
+        CREATE TABLE IF NOT EXISTS conversation_states (
+          user_id TEXT PRIMARY KEY,
+          state TEXT NOT NULL,
+          data TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        )
+      `);
+
+      await run('DELETE FROM conversation_states WHERE expires_at <= ?', [now()]);
+      const rows = await all('SELECT * FROM conversation_states');
+
+      const dropped = [];
+      for (const row of rows) {
+        let record = null;
+        try {
+          record = upgradeStateRecord(
+            { state: row.state, data: JSON.parse(row.data), version: row.version },
+            version,
+            migrations
+          );
+        } catch (error) {
+          console.error(`❌ Не удалось прочитать состояние пользователя ${row.user_id}:`, error.message);
+        }
+
+        if (!record) {
+          dropped.push({ userId: row.user_id, state: row.state });
+          await run('DELETE FROM conversation_states WHERE user_id = ?', [row.user_id]);
+          continue;
+        }
+
+        states.set(row.user_id, {
+          state: record.state,
+          data: record.data,
+          timestamp: row.updated_at,
+          expiresAt: row.expires_at
+        });
+        if (row.version !== version) {
+          await run(
+            'UPDATE conversation_states SET state = ?, data = ?, version = ? WHERE user_id = ?',
+            [record.state, JSON.stringify(record.data), version, row.user_id]
+          );
+        }
+      }
+
+      purgeTimer = setInterval(() => this.purgeExpired(), PURGE_INTERVAL_MS);
+      purgeTimer.unref();
+
+      return { restored: states.size, dropped };
+    },
+
+    /**
+     * Текущее состояние пользователя; просроченное удаляется
+     * @param {string} userId - Telegram ID пользователя
+     * @returns {Object|null} - { state, data, timestamp, expiresAt }
+     */
+    get(userId) {
+      const entry = states.get(userId);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= now()) {
+        this.delete(userId);
+        return null;
+      }
+      return entry;
+    },
+
+    /**
+     * Сохранить состояние; срок жизни отсчитывается заново
+     * @param {string} userId - Telegram ID пользователя
+     * @param {string} state - Название состояния
+     * @param {Object} data - Данные шага (должны сериализоваться в JSON)
+     * @returns {Promise<void>} - Завершается, когда запись попала в базу
+     */
+    set(userId, state, data = {}) {
+      const timestamp = now();
+      const expiresAt = timestamp + ttlMs;
+      states.set(userId, { state, data, timestamp, expiresAt });
+
+      return enqueue(
+        `INSERT INTO conversation_states (user_id, state, data, version, updated_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(user_id) DO UPDATE SET
+           state = excluded.state, data = excluded.data, version = excluded.version,
+           updated_at = excluded.updated_at, expires_at = excluded.expires_at`,
+        [userId, state, JSON.stringify(data), version, timestamp, expiresAt]
+      );
+    },
+
+    /**
+     * Удалить состояние пользователя
+     * @param {string} userId - Telegram ID пользователя
+     * @returns {Promise<void>}
+     */
+    delete(userId) {
+      states.delete(userId);
+      return enqueue('DELETE FROM conversation_states WHERE user_id = ?', [userId]);
+    },
+
+    /**
+     * Удалить просроченные состояния из памяти и базы
+     * @returns {Promise<void>}
+     */
+    purgeExpired() {
+      const current = now();
+      for (const [userId, entry] of states) {
+        if (entry.expiresAt <= current) states.delete(userId);
+      }
+      return enqueue('DELETE FROM conversation_states WHERE expires_at <= ?', [current]);
+    },
+
+    /**
+     * Дождаться записи всех изменений в базу
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return writes;
+    },
+
+    /**
+     * Записать изменения и закрыть базу
+     * @returns {Promise<void>}
+     */
+    async close() {
+      clearInterval(purgeTimer);
+      await writes;
+      if (!db) return;
+
+      const database = db;
+      db = null;
+      await new Promise((resolve, reject) => database.close((err) => (err ? reject(err) : resolve())));
+    }
+  };
+}